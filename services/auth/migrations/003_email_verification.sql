@@ -0,0 +1,111 @@
+-- ================================================================
+-- MIGRATION 003 — VÉRIFICATION DE L'ADRESSE EMAIL
+-- auth-service — Neon PostgreSQL
+--
+-- L'auto-claim des commandes guest se faisait dès l'inscription :
+-- s'inscrire avec l'email d'un tiers suffisait pour récupérer ses
+-- commandes et adresses de livraison. Le rattachement attend
+-- désormais que l'utilisateur ait prouvé la possession de l'adresse.
+--
+--   users.email_verified_at        → NULL tant que l'email n'est pas vérifié
+--   email_verification_tokens      → liens envoyés par email (SHA-256, TTL 24h)
+--   cleanup_expired_tokens()       → purge aussi les liens de vérification expirés
+--
+-- Les comptes existants sont marqués vérifiés à leur date de création :
+-- l'ancien flux leur a déjà rattaché leurs commandes guest, et les passer
+-- non vérifiés suspendrait l'auto-claim à la connexion et l'export RGPD
+-- de ces commandes. Seuls les comptes créés après cette migration
+-- doivent prouver la possession de leur adresse.
+-- ================================================================
+
+-- ================================================================
+-- USERS — STATUT DE VÉRIFICATION
+-- ================================================================
+
+-- Rattrapage uniquement à la création de la colonne : rejouer la migration
+-- ne doit pas marquer vérifiés les comptes inscrits depuis.
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM information_schema.columns
+        WHERE table_schema = current_schema()
+          AND table_name = 'users'
+          AND column_name = 'email_verified_at'
+    ) THEN
+        ALTER TABLE users
+            ADD COLUMN email_verified_at TIMESTAMP WITH TIME ZONE;
+
+        UPDATE users
+        SET email_verified_at = COALESCE(created_at, NOW());
+    END IF;
+END $$;
+
+COMMENT ON COLUMN users.email_verified_at IS
+    'Date de vérification de l''email — NULL : compte non vérifié, aucun auto-claim des commandes guest';
+
+-- ================================================================
+-- TOKENS DE VÉRIFICATION D'EMAIL
+--
+-- Même modèle que password_reset_tokens :
+-- - Seul le hash SHA-256 est stocké (jamais le token brut)
+-- - TTL de 24 heures : l'email peut être ouvert plus tard qu'un reset
+-- - Un seul token actif par utilisateur, supprimé à la consommation
+-- ================================================================
+
+CREATE TABLE IF NOT EXISTS email_verification_tokens (
+    id          UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id     UUID        NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash  TEXT        NOT NULL UNIQUE,
+    expires_at  TIMESTAMPTZ NOT NULL DEFAULT (NOW() + INTERVAL '24 hours'),
+    created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON TABLE email_verification_tokens IS
+    'Tokens de vérification d''email (SHA-256 uniquement, TTL 24h, usage unique)';
+
+-- token_hash UNIQUE porte déjà l'index de recherche à la consommation
+CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_evt_user_id
+    ON email_verification_tokens(user_id);
+
+CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_evt_expires_at
+    ON email_verification_tokens(expires_at);
+
+-- ================================================================
+-- FONCTION DE NETTOYAGE UNIFIÉE
+-- Redéfinie pour inclure les tokens de vérification expirés.
+-- ================================================================
+
+CREATE OR REPLACE FUNCTION cleanup_expired_tokens()
+RETURNS TABLE(deleted_count BIGINT) AS $$
+DECLARE
+    count_deleted BIGINT;
+BEGIN
+    WITH deleted_refresh AS (
+        DELETE FROM refresh_tokens
+        WHERE expires_at < NOW()
+        RETURNING id
+    ),
+    deleted_reset AS (
+        DELETE FROM password_reset_tokens
+        WHERE expires_at < NOW()
+        RETURNING id
+    ),
+    deleted_verification AS (
+        DELETE FROM email_verification_tokens
+        WHERE expires_at < NOW()
+        RETURNING id
+    )
+    SELECT (SELECT COUNT(*) FROM deleted_refresh) +
+           (SELECT COUNT(*) FROM deleted_reset) +
+           (SELECT COUNT(*) FROM deleted_verification)
+    INTO count_deleted;
+
+    RETURN QUERY SELECT count_deleted;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION cleanup_expired_tokens() IS
+    'Supprime les refresh tokens, password reset tokens et tokens de vérification d''email expirés — appelée par le cron sessions';
+
+SELECT '003_email_verification terminé' AS status;
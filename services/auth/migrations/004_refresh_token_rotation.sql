@@ -0,0 +1,36 @@
+-- ================================================================
+-- MIGRATION 004 — ROTATION DES REFRESH TOKENS
+-- auth-service — Neon PostgreSQL
+--
+-- Un refresh token restait valide 7 jours : un cookie volé l'était
+-- aussi jusqu'à expiration. Chaque POST /auth/refresh remplace
+-- désormais le token présenté par un nouveau, de la même famille.
+--
+--   family_id      → identifie une session (une connexion) à travers
+--                    ses rotations successives
+--   rotated_at     → date de remplacement ; le token reste en base
+--                    jusqu'à expiration pour détecter sa réutilisation
+--   replaced_by_id → token émis en remplacement (traçabilité)
+--
+-- Un token déjà remplacé présenté à nouveau signifie que deux clients
+-- détiennent la même session : toute la famille est révoquée.
+--
+-- Les tokens existants forment chacun leur propre famille.
+-- ================================================================
+
+ALTER TABLE refresh_tokens
+    ADD COLUMN IF NOT EXISTS family_id      UUID NOT NULL DEFAULT gen_random_uuid(),
+    ADD COLUMN IF NOT EXISTS rotated_at     TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS replaced_by_id BIGINT REFERENCES refresh_tokens(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN refresh_tokens.family_id IS
+    'Session d''origine : partagé par tous les tokens issus des rotations d''une même connexion';
+
+COMMENT ON COLUMN refresh_tokens.rotated_at IS
+    'Date de remplacement — NULL : token courant de la famille ; renseigné : sa réutilisation révoque la famille';
+
+-- Révocation d'une famille entière (réutilisation détectée, logout)
+CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_refresh_tokens_family
+    ON refresh_tokens(family_id);
+
+SELECT '004_refresh_token_rotation terminé' AS status;
@@ -0,0 +1,27 @@
+-- ================================================================
+-- MIGRATION 005 — SESSIONS ACTIVES : APPAREIL ET ADRESSE IP
+-- auth-service — Neon PostgreSQL
+--
+-- Les utilisateurs peuvent lister et révoquer leurs sessions
+-- (GET/DELETE /users/me/sessions), les admins celles d'un compte.
+-- Une session est une famille de refresh tokens (cf. migration 004) :
+-- son jeton courant porte l'appareil et l'IP du dernier renouvellement.
+--
+--   user_agent → en-tête User-Agent du client
+--   ip_address → IP cliente (X-Forwarded-For derrière la gateway)
+--
+-- Les dates sont déjà présentes : created_at du premier jeton de la
+-- famille (ouverture) et du jeton courant (dernier renouvellement).
+-- ================================================================
+
+ALTER TABLE refresh_tokens
+    ADD COLUMN IF NOT EXISTS user_agent TEXT,
+    ADD COLUMN IF NOT EXISTS ip_address VARCHAR(45);
+
+COMMENT ON COLUMN refresh_tokens.user_agent IS
+    'User-Agent du client à l''émission du jeton — affiché dans la liste des sessions';
+
+COMMENT ON COLUMN refresh_tokens.ip_address IS
+    'IP cliente à l''émission du jeton (IPv6 : 45 caractères max) — donnée personnelle, purgée avec le jeton';
+
+SELECT '005_session_devices terminé' AS status;
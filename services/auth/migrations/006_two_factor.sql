@@ -0,0 +1,65 @@
+-- ================================================================
+-- MIGRATION 006 — DOUBLE AUTHENTIFICATION (TOTP)
+-- auth-service — Neon PostgreSQL
+--
+-- Un mot de passe suffisait pour obtenir une session, y compris
+-- ADMIN (statuts de commande, comptes, prix). Un compte peut
+-- désormais exiger un code TOTP (application d'authentification)
+-- au login ; TWO_FACTOR_REQUIRED_FOR_ADMIN le rend obligatoire
+-- pour les administrateurs.
+--
+--   user_two_factor            → secret TOTP chiffré (AES-256-GCM),
+--                                enabled_at NULL tant que l'enrôlement
+--                                n'est pas confirmé par un premier code
+--   two_factor_recovery_codes  → codes de secours à usage unique,
+--                                hachés PBKDF2 comme les mots de passe
+-- ================================================================
+
+-- ================================================================
+-- SECRETS TOTP
+--
+-- Le secret doit être relu pour calculer les codes : il est chiffré
+-- (TOTP_ENCRYPTION_KEY) et non haché.
+-- last_used_step : pas de temps du dernier code accepté — un code
+-- déjà utilisé est refusé pendant toute sa fenêtre de validité.
+-- ================================================================
+
+CREATE TABLE IF NOT EXISTS user_two_factor (
+    user_id          UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    secret_encrypted TEXT        NOT NULL,
+    enabled_at       TIMESTAMPTZ,
+    last_used_step   BIGINT,
+    created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at       TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON TABLE user_two_factor IS
+    'Secret TOTP par utilisateur (chiffré) — enabled_at NULL : enrôlement en attente de confirmation';
+
+CREATE OR REPLACE TRIGGER update_user_two_factor_updated_at
+    BEFORE UPDATE ON user_two_factor
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- ================================================================
+-- CODES DE SECOURS
+--
+-- Affichés une seule fois à l'activation ou à la régénération.
+-- Stockés comme les mots de passe (PBKDF2 + salt par code).
+-- ================================================================
+
+CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+    id         UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id    UUID        NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash  TEXT        NOT NULL,
+    salt       TEXT        NOT NULL,
+    used_at    TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON TABLE two_factor_recovery_codes IS
+    'Codes de secours 2FA à usage unique (hash PBKDF2, jamais le code clair)';
+
+CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_2fa_recovery_user
+    ON two_factor_recovery_codes(user_id) WHERE used_at IS NULL;
+
+SELECT '006_two_factor terminé' AS status;
@@ -0,0 +1,149 @@
+-- ================================================================
+-- MIGRATION 007 — VERROUILLAGE PROGRESSIF ET JOURNAL DES CONNEXIONS
+-- auth-service — Neon PostgreSQL
+--
+-- La protection anti brute-force reposait uniquement sur des limites
+-- par IP (authLimiter, zone nginx "auth") : une attaque distribuée
+-- sur un même compte passait sous les seuils. Les échecs sont
+-- désormais comptés par compte, avec verrouillage exponentiel.
+--
+--   users.failed_login_count   → compteur de secours si Redis est indisponible
+--   users.locked_until         → fin du verrouillage en cours (NULL : libre)
+--   account_unlock_tokens      → liens de déverrouillage envoyés par email
+--   login_events               → tentatives de connexion (IP, appareil, issue)
+--   cleanup_expired_tokens()   → purge aussi les liens et les événements > 90 jours
+-- ================================================================
+
+-- ================================================================
+-- USERS — ÉTAT DU VERROUILLAGE
+--
+-- Le compteur vit dans Redis (login:failures:<userId>) ; la colonne
+-- ne sert que lorsque Redis est injoignable. locked_until est en
+-- revanche toujours persisté : un verrou ne doit pas disparaître
+-- avec le cache.
+-- ================================================================
+
+ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS failed_login_count INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS locked_until       TIMESTAMPTZ;
+
+COMMENT ON COLUMN users.failed_login_count IS
+    'Échecs de connexion consécutifs — repli quand Redis est indisponible, remis à 0 au succès';
+
+COMMENT ON COLUMN users.locked_until IS
+    'Fin du verrouillage après échecs répétés — durée doublée à chaque palier, levée par le lien email';
+
+-- ================================================================
+-- TOKENS DE DÉVERROUILLAGE
+--
+-- Même modèle que email_verification_tokens : hash SHA-256 seul,
+-- un token actif par utilisateur, supprimé à la consommation.
+-- TTL de 24 heures : durée maximale d'un verrouillage.
+-- ================================================================
+
+CREATE TABLE IF NOT EXISTS account_unlock_tokens (
+    id          UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id     UUID        NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash  TEXT        NOT NULL UNIQUE,
+    expires_at  TIMESTAMPTZ NOT NULL DEFAULT (NOW() + INTERVAL '24 hours'),
+    created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON TABLE account_unlock_tokens IS
+    'Tokens de déverrouillage de compte (SHA-256 uniquement, TTL 24h, usage unique)';
+
+CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_aut_user_id
+    ON account_unlock_tokens(user_id);
+
+CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_aut_expires_at
+    ON account_unlock_tokens(expires_at);
+
+-- ================================================================
+-- JOURNAL DES CONNEXIONS
+--
+-- user_id NULL : email inconnu (l'adresse saisie est conservée pour
+-- repérer le credential stuffing). Données personnelles : purgées
+-- après 90 jours et supprimées avec le compte.
+-- ================================================================
+
+CREATE TABLE IF NOT EXISTS login_events (
+    id          UUID        PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id     UUID        REFERENCES users(id) ON DELETE CASCADE,
+    email       VARCHAR(255),
+    outcome     VARCHAR(30) NOT NULL,
+    ip_address  VARCHAR(45),
+    user_agent  TEXT,
+    created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT login_events_outcome_check CHECK (outcome IN (
+        'SUCCESS',
+        'INVALID_PASSWORD',
+        'UNKNOWN_EMAIL',
+        'ACCOUNT_LOCKED',
+        'ACCOUNT_SUSPENDED',
+        'TWO_FACTOR_CHALLENGE',
+        'INVALID_TWO_FACTOR'
+    ))
+);
+
+COMMENT ON TABLE login_events IS
+    'Tentatives de connexion (issue, IP, User-Agent) — rétention 90 jours';
+
+-- Historique d'un compte et détection d'un nouvel appareil
+CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_login_events_user
+    ON login_events(user_id, created_at DESC);
+
+CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_login_events_created_at
+    ON login_events(created_at);
+
+-- ================================================================
+-- FONCTION DE NETTOYAGE UNIFIÉE
+-- Redéfinie pour inclure les liens de déverrouillage expirés
+-- et les événements de connexion de plus de 90 jours.
+-- ================================================================
+
+CREATE OR REPLACE FUNCTION cleanup_expired_tokens()
+RETURNS TABLE(deleted_count BIGINT) AS $$
+DECLARE
+    count_deleted BIGINT;
+BEGIN
+    WITH deleted_refresh AS (
+        DELETE FROM refresh_tokens
+        WHERE expires_at < NOW()
+        RETURNING id
+    ),
+    deleted_reset AS (
+        DELETE FROM password_reset_tokens
+        WHERE expires_at < NOW()
+        RETURNING id
+    ),
+    deleted_verification AS (
+        DELETE FROM email_verification_tokens
+        WHERE expires_at < NOW()
+        RETURNING id
+    ),
+    deleted_unlock AS (
+        DELETE FROM account_unlock_tokens
+        WHERE expires_at < NOW()
+        RETURNING id
+    ),
+    deleted_events AS (
+        DELETE FROM login_events
+        WHERE created_at < NOW() - INTERVAL '90 days'
+        RETURNING id
+    )
+    SELECT (SELECT COUNT(*) FROM deleted_refresh) +
+           (SELECT COUNT(*) FROM deleted_reset) +
+           (SELECT COUNT(*) FROM deleted_verification) +
+           (SELECT COUNT(*) FROM deleted_unlock) +
+           (SELECT COUNT(*) FROM deleted_events)
+    INTO count_deleted;
+
+    RETURN QUERY SELECT count_deleted;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION cleanup_expired_tokens() IS
+    'Supprime les tokens expirés (refresh, reset, vérification, déverrouillage) et les événements de connexion > 90 jours — appelée par le cron sessions';
+
+SELECT '007_account_lockout terminé' AS status;
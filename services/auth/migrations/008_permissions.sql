@@ -0,0 +1,134 @@
+-- ================================================================
+-- MIGRATION 008 — PERMISSIONS FINES (RBAC)
+-- auth-service — Neon PostgreSQL
+--
+-- roles.name était un user_role_enum limité à USER et ADMIN :
+-- tout accès back-office exigeait le rôle ADMIN complet. Les routes
+-- vérifient désormais des permissions ("ressource:action") portées
+-- par les rôles, ce qui permet des comptes équipe restreints
+-- (préparateur de commandes, éditeur du catalogue…).
+--
+--   roles.name            → VARCHAR (rôles personnalisés), enum supprimé
+--   roles.description     → libellé affiché dans l'administration
+--   permissions           → catalogue, miroir de constants/roles.js
+--   role_permissions      → permissions accordées à chaque rôle
+--
+-- L'access token porte la liste des permissions : un changement de
+-- rôle prend effet au prochain refresh (15 min max) dans les autres
+-- services, immédiatement dans l'auth-service (lecture en base).
+-- ================================================================
+
+-- ================================================================
+-- ROLES — NOMS LIBRES
+--
+-- Majuscules, chiffres et underscore : le nom est comparé tel quel
+-- dans les tokens et les garde-fous du code (ADMIN, USER).
+-- ================================================================
+
+ALTER TABLE roles
+    ALTER COLUMN name TYPE VARCHAR(50) USING name::text;
+
+DROP TYPE IF EXISTS user_role_enum;
+
+ALTER TABLE roles
+    ADD COLUMN IF NOT EXISTS description TEXT;
+
+-- ADD CONSTRAINT n'a pas de IF NOT EXISTS : la migration doit pouvoir être rejouée
+DO $$
+BEGIN
+    ALTER TABLE roles
+        ADD CONSTRAINT roles_name_format_check CHECK (name ~ '^[A-Z][A-Z0-9_]{1,49}$');
+EXCEPTION
+    WHEN duplicate_object THEN NULL;
+END $$;
+
+-- ================================================================
+-- CATALOGUE DES PERMISSIONS
+--
+-- Le code sert de clé : il figure tel quel dans le JWT et dans les
+-- appels requirePermission(). Une permission ajoutée ici doit l'être
+-- aussi dans constants/roles.js de chaque service.
+-- ================================================================
+
+CREATE TABLE IF NOT EXISTS permissions (
+    code        VARCHAR(64) PRIMARY KEY,
+    description TEXT        NOT NULL,
+
+    CONSTRAINT permissions_code_format_check CHECK (code ~ '^[a-z_]+:[a-z_]+$')
+);
+
+COMMENT ON TABLE permissions IS
+    'Catalogue des permissions "ressource:action" — miroir de constants/roles.js';
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+    role_id         SMALLINT    NOT NULL REFERENCES roles(id) ON DELETE CASCADE,
+    permission_code VARCHAR(64) NOT NULL REFERENCES permissions(code) ON DELETE CASCADE,
+    PRIMARY KEY (role_id, permission_code)
+);
+
+COMMENT ON TABLE role_permissions IS
+    'Permissions accordées à chaque rôle — l''union des rôles d''un utilisateur est signée dans son access token';
+
+INSERT INTO permissions (code, description) VALUES
+    ('users:read',           'Consulter les comptes, leurs sessions et leurs connexions'),
+    ('users:manage',         'Suspendre, supprimer un compte, révoquer ses sessions'),
+    ('roles:manage',         'Créer des rôles, modifier leurs permissions et les attribuer'),
+    ('orders:read',          'Consulter toutes les commandes et leurs documents'),
+    ('orders:update_status', 'Faire avancer le statut d''une commande'),
+    ('returns:manage',       'Traiter les demandes de retour'),
+    ('shipments:manage',     'Créer les expéditions, étiquettes et suivis'),
+    ('shipping:configure',   'Gérer les zones, méthodes et tarifs de livraison'),
+    ('taxes:manage',         'Gérer les règles de TVA'),
+    ('coupons:manage',       'Gérer les codes promo'),
+    ('products:write',       'Créer, modifier et supprimer des produits et variantes'),
+    ('categories:write',     'Gérer les catégories'),
+    ('promotions:write',     'Gérer les promotions'),
+    ('inventory:read',       'Consulter les stocks et alertes'),
+    ('inventory:adjust',     'Ajuster et réapprovisionner les stocks'),
+    ('payments:read',        'Consulter les remboursements'),
+    ('payments:refund',      'Émettre des remboursements')
+ON CONFLICT (code) DO NOTHING;
+
+-- ================================================================
+-- RÔLES ÉQUIPE ET ATTRIBUTIONS INITIALES
+--
+-- ADMIN reçoit tout le catalogue (comportement inchangé) ; USER
+-- aucune : l'accès d'un client à ses propres ressources est vérifié
+-- par propriété, pas par permission.
+-- ================================================================
+
+INSERT INTO roles (name, description) VALUES
+    ('WAREHOUSE',      'Préparation et expédition des commandes, stocks et retours'),
+    ('CATALOG_EDITOR', 'Gestion du catalogue : produits, catégories et promotions')
+ON CONFLICT (name) DO NOTHING;
+
+UPDATE roles SET description = 'Accès complet au back-office' WHERE name = 'ADMIN' AND description IS NULL;
+UPDATE roles SET description = 'Client' WHERE name = 'USER' AND description IS NULL;
+
+INSERT INTO role_permissions (role_id, permission_code)
+SELECT r.id, p.code
+FROM roles r
+CROSS JOIN permissions p
+WHERE r.name = 'ADMIN'
+ON CONFLICT DO NOTHING;
+
+INSERT INTO role_permissions (role_id, permission_code)
+SELECT r.id, p.code
+FROM roles r
+JOIN permissions p ON p.code IN (
+    'orders:read', 'orders:update_status', 'returns:manage',
+    'shipments:manage', 'inventory:read', 'inventory:adjust'
+)
+WHERE r.name = 'WAREHOUSE'
+ON CONFLICT DO NOTHING;
+
+INSERT INTO role_permissions (role_id, permission_code)
+SELECT r.id, p.code
+FROM roles r
+JOIN permissions p ON p.code IN (
+    'products:write', 'categories:write', 'promotions:write', 'inventory:read'
+)
+WHERE r.name = 'CATALOG_EDITOR'
+ON CONFLICT DO NOTHING;
+
+SELECT '008_permissions terminé' AS status;
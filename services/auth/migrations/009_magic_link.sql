@@ -0,0 +1,97 @@
+-- ================================================================
+-- MIGRATION 009 — CONNEXION PAR LIEN MAGIQUE
+-- auth-service — Neon PostgreSQL
+--
+-- Un acheteur guest n'a qu'une adresse email : le lien reçu par
+-- email ouvre une session, et crée le compte à la première
+-- utilisation. La consommation du lien vaut vérification de
+-- l'adresse, ce qui déclenche l'auto-claim des commandes guest.
+--
+--   magic_link_tokens          → liens de connexion (SHA-256, TTL 15 min)
+--   cleanup_expired_tokens()   → purge aussi les liens expirés
+-- ================================================================
+
+-- ================================================================
+-- TOKENS DE CONNEXION
+--
+-- Rattachés à l'email et non à un utilisateur : le compte peut ne
+-- pas encore exister. Même modèle que password_reset_tokens : hash
+-- SHA-256 seul, un lien actif par adresse, supprimé à la
+-- consommation. TTL court : le lien ouvre directement une session.
+-- ================================================================
+
+CREATE TABLE IF NOT EXISTS magic_link_tokens (
+    id          UUID         PRIMARY KEY DEFAULT gen_random_uuid(),
+    email       VARCHAR(255) NOT NULL,
+    token_hash  TEXT         NOT NULL UNIQUE,
+    expires_at  TIMESTAMPTZ  NOT NULL DEFAULT (NOW() + INTERVAL '15 minutes'),
+    created_at  TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT magic_link_tokens_email_lowercase CHECK (email = LOWER(email))
+);
+
+COMMENT ON TABLE magic_link_tokens IS
+    'Liens de connexion sans mot de passe (SHA-256 uniquement, TTL 15 min, usage unique)';
+
+CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_mlt_email
+    ON magic_link_tokens(email);
+
+CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_mlt_expires_at
+    ON magic_link_tokens(expires_at);
+
+-- ================================================================
+-- FONCTION DE NETTOYAGE UNIFIÉE
+-- Redéfinie pour inclure les liens de connexion expirés.
+-- ================================================================
+
+CREATE OR REPLACE FUNCTION cleanup_expired_tokens()
+RETURNS TABLE(deleted_count BIGINT) AS $$
+DECLARE
+    count_deleted BIGINT;
+BEGIN
+    WITH deleted_refresh AS (
+        DELETE FROM refresh_tokens
+        WHERE expires_at < NOW()
+        RETURNING id
+    ),
+    deleted_reset AS (
+        DELETE FROM password_reset_tokens
+        WHERE expires_at < NOW()
+        RETURNING id
+    ),
+    deleted_verification AS (
+        DELETE FROM email_verification_tokens
+        WHERE expires_at < NOW()
+        RETURNING id
+    ),
+    deleted_unlock AS (
+        DELETE FROM account_unlock_tokens
+        WHERE expires_at < NOW()
+        RETURNING id
+    ),
+    deleted_magic_link AS (
+        DELETE FROM magic_link_tokens
+        WHERE expires_at < NOW()
+        RETURNING id
+    ),
+    deleted_events AS (
+        DELETE FROM login_events
+        WHERE created_at < NOW() - INTERVAL '90 days'
+        RETURNING id
+    )
+    SELECT (SELECT COUNT(*) FROM deleted_refresh) +
+           (SELECT COUNT(*) FROM deleted_reset) +
+           (SELECT COUNT(*) FROM deleted_verification) +
+           (SELECT COUNT(*) FROM deleted_unlock) +
+           (SELECT COUNT(*) FROM deleted_magic_link) +
+           (SELECT COUNT(*) FROM deleted_events)
+    INTO count_deleted;
+
+    RETURN QUERY SELECT count_deleted;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION cleanup_expired_tokens() IS
+    'Supprime les tokens expirés (refresh, reset, vérification, déverrouillage, lien magique) et les événements de connexion > 90 jours — appelée par le cron sessions';
+
+SELECT '009_magic_link terminé' AS status;
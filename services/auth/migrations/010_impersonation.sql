@@ -0,0 +1,83 @@
+-- ================================================================
+-- MIGRATION 010 — IMPERSONATION ("VOIR EN TANT QUE CLIENT")
+-- auth-service — Neon PostgreSQL
+--
+-- Le support ouvre une session au nom d'un client pour voir son
+-- panier et ses commandes tels qu'il les voit. L'auth-service émet
+-- un access token court, marqué (claims `act` et `imp`), sans
+-- refresh token ; chaque requête émise avec ce token est journalisée.
+--
+--   impersonation_sessions     → qui, pour quel client, pourquoi
+--   impersonation_requests     → journal des requêtes (tous services)
+--   users:impersonate          → permission accordée au rôle ADMIN
+-- ================================================================
+
+-- ================================================================
+-- SESSIONS D'IMPERSONATION
+--
+-- admin_id en SET NULL : la trace survit au départ de l'agent.
+-- user_id en CASCADE : la trace est une donnée personnelle du
+-- client, effacée avec son compte.
+-- ================================================================
+
+CREATE TABLE IF NOT EXISTS impersonation_sessions (
+    id          UUID         PRIMARY KEY DEFAULT gen_random_uuid(),
+    admin_id    UUID         REFERENCES users(id) ON DELETE SET NULL,
+    admin_email VARCHAR(255) NOT NULL,
+    user_id     UUID         NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    reason      VARCHAR(500) NOT NULL,
+    read_only   BOOLEAN      NOT NULL DEFAULT TRUE,
+    ip_address  VARCHAR(45),
+    user_agent  VARCHAR(512),
+    expires_at  TIMESTAMPTZ  NOT NULL,
+    created_at  TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON TABLE impersonation_sessions IS
+    'Sessions "voir en tant que client" ouvertes par le support — une ligne par token émis';
+
+CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_imp_sessions_user_id
+    ON impersonation_sessions(user_id, created_at DESC);
+
+CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_imp_sessions_admin_id
+    ON impersonation_sessions(admin_id, created_at DESC);
+
+-- ================================================================
+-- JOURNAL DES REQUÊTES
+--
+-- Alimenté par chaque service à la fin de la réponse (endpoint
+-- interne de l'auth-service). Les requêtes refusées (écriture en
+-- lecture seule) y figurent avec leur statut 403.
+-- ================================================================
+
+CREATE TABLE IF NOT EXISTS impersonation_requests (
+    id          BIGSERIAL    PRIMARY KEY,
+    session_id  UUID         NOT NULL REFERENCES impersonation_sessions(id) ON DELETE CASCADE,
+    service     VARCHAR(30)  NOT NULL,
+    method      VARCHAR(10)  NOT NULL,
+    path        VARCHAR(2048) NOT NULL,
+    status_code SMALLINT,
+    created_at  TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON TABLE impersonation_requests IS
+    'Requêtes émises avec un token d''impersonation, tous services confondus';
+
+CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_imp_requests_session_id
+    ON impersonation_requests(session_id, created_at);
+
+-- ================================================================
+-- PERMISSION
+-- ================================================================
+
+INSERT INTO permissions (code, description) VALUES
+    ('users:impersonate', 'Consulter le site en tant que client (support), avec journal d''audit')
+ON CONFLICT (code) DO NOTHING;
+
+INSERT INTO role_permissions (role_id, permission_code)
+SELECT r.id, 'users:impersonate'
+FROM roles r
+WHERE r.name = 'ADMIN'
+ON CONFLICT DO NOTHING;
+
+SELECT '010_impersonation terminé' AS status;
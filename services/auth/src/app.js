@@ -7,7 +7,7 @@
  * - Port dynamique (géré par Render via process.env.PORT)
  * - Aucune gestion de fichiers statiques (images, assets)
  * - Aucun parsing spécifique (rawBody pour webhooks)
- * - Périmètre strict : routes /auth et /users
+ * - Périmètre strict : routes /auth, /users et /roles, JWKS public, /internal (services pairs)
  * - CRON : Uniquement le nettoyage des sessions/tokens
  * - Health check : Validation des dépendances critiques (Postgres)
  */
@@ -21,6 +21,7 @@ import cron from 'node-cron';
 import { ENV } from './config/environment.js';
 import { pgPool } from './config/database.js';
 import { healthCheck } from './utils/healthCheck.js';
+import { signingKeyService } from './services/signingKeys.service.js';
 import { logInfo, logError } from './utils/logger.js';
 
 // Middlewares
@@ -30,6 +31,7 @@ import { helmetMiddleware, corsMiddleware, compressResponse } from './config/sec
 
 // Router & Jobs
 import v1Router from './routes/index.routes.js';
+import internalRoutes from './routes/internal.routes.js';
 import { sessionsCleanupJob } from './jobs/sessions.cron.js';
 
 const app = express();
@@ -41,7 +43,7 @@ const app = express();
 app.set('trust proxy', 1);
 
 // ─────────────────────────────────────────────────────────────────────
-// 2. HEALTH CHECK (Priorité Haute)
+// 2. HEALTH CHECK & JWKS (Priorité Haute)
 // Placé avant tous les middlewares pour une réponse immédiate.
 // ─────────────────────────────────────────────────────────────────────
 app.get('/health', async (_req, res) => {
@@ -65,6 +67,14 @@ app.get('/health', async (_req, res) => {
     }
 });
 
+// Clés publiques de vérification des access tokens, interrogées par les autres
+// services (cache local) et par la gateway. Le max-age borne le délai de
+// propagation d'une nouvelle clé : voir la procédure de rotation.
+app.get('/.well-known/jwks.json', (_req, res) => {
+    res.set('Cache-Control', 'public, max-age=300');
+    res.status(200).json(signingKeyService.getJwks());
+});
+
 // ─────────────────────────────────────────────────────────────────────
 // 3. SÉCURITÉ & LOGS (Avant le parsing)
 // Bloquer les requêtes non autorisées AVANT d'allouer de la mémoire
@@ -88,6 +98,9 @@ app.use(compressResponse);
 // ─────────────────────────────────────────────────────────────────────
 app.use('/api/v1', v1Router);
 
+// Inter-services (X-Internal-Secret), bloqué par le Gateway Nginx
+app.use('/internal', internalRoutes);
+
 // ─────────────────────────────────────────────────────────────────────
 // 6. GESTION DU 404 (Routes inconnues)
 // ─────────────────────────────────────────────────────────────────────
@@ -0,0 +1,88 @@
+/**
+ * @module Client/Cart
+ *
+ * Client HTTP interne vers le cart-service : fusion du panier guest
+ * à la connexion et à l'inscription.
+ *
+ * Le token de panier du visiteur est relayé tel quel : seul le cart-service
+ * détient le secret qui permet de le vérifier.
+ *
+ * Dégradation gracieuse : un échec ne bloque jamais l'auth — le panier guest
+ * reste intact et sera fusionné à la prochaine connexion.
+ */
+import { ENV } from '../config/environment.js';
+import { logInfo, logError } from '../utils/logger.js';
+
+const CART_SERVICE_URL = ENV.services.cartServiceUrl;
+const REQUEST_TIMEOUT_MS = ENV.services.httpTimeoutMs ?? 5000;
+
+async function fetchWithTimeout(url, options, timeoutMs = REQUEST_TIMEOUT_MS) {
+    const controller = new AbortController();
+    const timerId = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+        return await fetch(url, { ...options, signal: controller.signal });
+    } finally {
+        clearTimeout(timerId);
+    }
+}
+
+/**
+ * Fusionne le panier guest désigné par `cartToken` dans le panier de l'utilisateur.
+ *
+ * Ne lève jamais d'exception — retourne { error } en cas d'échec
+ * (token expiré, cart-service indisponible).
+ *
+ * @param {string} cartToken - Token de panier guest (cookie cartToken ou header X-Cart-Token)
+ * @param {string} userId
+ * @returns {Promise<{ merged: Array, skipped: Array, itemCount: number, guestCartKept: boolean } | { error: string }>}
+ */
+async function mergeGuestCart(cartToken, userId) {
+    if (!cartToken || typeof cartToken !== 'string') return { error: 'cartToken invalide' };
+
+    try {
+        const response = await fetchWithTimeout(`${CART_SERVICE_URL}/internal/cart/merge`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Internal-Secret': ENV.services.cartSecret,
+                'X-Source-Service': 'auth-service',
+            },
+            body: JSON.stringify({ cartToken, userId }),
+        });
+
+        if (!response.ok) {
+            logError(new Error(`cart-service responded with ${response.status}`), {
+                context: 'cartClient.mergeGuestCart',
+                status: response.status,
+                userId,
+            });
+            return { error: `cart-service error: ${response.status}` };
+        }
+
+        // Réponse enveloppée dans { status, data: { cart, merged, skipped, guestCartKept } }
+        const body = await response.json();
+        const data = body?.data ?? {};
+        const merged = data.merged ?? [];
+        const skipped = data.skipped ?? [];
+
+        logInfo('Panier guest fusionné', { userId, merged: merged.length, skipped: skipped.length });
+
+        return {
+            merged,
+            skipped,
+            itemCount: data.cart?.summary?.itemCount ?? 0,
+            guestCartKept: data.guestCartKept === true,
+        };
+
+    } catch (error) {
+        const isTimeout = error.name === 'AbortError';
+        logError(error, {
+            context: 'cartClient.mergeGuestCart',
+            reason: isTimeout ? 'timeout' : 'network_error',
+            userId,
+        });
+        return { error: isTimeout ? 'cart-service timeout' : 'cart-service unreachable' };
+    }
+}
+
+export const cartClient = { mergeGuestCart };
@@ -93,4 +93,51 @@ export const notificationClient = {
     async notifyPasswordReset(to, resetUrl) {
         return this.enqueue('auth.password_reset', to, { resetUrl });
     },
+
+    /**
+     * Lien de vérification de l'adresse email.
+     * Appelé par emailVerification.service.js à l'inscription et sur demande de renvoi.
+     *
+     * @param {string} to        - Email du destinataire
+     * @param {string} verifyUrl - URL complète avec token (ex: https://ecomwatch.fr/verify-email?token=...)
+     * @param {object} userData  - Prénom pour personnaliser l'email
+     */
+    async notifyEmailVerification(to, verifyUrl, userData) {
+        return this.enqueue('auth.email_verification', to, { verifyUrl, userData });
+    },
+
+    /**
+     * Lien de connexion sans mot de passe.
+     * Appelé par magicLink.service.js ; `isNewAccount` adapte le texte quand
+     * le lien créera le compte (acheteur guest).
+     *
+     * @param {string} to        - Email du destinataire
+     * @param {string} loginUrl  - URL complète avec token (ex: https://ecomwatch.fr/magic-link?token=...)
+     * @param {object} linkData  - { userData, isNewAccount }
+     */
+    async notifyMagicLink(to, loginUrl, { userData, isNewAccount }) {
+        return this.enqueue('auth.magic_link', to, { loginUrl, userData, isNewAccount });
+    },
+
+    /**
+     * Compte verrouillé après des échecs de connexion répétés, avec lien de déverrouillage.
+     * Appelé par loginSecurity.service.js à chaque palier de verrouillage.
+     *
+     * @param {string} to          - Email du destinataire
+     * @param {string} unlockUrl   - URL complète avec token (ex: https://ecomwatch.fr/unlock-account?token=...)
+     * @param {object} lockData    - { userData, lockedUntil }
+     */
+    async notifyAccountLocked(to, unlockUrl, { userData, lockedUntil }) {
+        return this.enqueue('auth.account_locked', to, { unlockUrl, userData, lockedUntil });
+    },
+
+    /**
+     * Connexion depuis un appareil jamais utilisé pour ce compte.
+     *
+     * @param {string} to         - Email du destinataire
+     * @param {object} loginData  - { userData, device: { userAgent, ipAddress }, occurredAt }
+     */
+    async notifyNewDeviceLogin(to, { userData, device, occurredAt }) {
+        return this.enqueue('auth.new_device_login', to, { userData, device, occurredAt });
+    },
 };
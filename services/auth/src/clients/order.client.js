@@ -65,15 +65,19 @@ async function fetchWithTimeout(url, options, timeoutMs = REQUEST_TIMEOUT_MS) {
 
 /**
  * Transfère les commandes guest vers un compte utilisateur.
- * Appelé après register() et login() dans auth.service.js.
+ * Appelé après vérification de l'email (emailVerification.service.js)
+ * et au login d'un compte vérifié (auth.service.js).
+ *
+ * L'order-service refuse le rattachement si `emailVerified` n'est pas vrai.
  *
  * Ne lève jamais d'exception — retourne { claimed: 0, error } en cas d'échec.
  *
  * @param {string} userId
  * @param {string} email
+ * @param {{ emailVerified: boolean }} options
  * @returns {Promise<{ claimed: number, claimedOrderNumbers: string[] } | { claimed: 0, error: string }>}
  */
-async function claimGuestOrders(userId, email) {
+async function claimGuestOrders(userId, email, { emailVerified = false } = {}) {
     if (!userId || typeof userId !== 'string') {
         return { claimed: 0, error: 'userId invalide' };
     }
@@ -89,7 +93,7 @@ async function claimGuestOrders(userId, email) {
         const response = await fetchWithTimeout(endpoint, {
             method: 'POST',
             headers: buildInternalHeaders(),
-            body: JSON.stringify({ userId, email }),
+            body: JSON.stringify({ userId, email, emailVerified }),
         });
 
         if (!response.ok) {
@@ -102,7 +106,9 @@ async function claimGuestOrders(userId, email) {
             return { claimed: 0, error: `order-service error: ${response.status}` };
         }
 
-        const data = await response.json();
+        // Réponse enveloppée dans { status, data: { claimed, claimedOrderNumbers } }
+        const body = await response.json();
+        const data = body?.data ?? {};
         logInfo('Auto-claim terminé', { userId, claimed: data.claimed ?? 0 });
 
         return {
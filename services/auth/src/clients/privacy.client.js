@@ -0,0 +1,148 @@
+/**
+ * @module Clients/Privacy
+ *
+ * Appels inter-services de l'export et de l'effacement RGPD d'un compte :
+ * chaque service détient une partie des données personnelles du client.
+ *
+ *   order-service        → commandes, factures, retours (+ paiements via payment-service)
+ *   cart-service         → panier
+ *   notification-service → historique des emails envoyés
+ *
+ * Contrairement aux autres clients, ces appels LÈVENT une exception en cas
+ * d'échec : un export incomplet ne doit pas être livré, et un compte ne doit
+ * pas être supprimé tant que ses données n'ont pas été effacées partout.
+ * Les emails transitent dans le corps des requêtes, jamais dans l'URL.
+ */
+import { ENV } from '../config/environment.js';
+import { logError } from '../utils/logger.js';
+import { AppError } from '../utils/appError.js';
+import { HTTP_STATUS } from '../constants/httpStatus.js';
+
+const TIMEOUT_MS = ENV.services.httpTimeoutMs ?? 5000;
+
+const SERVICES = Object.freeze({
+    order: {
+        baseUrl: `${ENV.services.orderServiceUrl}/internal/orders`,
+        secret: ENV.services.internalSecret,
+    },
+    cart: {
+        baseUrl: `${ENV.services.cartServiceUrl}/internal/cart`,
+        secret: ENV.services.cartSecret,
+    },
+    notification: {
+        baseUrl: `${ENV.services.notificationServiceUrl}/internal/notifications`,
+        secret: ENV.services.notificationSecret,
+    },
+});
+
+// ── Utilitaires ────────────────────────────────────────────────────────────────
+
+const fetchWithTimeout = async (url, options) => {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), TIMEOUT_MS);
+    try {
+        return await fetch(url, { ...options, signal: controller.signal });
+    } finally {
+        clearTimeout(timeoutId);
+    }
+};
+
+/**
+ * Appelle un service pair et retourne `data`.
+ * Un refus métier (409, ex : commande en cours) est relayé tel quel à l'utilisateur ;
+ * tout autre échec (panne, timeout, secret refusé) devient un 503.
+ */
+const request = async (service, path, { method = 'GET', body } = {}) => {
+    const { baseUrl, secret } = SERVICES[service];
+
+    let response;
+    try {
+        response = await fetchWithTimeout(`${baseUrl}${path}`, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Internal-Secret': secret,
+                'X-Source-Service': 'auth-service',
+            },
+            body: body ? JSON.stringify(body) : undefined,
+        });
+    } catch (error) {
+        logError(error, {
+            context: 'privacyClient',
+            service,
+            path,
+            reason: error.name === 'AbortError' ? 'timeout' : 'network_error',
+        });
+        throw new AppError(`Service ${service} momentanément indisponible`, HTTP_STATUS.SERVICE_UNAVAILABLE);
+    }
+
+    const payload = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+        logError(new Error(`${service}-service responded with ${response.status}`), {
+            context: 'privacyClient',
+            service,
+            path,
+            status: response.status,
+        });
+
+        if (response.status === HTTP_STATUS.CONFLICT && payload?.message) {
+            throw new AppError(payload.message, response.status);
+        }
+        throw new AppError(`Service ${service} momentanément indisponible`, HTTP_STATUS.SERVICE_UNAVAILABLE);
+    }
+
+    return payload?.data ?? {};
+};
+
+// ── Client ─────────────────────────────────────────────────────────────────────
+
+export const privacyClient = {
+
+    /**
+     * @param {string}      userId
+     * @param {string|null} verifiedEmail - Inclut les commandes guest de cette adresse si non null
+     * @returns {Promise<{ orders: object[], payments: object[], refunds: object[] }>}
+     */
+    async exportOrders(userId, verifiedEmail = null) {
+        return request('order', `/user/${userId}/export`, {
+            method: 'POST',
+            body: { email: verifiedEmail, emailVerified: verifiedEmail !== null },
+        });
+    },
+
+    /**
+     * @throws {AppError} 409 si une commande est encore en cours
+     */
+    async eraseOrders(userId, verifiedEmail = null) {
+        return request('order', `/user/${userId}/erase`, {
+            method: 'POST',
+            body: { email: verifiedEmail, emailVerified: verifiedEmail !== null },
+        });
+    },
+
+    /** Panier, listes d'envies (dont la liste "pour plus tard") et relances de panier reçues */
+    async exportCart(userId) {
+        const { cart, wishlists, cartRecovery } = await request('cart', `/${userId}/export`);
+        return { cart: cart ?? null, wishlists: wishlists ?? [], cartRecovery: cartRecovery ?? null };
+    },
+
+    async eraseCart(userId) {
+        return request('cart', `/${userId}/erase`, { method: 'POST' });
+    },
+
+    async exportNotifications(email) {
+        const { notifications } = await request('notification', '/recipients/export', {
+            method: 'POST',
+            body: { email },
+        });
+        return notifications ?? [];
+    },
+
+    async eraseNotifications(email) {
+        return request('notification', '/recipients/erase', {
+            method: 'POST',
+            body: { email },
+        });
+    },
+};
@@ -13,20 +13,26 @@ import 'dotenv/config';
 
 const requiredEnv = [
     'PORT',
-    'JWT_ACCESS_SECRET',
     'JWT_REFRESH_SECRET',
     'REDIS_URL',
     'CLIENT_URL',
     'ORDER_SERVICE_URL',
     'INTERNAL_AUTH_SECRET',
+    // Journal d'impersonation : seul secret accepté sur /internal/impersonation/requests
+    'INTERNAL_AUDIT_SECRET',
     // Notification-service — emails transactionnels déportés (welcome, password reset)
     'NOTIFICATION_SERVICE_URL',
     'INTERNAL_NOTIFICATION_SECRET',
+    // Cart-service — fusion du panier guest, export et effacement RGPD du panier
+    'CART_SERVICE_URL',
+    'INTERNAL_CART_SECRET',
 ];
 
 // SENTRY_DSN optionnel en dev, obligatoire en prod
+// TOTP_ENCRYPTION_KEY : chiffrement des secrets 2FA, dérivée de JWT_REFRESH_SECRET hors prod
+// JWT_SIGNING_KEYS / JWT_ACTIVE_KID : clé ES256 éphémère hors prod (voir signingKeys.service.js)
 if (process.env.NODE_ENV === 'production') {
-    requiredEnv.push('SENTRY_DSN');
+    requiredEnv.push('SENTRY_DSN', 'TOTP_ENCRYPTION_KEY', 'JWT_SIGNING_KEYS', 'JWT_ACTIVE_KID');
 }
 
 // ── Validation PostgreSQL ─────────────────────────────────────────────────────
@@ -77,12 +83,34 @@ export const ENV = Object.freeze({
     },
 
     jwt: {
-        accessTokenSecret: process.env.JWT_ACCESS_SECRET,
+        // Access tokens signés en RS256/ES256 : [{ kid, alg, privateKey | publicKey }] en JSON
+        signingKeys: process.env.JWT_SIGNING_KEYS,
+        activeKid: process.env.JWT_ACTIVE_KID,
         accessTokenExpiry: process.env.JWT_ACCESS_EXPIRY || '15m',
         refreshTokenSecret: process.env.JWT_REFRESH_SECRET,
         refreshTokenExpiry: process.env.JWT_REFRESH_EXPIRY || '7d',
     },
 
+    // Double authentification TOTP (RFC 6238)
+    twoFactor: {
+        issuer: process.env.TOTP_ISSUER || 'ECOM-WATCH',
+        encryptionKey: process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_REFRESH_SECRET,
+        challengeExpiry: process.env.TWO_FACTOR_CHALLENGE_EXPIRY || '5m',
+        requiredForAdmin: process.env.TWO_FACTOR_REQUIRED_FOR_ADMIN === 'true',
+    },
+
+    // Verrouillage progressif : palier tous les `threshold` échecs, durée doublée à chaque palier
+    accountLockout: {
+        threshold: Number(process.env.ACCOUNT_LOCKOUT_THRESHOLD) || 5,
+        baseDurationMs: Number(process.env.ACCOUNT_LOCKOUT_BASE_MS) || 5 * 60 * 1000,
+        maxDurationMs: Number(process.env.ACCOUNT_LOCKOUT_MAX_MS) || 24 * 60 * 60 * 1000,
+    },
+
+    // "Voir en tant que client" : token non renouvelable, journalisé dans tous les services
+    impersonation: {
+        ttlMs: Number(process.env.IMPERSONATION_TTL_MS) || 10 * 60 * 1000,
+    },
+
     bcrypt: {
         iterations: Number(process.env.BCRYPT_ITERATIONS) || 100000,
         saltLength: Number(process.env.BCRYPT_SALT_LENGTH) || 16,
@@ -104,8 +132,11 @@ export const ENV = Object.freeze({
     services: {
         orderServiceUrl: process.env.ORDER_SERVICE_URL,
         internalSecret: process.env.INTERNAL_AUTH_SECRET,         // X-Internal-Secret exposé par ce service
+        auditSecret: process.env.INTERNAL_AUDIT_SECRET,           // X-Internal-Secret du journal d'impersonation
         notificationServiceUrl: process.env.NOTIFICATION_SERVICE_URL,
         notificationSecret: process.env.INTERNAL_NOTIFICATION_SECRET, // X-Internal-Secret vers notification-service
+        cartServiceUrl: process.env.CART_SERVICE_URL,
+        cartSecret: process.env.INTERNAL_CART_SECRET,             // X-Internal-Secret vers cart-service
         httpTimeoutMs: Number(process.env.INTERNAL_HTTP_TIMEOUT_MS) || 5000,
     },
 
@@ -16,8 +16,9 @@ import { NotFoundError } from '../utils/appError.js';
  * Extrait l'IP réelle du client.
  * Indispensable pour les plateformes PaaS (Render, Heroku, Vercel) qui
  * placent l'app derrière un Load Balancer.
+ * Exportée : l'IP est aussi enregistrée avec chaque session (liste des appareils).
  */
-const getClientIp = (req) => {
+export const getClientIp = (req) => {
     const forwardedFor = req.headers['x-forwarded-for'];
     if (forwardedFor) {
         return forwardedFor.split(',')[0].trim();
@@ -237,6 +238,94 @@ export const passwordResetLimiter = rateLimit({
     },
 });
 
+/**
+ * Limiteur Lien Magique — borne l'envoi de liens et l'essai de tokens, clé par IP.
+ * Une connexion consomme deux requêtes (demande puis consommation du lien).
+ */
+export const magicLinkLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 heure
+    max: 10,
+    validate: { ip: false },
+    standardHeaders: true,
+    legacyHeaders: false,
+    keyGenerator: (req) => `magic-link:${getClientIp(req)}`,
+    handler: (req, res) => {
+        logInfo(`Rate limit lien magique dépassé : IP=${getClientIp(req)}`);
+        res.status(HTTP_STATUS.TOO_MANY_REQUESTS).json({
+            status: HTTP_STATUS.TOO_MANY_REQUESTS,
+            error: 'TOO_MANY_ATTEMPTS',
+            message: 'Trop de tentatives. Veuillez réessayer dans une heure.',
+            retryAfter: '1 heure',
+        });
+    },
+});
+
+/**
+ * Limiteur Vérification d'Email — borne les renvois de lien et l'essai de tokens, clé par IP.
+ */
+export const emailVerificationLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 heure
+    max: 10,
+    validate: { ip: false },
+    standardHeaders: true,
+    legacyHeaders: false,
+    keyGenerator: (req) => `email-verification:${getClientIp(req)}`,
+    handler: (req, res) => {
+        logInfo(`Rate limit vérification email dépassé : IP=${getClientIp(req)}`);
+        res.status(HTTP_STATUS.TOO_MANY_REQUESTS).json({
+            status: HTTP_STATUS.TOO_MANY_REQUESTS,
+            error: 'TOO_MANY_ATTEMPTS',
+            message: 'Trop de tentatives. Veuillez réessayer dans une heure.',
+            retryAfter: '1 heure',
+        });
+    },
+});
+
+/**
+ * Limiteur Double Authentification — seconde étape du login, distinct de authLimiter
+ * pour qu'une faute de frappe sur le code ne consomme pas le quota de connexion.
+ * Chaque challenge est en outre limité à 5 essais (TwoFactorService).
+ */
+export const twoFactorLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 10,
+    validate: { ip: false },
+    standardHeaders: true,
+    legacyHeaders: false,
+    keyGenerator: (req) => `two-factor:${getClientIp(req)}`,
+    handler: (req, res) => {
+        logInfo(`Rate limit 2FA dépassé : IP=${getClientIp(req)}`);
+        res.status(HTTP_STATUS.TOO_MANY_REQUESTS).json({
+            status: HTTP_STATUS.TOO_MANY_REQUESTS,
+            error: 'TOO_MANY_ATTEMPTS',
+            message: 'Trop de tentatives. Veuillez réessayer dans 15 minutes.',
+            retryAfter: '15 minutes',
+        });
+    },
+});
+
+/**
+ * Limiteur Données Personnelles — export et suppression du compte, clé par utilisateur.
+ * Chaque requête interroge tous les services : quelques appels par heure suffisent.
+ */
+export const personalDataLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 heure
+    max: 5,
+    validate: { ip: false },
+    standardHeaders: true,
+    legacyHeaders: false,
+    keyGenerator: (req) => `personal-data:${req.user?.id || getClientIp(req)}`,
+    handler: (req, res) => {
+        logInfo(`Rate limit données personnelles dépassé : IP=${getClientIp(req)}, User=${req.user?.id || 'anonymous'}`);
+        res.status(HTTP_STATUS.TOO_MANY_REQUESTS).json({
+            status: HTTP_STATUS.TOO_MANY_REQUESTS,
+            error: 'TOO_MANY_ATTEMPTS',
+            message: 'Trop de demandes. Veuillez réessayer dans une heure.',
+            retryAfter: '1 heure',
+        });
+    },
+});
+
 // ================================================================
 // GESTION DES ERREURS
 // ================================================================
@@ -37,6 +37,17 @@ export const PRODUCT_STATUS = Object.freeze({
     ARCHIVED: 'ARCHIVED',
 });
 
+/** Correspond à login_events_outcome_check en base */
+export const LOGIN_OUTCOME = Object.freeze({
+    SUCCESS: 'SUCCESS',
+    INVALID_PASSWORD: 'INVALID_PASSWORD',
+    UNKNOWN_EMAIL: 'UNKNOWN_EMAIL',
+    ACCOUNT_LOCKED: 'ACCOUNT_LOCKED',
+    ACCOUNT_SUSPENDED: 'ACCOUNT_SUSPENDED',
+    TWO_FACTOR_CHALLENGE: 'TWO_FACTOR_CHALLENGE',
+    INVALID_TWO_FACTOR: 'INVALID_TWO_FACTOR',
+});
+
 export const USER_STATUS = {
     ACTIVE: 'ACTIVE',
     BLOCKED: 'BLOCKED'
@@ -18,6 +18,7 @@ export const HTTP_STATUS = Object.freeze({
     NOT_FOUND: 404,
     CONFLICT: 409,
     UNPROCESSABLE_ENTITY: 422,
+    LOCKED: 423,
     TOO_MANY_REQUESTS: 429,
 
     // 5xx – Erreur serveur
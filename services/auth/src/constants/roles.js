@@ -1,31 +1,45 @@
 /**
  * @module Config/Roles
  *
- * Définition des rôles applicatifs et de leurs permissions associées.
- * Centraliser ici permet de modifier les accès sans toucher aux middlewares.
+ * Rôles système et catalogue des permissions vérifiées par requirePermission().
+ *
+ * Les rôles et leurs permissions vivent en base (auth-service : roles,
+ * permissions, role_permissions) ; l'access token porte l'union des
+ * permissions de l'utilisateur. Ce fichier est identique dans les services
+ * auth, order, products et payment : toute nouvelle permission est ajoutée
+ * ici ET dans une migration de l'auth-service (accordée au rôle ADMIN).
  */
 
-/** Identifiants de rôles tels qu'ils sont stockés en base / dans le JWT */
+/** Rôles référencés dans le code (inscription, garde-fous administrateur) */
 export const ROLES = Object.freeze({
-    ADMIN: 'admin',
-    USER: 'user',
-    VISITOR: 'visitor',
+    ADMIN: 'ADMIN',
+    USER: 'USER',
+});
+
+/** Codes "ressource:action" tels qu'ils sont stockés en base / dans le JWT */
+export const PERMISSIONS = Object.freeze({
+    USERS_READ: 'users:read',
+    USERS_MANAGE: 'users:manage',
+    USERS_IMPERSONATE: 'users:impersonate',
+    ROLES_MANAGE: 'roles:manage',
+    ORDERS_READ: 'orders:read',
+    ORDERS_UPDATE_STATUS: 'orders:update_status',
+    RETURNS_MANAGE: 'returns:manage',
+    SHIPMENTS_MANAGE: 'shipments:manage',
+    SHIPPING_CONFIGURE: 'shipping:configure',
+    TAXES_MANAGE: 'taxes:manage',
+    COUPONS_MANAGE: 'coupons:manage',
+    PRODUCTS_WRITE: 'products:write',
+    CATEGORIES_WRITE: 'categories:write',
+    PROMOTIONS_WRITE: 'promotions:write',
+    INVENTORY_READ: 'inventory:read',
+    INVENTORY_ADJUST: 'inventory:adjust',
+    PAYMENTS_READ: 'payments:read',
+    PAYMENTS_REFUND: 'payments:refund',
 });
 
 /**
- * Matrice de permissions par rôle.
- * Toute nouvelle permission doit être ajoutée ici en premier
- * avant d'être vérifiée dans les middlewares.
+ * Vérifie une permission sur un utilisateur hydraté par `protect`
+ * (contrôles dans les services : accès admin à une ressource d'autrui).
  */
-export const PERMISSIONS = Object.freeze({
-    [ROLES.ADMIN]: [
-        'VIEW_PRODUCTS', 'CREATE_PRODUCT', 'UPDATE_PRODUCT',
-        'DELETE_PRODUCT', 'MANAGE_USERS',
-    ],
-    [ROLES.USER]: [
-        'VIEW_PRODUCTS', 'BUY_PRODUCT', 'WISHLIST_PRODUCT', 'MANAGE_CART',
-    ],
-    [ROLES.VISITOR]: [
-        'VIEW_PRODUCTS', 'CREATE_ACCOUNT', 'BUY_PRODUCT',
-    ],
-});
\ No newline at end of file
+export const hasPermission = (user, permission) => Boolean(user?.permissions?.includes(permission));
@@ -1,16 +1,22 @@
 /**
  * @module Controller/Auth
  *
- * Gère l'inscription, la connexion, le cycle de vie des tokens
- * et la réinitialisation de mot de passe.
+ * Gère l'inscription, la connexion, le cycle de vie des tokens,
+ * la vérification d'email et la réinitialisation de mot de passe.
  *
  * Le contrôleur est responsable des cookies (pas le service) : cela maintient
  * le service testable sans dépendance à l'objet Response d'Express.
+ * C'est aussi lui qui lit le token du panier guest à fusionner à l'ouverture de session.
  */
 import { authService } from '../services/auth.service.js';
 import { passwordResetService } from '../services/passwordreset.service.js';
+import { emailVerificationService } from '../services/emailVerification.service.js';
+import { twoFactorService } from '../services/twoFactor.service.js';
+import { loginSecurityService } from '../services/loginSecurity.service.js';
+import { magicLinkService } from '../services/magicLink.service.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import { HTTP_STATUS } from '../constants/httpStatus.js';
+import { getClientIp } from '../config/security.js';
 
 
 const REFRESH_TOKEN_COOKIE_OPTIONS = {
@@ -20,11 +26,42 @@ const REFRESH_TOKEN_COOKIE_OPTIONS = {
     maxAge: 7 * 24 * 60 * 60 * 1000,
 };
 
+// Cookie du panier guest, posé par le cart-service (même domaine via le Gateway)
+const GUEST_CART_COOKIE = 'cartToken';
+const GUEST_CART_COOKIE_OPTIONS = {
+    httpOnly: true,
+    secure: true,
+    sameSite: 'none',
+};
+
+// Appareil affiché dans la liste des sessions (GET /users/me/sessions)
+const deviceOf = (req) => ({
+    userAgent: req.get('user-agent')?.slice(0, 512) ?? null,
+    ipAddress: getClientIp(req).slice(0, 45),
+});
+
+// Token du panier guest à fusionner : cookie, ou header X-Cart-Token (clients sans cookies)
+const guestCartOf = (req) => ({
+    guestCartToken: req.cookies?.[GUEST_CART_COOKIE] || req.get('x-cart-token') || null,
+});
+
+/**
+ * Panier guest fusionné : son token ne désigne plus rien, le cookie est retiré.
+ * Conservé si la fusion a échoué ou si le cart-service a gardé des articles
+ * non vérifiables (`guestCartKept`), pour les reprendre à la prochaine connexion.
+ */
+const clearMergedGuestCart = (res, result) => {
+    if (result.cartMerge && !result.cartMerge.guestCartKept) {
+        res.clearCookie(GUEST_CART_COOKIE, GUEST_CART_COOKIE_OPTIONS);
+    }
+};
+
 class AuthController {
     register = asyncHandler(async (req, res) => {
-        const result = await authService.register(req.body);
+        const result = await authService.register(req.body, deviceOf(req), guestCartOf(req));
 
         res.cookie('refreshToken', result.refreshToken, REFRESH_TOKEN_COOKIE_OPTIONS);
+        clearMergedGuestCart(res, result);
 
         res.status(HTTP_STATUS.CREATED).json({
             status: 'success',
@@ -33,15 +70,84 @@ class AuthController {
                 accessToken: result.accessToken,
                 claimedOrders: result.claimedOrders || 0,
                 claimedOrderNumbers: result.claimedOrderNumbers || [],
+                cartMerge: result.cartMerge ?? null,
             },
         });
     });
 
+    /**
+     * POST /api/v1/auth/login
+     *
+     * Compte protégé par la 2FA : pas de cookie ni d'access token, seulement
+     * le challenge à présenter à POST /auth/2fa/verify (purpose VERIFY)
+     * ou à POST /auth/2fa/setup puis /auth/2fa/verify (purpose SETUP).
+     */
     login = asyncHandler(async (req, res) => {
         const { email, password } = req.body;
-        const result = await authService.login({ email, password });
+        const result = await authService.login({ email, password }, deviceOf(req), guestCartOf(req));
+
+        if (result.twoFactor) {
+            return res.status(HTTP_STATUS.OK).json({
+                status: 'success',
+                data: {
+                    twoFactorRequired: true,
+                    challengeToken: result.twoFactor.challengeToken,
+                    purpose: result.twoFactor.purpose,
+                },
+            });
+        }
+
+        res.cookie('refreshToken', result.refreshToken, REFRESH_TOKEN_COOKIE_OPTIONS);
+        clearMergedGuestCart(res, result);
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            data: {
+                user: result.user,
+                accessToken: result.accessToken,
+                claimedOrders: result.claimedOrders || 0,
+                claimedOrderNumbers: result.claimedOrderNumbers || [],
+                cartMerge: result.cartMerge ?? null,
+            },
+        });
+    });
+
+    /**
+     * POST /api/v1/auth/magic-link
+     *
+     * Réponse volontairement identique qu'un compte existe ou non :
+     * le lien crée le compte s'il n'existe pas encore.
+     */
+    requestMagicLink = asyncHandler(async (req, res) => {
+        await magicLinkService.requestLink(req.body.email);
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            message: 'Un lien de connexion a été envoyé à cette adresse.',
+        });
+    });
+
+    /**
+     * POST /api/v1/auth/magic-link/verify
+     *
+     * Ouvre la session comme /login, y compris l'éventuel challenge 2FA.
+     */
+    loginWithMagicLink = asyncHandler(async (req, res) => {
+        const result = await authService.loginWithMagicLink(req.body.token, deviceOf(req), guestCartOf(req));
+
+        if (result.twoFactor) {
+            return res.status(HTTP_STATUS.OK).json({
+                status: 'success',
+                data: {
+                    twoFactorRequired: true,
+                    challengeToken: result.twoFactor.challengeToken,
+                    purpose: result.twoFactor.purpose,
+                },
+            });
+        }
 
         res.cookie('refreshToken', result.refreshToken, REFRESH_TOKEN_COOKIE_OPTIONS);
+        clearMergedGuestCart(res, result);
 
         res.status(HTTP_STATUS.OK).json({
             status: 'success',
@@ -50,6 +156,51 @@ class AuthController {
                 accessToken: result.accessToken,
                 claimedOrders: result.claimedOrders || 0,
                 claimedOrderNumbers: result.claimedOrderNumbers || [],
+                cartMerge: result.cartMerge ?? null,
+            },
+        });
+    });
+
+    /**
+     * POST /api/v1/auth/2fa/setup
+     *
+     * Enrôlement imposé (challenge SETUP) : secret et URI otpauth:// à afficher en QR code.
+     */
+    twoFactorChallengeSetup = asyncHandler(async (req, res) => {
+        const enrollment = await twoFactorService.startChallengeEnrollment(req.body.challengeToken);
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            data: enrollment,
+        });
+    });
+
+    /**
+     * POST /api/v1/auth/2fa/verify
+     *
+     * Seconde étape du login ; ouvre la session comme /login.
+     * `recoveryCodes` n'est présent qu'à l'issue d'un enrôlement.
+     */
+    twoFactorVerify = asyncHandler(async (req, res) => {
+        const { challengeToken, code, recoveryCode } = req.body;
+        const result = await authService.completeTwoFactorLogin(
+            { challengeToken, code, recoveryCode },
+            deviceOf(req),
+            guestCartOf(req)
+        );
+
+        res.cookie('refreshToken', result.refreshToken, REFRESH_TOKEN_COOKIE_OPTIONS);
+        clearMergedGuestCart(res, result);
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            data: {
+                user: result.user,
+                accessToken: result.accessToken,
+                claimedOrders: result.claimedOrders || 0,
+                claimedOrderNumbers: result.claimedOrderNumbers || [],
+                cartMerge: result.cartMerge ?? null,
+                ...(result.recoveryCodes && { recoveryCodes: result.recoveryCodes }),
             },
         });
     });
@@ -64,7 +215,10 @@ class AuthController {
 
     refresh = asyncHandler(async (req, res) => {
         const { refreshToken } = req.cookies;
-        const result = await authService.refreshAccessToken(refreshToken);
+        const result = await authService.refreshAccessToken(refreshToken, deviceOf(req));
+
+        // Rotation : l'ancien refresh token est désormais refusé
+        res.cookie('refreshToken', result.refreshToken, REFRESH_TOKEN_COOKIE_OPTIONS);
 
         res.status(HTTP_STATUS.OK).json({
             status: 'success',
@@ -112,6 +266,53 @@ class AuthController {
             message: 'Mot de passe réinitialisé avec succès. Veuillez vous reconnecter.',
         });
     });
+
+    /**
+     * POST /api/v1/auth/verify-email
+     *
+     * Le nombre de commandes rattachées permet au frontend d'afficher
+     * un message de bienvenue adapté.
+     */
+    verifyEmail = asyncHandler(async (req, res) => {
+        const result = await emailVerificationService.verifyEmail(req.body.token);
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            message: 'Adresse email vérifiée.',
+            data: {
+                claimedOrders: result.claimedOrders,
+                claimedOrderNumbers: result.claimedOrderNumbers,
+            },
+        });
+    });
+
+    /**
+     * POST /api/v1/auth/resend-verification
+     *
+     * Réponse volontairement identique quel que soit l'état du compte.
+     */
+    resendVerification = asyncHandler(async (req, res) => {
+        await emailVerificationService.resendVerification(req.body.email);
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            message: 'Si un compte non vérifié est associé à cet email, un nouveau lien a été envoyé.',
+        });
+    });
+
+    /**
+     * POST /api/v1/auth/unlock-account
+     *
+     * Consomme le lien envoyé au verrouillage du compte.
+     */
+    unlockAccount = asyncHandler(async (req, res) => {
+        await loginSecurityService.unlockAccount(req.body.token);
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            message: 'Compte déverrouillé. Vous pouvez vous reconnecter.',
+        });
+    });
 }
 
 export const authController = new AuthController();
\ No newline at end of file
@@ -0,0 +1,67 @@
+/**
+ * @module Controller/Roles
+ *
+ * Administration des rôles et de leurs permissions (RBAC).
+ * L'acteur courant (req.user) est transmis au service pour les contrôles anti-escalade.
+ */
+import { roleService } from '../services/roles.service.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { HTTP_STATUS } from '../constants/httpStatus.js';
+
+class RoleController {
+    /**
+     * Liste les rôles avec leurs permissions et le nombre de titulaires.
+     */
+    getAllRoles = asyncHandler(async (_req, res) => {
+        const roles = await roleService.getAllRoles();
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            results: roles.length,
+            data: { roles },
+        });
+    });
+
+    /**
+     * Catalogue des permissions attribuables.
+     */
+    getPermissions = asyncHandler(async (_req, res) => {
+        const permissions = await roleService.listPermissions();
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            results: permissions.length,
+            data: { permissions },
+        });
+    });
+
+    createRole = asyncHandler(async (req, res) => {
+        const { name, description, permissions } = req.body;
+        const role = await roleService.createCustomRole({ name, description, permissions }, req.user);
+
+        res.status(HTTP_STATUS.CREATED).json({
+            status: 'success',
+            data: { role },
+        });
+    });
+
+    updateRolePermissions = asyncHandler(async (req, res) => {
+        const role = await roleService.updateRolePermissions(
+            req.params.roleId,
+            req.body.permissions,
+            req.user
+        );
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            data: { role },
+        });
+    });
+
+    deleteRole = asyncHandler(async (req, res) => {
+        await roleService.deleteRole(req.params.roleId);
+        res.status(HTTP_STATUS.NO_CONTENT).send();
+    });
+}
+
+export const roleController = new RoleController();
@@ -8,9 +8,15 @@
  * - Dégradation gracieuse : si order-service est indisponible, retourne [] sans crasher
  */
 import { userService } from '../services/users.service.js';
+import { sessionService } from '../services/session.service.js';
+import { twoFactorService } from '../services/twoFactor.service.js';
+import { loginSecurityService } from '../services/loginSecurity.service.js';
+import { privacyService } from '../services/privacy.service.js';
+import { impersonationService } from '../services/impersonation.service.js';
 import { orderClient } from '../clients/order.client.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import { HTTP_STATUS } from '../constants/httpStatus.js';
+import { getClientIp } from '../config/security.js';
 
 class UserController {
     /**
@@ -77,6 +83,246 @@ class UserController {
         });
     });
 
+    /**
+     * GET /api/v1/users/me/sessions
+     * Appareils connectés ; `current` signale la session de la requête.
+     */
+    getMySessions = asyncHandler(async (req, res) => {
+        const sessions = await sessionService.listUserSessions(req.user.id, req.user.sessionId);
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            results: sessions.length,
+            data: { sessions },
+        });
+    });
+
+    /**
+     * DELETE /api/v1/users/me/sessions/:sessionId
+     */
+    revokeMySession = asyncHandler(async (req, res) => {
+        await sessionService.revokeUserSession(req.user.id, req.params.sessionId);
+        res.status(HTTP_STATUS.NO_CONTENT).send();
+    });
+
+    /**
+     * POST /api/v1/users/me/sessions/revoke-others
+     * "Se déconnecter de tous les autres appareils" : seule la session courante est conservée.
+     */
+    revokeMyOtherSessions = asyncHandler(async (req, res) => {
+        const revoked = await sessionService.revokeOtherSessions(req.user.id, req.user.sessionId);
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            message: 'Les autres appareils ont été déconnectés',
+            data: { revoked },
+        });
+    });
+
+    /**
+     * GET /api/v1/users/me/login-events
+     */
+    getMyLoginEvents = asyncHandler(async (req, res) => {
+        const events = await loginSecurityService.listLoginEvents(req.user.id);
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            results: events.length,
+            data: { events },
+        });
+    });
+
+    /**
+     * GET /api/v1/users/me/export
+     * Archive JSON de toutes les données personnelles du compte, tous services confondus,
+     * servie en pièce jointe pour être enregistrée telle quelle.
+     */
+    exportMyData = asyncHandler(async (req, res) => {
+        const archive = await privacyService.exportUserData(req.user.id);
+        const date = archive.generatedAt.slice(0, 10);
+
+        res.set('Cache-Control', 'no-store');
+        res.attachment(`mes-donnees-${date}.json`);
+        res.status(HTTP_STATUS.OK).json(archive);
+    });
+
+    /**
+     * DELETE /api/v1/users/me
+     * Suppression du compte et effacement des données personnelles.
+     */
+    deleteMyAccount = asyncHandler(async (req, res) => {
+        await userService.deleteOwnAccount(req.user.id, req.body.password);
+
+        res.clearCookie('refreshToken');
+        res.status(HTTP_STATUS.NO_CONTENT).send();
+    });
+
+    /**
+     * GET /api/v1/users/me/2fa
+     */
+    getTwoFactorStatus = asyncHandler(async (req, res) => {
+        const twoFactor = await twoFactorService.getStatus(req.user.id, req.user.roles);
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            data: { twoFactor },
+        });
+    });
+
+    /**
+     * POST /api/v1/users/me/2fa/setup
+     * Secret et URI otpauth:// à afficher en QR code ; la 2FA reste inactive
+     * jusqu'à confirmation par un premier code (POST /me/2fa/enable).
+     */
+    setupTwoFactor = asyncHandler(async (req, res) => {
+        const enrollment = await twoFactorService.startEnrollment(req.user);
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            data: enrollment,
+        });
+    });
+
+    /**
+     * POST /api/v1/users/me/2fa/enable
+     * Les codes de secours ne sont retournés qu'ici : le client doit inviter à les conserver.
+     */
+    enableTwoFactor = asyncHandler(async (req, res) => {
+        const recoveryCodes = await twoFactorService.confirmEnrollment(req.user.id, req.body.code);
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            message: 'Double authentification activée',
+            data: { recoveryCodes },
+        });
+    });
+
+    /**
+     * POST /api/v1/users/me/2fa/disable
+     */
+    disableTwoFactor = asyncHandler(async (req, res) => {
+        const { password, code, recoveryCode } = req.body;
+        await twoFactorService.disable(req.user, req.user.roles, { password, code, recoveryCode });
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            message: 'Double authentification désactivée',
+        });
+    });
+
+    /**
+     * POST /api/v1/users/me/2fa/recovery-codes
+     * Invalide les anciens codes de secours.
+     */
+    regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+        const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user.id, req.body.code);
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            data: { recoveryCodes },
+        });
+    });
+
+    /**
+     * ADMINISTRATION : Sessions ouvertes d'un compte.
+     */
+    getUserSessions = asyncHandler(async (req, res) => {
+        const sessions = await userService.listUserSessions(req.params.id);
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            results: sessions.length,
+            data: { sessions },
+        });
+    });
+
+    /**
+     * ADMINISTRATION : Tentatives de connexion d'un compte (verrouillages, nouveaux appareils).
+     */
+    getUserLoginEvents = asyncHandler(async (req, res) => {
+        const events = await userService.listUserLoginEvents(req.params.id);
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            results: events.length,
+            data: { events },
+        });
+    });
+
+    /**
+     * ADMINISTRATION : POST /:id/impersonate — "voir en tant que client".
+     * Le token est retourné dans le corps uniquement : aucun cookie de refresh,
+     * la session de l'administrateur reste intacte.
+     */
+    impersonateUser = asyncHandler(async (req, res) => {
+        const result = await impersonationService.startImpersonation(
+            req.user,
+            req.params.id,
+            { reason: req.body.reason, readOnly: req.body.readOnly ?? true },
+            {
+                userAgent: req.get('user-agent')?.slice(0, 512) ?? null,
+                ipAddress: getClientIp(req).slice(0, 45),
+            }
+        );
+
+        res.set('Cache-Control', 'no-store');
+        res.status(HTTP_STATUS.CREATED).json({
+            status: 'success',
+            data: result,
+        });
+    });
+
+    /**
+     * ADMINISTRATION : Journal des sessions d'impersonation, filtrable par agent et par client.
+     */
+    getImpersonations = asyncHandler(async (req, res) => {
+        const result = await impersonationService.listSessions({
+            adminId: req.query.adminId || null,
+            userId: req.query.userId || null,
+            page: parseInt(req.query.page, 10) || 1,
+            limit: Math.min(parseInt(req.query.limit, 10) || 20, 100),
+        });
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            data: result,
+        });
+    });
+
+    /**
+     * ADMINISTRATION : Détail d'une session et requêtes émises, tous services confondus.
+     */
+    getImpersonation = asyncHandler(async (req, res) => {
+        const impersonation = await impersonationService.getSession(req.params.impersonationId);
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            data: { impersonation },
+        });
+    });
+
+    /**
+     * ADMINISTRATION : Révoque une session (DELETE /:id/sessions/:sessionId)
+     * ou toutes les sessions d'un compte (DELETE /:id/sessions).
+     */
+    revokeUserSessions = asyncHandler(async (req, res) => {
+        const revoked = await userService.revokeUserSessions(
+            req.params.id,
+            req.params.sessionId ?? null,
+            req.user.id
+        );
+
+        if (revoked === null) {
+            return res.status(HTTP_STATUS.NO_CONTENT).send();
+        }
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            message: 'Toutes les sessions du compte ont été révoquées',
+            data: { revoked },
+        });
+    });
+
     /**
      * ADMINISTRATION : Liste tous les comptes utilisateurs avec filtres et pagination.
      */
@@ -99,7 +345,7 @@ class UserController {
     });
 
     /**
-     * ADMINISTRATION : Supprime un compte utilisateur.
+     * ADMINISTRATION : Supprime un compte utilisateur et efface ses données dans tous les services.
      * L'ID de l'admin courant est transmis au service pour prévenir l'auto-suppression.
      */
     deleteUser = asyncHandler(async (req, res) => {
@@ -109,14 +355,15 @@ class UserController {
 
     /**
      * ADMINISTRATION : Met à jour le rôle et/ou le statut (isActive) d'un compte.
-     * L'ID de l'admin courant est transmis au service pour prévenir l'auto-modification.
+     * L'acteur courant est transmis au service : auto-modification interdite
+     * et rôle attribué limité à ses propres permissions.
      */
     updatePrivileges = asyncHandler(async (req, res) => {
         const { role, isActive } = req.body;
         const updatedUser = await userService.updatePrivileges(
             req.params.id,
             { role, isActive },
-            req.user.id
+            req.user
         );
 
         res.status(HTTP_STATUS.OK).json({
@@ -125,6 +372,24 @@ class UserController {
             data: { user: updatedUser },
         });
     });
+
+    /**
+     * ADMINISTRATION : Ajoute un rôle à un compte sans retirer les autres
+     * (ex : WAREHOUSE + CATALOG_EDITOR).
+     */
+    assignRole = asyncHandler(async (req, res) => {
+        const result = await userService.assignUserRole(req.params.id, req.body.role, req.user);
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            data: { assignment: result },
+        });
+    });
+
+    removeRole = asyncHandler(async (req, res) => {
+        await userService.removeUserRole(req.params.id, req.params.roleName, req.user);
+        res.status(HTTP_STATUS.NO_CONTENT).send();
+    });
 }
 
 export const userController = new UserController();
\ No newline at end of file
@@ -3,13 +3,44 @@
  *
  * Protège les routes en vérifiant le JWT Access Token présent dans le header Authorization.
  * Hydrate req.user avec les données de l'utilisateur et ses rôles pour les middlewares suivants.
+ *
+ * Token d'impersonation ("voir en tant que client", voir impersonationService) :
+ * req.user est le client, req.user.impersonation porte la session. Chaque requête
+ * est journalisée ; le compte et sa sécurité (profil, mot de passe, 2FA, sessions)
+ * ne sont jamais modifiables ainsi, même hors lecture seule.
  */
 import { tokenService } from '../services/token.service.js';
+import { impersonationService } from '../services/impersonation.service.js';
 import { usersRepo, rolesRepo } from '../repositories/index.js';
 import { AppError } from '../utils/appError.js';
 import { HTTP_STATUS } from '../constants/httpStatus.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
 
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+/**
+ * Journalise la requête une fois la réponse envoyée (statut compris),
+ * puis refuse toute écriture.
+ */
+const guardImpersonatedRequest = (req, res, impersonation) => {
+    res.on('finish', () => {
+        impersonationService.recordRequestSafely({
+            sessionId: impersonation.sessionId,
+            service: 'auth',
+            method: req.method,
+            path: req.originalUrl,
+            statusCode: res.statusCode,
+        });
+    });
+
+    if (!SAFE_METHODS.has(req.method)) {
+        throw new AppError(
+            "Session d'impersonation : le compte client ne peut pas être modifié.",
+            HTTP_STATUS.FORBIDDEN
+        );
+    }
+};
+
 export const protect = asyncHandler(async (req, res, next) => {
     let token;
     if (req.headers.authorization?.startsWith('Bearer')) {
@@ -25,6 +56,11 @@ export const protect = asyncHandler(async (req, res, next) => {
         throw new AppError('Token invalide ou expiré.', HTTP_STATUS.UNAUTHORIZED);
     }
 
+    const impersonation = impersonationService.fromToken(decoded);
+    if (impersonation) {
+        guardImpersonatedRequest(req, res, impersonation);
+    }
+
     const user = await usersRepo.findById(decoded.id || decoded.sub);
     if (!user) {
         throw new AppError("L'utilisateur associé à ce token n'existe plus.", HTTP_STATUS.UNAUTHORIZED);
@@ -34,12 +70,35 @@ export const protect = asyncHandler(async (req, res, next) => {
         throw new AppError('Ce compte a été suspendu. Accès révoqué.', HTTP_STATUS.FORBIDDEN);
     }
 
-    const roles = await rolesRepo.listUserRoles(user.id);
+    // Lecture en base plutôt que depuis le token : un retrait de rôle
+    // s'applique immédiatement dans l'auth-service (gestion des comptes).
+    const [roles, permissions] = await Promise.all([
+        rolesRepo.listUserRoles(user.id),
+        rolesRepo.listUserPermissions(user.id),
+    ]);
 
     req.user = {
         ...user,
         roles: roles.map((r) => r.name),
+        permissions,
+        sessionId: decoded.sid ?? null,
+        impersonation,
     };
 
     next();
-});
\ No newline at end of file
+});
+
+/**
+ * Refuse la route à un token d'impersonation, même en lecture
+ * (ex : export RGPD, réservé au titulaire du compte).
+ * À placer après `protect`.
+ */
+export const denyImpersonation = (req, _res, next) => {
+    if (req.user?.impersonation) {
+        return next(new AppError(
+            "Cette action est réservée au titulaire du compte (session d'impersonation).",
+            HTTP_STATUS.FORBIDDEN
+        ));
+    }
+    next();
+};
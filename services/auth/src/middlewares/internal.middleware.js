@@ -0,0 +1,46 @@
+/**
+ * @module Middlewares/Internal
+ *
+ * Protège les routes /internal de l'auth-service ; le Gateway Nginx les bloque en amont.
+ *
+ * Le journal d'impersonation a son propre secret (INTERNAL_AUDIT_SECRET), distribué
+ * à tous les services qui le rapportent. INTERNAL_AUTH_SECRET ouvre les routes
+ * internes de l'order-service (effacement, export, rattachement des commandes) :
+ * il ne doit pas quitter l'auth-service pour un simple envoi de journal.
+ *
+ * timingSafeEqual prévient les attaques par timing (comparaison caractère par caractère).
+ */
+import { timingSafeEqual } from 'crypto';
+import { ENV } from '../config/environment.js';
+import { AppError } from '../utils/appError.js';
+import { HTTP_STATUS } from '../constants/httpStatus.js';
+import { logError } from '../utils/logger.js';
+
+const AUDIT_SECRET = ENV.services.auditSecret || '';
+
+export const fromAuditingService = (req, _res, next) => {
+    const provided = req.headers['x-internal-secret'] || '';
+
+    try {
+        const expected = Buffer.from(AUDIT_SECRET);
+        const received = Buffer.from(provided.padEnd(AUDIT_SECRET.length, '\0'));
+
+        const isValid =
+            expected.length > 0 &&
+            expected.length === received.length &&
+            timingSafeEqual(expected, received);
+
+        if (!isValid) {
+            logError(new Error('Tentative accès interne avec secret invalide'), {
+                context: 'internal.middleware',
+                ip: req.ip,
+                path: req.originalUrl,
+            });
+            return next(new AppError('Accès interdit', HTTP_STATUS.FORBIDDEN));
+        }
+    } catch {
+        return next(new AppError('Accès interdit', HTTP_STATUS.FORBIDDEN));
+    }
+
+    next();
+};
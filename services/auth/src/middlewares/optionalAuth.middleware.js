@@ -38,11 +38,15 @@ export const optionalAuth = asyncHandler(async (req, _res, next) => {
             return next();
         }
 
-        const roles = await rolesRepo.listUserRoles(user.id);
+        const [roles, permissions] = await Promise.all([
+            rolesRepo.listUserRoles(user.id),
+            rolesRepo.listUserPermissions(user.id),
+        ]);
 
         req.user = {
             ...user,
             roles: roles.map((role) => role.name),
+            permissions,
         };
 
         next();
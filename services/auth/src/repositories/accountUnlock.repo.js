@@ -0,0 +1,78 @@
+/**
+ * @module Repository/AccountUnlockTokens
+ *
+ * Gère la persistance des tokens de déverrouillage de compte.
+ *
+ * SÉCURITÉ :
+ * - Le token brut n'est JAMAIS manipulé ici — seul le hash SHA-256 transite
+ * - Requêtes paramétrées uniquement (protection SQL injection)
+ */
+import { pgPool } from '../config/database.js';
+import { mapRow } from './_mappers.js';
+
+export const accountUnlockRepo = {
+    /**
+     * Remplace le token actif de l'utilisateur : chaque verrouillage invalide le lien précédent.
+     *
+     * @param {string} userId    - UUID de l'utilisateur
+     * @param {string} tokenHash - Hash SHA-256 du token brut
+     * @returns {Promise<Object>} Enregistrement créé
+     */
+    async createToken(userId, tokenHash) {
+        const client = await pgPool.connect();
+        try {
+            await client.query('BEGIN');
+
+            await client.query(
+                `DELETE FROM account_unlock_tokens WHERE user_id = $1`,
+                [userId]
+            );
+
+            const { rows } = await client.query(
+                `INSERT INTO account_unlock_tokens (user_id, token_hash)
+                 VALUES ($1, $2)
+                 RETURNING *`,
+                [userId, tokenHash]
+            );
+
+            await client.query('COMMIT');
+            return mapRow(rows[0]);
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    },
+
+    /**
+     * Recherche un token valide (non expiré) par son hash.
+     *
+     * @param {string} tokenHash - Hash SHA-256 du token brut
+     * @returns {Promise<Object|null>}
+     */
+    async findValidToken(tokenHash) {
+        const { rows } = await pgPool.query(
+            `SELECT * FROM account_unlock_tokens
+             WHERE token_hash = $1
+               AND expires_at > NOW()`,
+            [tokenHash]
+        );
+        return mapRow(rows[0]);
+    },
+
+    /**
+     * Supprime tous les tokens de l'utilisateur une fois le compte déverrouillé.
+     * Accepte un client de transaction pour être atomique avec la levée du verrou.
+     *
+     * @param {string} userId - UUID de l'utilisateur
+     * @returns {Promise<boolean>} true si au moins un token a été supprimé
+     */
+    async deleteUserTokens(userId, client = pgPool) {
+        const { rowCount } = await client.query(
+            `DELETE FROM account_unlock_tokens WHERE user_id = $1`,
+            [userId]
+        );
+        return rowCount > 0;
+    },
+};
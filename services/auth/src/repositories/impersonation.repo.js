@@ -0,0 +1,93 @@
+/**
+ * @module Repository/Impersonation
+ *
+ * Sessions "voir en tant que client" et journal des requêtes émises
+ * avec leur token, consultables depuis le back-office.
+ */
+import { pgPool } from '../config/database.js';
+import { mapRow, mapRows } from './_mappers.js';
+
+export const impersonationRepo = {
+  async createSession({ adminId, adminEmail, userId, reason, readOnly, ipAddress = null, userAgent = null, expiresAt }) {
+    const { rows } = await pgPool.query(
+      `INSERT INTO impersonation_sessions
+               (admin_id, admin_email, user_id, reason, read_only, ip_address, user_agent, expires_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+             RETURNING *`,
+      [adminId, adminEmail, userId, reason, readOnly, ipAddress, userAgent, expiresAt]
+    );
+
+    return mapRow(rows[0]);
+  },
+
+  async findSessionById(id) {
+    const { rows } = await pgPool.query(
+      `SELECT s.*, u.email AS user_email, COUNT(r.id)::int AS request_count
+             FROM impersonation_sessions s
+             JOIN users u ON u.id = s.user_id
+             LEFT JOIN impersonation_requests r ON r.session_id = s.id
+             WHERE s.id = $1
+             GROUP BY s.id, u.email`,
+      [id]
+    );
+
+    return mapRow(rows[0]);
+  },
+
+  /**
+   * Sessions les plus récentes, filtrables par agent et par client.
+   */
+  async listSessions({ adminId = null, userId = null, page = 1, limit = 20 } = {}) {
+    const values = [adminId, userId];
+    const where = `WHERE ($1::uuid IS NULL OR s.admin_id = $1)
+               AND ($2::uuid IS NULL OR s.user_id = $2)`;
+
+    const { rows: countRows } = await pgPool.query(
+      `SELECT COUNT(*)::int AS total FROM impersonation_sessions s ${where}`,
+      values
+    );
+    const total = countRows[0].total;
+
+    const { rows } = await pgPool.query(
+      `SELECT s.id, s.admin_id, s.admin_email, s.user_id, u.email AS user_email,
+              s.reason, s.read_only, s.expires_at, s.created_at,
+              (SELECT COUNT(*)::int FROM impersonation_requests r WHERE r.session_id = s.id) AS request_count
+             FROM impersonation_sessions s
+             JOIN users u ON u.id = s.user_id
+             ${where}
+             ORDER BY s.created_at DESC
+             LIMIT $3 OFFSET $4`,
+      [...values, limit, (page - 1) * limit]
+    );
+
+    return {
+      sessions: mapRows(rows),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    };
+  },
+
+  async createRequest({ sessionId, service, method, path, statusCode = null }) {
+    await pgPool.query(
+      `INSERT INTO impersonation_requests (session_id, service, method, path, status_code)
+             VALUES ($1, $2, $3, $4, $5)`,
+      [sessionId, service, method, path, statusCode]
+    );
+  },
+
+  async listRequests(sessionId) {
+    const { rows } = await pgPool.query(
+      `SELECT id, service, method, path, status_code, created_at
+             FROM impersonation_requests
+             WHERE session_id = $1
+             ORDER BY created_at, id`,
+      [sessionId]
+    );
+
+    return mapRows(rows);
+  },
+};
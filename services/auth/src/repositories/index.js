@@ -7,4 +7,7 @@
  */
 export { usersRepo } from './users.repo.js';
 export { rolesRepo } from './roles.repo.js';
-export { refreshTokensRepo } from './refreshTokens.repo.js';
\ No newline at end of file
+export { refreshTokensRepo } from './refreshTokens.repo.js';
+export { twoFactorRepo } from './twoFactor.repo.js';
+export { loginEventsRepo } from './loginEvents.repo.js';
+export { impersonationRepo } from './impersonation.repo.js';
@@ -0,0 +1,68 @@
+/**
+ * @module Repository/LoginEvents
+ *
+ * Journal des tentatives de connexion (issue, IP, User-Agent).
+ * Rétention 90 jours : purge par cleanup_expired_tokens().
+ */
+import { pgPool } from '../config/database.js';
+import { mapRow, mapRows } from './_mappers.js';
+import { LOGIN_OUTCOME } from '../constants/enums.js';
+
+export const loginEventsRepo = {
+  async create({ userId = null, email = null, outcome, ipAddress = null, userAgent = null }) {
+    const { rows } = await pgPool.query(
+      `INSERT INTO login_events (user_id, email, outcome, ip_address, user_agent)
+             VALUES ($1, LOWER($2), $3, $4, $5)
+             RETURNING *`,
+      [userId, email, outcome, ipAddress, userAgent]
+    );
+
+    return mapRow(rows[0]);
+  },
+
+  /**
+   * Indique si l'appareil (User-Agent) a déjà servi à une connexion réussie.
+   * `hasHistory` à false : aucune connexion réussie connue (compte antérieur
+   * au journal), il n'y a alors rien à comparer.
+   *
+   * @returns {Promise<{ hasHistory: boolean, known: boolean }>}
+   */
+  async findDeviceHistory(userId, userAgent) {
+    const { rows } = await pgPool.query(
+      `SELECT COUNT(*) > 0                                                AS has_history,
+              COUNT(*) FILTER (WHERE user_agent IS NOT DISTINCT FROM $3) > 0 AS known
+             FROM login_events
+             WHERE user_id = $1 AND outcome = $2`,
+      [userId, LOGIN_OUTCOME.SUCCESS, userAgent]
+    );
+
+    return mapRow(rows[0]);
+  },
+
+  async listByUser(userId, limit = 50) {
+    const { rows } = await pgPool.query(
+      `SELECT id, outcome, ip_address, user_agent, created_at
+             FROM login_events
+             WHERE user_id = $1
+             ORDER BY created_at DESC
+             LIMIT $2`,
+      [userId, limit]
+    );
+
+    return mapRows(rows);
+  },
+
+  /**
+   * Tentatives sur une adresse encore inconnue au moment de la saisie (user_id NULL).
+   * Celles rattachées au compte disparaissent avec lui (ON DELETE CASCADE).
+   */
+  async deleteUnlinkedByEmail(email) {
+    const { rowCount } = await pgPool.query(
+      `DELETE FROM login_events
+             WHERE user_id IS NULL AND email = LOWER($1)`,
+      [email]
+    );
+
+    return rowCount;
+  },
+};
@@ -0,0 +1,79 @@
+/**
+ * @module Repository/MagicLinkTokens
+ *
+ * Gère la persistance des liens de connexion sans mot de passe.
+ * Les tokens sont rattachés à l'email : le compte peut ne pas encore exister.
+ *
+ * SÉCURITÉ :
+ * - Le token brut n'est JAMAIS manipulé ici — seul le hash SHA-256 transite
+ * - Requêtes paramétrées uniquement (protection SQL injection)
+ */
+import { pgPool } from '../config/database.js';
+import { mapRow } from './_mappers.js';
+
+export const magicLinkRepo = {
+    /**
+     * Remplace le lien actif de l'adresse : chaque demande invalide la précédente.
+     *
+     * @param {string} email     - Email normalisé (minuscules)
+     * @param {string} tokenHash - Hash SHA-256 du token brut
+     * @returns {Promise<Object>} Enregistrement créé
+     */
+    async createToken(email, tokenHash) {
+        const client = await pgPool.connect();
+        try {
+            await client.query('BEGIN');
+
+            await client.query(
+                `DELETE FROM magic_link_tokens WHERE email = $1`,
+                [email]
+            );
+
+            const { rows } = await client.query(
+                `INSERT INTO magic_link_tokens (email, token_hash)
+                 VALUES ($1, $2)
+                 RETURNING *`,
+                [email, tokenHash]
+            );
+
+            await client.query('COMMIT');
+            return mapRow(rows[0]);
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    },
+
+    /**
+     * Consomme un token valide : lecture et suppression en une seule requête,
+     * deux clics simultanés sur le même lien ne peuvent pas ouvrir deux sessions.
+     * Un token expiré est laissé au cron de nettoyage.
+     *
+     * @param {string} tokenHash - Hash SHA-256 du token brut
+     * @returns {Promise<Object|null>} Enregistrement consommé
+     */
+    async consumeToken(tokenHash) {
+        const { rows } = await pgPool.query(
+            `DELETE FROM magic_link_tokens
+             WHERE token_hash = $1
+               AND expires_at > NOW()
+             RETURNING *`,
+            [tokenHash]
+        );
+        return mapRow(rows[0]);
+    },
+
+    /**
+     * Invalide le lien en attente d'une adresse (suppression du compte).
+     *
+     * @param {string} email - Email normalisé (minuscules)
+     */
+    async deleteByEmail(email) {
+        await pgPool.query(
+            `DELETE FROM magic_link_tokens WHERE email = $1`,
+            [email]
+        );
+    },
+};
@@ -6,20 +6,73 @@
  * la révocation individuelle (logout d'un appareil) ou globale (compromission de compte).
  */
 import { pgPool } from '../config/database.js';
-import { mapRow } from './_mappers.js';
+import { mapRow, mapRows } from './_mappers.js';
 
 export const refreshTokensRepo = {
-  async create({ userId, token, expiresAt }) {
-    const { rows } = await pgPool.query(
-      `INSERT INTO refresh_tokens (user_id, token, expires_at)
-             VALUES ($1, $2, $3)
+  /**
+   * Sans familyId, le jeton ouvre une nouvelle famille (connexion) ;
+   * avec, il succède à un jeton de cette famille (rotation).
+   */
+  async create({ userId, token, expiresAt, familyId = null, userAgent = null, ipAddress = null }, client = pgPool) {
+    const { rows } = await client.query(
+      `INSERT INTO refresh_tokens (user_id, token, expires_at, family_id, user_agent, ip_address)
+             VALUES ($1, $2, $3, COALESCE($4, gen_random_uuid()), $5, $6)
              RETURNING *`,
-      [userId, token, expiresAt]
+      [userId, token, expiresAt, familyId, userAgent, ipAddress]
     );
 
     return mapRow(rows[0]);
   },
 
+  /**
+   * Sessions ouvertes d'un utilisateur : une ligne par famille, portée par son jeton courant.
+   * `id` est l'identifiant de famille — le jeton lui-même n'est jamais exposé.
+   * `lastUsedAt` correspond au dernier renouvellement (l'access token n'est pas tracé).
+   */
+  async listActiveSessions(userId) {
+    const { rows } = await pgPool.query(
+      `SELECT cur.family_id AS id,
+              cur.user_agent,
+              cur.ip_address,
+              (SELECT MIN(f.created_at) FROM refresh_tokens f WHERE f.family_id = cur.family_id) AS created_at,
+              cur.created_at AS last_used_at,
+              cur.expires_at
+             FROM refresh_tokens cur
+             WHERE cur.user_id = $1
+               AND cur.rotated_at IS NULL
+               AND cur.expires_at > NOW()
+             ORDER BY cur.created_at DESC`,
+      [userId]
+    );
+
+    return mapRows(rows);
+  },
+
+  /**
+   * Révoque une session d'un utilisateur donné.
+   * Le filtre user_id empêche de révoquer la session d'un autre compte par son id.
+   */
+  async revokeUserFamily(userId, familyId) {
+    const { rows } = await pgPool.query(
+      `DELETE FROM refresh_tokens WHERE user_id = $1 AND family_id = $2 RETURNING token`,
+      [userId, familyId]
+    );
+
+    return rows.map((row) => row.token);
+  },
+
+  /**
+   * Révoque toutes les sessions d'un utilisateur sauf une ("déconnecter les autres appareils").
+   */
+  async revokeOtherFamilies(userId, keptFamilyId) {
+    const { rows } = await pgPool.query(
+      `DELETE FROM refresh_tokens WHERE user_id = $1 AND family_id <> $2 RETURNING token`,
+      [userId, keptFamilyId]
+    );
+
+    return rows.map((row) => row.token);
+  },
+
   /**
    * Recherche un jeton pour valider une demande de refresh.
    * Le service doit vérifier expires_at après cet appel
@@ -34,6 +87,55 @@ export const refreshTokensRepo = {
     return mapRow(rows[0]);
   },
 
+  /**
+   * Verrouille le jeton pendant la rotation : deux refresh simultanés avec
+   * le même jeton sont sérialisés, le second voit la rotation du premier.
+   */
+  async findByTokenForUpdate(token, client) {
+    const { rows } = await client.query(
+      `SELECT * FROM refresh_tokens WHERE token = $1 FOR UPDATE`,
+      [token]
+    );
+
+    return mapRow(rows[0]);
+  },
+
+  /**
+   * Jeton successeur d'une rotation (replaced_by_id), dans la transaction de rotation.
+   */
+  async findById(id, client = pgPool) {
+    const { rows } = await client.query(
+      `SELECT * FROM refresh_tokens WHERE id = $1`,
+      [id]
+    );
+
+    return mapRow(rows[0]);
+  },
+
+  async markRotated(id, replacedById, client = pgPool) {
+    const { rowCount } = await client.query(
+      `UPDATE refresh_tokens
+             SET rotated_at = NOW(), replaced_by_id = $2
+             WHERE id = $1`,
+      [id, replacedById]
+    );
+
+    return rowCount > 0;
+  },
+
+  /**
+   * Révoque tous les jetons d'une famille (rotations comprises).
+   * Retourne les jetons supprimés pour purger leurs entrées Redis.
+   */
+  async revokeFamily(familyId, client = pgPool) {
+    const { rows } = await client.query(
+      `DELETE FROM refresh_tokens WHERE family_id = $1 RETURNING token`,
+      [familyId]
+    );
+
+    return rows.map((row) => row.token);
+  },
+
   /**
    * Révoque un jeton spécifique (déconnexion d'un seul appareil).
    */
@@ -49,14 +151,15 @@ export const refreshTokensRepo = {
   /**
    * Révoque tous les jetons d'un utilisateur.
    * Utilisé en cas de changement de mot de passe ou de suspicion de compromission.
+   * Retourne les jetons supprimés pour purger leurs entrées Redis.
    */
   async revokeByUserId(userId) {
-    const { rowCount } = await pgPool.query(
-      `DELETE FROM refresh_tokens WHERE user_id = $1`,
+    const { rows } = await pgPool.query(
+      `DELETE FROM refresh_tokens WHERE user_id = $1 RETURNING token`,
       [userId]
     );
 
-    return rowCount > 0;
+    return rows.map((row) => row.token);
   },
 
   /**
@@ -91,7 +91,7 @@ export const rolesRepo = {
    */
   async seedDefaults() {
     await pgPool.query(
-      `INSERT INTO roles (name) VALUES ('user'), ('admin'), ('visitor')
+      `INSERT INTO roles (name) VALUES ('USER'), ('ADMIN')
              ON CONFLICT (name) DO NOTHING`
     );
   },
@@ -139,6 +139,85 @@ export const rolesRepo = {
     return rowCount > 0;
   },
 
+  /**
+   * Union des permissions des rôles d'un utilisateur.
+   * Signée dans l'access token et vérifiée par requirePermission().
+   *
+   * @returns {Promise<string[]>} Codes "ressource:action" triés
+   */
+  async listUserPermissions(userId) {
+    validateUUID(userId, 'userId');
+
+    const { rows } = await pgPool.query(
+      `SELECT DISTINCT rp.permission_code
+             FROM user_roles ur
+             JOIN role_permissions rp ON rp.role_id = ur.role_id
+             WHERE ur.user_id = $1
+             ORDER BY rp.permission_code`,
+      [userId]
+    );
+    return rows.map((row) => row.permission_code);
+  },
+
+  /**
+   * Catalogue des permissions attribuables.
+   */
+  async listPermissions() {
+    const { rows } = await pgPool.query(`SELECT * FROM permissions ORDER BY code ASC`);
+    return mapRows(rows);
+  },
+
+  /**
+   * Rôles avec leurs permissions et leur nombre de titulaires (écran d'administration).
+   */
+  async listWithPermissions() {
+    const { rows } = await pgPool.query(
+      `SELECT r.*,
+              COALESCE(
+                ARRAY_AGG(rp.permission_code ORDER BY rp.permission_code)
+                  FILTER (WHERE rp.permission_code IS NOT NULL),
+                '{}'
+              ) AS permissions,
+              (SELECT COUNT(*)::int FROM user_roles ur WHERE ur.role_id = r.id) AS user_count
+             FROM roles r
+             LEFT JOIN role_permissions rp ON rp.role_id = r.id
+             GROUP BY r.id
+             ORDER BY r.id ASC`
+    );
+    return mapRows(rows);
+  },
+
+  async listRolePermissions(roleId) {
+    const { rows } = await pgPool.query(
+      `SELECT permission_code FROM role_permissions WHERE role_id = $1 ORDER BY permission_code`,
+      [roleId]
+    );
+    return rows.map((row) => row.permission_code);
+  },
+
+  /**
+   * Remplace les permissions d'un rôle.
+   * Les codes inconnus sont rejetés par la clé étrangère (rollback complet).
+   */
+  async setRolePermissions(roleId, permissionCodes) {
+    const client = await pgPool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(`DELETE FROM role_permissions WHERE role_id = $1`, [roleId]);
+      await client.query(
+        `INSERT INTO role_permissions (role_id, permission_code)
+               SELECT $1, code FROM UNNEST($2::text[]) AS code`,
+        [roleId, permissionCodes]
+      );
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
   /**
    * Retourne les rôles d'un utilisateur via jointure.
    * Utilisé par l'AuthService pour construire le payload JWT et vérifier les permissions.
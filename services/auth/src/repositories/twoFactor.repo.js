@@ -0,0 +1,129 @@
+/**
+ * @module Repository/TwoFactor
+ *
+ * Gère la persistance des secrets TOTP et des codes de secours.
+ *
+ * SÉCURITÉ :
+ * - Le secret n'arrive ici que chiffré, les codes de secours que hachés
+ */
+import { pgPool } from '../config/database.js';
+import { mapRow, mapRows } from './_mappers.js';
+
+export const twoFactorRepo = {
+  async findByUserId(userId) {
+    const { rows } = await pgPool.query(
+      `SELECT * FROM user_two_factor WHERE user_id = $1`,
+      [userId]
+    );
+
+    return mapRow(rows[0]);
+  },
+
+  /**
+   * Démarre (ou redémarre) un enrôlement : le secret remplace le précédent
+   * tant que la 2FA n'est pas activée. Ne touche jamais une 2FA active.
+   * Retourne null si la 2FA est déjà active.
+   */
+  async upsertPending(userId, secretEncrypted) {
+    const { rows } = await pgPool.query(
+      `INSERT INTO user_two_factor (user_id, secret_encrypted)
+             VALUES ($1, $2)
+             ON CONFLICT (user_id) DO UPDATE
+               SET secret_encrypted = EXCLUDED.secret_encrypted,
+                   last_used_step   = NULL
+             WHERE user_two_factor.enabled_at IS NULL
+             RETURNING *`,
+      [userId, secretEncrypted]
+    );
+
+    return mapRow(rows[0]);
+  },
+
+  async enable(userId, step, client = pgPool) {
+    const { rows } = await client.query(
+      `UPDATE user_two_factor
+             SET enabled_at = NOW(), last_used_step = $2
+             WHERE user_id = $1 AND enabled_at IS NULL
+             RETURNING *`,
+      [userId, step]
+    );
+
+    return mapRow(rows[0]);
+  },
+
+  /**
+   * Enregistre le pas de temps d'un code accepté.
+   * La condition rend l'opération atomique : deux requêtes avec le même code,
+   * une seule l'emporte (rowCount = 1).
+   */
+  async consumeStep(userId, step) {
+    const { rowCount } = await pgPool.query(
+      `UPDATE user_two_factor
+             SET last_used_step = $2
+             WHERE user_id = $1 AND (last_used_step IS NULL OR last_used_step < $2)`,
+      [userId, step]
+    );
+
+    return rowCount > 0;
+  },
+
+  /**
+   * Supprime la 2FA et ses codes de secours.
+   */
+  async remove(userId) {
+    const client = await pgPool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(`DELETE FROM two_factor_recovery_codes WHERE user_id = $1`, [userId]);
+      const { rowCount } = await client.query(`DELETE FROM user_two_factor WHERE user_id = $1`, [userId]);
+      await client.query('COMMIT');
+      return rowCount > 0;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  /**
+   * Remplace tous les codes de secours de l'utilisateur en une seule requête
+   * (atomique même hors transaction).
+   *
+   * @param {Array<{ codeHash: string, salt: string }>} codes
+   */
+  async replaceRecoveryCodes(userId, codes, client = pgPool) {
+    await client.query(
+      `WITH previous AS (
+               DELETE FROM two_factor_recovery_codes WHERE user_id = $1::uuid
+             )
+             INSERT INTO two_factor_recovery_codes (user_id, code_hash, salt)
+             SELECT $1::uuid, c.code_hash, c.salt
+             FROM UNNEST($2::text[], $3::text[]) AS c(code_hash, salt)`,
+      [userId, codes.map((c) => c.codeHash), codes.map((c) => c.salt)]
+    );
+  },
+
+  async listUnusedRecoveryCodes(userId) {
+    const { rows } = await pgPool.query(
+      `SELECT id, code_hash, salt FROM two_factor_recovery_codes
+             WHERE user_id = $1 AND used_at IS NULL`,
+      [userId]
+    );
+
+    return mapRows(rows);
+  },
+
+  /**
+   * Marque un code de secours comme utilisé. Retourne false s'il l'était déjà
+   * (requête concurrente avec le même code).
+   */
+  async useRecoveryCode(id) {
+    const { rowCount } = await pgPool.query(
+      `UPDATE two_factor_recovery_codes SET used_at = NOW() WHERE id = $1 AND used_at IS NULL`,
+      [id]
+    );
+
+    return rowCount > 0;
+  },
+};
@@ -56,7 +56,7 @@ export const usersRepo = {
     const offset = (page - 1) * limit;
 
     let query = `
-      SELECT id, email, first_name, last_name, phone, is_active, created_at
+      SELECT id, email, first_name, last_name, phone, is_active, email_verified_at, created_at
       FROM users
       WHERE 1=1
     `;
@@ -139,6 +139,67 @@ export const usersRepo = {
     return mapRow(rows[0]);
   },
 
+  /**
+   * Marque l'email comme vérifié. Idempotent : une date déjà posée est conservée.
+   * Accepte un client de transaction pour être atomique avec la consommation du token.
+   */
+  async markEmailVerified(id, client = pgPool) {
+    validateUUID(id, 'userId');
+
+    const { rows } = await client.query(
+      `UPDATE users
+             SET email_verified_at = COALESCE(email_verified_at, NOW()),
+                 updated_at        = NOW()
+             WHERE id = $1
+             RETURNING *`,
+      [id]
+    );
+
+    return mapRow(rows[0]);
+  },
+
+  /**
+   * Compteur d'échecs de connexion en base — repli quand Redis est indisponible.
+   * Incrément atomique : retourne la valeur après incrément.
+   */
+  async incrementFailedLogins(id) {
+    validateUUID(id, 'userId');
+
+    const { rows } = await pgPool.query(
+      `UPDATE users
+             SET failed_login_count = failed_login_count + 1
+             WHERE id = $1
+             RETURNING failed_login_count`,
+      [id]
+    );
+
+    return rows[0]?.failed_login_count ?? 0;
+  },
+
+  async lockUntil(id, lockedUntil) {
+    validateUUID(id, 'userId');
+
+    await pgPool.query(
+      `UPDATE users SET locked_until = $2 WHERE id = $1`,
+      [id, lockedUntil]
+    );
+  },
+
+  /**
+   * Remet à zéro le compteur d'échecs et lève le verrouillage.
+   * La condition évite une écriture à chaque connexion réussie d'un compte sain.
+   */
+  async clearLoginFailures(id, client = pgPool) {
+    validateUUID(id, 'userId');
+
+    await client.query(
+      `UPDATE users
+             SET failed_login_count = 0, locked_until = NULL
+             WHERE id = $1 AND (failed_login_count > 0 OR locked_until IS NOT NULL)`,
+      [id]
+    );
+  },
+
   async deleteById(id) {
     validateUUID(id, 'userId');
 
@@ -6,7 +6,8 @@
 import { Router } from 'express';
 import { authController } from '../controllers/auth.controller.js';
 import { validateEmail, validatePasswordStrength, validateRequired } from '../utils/validation.js';
-import { authLimiter, passwordResetLimiter } from '../config/security.js';
+import { authLimiter, passwordResetLimiter, emailVerificationLimiter, twoFactorLimiter, magicLinkLimiter } from '../config/security.js';
+import { ValidationError } from '../utils/appError.js';
 
 const router = Router();
 
@@ -33,6 +34,70 @@ router.post('/login',
     authController.login
 );
 
+// ─── Connexion sans mot de passe (lien magique) ───────────────────────────────
+
+/**
+ * POST /api/v1/auth/magic-link
+ *
+ * Même réponse que l'email corresponde à un compte ou non (anti-énumération).
+ */
+router.post('/magic-link',
+    magicLinkLimiter,
+    (req, _res, next) => {
+        validateRequired(req.body, ['email']);
+        validateEmail(req.body.email);
+        next();
+    },
+    authController.requestMagicLink
+);
+
+/**
+ * POST /api/v1/auth/magic-link/verify
+ *
+ * Consomme le lien (usage unique, 15 min) ; crée le compte à la première utilisation.
+ */
+router.post('/magic-link/verify',
+    magicLinkLimiter,
+    (req, _res, next) => {
+        validateRequired(req.body, ['token']);
+        next();
+    },
+    authController.loginWithMagicLink
+);
+
+// ─── Double authentification (seconde étape du login) ─────────────────────────
+
+/**
+ * POST /api/v1/auth/2fa/setup
+ *
+ * Enrôlement imposé par la politique ADMIN, avant toute session.
+ */
+router.post('/2fa/setup',
+    twoFactorLimiter,
+    (req, _res, next) => {
+        validateRequired(req.body, ['challengeToken']);
+        next();
+    },
+    authController.twoFactorChallengeSetup
+);
+
+/**
+ * POST /api/v1/auth/2fa/verify
+ *
+ * Code TOTP ou code de secours ; 5 essais maximum par challenge.
+ */
+router.post('/2fa/verify',
+    twoFactorLimiter,
+    (req, _res, next) => {
+        validateRequired(req.body, ['challengeToken']);
+        if (!req.body.code && !req.body.recoveryCode) {
+            throw new ValidationError('Un code de vérification ou un code de secours est requis');
+        }
+        next();
+    },
+    authController.twoFactorVerify
+);
+
 // ─── Session ──────────────────────────────────────────────────────────────────
 router.post('/refresh', authController.refresh);
 router.post('/logout', authController.logout);
@@ -71,4 +136,52 @@ router.post('/reset-password',
     authController.resetPassword
 );
 
+// ─── Vérification de l'email ──────────────────────────────────────────────────
+
+/**
+ * POST /api/v1/auth/verify-email
+ *
+ * Consomme le token du lien email ; déclenche le rattachement des commandes guest.
+ */
+router.post('/verify-email',
+    emailVerificationLimiter,
+    (req, _res, next) => {
+        validateRequired(req.body, ['token']);
+        next();
+    },
+    authController.verifyEmail
+);
+
+/**
+ * POST /api/v1/auth/resend-verification
+ *
+ * Même réponse que l'email existe ou non, vérifié ou non (anti-énumération).
+ */
+router.post('/resend-verification',
+    emailVerificationLimiter,
+    (req, _res, next) => {
+        validateRequired(req.body, ['email']);
+        validateEmail(req.body.email);
+        next();
+    },
+    authController.resendVerification
+);
+
+// ─── Déverrouillage du compte ─────────────────────────────────────────────────
+
+/**
+ * POST /api/v1/auth/unlock-account
+ *
+ * Lien envoyé par email à chaque verrouillage ; limiteur partagé avec la
+ * vérification d'email (essai de tokens borné par IP).
+ */
+router.post('/unlock-account',
+    emailVerificationLimiter,
+    (req, _res, next) => {
+        validateRequired(req.body, ['token']);
+        next();
+    },
+    authController.unlockAccount
+);
+
 export default router;
\ No newline at end of file
@@ -4,7 +4,7 @@
  * Point d'entrée unique du routeur de l'auth-service.
  *
  * DIFFÉRENCE PAR RAPPORT AU MONOLITHE :
- * Seules les routes /auth et /users sont montées ici.
+ * Seules les routes /auth, /users et /roles sont montées ici.
  * Toutes les autres (products, orders, payments, etc.) sont
  * gérées par leurs services respectifs.
  *
@@ -16,6 +16,7 @@ import { Router } from 'express';
 import { generalLimiter } from '../config/security.js';
 import authRoutes from './auth.routes.js';
 import userRoutes from './users.routes.js';
+import roleRoutes from './roles.routes.js';
 
 const router = Router();
 
@@ -26,5 +27,6 @@ router.use(generalLimiter);
 
 router.use('/auth', authRoutes);
 router.use('/users', userRoutes);
+router.use('/roles', roleRoutes);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,59 @@
+/**
+ * @module Routes/Internal
+ *
+ * Endpoints de l'auth-service réservés aux services pairs.
+ * Non exposés via le Gateway Nginx (bloqué en amont par location /internal/*).
+ *
+ * Protégés par X-Internal-Secret (INTERNAL_AUDIT_SECRET) → fromAuditingService.
+ *
+ * Périmètre :
+ * ┌─────────────────────────────────────────────────────────────────────┐
+ * │ POST /internal/impersonation/requests → order, cart, payment,       │
+ * │                                          products (journal d'audit) │
+ * └─────────────────────────────────────────────────────────────────────┘
+ */
+import { Router } from 'express';
+import { impersonationService } from '../services/impersonation.service.js';
+import { fromAuditingService } from '../middlewares/internal.middleware.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { HTTP_STATUS } from '../constants/httpStatus.js';
+import { ValidationError } from '../utils/appError.js';
+import { validateRequired, validateUUID } from '../utils/validation.js';
+
+const router = Router();
+
+router.use(fromAuditingService);
+
+/**
+ * POST /internal/impersonation/requests
+ * Body : { sessionId, service, method, path, statusCode }
+ * Envoyé par chaque service à la fin d'une réponse à un token d'impersonation.
+ */
+router.post(
+    '/impersonation/requests',
+    asyncHandler(async (req, res) => {
+        validateRequired(req.body, ['sessionId', 'service', 'method', 'path']);
+        validateUUID(req.body.sessionId, 'sessionId');
+
+        const { sessionId, service, method, path, statusCode } = req.body;
+
+        if (typeof service !== 'string' || service.length > 30 || typeof method !== 'string' || method.length > 10) {
+            throw new ValidationError('service ou method invalide');
+        }
+        if (typeof path !== 'string') {
+            throw new ValidationError('path invalide');
+        }
+
+        await impersonationService.recordRequest({
+            sessionId,
+            service,
+            method,
+            path,
+            statusCode: Number.isInteger(statusCode) ? statusCode : null,
+        });
+
+        res.status(HTTP_STATUS.CREATED).json({ status: 'success' });
+    })
+);
+
+export default router;
@@ -0,0 +1,66 @@
+/**
+ * @module Routes/Roles
+ *
+ * Administration des rôles équipe (ex : WAREHOUSE, CATALOG_EDITOR) et de leurs permissions.
+ * L'attribution d'un rôle à un compte se fait sur /users/:id/roles.
+ */
+import { Router } from 'express';
+import { roleController } from '../controllers/roles.controller.js';
+import { protect } from '../middlewares/auth.middleware.js';
+import { requirePermission } from '../middlewares/role.middleware.js';
+import { PERMISSIONS } from '../constants/roles.js';
+import { validateRequired } from '../utils/validation.js';
+import { ValidationError } from '../utils/appError.js';
+
+const ROLE_NAME_PATTERN = /^[A-Z][A-Z0-9_]{1,49}$/;
+
+const validatePermissionList = (permissions) => {
+    if (!Array.isArray(permissions) || permissions.some((code) => typeof code !== 'string')) {
+        throw new ValidationError('permissions doit être un tableau de codes');
+    }
+};
+
+const router = Router();
+
+router.use(protect, requirePermission(PERMISSIONS.ROLES_MANAGE));
+
+router.param('roleId', (req, _res, next, value) => {
+    if (!/^\d+$/.test(value)) {
+        throw new ValidationError('roleId doit être un entier positif');
+    }
+    next();
+});
+
+router.get('/', roleController.getAllRoles);
+
+router.get('/permissions', roleController.getPermissions);
+
+router.post(
+    '/',
+    (req, _res, next) => {
+        validateRequired(req.body, ['name']);
+        if (typeof req.body.name !== 'string' || !ROLE_NAME_PATTERN.test(req.body.name.toUpperCase())) {
+            throw new ValidationError('Nom de rôle invalide (lettres majuscules, chiffres et _)');
+        }
+        if (req.body.permissions !== undefined) validatePermissionList(req.body.permissions);
+        next();
+    },
+    roleController.createRole
+);
+
+router.put(
+    '/:roleId/permissions',
+    (req, _res, next) => {
+        validatePermissionList(req.body.permissions);
+        next();
+    },
+    roleController.updateRolePermissions
+);
+
+/**
+ * DELETE /api/v1/roles/:roleId
+ * Refusé pour ADMIN et USER, ou tant que le rôle est attribué.
+ */
+router.delete('/:roleId', roleController.deleteRole);
+
+export default router;
@@ -5,10 +5,11 @@
  */
 import { Router } from 'express';
 import { userController } from '../controllers/users.controller.js';
-import { protect } from '../middlewares/auth.middleware.js';
-import { restrictTo } from '../middlewares/role.middleware.js';
-import { passwordChangeLimiter, profileGeneralLimiter } from '../config/security.js';
-import { validateRequired, validatePasswordStrength } from '../utils/validation.js';
+import { protect, denyImpersonation } from '../middlewares/auth.middleware.js';
+import { requirePermission } from '../middlewares/role.middleware.js';
+import { PERMISSIONS } from '../constants/roles.js';
+import { passwordChangeLimiter, profileGeneralLimiter, twoFactorLimiter, personalDataLimiter } from '../config/security.js';
+import { validateRequired, validatePasswordStrength, validateUUID } from '../utils/validation.js';
 import { ValidationError } from '../utils/appError.js';
 
 const router = Router();
@@ -54,21 +55,166 @@ router.patch(
 
 router.get('/me/orders', userController.getMyOrders);
 
+// ─────────────────────────────────────────────────────────────────────
+// DONNÉES PERSONNELLES (RGPD)
+// Export : archive JSON agrégée depuis tous les services.
+// Suppression : commandes anonymisées (comptabilité conservée), panier et
+// historique des emails effacés, puis compte supprimé. Refusée (409) tant
+// qu'une commande est en cours.
+// ─────────────────────────────────────────────────────────────────────
+
+// Réservé au titulaire : refusé à une session "voir en tant que client"
+router.get('/me/export', personalDataLimiter, denyImpersonation, userController.exportMyData);
+
+router.delete(
+    '/me',
+    personalDataLimiter,
+    (req, _res, next) => {
+        validateRequired(req.body, ['password']);
+        next();
+    },
+    userController.deleteMyAccount
+);
+
+// ─────────────────────────────────────────────────────────────────────
+// SESSIONS ACTIVES
+// Une session = un appareil connecté (famille de refresh tokens).
+// Révoquer une session bloque son prochain refresh ; l'access token
+// déjà émis reste valide jusqu'à son expiration.
+// ─────────────────────────────────────────────────────────────────────
+
+router.param('sessionId', (req, _res, next, value) => {
+    validateUUID(value, 'sessionId');
+    next();
+});
+
+router.get('/me/sessions', userController.getMySessions);
+
+router.post('/me/sessions/revoke-others', userController.revokeMyOtherSessions);
+
+router.delete('/me/sessions/:sessionId', userController.revokeMySession);
+
+// Dernières tentatives de connexion (réussies ou non) sur le compte
+router.get('/me/login-events', userController.getMyLoginEvents);
+
+// ─────────────────────────────────────────────────────────────────────
+// DOUBLE AUTHENTIFICATION (TOTP)
+// Les opérations vérifiant un code partagent le limiteur du login 2FA.
+// ─────────────────────────────────────────────────────────────────────
+
+router.get('/me/2fa', userController.getTwoFactorStatus);
+
+router.post('/me/2fa/setup', userController.setupTwoFactor);
+
+router.post(
+    '/me/2fa/enable',
+    twoFactorLimiter,
+    (req, _res, next) => {
+        validateRequired(req.body, ['code']);
+        next();
+    },
+    userController.enableTwoFactor
+);
+
+router.post(
+    '/me/2fa/disable',
+    twoFactorLimiter,
+    (req, _res, next) => {
+        validateRequired(req.body, ['password']);
+        if (!req.body.code && !req.body.recoveryCode) {
+            throw new ValidationError('Un code de vérification ou un code de secours est requis');
+        }
+        next();
+    },
+    userController.disableTwoFactor
+);
+
+router.post(
+    '/me/2fa/recovery-codes',
+    twoFactorLimiter,
+    (req, _res, next) => {
+        validateRequired(req.body, ['code']);
+        next();
+    },
+    userController.regenerateRecoveryCodes
+);
+
 // ─────────────────────────────────────────────────────────────────────
 // ADMINISTRATION
 // ─────────────────────────────────────────────────────────────────────
 
-router.get('/', restrictTo('ADMIN'), userController.getAllUsers);
+router.get('/', requirePermission(PERMISSIONS.USERS_READ), userController.getAllUsers);
+
+// ─────────────────────────────────────────────────────────────────────
+// VOIR EN TANT QUE CLIENT (SUPPORT)
+// Token court au nom du client, lecture seule par défaut, sans refresh.
+// Chaque requête émise avec ce token est journalisée dans tous les services.
+// Déclarées avant /:id pour que "impersonations" ne soit pas lu comme un ID.
+// ─────────────────────────────────────────────────────────────────────
+
+router.param('impersonationId', (req, _res, next, value) => {
+    validateUUID(value, 'impersonationId');
+    next();
+});
+
+router.get(
+    '/impersonations',
+    requirePermission(PERMISSIONS.USERS_READ),
+    (req, _res, next) => {
+        if (req.query.adminId) validateUUID(req.query.adminId, 'adminId');
+        if (req.query.userId) validateUUID(req.query.userId, 'userId');
+        next();
+    },
+    userController.getImpersonations
+);
+
+router.get(
+    '/impersonations/:impersonationId',
+    requirePermission(PERMISSIONS.USERS_READ),
+    userController.getImpersonation
+);
+
+router.post(
+    '/:id/impersonate',
+    requirePermission(PERMISSIONS.USERS_IMPERSONATE),
+    (req, _res, next) => {
+        validateUUID(req.params.id, 'id');
+        validateRequired(req.body, ['reason']);
+        next();
+    },
+    userController.impersonateUser
+);
+
+router.get('/:id', requirePermission(PERMISSIONS.USERS_READ), userController.getProfile);
+
+router.patch('/:id', requirePermission(PERMISSIONS.USERS_MANAGE), userController.updatePrivileges);
 
-router.get('/:id', restrictTo('ADMIN'), userController.getProfile);
+router.get('/:id/sessions', requirePermission(PERMISSIONS.USERS_READ), userController.getUserSessions);
+
+router.delete('/:id/sessions', requirePermission(PERMISSIONS.USERS_MANAGE), userController.revokeUserSessions);
+
+router.delete('/:id/sessions/:sessionId', requirePermission(PERMISSIONS.USERS_MANAGE), userController.revokeUserSessions);
+
+router.get('/:id/login-events', requirePermission(PERMISSIONS.USERS_READ), userController.getUserLoginEvents);
+
+// Cumul de rôles : le rôle attribué ne peut excéder les permissions de l'acteur
+router.post(
+    '/:id/roles',
+    requirePermission(PERMISSIONS.ROLES_MANAGE),
+    (req, _res, next) => {
+        validateRequired(req.body, ['role']);
+        next();
+    },
+    userController.assignRole
+);
 
-router.patch('/:id', restrictTo('ADMIN'), userController.updatePrivileges);
+router.delete('/:id/roles/:roleName', requirePermission(PERMISSIONS.ROLES_MANAGE), userController.removeRole);
 
 /**
  * DELETE /api/v1/users/:id
- * Les tables liées (user_roles, refresh_tokens) sont nettoyées
- * automatiquement via ON DELETE CASCADE.
+ * Même effacement que DELETE /me. Les tables liées (user_roles, refresh_tokens)
+ * sont nettoyées automatiquement via ON DELETE CASCADE.
  */
-router.delete('/:id', restrictTo('ADMIN'), userController.deleteUser);
+router.delete('/:id', requirePermission(PERMISSIONS.USERS_MANAGE), userController.deleteUser);
 
 export default router;
\ No newline at end of file
@@ -8,22 +8,36 @@
  * - Messages génériques sur échec (pas de révélation d'existence email)
  * - Transactions atomiques (user + rôle en une seule opération)
  * - Notifications fire-and-forget (ne bloquent pas le flux principal)
- * - Auto-claim des commandes guest après inscription/connexion
- *   pour une meilleure expérience utilisateur (pas de panier perdu)
+ * - Auto-claim des commandes guest réservé aux emails vérifiés : à l'inscription,
+ *   un lien de vérification est envoyé et le claim a lieu à sa consommation
+ *   (cf. emailVerification.service.js), puis à chaque connexion
+ * - Échecs comptés par compte avec verrouillage progressif, tentatives journalisées
+ *   (cf. loginSecurity.service.js)
+ * - Connexion par lien magique (cf. magicLink.service.js) : le lien prouve la
+ *   possession de l'adresse, qui est donc marquée vérifiée avant l'auto-claim
+ * - Panier guest du visiteur (token relayé par le contrôleur) fusionné dans le
+ *   panier du compte à l'ouverture de la session (cf. cart.client.js)
  *
  * MICROSERVICE :
  * - notificationService (import direct local) remplacé par notificationClient (HTTP)
  *   Les emails welcome sont délégués au notification-service centralisé.
  *   Résilience gérée côté notification-service (BullMQ 3 retries).
  */
+import crypto from 'crypto';
 import { usersRepo, rolesRepo } from '../repositories/index.js';
 import { passwordService } from './password.service.js';
 import { tokenService } from './token.service.js';
 import { sessionService } from './session.service.js';
+import { emailVerificationService } from './emailVerification.service.js';
+import { twoFactorService, TWO_FACTOR_CHALLENGE } from './twoFactor.service.js';
+import { loginSecurityService } from './loginSecurity.service.js';
+import { magicLinkService } from './magicLink.service.js';
 import { orderClient } from '../clients/order.client.js';
+import { cartClient } from '../clients/cart.client.js';
 import { notificationClient } from '../clients/notification.client.js';
 import { AppError, ConflictError } from '../utils/appError.js';
 import { HTTP_STATUS } from '../constants/httpStatus.js';
+import { LOGIN_OUTCOME } from '../constants/enums.js';
 import { pgPool } from '../config/database.js';
 import { logInfo, logError } from '../utils/logger.js';
 
@@ -34,21 +48,35 @@ class AuthService {
         Object.freeze(this);
     }
 
+    /**
+     * Rôles et permissions à signer dans l'access token.
+     * @returns {Promise<{ roles: string[], permissions: string[] }>}
+     */
+    async #loadAuthorizations(userId) {
+        const [roles, permissions] = await Promise.all([
+            rolesRepo.listUserRoles(userId),
+            rolesRepo.listUserPermissions(userId),
+        ]);
+        return { roles: roles.map((r) => r.name), permissions };
+    }
+
     /**
      * Factorise la génération des tokens et la persistance de session.
      * Partagée entre register et login pour rester DRY.
      *
-     * `roles` est inclus dans l'objet `user` retourné pour que le frontend
-     * puisse appliquer l'affichage conditionnel (ex : lien dashboard admin)
-     * dès le login, sans attendre un refresh.
+     * `roles` et `permissions` sont inclus dans l'objet `user` retourné pour que
+     * le frontend puisse appliquer l'affichage conditionnel (ex : menus du
+     * back-office) dès le login, sans attendre un refresh.
      *
-     * @param {{ id, email, firstName, roles: string[] }} user
+     * @param {{ id, email, firstName, roles: string[], permissions: string[] }} user
+     * @param {{ userAgent?: string, ipAddress?: string }} device - Affiché dans la liste des sessions
      */
-    async #createAuthSession(user) {
-        const accessToken = tokenService.generateAccessToken(user);
+    async #createAuthSession(user, device) {
         const refreshToken = tokenService.generateRefreshToken(user);
+        const { familyId } = await sessionService.createSession(user.id, refreshToken, device);
+        const accessToken = tokenService.generateAccessToken(user, familyId);
 
-        await sessionService.createSession(user.id, refreshToken);
+        await loginSecurityService.recordSuccess(user, device);
 
         return {
             user: {
@@ -56,6 +84,8 @@ class AuthService {
                 email: user.email,
                 firstName: user.firstName,
                 roles: user.roles ?? [],
+                permissions: user.permissions ?? [],
+                emailVerified: Boolean(user.emailVerifiedAt),
             },
             accessToken,
             refreshToken,
@@ -63,21 +93,10 @@ class AuthService {
     }
 
     /**
-     * Inscription d'un nouvel utilisateur.
-     *
-     * Workflow :
-     * 1. Vérification unicité email
-     * 2. Création utilisateur + attribution rôle (transaction atomique)
-     * 3. Notification d'inscription (fire-and-forget → notification-service)
-     * 4. Auto-claim des commandes guest avec le même email
-     * 5. Création de la session authentifiée
+     * Création utilisateur + attribution du rôle USER (transaction atomique).
+     * `emailVerified` : adresse déjà prouvée (lien magique), pas de lien de vérification.
      */
-    async register({ email, password, firstName, lastName }) {
-        const existing = await usersRepo.findByEmail(email);
-        if (existing) {
-            throw new ConflictError('Email déjà utilisé');
-        }
-
+    async #createAccount({ email, passwordHash, salt, firstName, lastName }, { emailVerified = false } = {}) {
         const role = await rolesRepo.findByName('USER');
         if (!role) {
             throw new AppError(
@@ -86,45 +105,23 @@ class AuthService {
             );
         }
 
-        const salt = passwordService.generateSalt();
-        const passwordHash = await passwordService.hashPassword(password, salt);
-
         const client = await pgPool.connect();
         try {
             await client.query('BEGIN');
 
-            const newUser = await usersRepo.create(
+            let newUser = await usersRepo.create(
                 { email, passwordHash, salt, firstName, lastName },
                 client
             );
 
             await rolesRepo.addUserRole(newUser.id, role.id, client);
 
-            await client.query('COMMIT');
-
-            // Fire-and-forget — notificationClient ne lève jamais d'exception
-            notificationClient.notifyWelcome(newUser.email, newUser);
-
-            const claimResult = await orderClient.claimGuestOrders(
-                newUser.id,
-                email.trim().toLowerCase()
-            );
-
-            if (claimResult.claimed > 0) {
-                logInfo(`${claimResult.claimed} commande(s) rattachée(s) à ${newUser.id}`);
-            } else if (claimResult.error) {
-                logError(new Error(claimResult.error), { context: 'auto-claim register', userId: newUser.id });
+            if (emailVerified) {
+                newUser = await usersRepo.markEmailVerified(newUser.id, client);
             }
 
-            const userWithRoles = { ...newUser, roles: [role.name] };
-            const session = await this.#createAuthSession(userWithRoles);
-
-            return {
-                ...session,
-                claimedOrders: claimResult.claimed || 0,
-                claimedOrderNumbers: claimResult.claimedOrderNumbers || [],
-            };
-
+            await client.query('COMMIT');
+            return newUser;
         } catch (error) {
             await client.query('ROLLBACK');
             throw error;
@@ -133,29 +130,191 @@ class AuthService {
         }
     }
 
+    /**
+     * Inscription d'un nouvel utilisateur.
+     *
+     * Workflow :
+     * 1. Vérification unicité email
+     * 2. Création utilisateur + attribution rôle (transaction atomique)
+     * 3. Notification d'inscription (fire-and-forget → notification-service)
+     * 4. Envoi du lien de vérification d'email — l'auto-claim des commandes
+     *    guest attend sa consommation
+     * 5. Création de la session authentifiée (compte non vérifié)
+     * 6. Fusion du panier guest, s'il y en a un
+     */
+    async register({ email, password, firstName, lastName }, device = {}, { guestCartToken } = {}) {
+        const existing = await usersRepo.findByEmail(email);
+        if (existing) {
+            throw new ConflictError('Email déjà utilisé');
+        }
+
+        const salt = passwordService.generateSalt();
+        const passwordHash = await passwordService.hashPassword(password, salt);
+
+        const newUser = await this.#createAccount({ email, passwordHash, salt, firstName, lastName });
+
+        // Fire-and-forget — notificationClient ne lève jamais d'exception
+        notificationClient.notifyWelcome(newUser.email, newUser);
+
+        // Un échec d'envoi ne bloque pas l'inscription : le lien peut être redemandé
+        await emailVerificationService.sendVerification(newUser).catch((error) =>
+            logError(error, { context: 'AuthService.register.sendVerification', userId: newUser.id })
+        );
+
+        const userWithRoles = { ...newUser, ...(await this.#loadAuthorizations(newUser.id)) };
+        const session = await this.#createAuthSession(userWithRoles, device);
+
+        return {
+            ...session,
+            claimedOrders: 0,
+            claimedOrderNumbers: [],
+            cartMerge: await this.#mergeGuestCart(guestCartToken, newUser.id),
+        };
+    }
+
     /**
      * Connexion d'un utilisateur.
      * Message générique sur échec pour ne pas révéler l'existence d'un compte.
+     *
+     * Les commandes guest passées depuis la vérification sont rattachées
+     * à chaque connexion ; un compte non vérifié n'en récupère aucune.
+     *
+     * Compte protégé par la 2FA (ou ADMIN soumis à la politique) : aucune session
+     * n'est ouverte, `twoFactor` porte le challenge à présenter à completeTwoFactorLogin().
+     * Le compteur d'échecs n'est remis à zéro qu'à l'ouverture de la session :
+     * un mot de passe juste ne réarme pas les essais sur le code 2FA.
      */
-    async login({ email, password }) {
+    async login({ email, password }, device = {}, { guestCartToken } = {}) {
         const user = await usersRepo.findByEmail(email);
 
-        if (!user) throw new AppError('Identifiants invalides', HTTP_STATUS.UNAUTHORIZED);
+        if (!user) {
+            loginSecurityService.recordEvent(LOGIN_OUTCOME.UNKNOWN_EMAIL, { email, device });
+            throw new AppError('Identifiants invalides', HTTP_STATUS.UNAUTHORIZED);
+        }
 
         if (user.isActive === false) {
+            loginSecurityService.recordEvent(LOGIN_OUTCOME.ACCOUNT_SUSPENDED, { user, device });
             throw new AppError('Ce compte a été suspendu. Veuillez contacter le support.', HTTP_STATUS.FORBIDDEN);
         }
 
+        loginSecurityService.assertNotLocked(user, device);
+
         const isValid = await passwordService.comparePassword(password, user.passwordHash, user.salt);
-        if (!isValid) throw new AppError('Identifiants invalides', HTTP_STATUS.UNAUTHORIZED);
+        if (!isValid) {
+            await loginSecurityService.recordFailure(user, device);
+            throw new AppError('Identifiants invalides', HTTP_STATUS.UNAUTHORIZED);
+        }
 
-        const roles = await rolesRepo.listUserRoles(user.id);
-        const userWithRoles = { ...user, roles: roles.map((r) => r.name) };
+        const userWithRoles = { ...user, ...(await this.#loadAuthorizations(user.id)) };
 
-        const claimResult = await orderClient.claimGuestOrders(
-            user.id,
-            email.trim().toLowerCase()
-        );
+        const challenge = await twoFactorService.challengeFor(userWithRoles);
+        if (challenge) {
+            loginSecurityService.recordEvent(LOGIN_OUTCOME.TWO_FACTOR_CHALLENGE, { user, device });
+            return { twoFactor: challenge };
+        }
+
+        return this.#completeLogin(userWithRoles, device, { guestCartToken });
+    }
+
+    /**
+     * Connexion par lien magique, avec création du compte à la première utilisation.
+     *
+     * Le compte créé reçoit un mot de passe aléatoire jamais communiqué :
+     * l'utilisateur peut en définir un via « mot de passe oublié ».
+     * Le lien vaut vérification de l'adresse : les commandes guest passées
+     * avec cet email sont rattachées par #completeLogin().
+     *
+     * Un compte verrouillé le reste (le lien de déverrouillage est déjà parti
+     * par email) et la 2FA s'applique comme pour /login.
+     *
+     * @param {string} rawToken - Token brut extrait du lien email
+     */
+    async loginWithMagicLink(rawToken, device = {}, { guestCartToken } = {}) {
+        const email = await magicLinkService.consumeLink(rawToken);
+
+        let user = await usersRepo.findByEmail(email);
+
+        if (!user) {
+            const salt = passwordService.generateSalt();
+            const passwordHash = await passwordService.hashPassword(crypto.randomBytes(32).toString('hex'), salt);
+
+            user = await this.#createAccount({ email, passwordHash, salt }, { emailVerified: true });
+
+            // Fire-and-forget — notificationClient ne lève jamais d'exception
+            notificationClient.notifyWelcome(user.email, user);
+            logInfo(`Compte créé par lien magique pour userId=${user.id}`);
+        } else {
+            if (user.isActive === false) {
+                loginSecurityService.recordEvent(LOGIN_OUTCOME.ACCOUNT_SUSPENDED, { user, device });
+                throw new AppError('Ce compte a été suspendu. Veuillez contacter le support.', HTTP_STATUS.FORBIDDEN);
+            }
+
+            loginSecurityService.assertNotLocked(user, device);
+
+            if (!user.emailVerifiedAt) {
+                user = await usersRepo.markEmailVerified(user.id);
+            }
+        }
+
+        const userWithRoles = { ...user, ...(await this.#loadAuthorizations(user.id)) };
+
+        const challenge = await twoFactorService.challengeFor(userWithRoles);
+        if (challenge) {
+            loginSecurityService.recordEvent(LOGIN_OUTCOME.TWO_FACTOR_CHALLENGE, { user, device });
+            return { twoFactor: challenge };
+        }
+
+        return this.#completeLogin(userWithRoles, device, { guestCartToken });
+    }
+
+    /**
+     * Seconde étape de connexion : code TOTP ou code de secours.
+     * Pour un challenge SETUP, le code confirme l'enrôlement et les codes
+     * de secours générés sont retournés (affichés une seule fois).
+     *
+     * Un code erroné compte comme un échec de connexion (verrouillage progressif).
+     *
+     * @param {{ challengeToken: string, code?: string, recoveryCode?: string }} credentials
+     * @throws {AppError} 401 si le challenge ou le code est invalide
+     */
+    async completeTwoFactorLogin({ challengeToken, code, recoveryCode }, device = {}, { guestCartToken } = {}) {
+        const { userId, purpose, challengeId } = await twoFactorService.resolveChallenge(challengeToken);
+
+        const user = await usersRepo.findById(userId);
+        if (!user || user.isActive === false) {
+            throw new AppError('Ce compte a été suspendu. Veuillez contacter le support.', HTTP_STATUS.FORBIDDEN);
+        }
+
+        loginSecurityService.assertNotLocked(user, device);
+
+        let recoveryCodes = null;
+        try {
+            if (purpose === TWO_FACTOR_CHALLENGE.SETUP) {
+                recoveryCodes = await twoFactorService.confirmEnrollment(userId, code);
+            } else if (!(await twoFactorService.verifyCode(userId, { code, recoveryCode }))) {
+                throw new AppError('Code de vérification invalide', HTTP_STATUS.UNAUTHORIZED);
+            }
+        } catch (error) {
+            await twoFactorService.recordFailedAttempt(challengeId);
+            await loginSecurityService.recordFailure(user, device, LOGIN_OUTCOME.INVALID_TWO_FACTOR);
+            throw error;
+        }
+
+        await twoFactorService.consumeChallenge(challengeId);
+
+        const authorizations = await this.#loadAuthorizations(user.id);
+        const result = await this.#completeLogin({ ...user, ...authorizations }, device, { guestCartToken });
+
+        return recoveryCodes ? { ...result, recoveryCodes } : result;
+    }
+
+    /**
+     * Dernière étape commune du login (avec ou sans 2FA) : auto-claim, panier guest et session.
+     */
+    async #completeLogin(user, device, { guestCartToken } = {}) {
+        const claimResult = user.emailVerifiedAt
+            ? await orderClient.claimGuestOrders(user.id, user.email, { emailVerified: true })
+            : { claimed: 0 };
 
         if (claimResult.claimed > 0) {
             logInfo(`${claimResult.claimed} commande(s) rattachée(s) à ${user.id} lors de la connexion`);
@@ -163,15 +322,33 @@ class AuthService {
             logError(new Error(claimResult.error), { context: 'auto-claim login', userId: user.id });
         }
 
-        const session = await this.#createAuthSession(userWithRoles);
+        const session = await this.#createAuthSession(user, device);
 
         return {
             ...session,
             claimedOrders: claimResult.claimed || 0,
             claimedOrderNumbers: claimResult.claimedOrderNumbers || [],
+            cartMerge: await this.#mergeGuestCart(guestCartToken, user.id),
         };
     }
 
+    /**
+     * Fusionne le panier guest du visiteur dans celui du compte.
+     * Retourne le rapport du cart-service ({ merged, skipped, itemCount, guestCartKept }),
+     * ou null sans panier guest ou si la fusion a échoué — la connexion n'est jamais bloquée.
+     */
+    async #mergeGuestCart(guestCartToken, userId) {
+        if (!guestCartToken) return null;
+
+        const result = await cartClient.mergeGuestCart(guestCartToken, userId);
+        if (result.error) {
+            logError(new Error(result.error), { context: 'fusion panier guest', userId });
+            return null;
+        }
+
+        return result;
+    }
+
     /**
      * Déconnexion — supprime la session du whitelist (Redis + DB).
      * Silencieux si le refreshToken est absent ou invalide.
@@ -181,36 +358,58 @@ class AuthService {
         await sessionService.deleteSession(refreshToken);
     }
 
-    async refreshAccessToken(refreshToken) {
+    /**
+     * Renouvelle l'access token et fait tourner le refresh token.
+     *
+     * Le refresh token présenté est remplacé par un nouveau de la même famille
+     * (cf. SessionService.rotateSession) : le contrôleur doit renvoyer le cookie.
+     * Présenter à nouveau un token déjà remplacé révoque toute la famille.
+     *
+     * Un ADMIN soumis à la politique 2FA sans l'avoir activée perd sa session :
+     * il doit se reconnecter et passer par l'enrôlement.
+     */
+    async refreshAccessToken(refreshToken, device = {}) {
         const payload = tokenService.verifyRefreshToken(refreshToken);
         if (!payload) {
             await sessionService.deleteSession(refreshToken);
             throw new AppError('Token expiré ou invalide', HTTP_STATUS.UNAUTHORIZED);
         }
 
-        const session = await sessionService.validateSession(refreshToken);
-        if (!session) {
-            throw new AppError('Session invalide ou expirée', HTTP_STATUS.UNAUTHORIZED);
-        }
-
         const user = await usersRepo.findById(payload.sub);
         if (!user) {
             await sessionService.deleteSession(refreshToken);
             throw new AppError('Utilisateur introuvable', HTTP_STATUS.UNAUTHORIZED);
         }
 
-        const roles = await rolesRepo.listUserRoles(user.id);
-        const userRoles = roles.map((r) => r.name);
+        const { roles: userRoles, permissions } = await this.#loadAuthorizations(user.id);
+
+        if (twoFactorService.isRequiredFor(userRoles) && !(await twoFactorService.isEnabled(user.id))) {
+            await sessionService.deleteSession(refreshToken);
+            throw new AppError(
+                'Double authentification obligatoire : veuillez vous reconnecter pour l\'activer',
+                HTTP_STATUS.UNAUTHORIZED
+            );
+        }
+
+        // Rotation concurrente perdue (onglets) : la session renvoie le successeur déjà émis
+        const { familyId, refreshToken: issuedRefreshToken } = await sessionService.rotateSession(
+            refreshToken,
+            tokenService.generateRefreshToken(user),
+            device
+        );
 
-        const accessToken = tokenService.generateAccessToken({ ...user, roles: userRoles });
+        const accessToken = tokenService.generateAccessToken({ ...user, roles: userRoles, permissions }, familyId);
 
         return {
             accessToken,
+            refreshToken: issuedRefreshToken,
             user: {
                 id: user.id,
                 email: user.email,
                 firstName: user.firstName,
                 roles: userRoles,
+                permissions,
+                emailVerified: Boolean(user.emailVerifiedAt),
             },
         };
     }
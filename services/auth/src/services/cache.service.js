@@ -50,6 +50,16 @@ class CacheService {
         await this.client.del(key);
     }
 
+    /**
+     * Incrémente un compteur ; le TTL est posé au premier incrément
+     * pour que la fenêtre ne glisse pas à chaque tentative.
+     */
+    async increment(key, ttl = 3600) {
+        const count = await this.client.incr(key);
+        if (count === 1) await this.client.expire(key, ttl);
+        return count;
+    }
+
     async deleteMany(keys) {
         if (!keys || keys.length === 0) return;
         await Promise.all(keys.map((key) => this.delete(key)));
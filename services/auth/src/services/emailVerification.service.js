@@ -0,0 +1,129 @@
+/**
+ * @module Service/EmailVerification
+ *
+ * Orchestre la vérification de l'adresse email via un lien envoyé par email.
+ *
+ * L'auto-claim des commandes guest (rattachement par email) n'a lieu qu'une fois
+ * l'adresse vérifiée : sans cette preuve de possession, s'inscrire avec l'email
+ * d'un tiers suffirait pour récupérer ses commandes et adresses de livraison.
+ *
+ * SÉCURITÉ :
+ * - Token brut 32 bytes (256 bits d'entropie), seul le hash SHA-256 est stocké
+ * - TTL 24 heures, usage unique (tous les tokens du compte supprimés à la vérification)
+ * - Renvoi silencieux si l'email est inconnu ou déjà vérifié (anti-énumération)
+ */
+import crypto from 'crypto';
+import { usersRepo } from '../repositories/index.js';
+import { emailVerificationRepo } from '../repositories/emailVerification.repo.js';
+import { orderClient } from '../clients/order.client.js';
+import { notificationClient } from '../clients/notification.client.js';
+import { AppError } from '../utils/appError.js';
+import { HTTP_STATUS } from '../constants/httpStatus.js';
+import { ENV } from '../config/environment.js';
+import { pgPool } from '../config/database.js';
+import { logInfo, logError } from '../utils/logger.js';
+
+class EmailVerificationService {
+    constructor() {
+        if (EmailVerificationService.instance) return EmailVerificationService.instance;
+        EmailVerificationService.instance = this;
+        Object.freeze(this);
+    }
+
+    #hashToken(rawToken) {
+        return crypto.createHash('sha256').update(rawToken).digest('hex');
+    }
+
+    /**
+     * Génère un nouveau lien de vérification (le précédent est invalidé) et l'envoie.
+     *
+     * @param {{ id: string, email: string, firstName?: string }} user
+     */
+    async sendVerification(user) {
+        const rawToken = crypto.randomBytes(32).toString('hex');
+
+        await emailVerificationRepo.createToken(user.id, this.#hashToken(rawToken));
+
+        // Fire-and-forget — notificationClient ne lève jamais d'exception
+        // Le verifyUrl est construit ici car notification-service ne connaît pas CLIENT_URL
+        const verifyUrl = `${ENV.clientUrl}/verify-email?token=${rawToken}`;
+        notificationClient.notifyEmailVerification(user.email, verifyUrl, { firstName: user.firstName });
+
+        logInfo(`Lien de vérification email envoyé pour userId=${user.id}`);
+    }
+
+    /**
+     * Renvoie un lien de vérification.
+     * Réponse identique que le compte existe ou non, vérifié ou non.
+     *
+     * @param {string} email - Email saisi par l'utilisateur
+     */
+    async resendVerification(email) {
+        const user = await usersRepo.findByEmail(email.trim().toLowerCase());
+
+        // Sortie silencieuse : ne révèle ni l'existence du compte ni son statut.
+        if (!user || user.emailVerifiedAt || user.isActive === false) return;
+
+        await this.sendVerification(user);
+    }
+
+    /**
+     * Consomme le token, marque l'email comme vérifié puis rattache
+     * les commandes guest passées avec cette adresse.
+     *
+     * Le marquage et la suppression des tokens sont atomiques ; le claim vient
+     * après le COMMIT car un order-service indisponible ne doit pas annuler
+     * la vérification (il sera retenté à la prochaine connexion).
+     *
+     * @param {string} rawToken - Token brut extrait du lien email
+     * @returns {Promise<{ email: string, claimedOrders: number, claimedOrderNumbers: string[] }>}
+     */
+    async verifyEmail(rawToken) {
+        const tokenRecord = typeof rawToken === 'string'
+            ? await emailVerificationRepo.findValidToken(this.#hashToken(rawToken))
+            : null;
+        if (!tokenRecord) {
+            throw new AppError('Lien invalide ou expiré', HTTP_STATUS.BAD_REQUEST);
+        }
+
+        const client = await pgPool.connect();
+        let user;
+        try {
+            await client.query('BEGIN');
+
+            user = await usersRepo.markEmailVerified(tokenRecord.userId, client);
+            await emailVerificationRepo.deleteUserTokens(tokenRecord.userId, client);
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        if (!user) {
+            throw new AppError('Utilisateur introuvable', HTTP_STATUS.NOT_FOUND);
+        }
+
+        logInfo(`Email vérifié pour userId=${user.id}`);
+
+        const claimResult = await orderClient.claimGuestOrders(user.id, user.email, {
+            emailVerified: true,
+        });
+
+        if (claimResult.claimed > 0) {
+            logInfo(`${claimResult.claimed} commande(s) rattachée(s) à ${user.id} après vérification de l'email`);
+        } else if (claimResult.error) {
+            logError(new Error(claimResult.error), { context: 'auto-claim verify-email', userId: user.id });
+        }
+
+        return {
+            email: user.email,
+            claimedOrders: claimResult.claimed || 0,
+            claimedOrderNumbers: claimResult.claimedOrderNumbers || [],
+        };
+    }
+}
+
+export const emailVerificationService = new EmailVerificationService();
@@ -0,0 +1,178 @@
+/**
+ * @module Service/Impersonation
+ *
+ * "Voir en tant que client" : le support reproduit ce que voit un client
+ * (panier, commandes) sans lui demander de captures d'écran.
+ *
+ * Un ADMIN (permission users:impersonate) obtient un access token au nom du
+ * client, marqué par les claims `act` (l'administrateur) et `imp` (la session) :
+ * - Durée de vie courte (ENV.impersonation.ttlMs), aucun refresh token
+ * - Lecture seule par défaut : chaque service refuse alors toute écriture
+ * - Chaque requête émise avec ce token est journalisée (impersonation_requests),
+ *   directement ici, via l'endpoint interne pour les autres services
+ *
+ * Seuls les comptes clients (aucune permission) peuvent être consultés ainsi :
+ * le token ne doit jamais donner accès au back-office.
+ */
+import { usersRepo, rolesRepo, impersonationRepo } from '../repositories/index.js';
+import { tokenService } from './token.service.js';
+import { AppError, BusinessError, ValidationError } from '../utils/appError.js';
+import { HTTP_STATUS } from '../constants/httpStatus.js';
+import { ENV } from '../config/environment.js';
+import { logInfo, logError } from '../utils/logger.js';
+
+const REASON_MIN_LENGTH = 10;
+const REASON_MAX_LENGTH = 500;
+
+class ImpersonationService {
+    constructor() {
+        if (ImpersonationService.instance) return ImpersonationService.instance;
+        ImpersonationService.instance = this;
+        Object.freeze(this);
+    }
+
+    /**
+     * Contexte d'impersonation d'un access token vérifié, null pour un token ordinaire.
+     */
+    fromToken(decoded) {
+        if (!decoded?.act?.sub || !decoded.imp?.id) return null;
+
+        return {
+            sessionId: decoded.imp.id,
+            actorId: decoded.act.sub,
+            readOnly: decoded.imp.readOnly !== false,
+        };
+    }
+
+    /**
+     * Ouvre une session d'impersonation et émet son access token.
+     *
+     * @param {{ id: string, email: string }} admin
+     * @param {string} targetUserId
+     * @param {{ reason: string, readOnly?: boolean }} options
+     * @param {{ ipAddress?: string, userAgent?: string }} device
+     * @returns {Promise<{ accessToken: string, impersonation: object }>}
+     */
+    async startImpersonation(admin, targetUserId, { reason, readOnly = true }, device = {}) {
+        const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+        if (trimmedReason.length < REASON_MIN_LENGTH || trimmedReason.length > REASON_MAX_LENGTH) {
+            throw new ValidationError(
+                `Le motif est obligatoire (${REASON_MIN_LENGTH} à ${REASON_MAX_LENGTH} caractères) : il figure dans le journal d'audit`
+            );
+        }
+        if (typeof readOnly !== 'boolean') {
+            throw new ValidationError('readOnly doit être un booléen');
+        }
+
+        if (targetUserId === admin.id) {
+            throw new AppError(
+                'Opération interdite : Vous ne pouvez pas consulter votre propre compte en tant que client.',
+                HTTP_STATUS.FORBIDDEN
+            );
+        }
+
+        const user = await usersRepo.findById(targetUserId);
+        if (!user) throw new AppError('Utilisateur introuvable', HTTP_STATUS.NOT_FOUND);
+
+        if (user.isActive === false) {
+            throw new BusinessError('Ce compte est suspendu : il ne peut pas être consulté en tant que client.');
+        }
+
+        const [roles, permissions] = await Promise.all([
+            rolesRepo.listUserRoles(user.id),
+            rolesRepo.listUserPermissions(user.id),
+        ]);
+
+        if (permissions.length > 0) {
+            throw new AppError(
+                "Opération interdite : Seuls les comptes clients peuvent être consultés en tant que client.",
+                HTTP_STATUS.FORBIDDEN
+            );
+        }
+
+        const expiresAt = new Date(Date.now() + ENV.impersonation.ttlMs);
+
+        const session = await impersonationRepo.createSession({
+            adminId: admin.id,
+            adminEmail: admin.email,
+            userId: user.id,
+            reason: trimmedReason,
+            readOnly,
+            ipAddress: device.ipAddress ?? null,
+            userAgent: device.userAgent ?? null,
+            expiresAt,
+        });
+
+        const accessToken = tokenService.generateImpersonationToken(
+            { id: user.id, email: user.email, roles: roles.map((r) => r.name), permissions },
+            { id: session.id, adminId: admin.id, readOnly, expiresAt }
+        );
+
+        logInfo(
+            `Impersonation ouverte : admin=${admin.id} client=${user.id} session=${session.id} readOnly=${readOnly}`
+        );
+
+        return {
+            accessToken,
+            impersonation: {
+                id: session.id,
+                userId: user.id,
+                userEmail: user.email,
+                readOnly,
+                expiresAt: session.expiresAt,
+            },
+        };
+    }
+
+    // ─────────────────────────────────────────────────────────────────────
+    // JOURNAL D'AUDIT
+    // ─────────────────────────────────────────────────────────────────────
+
+    /**
+     * Enregistre une requête émise avec un token d'impersonation.
+     * Appelé par le middleware `protect` (auth-service) et par l'endpoint interne.
+     *
+     * @throws {AppError} 404 si la session est inconnue
+     */
+    async recordRequest({ sessionId, service, method, path, statusCode = null }) {
+        try {
+            await impersonationRepo.createRequest({
+                sessionId,
+                service,
+                method: method.toUpperCase(),
+                path: path.slice(0, 2048),
+                statusCode,
+            });
+        } catch (error) {
+            // Violation de clé étrangère : session inconnue
+            if (error.code === '23503') {
+                throw new AppError("Session d'impersonation introuvable", HTTP_STATUS.NOT_FOUND);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Variante sans exception pour l'auth-service lui-même : une panne du
+     * journal est signalée (Sentry) sans faire échouer la réponse déjà envoyée.
+     */
+    recordRequestSafely(entry) {
+        this.recordRequest(entry).catch((error) => {
+            logError(error, { context: 'impersonationService.recordRequest', sessionId: entry.sessionId });
+        });
+    }
+
+    async listSessions(filters) {
+        return impersonationRepo.listSessions(filters);
+    }
+
+    async getSession(sessionId) {
+        const session = await impersonationRepo.findSessionById(sessionId);
+        if (!session) throw new AppError("Session d'impersonation introuvable", HTTP_STATUS.NOT_FOUND);
+
+        const requests = await impersonationRepo.listRequests(sessionId);
+        return { ...session, requests };
+    }
+}
+
+export const impersonationService = new ImpersonationService();
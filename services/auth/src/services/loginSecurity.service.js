@@ -0,0 +1,235 @@
+/**
+ * @module Service/LoginSecurity
+ *
+ * Protection par compte contre le brute-force et journal des connexions.
+ *
+ * Les limiteurs par IP (authLimiter, zone nginx "auth") ne voient pas une attaque
+ * distribuée sur un même compte : les échecs sont donc aussi comptés par compte.
+ *
+ * Verrouillage progressif (ENV.accountLockout) :
+ * - Tous les 5 échecs consécutifs (mot de passe ou code 2FA), le compte est verrouillé
+ * - La durée double à chaque palier : 5 min, 10 min, 20 min… plafonnée à 24 h
+ * - Un lien envoyé par email lève le verrou ; une connexion réussie remet le compteur à zéro
+ *
+ * Compteur dans Redis (login:failures:<userId>), repli sur users.failed_login_count
+ * si Redis est indisponible. Le verrou lui-même est toujours persisté (users.locked_until).
+ *
+ * Le journal (login_events) et les notifications ne bloquent jamais la connexion.
+ */
+import crypto from 'crypto';
+import { usersRepo, loginEventsRepo } from '../repositories/index.js';
+import { accountUnlockRepo } from '../repositories/accountUnlock.repo.js';
+import { cacheService } from './cache.service.js';
+import { notificationClient } from '../clients/notification.client.js';
+import { AppError } from '../utils/appError.js';
+import { HTTP_STATUS } from '../constants/httpStatus.js';
+import { LOGIN_OUTCOME } from '../constants/enums.js';
+import { ENV } from '../config/environment.js';
+import { pgPool } from '../config/database.js';
+import { logInfo, logError } from '../utils/logger.js';
+
+// Fenêtre du compteur Redis : au-delà, l'escalade repart du premier palier
+const FAILURES_TTL_SECONDS = Math.ceil(ENV.accountLockout.maxDurationMs / 1000);
+
+class LoginSecurityService {
+    constructor() {
+        if (LoginSecurityService.instance) return LoginSecurityService.instance;
+        LoginSecurityService.instance = this;
+        Object.freeze(this);
+    }
+
+    #failuresKey(userId) {
+        return `login:failures:${userId}`;
+    }
+
+    #hashToken(rawToken) {
+        return crypto.createHash('sha256').update(rawToken).digest('hex');
+    }
+
+    #formatDelay(ms) {
+        const minutes = Math.max(1, Math.ceil(ms / 60000));
+        return minutes < 60 ? `${minutes} minute(s)` : `${Math.ceil(minutes / 60)} heure(s)`;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────
+    // VERROUILLAGE
+    // ─────────────────────────────────────────────────────────────────────
+
+    /**
+     * Refuse la tentative tant que le verrou est actif, avant toute vérification
+     * du mot de passe : un verrou ne doit pas pouvoir servir d'oracle.
+     *
+     * @throws {AppError} 423 si le compte est verrouillé
+     */
+    assertNotLocked(user, device = {}) {
+        const remainingMs = user.lockedUntil ? new Date(user.lockedUntil).getTime() - Date.now() : 0;
+        if (remainingMs <= 0) return;
+
+        this.recordEvent(LOGIN_OUTCOME.ACCOUNT_LOCKED, { user, device });
+
+        throw new AppError(
+            `Compte temporairement verrouillé après plusieurs échecs de connexion. Réessayez dans ${this.#formatDelay(remainingMs)} ou utilisez le lien reçu par email.`,
+            HTTP_STATUS.LOCKED
+        );
+    }
+
+    /**
+     * Comptabilise un échec et verrouille le compte à chaque palier.
+     *
+     * @param {{ id: string, email: string, firstName?: string }} user
+     * @param {{ userAgent?: string, ipAddress?: string }} device
+     * @param {string} outcome - INVALID_PASSWORD ou INVALID_TWO_FACTOR
+     */
+    async recordFailure(user, device = {}, outcome = LOGIN_OUTCOME.INVALID_PASSWORD) {
+        this.recordEvent(outcome, { user, device });
+
+        const failures = await this.#incrementFailures(user.id);
+        const { threshold, baseDurationMs, maxDurationMs } = ENV.accountLockout;
+        if (failures < threshold || failures % threshold !== 0) return;
+
+        const level = failures / threshold - 1;
+        const durationMs = Math.min(baseDurationMs * 2 ** level, maxDurationMs);
+        const lockedUntil = new Date(Date.now() + durationMs);
+
+        await usersRepo.lockUntil(user.id, lockedUntil);
+
+        logError(new Error('Compte verrouillé après des échecs de connexion répétés'), {
+            context: 'LoginSecurityService.recordFailure',
+            securityEvent: 'ACCOUNT_LOCKED',
+            userId: user.id,
+            failures,
+            lockedUntil: lockedUntil.toISOString(),
+            ipAddress: device.ipAddress,
+        });
+
+        await this.#sendUnlockLink(user, lockedUntil).catch((error) =>
+            logError(error, { context: 'LoginSecurityService.sendUnlockLink', userId: user.id })
+        );
+    }
+
+    async #incrementFailures(userId) {
+        try {
+            return await cacheService.increment(this.#failuresKey(userId), FAILURES_TTL_SECONDS);
+        } catch (error) {
+            logError(error, { context: 'LoginSecurityService.incrementFailures', userId });
+            return usersRepo.incrementFailedLogins(userId);
+        }
+    }
+
+    /**
+     * Remet le compteur à zéro (Redis et base) et lève un éventuel verrou expiré.
+     */
+    async resetFailures(userId, client = pgPool) {
+        try {
+            await cacheService.delete(this.#failuresKey(userId));
+        } catch (error) {
+            logError(error, { context: 'LoginSecurityService.resetFailures', userId });
+        }
+        await usersRepo.clearLoginFailures(userId, client);
+    }
+
+    async #sendUnlockLink(user, lockedUntil) {
+        const rawToken = crypto.randomBytes(32).toString('hex');
+        await accountUnlockRepo.createToken(user.id, this.#hashToken(rawToken));
+
+        // Le unlockUrl est construit ici car notification-service ne connaît pas CLIENT_URL
+        const unlockUrl = `${ENV.clientUrl}/unlock-account?token=${rawToken}`;
+        notificationClient.notifyAccountLocked(user.email, unlockUrl, {
+            userData: { firstName: user.firstName },
+            lockedUntil: lockedUntil.toISOString(),
+        });
+    }
+
+    /**
+     * Consomme le lien de déverrouillage reçu par email.
+     *
+     * @param {string} rawToken - Token brut extrait du lien email
+     * @throws {AppError} 400 si le lien est invalide ou expiré
+     */
+    async unlockAccount(rawToken) {
+        const tokenRecord = typeof rawToken === 'string'
+            ? await accountUnlockRepo.findValidToken(this.#hashToken(rawToken))
+            : null;
+        if (!tokenRecord) {
+            throw new AppError('Lien invalide ou expiré', HTTP_STATUS.BAD_REQUEST);
+        }
+
+        const client = await pgPool.connect();
+        try {
+            await client.query('BEGIN');
+
+            await this.resetFailures(tokenRecord.userId, client);
+            await accountUnlockRepo.deleteUserTokens(tokenRecord.userId, client);
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        logInfo(`Compte déverrouillé par lien email pour userId=${tokenRecord.userId}`);
+    }
+
+    // ─────────────────────────────────────────────────────────────────────
+    // JOURNAL DES CONNEXIONS
+    // ─────────────────────────────────────────────────────────────────────
+
+    /**
+     * Enregistre une tentative. Ne lève jamais d'exception.
+     * L'email saisi n'est conservé que s'il ne correspond à aucun compte.
+     *
+     * @param {string} outcome - LOGIN_OUTCOME
+     * @param {{ user?: Object, email?: string, device?: Object }} context
+     */
+    async recordEvent(outcome, { user = null, email = null, device = {} }) {
+        try {
+            await loginEventsRepo.create({
+                userId: user?.id ?? null,
+                email: user ? null : email?.slice(0, 255) ?? null,
+                outcome,
+                ipAddress: device.ipAddress ?? null,
+                userAgent: device.userAgent ?? null,
+            });
+        } catch (error) {
+            logError(error, { context: 'LoginSecurityService.recordEvent', outcome, userId: user?.id });
+        }
+    }
+
+    /**
+     * Connexion aboutie : remise à zéro du compteur, journal, puis alerte
+     * par email si l'appareil n'a jamais servi à une connexion réussie.
+     * Aucune alerte sans historique (inscription, comptes antérieurs au journal).
+     */
+    async recordSuccess(user, device = {}) {
+        try {
+            await this.resetFailures(user.id);
+
+            const userAgent = device.userAgent ?? null;
+            const { hasHistory, known } = await loginEventsRepo.findDeviceHistory(user.id, userAgent);
+
+            await this.recordEvent(LOGIN_OUTCOME.SUCCESS, { user, device });
+
+            if (hasHistory && !known) {
+                // Fire-and-forget — notificationClient ne lève jamais d'exception
+                notificationClient.notifyNewDeviceLogin(user.email, {
+                    userData: { firstName: user.firstName },
+                    device: { userAgent, ipAddress: device.ipAddress ?? null },
+                    occurredAt: new Date().toISOString(),
+                });
+            }
+        } catch (error) {
+            logError(error, { context: 'LoginSecurityService.recordSuccess', userId: user.id });
+        }
+    }
+
+    /**
+     * Dernières tentatives de connexion d'un compte (plus récentes d'abord).
+     */
+    async listLoginEvents(userId, limit = 50) {
+        return loginEventsRepo.listByUser(userId, limit);
+    }
+}
+
+export const loginSecurityService = new LoginSecurityService();
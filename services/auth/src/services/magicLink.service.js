@@ -0,0 +1,80 @@
+/**
+ * @module Service/MagicLink
+ *
+ * Émission et consommation des liens de connexion sans mot de passe.
+ * L'ouverture de session (et la création du compte à la première utilisation)
+ * est orchestrée par AuthService.loginWithMagicLink().
+ *
+ * SÉCURITÉ :
+ * - Token brut 32 bytes (256 bits d'entropie), seul le hash SHA-256 est stocké
+ * - TTL 15 minutes, usage unique (consommé atomiquement), un seul lien actif par adresse
+ * - Réponse identique que le compte existe ou non (anti-énumération)
+ * - Aucun lien pour un compte suspendu
+ */
+import crypto from 'crypto';
+import { usersRepo } from '../repositories/index.js';
+import { magicLinkRepo } from '../repositories/magicLink.repo.js';
+import { notificationClient } from '../clients/notification.client.js';
+import { AppError } from '../utils/appError.js';
+import { HTTP_STATUS } from '../constants/httpStatus.js';
+import { ENV } from '../config/environment.js';
+import { logInfo } from '../utils/logger.js';
+
+class MagicLinkService {
+    constructor() {
+        if (MagicLinkService.instance) return MagicLinkService.instance;
+        MagicLinkService.instance = this;
+        Object.freeze(this);
+    }
+
+    #hashToken(rawToken) {
+        return crypto.createHash('sha256').update(rawToken).digest('hex');
+    }
+
+    /**
+     * Envoie un lien de connexion, que l'adresse corresponde à un compte ou non :
+     * un acheteur guest obtient ainsi un compte sans inventer de mot de passe.
+     *
+     * @param {string} email - Email saisi par l'utilisateur
+     */
+    async requestLink(email) {
+        const normalizedEmail = email.trim().toLowerCase();
+        const user = await usersRepo.findByEmail(normalizedEmail);
+
+        // Sortie silencieuse : ne révèle pas la suspension du compte.
+        if (user?.isActive === false) return;
+
+        const rawToken = crypto.randomBytes(32).toString('hex');
+        await magicLinkRepo.createToken(normalizedEmail, this.#hashToken(rawToken));
+
+        // Fire-and-forget — notificationClient ne lève jamais d'exception
+        // Le loginUrl est construit ici car notification-service ne connaît pas CLIENT_URL
+        const loginUrl = `${ENV.clientUrl}/magic-link?token=${rawToken}`;
+        notificationClient.notifyMagicLink(normalizedEmail, loginUrl, {
+            userData: { firstName: user?.firstName },
+            isNewAccount: !user,
+        });
+
+        logInfo(user ? `Lien de connexion envoyé pour userId=${user.id}` : 'Lien de connexion envoyé (nouveau compte)');
+    }
+
+    /**
+     * Consomme le lien reçu par email.
+     *
+     * @param {string} rawToken - Token brut extrait du lien email
+     * @returns {Promise<string>} Adresse email à laquelle le lien a été envoyé
+     * @throws {AppError} 400 si le lien est invalide, expiré ou déjà utilisé
+     */
+    async consumeLink(rawToken) {
+        const tokenRecord = typeof rawToken === 'string'
+            ? await magicLinkRepo.consumeToken(this.#hashToken(rawToken))
+            : null;
+        if (!tokenRecord) {
+            throw new AppError('Lien invalide ou expiré', HTTP_STATUS.BAD_REQUEST);
+        }
+
+        return tokenRecord.email;
+    }
+}
+
+export const magicLinkService = new MagicLinkService();
@@ -8,6 +8,7 @@
  * - TTL 1 heure, usage unique (supprimé à la consommation)
  * - Réponse identique si l'email existe ou non (anti-énumération)
  * - Invalidation de toutes les sessions actives après reset
+ * - Levée d'un éventuel verrouillage : le lien prouve la possession de l'adresse
  * - Vérification historique pour interdire la réutilisation des anciens mots de passe
  *
  * MICROSERVICE :
@@ -20,6 +21,7 @@ import { usersRepo } from '../repositories/index.js';
 import { passwordResetRepo } from '../repositories/passwordreset.repo.js';
 import { passwordService } from './password.service.js';
 import { sessionService } from './session.service.js';
+import { loginSecurityService } from './loginSecurity.service.js';
 import { notificationClient } from '../clients/notification.client.js';
 import { AppError, BusinessError } from '../utils/appError.js';
 import { HTTP_STATUS } from '../constants/httpStatus.js';
@@ -114,6 +116,10 @@ class PasswordResetService {
         // Invalider toutes les sessions pour forcer une reconnexion propre.
         await this.#invalidateAllSessions(user.id);
 
+        await loginSecurityService.resetFailures(user.id).catch((error) =>
+            logError(error, { context: 'PasswordResetService.resetFailures', userId: user.id })
+        );
+
         logInfo(`Mot de passe réinitialisé pour userId=${user.id}`);
     }
 
@@ -0,0 +1,158 @@
+/**
+ * @module Service/Privacy
+ *
+ * Droits RGPD d'un compte : export de ses données (portabilité) et effacement.
+ * L'auth-service orchestre : chaque service pair fournit ou efface sa part
+ * via ses endpoints internes (voir privacyClient).
+ *
+ * PÉRIMÈTRE DE L'EMAIL :
+ * Les données rattachées à l'adresse plutôt qu'au compte (commandes guest,
+ * historique des emails) ne sont exportées que si l'adresse est vérifiée :
+ * s'inscrire avec l'email d'un tiers ne doit pas donner accès à ses commandes.
+ *
+ * EFFACEMENT :
+ * Les commandes sont anonymisées, pas supprimées (comptabilité, factures).
+ * Chaque étape est idempotente : après un échec partiel, la suppression
+ * peut être relancée. Le compte n'est supprimé qu'en dernier.
+ */
+import { usersRepo, rolesRepo } from '../repositories/index.js';
+import { loginEventsRepo } from '../repositories/loginEvents.repo.js';
+import { magicLinkRepo } from '../repositories/magicLink.repo.js';
+import { privacyClient } from '../clients/privacy.client.js';
+import { sessionService } from './session.service.js';
+import { loginSecurityService } from './loginSecurity.service.js';
+import { twoFactorService } from './twoFactor.service.js';
+import { AppError } from '../utils/appError.js';
+import { HTTP_STATUS } from '../constants/httpStatus.js';
+import { logInfo } from '../utils/logger.js';
+
+const EXPORT_FORMAT = 'mon-ecommerce.user-data-export';
+const EXPORT_VERSION = 1;
+
+// Le journal est purgé à 90 jours : la limite couvre toute la période conservée
+const EXPORT_LOGIN_EVENTS_LIMIT = 1000;
+
+class PrivacyService {
+    constructor() {
+        if (PrivacyService.instance) return PrivacyService.instance;
+        PrivacyService.instance = this;
+        Object.freeze(this);
+    }
+
+    #verifiedEmail(user) {
+        return user.emailVerifiedAt ? user.email : null;
+    }
+
+    /**
+     * Adresses de livraison et de facturation distinctes utilisées dans les commandes.
+     * Il n'existe pas de carnet d'adresses : les commandes en sont la seule source.
+     */
+    #collectAddresses(orders) {
+        const addresses = new Map();
+
+        for (const order of orders) {
+            for (const [kind, address] of [['shipping', order.shippingAddress], ['billing', order.billingAddress]]) {
+                if (!address || Object.keys(address).length === 0) continue;
+
+                const key = JSON.stringify(address);
+                if (!addresses.has(key)) {
+                    addresses.set(key, { ...address, usedAs: new Set(), lastUsedAt: null });
+                }
+
+                const entry = addresses.get(key);
+                entry.usedAs.add(kind);
+                if (!entry.lastUsedAt || order.createdAt > entry.lastUsedAt) entry.lastUsedAt = order.createdAt;
+            }
+        }
+
+        return [...addresses.values()].map((entry) => ({ ...entry, usedAs: [...entry.usedAs] }));
+    }
+
+    /**
+     * Archive lisible par machine de toutes les données personnelles du compte.
+     *
+     * @param {string} userId
+     * @throws {AppError} 503 si un service pair ne répond pas (pas d'export partiel)
+     */
+    async exportUserData(userId) {
+        const user = await usersRepo.findById(userId);
+        if (!user) throw new AppError('Utilisateur introuvable', HTTP_STATUS.NOT_FOUND);
+
+        const verifiedEmail = this.#verifiedEmail(user);
+        const roleNames = (await rolesRepo.listUserRoles(userId)).map((r) => r.name);
+
+        const [sessions, loginEvents, twoFactor, orderData, cartData, notifications] = await Promise.all([
+            sessionService.listUserSessions(userId),
+            loginSecurityService.listLoginEvents(userId, EXPORT_LOGIN_EVENTS_LIMIT),
+            twoFactorService.getStatus(userId, roleNames),
+            privacyClient.exportOrders(userId, verifiedEmail),
+            privacyClient.exportCart(userId),
+            verifiedEmail ? privacyClient.exportNotifications(verifiedEmail) : [],
+        ]);
+
+        const orders = orderData.orders ?? [];
+
+        logInfo(`Export des données personnelles pour userId=${userId}`);
+
+        return {
+            format: EXPORT_FORMAT,
+            version: EXPORT_VERSION,
+            generatedAt: new Date().toISOString(),
+            profile: {
+                id: user.id,
+                email: user.email,
+                emailVerifiedAt: user.emailVerifiedAt ?? null,
+                firstName: user.firstName,
+                lastName: user.lastName,
+                phone: user.phone,
+                isActive: user.isActive,
+                createdAt: user.createdAt,
+                updatedAt: user.updatedAt,
+            },
+            roles: roleNames,
+            security: {
+                twoFactor: { enabled: twoFactor.enabled, enabledAt: twoFactor.enabledAt },
+                sessions,
+                loginEvents,
+            },
+            addresses: this.#collectAddresses(orders),
+            orders,
+            payments: orderData.payments ?? [],
+            refunds: orderData.refunds ?? [],
+            cart: cartData.cart,
+            wishlists: cartData.wishlists,
+            cartRecovery: cartData.cartRecovery,
+            notifications,
+        };
+    }
+
+    /**
+     * Efface les données du compte dans tous les services, puis le compte lui-même.
+     * Refusé (409) tant qu'une commande est en cours : la livraison, le retour
+     * ou la facture ont encore besoin de l'adresse.
+     *
+     * @param {{ id: string, email: string, emailVerifiedAt?: string|null }} user
+     */
+    async eraseUserData(user) {
+        // Les commandes d'abord : c'est la seule étape qui peut être refusée
+        await privacyClient.eraseOrders(user.id, this.#verifiedEmail(user));
+        await privacyClient.eraseCart(user.id);
+
+        // Email non vérifié : rien ne prouve que l'historique des envois appartient au titulaire
+        const verifiedEmail = this.#verifiedEmail(user);
+        if (verifiedEmail) await privacyClient.eraseNotifications(verifiedEmail);
+
+        await Promise.all([
+            loginEventsRepo.deleteUnlinkedByEmail(user.email),
+            magicLinkRepo.deleteByEmail(user.email.toLowerCase()),
+        ]);
+
+        // Sessions, rôles, 2FA, tokens et journal du compte : ON DELETE CASCADE
+        const deleted = await usersRepo.deleteById(user.id);
+        if (!deleted) throw new AppError('Erreur lors de la suppression', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+
+        logInfo(`Compte supprimé et données personnelles effacées pour userId=${user.id}`);
+    }
+}
+
+export const privacyService = new PrivacyService();
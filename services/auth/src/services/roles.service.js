@@ -1,16 +1,24 @@
 /**
  * @module Service/Role
  *
- * Gère les attributions de rôles et les règles de sécurité RBAC.
+ * Gère les rôles, leurs permissions et leurs attributions (RBAC).
+ *
+ * Les permissions des rôles d'un utilisateur sont signées dans son access token
+ * et vérifiées par requirePermission() dans chaque service : une modification
+ * prend effet au prochain refresh (15 min max) hors auth-service.
+ *
+ * Anti-escalade : un gestionnaire ne peut attribuer, retirer ou composer
+ * un rôle que si ce rôle ne dépasse pas ses propres permissions.
  */
 import { rolesRepo, usersRepo } from '../repositories/index.js';
-import { AppError, ConflictError, BusinessError } from '../utils/appError.js';
+import { AppError, ConflictError, BusinessError, ValidationError } from '../utils/appError.js';
 import { HTTP_STATUS } from '../constants/httpStatus.js';
+import { ROLES } from '../constants/roles.js';
 
 class RoleService {
-    // Rôles protégés en dur pour éviter qu'une suppression accidentelle
-    // ne casse l'ensemble du système d'autorisation.
-    #systemRoles = ['ADMIN', 'USER', 'MODERATOR'];
+    // Rôles protégés en dur : référencés dans le code (inscription,
+    // garde-fous administrateur), leur suppression casserait l'autorisation.
+    #systemRoles = [ROLES.ADMIN, ROLES.USER];
 
     constructor() {
         if (RoleService.instance) return RoleService.instance;
@@ -19,13 +27,49 @@ class RoleService {
     }
 
     async getAllRoles() {
-        return await rolesRepo.findAll();
+        return await rolesRepo.listWithPermissions();
+    }
+
+    async listPermissions() {
+        return await rolesRepo.listPermissions();
+    }
+
+    /**
+     * @throws {AppError} 403 si le rôle accorde une permission que l'acteur n'a pas
+     */
+    #assertWithinActorPermissions(actor, permissionCodes) {
+        const missing = permissionCodes.filter((code) => !actor.permissions?.includes(code));
+        if (missing.length > 0) {
+            throw new AppError(
+                `Opération interdite : permissions non détenues (${missing.join(', ')})`,
+                HTTP_STATUS.FORBIDDEN
+            );
+        }
     }
 
-    async assignRoleToUser(userId, roleName) {
+    async #assertPermissionsExist(permissionCodes) {
+        const catalogue = new Set((await rolesRepo.listPermissions()).map((p) => p.code));
+        const unknown = permissionCodes.filter((code) => !catalogue.has(code));
+        if (unknown.length > 0) {
+            throw new ValidationError(`Permissions inconnues : ${unknown.join(', ')}`);
+        }
+    }
+
+    /**
+     * Vérifie que l'acteur peut attribuer ou retirer ce rôle.
+     * @returns {Promise<Object>} Le rôle
+     */
+    async assertCanGrant(actor, roleName) {
         const role = await rolesRepo.findByName(roleName.toUpperCase());
         if (!role) throw new AppError(`Rôle ${roleName} inexistant`, HTTP_STATUS.NOT_FOUND);
 
+        this.#assertWithinActorPermissions(actor, await rolesRepo.listRolePermissions(role.id));
+        return role;
+    }
+
+    async assignRoleToUser(userId, roleName, actor) {
+        const role = await this.assertCanGrant(actor, roleName);
+
         const user = await usersRepo.findById(userId);
         if (!user) throw new AppError('Utilisateur introuvable', HTTP_STATUS.NOT_FOUND);
 
@@ -41,13 +85,12 @@ class RoleService {
         return await rolesRepo.addUserRole(userId, role.id);
     }
 
-    async removeRoleFromUser(userId, roleName) {
-        const role = await rolesRepo.findByName(roleName.toUpperCase());
-        if (!role) throw new AppError('Rôle introuvable', HTTP_STATUS.NOT_FOUND);
+    async removeRoleFromUser(userId, roleName, actor) {
+        const role = await this.assertCanGrant(actor, roleName);
 
         // Garantir qu'il reste toujours au moins un administrateur
         // pour éviter un verrouillage total de l'application.
-        if (roleName.toUpperCase() === 'ADMIN') {
+        if (role.name === ROLES.ADMIN) {
             const admins = await rolesRepo.countUsersByRole(role.id);
             if (admins <= 1) {
                 throw new BusinessError(
@@ -59,18 +102,52 @@ class RoleService {
         return await rolesRepo.removeUserRole(userId, role.id);
     }
 
-    async createCustomRole(name, description) {
+    /**
+     * Crée un rôle équipe (ex : WAREHOUSE, CATALOG_EDITOR) et ses permissions.
+     */
+    async createCustomRole({ name, description = null, permissions: permissionCodes = [] }, actor) {
         const normalizedName = name.toUpperCase();
 
         const existing = await rolesRepo.findByName(normalizedName);
         if (existing) throw new ConflictError('Ce rôle existe déjà');
 
-        return await rolesRepo.create({ name: normalizedName, description });
+        await this.#assertPermissionsExist(permissionCodes);
+        this.#assertWithinActorPermissions(actor, permissionCodes);
+
+        const role = await rolesRepo.create({ name: normalizedName, description });
+        if (permissionCodes.length > 0) {
+            await rolesRepo.setRolePermissions(role.id, permissionCodes);
+        }
+
+        return { ...role, permissions: [...permissionCodes].sort() };
+    }
+
+    /**
+     * Remplace les permissions d'un rôle.
+     * ADMIN détient tout le catalogue par construction (migrations) : non modifiable.
+     */
+    async updateRolePermissions(roleId, permissionCodes, actor) {
+        const role = await rolesRepo.findById(roleId);
+        if (!role) throw new AppError('Rôle introuvable', HTTP_STATUS.NOT_FOUND);
+
+        if (role.name === ROLES.ADMIN) {
+            throw new AppError('Les permissions du rôle ADMIN ne sont pas modifiables', HTTP_STATUS.FORBIDDEN);
+        }
+
+        await this.#assertPermissionsExist(permissionCodes);
+
+        // Ajouter comme retirer : l'acteur doit couvrir l'ancien et le nouvel ensemble
+        const current = await rolesRepo.listRolePermissions(role.id);
+        this.#assertWithinActorPermissions(actor, [...new Set([...current, ...permissionCodes])]);
+
+        await rolesRepo.setRolePermissions(role.id, permissionCodes);
+
+        return { ...role, permissions: [...permissionCodes].sort() };
     }
 
     /**
      * Les rôles système ne peuvent pas être supprimés car ils sont référencés
-     * en dur dans les middlewares d'autorisation.
+     * en dur dans le code. Un rôle encore attribué doit d'abord être retiré.
      */
     async deleteRole(roleId) {
         const role = await rolesRepo.findById(roleId);
@@ -80,8 +157,13 @@ class RoleService {
             throw new AppError('Impossible de supprimer un rôle système', HTTP_STATUS.FORBIDDEN);
         }
 
+        const holders = await rolesRepo.countUsersByRole(role.id);
+        if (holders > 0) {
+            throw new BusinessError(`Rôle encore attribué à ${holders} utilisateur(s)`);
+        }
+
         return await rolesRepo.delete(roleId);
     }
 }
 
-export const roleService = new RoleService();
\ No newline at end of file
+export const roleService = new RoleService();
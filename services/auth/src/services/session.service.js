@@ -3,12 +3,27 @@
  *
  * Gère la persistance des sessions avec une stratégie de cache hybride (Redis + DB).
  * Redis est utilisé comme couche rapide ; PostgreSQL reste la source de vérité.
+ *
+ * ROTATION :
+ * - Chaque refresh remplace le token présenté par un nouveau de la même famille
+ *   (une famille = une connexion) ; l'ancien reste en base, marqué rotated_at
+ * - Un token déjà remplacé présenté à nouveau signifie qu'il a été copié :
+ *   la famille entière est révoquée, l'utilisateur légitime comme l'attaquant
+ *   doivent se reconnecter — sauf dans les ROTATION_GRACE_MS qui suivent la rotation
  */
 import { refreshTokensRepo } from '../repositories/index.js';
 import { cacheService } from './cache.service.js';
-import { logError } from '../utils/logger.js';
+import { AppError, NotFoundError } from '../utils/appError.js';
+import { HTTP_STATUS } from '../constants/httpStatus.js';
+import { pgPool } from '../config/database.js';
+import { logError, logInfo } from '../utils/logger.js';
 import { ENV } from '../config/environment.js';
 
+// Deux requêtes parallèles d'un même navigateur (onglets) présentent le même
+// token : la perdante arrive juste après la rotation. Dans cette fenêtre elle
+// reçoit le même successeur que la gagnante, sans révoquer la famille.
+const ROTATION_GRACE_MS = 10 * 1000;
+
 class SessionService {
     // SameSite: None + Secure: true est requis pour les cookies cross-domain
     // (ex : frontend Vercel → API Render). En développement, les navigateurs bloquent
@@ -33,13 +48,7 @@ class SessionService {
         Object.freeze(this);
     }
 
-    async createSession(userId, refreshToken) {
-        if (!userId || !refreshToken) throw new Error('Données de session manquantes');
-
-        const expiresAt = new Date(Date.now() + this.#cookieOptions.maxAge);
-
-        await refreshTokensRepo.create({ userId, token: refreshToken, expiresAt });
-
+    async #cacheSession(refreshToken, userId, expiresAt) {
         // Le TTL Redis est synchronisé avec le cookie pour éviter des sessions
         // valides en DB mais absentes du cache (incohérence self-healing).
         await cacheService.set(
@@ -49,6 +58,146 @@ class SessionService {
         );
     }
 
+    async #uncacheSessions(refreshTokens) {
+        try {
+            await cacheService.deleteMany(refreshTokens.map((token) => `session:${token}`));
+        } catch (error) {
+            // Sans conséquence sur la sécurité : la DB, source de vérité, est déjà à jour
+            logError(error, { context: 'SessionService.uncacheSessions' });
+        }
+    }
+
+    /**
+     * Ouvre une session (nouvelle famille de refresh tokens).
+     *
+     * @param {string} userId
+     * @param {string} refreshToken
+     * @param {{ userAgent?: string|null, ipAddress?: string|null }} [device] - Client à l'origine de la connexion
+     * @returns {Promise<{ familyId: string }>} familyId identifie la session (claim `sid` de l'access token)
+     */
+    async createSession(userId, refreshToken, { userAgent = null, ipAddress = null } = {}) {
+        if (!userId || !refreshToken) throw new Error('Données de session manquantes');
+
+        const expiresAt = new Date(Date.now() + this.#cookieOptions.maxAge);
+
+        const session = await refreshTokensRepo.create({ userId, token: refreshToken, expiresAt, userAgent, ipAddress });
+        await this.#cacheSession(refreshToken, userId, expiresAt);
+
+        return { familyId: session.familyId };
+    }
+
+    /**
+     * Remplace `currentToken` par `nextToken` dans la même famille.
+     *
+     * Le jeton courant est verrouillé (FOR UPDATE) : deux rotations concurrentes
+     * du même jeton sont sérialisées, la seconde est traitée comme une réutilisation
+     * (ou reçoit le successeur déjà émis si elle tombe dans ROTATION_GRACE_MS ;
+     * `nextToken` n'est alors pas enregistré).
+     *
+     * @param {string} currentToken - Refresh token présenté par le client
+     * @param {string} nextToken    - Refresh token qui le remplace
+     * @param {{ userAgent?: string|null, ipAddress?: string|null }} [device] - Client à l'origine du renouvellement
+     * @returns {Promise<{ userId: string, familyId: string, expiresAt: Date, refreshToken: string }>}
+     *          refreshToken : jeton à renvoyer au client (nextToken, ou le successeur existant)
+     * @throws {AppError} 401 si le jeton est inconnu, expiré ou déjà remplacé
+     */
+    async rotateSession(currentToken, nextToken, device = {}) {
+        const client = await pgPool.connect();
+        let outcome;
+        try {
+            await client.query('BEGIN');
+            outcome = await this.#rotate(currentToken, nextToken, device, client);
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        const { status, session, revokedTokens } = outcome;
+
+        if (status === 'REUSED') {
+            await this.#uncacheSessions(revokedTokens);
+            logError(new Error('Réutilisation d\'un refresh token déjà remplacé — famille de sessions révoquée'), {
+                context: 'SessionService.rotateSession',
+                securityEvent: 'REFRESH_TOKEN_REUSE',
+                userId: session.userId,
+                familyId: session.familyId,
+                revokedTokens: revokedTokens.length,
+            });
+            throw new AppError('Session révoquée, veuillez vous reconnecter', HTTP_STATUS.UNAUTHORIZED);
+        }
+
+        if (status === 'ALREADY_ROTATED') return session;
+
+        if (status !== 'ROTATED') {
+            throw new AppError('Session invalide ou expirée', HTTP_STATUS.UNAUTHORIZED);
+        }
+
+        await this.#uncacheSessions([currentToken]);
+        await this.#cacheSession(nextToken, session.userId, session.expiresAt);
+
+        return session;
+    }
+
+    async #rotate(currentToken, nextToken, { userAgent = null, ipAddress = null }, client) {
+        const current = await refreshTokensRepo.findByTokenForUpdate(currentToken, client);
+
+        if (!current || new Date(current.expiresAt) <= new Date()) {
+            return { status: 'INVALID' };
+        }
+
+        if (current.rotatedAt) {
+            if (Date.now() - new Date(current.rotatedAt).getTime() < ROTATION_GRACE_MS) {
+                return this.#successorOf(current, client);
+            }
+
+            const revokedTokens = await refreshTokensRepo.revokeFamily(current.familyId, client);
+            return { status: 'REUSED', session: current, revokedTokens };
+        }
+
+        const next = await refreshTokensRepo.create({
+            userId: current.userId,
+            token: nextToken,
+            expiresAt: new Date(Date.now() + this.#cookieOptions.maxAge),
+            familyId: current.familyId,
+            userAgent: userAgent ?? current.userAgent,
+            ipAddress: ipAddress ?? current.ipAddress,
+        }, client);
+
+        await refreshTokensRepo.markRotated(current.id, next.id, client);
+
+        return {
+            status: 'ROTATED',
+            session: { userId: next.userId, familyId: next.familyId, expiresAt: next.expiresAt, refreshToken: nextToken },
+        };
+    }
+
+    /**
+     * Rotation concurrente perdue : le successeur émis par la gagnante, tant qu'il
+     * est lui-même encore courant.
+     */
+    async #successorOf(current, client) {
+        const successor = current.replacedById
+            ? await refreshTokensRepo.findById(current.replacedById, client)
+            : null;
+
+        if (!successor || successor.rotatedAt || new Date(successor.expiresAt) <= new Date()) {
+            return { status: 'INVALID' };
+        }
+
+        return {
+            status: 'ALREADY_ROTATED',
+            session: {
+                userId: successor.userId,
+                familyId: successor.familyId,
+                expiresAt: successor.expiresAt,
+                refreshToken: successor.token,
+            },
+        };
+    }
+
     async validateSession(refreshToken) {
         if (!refreshToken) return null;
 
@@ -63,27 +212,81 @@ class SessionService {
 
         const session = await refreshTokensRepo.findByToken(refreshToken);
 
+        // Un jeton remplacé n'est conservé que pour détecter sa réutilisation
+        if (!session || session.rotatedAt) return null;
+
         // Self-healing : reconstruction du cache si la session existe en DB mais pas dans Redis.
-        if (session) {
-            await cacheService.set(
-                `session:${refreshToken}`,
-                { userId: session.userId, expiresAt: session.expiresAt },
-                3600
-            );
-        }
+        await cacheService.set(
+            `session:${refreshToken}`,
+            { userId: session.userId, expiresAt: session.expiresAt },
+            3600
+        );
 
         return session;
     }
 
+    /**
+     * Déconnexion d'un appareil : révoque la famille du jeton, pour ne pas
+     * laisser en base les jetons remplacés de cette session.
+     */
     async deleteSession(refreshToken) {
         if (!refreshToken) return;
 
         const session = await refreshTokensRepo.findByToken(refreshToken);
+        const revokedTokens = session ? await refreshTokensRepo.revokeFamily(session.familyId) : [];
+
+        await this.#uncacheSessions([refreshToken, ...revokedTokens]);
+    }
+
+    /**
+     * Sessions ouvertes de l'utilisateur, la session courante signalée par `current`.
+     *
+     * @param {string} userId
+     * @param {string|null} currentSessionId - Claim `sid` de l'access token de l'appelant
+     */
+    async listUserSessions(userId, currentSessionId = null) {
+        const sessions = await refreshTokensRepo.listActiveSessions(userId);
+        return sessions.map((session) => ({ ...session, current: session.id === currentSessionId }));
+    }
+
+    /**
+     * Révoque une session de l'utilisateur. Les access tokens déjà émis pour
+     * cette session restent valides jusqu'à leur expiration (15 min par défaut).
+     *
+     * @throws {NotFoundError} si la session n'appartient pas à l'utilisateur
+     */
+    async revokeUserSession(userId, sessionId) {
+        const revokedTokens = await refreshTokensRepo.revokeUserFamily(userId, sessionId);
+        if (revokedTokens.length === 0) throw new NotFoundError('Session', sessionId);
+
+        await this.#uncacheSessions(revokedTokens);
+    }
+
+    /**
+     * Déconnecte tous les autres appareils de l'utilisateur.
+     *
+     * @returns {Promise<number>} Nombre de jetons révoqués
+     */
+    async revokeOtherSessions(userId, currentSessionId) {
+        if (!currentSessionId) {
+            throw new AppError('Session courante inconnue, veuillez vous reconnecter', HTTP_STATUS.UNAUTHORIZED);
+        }
+
+        const revokedTokens = await refreshTokensRepo.revokeOtherFamilies(userId, currentSessionId);
+        await this.#uncacheSessions(revokedTokens);
+
+        return revokedTokens.length;
+    }
+
+    /**
+     * Déconnexion de tous les appareils (reset de mot de passe, compromission).
+     */
+    async deleteAllUserSessions(userId) {
+        const revokedTokens = await refreshTokensRepo.revokeByUserId(userId);
+        await this.#uncacheSessions(revokedTokens);
 
-        await Promise.all([
-            session ? refreshTokensRepo.revokeById(session.id) : Promise.resolve(),
-            cacheService.delete(`session:${refreshToken}`),
-        ]);
+        logInfo(`${revokedTokens.length} session(s) révoquée(s) pour userId=${userId}`);
+        return revokedTokens.length;
     }
 }
 
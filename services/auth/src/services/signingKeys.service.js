@@ -0,0 +1,122 @@
+/**
+ * @module Service/SigningKeys
+ *
+ * Clés asymétriques de signature des access tokens (RS256 / ES256) et leur JWKS.
+ *
+ * Seul l'auth-service détient les clés privées : les autres services vérifient
+ * les tokens avec les clés publiques de /.well-known/jwks.json et ne peuvent
+ * donc plus en émettre (contrairement à l'ancien secret HMAC partagé).
+ *
+ * Configuration :
+ * - JWT_SIGNING_KEYS : tableau JSON [{ kid, alg, privateKey | publicKey }] (PEM, "\n" échappés)
+ * - JWT_ACTIVE_KID   : kid de la clé qui signe les nouveaux tokens (clé privée requise)
+ * Hors production, une clé ES256 éphémère est générée si rien n'est configuré.
+ *
+ * Rotation sans interruption :
+ * 1. Ajouter la nouvelle clé à JWT_SIGNING_KEYS → publiée, pas encore utilisée
+ * 2. Après le TTL du cache JWKS des services, basculer JWT_ACTIVE_KID
+ * 3. Après l'expiration des access tokens (15 min), retirer l'ancienne clé
+ *    (ou ne garder que sa publicKey le temps de la transition)
+ */
+import crypto from 'crypto';
+import { ENV } from '../config/environment.js';
+import { logInfo } from '../utils/logger.js';
+
+// Type de clé attendu pour chaque algorithme : refuser une clé RSA annoncée ES256
+const KEY_TYPES = Object.freeze({
+    RS256: { type: 'rsa' },
+    ES256: { type: 'ec', namedCurve: 'prime256v1' },
+});
+
+class SigningKeyService {
+    #keys = new Map();
+    #activeKid;
+
+    constructor() {
+        if (SigningKeyService.instance) return SigningKeyService.instance;
+
+        const entries = this.#loadEntries();
+        for (const entry of entries) {
+            const key = this.#buildKey(entry);
+            this.#keys.set(key.kid, key);
+        }
+
+        this.#activeKid = ENV.jwt.activeKid ?? entries[0]?.kid;
+        if (!this.#keys.get(this.#activeKid)?.privateKey) {
+            throw new Error(`[auth-service] JWT_ACTIVE_KID "${this.#activeKid}" ne désigne aucune clé privée de JWT_SIGNING_KEYS`);
+        }
+
+        SigningKeyService.instance = this;
+        Object.freeze(this);
+    }
+
+    #loadEntries() {
+        if (ENV.jwt.signingKeys) {
+            const entries = JSON.parse(ENV.jwt.signingKeys);
+            if (!Array.isArray(entries) || entries.length === 0) {
+                throw new Error('[auth-service] JWT_SIGNING_KEYS doit être un tableau JSON non vide');
+            }
+            return entries;
+        }
+
+        // environment.js impose JWT_SIGNING_KEYS en production : ce repli ne sert qu'en local.
+        // Les tokens émis deviennent invalides à chaque redémarrage.
+        const { privateKey } = crypto.generateKeyPairSync('ec', {
+            namedCurve: 'prime256v1',
+            privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+            publicKeyEncoding: { type: 'spki', format: 'pem' },
+        });
+        logInfo('[auth-service] JWT_SIGNING_KEYS absent : clé ES256 éphémère générée (développement uniquement)');
+        return [{ kid: `dev-${crypto.randomUUID()}`, alg: 'ES256', privateKey }];
+    }
+
+    #buildKey({ kid, alg, privateKey, publicKey }) {
+        const expected = KEY_TYPES[alg];
+        if (!kid || !expected) {
+            throw new Error(`[auth-service] Clé de signature invalide (kid "${kid}", alg "${alg}") : RS256 ou ES256 attendu`);
+        }
+
+        const privateKeyObject = privateKey ? crypto.createPrivateKey(privateKey) : null;
+        const publicKeyObject = crypto.createPublicKey(privateKeyObject ?? publicKey);
+
+        if (
+            publicKeyObject.asymmetricKeyType !== expected.type ||
+            (expected.namedCurve && publicKeyObject.asymmetricKeyDetails?.namedCurve !== expected.namedCurve)
+        ) {
+            throw new Error(`[auth-service] La clé "${kid}" ne correspond pas à l'algorithme ${alg}`);
+        }
+
+        return { kid, alg, privateKey: privateKeyObject, publicKey: publicKeyObject };
+    }
+
+    /**
+     * Clé utilisée pour signer les nouveaux access tokens.
+     * @returns {{ kid: string, alg: string, privateKey: crypto.KeyObject }}
+     */
+    getActiveKey() {
+        return this.#keys.get(this.#activeKid);
+    }
+
+    /**
+     * Clé publique correspondant au `kid` d'un token, ou null si elle n'est plus publiée.
+     */
+    getVerificationKey(kid) {
+        return this.#keys.get(kid) ?? null;
+    }
+
+    /**
+     * Document JWKS (RFC 7517) : toutes les clés publiées, active ou non.
+     */
+    getJwks() {
+        return {
+            keys: [...this.#keys.values()].map(({ kid, alg, publicKey }) => ({
+                ...publicKey.export({ format: 'jwk' }),
+                kid,
+                alg,
+                use: 'sig',
+            })),
+        };
+    }
+}
+
+export const signingKeyService = new SigningKeyService();
@@ -2,15 +2,27 @@
  * @module Service/Token
  *
  * Gère la génération et la vérification des JWT (access et refresh tokens).
+ *
+ * Access tokens : signature asymétrique (RS256/ES256, en-tête `kid`), vérifiables
+ * par tous les services via le JWKS. Refresh tokens et challenges 2FA : HMAC,
+ * car ils ne sont jamais vérifiés hors de l'auth-service.
  */
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import { ENV } from '../config/environment.js';
+import { signingKeyService } from './signingKeys.service.js';
+
+const ACCESS_TOKEN_ISSUER = 'mon-ecommerce-api';
+const ACCESS_TOKEN_AUDIENCE = 'mon-ecommerce-client';
 
 class TokenService {
-    #accessSecret = ENV.jwt.accessTokenSecret;
     #refreshSecret = ENV.jwt.refreshTokenSecret;
     #accessExpiry = ENV.jwt.accessTokenExpiry || '15m';
     #refreshExpiry = ENV.jwt.refreshTokenExpiry || '7d';
+    // Clé dérivée, distincte de celle des refresh tokens : un challenge 2FA
+    // ne doit jamais être accepté comme refresh token, et inversement.
+    #challengeSecret = crypto.createHmac('sha256', ENV.jwt.refreshTokenSecret ?? '').update('two-factor-challenge').digest();
+    #challengeExpiry = ENV.twoFactor.challengeExpiry;
 
     constructor() {
         if (TokenService.instance) return TokenService.instance;
@@ -22,34 +34,124 @@ class TokenService {
      * L'access token a une courte durée de vie (15 min par défaut) pour limiter
      * la fenêtre d'exploitation en cas de fuite. Le refresh token compense
      * en permettant de renouveler sans redemander les credentials.
+     *
+     * `sid` rattache le token à sa session (famille de refresh tokens) pour que
+     * l'utilisateur puisse reconnaître et conserver la sienne dans /users/me/sessions.
+     *
+     * `permissions` (union des permissions de ses rôles) est vérifié sans requête
+     * par requirePermission() dans les autres services.
      */
-    generateAccessToken(user) {
+    generateAccessToken(user, sessionId = null) {
+        const { kid, alg, privateKey } = signingKeyService.getActiveKey();
+
         return jwt.sign(
             {
                 sub: user.id,
                 email: user.email,
                 roles: user.roles || [],
+                permissions: user.permissions || [],
+                sid: sessionId,
             },
-            this.#accessSecret,
+            privateKey,
             {
+                algorithm: alg,
+                keyid: kid,
                 expiresIn: this.#accessExpiry,
-                issuer: 'mon-ecommerce-api',
-                audience: 'mon-ecommerce-client',
+                issuer: ACCESS_TOKEN_ISSUER,
+                audience: ACCESS_TOKEN_AUDIENCE,
+            }
+        );
+    }
+
+    /**
+     * Access token "voir en tant que client", émis pour un membre du support.
+     * Même format que generateAccessToken (le client en `sub`, ses rôles et
+     * permissions), pour que chaque service l'accepte sans modification de ses
+     * contrôles d'accès, avec en plus :
+     *   - `act` : l'acteur réel (RFC 8693), l'administrateur
+     *   - `imp` : la session d'impersonation, à rapporter dans le journal d'audit,
+     *             et son mode lecture seule
+     * Pas de `sid` ni de refresh token : la session expire avec le token.
+     *
+     * @param {{ id, email, roles, permissions }} user
+     * @param {{ id: string, adminId: string, readOnly: boolean, expiresAt: Date }} impersonation
+     */
+    generateImpersonationToken(user, impersonation) {
+        const { kid, alg, privateKey } = signingKeyService.getActiveKey();
+
+        return jwt.sign(
+            {
+                sub: user.id,
+                email: user.email,
+                roles: user.roles || [],
+                permissions: user.permissions || [],
+                sid: null,
+                act: { sub: impersonation.adminId },
+                imp: { id: impersonation.id, readOnly: impersonation.readOnly },
+                exp: Math.floor(impersonation.expiresAt.getTime() / 1000),
+            },
+            privateKey,
+            {
+                algorithm: alg,
+                keyid: kid,
+                issuer: ACCESS_TOKEN_ISSUER,
+                audience: ACCESS_TOKEN_AUDIENCE,
             }
         );
     }
 
+    /**
+     * Le jti aléatoire rend chaque refresh token unique : sans lui, deux tokens
+     * émis dans la même seconde pour le même utilisateur seraient identiques
+     * (la rotation en émet un nouveau à chaque refresh).
+     */
     generateRefreshToken(user) {
         return jwt.sign(
             { sub: user.id },
             this.#refreshSecret,
-            { expiresIn: this.#refreshExpiry }
+            { expiresIn: this.#refreshExpiry, jwtid: crypto.randomUUID() }
         );
     }
 
+    /**
+     * Challenge de connexion en deux étapes : prouve que le mot de passe a été
+     * vérifié, sans ouvrir de session. `purpose` distingue la saisie d'un code
+     * (VERIFY) de l'enrôlement imposé par la politique ADMIN (SETUP).
+     */
+    generateTwoFactorChallenge(userId, purpose) {
+        return jwt.sign(
+            { sub: userId, purpose },
+            this.#challengeSecret,
+            { expiresIn: this.#challengeExpiry, jwtid: crypto.randomUUID(), audience: 'two-factor-challenge' }
+        );
+    }
+
+    verifyTwoFactorChallenge(token) {
+        try {
+            return jwt.verify(token, this.#challengeSecret, {
+                algorithms: ['HS256'],
+                audience: 'two-factor-challenge',
+            });
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Clé choisie d'après le `kid` de l'en-tête et algorithme imposé par la clé :
+     * un token HS256 ou signé par une clé retirée est refusé.
+     */
     verifyAccessToken(token) {
         try {
-            return jwt.verify(token, this.#accessSecret);
+            const kid = jwt.decode(token, { complete: true })?.header?.kid;
+            const key = kid ? signingKeyService.getVerificationKey(kid) : null;
+            if (!key) return null;
+
+            return jwt.verify(token, key.publicKey, {
+                algorithms: [key.alg],
+                issuer: ACCESS_TOKEN_ISSUER,
+                audience: ACCESS_TOKEN_AUDIENCE,
+            });
         } catch {
             return null;
         }
@@ -57,7 +159,7 @@ class TokenService {
 
     verifyRefreshToken(token) {
         try {
-            return jwt.verify(token, this.#refreshSecret);
+            return jwt.verify(token, this.#refreshSecret, { algorithms: ['HS256'] });
         } catch {
             return null;
         }
@@ -0,0 +1,130 @@
+/**
+ * @module Service/Totp
+ *
+ * Primitives TOTP (RFC 6238) : génération du secret, URI de provisioning
+ * pour les applications d'authentification, vérification des codes et
+ * chiffrement du secret au repos.
+ *
+ * Paramètres compatibles avec toutes les applications courantes
+ * (Google Authenticator, Authy, 1Password…) : HMAC-SHA1, 6 chiffres, 30 s.
+ */
+import crypto from 'crypto';
+import { ENV } from '../config/environment.js';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+class TotpService {
+    #digits = 6;
+    #periodSeconds = 30;
+    // Tolérance d'un pas de chaque côté : décalage d'horloge du téléphone
+    #window = 1;
+    #encryptionKey = crypto.createHash('sha256').update(ENV.twoFactor.encryptionKey ?? '').digest();
+
+    constructor() {
+        if (TotpService.instance) return TotpService.instance;
+        TotpService.instance = this;
+        Object.freeze(this);
+    }
+
+    #base32Encode(buffer) {
+        let bits = '';
+        for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+        let output = '';
+        for (let i = 0; i < bits.length; i += 5) {
+            output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+        }
+        return output;
+    }
+
+    #base32Decode(encoded) {
+        let bits = '';
+        for (const char of encoded.replace(/=+$/, '').toUpperCase()) {
+            const index = BASE32_ALPHABET.indexOf(char);
+            if (index === -1) throw new Error('Secret TOTP invalide');
+            bits += index.toString(2).padStart(5, '0');
+        }
+
+        const bytes = [];
+        for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+        return Buffer.from(bytes);
+    }
+
+    /** Code HOTP (RFC 4226) pour un pas de temps donné. */
+    #codeAt(key, step) {
+        const counter = Buffer.alloc(8);
+        counter.writeBigUInt64BE(BigInt(step));
+
+        const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+        const offset = hmac[hmac.length - 1] & 0x0f;
+        const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+        return String(binary % 10 ** this.#digits).padStart(this.#digits, '0');
+    }
+
+    /** Secret de 160 bits encodé en base32 (taille recommandée par la RFC 4226). */
+    generateSecret() {
+        return this.#base32Encode(crypto.randomBytes(20));
+    }
+
+    /**
+     * URI otpauth:// à encoder en QR code côté client.
+     * @param {string} accountName - Email de l'utilisateur
+     * @param {string} secret      - Secret base32
+     */
+    buildProvisioningUri(accountName, secret) {
+        const issuer = ENV.twoFactor.issuer;
+        const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+        const params = new URLSearchParams({
+            secret,
+            issuer,
+            algorithm: 'SHA1',
+            digits: String(this.#digits),
+            period: String(this.#periodSeconds),
+        });
+
+        return `otpauth://totp/${label}?${params}`;
+    }
+
+    /**
+     * Vérifie un code dans la fenêtre de tolérance.
+     *
+     * @param {string} secret - Secret base32
+     * @param {string} code   - Code saisi par l'utilisateur
+     * @returns {number|null} Pas de temps du code reconnu (anti-rejeu), null si invalide
+     */
+    verify(secret, code, now = Date.now()) {
+        const normalized = String(code ?? '').replace(/\s/g, '');
+        if (!new RegExp(`^\\d{${this.#digits}}$`).test(normalized)) return null;
+
+        const key = this.#base32Decode(secret);
+        const currentStep = Math.floor(now / 1000 / this.#periodSeconds);
+
+        for (let step = currentStep - this.#window; step <= currentStep + this.#window; step += 1) {
+            const expected = Buffer.from(this.#codeAt(key, step));
+            if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) return step;
+        }
+        return null;
+    }
+
+    /**
+     * Chiffre le secret pour le stockage (AES-256-GCM) : "iv.tag.ciphertext" en base64url.
+     */
+    encryptSecret(secret) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.#encryptionKey, iv);
+        const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+        return [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString('base64url')).join('.');
+    }
+
+    decryptSecret(payload) {
+        const [iv, tag, ciphertext] = payload.split('.').map((part) => Buffer.from(part, 'base64url'));
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.#encryptionKey, iv);
+        decipher.setAuthTag(tag);
+
+        return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+    }
+}
+
+export const totpService = new TotpService();
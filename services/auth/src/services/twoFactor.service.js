@@ -0,0 +1,311 @@
+/**
+ * @module Service/TwoFactor
+ *
+ * Double authentification TOTP : enrôlement, codes de secours et
+ * challenge de connexion en deux étapes.
+ *
+ * Workflow de connexion d'un compte protégé :
+ * 1. POST /auth/login → mot de passe vérifié, challenge court (5 min) au lieu d'une session
+ * 2. POST /auth/2fa/verify → code TOTP (ou code de secours) + challenge → session
+ *
+ * Politique TWO_FACTOR_REQUIRED_FOR_ADMIN : un ADMIN sans 2FA reçoit un challenge
+ * SETUP et doit s'enrôler (POST /auth/2fa/setup) avant d'obtenir une session.
+ *
+ * SÉCURITÉ :
+ * - Secret chiffré au repos (cf. TotpService), codes de secours hachés (PasswordService)
+ * - Un code TOTP accepté est refusé ensuite jusqu'à expiration (last_used_step)
+ * - Challenge à usage unique, 5 tentatives maximum
+ */
+import crypto from 'crypto';
+import { twoFactorRepo, usersRepo } from '../repositories/index.js';
+import { totpService } from './totp.service.js';
+import { passwordService } from './password.service.js';
+import { tokenService } from './token.service.js';
+import { cacheService } from './cache.service.js';
+import { AppError, ConflictError, BusinessError } from '../utils/appError.js';
+import { HTTP_STATUS } from '../constants/httpStatus.js';
+import { ENV } from '../config/environment.js';
+import { pgPool } from '../config/database.js';
+import { logInfo, logError } from '../utils/logger.js';
+
+export const TWO_FACTOR_CHALLENGE = Object.freeze({
+    VERIFY: 'VERIFY',
+    SETUP: 'SETUP',
+});
+
+const RECOVERY_CODE_COUNT = 10;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+const CHALLENGE_STATE_TTL_SECONDS = 15 * 60; // couvre largement la durée de vie du challenge
+
+class TwoFactorService {
+    constructor() {
+        if (TwoFactorService.instance) return TwoFactorService.instance;
+        TwoFactorService.instance = this;
+        Object.freeze(this);
+    }
+
+    /**
+     * La politique ne s'applique qu'aux administrateurs, et seulement si activée.
+     * @param {string[]} roles
+     */
+    isRequiredFor(roles = []) {
+        return ENV.twoFactor.requiredForAdmin && roles.some((role) => role.toUpperCase() === 'ADMIN');
+    }
+
+    async isEnabled(userId) {
+        const record = await twoFactorRepo.findByUserId(userId);
+        return Boolean(record?.enabledAt);
+    }
+
+    async getStatus(userId, roles) {
+        const record = await twoFactorRepo.findByUserId(userId);
+        const recoveryCodes = record?.enabledAt ? await twoFactorRepo.listUnusedRecoveryCodes(userId) : [];
+
+        return {
+            enabled: Boolean(record?.enabledAt),
+            enabledAt: record?.enabledAt ?? null,
+            required: this.isRequiredFor(roles),
+            recoveryCodesRemaining: recoveryCodes.length,
+        };
+    }
+
+    // ─────────────────────────────────────────────────────────────────────
+    // ENRÔLEMENT
+    // ─────────────────────────────────────────────────────────────────────
+
+    /**
+     * Génère un nouveau secret en attente de confirmation.
+     * Rappeler cette méthode avant confirmation remplace le secret (QR code perdu).
+     *
+     * @param {{ id: string, email: string }} user
+     * @returns {Promise<{ secret: string, otpauthUri: string }>} À afficher une seule fois
+     */
+    async startEnrollment(user) {
+        const secret = totpService.generateSecret();
+
+        const pending = await twoFactorRepo.upsertPending(user.id, totpService.encryptSecret(secret));
+        if (!pending) {
+            throw new ConflictError('La double authentification est déjà activée');
+        }
+
+        return { secret, otpauthUri: totpService.buildProvisioningUri(user.email, secret) };
+    }
+
+    /**
+     * Active la 2FA si le code correspond au secret en attente.
+     *
+     * @returns {Promise<string[]>} Codes de secours en clair, affichés une seule fois
+     */
+    async confirmEnrollment(userId, code) {
+        const record = await twoFactorRepo.findByUserId(userId);
+        if (!record) {
+            throw new BusinessError('Aucun enrôlement en cours : générez d\'abord un secret');
+        }
+        if (record.enabledAt) {
+            throw new ConflictError('La double authentification est déjà activée');
+        }
+
+        const step = totpService.verify(totpService.decryptSecret(record.secretEncrypted), code);
+        if (step === null) {
+            throw new AppError('Code de vérification invalide', HTTP_STATUS.BAD_REQUEST);
+        }
+
+        const { plainCodes, hashedCodes } = await this.#generateRecoveryCodes();
+
+        const client = await pgPool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const enabled = await twoFactorRepo.enable(userId, step, client);
+            if (!enabled) throw new ConflictError('La double authentification est déjà activée');
+
+            await twoFactorRepo.replaceRecoveryCodes(userId, hashedCodes, client);
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        logInfo(`Double authentification activée pour userId=${userId}`);
+        return plainCodes;
+    }
+
+    /**
+     * Désactive la 2FA. Exige le mot de passe ET un code valide :
+     * un access token volé ne suffit pas à retirer la protection.
+     *
+     * @throws {AppError} 403 si la politique impose la 2FA à ce compte
+     */
+    async disable(user, roles, { password, code, recoveryCode }) {
+        if (this.isRequiredFor(roles)) {
+            throw new AppError(
+                'La double authentification est obligatoire pour les comptes administrateurs',
+                HTTP_STATUS.FORBIDDEN
+            );
+        }
+
+        const isPasswordValid = await passwordService.comparePassword(password, user.passwordHash, user.salt);
+        if (!isPasswordValid || !(await this.verifyCode(user.id, { code, recoveryCode }))) {
+            throw new AppError('Mot de passe ou code invalide', HTTP_STATUS.UNAUTHORIZED);
+        }
+
+        await twoFactorRepo.remove(user.id);
+        logInfo(`Double authentification désactivée pour userId=${user.id}`);
+    }
+
+    /**
+     * Remplace les codes de secours (perdus ou presque épuisés).
+     * @returns {Promise<string[]>}
+     */
+    async regenerateRecoveryCodes(userId, code) {
+        if (!(await this.verifyCode(userId, { code }))) {
+            throw new AppError('Code de vérification invalide', HTTP_STATUS.UNAUTHORIZED);
+        }
+
+        const { plainCodes, hashedCodes } = await this.#generateRecoveryCodes();
+        await twoFactorRepo.replaceRecoveryCodes(userId, hashedCodes);
+
+        return plainCodes;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────
+    // VÉRIFICATION
+    // ─────────────────────────────────────────────────────────────────────
+
+    /**
+     * Vérifie un code TOTP ou, à défaut, un code de secours (consommé).
+     * @returns {Promise<boolean>}
+     */
+    async verifyCode(userId, { code, recoveryCode } = {}) {
+        const record = await twoFactorRepo.findByUserId(userId);
+        if (!record?.enabledAt) return false;
+
+        if (code) {
+            const step = totpService.verify(totpService.decryptSecret(record.secretEncrypted), code);
+            return step !== null && twoFactorRepo.consumeStep(userId, step);
+        }
+
+        if (recoveryCode) {
+            return this.#useRecoveryCode(userId, recoveryCode);
+        }
+
+        return false;
+    }
+
+    async #useRecoveryCode(userId, recoveryCode) {
+        const normalized = this.#normalizeRecoveryCode(recoveryCode);
+        const candidates = await twoFactorRepo.listUnusedRecoveryCodes(userId);
+
+        for (const candidate of candidates) {
+            if (await passwordService.comparePassword(normalized, candidate.codeHash, candidate.salt)) {
+                const used = await twoFactorRepo.useRecoveryCode(candidate.id);
+                if (used) logInfo(`Code de secours 2FA utilisé pour userId=${userId}`);
+                return used;
+            }
+        }
+        return false;
+    }
+
+    #normalizeRecoveryCode(code) {
+        return String(code ?? '').replace(/[\s-]/g, '').toLowerCase();
+    }
+
+    async #generateRecoveryCodes() {
+        const plainCodes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+            const raw = crypto.randomBytes(5).toString('hex');
+            return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+        });
+
+        const hashedCodes = await Promise.all(
+            plainCodes.map(async (code) => {
+                const salt = passwordService.generateSalt();
+                const codeHash = await passwordService.hashPassword(this.#normalizeRecoveryCode(code), salt);
+                return { codeHash, salt };
+            })
+        );
+
+        return { plainCodes, hashedCodes };
+    }
+
+    // ─────────────────────────────────────────────────────────────────────
+    // CHALLENGE DE CONNEXION
+    // ─────────────────────────────────────────────────────────────────────
+
+    /**
+     * Détermine si la connexion doit passer par une seconde étape.
+     *
+     * @param {{ id: string, roles: string[] }} user - Premier facteur déjà vérifié (mot de passe ou lien magique)
+     * @returns {Promise<{ challengeToken: string, purpose: string } | null>} null : session directe
+     */
+    async challengeFor(user) {
+        let purpose = null;
+        if (await this.isEnabled(user.id)) {
+            purpose = TWO_FACTOR_CHALLENGE.VERIFY;
+        } else if (this.isRequiredFor(user.roles)) {
+            purpose = TWO_FACTOR_CHALLENGE.SETUP;
+        }
+
+        if (!purpose) return null;
+
+        return {
+            challengeToken: tokenService.generateTwoFactorChallenge(user.id, purpose),
+            purpose,
+        };
+    }
+
+    /**
+     * Décode un challenge encore utilisable.
+     *
+     * @returns {Promise<{ userId: string, purpose: string, challengeId: string }>}
+     * @throws {AppError} 401 si le challenge est invalide, expiré, déjà utilisé ou épuisé
+     */
+    async resolveChallenge(challengeToken, expectedPurpose = null) {
+        const payload = tokenService.verifyTwoFactorChallenge(challengeToken);
+        if (!payload || (expectedPurpose && payload.purpose !== expectedPurpose)) {
+            throw new AppError('Vérification expirée, veuillez vous reconnecter', HTTP_STATUS.UNAUTHORIZED);
+        }
+
+        const [consumed, attempts] = await Promise.all([
+            cacheService.get(`2fa:challenge:consumed:${payload.jti}`),
+            cacheService.get(`2fa:challenge:attempts:${payload.jti}`),
+        ]);
+        if (consumed || (attempts ?? 0) >= MAX_CHALLENGE_ATTEMPTS) {
+            throw new AppError('Vérification expirée, veuillez vous reconnecter', HTTP_STATUS.UNAUTHORIZED);
+        }
+
+        return { userId: payload.sub, purpose: payload.purpose, challengeId: payload.jti };
+    }
+
+    async recordFailedAttempt(challengeId) {
+        await cacheService.increment(`2fa:challenge:attempts:${challengeId}`, CHALLENGE_STATE_TTL_SECONDS);
+    }
+
+    /**
+     * Marque le challenge comme utilisé : il ne peut ouvrir qu'une seule session.
+     */
+    async consumeChallenge(challengeId) {
+        try {
+            await cacheService.set(`2fa:challenge:consumed:${challengeId}`, true, CHALLENGE_STATE_TTL_SECONDS);
+        } catch (error) {
+            // Redis indisponible : le challenge expire de lui-même en quelques minutes
+            logError(error, { context: 'TwoFactorService.consumeChallenge', challengeId });
+        }
+    }
+
+    /**
+     * Enrôlement depuis un challenge SETUP (ADMIN soumis à la politique, sans session).
+     */
+    async startChallengeEnrollment(challengeToken) {
+        const { userId } = await this.resolveChallenge(challengeToken, TWO_FACTOR_CHALLENGE.SETUP);
+
+        const user = await usersRepo.findById(userId);
+        if (!user) throw new AppError('Utilisateur introuvable', HTTP_STATUS.UNAUTHORIZED);
+
+        return this.startEnrollment(user);
+    }
+}
+
+export const twoFactorService = new TwoFactorService();
@@ -1,7 +1,8 @@
 /**
  * @module Service/User
  *
- * Gère la logique métier des utilisateurs : profil, rôles et changement de mot de passe.
+ * Gère la logique métier des utilisateurs : profil, rôles, sessions, changement de mot de passe
+ * et suppression de compte (effacement RGPD délégué à privacyService).
  *
  * MICROSERVICE :
  * - ordersRepo (import direct monolithe) remplacé par orderClient (appel HTTP)
@@ -10,9 +11,14 @@
 import { usersRepo, rolesRepo } from '../repositories/index.js';
 import { AppError, BusinessError } from '../utils/appError.js';
 import { HTTP_STATUS } from '../constants/httpStatus.js';
+import { PERMISSIONS } from '../constants/roles.js';
 import { passwordService } from './password.service.js';
 import { orderClient } from '../clients/order.client.js';
 import { cacheService } from './cache.service.js';
+import { sessionService } from './session.service.js';
+import { loginSecurityService } from './loginSecurity.service.js';
+import { roleService } from './roles.service.js';
+import { privacyService } from './privacy.service.js';
 
 class UserService {
     constructor() {
@@ -87,18 +93,52 @@ class UserService {
             );
         }
 
-        const deleted = await usersRepo.deleteById(targetUserId);
-        if (!deleted) throw new AppError('Erreur lors de la suppression', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+        const user = await usersRepo.findById(targetUserId);
+        if (!user) throw new AppError('Utilisateur introuvable', HTTP_STATUS.NOT_FOUND);
+
+        await privacyService.eraseUserData(user);
 
         await this.#clearUserCache(targetUserId);
         return true;
     }
 
-    async updatePrivileges(targetUserId, { role, isActive }, currentAdminId) {
+    /**
+     * Suppression de son propre compte (droit à l'effacement).
+     * Le mot de passe est redemandé : un access token volé ne suffit pas.
+     * Un compte créé par lien magique définit d'abord un mot de passe via « mot de passe oublié ».
+     */
+    async deleteOwnAccount(userId, password) {
+        const user = await usersRepo.findById(userId);
+        if (!user) throw new AppError('Utilisateur introuvable', HTTP_STATUS.NOT_FOUND);
+
+        const isPasswordValid = await passwordService.comparePassword(password, user.passwordHash, user.salt);
+        if (!isPasswordValid) {
+            throw new AppError('Mot de passe incorrect', HTTP_STATUS.UNAUTHORIZED);
+        }
+
+        const roles = await rolesRepo.listUserRoles(userId);
+        if (roles.some((r) => r.name.toUpperCase() === 'ADMIN')) {
+            throw new AppError(
+                'Un compte Administrateur doit être rétrogradé avant sa suppression.',
+                HTTP_STATUS.FORBIDDEN
+            );
+        }
+
+        await privacyService.eraseUserData(user);
+
+        await this.#clearUserCache(userId);
+        return true;
+    }
+
+    /**
+     * @param {{ id: string, permissions: string[] }} actor - Changer de rôle exige roles:manage
+     *                                                       et les permissions du rôle attribué
+     */
+    async updatePrivileges(targetUserId, { role, isActive }, actor) {
         const user = await usersRepo.findById(targetUserId);
         if (!user) throw new AppError('Utilisateur introuvable', HTTP_STATUS.NOT_FOUND);
 
-        if (targetUserId === currentAdminId) {
+        if (targetUserId === actor.id) {
             throw new AppError(
                 'Opération interdite : Vous ne pouvez pas modifier vos propres accès.',
                 HTTP_STATUS.FORBIDDEN
@@ -115,6 +155,13 @@ class UserService {
             );
         }
 
+        if (role) {
+            if (!actor.permissions?.includes(PERMISSIONS.ROLES_MANAGE)) {
+                throw new AppError("Vous n'avez pas les permissions pour modifier les rôles", HTTP_STATUS.FORBIDDEN);
+            }
+            await roleService.assertCanGrant(actor, role);
+        }
+
         if (isActive !== undefined) {
             await usersRepo.setActive(targetUserId, isActive);
         }
@@ -139,6 +186,94 @@ class UserService {
         return this.getUserProfile(targetUserId);
     }
 
+    /**
+     * ADMINISTRATION : attribue un rôle (ex : WAREHOUSE) à un compte.
+     * Mêmes garde-fous que updatePrivileges : ni soi-même, ni un autre administrateur.
+     */
+    async assignUserRole(targetUserId, roleName, actor) {
+        await this.#assertCanManageRolesOf(targetUserId, actor);
+
+        const result = await roleService.assignRoleToUser(targetUserId, roleName, actor);
+        await this.#clearUserCache(targetUserId);
+        return result;
+    }
+
+    async removeUserRole(targetUserId, roleName, actor) {
+        await this.#assertCanManageRolesOf(targetUserId, actor);
+
+        const removed = await roleService.removeRoleFromUser(targetUserId, roleName, actor);
+        await this.#clearUserCache(targetUserId);
+        return removed;
+    }
+
+    async #assertCanManageRolesOf(targetUserId, actor) {
+        const user = await usersRepo.findById(targetUserId);
+        if (!user) throw new AppError('Utilisateur introuvable', HTTP_STATUS.NOT_FOUND);
+
+        if (targetUserId === actor.id) {
+            throw new AppError(
+                'Opération interdite : Vous ne pouvez pas modifier vos propres accès.',
+                HTTP_STATUS.FORBIDDEN
+            );
+        }
+
+        const targetRoles = await rolesRepo.listUserRoles(targetUserId);
+        if (targetRoles.some((r) => r.name.toUpperCase() === 'ADMIN')) {
+            throw new AppError(
+                "Opération interdite : Impossible de modifier les accès d'un autre Administrateur.",
+                HTTP_STATUS.FORBIDDEN
+            );
+        }
+    }
+
+    /**
+     * ADMINISTRATION : sessions ouvertes d'un compte.
+     */
+    async listUserSessions(targetUserId) {
+        const user = await usersRepo.findById(targetUserId);
+        if (!user) throw new AppError('Utilisateur introuvable', HTTP_STATUS.NOT_FOUND);
+
+        return sessionService.listUserSessions(targetUserId);
+    }
+
+    /**
+     * ADMINISTRATION : journal des connexions d'un compte.
+     */
+    async listUserLoginEvents(targetUserId) {
+        const user = await usersRepo.findById(targetUserId);
+        if (!user) throw new AppError('Utilisateur introuvable', HTTP_STATUS.NOT_FOUND);
+
+        return loginSecurityService.listLoginEvents(targetUserId);
+    }
+
+    /**
+     * ADMINISTRATION : révoque une session d'un compte, ou toutes si sessionId est absent.
+     * Mêmes garde-fous que updatePrivileges : pas d'action sur un autre administrateur.
+     *
+     * @returns {Promise<number|null>} Nombre de jetons révoqués (révocation globale uniquement)
+     */
+    async revokeUserSessions(targetUserId, sessionId, currentAdminId) {
+        const user = await usersRepo.findById(targetUserId);
+        if (!user) throw new AppError('Utilisateur introuvable', HTTP_STATUS.NOT_FOUND);
+
+        if (targetUserId !== currentAdminId) {
+            const targetRoles = await rolesRepo.listUserRoles(targetUserId);
+            if (targetRoles.some((r) => r.name.toUpperCase() === 'ADMIN')) {
+                throw new AppError(
+                    "Opération interdite : Impossible de révoquer les sessions d'un autre Administrateur.",
+                    HTTP_STATUS.FORBIDDEN
+                );
+            }
+        }
+
+        if (sessionId) {
+            await sessionService.revokeUserSession(targetUserId, sessionId);
+            return null;
+        }
+
+        return sessionService.deleteAllUserSessions(targetUserId);
+    }
+
     async getProfile(userId) {
         const user = await usersRepo.findById(userId);
         if (!user) throw new AppError('Utilisateur non trouvé', HTTP_STATUS.NOT_FOUND);
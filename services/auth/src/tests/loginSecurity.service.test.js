@@ -0,0 +1,229 @@
+/**
+ * @module Tests/LoginSecurityService
+ *
+ * Tests unitaires du verrouillage progressif des comptes : paliers d'échecs,
+ * doublement de la durée plafonnée, repli sur la base quand Redis est
+ * indisponible, et lien de déverrouillage envoyé par email.
+ */
+import crypto from 'crypto';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+const MINUTE_MS = 60 * 1000;
+
+vi.mock('../config/environment.js', () => ({
+    ENV: {
+        clientUrl: 'https://shop.example.com',
+        accountLockout: { threshold: 5, baseDurationMs: 5 * 60 * 1000, maxDurationMs: 24 * 60 * 60 * 1000 },
+    },
+}));
+
+vi.mock('../utils/logger.js', () => ({
+    logInfo: vi.fn(),
+    logError: vi.fn(),
+}));
+
+const mockClient = { query: vi.fn(), release: vi.fn() };
+
+vi.mock('../config/database.js', () => ({
+    pgPool: { connect: vi.fn(async () => mockClient) },
+}));
+
+vi.mock('../services/cache.service.js', () => ({
+    cacheService: { increment: vi.fn(), delete: vi.fn() },
+}));
+
+vi.mock('../clients/notification.client.js', () => ({
+    notificationClient: { notifyAccountLocked: vi.fn(), notifyNewDeviceLogin: vi.fn() },
+}));
+
+vi.mock('../repositories/accountUnlock.repo.js', () => ({
+    accountUnlockRepo: { createToken: vi.fn(), findValidToken: vi.fn(), deleteUserTokens: vi.fn() },
+}));
+
+vi.mock('../repositories/index.js', () => ({
+    usersRepo: { lockUntil: vi.fn(), incrementFailedLogins: vi.fn(), clearLoginFailures: vi.fn() },
+    loginEventsRepo: { create: vi.fn(), findDeviceHistory: vi.fn(), listByUser: vi.fn() },
+}));
+
+import { loginSecurityService } from '../services/loginSecurity.service.js';
+import { usersRepo, loginEventsRepo } from '../repositories/index.js';
+import { accountUnlockRepo } from '../repositories/accountUnlock.repo.js';
+import { cacheService } from '../services/cache.service.js';
+import { notificationClient } from '../clients/notification.client.js';
+import { logError } from '../utils/logger.js';
+import { LOGIN_OUTCOME } from '../constants/enums.js';
+
+const NOW = new Date('2026-10-18T10:00:00Z');
+const USER = Object.freeze({ id: '11111111-1111-4111-8111-111111111111', email: 'client@example.com', firstName: 'Ada' });
+const DEVICE = Object.freeze({ userAgent: 'Firefox', ipAddress: '203.0.113.7' });
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/** Compteur Redis en mémoire (INCR + EXPIRE). */
+const useRedisCounter = () => {
+    let failures = 0;
+    cacheService.increment.mockImplementation(async () => ++failures);
+};
+
+/** Enchaîne `count` échecs et renvoie les durées de verrouillage appliquées, en minutes. */
+const failTimes = async (count) => {
+    for (let attempt = 0; attempt < count; attempt += 1) {
+        await loginSecurityService.recordFailure(USER, DEVICE);
+    }
+    return usersRepo.lockUntil.mock.calls.map(([, lockedUntil]) => (lockedUntil.getTime() - NOW.getTime()) / MINUTE_MS);
+};
+
+describe('LoginSecurityService', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+        vi.useFakeTimers({ toFake: ['Date'] });
+        vi.setSystemTime(NOW);
+        useRedisCounter();
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    describe('recordFailure', () => {
+        it('devrait laisser passer les échecs sous le seuil sans verrouiller', async () => {
+            await failTimes(4);
+
+            expect(usersRepo.lockUntil).not.toHaveBeenCalled();
+            expect(loginEventsRepo.create).toHaveBeenCalledTimes(4);
+            expect(loginEventsRepo.create).toHaveBeenCalledWith(expect.objectContaining({
+                userId: USER.id,
+                outcome: LOGIN_OUTCOME.INVALID_PASSWORD,
+            }));
+        });
+
+        it('devrait verrouiller 5 minutes au 5e échec, puis seulement aux paliers suivants', async () => {
+            expect(await failTimes(5)).toEqual([5]);
+            expect(await failTimes(4)).toEqual([5]);
+        });
+
+        it('devrait doubler la durée à chaque palier', async () => {
+            expect(await failTimes(20)).toEqual([5, 10, 20, 40]);
+        });
+
+        it('devrait plafonner la durée à 24 heures', async () => {
+            const durations = await failTimes(55);
+
+            expect(durations.slice(0, 9)).toEqual([5, 10, 20, 40, 80, 160, 320, 640, 1280]);
+            expect(durations.slice(9)).toEqual([1440, 1440]);
+        });
+
+        it('devrait compter les échecs de code 2FA comme les échecs de mot de passe', async () => {
+            for (let attempt = 0; attempt < 5; attempt += 1) {
+                await loginSecurityService.recordFailure(USER, DEVICE, LOGIN_OUTCOME.INVALID_TWO_FACTOR);
+            }
+
+            expect(usersRepo.lockUntil).toHaveBeenCalledTimes(1);
+            expect(loginEventsRepo.create).toHaveBeenCalledWith(expect.objectContaining({
+                outcome: LOGIN_OUTCOME.INVALID_TWO_FACTOR,
+            }));
+        });
+
+        it('devrait se replier sur le compteur en base quand Redis est indisponible', async () => {
+            let dbFailures = 0;
+            cacheService.increment.mockRejectedValue(new Error('ECONNREFUSED'));
+            usersRepo.incrementFailedLogins.mockImplementation(async () => ++dbFailures);
+
+            expect(await failTimes(5)).toEqual([5]);
+
+            expect(usersRepo.incrementFailedLogins).toHaveBeenCalledTimes(5);
+            expect(usersRepo.incrementFailedLogins).toHaveBeenCalledWith(USER.id);
+            expect(logError).toHaveBeenCalledWith(expect.any(Error), expect.objectContaining({
+                context: 'LoginSecurityService.incrementFailures',
+            }));
+        });
+
+        it('devrait envoyer un lien de déverrouillage dont seul le hash est stocké', async () => {
+            await failTimes(5);
+
+            expect(notificationClient.notifyAccountLocked).toHaveBeenCalledTimes(1);
+            const [email, unlockUrl, payload] = notificationClient.notifyAccountLocked.mock.calls[0];
+            const rawToken = new URL(unlockUrl).searchParams.get('token');
+
+            expect(email).toBe(USER.email);
+            expect(unlockUrl).toMatch(/^https:\/\/shop\.example\.com\/unlock-account\?token=[0-9a-f]{64}$/);
+            expect(payload.lockedUntil).toBe(new Date(NOW.getTime() + 5 * MINUTE_MS).toISOString());
+            expect(accountUnlockRepo.createToken).toHaveBeenCalledWith(USER.id, sha256(rawToken));
+        });
+
+        it('devrait verrouiller même si le lien ne peut pas être créé', async () => {
+            accountUnlockRepo.createToken.mockRejectedValue(new Error('connection reset'));
+
+            await expect(failTimes(5)).resolves.toEqual([5]);
+
+            expect(notificationClient.notifyAccountLocked).not.toHaveBeenCalled();
+            expect(logError).toHaveBeenCalledWith(expect.any(Error), expect.objectContaining({
+                context: 'LoginSecurityService.sendUnlockLink',
+            }));
+        });
+    });
+
+    describe('assertNotLocked', () => {
+        it('devrait refuser la tentative par une erreur 423 tant que le verrou est actif', () => {
+            const user = { ...USER, lockedUntil: new Date(NOW.getTime() + 3 * MINUTE_MS) };
+
+            expect(() => loginSecurityService.assertNotLocked(user, DEVICE)).toThrow(
+                expect.objectContaining({ statusCode: 423, message: expect.stringContaining('3 minute(s)') })
+            );
+            expect(loginEventsRepo.create).toHaveBeenCalledWith(expect.objectContaining({
+                outcome: LOGIN_OUTCOME.ACCOUNT_LOCKED,
+            }));
+        });
+
+        it('devrait laisser passer un compte dont le verrou a expiré', () => {
+            const user = { ...USER, lockedUntil: new Date(NOW.getTime() - 1) };
+
+            expect(() => loginSecurityService.assertNotLocked(user, DEVICE)).not.toThrow();
+            expect(() => loginSecurityService.assertNotLocked({ ...USER, lockedUntil: null })).not.toThrow();
+        });
+    });
+
+    describe('unlockAccount', () => {
+        it('devrait lever le verrou et invalider les liens du compte dans une transaction', async () => {
+            accountUnlockRepo.findValidToken.mockResolvedValue({ userId: USER.id });
+
+            await loginSecurityService.unlockAccount('a'.repeat(64));
+
+            expect(accountUnlockRepo.findValidToken).toHaveBeenCalledWith(sha256('a'.repeat(64)));
+            expect(cacheService.delete).toHaveBeenCalledWith(`login:failures:${USER.id}`);
+            expect(usersRepo.clearLoginFailures).toHaveBeenCalledWith(USER.id, mockClient);
+            expect(accountUnlockRepo.deleteUserTokens).toHaveBeenCalledWith(USER.id, mockClient);
+            expect(mockClient.query.mock.calls.map(([sql]) => sql)).toEqual(['BEGIN', 'COMMIT']);
+            expect(mockClient.release).toHaveBeenCalled();
+        });
+
+        it('devrait refuser un lien inconnu, expiré ou déjà utilisé', async () => {
+            accountUnlockRepo.findValidToken.mockResolvedValue(null);
+
+            await expect(loginSecurityService.unlockAccount('b'.repeat(64))).rejects.toMatchObject({ statusCode: 400 });
+            await expect(loginSecurityService.unlockAccount(undefined)).rejects.toMatchObject({ statusCode: 400 });
+
+            expect(usersRepo.clearLoginFailures).not.toHaveBeenCalled();
+        });
+
+        it('devrait annuler la transaction si l\'invalidation des liens échoue', async () => {
+            accountUnlockRepo.findValidToken.mockResolvedValue({ userId: USER.id });
+            accountUnlockRepo.deleteUserTokens.mockRejectedValue(new Error('connection reset'));
+
+            await expect(loginSecurityService.unlockAccount('c'.repeat(64))).rejects.toThrow('connection reset');
+
+            expect(mockClient.query).toHaveBeenLastCalledWith('ROLLBACK');
+            expect(mockClient.release).toHaveBeenCalled();
+        });
+    });
+
+    describe('resetFailures', () => {
+        it('devrait remettre le compteur en base à zéro même si Redis est indisponible', async () => {
+            cacheService.delete.mockRejectedValue(new Error('ECONNREFUSED'));
+
+            await loginSecurityService.resetFailures(USER.id);
+
+            expect(usersRepo.clearLoginFailures).toHaveBeenCalledWith(USER.id, expect.anything());
+        });
+    });
+});
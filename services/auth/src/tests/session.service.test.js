@@ -0,0 +1,171 @@
+/**
+ * @module Tests/SessionService
+ *
+ * Tests unitaires de la rotation des refresh tokens : émission d'un successeur,
+ * révocation de la famille sur réutilisation, et fenêtre de grâce des
+ * rotations concurrentes — sans DB ni Redis réels.
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+vi.mock('../config/environment.js', () => ({
+    ENV: { server: { nodeEnv: 'test' } },
+}));
+
+vi.mock('../utils/logger.js', () => ({
+    logError: vi.fn(),
+    logInfo: vi.fn(),
+}));
+
+vi.mock('../services/cache.service.js', () => ({
+    cacheService: {
+        set: vi.fn(),
+        get: vi.fn(),
+        deleteMany: vi.fn(),
+    },
+}));
+
+const mockClient = { query: vi.fn(), release: vi.fn() };
+
+vi.mock('../config/database.js', () => ({
+    pgPool: { connect: vi.fn(async () => mockClient) },
+}));
+
+vi.mock('../repositories/index.js', () => ({
+    refreshTokensRepo: {
+        create: vi.fn(),
+        findById: vi.fn(),
+        findByTokenForUpdate: vi.fn(),
+        markRotated: vi.fn(),
+        revokeFamily: vi.fn(),
+    },
+}));
+
+import { sessionService } from '../services/session.service.js';
+import { refreshTokensRepo } from '../repositories/index.js';
+import { cacheService } from '../services/cache.service.js';
+import { logError } from '../utils/logger.js';
+
+const USER_ID = '11111111-1111-4111-8111-111111111111';
+const FAMILY_ID = '22222222-2222-4222-8222-222222222222';
+const NOW = new Date('2026-10-18T10:00:00Z');
+const IN_A_WEEK = new Date('2026-10-25T10:00:00Z');
+
+const CURRENT = {
+    id: 10,
+    userId: USER_ID,
+    token: 'refresh-courant',
+    familyId: FAMILY_ID,
+    expiresAt: IN_A_WEEK,
+    rotatedAt: null,
+    replacedById: null,
+    userAgent: 'Firefox',
+    ipAddress: '203.0.113.7',
+};
+
+const SUCCESSOR = { ...CURRENT, id: 11, token: 'refresh-successeur' };
+
+const secondsAgo = (seconds) => new Date(NOW.getTime() - seconds * 1000);
+
+describe('SessionService.rotateSession', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+        vi.useFakeTimers({ toFake: ['Date'] });
+        vi.setSystemTime(NOW);
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('devrait émettre un successeur dans la même famille et marquer l\'ancien jeton remplacé', async () => {
+        refreshTokensRepo.findByTokenForUpdate.mockResolvedValue(CURRENT);
+        refreshTokensRepo.create.mockResolvedValue({ ...SUCCESSOR, token: 'refresh-suivant' });
+
+        const session = await sessionService.rotateSession('refresh-courant', 'refresh-suivant', {});
+
+        expect(refreshTokensRepo.create).toHaveBeenCalledWith(
+            expect.objectContaining({ userId: USER_ID, token: 'refresh-suivant', familyId: FAMILY_ID }),
+            mockClient
+        );
+        expect(refreshTokensRepo.markRotated).toHaveBeenCalledWith(CURRENT.id, SUCCESSOR.id, mockClient);
+        expect(refreshTokensRepo.revokeFamily).not.toHaveBeenCalled();
+        expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+
+        expect(cacheService.deleteMany).toHaveBeenCalledWith(['session:refresh-courant']);
+        expect(cacheService.set).toHaveBeenCalledWith('session:refresh-suivant', expect.objectContaining({ userId: USER_ID }), expect.any(Number));
+        expect(session).toMatchObject({ userId: USER_ID, familyId: FAMILY_ID, refreshToken: 'refresh-suivant' });
+    });
+
+    it('devrait révoquer toute la famille quand un jeton remplacé est rejoué hors de la fenêtre de grâce', async () => {
+        refreshTokensRepo.findByTokenForUpdate.mockResolvedValue({
+            ...CURRENT,
+            rotatedAt: secondsAgo(60),
+            replacedById: SUCCESSOR.id,
+        });
+        refreshTokensRepo.revokeFamily.mockResolvedValue(['refresh-courant', 'refresh-successeur']);
+
+        await expect(
+            sessionService.rotateSession('refresh-courant', 'refresh-suivant', {})
+        ).rejects.toMatchObject({ statusCode: 401, message: 'Session révoquée, veuillez vous reconnecter' });
+
+        expect(refreshTokensRepo.revokeFamily).toHaveBeenCalledWith(FAMILY_ID, mockClient);
+        expect(refreshTokensRepo.create).not.toHaveBeenCalled();
+        expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+        expect(cacheService.deleteMany).toHaveBeenCalledWith(['session:refresh-courant', 'session:refresh-successeur']);
+        expect(logError).toHaveBeenCalledWith(expect.any(Error), expect.objectContaining({ securityEvent: 'REFRESH_TOKEN_REUSE' }));
+    });
+
+    it('devrait renvoyer le même successeur sans rien révoquer dans la fenêtre de grâce', async () => {
+        refreshTokensRepo.findByTokenForUpdate.mockResolvedValue({
+            ...CURRENT,
+            rotatedAt: secondsAgo(2),
+            replacedById: SUCCESSOR.id,
+        });
+        refreshTokensRepo.findById.mockResolvedValue(SUCCESSOR);
+
+        const session = await sessionService.rotateSession('refresh-courant', 'refresh-suivant', {});
+
+        expect(session).toMatchObject({ userId: USER_ID, familyId: FAMILY_ID, refreshToken: 'refresh-successeur' });
+        expect(refreshTokensRepo.findById).toHaveBeenCalledWith(SUCCESSOR.id, mockClient);
+        expect(refreshTokensRepo.revokeFamily).not.toHaveBeenCalled();
+        expect(refreshTokensRepo.create).not.toHaveBeenCalled();
+        expect(refreshTokensRepo.markRotated).not.toHaveBeenCalled();
+        expect(cacheService.deleteMany).not.toHaveBeenCalled();
+    });
+
+    it('devrait refuser dans la fenêtre de grâce un successeur lui-même déjà remplacé', async () => {
+        refreshTokensRepo.findByTokenForUpdate.mockResolvedValue({
+            ...CURRENT,
+            rotatedAt: secondsAgo(2),
+            replacedById: SUCCESSOR.id,
+        });
+        refreshTokensRepo.findById.mockResolvedValue({ ...SUCCESSOR, rotatedAt: secondsAgo(1) });
+
+        await expect(
+            sessionService.rotateSession('refresh-courant', 'refresh-suivant', {})
+        ).rejects.toMatchObject({ statusCode: 401, message: 'Session invalide ou expirée' });
+        expect(refreshTokensRepo.revokeFamily).not.toHaveBeenCalled();
+    });
+
+    it('devrait refuser un jeton inconnu ou expiré', async () => {
+        refreshTokensRepo.findByTokenForUpdate.mockResolvedValue({ ...CURRENT, expiresAt: secondsAgo(1) });
+
+        await expect(
+            sessionService.rotateSession('refresh-courant', 'refresh-suivant', {})
+        ).rejects.toMatchObject({ statusCode: 401 });
+        expect(refreshTokensRepo.create).not.toHaveBeenCalled();
+    });
+
+    it('devrait annuler la transaction si l\'écriture du successeur échoue', async () => {
+        refreshTokensRepo.findByTokenForUpdate.mockResolvedValue(CURRENT);
+        refreshTokensRepo.create.mockRejectedValue(new Error('connection reset'));
+
+        await expect(
+            sessionService.rotateSession('refresh-courant', 'refresh-suivant', {})
+        ).rejects.toThrow('connection reset');
+
+        expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+        expect(mockClient.release).toHaveBeenCalled();
+        expect(cacheService.set).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,109 @@
+/**
+ * @module Tests/TotpService
+ *
+ * Tests unitaires des primitives TOTP : vecteurs de la RFC 6238 (annexe B,
+ * HMAC-SHA1), tolérance d'horloge d'un pas, et chiffrement AES-256-GCM du secret.
+ */
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../config/environment.js', () => ({
+    ENV: { twoFactor: { issuer: 'ECOM-WATCH', encryptionKey: 'test-totp-encryption-key' } },
+}));
+
+import { totpService } from '../services/totp.service.js';
+
+// Secret ASCII "12345678901234567890" de la RFC 6238, encodé en base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+// Annexe B : codes à 8 chiffres ; le service émet les 6 derniers (RFC 4226, troncature modulo 10^6)
+const RFC_VECTORS = [
+    { time: 59, code: '287082' },
+    { time: 1111111109, code: '081804' },
+    { time: 1111111111, code: '050471' },
+    { time: 1234567890, code: '005924' },
+    { time: 2000000000, code: '279037' },
+    { time: 20000000000, code: '353130' },
+];
+
+const PERIOD = 30;
+const atSeconds = (seconds) => seconds * 1000;
+
+// Vecteur loin de l'époque Unix : les pas voisins existent des deux côtés
+const DRIFT = { time: 1111111109, code: '081804', step: Math.floor(1111111109 / PERIOD) };
+
+describe('TotpService', () => {
+    describe('verify', () => {
+        it.each(RFC_VECTORS)('devrait reconnaître le vecteur RFC 6238 à T=$time', ({ time, code }) => {
+            expect(totpService.verify(RFC_SECRET, code, atSeconds(time))).toBe(Math.floor(time / PERIOD));
+        });
+
+        it('devrait accepter le code du pas précédent (horloge du téléphone en retard)', () => {
+            expect(totpService.verify(RFC_SECRET, DRIFT.code, atSeconds(DRIFT.time + PERIOD))).toBe(DRIFT.step);
+        });
+
+        it('devrait accepter le code du pas suivant (horloge du téléphone en avance)', () => {
+            expect(totpService.verify(RFC_SECRET, DRIFT.code, atSeconds(DRIFT.time - PERIOD))).toBe(DRIFT.step);
+        });
+
+        it('devrait refuser un code décalé de deux pas', () => {
+            expect(totpService.verify(RFC_SECRET, DRIFT.code, atSeconds(DRIFT.time + 2 * PERIOD))).toBeNull();
+            expect(totpService.verify(RFC_SECRET, DRIFT.code, atSeconds(DRIFT.time - 2 * PERIOD))).toBeNull();
+        });
+
+        it('devrait ignorer les espaces saisis dans le code', () => {
+            expect(totpService.verify(RFC_SECRET, '287 082', atSeconds(59))).toBe(1);
+        });
+
+        it('devrait refuser un code mal formé sans calcul', () => {
+            expect(totpService.verify(RFC_SECRET, '28708', atSeconds(59))).toBeNull();
+            expect(totpService.verify(RFC_SECRET, '28708a', atSeconds(59))).toBeNull();
+            expect(totpService.verify(RFC_SECRET, undefined, atSeconds(59))).toBeNull();
+        });
+    });
+
+    describe('generateSecret', () => {
+        it('devrait générer un secret aléatoire de 160 bits en base32', () => {
+            const secret = totpService.generateSecret();
+
+            expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+            expect(totpService.generateSecret()).not.toBe(secret);
+        });
+    });
+
+    describe('buildProvisioningUri', () => {
+        it('devrait construire l\'URI otpauth avec l\'émetteur et les paramètres TOTP', () => {
+            const uri = new URL(totpService.buildProvisioningUri('client@example.com', RFC_SECRET));
+
+            expect(uri.protocol).toBe('otpauth:');
+            expect(uri.host).toBe('totp');
+            expect(decodeURIComponent(uri.pathname)).toBe('/ECOM-WATCH:client@example.com');
+            expect(Object.fromEntries(uri.searchParams)).toEqual({
+                secret: RFC_SECRET,
+                issuer: 'ECOM-WATCH',
+                algorithm: 'SHA1',
+                digits: '6',
+                period: '30',
+            });
+        });
+    });
+
+    describe('chiffrement du secret', () => {
+        it('devrait restituer le secret chiffré, avec un IV différent à chaque chiffrement', () => {
+            const first = totpService.encryptSecret(RFC_SECRET);
+            const second = totpService.encryptSecret(RFC_SECRET);
+
+            expect(first).not.toBe(second);
+            expect(first).not.toContain(RFC_SECRET);
+            expect(totpService.decryptSecret(first)).toBe(RFC_SECRET);
+            expect(totpService.decryptSecret(second)).toBe(RFC_SECRET);
+        });
+
+        it('devrait refuser un secret chiffré altéré (tag GCM)', () => {
+            const [iv, tag, ciphertext] = totpService.encryptSecret(RFC_SECRET).split('.');
+            const tampered = Buffer.from(ciphertext, 'base64url');
+            tampered[0] ^= 0x01;
+
+            expect(() => totpService.decryptSecret([iv, tag, tampered.toString('base64url')].join('.'))).toThrow();
+        });
+    });
+});
@@ -0,0 +1,201 @@
+/**
+ * @module Tests/TwoFactorService
+ *
+ * Tests unitaires de la double authentification : codes TOTP à usage unique,
+ * codes de secours consommés une seule fois, et challenge de connexion
+ * verrouillé après MAX_CHALLENGE_ATTEMPTS échecs. Le repository et Redis sont
+ * remplacés par des doublures en mémoire qui reproduisent leurs gardes SQL.
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+vi.mock('../config/environment.js', () => ({
+    ENV: {
+        bcrypt: { iterations: 1000 },
+        twoFactor: { issuer: 'ECOM-WATCH', encryptionKey: 'test-totp-encryption-key', requiredForAdmin: true },
+    },
+}));
+
+vi.mock('../utils/logger.js', () => ({
+    logInfo: vi.fn(),
+    logError: vi.fn(),
+}));
+
+vi.mock('../config/database.js', () => ({
+    pgPool: { connect: vi.fn(async () => ({ query: vi.fn(), release: vi.fn() })) },
+}));
+
+vi.mock('../services/token.service.js', () => ({
+    tokenService: {
+        generateTwoFactorChallenge: vi.fn(),
+        verifyTwoFactorChallenge: vi.fn(),
+    },
+}));
+
+vi.mock('../services/cache.service.js', () => ({
+    cacheService: { get: vi.fn(), set: vi.fn(), increment: vi.fn() },
+}));
+
+vi.mock('../repositories/index.js', () => ({
+    usersRepo: { findById: vi.fn() },
+    twoFactorRepo: {
+        findByUserId: vi.fn(),
+        consumeStep: vi.fn(),
+        listUnusedRecoveryCodes: vi.fn(),
+        useRecoveryCode: vi.fn(),
+        replaceRecoveryCodes: vi.fn(),
+        enable: vi.fn(),
+    },
+}));
+
+import { twoFactorService, TWO_FACTOR_CHALLENGE } from '../services/twoFactor.service.js';
+import { totpService } from '../services/totp.service.js';
+import { passwordService } from '../services/password.service.js';
+import { tokenService } from '../services/token.service.js';
+import { cacheService } from '../services/cache.service.js';
+import { twoFactorRepo } from '../repositories/index.js';
+
+const USER_ID = '11111111-1111-4111-8111-111111111111';
+const CHALLENGE_ID = '22222222-2222-4222-8222-222222222222';
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+// Secret RFC 6238 : le code du pas courant est connu à T=59 s
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+/** Codes de secours en mémoire, avec la garde `used_at IS NULL` du repository. */
+const createRecoveryCodeStore = async (plainCodes) => {
+    const rows = await Promise.all(plainCodes.map(async (code, index) => {
+        const salt = passwordService.generateSalt();
+        return { id: index + 1, codeHash: await passwordService.hashPassword(code, salt), salt, usedAt: null };
+    }));
+
+    twoFactorRepo.listUnusedRecoveryCodes.mockImplementation(async () => rows.filter((row) => !row.usedAt));
+    twoFactorRepo.useRecoveryCode.mockImplementation(async (id) => {
+        const row = rows.find((candidate) => candidate.id === id && !candidate.usedAt);
+        if (!row) return false;
+        row.usedAt = new Date();
+        return true;
+    });
+    return rows;
+};
+
+/** Redis en mémoire pour l'état des challenges (compteur d'échecs, consommation). */
+const createChallengeCache = () => {
+    const store = new Map();
+    cacheService.get.mockImplementation(async (key) => store.get(key) ?? null);
+    cacheService.set.mockImplementation(async (key, value) => { store.set(key, value); });
+    cacheService.increment.mockImplementation(async (key) => {
+        store.set(key, (store.get(key) ?? 0) + 1);
+        return store.get(key);
+    });
+    return store;
+};
+
+describe('TwoFactorService', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+        twoFactorRepo.findByUserId.mockResolvedValue({
+            userId: USER_ID,
+            secretEncrypted: totpService.encryptSecret(RFC_SECRET),
+            enabledAt: new Date('2026-01-01T00:00:00Z'),
+        });
+    });
+
+    describe('verifyCode — codes de secours', () => {
+        it('devrait accepter un code de secours une seule fois', async () => {
+            const rows = await createRecoveryCodeStore(['abcde12345', 'fghij67890']);
+
+            expect(await twoFactorService.verifyCode(USER_ID, { recoveryCode: 'ABCDE-12345' })).toBe(true);
+            expect(rows[0].usedAt).toBeInstanceOf(Date);
+
+            expect(await twoFactorService.verifyCode(USER_ID, { recoveryCode: 'abcde-12345' })).toBe(false);
+            expect(await twoFactorService.verifyCode(USER_ID, { recoveryCode: 'fghij-67890' })).toBe(true);
+        });
+
+        it('devrait refuser un code de secours consommé entre-temps par une requête concurrente', async () => {
+            await createRecoveryCodeStore(['abcde12345']);
+            twoFactorRepo.useRecoveryCode.mockResolvedValueOnce(false);
+
+            expect(await twoFactorService.verifyCode(USER_ID, { recoveryCode: 'abcde-12345' })).toBe(false);
+        });
+
+        it('devrait refuser un code de secours inconnu', async () => {
+            await createRecoveryCodeStore(['abcde12345']);
+
+            expect(await twoFactorService.verifyCode(USER_ID, { recoveryCode: 'zzzzz-99999' })).toBe(false);
+            expect(twoFactorRepo.useRecoveryCode).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('verifyCode — codes TOTP', () => {
+        beforeEach(() => {
+            vi.useFakeTimers({ toFake: ['Date'] });
+            vi.setSystemTime(59 * 1000);
+        });
+
+        afterEach(() => {
+            vi.useRealTimers();
+        });
+
+        it('devrait consommer le pas de temps du code accepté (anti-rejeu)', async () => {
+            twoFactorRepo.consumeStep.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+            expect(await twoFactorService.verifyCode(USER_ID, { code: '287082' })).toBe(true);
+            expect(twoFactorRepo.consumeStep).toHaveBeenCalledWith(USER_ID, 1);
+
+            expect(await twoFactorService.verifyCode(USER_ID, { code: '287082' })).toBe(false);
+        });
+
+        it('devrait refuser un code invalide sans consommer de pas', async () => {
+            expect(await twoFactorService.verifyCode(USER_ID, { code: '000000' })).toBe(false);
+            expect(twoFactorRepo.consumeStep).not.toHaveBeenCalled();
+        });
+
+        it('devrait refuser tout code tant que la 2FA n\'est pas activée', async () => {
+            twoFactorRepo.findByUserId.mockResolvedValue({ userId: USER_ID, secretEncrypted: 'x', enabledAt: null });
+
+            expect(await twoFactorService.verifyCode(USER_ID, { code: '287082' })).toBe(false);
+        });
+    });
+
+    describe('challenge de connexion', () => {
+        beforeEach(() => {
+            tokenService.verifyTwoFactorChallenge.mockReturnValue({
+                sub: USER_ID,
+                purpose: TWO_FACTOR_CHALLENGE.VERIFY,
+                jti: CHALLENGE_ID,
+            });
+        });
+
+        it(`devrait verrouiller le challenge après ${MAX_CHALLENGE_ATTEMPTS} échecs`, async () => {
+            createChallengeCache();
+
+            for (let attempt = 1; attempt < MAX_CHALLENGE_ATTEMPTS; attempt += 1) {
+                await twoFactorService.recordFailedAttempt(CHALLENGE_ID);
+            }
+            await expect(twoFactorService.resolveChallenge('challenge')).resolves.toMatchObject({
+                userId: USER_ID,
+                challengeId: CHALLENGE_ID,
+            });
+
+            await twoFactorService.recordFailedAttempt(CHALLENGE_ID);
+
+            await expect(twoFactorService.resolveChallenge('challenge')).rejects.toMatchObject({ statusCode: 401 });
+        });
+
+        it('devrait refuser un challenge déjà utilisé pour ouvrir une session', async () => {
+            createChallengeCache();
+
+            await twoFactorService.consumeChallenge(CHALLENGE_ID);
+
+            await expect(twoFactorService.resolveChallenge('challenge')).rejects.toMatchObject({ statusCode: 401 });
+        });
+
+        it('devrait refuser un challenge d\'un autre usage que celui attendu', async () => {
+            createChallengeCache();
+
+            await expect(
+                twoFactorService.resolveChallenge('challenge', TWO_FACTOR_CHALLENGE.SETUP)
+            ).rejects.toMatchObject({ statusCode: 401 });
+        });
+    });
+});
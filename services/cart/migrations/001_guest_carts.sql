@@ -0,0 +1,19 @@
+-- ================================================================
+-- Migration 001 — Paniers guest
+--
+-- Un visiteur anonyme reçoit un panier sans user_id, désigné par un
+-- token signé (cookie cartToken / header X-Cart-Token). Le panier est
+-- fusionné puis supprimé à la connexion ou à l'inscription.
+--
+-- Le cron de nettoyage supprime les paniers guests inactifs
+-- (CART_GUEST_EXPIRATION_DAYS) : index partiel sur updated_at.
+-- ================================================================
+
+SET search_path TO cart, public;
+
+COMMENT ON TABLE  carts         IS 'Un panier par utilisateur, ou panier guest (user_id NULL) — cart-service';
+COMMENT ON COLUMN carts.user_id IS 'Référence auth.users — NULL pour un panier guest — pas de FK inter-schéma (découplage)';
+
+CREATE INDEX IF NOT EXISTS idx_carts_guest_updated_at
+    ON carts(updated_at)
+    WHERE user_id IS NULL;
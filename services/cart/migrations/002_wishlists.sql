@@ -0,0 +1,96 @@
+-- ================================================================
+-- Migration 002 — Listes d'envies et "enregistrer pour plus tard"
+--
+-- wishlists : listes nommées d'un utilisateur (plusieurs par compte),
+-- partageables en lecture seule par un lien (share_token, révocable).
+-- La liste "pour plus tard" (kind SAVED_FOR_LATER) reçoit les articles
+-- sortis du panier : une seule par utilisateur, jamais partagée.
+--
+-- wishlist_items : articles suivis. last_known_price / last_known_in_stock
+-- sont relevés par le cron d'alertes (prix effectif et stock lus sur le
+-- product-service) : une baisse de prix ou un retour en stock par rapport
+-- au relevé précédent déclenche une notification.
+--
+-- notify_email : adresse du titulaire, reprise de son access token à chaque
+-- modification de ses listes (le cart-service n'a pas accès aux comptes).
+-- Exportée et effacée avec le panier (RGPD).
+-- ================================================================
+
+SET search_path TO cart, public;
+
+CREATE TABLE IF NOT EXISTS wishlists (
+    id           UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+
+    -- Référence vers auth.users — pas de FK inter-schéma (découplage service)
+    user_id      UUID NOT NULL,
+    kind         VARCHAR(20)  NOT NULL DEFAULT 'WISHLIST'
+                 CHECK (kind IN ('WISHLIST', 'SAVED_FOR_LATER')),
+    name         VARCHAR(100) NOT NULL,
+    notify_email VARCHAR(255),
+
+    -- Lien de partage en lecture seule, NULL tant que la liste n'est pas partagée
+    share_token  VARCHAR(64) UNIQUE,
+
+    created_at   TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at   TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT saved_for_later_not_shared CHECK (kind = 'WISHLIST' OR share_token IS NULL)
+);
+
+COMMENT ON TABLE  wishlists              IS 'Listes d''envies et liste "pour plus tard" — cart-service';
+COMMENT ON COLUMN wishlists.notify_email IS 'Destinataire des alertes prix/stock, reprise de l''access token';
+COMMENT ON COLUMN wishlists.share_token  IS 'Lien de partage en lecture seule — régénéré ou révoqué par le titulaire';
+
+-- Noms uniques parmi les listes d'envies du compte (la liste "pour plus tard"
+-- a un nom fixe et n'entre pas en conflit avec elles)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_wishlists_user_name
+    ON wishlists(user_id, name)
+    WHERE kind = 'WISHLIST';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_wishlists_saved_for_later
+    ON wishlists(user_id)
+    WHERE kind = 'SAVED_FOR_LATER';
+
+CREATE OR REPLACE TRIGGER update_wishlists_updated_at
+    BEFORE UPDATE ON wishlists
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE IF NOT EXISTS wishlist_items (
+    id                   BIGSERIAL PRIMARY KEY,
+
+    wishlist_id          UUID NOT NULL REFERENCES wishlists(id) ON DELETE CASCADE,
+
+    -- Référence product.product_variants — pas de FK inter-schéma (découplage)
+    variant_id           UUID NOT NULL,
+
+    -- Quantité restituée au panier (articles "pour plus tard")
+    quantity             INT NOT NULL DEFAULT 1 CHECK (quantity > 0),
+
+    notify_price_drop    BOOLEAN NOT NULL DEFAULT TRUE,
+    notify_back_in_stock BOOLEAN NOT NULL DEFAULT TRUE,
+
+    -- Dernier relevé du cron d'alertes (NULL avant le premier passage)
+    last_known_price     NUMERIC(10, 2),
+    last_known_in_stock  BOOLEAN,
+    last_checked_at      TIMESTAMP WITH TIME ZONE,
+
+    created_at           TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at           TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT unique_wishlist_variant UNIQUE (wishlist_id, variant_id)
+);
+
+COMMENT ON TABLE  wishlist_items            IS 'Articles des listes d''envies — cart-service';
+COMMENT ON COLUMN wishlist_items.variant_id IS 'Référence product.product_variants — pas de FK inter-schéma (découplage)';
+
+CREATE OR REPLACE TRIGGER update_wishlist_items_updated_at
+    BEFORE UPDATE ON wishlist_items
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE INDEX IF NOT EXISTS idx_wishlist_items_wishlist
+    ON wishlist_items(wishlist_id);
+
+-- Pour le cron d'alertes : variantes suivies
+CREATE INDEX IF NOT EXISTS idx_wishlist_items_watched_variant
+    ON wishlist_items(variant_id)
+    WHERE notify_price_drop OR notify_back_in_stock;
@@ -0,0 +1,63 @@
+-- ================================================================
+-- Migration 003 — Relance des paniers abandonnés
+--
+-- cart_recovery_contacts : un enregistrement par utilisateur —
+-- email de relance (repris de l'access token), désinscription et
+-- date de la dernière commande payée (notifiée par l'order-service).
+-- Une commande ou une désinscription arrête la séquence de relance.
+--
+-- cart_recovery_emails : journal des relances envoyées. activity_at
+-- est la dernière activité du panier à laquelle la relance se rapporte :
+-- une nouvelle activité redémarre la séquence (étapes 1..n), et la
+-- contrainte unique empêche un double envoi de la même étape.
+-- recovered_at / order_id : commande attribuée à la relance (conversion).
+-- ================================================================
+
+SET search_path TO cart, public;
+
+CREATE TABLE IF NOT EXISTS cart_recovery_contacts (
+    -- Référence vers auth.users — pas de FK inter-schéma (découplage service)
+    user_id          UUID PRIMARY KEY,
+    email            VARCHAR(255) NOT NULL,
+    unsubscribed_at  TIMESTAMP WITH TIME ZONE,
+    last_ordered_at  TIMESTAMP WITH TIME ZONE,
+
+    created_at       TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at       TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON TABLE  cart_recovery_contacts                 IS 'Destinataire et préférences des relances de panier — cart-service';
+COMMENT ON COLUMN cart_recovery_contacts.last_ordered_at IS 'Dernière commande payée — un panier inactif depuis n''est plus relancé';
+
+CREATE OR REPLACE TRIGGER update_cart_recovery_contacts_updated_at
+    BEFORE UPDATE ON cart_recovery_contacts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE IF NOT EXISTS cart_recovery_emails (
+    id            UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+
+    -- SET NULL : les statistiques survivent au nettoyage des paniers
+    cart_id       UUID REFERENCES carts(id) ON DELETE SET NULL,
+    user_id       UUID NOT NULL,
+    step          SMALLINT NOT NULL CHECK (step > 0),
+    activity_at   TIMESTAMP WITH TIME ZONE NOT NULL,
+    item_count    INT NOT NULL,
+    cart_value    NUMERIC(10, 2) NOT NULL,
+    sent_at       TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    recovered_at  TIMESTAMP WITH TIME ZONE,
+    order_id      UUID,
+    order_amount  NUMERIC(10, 2),
+
+    CONSTRAINT unique_recovery_step UNIQUE (cart_id, activity_at, step)
+);
+
+COMMENT ON TABLE  cart_recovery_emails          IS 'Relances de panier abandonné envoyées et commandes attribuées — cart-service';
+COMMENT ON COLUMN cart_recovery_emails.order_id IS 'Référence order.orders — pas de FK inter-schéma (découplage)';
+
+CREATE INDEX IF NOT EXISTS idx_cart_recovery_emails_user_sent
+    ON cart_recovery_emails(user_id, sent_at DESC);
+
+-- Pour les statistiques admin (fenêtre glissante)
+CREATE INDEX IF NOT EXISTS idx_cart_recovery_emails_sent_at
+    ON cart_recovery_emails(sent_at);
@@ -13,6 +13,10 @@ import { requestLogger } from './middlewares/requestLogger.middleware.js';
 import { errorHandler } from './middlewares/errorHandler.middleware.js';
 import { healthCheck } from './utils/healthCheck.js';
 import { pgPool } from './config/database.js';
+import { logInfo } from './utils/logger.js';
+import { cartCleanupJob } from './jobs/cart.cron.js';
+import { wishlistAlertsJob } from './jobs/wishlistAlerts.cron.js';
+import { cartRecoveryJob } from './jobs/cartRecovery.cron.js';
 import router from './routes/index.routes.js';
 
 const app = express();
@@ -51,4 +55,16 @@ app.use(notFound);
 Sentry.setupExpressErrorHandler(app);
 app.use(errorHandler);
 
+// ── Tâches planifiées ─────────────────────────────────────────────────────────
+// Les paniers guests expirés disparaissent avec leur token (même durée de vie).
+// Les alertes des listes d'envies relèvent prix et stock sur le product-service.
+// Les relances de paniers abandonnés suivent les délais d'inactivité configurés.
+const cron = await import('node-cron');
+for (const job of [cartCleanupJob, wishlistAlertsJob, cartRecoveryJob]) {
+    cron.default.schedule(job.schedule, () => {
+        logInfo(`[CRON] Démarrage : ${job.name}`);
+        job.execute();
+    });
+}
+
 export default app;
@@ -0,0 +1,53 @@
+/**
+ * @module Clients/ImpersonationAudit
+ *
+ * Journal des requêtes "voir en tant que client" : chaque requête servie
+ * avec un token d'impersonation est rapportée à l'auth-service, qui
+ * l'affiche dans le back-office (POST /internal/impersonation/requests).
+ *
+ * Fire-and-forget : la réponse au client est déjà partie, une panne du
+ * journal est loggée (Sentry) sans autre effet.
+ */
+import { logError } from '../utils/logger.js';
+import { ENV } from '../config/environment.js';
+
+const AUDIT_URL = `${ENV.services.authServiceUrl}/internal/impersonation/requests`;
+const TIMEOUT_MS = ENV.services.httpTimeoutMs ?? 5000;
+
+const fetchWithTimeout = async (url, options) => {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), TIMEOUT_MS);
+    try {
+        return await fetch(url, { ...options, signal: controller.signal });
+    } finally {
+        clearTimeout(timeoutId);
+    }
+};
+
+export const impersonationAuditClient = {
+
+    /**
+     * Ne lève jamais d'exception.
+     *
+     * @param {{ sessionId: string, method: string, path: string, statusCode: number }} entry
+     */
+    async record({ sessionId, method, path, statusCode }) {
+        try {
+            const response = await fetchWithTimeout(AUDIT_URL, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Internal-Secret': ENV.internal.auditSecret,
+                    'X-Source-Service': 'cart-service',
+                },
+                body: JSON.stringify({ sessionId, service: 'cart', method, path, statusCode }),
+            });
+
+            if (!response.ok) {
+                throw new Error(`[impersonationAuditClient.record] HTTP ${response.status}`);
+            }
+        } catch (error) {
+            logError(error, { context: 'impersonationAuditClient.record', sessionId, method, path });
+        }
+    },
+};
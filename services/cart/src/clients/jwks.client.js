@@ -0,0 +1,101 @@
+/**
+ * @module Clients/Jwks
+ *
+ * Clés publiques de vérification des access tokens, publiées par l'auth-service
+ * sur /.well-known/jwks.json. Ce service ne détient aucun secret de signature :
+ * il peut vérifier un token, pas en émettre.
+ *
+ * Cache mémoire :
+ * - Rafraîchi après ENV.jwt.jwksCacheTtlMs, ou dès qu'un `kid` inconnu se présente
+ *   (rotation de clé), au plus une fois toutes les 30 s pour qu'un token forgé
+ *   ne provoque pas un appel HTTP par requête
+ * - Auth-service indisponible : les clés déjà en cache restent utilisées
+ */
+import crypto from 'crypto';
+import { ENV } from '../config/environment.js';
+import { logError } from '../utils/logger.js';
+
+const JWKS_URL = `${ENV.services.authServiceUrl}/.well-known/jwks.json`;
+const TIMEOUT_MS = ENV.services.httpTimeoutMs;
+const CACHE_TTL_MS = ENV.jwt.jwksCacheTtlMs;
+const REFRESH_COOLDOWN_MS = 30 * 1000;
+
+// Seuls algorithmes émis par l'auth-service — jamais HS256 ni "none"
+const SUPPORTED_ALGORITHMS = ['RS256', 'ES256'];
+
+let keys = new Map();
+let fetchedAt = 0;
+let lastAttemptAt = 0;
+let pendingRefresh = null;
+
+// ── Utilitaires ───────────────────────────────────────────────────────────────
+
+const fetchWithTimeout = async (url, options) => {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), TIMEOUT_MS);
+
+    try {
+        return await fetch(url, { ...options, signal: controller.signal });
+    } finally {
+        clearTimeout(timeoutId);
+    }
+};
+
+const loadKeys = async () => {
+    const response = await fetchWithTimeout(JWKS_URL, { method: 'GET' });
+    if (!response.ok) {
+        throw new Error(`[jwksClient.loadKeys] HTTP ${response.status}`);
+    }
+
+    const { keys: jwks = [] } = await response.json();
+    const nextKeys = new Map();
+
+    for (const jwk of jwks) {
+        if (!jwk.kid || !SUPPORTED_ALGORITHMS.includes(jwk.alg) || (jwk.use && jwk.use !== 'sig')) continue;
+        nextKeys.set(jwk.kid, {
+            alg: jwk.alg,
+            publicKey: crypto.createPublicKey({ key: jwk, format: 'jwk' }),
+        });
+    }
+
+    keys = nextKeys;
+    fetchedAt = Date.now();
+};
+
+// Requêtes concurrentes : un seul appel HTTP en vol, attendu par toutes
+const refreshKeys = () => {
+    if (!pendingRefresh) {
+        lastAttemptAt = Date.now();
+        pendingRefresh = loadKeys().finally(() => {
+            pendingRefresh = null;
+        });
+    }
+    return pendingRefresh;
+};
+
+// ── Client ────────────────────────────────────────────────────────────────────
+
+export const jwksClient = {
+
+    /**
+     * Clé publique correspondant au `kid` d'un access token.
+     *
+     * @param {string} kid - Identifiant de clé (en-tête du JWT)
+     * @returns {Promise<{ alg: string, publicKey: crypto.KeyObject }|null>} null si la clé n'est pas publiée
+     */
+    async getSigningKey(kid) {
+        const now = Date.now();
+        const isStale = now - fetchedAt > CACHE_TTL_MS;
+        const shouldRefresh = (isStale || !keys.has(kid)) && now - lastAttemptAt > REFRESH_COOLDOWN_MS;
+
+        if (pendingRefresh || shouldRefresh) {
+            try {
+                await refreshKeys();
+            } catch (error) {
+                logError(error, { context: 'jwksClient.getSigningKey', kid });
+            }
+        }
+
+        return keys.get(kid) ?? null;
+    },
+};
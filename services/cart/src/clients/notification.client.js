@@ -0,0 +1,102 @@
+/**
+ * @module Clients/Notification
+ *
+ * Client HTTP vers le notification-service centralisé.
+ * Utilisé par les crons d'alertes des listes d'envies (baisse de prix, retour en stock)
+ * et de relance des paniers abandonnés.
+ *
+ * Tous les appels sont fire-and-forget par conception :
+ *   - Un email non envoyé ne doit pas interrompre le passage du cron
+ *   - La résilience (retries) est gérée côté notification-service (BullMQ × 3)
+ *   - On log l'erreur pour le monitoring sans bloquer l'appelant
+ *
+ * VARIABLES D'ENVIRONNEMENT REQUISES :
+ *   NOTIFICATION_SERVICE_URL       → URL du notification-service
+ *   INTERNAL_NOTIFICATION_SECRET   → secret partagé validé par internal.middleware.js
+ */
+import { logError } from '../utils/logger.js';
+import { ENV } from '../config/environment.js';
+import { WISHLIST_ALERT_TYPE, CART_NOTIFICATION_TYPE } from '../constants/enums.js';
+
+const BASE_URL = `${ENV.services.notificationServiceUrl}/internal/notifications`;
+const TIMEOUT_MS = ENV.services.httpTimeoutMs;
+
+// ── Utilitaires ────────────────────────────────────────────────────────────────
+
+const buildHeaders = () => ({
+    'Content-Type': 'application/json',
+    'X-Internal-Secret': ENV.internal.notificationSecret,
+});
+
+const fetchWithTimeout = async (url, options) => {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), TIMEOUT_MS);
+    try {
+        return await fetch(url, { ...options, signal: controller.signal });
+    } finally {
+        clearTimeout(timeoutId);
+    }
+};
+
+// ── Client ─────────────────────────────────────────────────────────────────────
+
+export const notificationClient = {
+
+    /**
+     * Envoie une notification de manière fire-and-forget.
+     * Ne lève jamais d'exception — une erreur est loggée mais ne bloque pas l'appelant.
+     *
+     * @param {string} type  - Type de notification (ex: 'wishlist.price_drop')
+     * @param {string} to    - Email du destinataire
+     * @param {object} data  - Données métier pour le template
+     * @returns {Promise<boolean>} false si la notification n'a pas été mise en file
+     */
+    async enqueue(type, to, data) {
+        try {
+            const response = await fetchWithTimeout(`${BASE_URL}/enqueue`, {
+                method: 'POST',
+                headers: buildHeaders(),
+                body: JSON.stringify({ type, to, data }),
+            });
+
+            if (!response.ok) {
+                const body = await response.json().catch(() => ({}));
+                throw new Error(`[notificationClient.enqueue] HTTP ${response.status} — ${body?.message}`);
+            }
+
+            return true;
+        } catch (error) {
+            logError(error, { context: 'notificationClient.enqueue', type, to });
+            return false;
+        }
+    },
+
+    // ── Raccourcis sémantiques ────────────────────────────────────────────────
+
+    /**
+     * Articles suivis dont le prix a baissé depuis le dernier relevé.
+     * @param {string} to    - Email du titulaire des listes
+     * @param {Array}  items - { sku, attributes, wishlistName, previousPrice, price }
+     */
+    async notifyWishlistPriceDrop(to, items) {
+        return this.enqueue(WISHLIST_ALERT_TYPE.PRICE_DROP, to, { items });
+    },
+
+    /**
+     * Articles suivis de nouveau disponibles.
+     * @param {string} to    - Email du titulaire des listes
+     * @param {Array}  items - { sku, attributes, wishlistName, price }
+     */
+    async notifyWishlistBackInStock(to, items) {
+        return this.enqueue(WISHLIST_ALERT_TYPE.BACK_IN_STOCK, to, { items });
+    },
+
+    /**
+     * Relance d'un panier abandonné.
+     * @param {string} to   - Email du titulaire du panier
+     * @param {object} data - { step, items, summary, restoreUrl, unsubscribeUrl }
+     */
+    async notifyCartAbandoned(to, data) {
+        return this.enqueue(CART_NOTIFICATION_TYPE.ABANDONED, to, data);
+    },
+};
@@ -93,6 +93,29 @@ export const productClient = {
         }
     },
 
+    /**
+     * Prix effectif d'une variante, promotions actives comprises.
+     * Relevé par le cron d'alertes des listes d'envies : une promotion
+     * qui démarre est une baisse de prix pour l'acheteur.
+     *
+     * @returns {{ basePrice, effectivePrice, hasPromotion }} | null
+     */
+    async getEffectivePrice(variantId) {
+        try {
+            const response = await fetchWithTimeout(
+                `${BASE_URL}/variants/${variantId}/promo`,
+                { method: 'GET', headers: buildHeaders() }
+            );
+
+            if (response.status === 404) return null;
+
+            return await parseResponse(response, 'getEffectivePrice');
+        } catch (error) {
+            logError(error, { context: 'productClient.getEffectivePrice', variantId });
+            throw error;
+        }
+    },
+
     /**
      * Récupère variante ET stock en parallèle pour minimiser la latence.
      * Utilisé lors de l'ajout au panier — les deux informations sont toujours nécessaires.
@@ -17,11 +17,15 @@ const isTestEnv = process.env.NODE_ENV === 'test';
 
 const requiredEnv = [
     'PORT',
-    'JWT_ACCESS_SECRET',         // Vérification des access tokens émis par l'auth-service
+    'AUTH_SERVICE_URL',          // JWKS : clés publiques des access tokens émis par l'auth-service
     'DATABASE_URL',              // Connexion Neon (schéma cart)
     'REDIS_URL',                 // Upstash — cache des paniers
     'PRODUCT_SERVICE_URL',       // Appels HTTP vers product-service /internal/*
     'INTERNAL_PRODUCT_SECRET',   // Secret partagé avec le product-service
+    'INTERNAL_AUDIT_SECRET',     // Journal des requêtes "voir en tant que client" vers l'auth-service
+    'CART_TOKEN_SECRET',         // Signature des tokens de panier guest (émis et vérifiés ici seulement)
+    'NOTIFICATION_SERVICE_URL',  // Alertes des listes d'envies, relances de panier abandonné
+    'INTERNAL_NOTIFICATION_SECRET',
 ];
 
 if (process.env.NODE_ENV === 'production') {
@@ -62,23 +66,35 @@ export const ENV = Object.freeze({
     },
 
     jwt: {
-        // Le cart-service valide les tokens, il n'en émet pas.
-        accessTokenSecret: process.env.JWT_ACCESS_SECRET ?? 'test-secret',
+        // Le cart-service valide les tokens (clés publiques JWKS), il n'en émet pas.
+        jwksCacheTtlMs: Number(process.env.JWKS_CACHE_TTL_MS) || 10 * 60 * 1000,
+        // Fallback utilisé uniquement en test — HS256, propre au cart-service
+        cartTokenSecret: process.env.CART_TOKEN_SECRET ?? 'test-cart-token-secret',
     },
 
-    // Communication vers le product-service
+    // Communication vers l'auth-service (JWKS) et le product-service
     services: {
+        // Fallback utilisé uniquement en test — jamais appelé car aucun test ne vérifie de token
+        authServiceUrl: process.env.AUTH_SERVICE_URL ?? 'http://localhost:3002',
         // Fallback utilisé uniquement en test — jamais appelé car productClient est mocké
         productServiceUrl: process.env.PRODUCT_SERVICE_URL ?? 'http://localhost:3003',
+        // Fallback utilisé uniquement en test — jamais appelé car notificationClient est mocké
+        notificationServiceUrl: process.env.NOTIFICATION_SERVICE_URL ?? 'http://localhost:3007',
         httpTimeoutMs: Number(process.env.INTERNAL_HTTP_TIMEOUT_MS) || 5000,
     },
 
-    // Secret partagé avec le product-service pour les appels /internal/*
+    // Secrets partagés pour les appels /internal/* sortants
     internal: {
         // Fallback utilisé uniquement en test — jamais appelé car productClient est mocké
         productSecret: process.env.INTERNAL_PRODUCT_SECRET ?? 'test-secret',
+        // Secret du journal d'impersonation de l'auth-service (/internal/impersonation/*)
+        auditSecret: process.env.INTERNAL_AUDIT_SECRET ?? 'test-secret',
+        notificationSecret: process.env.INTERNAL_NOTIFICATION_SECRET ?? 'test-secret',
     },
 
+    // Base des liens envoyés au client (liste d'envies partagée, relance de panier)
+    clientUrl: process.env.CLIENT_URL || 'http://localhost:5173',
+
     rateLimit: {
         windowMs: Number(process.env.RATE_LIMIT_WINDOW_MS) || 900000,
         max: Number(process.env.RATE_LIMIT_MAX) || 200,
@@ -88,6 +104,34 @@ export const ENV = Object.freeze({
         origins: process.env.CORS_ORIGINS?.split(',').map((o) => o.trim()) || [],
     },
 
+    // Durées d'inactivité avant suppression par le cron de nettoyage (jours).
+    // Un token de panier guest expire avec son panier.
+    cart: {
+        guestExpirationDays: Number(process.env.CART_GUEST_EXPIRATION_DAYS) || 30,
+        userExpirationDays: Number(process.env.CART_USER_EXPIRATION_DAYS) || 90,
+    },
+
+    // Relance des paniers abandonnés (paniers utilisateurs uniquement : un guest n'a pas d'email).
+    // Une relance par délai d'inactivité, en heures ; au-delà de maxIdleHours le panier
+    // n'est plus relancé. Une commande payée dans attributionDays après une relance
+    // lui est attribuée (statistiques de conversion).
+    recovery: {
+        intervalsHours: (process.env.CART_RECOVERY_INTERVALS_HOURS || '1,24,72')
+            .split(',')
+            .map((hours) => Number(hours.trim()))
+            .filter((hours) => Number.isInteger(hours) && hours > 0)
+            .sort((a, b) => a - b),
+        maxIdleHours: Number(process.env.CART_RECOVERY_MAX_IDLE_HOURS) || 7 * 24,
+        attributionDays: Number(process.env.CART_RECOVERY_ATTRIBUTION_DAYS) || 7,
+        batchSize: Number(process.env.CART_RECOVERY_BATCH_SIZE) || 100,
+        schedule: process.env.CART_RECOVERY_CRON || '*/15 * * * *',
+    },
+
+    // Cron d'alertes des listes d'envies (expression cron, toutes les heures par défaut)
+    wishlist: {
+        alertsSchedule: process.env.WISHLIST_ALERTS_CRON || '15 * * * *',
+    },
+
     // TTL du cache panier en secondes (24h — invalidé à chaque mutation)
     cache: {
         cartTtl: Number(process.env.CART_CACHE_TTL_SECONDS) || 86400,
@@ -3,8 +3,8 @@
  *
  * Middlewares de sécurité et rate limiters du cart-service.
  *
- * Le cart est une route authentifiée — CORS strict et rate limiter
- * adapté aux interactions UI (ajout/suppression fréquents).
+ * Le cart est ouvert aux visiteurs (panier guest en cookie, d'où credentials) —
+ * CORS strict et rate limiter adapté aux interactions UI (ajout/suppression fréquents).
  */
 import helmet from 'helmet';
 import cors from 'cors';
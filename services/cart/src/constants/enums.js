@@ -0,0 +1,41 @@
+/**
+ * @module Constants/Enums
+ *
+ * Valeurs énumérées du cart-service.
+ */
+
+/**
+ * Motifs pour lesquels un article du panier guest n'a pas été repris
+ * lors de la fusion dans le panier utilisateur (rapport renvoyé à l'auth-service).
+ */
+export const MERGE_SKIP_REASON = Object.freeze({
+    VARIANT_NOT_FOUND: 'VARIANT_NOT_FOUND',
+    INSUFFICIENT_STOCK: 'INSUFFICIENT_STOCK',
+    PRODUCT_SERVICE_UNAVAILABLE: 'PRODUCT_SERVICE_UNAVAILABLE',
+});
+
+/**
+ * Types de liste : listes d'envies nommées (partageables) et liste unique
+ * "pour plus tard" alimentée depuis le panier.
+ */
+export const WISHLIST_KIND = Object.freeze({
+    WISHLIST: 'WISHLIST',
+    SAVED_FOR_LATER: 'SAVED_FOR_LATER',
+});
+
+/**
+ * Types de notification envoyés au notification-service par le cron d'alertes.
+ * Doivent figurer dans NOTIFICATION_TYPES côté notification-service.
+ */
+export const WISHLIST_ALERT_TYPE = Object.freeze({
+    PRICE_DROP: 'wishlist.price_drop',
+    BACK_IN_STOCK: 'wishlist.back_in_stock',
+});
+
+/**
+ * Type de notification de relance de panier abandonné.
+ * Doit figurer dans NOTIFICATION_TYPES côté notification-service.
+ */
+export const CART_NOTIFICATION_TYPE = Object.freeze({
+    ABANDONED: 'cart.abandoned',
+});
@@ -14,6 +14,16 @@ export const ERRORS = Object.freeze({
         ITEM_NOT_FOUND: "Cet article n'existe pas dans votre panier",
         VARIANT_NOT_FOUND: 'Produit introuvable',
         INSUFFICIENT_STOCK: 'Stock insuffisant',
+        GUEST_TOKEN_INVALID: 'Token de panier invalide ou expiré',
+        STOCK_UNVERIFIABLE: 'Disponibilité du produit impossible à vérifier',
+        UNSUBSCRIBE_TOKEN_INVALID: 'Lien de désinscription invalide',
+    },
+    WISHLIST: {
+        NOT_FOUND: "Liste d'envies introuvable",
+        ITEM_NOT_FOUND: "Cet article n'existe pas dans cette liste",
+        NAME_REQUIRED: 'Le nom de la liste est requis (100 caractères maximum)',
+        NAME_TAKEN: 'Vous avez déjà une liste portant ce nom',
+        ACCOUNT_REQUIRED: 'Connectez-vous pour enregistrer des articles pour plus tard',
     },
     SERVER: {
         INTERNAL_ERROR: 'Une erreur interne est survenue',
@@ -1,13 +1,17 @@
 /**
  * @module Controller/Cart
  *
- * Gère les opérations HTTP sur le panier utilisateur.
- * Toutes les routes nécessitent un utilisateur authentifié (req.user injecté par protect).
+ * Gère les opérations HTTP sur le panier, utilisateur ou guest.
+ * Le propriétaire du panier (req.cartOwner) est identifié par identifyCartOwner :
+ * utilisateur connecté ou visiteur porteur d'un token de panier.
  *
  * Le contrôleur ne contient aucune logique métier — il délègue au cartService
- * et formate la réponse HTTP.
+ * et formate la réponse HTTP (y compris le token de panier guest).
  */
 import { cartService } from '../services/cart.service.js';
+import { wishlistService } from '../services/wishlist.service.js';
+import { cartRecoveryService } from '../services/cartRecovery.service.js';
+import { issueGuestCartToken } from '../middlewares/cartOwner.middleware.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import { HTTP_STATUS } from '../constants/httpStatus.js';
 
@@ -15,7 +19,7 @@ class CartController {
 
     /** Récupère le panier complet avec items enrichis et totaux calculés */
     getCart = asyncHandler(async (req, res) => {
-        const cart = await cartService.getCartByUserId(req.user.id);
+        const cart = await cartService.getCart(req.cartOwner);
 
         res.status(HTTP_STATUS.OK).json({
             status: 'success',
@@ -26,17 +30,26 @@ class CartController {
     /**
      * Ajoute un article puis retourne le panier complet mis à jour.
      * Re-fetch le panier après l'ajout pour inclure les calculs sans les dupliquer ici.
+     *
+     * Visiteur : le panier créé au premier ajout (ou remplaçant un panier expiré)
+     * est désigné par le token retourné (`cartToken`, aussi posé en cookie).
      */
     addItem = asyncHandler(async (req, res) => {
         const { variantId, quantity } = req.body;
 
-        await cartService.addToCart(req.user.id, variantId, quantity);
-        const fullCart = await cartService.getCartByUserId(req.user.id);
+        const item = await cartService.addToCart(req.cartOwner, variantId, quantity);
+
+        const isGuest = !req.cartOwner.userId;
+        const owner = isGuest ? { guestCartId: item.cartId } : req.cartOwner;
+        const fullCart = await cartService.getCart(owner);
 
         res.status(HTTP_STATUS.OK).json({
             status: 'success',
             message: 'Article ajouté au panier',
-            data: { cart: fullCart },
+            data: {
+                cart: fullCart,
+                ...(isGuest && { cartToken: issueGuestCartToken(res, item.cartId) }),
+            },
         });
     });
 
@@ -45,7 +58,7 @@ class CartController {
         const { itemId } = req.params;
         const { quantity } = req.body;
 
-        const updatedItem = await cartService.updateItemQuantity(req.user.id, itemId, quantity);
+        const updatedItem = await cartService.updateItemQuantity(req.cartOwner, itemId, quantity);
 
         res.status(HTTP_STATUS.OK).json({
             status: 'success',
@@ -58,23 +71,77 @@ class CartController {
     removeItem = asyncHandler(async (req, res) => {
         const { itemId } = req.params;
 
-        await cartService.removeItemFromCart(req.user.id, itemId);
+        await cartService.removeItemFromCart(req.cartOwner, itemId);
 
         res.status(HTTP_STATUS.NO_CONTENT).send();
     });
 
     /**
-     * Vide entièrement le panier de l'utilisateur.
-     * clearCartByUserId résout le cartId en interne — évite l'exposition du cartId dans l'API.
+     * Vide entièrement le panier.
+     * clearCart résout le cartId en interne — évite l'exposition du cartId dans l'API.
      */
     clear = asyncHandler(async (req, res) => {
-        await cartService.clearCartByUserId(req.user.id);
+        await cartService.clearCart(req.cartOwner);
 
         res.status(HTTP_STATUS.OK).json({
             status: 'success',
             message: 'Panier vidé avec succès',
         });
     });
+
+    // ── "Pour plus tard" (utilisateur connecté) ──────────────────────────────
+
+    /** Liste "pour plus tard" avec ses articles enrichis */
+    getSaved = asyncHandler(async (req, res) => {
+        const saved = await wishlistService.getSavedForLater(req.user);
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            data: { saved },
+        });
+    });
+
+    /** Sort un article du panier vers "pour plus tard" — retourne les deux listes à jour */
+    saveForLater = asyncHandler(async (req, res) => {
+        await cartService.saveForLater(req.user, req.params.itemId);
+
+        const [cart, saved] = await Promise.all([
+            cartService.getCart(req.cartOwner),
+            wishlistService.getSavedForLater(req.user),
+        ]);
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            message: 'Article enregistré pour plus tard',
+            data: { cart, saved },
+        });
+    });
+
+    /** Remet un article "pour plus tard" dans le panier — retourne les deux listes à jour */
+    moveSavedToCart = asyncHandler(async (req, res) => {
+        await cartService.moveSavedToCart(req.user, req.params.itemId);
+
+        const [cart, saved] = await Promise.all([
+            cartService.getCart(req.cartOwner),
+            wishlistService.getSavedForLater(req.user),
+        ]);
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            message: 'Article remis dans le panier',
+            data: { cart, saved },
+        });
+    });
+
+    /** Désinscription des relances de panier abandonné (lien de l'email, sans connexion) */
+    unsubscribeRecovery = asyncHandler(async (req, res) => {
+        await cartRecoveryService.unsubscribe(req.body?.token);
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            message: 'Vous ne recevrez plus de relance pour votre panier',
+        });
+    });
 }
 
 export const cartController = new CartController();
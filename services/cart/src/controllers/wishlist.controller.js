@@ -0,0 +1,112 @@
+/**
+ * @module Controller/Wishlist
+ *
+ * Gère les opérations HTTP sur les listes d'envies de l'utilisateur connecté
+ * (req.user) et la consultation publique d'une liste partagée.
+ *
+ * Le contrôleur ne contient aucune logique métier — il délègue au wishlistService.
+ */
+import { wishlistService } from '../services/wishlist.service.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { HTTP_STATUS } from '../constants/httpStatus.js';
+
+class WishlistController {
+
+    list = asyncHandler(async (req, res) => {
+        const wishlists = await wishlistService.listWishlists(req.user);
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            data: { wishlists },
+        });
+    });
+
+    create = asyncHandler(async (req, res) => {
+        const wishlist = await wishlistService.createWishlist(req.user, req.body.name);
+
+        res.status(HTTP_STATUS.CREATED).json({
+            status: 'success',
+            data: { wishlist },
+        });
+    });
+
+    /** Liste avec ses articles enrichis (prix, stock, préférences d'alerte) */
+    getOne = asyncHandler(async (req, res) => {
+        const wishlist = await wishlistService.getWishlist(req.user, req.params.wishlistId);
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            data: { wishlist },
+        });
+    });
+
+    rename = asyncHandler(async (req, res) => {
+        const wishlist = await wishlistService.renameWishlist(req.user, req.params.wishlistId, req.body.name);
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            data: { wishlist },
+        });
+    });
+
+    remove = asyncHandler(async (req, res) => {
+        await wishlistService.deleteWishlist(req.user, req.params.wishlistId);
+
+        res.status(HTTP_STATUS.NO_CONTENT).send();
+    });
+
+    /**
+     * Ajoute un article (ou met à jour ses préférences d'alerte)
+     * puis retourne la liste complète mise à jour.
+     */
+    addItem = asyncHandler(async (req, res) => {
+        const { variantId, notifyPriceDrop, notifyBackInStock } = req.body;
+
+        await wishlistService.addItem(req.user, req.params.wishlistId, {
+            variantId,
+            notifyPriceDrop,
+            notifyBackInStock,
+        });
+        const wishlist = await wishlistService.getWishlist(req.user, req.params.wishlistId);
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            message: 'Article ajouté à la liste',
+            data: { wishlist },
+        });
+    });
+
+    removeItem = asyncHandler(async (req, res) => {
+        await wishlistService.removeItem(req.user, req.params.wishlistId, req.params.itemId);
+
+        res.status(HTTP_STATUS.NO_CONTENT).send();
+    });
+
+    /** Crée (ou régénère) le lien de partage en lecture seule */
+    share = asyncHandler(async (req, res) => {
+        const { shareToken, shareUrl } = await wishlistService.shareWishlist(req.user, req.params.wishlistId);
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            data: { shareToken, shareUrl },
+        });
+    });
+
+    unshare = asyncHandler(async (req, res) => {
+        await wishlistService.unshareWishlist(req.user, req.params.wishlistId);
+
+        res.status(HTTP_STATUS.NO_CONTENT).send();
+    });
+
+    /** Vue publique d'une liste partagée — aucune authentification */
+    getShared = asyncHandler(async (req, res) => {
+        const wishlist = await wishlistService.getSharedWishlist(req.params.shareToken);
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            data: { wishlist },
+        });
+    });
+}
+
+export const wishlistController = new WishlistController();
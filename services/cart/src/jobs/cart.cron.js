@@ -10,7 +10,7 @@
  * FRÉQUENCE :
  * Quotidienne à 2h00 — heure creuse pour minimiser l'impact sur les performances.
  */
-import { cartRepo } from '../repositories/index.js';
+import { cartsRepo } from '../repositories/index.js';
 import { ENV } from '../config/environment.js';
 import { logInfo, logError } from '../utils/logger.js';
 
@@ -22,8 +22,8 @@ export const cartCleanupJob = {
     async execute() {
         try {
             const [deletedGuest, deletedUser] = await Promise.all([
-                cartRepo.deleteExpiredGuestCarts(ENV.cart.guestExpirationDays),
-                cartRepo.deleteExpiredUserCarts(ENV.cart.userExpirationDays),
+                cartsRepo.deleteExpiredGuestCarts(ENV.cart.guestExpirationDays),
+                cartsRepo.deleteExpiredUserCarts(ENV.cart.userExpirationDays),
             ]);
 
             logInfo(
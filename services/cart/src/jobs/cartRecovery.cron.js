@@ -0,0 +1,32 @@
+/**
+ * @module Jobs/CartRecovery
+ *
+ * Relance des paniers abandonnés.
+ *
+ * POURQUOI :
+ * Le cron de nettoyage ne fait que supprimer les paniers inactifs. Celui-ci
+ * relance par email les utilisateurs dont le panier est inactif depuis chacun
+ * des délais configurés (CART_RECOVERY_INTERVALS_HOURS, ex. 1h, 24h, 72h).
+ *
+ * FRÉQUENCE :
+ * Toutes les 15 minutes par défaut (CART_RECOVERY_CRON) — la précision des
+ * délais est celle du passage ; une étape n'est jamais envoyée deux fois.
+ */
+import { cartRecoveryService } from '../services/cartRecovery.service.js';
+import { ENV } from '../config/environment.js';
+import { logInfo, logError } from '../utils/logger.js';
+
+export const cartRecoveryJob = {
+    name: 'cart-recovery',
+    schedule: ENV.recovery.schedule,
+
+    async execute() {
+        try {
+            const { due, sent } = await cartRecoveryService.sendDueReminders();
+
+            logInfo(`[CRON] Relance des paniers abandonnés : ${sent} relances envoyées sur ${due} paniers dus`);
+        } catch (error) {
+            logError(error, { context: 'cartRecoveryJob.execute' });
+        }
+    },
+};
@@ -0,0 +1,35 @@
+/**
+ * @module Jobs/WishlistAlerts
+ *
+ * Alertes planifiées des listes d'envies (et de la liste "pour plus tard").
+ *
+ * POURQUOI :
+ * Le cart-service ne reçoit aucun événement de prix ni de stock : ce cron relève
+ * le prix effectif et le stock des variantes suivies sur le product-service et
+ * notifie les titulaires d'une baisse de prix ou d'un retour en stock.
+ *
+ * FRÉQUENCE :
+ * Horaire par défaut (WISHLIST_ALERTS_CRON) — une alerte par changement,
+ * le relevé précédent étant conservé en base.
+ */
+import { wishlistService } from '../services/wishlist.service.js';
+import { ENV } from '../config/environment.js';
+import { logInfo, logError } from '../utils/logger.js';
+
+export const wishlistAlertsJob = {
+    name: 'wishlist-alerts',
+    schedule: ENV.wishlist.alertsSchedule,
+
+    async execute() {
+        try {
+            const { checked, priceDrops, backInStock } = await wishlistService.checkWatchedItems();
+
+            logInfo(
+                `[CRON] Alertes listes d'envies : ${checked} variantes relevées, ` +
+                `${priceDrops} baisses de prix, ${backInStock} retours en stock notifiés`
+            );
+        } catch (error) {
+            logError(error, { context: 'wishlistAlertsJob.execute' });
+        }
+    },
+};
@@ -2,7 +2,8 @@
  * @module Middlewares/Auth
  *
  * Middleware de protection des routes du cart-service.
- * Valide le JWT Access Token émis par l'auth-service de façon stateless —
+ * Valide le JWT Access Token émis par l'auth-service de façon stateless (clé publique
+ * du JWKS de l'auth-service, mise en cache) —
  * aucune requête DB : le payload signé garantit l'intégrité des données.
  *
  * Durée de vie courte (15 min par défaut) pour limiter l'impact d'un token compromis.
@@ -11,8 +12,10 @@ import { tokenService } from '../services/token.service.js';
 import { AppError } from '../utils/appError.js';
 import { HTTP_STATUS } from '../constants/httpStatus.js';
 import { ERRORS } from '../constants/errors.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { readImpersonation, guardImpersonatedRequest } from './impersonation.middleware.js';
 
-export const protect = (req, _res, next) => {
+export const protect = asyncHandler(async (req, res, next) => {
     const authHeader = req.headers.authorization;
 
     if (!authHeader?.startsWith('Bearer ')) {
@@ -20,18 +23,24 @@ export const protect = (req, _res, next) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const decoded = tokenService.verifyAccessToken(token);
+    const decoded = await tokenService.verifyAccessToken(token);
 
     if (!decoded) {
         return next(new AppError(ERRORS.AUTH.TOKEN_INVALID, HTTP_STATUS.UNAUTHORIZED));
     }
 
+    const impersonation = readImpersonation(decoded);
+    if (impersonation) {
+        guardImpersonatedRequest(req, res, impersonation);
+    }
+
     // Hydrate req.user depuis le payload JWT — aligné sur le format de l'auth-service
     req.user = {
         id: decoded.sub,
         email: decoded.email,
         roles: decoded.roles || [],
+        impersonation,
     };
 
     next();
-};
+});
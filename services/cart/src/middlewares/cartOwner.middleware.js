@@ -0,0 +1,50 @@
+/**
+ * @module Middlewares/CartOwner
+ *
+ * Identifie le propriétaire du panier pour les routes /api/v1/cart :
+ * - utilisateur connecté (header Authorization) → validé par protect, comme avant ;
+ * - visiteur anonyme → panier guest désigné par un token signé, lu dans le
+ *   cookie `cartToken` ou le header `X-Cart-Token` (clients sans cookies).
+ *
+ * Hydrate req.cartOwner : { userId, email } ou { guestCartId } (null tant que le
+ * visiteur n'a pas de panier — il est créé au premier ajout).
+ * Un token de panier invalide ou expiré équivaut à une absence de panier.
+ */
+import { tokenService } from '../services/token.service.js';
+import { ENV } from '../config/environment.js';
+import { protect } from './auth.middleware.js';
+
+export const GUEST_CART_COOKIE = 'cartToken';
+const GUEST_CART_HEADER = 'x-cart-token';
+
+const GUEST_CART_COOKIE_OPTIONS = {
+    httpOnly: true,
+    secure: true,
+    sameSite: 'none',
+    maxAge: ENV.cart.guestExpirationDays * 24 * 60 * 60 * 1000,
+};
+
+export const identifyCartOwner = (req, res, next) => {
+    if (req.headers.authorization) {
+        return protect(req, res, (error) => {
+            if (error) return next(error);
+            req.cartOwner = { userId: req.user.id, email: req.user.email };
+            next();
+        });
+    }
+
+    const token = req.cookies?.[GUEST_CART_COOKIE] || req.headers[GUEST_CART_HEADER];
+    req.cartOwner = { guestCartId: tokenService.verifyGuestCartToken(token) };
+    next();
+};
+
+/**
+ * (Ré)émet le token du panier guest : cookie httpOnly et valeur retournée
+ * pour le corps de la réponse. Réémis à chaque ajout, l'expiration glisse
+ * avec l'activité du visiteur.
+ */
+export const issueGuestCartToken = (res, cartId) => {
+    const token = tokenService.signGuestCartToken(cartId);
+    res.cookie(GUEST_CART_COOKIE, token, GUEST_CART_COOKIE_OPTIONS);
+    return token;
+};
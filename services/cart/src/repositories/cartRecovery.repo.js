@@ -0,0 +1,243 @@
+/**
+ * @module Repository/CartRecovery
+ *
+ * Gère la persistance des relances de paniers abandonnés dans le schéma "cart" :
+ * destinataires (cart_recovery_contacts) et journal des envois (cart_recovery_emails).
+ *
+ * La dernière activité d'un panier est la dernière modification de ses articles
+ * (cart_items.updated_at) : un ajout ou un changement de quantité redémarre la séquence.
+ */
+import { pgPool } from '../config/database.js';
+import { mapRow, mapRows } from './_mappers.js';
+import { validateUUID } from '../utils/validation.js';
+
+export const cartRecoveryRepo = {
+
+    // ── DESTINATAIRES ────────────────────────────────────────────────────────
+
+    /**
+     * Enregistre (ou met à jour) l'email de relance d'un utilisateur.
+     * Sans effet si l'email est inchangé.
+     */
+    async upsertContact(userId, email) {
+        validateUUID(userId, 'userId');
+
+        await pgPool.query(
+            `INSERT INTO cart_recovery_contacts (user_id, email)
+             VALUES ($1, $2)
+             ON CONFLICT (user_id) DO UPDATE SET email = EXCLUDED.email
+             WHERE cart_recovery_contacts.email IS DISTINCT FROM EXCLUDED.email`,
+            [userId, email]
+        );
+    },
+
+    /**
+     * Désinscrit l'utilisateur des relances. Idempotent : la date de la
+     * première désinscription est conservée. Retourne null sans destinataire.
+     */
+    async unsubscribe(userId) {
+        validateUUID(userId, 'userId');
+
+        const { rows } = await pgPool.query(
+            `UPDATE cart_recovery_contacts
+             SET unsubscribed_at = COALESCE(unsubscribed_at, NOW())
+             WHERE user_id = $1
+             RETURNING *`,
+            [userId]
+        );
+
+        return mapRow(rows[0]);
+    },
+
+    async findContact(userId) {
+        validateUUID(userId, 'userId');
+
+        const { rows } = await pgPool.query(
+            `SELECT * FROM cart_recovery_contacts WHERE user_id = $1`,
+            [userId]
+        );
+
+        return mapRow(rows[0]);
+    },
+
+    // ── SÉQUENCE DE RELANCE ──────────────────────────────────────────────────
+
+    /**
+     * Paniers utilisateurs dont la prochaine relance est due.
+     *
+     * L'étape suivante est le nombre de relances déjà envoyées pour la même
+     * activité + 1 ; elle est due quand le panier est inactif depuis le délai
+     * correspondant de `intervalsHours` (NULL au-delà de la dernière étape).
+     * Exclus : destinataire désinscrit, commande payée depuis la dernière
+     * activité, panier inactif depuis plus de `maxIdleHours`.
+     *
+     * @param {{ intervalsHours: number[], maxIdleHours: number, limit: number }} options
+     */
+    async findDueCarts({ intervalsHours, maxIdleHours, limit }) {
+        const { rows } = await pgPool.query(
+            `WITH activity AS (
+                 SELECT c.id AS cart_id, c.user_id,
+                        MAX(ci.updated_at) AS activity_at,
+                        SUM(ci.quantity)::INT AS item_count
+                 FROM carts c
+                 JOIN cart_items ci ON ci.cart_id = c.id
+                 WHERE c.user_id IS NOT NULL
+                 GROUP BY c.id
+             )
+             SELECT a.cart_id, a.user_id, a.activity_at, a.item_count, rc.email,
+                    COUNT(e.id)::INT + 1 AS step
+             FROM activity a
+             JOIN cart_recovery_contacts rc ON rc.user_id = a.user_id
+             LEFT JOIN cart_recovery_emails e
+                    ON e.cart_id = a.cart_id AND e.activity_at = a.activity_at
+             WHERE rc.unsubscribed_at IS NULL
+               AND (rc.last_ordered_at IS NULL OR rc.last_ordered_at < a.activity_at)
+               AND a.activity_at > NOW() - make_interval(hours => $2)
+             GROUP BY a.cart_id, a.user_id, a.activity_at, a.item_count, rc.email
+             HAVING a.activity_at <= NOW() - make_interval(hours => ($1::INT[])[COUNT(e.id) + 1])
+             ORDER BY a.activity_at ASC
+             LIMIT $3`,
+            [intervalsHours, maxIdleHours, limit]
+        );
+
+        return mapRows(rows);
+    },
+
+    /**
+     * Réserve l'envoi d'une étape avant de l'émettre.
+     * Retourne null si l'étape a déjà été envoyée (passage concurrent du cron).
+     */
+    async recordEmail({ cartId, userId, step, activityAt, itemCount, cartValue }) {
+        validateUUID(cartId, 'cartId');
+
+        const { rows } = await pgPool.query(
+            `INSERT INTO cart_recovery_emails (cart_id, user_id, step, activity_at, item_count, cart_value)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             ON CONFLICT (cart_id, activity_at, step) DO NOTHING
+             RETURNING *`,
+            [cartId, userId, step, activityAt, itemCount, cartValue]
+        );
+
+        return mapRow(rows[0]);
+    },
+
+    /**
+     * Libère une étape réservée dont l'email n'a pas pu être émis :
+     * elle redevient due au passage suivant du cron.
+     */
+    async releaseEmail(emailId) {
+        validateUUID(emailId, 'emailId');
+
+        await pgPool.query(`DELETE FROM cart_recovery_emails WHERE id = $1`, [emailId]);
+        return true;
+    },
+
+    // ── CONVERSION ───────────────────────────────────────────────────────────
+
+    /**
+     * Enregistre une commande payée : arrête la séquence de relance et attribue
+     * la commande à la dernière relance reçue dans la fenêtre d'attribution
+     * (une commande n'est attribuée qu'une fois).
+     *
+     * @returns {Promise<object|null>} Relance convertie, null si aucune
+     */
+    async recordOrder(userId, { orderId, orderAmount, attributionDays }) {
+        validateUUID(userId, 'userId');
+        validateUUID(orderId, 'orderId');
+
+        await pgPool.query(
+            `UPDATE cart_recovery_contacts SET last_ordered_at = NOW() WHERE user_id = $1`,
+            [userId]
+        );
+
+        const { rows } = await pgPool.query(
+            `UPDATE cart_recovery_emails
+             SET recovered_at = NOW(), order_id = $2, order_amount = $3
+             WHERE id = (
+                 SELECT id FROM cart_recovery_emails
+                 WHERE user_id = $1
+                   AND recovered_at IS NULL
+                   AND sent_at > NOW() - ($4 || ' days')::INTERVAL
+                 ORDER BY sent_at DESC
+                 LIMIT 1
+             )
+             AND NOT EXISTS (SELECT 1 FROM cart_recovery_emails WHERE order_id = $2)
+             RETURNING *`,
+            [userId, orderId, orderAmount, attributionDays]
+        );
+
+        return mapRow(rows[0]);
+    },
+
+    // ── STATISTIQUES ─────────────────────────────────────────────────────────
+
+    /**
+     * Relances envoyées et converties sur les N derniers jours, par étape.
+     */
+    async getStatsByStep(sinceDays) {
+        const { rows } = await pgPool.query(
+            `SELECT step,
+                    COUNT(*)::INT                         AS emails_sent,
+                    COUNT(recovered_at)::INT              AS recovered,
+                    COALESCE(SUM(order_amount), 0)::FLOAT AS recovered_revenue
+             FROM cart_recovery_emails
+             WHERE sent_at > NOW() - ($1 || ' days')::INTERVAL
+             GROUP BY step
+             ORDER BY step ASC`,
+            [sinceDays]
+        );
+
+        return mapRows(rows);
+    },
+
+    /**
+     * Paniers relancés et récupérés sur les N derniers jours (toutes étapes confondues).
+     * Un panier est compté par séquence (même activité), récupéré si l'une de ses relances l'est.
+     */
+    async getTotals(sinceDays) {
+        const { rows } = await pgPool.query(
+            `SELECT COUNT(*)::INT                          AS carts_reminded,
+                    COUNT(*) FILTER (WHERE recovered)::INT AS carts_recovered,
+                    COALESCE(SUM(cart_value), 0)::FLOAT    AS reminded_value,
+                    COALESCE(SUM(order_amount), 0)::FLOAT  AS recovered_revenue
+             FROM (
+                 SELECT cart_id, activity_at,
+                        BOOL_OR(recovered_at IS NOT NULL) AS recovered,
+                        MAX(cart_value)                   AS cart_value,
+                        SUM(order_amount)                 AS order_amount
+                 FROM cart_recovery_emails
+                 WHERE sent_at > NOW() - ($1 || ' days')::INTERVAL
+                 GROUP BY cart_id, activity_at
+             ) sequences`,
+            [sinceDays]
+        );
+
+        return mapRow(rows[0]);
+    },
+
+    // ── DONNÉES PERSONNELLES (RGPD) ──────────────────────────────────────────
+
+    async listEmailsByUser(userId) {
+        validateUUID(userId, 'userId');
+
+        const { rows } = await pgPool.query(
+            `SELECT step, item_count, cart_value, sent_at, recovered_at, order_id
+             FROM cart_recovery_emails
+             WHERE user_id = $1
+             ORDER BY sent_at ASC`,
+            [userId]
+        );
+
+        return mapRows(rows);
+    },
+
+    /**
+     * Supprime le destinataire et le journal des relances de l'utilisateur.
+     */
+    async deleteByUser(userId) {
+        validateUUID(userId, 'userId');
+
+        await pgPool.query(`DELETE FROM cart_recovery_emails WHERE user_id = $1`, [userId]);
+        await pgPool.query(`DELETE FROM cart_recovery_contacts WHERE user_id = $1`, [userId]);
+    },
+};
@@ -2,7 +2,7 @@
  * @module Repository/Carts
  *
  * Gère la persistance du panier dans le schéma "cart".
- * Source de vérité pour les paniers utilisateurs.
+ * Source de vérité pour les paniers utilisateurs et guests (user_id NULL).
  *
  * Ce repository ne connaît pas les données produit — l'enrichissement
  * (prix, nom, stock) est réalisé par le cart.service via le product-client.
@@ -51,6 +51,107 @@ export const cartsRepo = {
         return mapRow(rows[0]);
     },
 
+    /**
+     * Crée un panier guest, identifié par son seul id (porté par le token de panier).
+     */
+    async createGuest() {
+        const { rows } = await pgPool.query(
+            `INSERT INTO carts (user_id) VALUES (NULL) RETURNING *`
+        );
+
+        return mapRow(rows[0]);
+    },
+
+    /**
+     * Lit un panier guest et repousse son expiration (cron de nettoyage).
+     * Retourne null si le panier a expiré, a été fusionné ou appartient à un utilisateur.
+     */
+    async findGuestCart(cartId) {
+        validateUUID(cartId, 'cartId');
+
+        const { rows } = await pgPool.query(
+            `UPDATE carts SET updated_at = NOW()
+             WHERE id = $1 AND user_id IS NULL
+             RETURNING *`,
+            [cartId]
+        );
+
+        return mapRow(rows[0]);
+    },
+
+    // ── FUSION DU PANIER GUEST ───────────────────────────────────────────────
+    // Les articles ne quittent le panier guest qu'une fois repris : un article
+    // non contrôlable (product-service indisponible) y reste pour la prochaine fusion.
+
+    /**
+     * Articles d'un panier guest, sans le modifier (tableau vide s'il a expiré,
+     * a déjà été fusionné ou appartient à un utilisateur).
+     */
+    async listGuestItems(cartId) {
+        validateUUID(cartId, 'cartId');
+
+        const { rows } = await pgPool.query(
+            `SELECT ci.variant_id, ci.quantity
+             FROM cart_items ci
+             JOIN carts c ON c.id = ci.cart_id
+             WHERE c.id = $1 AND c.user_id IS NULL
+             ORDER BY ci.created_at ASC`,
+            [cartId]
+        );
+
+        return mapRows(rows);
+    },
+
+    /**
+     * Déplace les variantes données du panier guest vers le panier utilisateur,
+     * en une requête (quantités additionnées si déjà présentes).
+     * Retourne les articles effectivement déplacés : deux fusions concurrentes
+     * ne peuvent pas reprendre le même article deux fois.
+     */
+    async moveGuestItems(guestCartId, userCartId, variantIds) {
+        validateUUID(guestCartId, 'guestCartId');
+        validateUUID(userCartId, 'userCartId');
+        if (variantIds.length === 0) return [];
+
+        const { rows } = await pgPool.query(
+            `WITH moved AS (
+                 DELETE FROM cart_items WHERE cart_id = $1 AND variant_id = ANY($3::uuid[])
+                 RETURNING variant_id, quantity, created_at
+             ), added AS (
+                 INSERT INTO cart_items (cart_id, variant_id, quantity)
+                 SELECT $2, variant_id, quantity FROM moved
+                 ON CONFLICT (cart_id, variant_id)
+                 DO UPDATE SET
+                   quantity   = cart_items.quantity + EXCLUDED.quantity,
+                   updated_at = NOW()
+             )
+             SELECT variant_id, quantity FROM moved ORDER BY created_at ASC`,
+            [guestCartId, userCartId, variantIds]
+        );
+
+        return mapRows(rows);
+    },
+
+    /**
+     * Termine la fusion : le panier guest ne garde que les variantes de
+     * `keptVariantIds`, et est supprimé s'il n'en garde aucune.
+     * Retourne true si le panier guest est conservé.
+     */
+    async closeGuestCart(cartId, keptVariantIds = []) {
+        validateUUID(cartId, 'cartId');
+
+        if (keptVariantIds.length === 0) {
+            await pgPool.query(`DELETE FROM carts WHERE id = $1 AND user_id IS NULL`, [cartId]);
+            return false;
+        }
+
+        await pgPool.query(
+            `DELETE FROM cart_items WHERE cart_id = $1 AND variant_id <> ALL($2::uuid[])`,
+            [cartId, keptVariantIds]
+        );
+        return true;
+    },
+
     /**
      * Récupère le panier existant ou en crée un nouveau.
      * Évite la double requête (find + create) dans le service.
@@ -189,4 +290,35 @@ export const cartsRepo = {
         if (rowCount === 0) throw new NotFoundError('Cart', cartId);
         return true;
     },
+    // ── NETTOYAGE ────────────────────────────────────────────────────────────
+
+    /**
+     * Supprime les paniers guests inactifs depuis plus de N jours.
+     * Appelé par le cron de nettoyage — retourne le nombre de paniers supprimés.
+     */
+    async deleteExpiredGuestCarts(olderThanDays) {
+        const { rowCount } = await pgPool.query(
+            `DELETE FROM carts
+             WHERE user_id IS NULL
+               AND updated_at < NOW() - ($1 || ' days')::INTERVAL`,
+            [olderThanDays]
+        );
+
+        return rowCount;
+    },
+
+    /**
+     * Supprime les paniers utilisateurs inactifs depuis plus de N jours.
+     * Les paniers utilisateurs ont un TTL plus long que les paniers guests.
+     */
+    async deleteExpiredUserCarts(olderThanDays) {
+        const { rowCount } = await pgPool.query(
+            `DELETE FROM carts
+             WHERE user_id IS NOT NULL
+               AND updated_at < NOW() - ($1 || ' days')::INTERVAL`,
+            [olderThanDays]
+        );
+
+        return rowCount;
+    },
 };
@@ -4,3 +4,5 @@
  * Point d'entrée unique de la couche repository du cart-service.
  */
 export { cartsRepo } from './carts.repo.js';
+export { wishlistsRepo } from './wishlists.repo.js';
+export { cartRecoveryRepo } from './cartRecovery.repo.js';
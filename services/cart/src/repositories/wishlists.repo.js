@@ -0,0 +1,367 @@
+/**
+ * @module Repository/Wishlists
+ *
+ * Gère la persistance des listes d'envies et de la liste "pour plus tard"
+ * dans le schéma "cart".
+ *
+ * Comme cartsRepo, ce repository ne connaît pas les données produit : le prix
+ * et le stock relevés (last_known_*) sont fournis par le cron d'alertes.
+ */
+import { pgPool } from '../config/database.js';
+import { mapRow, mapRows } from './_mappers.js';
+import { validateUUID, validateQuantity } from '../utils/validation.js';
+import { WISHLIST_KIND } from '../constants/enums.js';
+
+export const wishlistsRepo = {
+
+    // ── LISTES ───────────────────────────────────────────────────────────────
+
+    /**
+     * Listes d'envies d'un utilisateur avec leur nombre d'articles.
+     * La liste "pour plus tard" est exclue : elle est servie par /cart/saved.
+     */
+    async listByUser(userId) {
+        validateUUID(userId, 'userId');
+
+        const { rows } = await pgPool.query(
+            `SELECT w.*, COUNT(wi.id)::INT AS item_count
+             FROM wishlists w
+             LEFT JOIN wishlist_items wi ON wi.wishlist_id = w.id
+             WHERE w.user_id = $1 AND w.kind = $2
+             GROUP BY w.id
+             ORDER BY w.created_at ASC`,
+            [userId, WISHLIST_KIND.WISHLIST]
+        );
+
+        return mapRows(rows);
+    },
+
+    /**
+     * Crée une liste d'envies.
+     * La contrainte UNIQUE (user_id, name) lève 23505 si le nom est déjà pris.
+     */
+    async create({ userId, name, notifyEmail }) {
+        validateUUID(userId, 'userId');
+
+        const { rows } = await pgPool.query(
+            `INSERT INTO wishlists (user_id, kind, name, notify_email)
+             VALUES ($1, $2, $3, $4)
+             RETURNING *`,
+            [userId, WISHLIST_KIND.WISHLIST, name, notifyEmail ?? null]
+        );
+
+        return mapRow(rows[0]);
+    },
+
+    /**
+     * Liste de l'utilisateur, quel que soit son type.
+     * Retourne null si elle n'existe pas ou appartient à un autre compte.
+     */
+    async findOwned(wishlistId, userId) {
+        validateUUID(wishlistId, 'wishlistId');
+        validateUUID(userId, 'userId');
+
+        const { rows } = await pgPool.query(
+            `SELECT * FROM wishlists WHERE id = $1 AND user_id = $2`,
+            [wishlistId, userId]
+        );
+
+        return mapRow(rows[0]);
+    },
+
+    async findByShareToken(shareToken) {
+        const { rows } = await pgPool.query(
+            `SELECT * FROM wishlists WHERE share_token = $1 AND kind = $2`,
+            [shareToken, WISHLIST_KIND.WISHLIST]
+        );
+
+        return mapRow(rows[0]);
+    },
+
+    /**
+     * Récupère la liste "pour plus tard" de l'utilisateur ou la crée.
+     * ON CONFLICT sur l'index unique partiel : deux premiers appels concurrents
+     * aboutissent à la même liste.
+     */
+    async getOrCreateSavedForLater(userId, { name, notifyEmail }) {
+        validateUUID(userId, 'userId');
+
+        const { rows } = await pgPool.query(
+            `INSERT INTO wishlists (user_id, kind, name, notify_email)
+             VALUES ($1, $2, $3, $4)
+             ON CONFLICT (user_id) WHERE kind = '${WISHLIST_KIND.SAVED_FOR_LATER}'
+             DO UPDATE SET notify_email = COALESCE(EXCLUDED.notify_email, wishlists.notify_email)
+             RETURNING *`,
+            [userId, WISHLIST_KIND.SAVED_FOR_LATER, name, notifyEmail ?? null]
+        );
+
+        return mapRow(rows[0]);
+    },
+
+    async rename(wishlistId, userId, name) {
+        validateUUID(wishlistId, 'wishlistId');
+
+        const { rows } = await pgPool.query(
+            `UPDATE wishlists SET name = $3
+             WHERE id = $1 AND user_id = $2 AND kind = $4
+             RETURNING *`,
+            [wishlistId, userId, name, WISHLIST_KIND.WISHLIST]
+        );
+
+        return mapRow(rows[0]);
+    },
+
+    /**
+     * Pose ou révoque (null) le lien de partage d'une liste d'envies.
+     */
+    async setShareToken(wishlistId, userId, shareToken) {
+        validateUUID(wishlistId, 'wishlistId');
+
+        const { rows } = await pgPool.query(
+            `UPDATE wishlists SET share_token = $3
+             WHERE id = $1 AND user_id = $2 AND kind = $4
+             RETURNING *`,
+            [wishlistId, userId, shareToken, WISHLIST_KIND.WISHLIST]
+        );
+
+        return mapRow(rows[0]);
+    },
+
+    /**
+     * Supprime une liste d'envies et ses articles (CASCADE).
+     * La liste "pour plus tard" n'est pas supprimable.
+     */
+    async delete(wishlistId, userId) {
+        validateUUID(wishlistId, 'wishlistId');
+
+        const { rowCount } = await pgPool.query(
+            `DELETE FROM wishlists WHERE id = $1 AND user_id = $2 AND kind = $3`,
+            [wishlistId, userId, WISHLIST_KIND.WISHLIST]
+        );
+
+        return rowCount > 0;
+    },
+
+    /**
+     * Reporte l'email courant du titulaire sur toutes ses listes
+     * (destinataire des alertes, cf. migration 002).
+     */
+    async updateNotifyEmail(userId, notifyEmail) {
+        if (!notifyEmail) return;
+
+        await pgPool.query(
+            `UPDATE wishlists SET notify_email = $2
+             WHERE user_id = $1 AND notify_email IS DISTINCT FROM $2`,
+            [userId, notifyEmail]
+        );
+    },
+
+    // ── ARTICLES ─────────────────────────────────────────────────────────────
+
+    async listItems(wishlistId) {
+        validateUUID(wishlistId, 'wishlistId');
+
+        const { rows } = await pgPool.query(
+            `SELECT id, wishlist_id, variant_id, quantity,
+                    notify_price_drop, notify_back_in_stock, created_at, updated_at
+             FROM wishlist_items
+             WHERE wishlist_id = $1
+             ORDER BY created_at ASC`,
+            [wishlistId]
+        );
+
+        return mapRows(rows);
+    },
+
+    /**
+     * Ajoute un article ou met à jour ses préférences d'alerte s'il est déjà suivi.
+     * Une préférence non fournie (undefined) conserve la valeur existante.
+     */
+    async addItem({ wishlistId, variantId, quantity = 1, notifyPriceDrop, notifyBackInStock }) {
+        validateUUID(wishlistId, 'wishlistId');
+        validateUUID(variantId, 'variantId');
+        validateQuantity(quantity, 'quantity');
+
+        const { rows } = await pgPool.query(
+            `INSERT INTO wishlist_items
+               (wishlist_id, variant_id, quantity, notify_price_drop, notify_back_in_stock)
+             VALUES ($1, $2, $3, COALESCE($4, TRUE), COALESCE($5, TRUE))
+             ON CONFLICT (wishlist_id, variant_id)
+             DO UPDATE SET
+               notify_price_drop    = COALESCE($4, wishlist_items.notify_price_drop),
+               notify_back_in_stock = COALESCE($5, wishlist_items.notify_back_in_stock)
+             RETURNING *`,
+            [wishlistId, variantId, quantity, notifyPriceDrop ?? null, notifyBackInStock ?? null]
+        );
+
+        return mapRow(rows[0]);
+    },
+
+    /**
+     * Retire un article d'une liste. Retourne false s'il n'y figurait pas.
+     */
+    async removeItem(itemId, wishlistId) {
+        validateUUID(wishlistId, 'wishlistId');
+
+        const { rowCount } = await pgPool.query(
+            `DELETE FROM wishlist_items WHERE id = $1 AND wishlist_id = $2`,
+            [itemId, wishlistId]
+        );
+
+        return rowCount > 0;
+    },
+
+    async findItem(itemId, wishlistId) {
+        validateUUID(wishlistId, 'wishlistId');
+
+        const { rows } = await pgPool.query(
+            `SELECT * FROM wishlist_items WHERE id = $1 AND wishlist_id = $2`,
+            [itemId, wishlistId]
+        );
+
+        return mapRow(rows[0]);
+    },
+
+    // ── DÉPLACEMENTS PANIER ⇄ "POUR PLUS TARD" ───────────────────────────────
+    // Une seule requête par déplacement : l'article quitte sa source et rejoint
+    // sa destination ensemble (quantités additionnées si déjà présent).
+
+    /**
+     * Déplace un article du panier vers une liste.
+     * Retourne null si l'article n'est pas (ou plus) dans le panier.
+     */
+    async moveFromCart(cartItemId, cartId, wishlistId) {
+        validateUUID(cartId, 'cartId');
+        validateUUID(wishlistId, 'wishlistId');
+
+        const { rows } = await pgPool.query(
+            `WITH moved AS (
+                 DELETE FROM cart_items WHERE id = $1 AND cart_id = $2
+                 RETURNING variant_id, quantity
+             )
+             INSERT INTO wishlist_items (wishlist_id, variant_id, quantity)
+             SELECT $3, variant_id, quantity FROM moved
+             ON CONFLICT (wishlist_id, variant_id)
+             DO UPDATE SET quantity = wishlist_items.quantity + EXCLUDED.quantity
+             RETURNING *`,
+            [cartItemId, cartId, wishlistId]
+        );
+
+        return mapRow(rows[0]);
+    },
+
+    /**
+     * Déplace un article d'une liste vers le panier.
+     * Retourne null si l'article n'est pas (ou plus) dans la liste.
+     */
+    async moveToCart(itemId, wishlistId, cartId) {
+        validateUUID(wishlistId, 'wishlistId');
+        validateUUID(cartId, 'cartId');
+
+        const { rows } = await pgPool.query(
+            `WITH moved AS (
+                 DELETE FROM wishlist_items WHERE id = $1 AND wishlist_id = $2
+                 RETURNING variant_id, quantity
+             )
+             INSERT INTO cart_items (cart_id, variant_id, quantity)
+             SELECT $3, variant_id, quantity FROM moved
+             ON CONFLICT (cart_id, variant_id)
+             DO UPDATE SET
+               quantity   = cart_items.quantity + EXCLUDED.quantity,
+               updated_at = NOW()
+             RETURNING *`,
+            [itemId, wishlistId, cartId]
+        );
+
+        return mapRow(rows[0]);
+    },
+
+    // ── ALERTES PRIX / STOCK ─────────────────────────────────────────────────
+
+    /**
+     * Variantes suivies par au moins une alerte (cron d'alertes).
+     */
+    async listWatchedVariantIds() {
+        const { rows } = await pgPool.query(
+            `SELECT DISTINCT variant_id
+             FROM wishlist_items
+             WHERE notify_price_drop OR notify_back_in_stock`
+        );
+
+        return rows.map((row) => row.variant_id);
+    },
+
+    /**
+     * Enregistre le relevé courant d'une variante sur tous les articles qui la
+     * suivent et retourne, pour chacun, le relevé précédent : le service compare
+     * les deux pour décider des alertes. Le premier relevé a previous_* à NULL.
+     */
+    async recordVariantSnapshot(variantId, { price, inStock }) {
+        validateUUID(variantId, 'variantId');
+
+        const { rows } = await pgPool.query(
+            `UPDATE wishlist_items wi
+             SET last_known_price    = $2,
+                 last_known_in_stock = $3,
+                 last_checked_at     = NOW()
+             FROM wishlist_items previous, wishlists w
+             WHERE wi.variant_id = $1
+               AND (wi.notify_price_drop OR wi.notify_back_in_stock)
+               AND previous.id = wi.id
+               AND w.id = wi.wishlist_id
+             RETURNING wi.id, wi.wishlist_id, w.name AS wishlist_name, w.notify_email,
+                       wi.notify_price_drop, wi.notify_back_in_stock,
+                       previous.last_known_price    AS previous_price,
+                       previous.last_known_in_stock AS previous_in_stock`,
+            [variantId, price, inStock]
+        );
+
+        return mapRows(rows);
+    },
+
+    // ── DONNÉES PERSONNELLES (RGPD) ──────────────────────────────────────────
+
+    /**
+     * Toutes les listes de l'utilisateur avec leurs articles, sans enrichissement.
+     */
+    async listForExport(userId) {
+        validateUUID(userId, 'userId');
+
+        const { rows } = await pgPool.query(
+            `SELECT w.id, w.kind, w.name, w.notify_email, w.share_token IS NOT NULL AS is_shared,
+                    w.created_at, w.updated_at,
+                    COALESCE(
+                        json_agg(json_build_object(
+                            'variantId', wi.variant_id,
+                            'quantity', wi.quantity,
+                            'notifyPriceDrop', wi.notify_price_drop,
+                            'notifyBackInStock', wi.notify_back_in_stock,
+                            'createdAt', wi.created_at
+                        ) ORDER BY wi.created_at) FILTER (WHERE wi.id IS NOT NULL),
+                        '[]'
+                    ) AS items
+             FROM wishlists w
+             LEFT JOIN wishlist_items wi ON wi.wishlist_id = w.id
+             WHERE w.user_id = $1
+             GROUP BY w.id
+             ORDER BY w.created_at ASC`,
+            [userId]
+        );
+
+        return mapRows(rows);
+    },
+
+    /**
+     * Supprime toutes les listes de l'utilisateur et leurs articles (CASCADE).
+     */
+    async deleteByUser(userId) {
+        validateUUID(userId, 'userId');
+
+        const { rowCount } = await pgPool.query(
+            `DELETE FROM wishlists WHERE user_id = $1`,
+            [userId]
+        );
+
+        return rowCount;
+    },
+};
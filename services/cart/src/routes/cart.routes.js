@@ -1,19 +1,35 @@
 /**
  * @module Routes/Cart
  *
- * Routes du panier — entièrement protégées par JWT.
+ * Routes du panier — utilisateur connecté (JWT) ou visiteur (token de panier guest).
+ * Mêmes endpoints dans les deux cas : identifyCartOwner désigne le panier.
+ * Seule la liste "pour plus tard" (/saved) exige un compte.
+ * La désinscription des relances (lien de l'email) est publique : le token signé suffit.
  * La validation des paramètres d'entrée est réalisée en middleware inline
  * pour fail-fast avant d'atteindre le contrôleur.
  */
 import { Router } from 'express';
 import { cartController } from '../controllers/cart.controller.js';
-import { protect } from '../middlewares/auth.middleware.js';
+import { identifyCartOwner } from '../middlewares/cartOwner.middleware.js';
 import { validateUUID, validateQuantity } from '../utils/validation.js';
+import { AppError } from '../utils/appError.js';
+import { HTTP_STATUS } from '../constants/httpStatus.js';
+import { ERRORS } from '../constants/errors.js';
 
 const router = Router();
 
-// Toutes les routes du panier nécessitent une authentification
-router.use(protect);
+router.post('/recovery/unsubscribe', cartController.unsubscribeRecovery);
+
+// Un access token invalide reste refusé (401) : il ne bascule pas en panier guest
+router.use(identifyCartOwner);
+
+// "Pour plus tard" est rattaché au compte : pas de liste pour un panier guest
+const requireAccount = (req, _res, next) => {
+    if (!req.cartOwner.userId) {
+        throw new AppError(ERRORS.WISHLIST.ACCOUNT_REQUIRED, HTTP_STATUS.UNAUTHORIZED);
+    }
+    next();
+};
 
 router.get('/', cartController.getCart);
 
@@ -38,6 +54,10 @@ router.patch(
 
 router.delete('/items/:itemId', cartController.removeItem);
 
+router.get('/saved', requireAccount, cartController.getSaved);
+router.post('/items/:itemId/save-for-later', requireAccount, cartController.saveForLater);
+router.post('/saved/:itemId/move-to-cart', requireAccount, cartController.moveSavedToCart);
+
 router.delete('/', cartController.clear);
 
 export default router;
@@ -3,18 +3,21 @@
  *
  * Point d'entrée unique du routeur du cart-service.
  *
- * Deux périmètres :
- * - /api/v1/cart   → routes publiques authentifiées (rate limiter général)
- * - /internal      → routes inter-services (pas de rate limiter, protégées par X-Internal-Secret)
+ * Trois périmètres :
+ * - /api/v1/cart      → routes publiques, utilisateur connecté ou panier guest (rate limiter général)
+ * - /api/v1/wishlists → listes d'envies de l'utilisateur connecté, liste partagée publique
+ * - /internal         → routes inter-services (pas de rate limiter, protégées par X-Internal-Secret)
  */
 import { Router } from 'express';
 import { generalLimiter } from '../config/security.js';
 import cartRoutes from './cart.routes.js';
+import wishlistRoutes from './wishlist.routes.js';
 import internalRoutes from './internal.routes.js';
 
 const router = Router();
 
 router.use('/api/v1/cart', generalLimiter, cartRoutes);
+router.use('/api/v1/wishlists', generalLimiter, wishlistRoutes);
 
 // Les routes internes ne passent pas par le Gateway — le rate limiter est superflu
 router.use('/internal/cart', internalRoutes);
@@ -7,19 +7,27 @@
  * Protégés par X-Internal-Secret → fromInternalService.
  *
  * Périmètre :
- * ┌───────────────────────────────────────────────────────────────┐
- * │ POST /internal/cart/merge   → auth-service (après login)      │
- * │ GET  /internal/cart/:userId → order-service (checkout)        │
- * │ DELETE /internal/cart/:userId → order-service (post-checkout) │
- * └───────────────────────────────────────────────────────────────┘
+ * ┌────────────────────────────────────────────────────────────────┐
+ * │ POST /internal/cart/merge   → auth-service (après login)       │
+ * │ GET  /internal/cart/stats   → monolith (dashboard admin)       │
+ * │ GET  /internal/cart/:userId → order-service (checkout)         │
+ * │ DELETE /internal/cart/:userId → order-service (post-checkout)  │
+ * │ POST /internal/cart/:userId/ordered → order-service (paiement) │
+ * │ GET  /internal/cart/:userId/export → auth-service (RGPD)       │
+ * │ POST /internal/cart/:userId/erase  → auth-service (RGPD)       │
+ * └────────────────────────────────────────────────────────────────┘
  */
 import { Router } from 'express';
 import { cartService } from '../services/cart.service.js';
-import { cartsRepo } from '../repositories/index.js';
+import { wishlistService } from '../services/wishlist.service.js';
+import { cartRecoveryService } from '../services/cartRecovery.service.js';
+import { tokenService } from '../services/token.service.js';
 import { fromInternalService } from '../middlewares/internal.middleware.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import { HTTP_STATUS } from '../constants/httpStatus.js';
 import { ValidationError } from '../utils/appError.js';
+import { ERRORS } from '../constants/errors.js';
+import { validateUUID } from '../utils/validation.js';
 
 const router = Router();
 
@@ -27,23 +35,56 @@ router.use(fromInternalService);
 
 /**
  * POST /internal/cart/merge
- * Fusionne le panier guest dans le panier de l'utilisateur qui vient de se connecter.
- * Appelé par l'auth-service ou le frontend après une connexion réussie.
+ * Fusionne le panier guest dans le panier de l'utilisateur qui vient de se connecter
+ * ou de s'inscrire. Appelé par l'auth-service, qui relaie le token de panier du
+ * visiteur tel quel : seul le cart-service sait le vérifier.
+ *
+ * Réponse : le panier fusionné, les articles repris (`merged`), ceux
+ * qui ne l'ont pas été avec leur motif (`skipped`), et si le panier guest
+ * est conservé pour une prochaine fusion (`guestCartKept`).
  */
 router.post(
     '/merge',
     asyncHandler(async (req, res) => {
-        const { guestCartId, userId } = req.body;
+        const { cartToken, userId } = req.body;
+
+        if (!cartToken || !userId) {
+            throw new ValidationError('cartToken et userId sont requis');
+        }
+        validateUUID(userId, 'userId');
 
-        if (!guestCartId || !userId) {
-            throw new ValidationError('guestCartId et userId sont requis');
+        const guestCartId = tokenService.verifyGuestCartToken(cartToken);
+        if (!guestCartId) {
+            throw new ValidationError(ERRORS.CART.GUEST_TOKEN_INVALID);
+        }
+
+        const { cart, merged, skipped, guestCartKept } = await cartService.mergeCarts(guestCartId, userId);
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            data: { cart, merged, skipped, guestCartKept },
+        });
+    })
+);
+
+/**
+ * GET /internal/cart/stats?days=30
+ * Conversion des relances de paniers abandonnés pour le dashboard admin.
+ * Déclarée avant /:userId pour ne pas être capturée par le paramètre.
+ */
+router.get(
+    '/stats',
+    asyncHandler(async (req, res) => {
+        const days = req.query.days === undefined ? 30 : Number(req.query.days);
+        if (!Number.isInteger(days) || days < 1 || days > 365) {
+            throw new ValidationError('Le paramètre days doit être compris entre 1 et 365');
         }
 
-        const mergedCart = await cartService.mergeCarts(guestCartId, userId);
+        const recovery = await cartRecoveryService.getStats(days);
 
         res.status(HTTP_STATUS.OK).json({
             status: 'success',
-            data: { cart: mergedCart },
+            data: { recovery },
         });
     })
 );
@@ -84,4 +125,72 @@ router.delete(
     })
 );
 
+/**
+ * POST /internal/cart/:userId/ordered
+ * Commande payée par l'utilisateur : arrête les relances de panier abandonné
+ * et attribue la commande à la dernière relance reçue (conversion).
+ * Appelé par l'order-service au passage en PAID.
+ */
+router.post(
+    '/:userId/ordered',
+    asyncHandler(async (req, res) => {
+        const { orderId, totalAmount } = req.body;
+
+        validateUUID(req.params.userId, 'userId');
+        validateUUID(orderId, 'orderId');
+
+        const result = await cartRecoveryService.recordOrder(req.params.userId, { orderId, totalAmount });
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            data: result,
+        });
+    })
+);
+
+/**
+ * GET /internal/cart/:userId/export
+ * Contenu du panier (null si aucun panier), des listes d'envies et des relances
+ * de panier reçues pour l'export des données du compte.
+ */
+router.get(
+    '/:userId/export',
+    asyncHandler(async (req, res) => {
+        validateUUID(req.params.userId, 'userId');
+        const [cart, wishlists, cartRecovery] = await Promise.all([
+            cartService.exportUserCart(req.params.userId),
+            wishlistService.exportUserWishlists(req.params.userId),
+            cartRecoveryService.exportUserRecovery(req.params.userId),
+        ]);
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            data: { cart, wishlists, cartRecovery },
+        });
+    })
+);
+
+/**
+ * POST /internal/cart/:userId/erase
+ * Supprime le panier, les listes d'envies et l'historique des relances avant
+ * la suppression du compte.
+ * Contrairement à DELETE /:userId (vidage post-checkout), le panier lui-même disparaît.
+ */
+router.post(
+    '/:userId/erase',
+    asyncHandler(async (req, res) => {
+        validateUUID(req.params.userId, 'userId');
+        const [deleted, wishlistsDeleted] = await Promise.all([
+            cartService.eraseUserCart(req.params.userId),
+            wishlistService.eraseUserWishlists(req.params.userId),
+            cartRecoveryService.eraseUserRecovery(req.params.userId),
+        ]);
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            data: { deleted, wishlistsDeleted },
+        });
+    })
+);
+
 export default router;
@@ -0,0 +1,48 @@
+/**
+ * @module Routes/Wishlist
+ *
+ * Routes des listes d'envies — utilisateur connecté (JWT), sauf la consultation
+ * d'une liste partagée, publique et en lecture seule.
+ * La validation des paramètres d'entrée est réalisée en middleware inline
+ * pour fail-fast avant d'atteindre le contrôleur.
+ */
+import { Router } from 'express';
+import { wishlistController } from '../controllers/wishlist.controller.js';
+import { protect } from '../middlewares/auth.middleware.js';
+import { validateUUID } from '../utils/validation.js';
+import { ValidationError } from '../utils/appError.js';
+
+const router = Router();
+
+// Lien de partage : déclaré avant protect, accessible sans compte
+router.get('/shared/:shareToken', wishlistController.getShared);
+
+router.use(protect);
+
+router.get('/', wishlistController.list);
+router.post('/', wishlistController.create);
+
+router.get('/:wishlistId', wishlistController.getOne);
+router.patch('/:wishlistId', wishlistController.rename);
+router.delete('/:wishlistId', wishlistController.remove);
+
+router.post(
+    '/:wishlistId/items',
+    (req, _res, next) => {
+        validateUUID(req.body.variantId, 'variantId');
+        for (const flag of ['notifyPriceDrop', 'notifyBackInStock']) {
+            if (req.body[flag] !== undefined && typeof req.body[flag] !== 'boolean') {
+                throw new ValidationError(`${flag} doit être un booléen`);
+            }
+        }
+        next();
+    },
+    wishlistController.addItem
+);
+
+router.delete('/:wishlistId/items/:itemId', wishlistController.removeItem);
+
+router.post('/:wishlistId/share', wishlistController.share);
+router.delete('/:wishlistId/share', wishlistController.unshare);
+
+export default router;
@@ -1,7 +1,11 @@
 /**
  * @module Service/Cart
  *
- * Orchestre les opérations du panier : lecture, mutations, fusion guest→user.
+ * Orchestre les opérations du panier : lecture, mutations, fusion guest→user,
+ * déplacements vers et depuis la liste "pour plus tard".
+ *
+ * Les opérations publiques reçoivent le propriétaire du panier (req.cartOwner) :
+ * un utilisateur connecté ({ userId }) ou un visiteur ({ guestCartId }).
  *
  * Pattern : SQL (cart schema) pour la source de vérité + Redis pour la lecture rapide
  * + HTTP vers le product-service pour la validation du stock et l'enrichissement.
@@ -16,12 +20,15 @@
  * - Réservation de stock (c'est le rôle de l'order-service au checkout)
  * - Données produit en direct (déléguées au product-client)
  */
-import { cartsRepo } from '../repositories/index.js';
+import { cartsRepo, wishlistsRepo } from '../repositories/index.js';
 import { productClient } from '../clients/product.client.js';
 import { cacheService } from './cache.service.js';
+import { wishlistService } from './wishlist.service.js';
+import { cartRecoveryService } from './cartRecovery.service.js';
 import { AppError, ValidationError } from '../utils/appError.js';
 import { HTTP_STATUS } from '../constants/httpStatus.js';
 import { ERRORS } from '../constants/errors.js';
+import { MERGE_SKIP_REASON } from '../constants/enums.js';
 import { ENV } from '../config/environment.js';
 
 class CartService {
@@ -84,52 +91,111 @@ class CartService {
         return result;
     }
 
+    /**
+     * Panier vide d'un visiteur qui n'a encore rien ajouté (aucun panier en base).
+     */
+    #emptyCart() {
+        return {
+            id: null,
+            items: [],
+            summary: { subTotal: 0, itemCount: 0, currency: 'EUR' },
+        };
+    }
+
+    /**
+     * Retourne le panier complet du propriétaire (cf. #resolveCart).
+     * Un utilisateur obtient toujours un panier ; un visiteur sans panier, un panier vide.
+     *
+     * @param {{ userId?: string, email?: string, guestCartId?: string|null }} owner
+     */
+    async getCart(owner) {
+        const cart = await this.#resolveCart(owner);
+        return cart ? this.getFullCart(cart.id) : this.#emptyCart();
+    }
+
     /**
      * Retourne le panier complet d'un utilisateur (crée le panier s'il n'existe pas).
      */
     async getCartByUserId(userId) {
-        const cart = await cartsRepo.getOrCreate(userId);
-        return this.getFullCart(cart.id);
+        return this.getCart({ userId });
     }
 
     // ─────────────────────────────────────────────────────────────────────
-    // MUTATIONS
+    // PROPRIÉTAIRE DU PANIER
     // ─────────────────────────────────────────────────────────────────────
 
     /**
-     * Ajoute un article au panier après validation du stock.
-     * Vérifie via le product-service que la variante existe ET que le stock est suffisant.
-     * Ne réserve pas le stock — la réservation est réalisée par l'order-service au checkout.
+     * Panier désigné par `owner` (req.cartOwner) :
+     * - { userId }      → panier de l'utilisateur, créé au besoin ;
+     * - { guestCartId } → panier guest du token, null s'il a expiré ou été fusionné.
+     * Avec `create`, un visiteur sans panier valide en reçoit un nouveau.
      */
-    async addToCart(userId, variantId, quantity) {
-        const cart = await cartsRepo.getOrCreate(userId);
+    async #resolveCart(owner, { create = false } = {}) {
+        if (owner.userId) return cartsRepo.getOrCreate(owner.userId);
+
+        const guestCart = owner.guestCartId ? await cartsRepo.findGuestCart(owner.guestCartId) : null;
+        if (guestCart || !create) return guestCart;
+
+        return cartsRepo.createGuest();
+    }
 
+    /**
+     * Un utilisateur qui modifie son panier devient destinataire des relances
+     * de panier abandonné (email de l'access token).
+     */
+    async #rememberRecoveryContact(owner) {
+        if (owner.userId) await cartRecoveryService.rememberContact(owner.userId, owner.email);
+    }
+
+    /**
+     * Stock disponible d'une variante, via le product-service.
+     * @throws {AppError} 404 si la variante n'existe pas
+     */
+    async #getAvailableStock(variantId) {
         const { variant, inventory } = await productClient.getVariantWithInventory(variantId);
 
         if (!variant) {
             throw new AppError(ERRORS.CART.VARIANT_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
         }
 
-        const available = inventory?.availableStock ?? 0;
+        return inventory?.availableStock ?? 0;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────
+    // MUTATIONS
+    // ─────────────────────────────────────────────────────────────────────
+
+    /**
+     * Ajoute un article au panier après validation du stock.
+     * Vérifie via le product-service que la variante existe ET que le stock est suffisant.
+     * Ne réserve pas le stock — la réservation est réalisée par l'order-service au checkout.
+     *
+     * Le panier d'un visiteur est créé à son premier ajout : l'article retourné
+     * porte `cartId`, à signer dans le token de panier guest.
+     */
+    async addToCart(owner, variantId, quantity) {
+        const available = await this.#getAvailableStock(variantId);
         if (available < quantity) {
             throw new ValidationError(
                 `${ERRORS.CART.INSUFFICIENT_STOCK}. Disponible : ${available}`
             );
         }
 
+        const cart = await this.#resolveCart(owner, { create: true });
         const result = await cartsRepo.addItem({ cartId: cart.id, variantId, quantity });
         await this.#invalidateCartCache(cart.id);
+        await this.#rememberRecoveryContact(owner);
 
         return result;
     }
 
     /**
      * Met à jour la quantité d'un article identifié par son id dans le panier.
-     * Vérifie que l'article appartient bien au panier de l'utilisateur (ownership).
+     * Vérifie que l'article appartient bien au panier du propriétaire (ownership).
      */
-    async updateItemQuantity(userId, itemId, newQuantity) {
-        const cart = await cartsRepo.getOrCreate(userId);
-        const rawItems = await cartsRepo.listRawItems(cart.id);
+    async updateItemQuantity(owner, itemId, newQuantity) {
+        const cart = await this.#resolveCart(owner);
+        const rawItems = cart ? await cartsRepo.listRawItems(cart.id) : [];
 
         const item = rawItems.find((i) => String(i.id) === String(itemId));
         if (!item) {
@@ -147,6 +213,7 @@ class CartService {
 
         const result = await cartsRepo.updateItemQuantityById(itemId, newQuantity);
         await this.#invalidateCartCache(cart.id);
+        await this.#rememberRecoveryContact(owner);
 
         return result;
     }
@@ -155,9 +222,9 @@ class CartService {
      * Supprime un article du panier.
      * Vérifie l'appartenance au panier avant la suppression.
      */
-    async removeItemFromCart(userId, itemId) {
-        const cart = await cartsRepo.getOrCreate(userId);
-        const rawItems = await cartsRepo.listRawItems(cart.id);
+    async removeItemFromCart(owner, itemId) {
+        const cart = await this.#resolveCart(owner);
+        const rawItems = cart ? await cartsRepo.listRawItems(cart.id) : [];
 
         const itemExists = rawItems.some((i) => String(i.id) === String(itemId));
         if (!itemExists) {
@@ -171,46 +238,187 @@ class CartService {
     }
 
     /**
-     * Vide le panier de l'utilisateur sans le supprimer.
-     * Appelé après checkout réussi ou par action utilisateur.
+     * Vide le panier sans le supprimer (sans effet pour un visiteur sans panier).
      */
-    async clearCartByUserId(userId) {
-        const cart = await cartsRepo.getOrCreate(userId);
+    async clearCart(owner) {
+        const cart = await this.#resolveCart(owner);
+        if (!cart) return true;
+
         await cartsRepo.clearItems(cart.id);
         await this.#invalidateCartCache(cart.id);
         return true;
     }
 
     /**
-     * Fusionne un panier guest (session) dans le panier d'un utilisateur connecté.
-     * Appelé après connexion pour ne pas perdre les articles ajoutés avant login.
+     * Vide le panier de l'utilisateur sans le supprimer.
+     * Appelé après checkout réussi ou par action utilisateur.
+     */
+    async clearCartByUserId(userId) {
+        return this.clearCart({ userId });
+    }
+
+    /**
+     * Fusionne un panier guest dans le panier d'un utilisateur qui vient de se
+     * connecter ou de s'inscrire (appelé par l'auth-service).
      *
-     * Chaque article guest est ajouté au panier utilisateur avec validation du stock.
-     * Le panier guest est supprimé après la fusion.
+     * Les articles dont le stock suffit sont déplacés ensemble vers le panier
+     * utilisateur, une fois les contrôles faits ; ceux qui ne peuvent pas l'être
+     * sont rapportés dans `skipped` avec leur motif (MERGE_SKIP_REASON).
+     * Un article dont le stock n'a pas pu être vérifié reste dans le panier guest,
+     * conservé (`guestCartKept`) pour être repris à la prochaine connexion ;
+     * sinon le panier guest est supprimé.
      *
-     * @param {string} guestCartId - UUID du panier guest à fusionner
+     * @param {string} guestCartId - UUID du panier guest (extrait du token de panier)
      * @param {string} userId      - UUID de l'utilisateur connecté
+     * @returns {Promise<{ cart: object, merged: Array, skipped: Array, guestCartKept: boolean }>}
      */
     async mergeCarts(guestCartId, userId) {
-        const guestItems = await cartsRepo.listRawItems(guestCartId);
-
-        // addToCart gère le stock et l'invalidation de cache à chaque itération
-        for (const item of guestItems) {
-            try {
-                await this.addToCart(userId, item.variantId, item.quantity);
-            } catch {
-                // Stock insuffisant ou produit supprimé — on ignore et on continue la fusion
-                // pour ne pas bloquer l'ensemble de la fusion sur un seul article problématique
+        const guestItems = await cartsRepo.listGuestItems(guestCartId);
+        const userCart = await cartsRepo.getOrCreate(userId);
+        const mergeableVariantIds = [];
+        const skipped = [];
+
+        for (const { variantId, quantity } of guestItems) {
+            const skipReason = await this.#checkMergeable(variantId, quantity);
+            if (skipReason) {
+                skipped.push({ variantId, quantity, ...skipReason });
+                continue;
             }
+
+            mergeableVariantIds.push(variantId);
         }
 
-        // Suppression du panier guest après fusion réussie
-        await cartsRepo.delete(guestCartId).catch(() => {
-            // Le panier guest peut avoir déjà été supprimé — on ignore l'erreur
-        });
+        const merged = await cartsRepo.moveGuestItems(guestCartId, userCart.id, mergeableVariantIds);
 
-        const userCart = await cartsRepo.getOrCreate(userId);
-        return this.getFullCart(userCart.id);
+        const retryVariantIds = skipped
+            .filter(({ reason }) => reason === MERGE_SKIP_REASON.PRODUCT_SERVICE_UNAVAILABLE)
+            .map(({ variantId }) => variantId);
+        const guestCartKept = await cartsRepo.closeGuestCart(guestCartId, retryVariantIds);
+
+        await this.#invalidateCartCache(guestCartId);
+        if (merged.length > 0) await this.#invalidateCartCache(userCart.id);
+
+        return { cart: await this.getFullCart(userCart.id), merged, skipped, guestCartKept };
+    }
+
+    /**
+     * Motif de refus d'un article guest à la fusion, null s'il peut être repris.
+     */
+    async #checkMergeable(variantId, quantity) {
+        let available;
+        try {
+            available = await this.#getAvailableStock(variantId);
+        } catch (error) {
+            return error.statusCode === HTTP_STATUS.NOT_FOUND
+                ? { reason: MERGE_SKIP_REASON.VARIANT_NOT_FOUND, message: ERRORS.CART.VARIANT_NOT_FOUND }
+                : { reason: MERGE_SKIP_REASON.PRODUCT_SERVICE_UNAVAILABLE, message: ERRORS.CART.STOCK_UNVERIFIABLE };
+        }
+
+        if (available < quantity) {
+            return {
+                reason: MERGE_SKIP_REASON.INSUFFICIENT_STOCK,
+                message: `${ERRORS.CART.INSUFFICIENT_STOCK}. Disponible : ${available}`,
+                availableStock: available,
+            };
+        }
+
+        return null;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────
+    // "POUR PLUS TARD" (utilisateur connecté uniquement)
+    // ─────────────────────────────────────────────────────────────────────
+
+    /**
+     * Sort un article du panier vers la liste "pour plus tard" de l'utilisateur.
+     * L'article y est suivi par les alertes prix/stock comme dans une liste d'envies.
+     *
+     * @param {{ id: string, email: string }} user - req.user
+     */
+    async saveForLater(user, itemId) {
+        const cart = await cartsRepo.getOrCreate(user.id);
+        const savedList = await wishlistService.getSavedForLaterList(user);
+
+        const savedItem = await wishlistsRepo.moveFromCart(itemId, cart.id, savedList.id);
+        if (!savedItem) {
+            throw new AppError(ERRORS.CART.ITEM_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+        }
+
+        await this.#invalidateCartCache(cart.id);
+        return savedItem;
+    }
+
+    /**
+     * Remet dans le panier un article de la liste "pour plus tard",
+     * après le même contrôle de stock qu'un ajout.
+     */
+    async moveSavedToCart(user, savedItemId) {
+        const savedList = await wishlistService.getSavedForLaterList(user);
+
+        const savedItem = await wishlistsRepo.findItem(savedItemId, savedList.id);
+        if (!savedItem) {
+            throw new AppError(ERRORS.WISHLIST.ITEM_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+        }
+
+        const available = await this.#getAvailableStock(savedItem.variantId);
+        if (available < savedItem.quantity) {
+            throw new ValidationError(
+                `${ERRORS.CART.INSUFFICIENT_STOCK}. Disponible : ${available}`
+            );
+        }
+
+        const cart = await cartsRepo.getOrCreate(user.id);
+        const cartItem = await wishlistsRepo.moveToCart(savedItem.id, savedList.id, cart.id);
+        if (!cartItem) {
+            // Déplacé entre-temps par une requête concurrente
+            throw new AppError(ERRORS.WISHLIST.ITEM_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+        }
+
+        await this.#invalidateCartCache(cart.id);
+        return cartItem;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────
+    // DONNÉES PERSONNELLES (RGPD)
+    // Appelé par l'auth-service : export du compte et suppression du compte.
+    // ─────────────────────────────────────────────────────────────────────
+
+    /**
+     * Contenu brut du panier de l'utilisateur, sans enrichissement produit.
+     * Ne crée pas de panier : retourne null si l'utilisateur n'en a pas.
+     */
+    async exportUserCart(userId) {
+        const cart = await cartsRepo.findByUserId(userId);
+        if (!cart) return null;
+
+        const items = await cartsRepo.listRawItems(cart.id);
+
+        return {
+            id: cart.id,
+            createdAt: cart.createdAt,
+            updatedAt: cart.updatedAt,
+            items: items.map(({ variantId, quantity, createdAt, updatedAt }) => ({
+                variantId,
+                quantity,
+                createdAt,
+                updatedAt,
+            })),
+        };
+    }
+
+    /**
+     * Supprime le panier de l'utilisateur et ses articles (CASCADE).
+     * Idempotent : sans panier, rien n'est fait.
+     */
+    async eraseUserCart(userId) {
+        const cart = await cartsRepo.findByUserId(userId);
+        if (!cart) return false;
+
+        await cartsRepo.delete(cart.id).catch(() => {
+            // Supprimé entre-temps (cron, appel concurrent) — l'effacement est acquis
+        });
+        await this.#invalidateCartCache(cart.id);
+        return true;
     }
 }
 
@@ -0,0 +1,214 @@
+/**
+ * @module Service/CartRecovery
+ *
+ * Relance des paniers abandonnés : un email par délai d'inactivité configuré
+ * (ENV.recovery.intervalsHours, ex. 1h, 24h, 72h), avec les articles du
+ * panier enrichis et un lien pour le retrouver.
+ *
+ * Seuls les paniers utilisateurs sont relancés : l'email est celui de l'access
+ * token, mémorisé à chaque modification du panier. La séquence s'arrête quand
+ * l'utilisateur passe commande (notifié par l'order-service au paiement) ou se
+ * désinscrit, et redémarre à la prochaine activité sur le panier.
+ *
+ * Conversion : une commande payée dans la fenêtre d'attribution est imputée à
+ * la dernière relance reçue — statistiques exposées à l'admin-service.
+ */
+import { cartsRepo, cartRecoveryRepo } from '../repositories/index.js';
+import { productClient } from '../clients/product.client.js';
+import { notificationClient } from '../clients/notification.client.js';
+import { tokenService } from './token.service.js';
+import { ValidationError } from '../utils/appError.js';
+import { ERRORS } from '../constants/errors.js';
+import { ENV } from '../config/environment.js';
+import { logError } from '../utils/logger.js';
+
+const DEFAULT_STATS_PERIOD_DAYS = 30;
+
+const toRate = (part, total) => (total > 0 ? parseFloat((part / total).toFixed(4)) : 0);
+
+class CartRecoveryService {
+    constructor() {
+        if (CartRecoveryService.instance) return CartRecoveryService.instance;
+        CartRecoveryService.instance = this;
+        Object.freeze(this);
+    }
+
+    /**
+     * Mémorise l'email de relance de l'utilisateur (sans effet s'il est inchangé).
+     * Ne bloque jamais l'opération sur le panier qui l'a déclenché.
+     */
+    async rememberContact(userId, email) {
+        if (!email) return;
+
+        await cartRecoveryRepo.upsertContact(userId, email).catch((error) =>
+            logError(error, { context: 'cartRecoveryService.rememberContact', userId })
+        );
+    }
+
+    // ─────────────────────────────────────────────────────────────────────
+    // RELANCES (cron)
+    // ─────────────────────────────────────────────────────────────────────
+
+    /**
+     * Envoie les relances dues, au plus ENV.recovery.batchSize par passage
+     * (les suivantes partent au passage suivant).
+     *
+     * @returns {Promise<{ due: number, sent: number }>}
+     */
+    async sendDueReminders() {
+        const { intervalsHours, maxIdleHours, batchSize } = ENV.recovery;
+        if (intervalsHours.length === 0) return { due: 0, sent: 0 };
+
+        const dueCarts = await cartRecoveryRepo.findDueCarts({ intervalsHours, maxIdleHours, limit: batchSize });
+        let sent = 0;
+
+        for (const dueCart of dueCarts) {
+            try {
+                if (await this.#sendReminder(dueCart)) sent += 1;
+            } catch (error) {
+                logError(error, { context: 'cartRecoveryService.sendReminder', cartId: dueCart.cartId });
+            }
+        }
+
+        return { due: dueCarts.length, sent };
+    }
+
+    /**
+     * Envoie l'étape due d'un panier. Retourne false sans envoi : aucun article
+     * encore disponible, étape déjà envoyée par un passage concurrent, ou
+     * notification-service injoignable (l'étape est alors libérée et retentée).
+     */
+    async #sendReminder({ cartId, userId, email, step, activityAt }) {
+        const rawItems = await cartsRepo.listRawItems(cartId);
+        const items = (await productClient.enrichCartItems(rawItems))
+            .filter((item) => !item.isUnavailable && item.price !== null);
+        if (items.length === 0) return false;
+
+        const subTotal = parseFloat(items.reduce((sum, item) => sum + item.price * item.quantity, 0).toFixed(2));
+        const itemCount = items.reduce((sum, item) => sum + item.quantity, 0);
+
+        const reminder = await cartRecoveryRepo.recordEmail({
+            cartId,
+            userId,
+            step,
+            activityAt,
+            itemCount,
+            cartValue: subTotal,
+        });
+        if (!reminder) return false;
+
+        const enqueued = await notificationClient.notifyCartAbandoned(email, {
+            step,
+            totalSteps: ENV.recovery.intervalsHours.length,
+            items: items.map(({ variantId, sku, attributes, price, quantity }) => ({
+                variantId, sku, attributes, price, quantity,
+            })),
+            summary: { subTotal, itemCount, currency: 'EUR' },
+            // Le panier est conservé côté serveur : le lien le rouvre après connexion
+            restoreUrl: `${ENV.clientUrl}/cart?recovery=${reminder.id}`,
+            unsubscribeUrl: `${ENV.clientUrl}/cart/unsubscribe?token=${tokenService.signRecoveryUnsubscribeToken(userId)}`,
+        });
+
+        if (!enqueued) {
+            await cartRecoveryRepo.releaseEmail(reminder.id);
+            return false;
+        }
+
+        return true;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────
+    // ARRÊT DE LA SÉQUENCE
+    // ─────────────────────────────────────────────────────────────────────
+
+    /**
+     * Désinscription depuis le lien de l'email. Idempotente.
+     * @throws {ValidationError} Si le token est invalide
+     */
+    async unsubscribe(token) {
+        const userId = tokenService.verifyRecoveryUnsubscribeToken(token);
+        if (!userId) {
+            throw new ValidationError(ERRORS.CART.UNSUBSCRIBE_TOKEN_INVALID);
+        }
+
+        await cartRecoveryRepo.unsubscribe(userId);
+        return true;
+    }
+
+    /**
+     * Commande payée (order-service) : arrête la séquence et l'attribue
+     * à la dernière relance reçue dans la fenêtre d'attribution.
+     *
+     * @returns {Promise<{ recovered: boolean, step: number|null }>}
+     */
+    async recordOrder(userId, { orderId, totalAmount }) {
+        const reminder = await cartRecoveryRepo.recordOrder(userId, {
+            orderId,
+            orderAmount: totalAmount ?? null,
+            attributionDays: ENV.recovery.attributionDays,
+        });
+
+        return { recovered: Boolean(reminder), step: reminder?.step ?? null };
+    }
+
+    // ─────────────────────────────────────────────────────────────────────
+    // STATISTIQUES (admin)
+    // ─────────────────────────────────────────────────────────────────────
+
+    /**
+     * Conversion des relances sur les N derniers jours : paniers relancés,
+     * paniers récupérés (commande attribuée) et chiffre d'affaires récupéré,
+     * au total et par étape.
+     */
+    async getStats(periodDays = DEFAULT_STATS_PERIOD_DAYS) {
+        const [totals, byStep] = await Promise.all([
+            cartRecoveryRepo.getTotals(periodDays),
+            cartRecoveryRepo.getStatsByStep(periodDays),
+        ]);
+        const { intervalsHours } = ENV.recovery;
+
+        return {
+            periodDays,
+            intervalsHours,
+            cartsReminded: totals.cartsReminded,
+            cartsRecovered: totals.cartsRecovered,
+            conversionRate: toRate(totals.cartsRecovered, totals.cartsReminded),
+            remindedValue: totals.remindedValue,
+            recoveredRevenue: totals.recoveredRevenue,
+            byStep: byStep.map(({ step, emailsSent, recovered, recoveredRevenue }) => ({
+                step,
+                delayHours: intervalsHours[step - 1] ?? null,
+                emailsSent,
+                recovered,
+                conversionRate: toRate(recovered, emailsSent),
+                recoveredRevenue,
+            })),
+        };
+    }
+
+    // ─────────────────────────────────────────────────────────────────────
+    // DONNÉES PERSONNELLES (RGPD)
+    // ─────────────────────────────────────────────────────────────────────
+
+    /**
+     * Email de relance, désinscription et relances reçues ; null si l'utilisateur
+     * n'a jamais été concerné.
+     */
+    async exportUserRecovery(userId) {
+        const contact = await cartRecoveryRepo.findContact(userId);
+        if (!contact) return null;
+
+        return {
+            email: contact.email,
+            unsubscribedAt: contact.unsubscribedAt,
+            reminders: await cartRecoveryRepo.listEmailsByUser(userId),
+        };
+    }
+
+    async eraseUserRecovery(userId) {
+        await cartRecoveryRepo.deleteByUser(userId);
+        return true;
+    }
+}
+
+export const cartRecoveryService = new CartRecoveryService();
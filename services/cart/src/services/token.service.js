@@ -2,13 +2,23 @@
  * @module Service/Token
  *
  * Vérification des JWT Access Tokens émis par l'auth-service.
- * Le cart-service ne génère pas de tokens — il les valide uniquement.
+ * Le cart-service ne génère pas d'access tokens : il ne détient que les clés
+ * publiques de l'auth-service (JWKS), qui ne permettent pas d'en signer.
+ *
+ * Seules exceptions (HS256, secret propre au cart-service) : les tokens de
+ * panier guest, qui identifient un panier anonyme et rien d'autre, et les
+ * liens de désinscription des relances de panier abandonné.
  */
 import jwt from 'jsonwebtoken';
+import { jwksClient } from '../clients/jwks.client.js';
 import { ENV } from '../config/environment.js';
 
 class TokenService {
-    #accessSecret = ENV.jwt.accessTokenSecret;
+    #issuer = 'mon-ecommerce-api';
+    #audience = 'mon-ecommerce-client';
+    #guestCartIssuer = 'cart-service';
+    #guestCartAudience = 'guest-cart';
+    #recoveryUnsubscribeAudience = 'cart-recovery-unsubscribe';
 
     constructor() {
         if (TokenService.instance) return TokenService.instance;
@@ -17,12 +27,85 @@ class TokenService {
     }
 
     /**
+     * Vérifie la signature (clé désignée par le `kid` de l'en-tête), l'expiration,
+     * l'émetteur et l'audience. L'algorithme est imposé par la clé publiée.
      * Retourne null plutôt que de lever une exception pour permettre
      * un traitement gracieux dans les middlewares.
      */
-    verifyAccessToken(token) {
+    async verifyAccessToken(token) {
+        try {
+            const kid = jwt.decode(token, { complete: true })?.header?.kid;
+            const signingKey = kid ? await jwksClient.getSigningKey(kid) : null;
+            if (!signingKey) return null;
+
+            return jwt.verify(token, signingKey.publicKey, {
+                algorithms: [signingKey.alg],
+                issuer: this.#issuer,
+                audience: this.#audience,
+            });
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Token d'un panier guest : son id en `sub`, valable aussi longtemps
+     * que le panier survit au cron de nettoyage.
+     */
+    signGuestCartToken(cartId) {
+        return jwt.sign({}, ENV.jwt.cartTokenSecret, {
+            algorithm: 'HS256',
+            subject: cartId,
+            issuer: this.#guestCartIssuer,
+            audience: this.#guestCartAudience,
+            expiresIn: `${ENV.cart.guestExpirationDays}d`,
+        });
+    }
+
+    /**
+     * Retourne l'id du panier guest, null si le token est absent, falsifié ou expiré.
+     */
+    verifyGuestCartToken(token) {
+        if (!token || typeof token !== 'string') return null;
+
+        try {
+            const decoded = jwt.verify(token, ENV.jwt.cartTokenSecret, {
+                algorithms: ['HS256'],
+                issuer: this.#guestCartIssuer,
+                audience: this.#guestCartAudience,
+            });
+            return decoded.sub ?? null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Token du lien de désinscription des relances : l'id de l'utilisateur en `sub`.
+     * Sans expiration — un lien reçu dans un ancien email doit rester valable.
+     */
+    signRecoveryUnsubscribeToken(userId) {
+        return jwt.sign({}, ENV.jwt.cartTokenSecret, {
+            algorithm: 'HS256',
+            subject: userId,
+            issuer: this.#guestCartIssuer,
+            audience: this.#recoveryUnsubscribeAudience,
+        });
+    }
+
+    /**
+     * Retourne l'id de l'utilisateur, null si le token est absent ou falsifié.
+     */
+    verifyRecoveryUnsubscribeToken(token) {
+        if (!token || typeof token !== 'string') return null;
+
         try {
-            return jwt.verify(token, this.#accessSecret);
+            const decoded = jwt.verify(token, ENV.jwt.cartTokenSecret, {
+                algorithms: ['HS256'],
+                issuer: this.#guestCartIssuer,
+                audience: this.#recoveryUnsubscribeAudience,
+            });
+            return decoded.sub ?? null;
         } catch {
             return null;
         }
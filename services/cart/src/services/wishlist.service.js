@@ -0,0 +1,357 @@
+/**
+ * @module Service/Wishlist
+ *
+ * Listes d'envies : plusieurs listes nommées par utilisateur, partageables en
+ * lecture seule par un lien, et la liste "pour plus tard" alimentée depuis le
+ * panier (les déplacements panier ⇄ liste sont portés par le cartService).
+ *
+ * Alertes : checkWatchedItems relève le prix effectif et le stock des variantes
+ * suivies via le product-service, et notifie le titulaire quand un article
+ * baisse de prix ou revient en stock depuis le relevé précédent.
+ *
+ * Hors-scope :
+ * - Envoi des emails (délégué au notification-service)
+ * - Données produit en direct (déléguées au product-client)
+ */
+import crypto from 'crypto';
+import { wishlistsRepo } from '../repositories/index.js';
+import { productClient } from '../clients/product.client.js';
+import { notificationClient } from '../clients/notification.client.js';
+import { AppError, ValidationError } from '../utils/appError.js';
+import { HTTP_STATUS } from '../constants/httpStatus.js';
+import { ERRORS } from '../constants/errors.js';
+import { WISHLIST_KIND } from '../constants/enums.js';
+import { ENV } from '../config/environment.js';
+
+const SAVED_FOR_LATER_NAME = 'Pour plus tard';
+const MAX_NAME_LENGTH = 100;
+
+// Variantes relevées en parallèle par le cron — borne la charge sur le product-service
+const ALERT_BATCH_SIZE = 10;
+
+class WishlistService {
+    constructor() {
+        if (WishlistService.instance) return WishlistService.instance;
+        WishlistService.instance = this;
+        Object.freeze(this);
+    }
+
+    // ─────────────────────────────────────────────────────────────────────
+    // UTILITAIRES
+    // ─────────────────────────────────────────────────────────────────────
+
+    #normalizeName(name) {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        if (!trimmed || trimmed.length > MAX_NAME_LENGTH) {
+            throw new ValidationError(ERRORS.WISHLIST.NAME_REQUIRED);
+        }
+        return trimmed;
+    }
+
+    #shareUrl(shareToken) {
+        return shareToken ? `${ENV.clientUrl}/wishlists/shared/${shareToken}` : null;
+    }
+
+    async #getOwnedWishlist(user, wishlistId) {
+        const wishlist = await wishlistsRepo.findOwned(wishlistId, user.id);
+        if (!wishlist || wishlist.kind !== WISHLIST_KIND.WISHLIST) {
+            throw new AppError(ERRORS.WISHLIST.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+        }
+        return wishlist;
+    }
+
+    /**
+     * Le nom d'une liste d'envies est unique par compte (index idx_wishlists_user_name).
+     */
+    async #withUniqueName(operation) {
+        try {
+            return await operation();
+        } catch (error) {
+            if (error.code === '23505') {
+                throw new AppError(ERRORS.WISHLIST.NAME_TAKEN, HTTP_STATUS.CONFLICT);
+            }
+            throw error;
+        }
+    }
+
+    #toSummary(wishlist) {
+        return {
+            id: wishlist.id,
+            kind: wishlist.kind,
+            name: wishlist.name,
+            isShared: Boolean(wishlist.shareToken),
+            shareUrl: this.#shareUrl(wishlist.shareToken),
+            itemCount: wishlist.itemCount ?? 0,
+            createdAt: wishlist.createdAt,
+            updatedAt: wishlist.updatedAt,
+        };
+    }
+
+    /**
+     * Articles de la liste enrichis avec les données produit (prix, stock),
+     * comme les articles du panier.
+     */
+    async #listEnrichedItems(wishlistId) {
+        const rawItems = await wishlistsRepo.listItems(wishlistId);
+        const enriched = await productClient.enrichCartItems(rawItems);
+
+        return enriched.map(({ cartId: _cartId, ...item }, index) => ({
+            ...item,
+            notifyPriceDrop: rawItems[index].notifyPriceDrop,
+            notifyBackInStock: rawItems[index].notifyBackInStock,
+        }));
+    }
+
+    async #toDetail(wishlist) {
+        const items = await this.#listEnrichedItems(wishlist.id);
+        return { ...this.#toSummary(wishlist), itemCount: items.length, items };
+    }
+
+    // ─────────────────────────────────────────────────────────────────────
+    // LISTES D'ENVIES
+    // ─────────────────────────────────────────────────────────────────────
+
+    async listWishlists(user) {
+        const wishlists = await wishlistsRepo.listByUser(user.id);
+        return wishlists.map((wishlist) => this.#toSummary(wishlist));
+    }
+
+    async createWishlist(user, name) {
+        const wishlist = await this.#withUniqueName(() =>
+            wishlistsRepo.create({ userId: user.id, name: this.#normalizeName(name), notifyEmail: user.email })
+        );
+        return this.#toSummary(wishlist);
+    }
+
+    async getWishlist(user, wishlistId) {
+        const wishlist = await this.#getOwnedWishlist(user, wishlistId);
+        return this.#toDetail(wishlist);
+    }
+
+    async renameWishlist(user, wishlistId, name) {
+        await this.#getOwnedWishlist(user, wishlistId);
+
+        const wishlist = await this.#withUniqueName(() =>
+            wishlistsRepo.rename(wishlistId, user.id, this.#normalizeName(name))
+        );
+        return this.#toSummary(wishlist);
+    }
+
+    async deleteWishlist(user, wishlistId) {
+        const deleted = await wishlistsRepo.delete(wishlistId, user.id);
+        if (!deleted) {
+            throw new AppError(ERRORS.WISHLIST.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+        }
+        return true;
+    }
+
+    /**
+     * Ajoute une variante à une liste (ou met à jour ses préférences d'alerte
+     * si elle y figure déjà). Le stock n'est pas exigé : suivre un article
+     * épuisé est précisément le cas de l'alerte de retour en stock.
+     */
+    async addItem(user, wishlistId, { variantId, notifyPriceDrop, notifyBackInStock }) {
+        const wishlist = await this.#getOwnedWishlist(user, wishlistId);
+
+        const variant = await productClient.findVariantById(variantId);
+        if (!variant) {
+            throw new AppError(ERRORS.CART.VARIANT_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+        }
+
+        const item = await wishlistsRepo.addItem({
+            wishlistId: wishlist.id,
+            variantId,
+            notifyPriceDrop,
+            notifyBackInStock,
+        });
+        await wishlistsRepo.updateNotifyEmail(user.id, user.email);
+
+        return item;
+    }
+
+    async removeItem(user, wishlistId, itemId) {
+        const wishlist = await this.#getOwnedWishlist(user, wishlistId);
+
+        const removed = await wishlistsRepo.removeItem(itemId, wishlist.id);
+        if (!removed) {
+            throw new AppError(ERRORS.WISHLIST.ITEM_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+        }
+        return true;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────
+    // PARTAGE EN LECTURE SEULE
+    // ─────────────────────────────────────────────────────────────────────
+
+    /**
+     * Génère un nouveau lien de partage (l'ancien cesse de fonctionner).
+     */
+    async shareWishlist(user, wishlistId) {
+        await this.#getOwnedWishlist(user, wishlistId);
+
+        const shareToken = crypto.randomBytes(24).toString('base64url');
+        const wishlist = await wishlistsRepo.setShareToken(wishlistId, user.id, shareToken);
+
+        return { shareToken, shareUrl: this.#shareUrl(wishlist.shareToken) };
+    }
+
+    async unshareWishlist(user, wishlistId) {
+        await this.#getOwnedWishlist(user, wishlistId);
+        await wishlistsRepo.setShareToken(wishlistId, user.id, null);
+        return true;
+    }
+
+    /**
+     * Vue publique d'une liste partagée : nom et articles, sans rien
+     * qui désigne le titulaire ni ses préférences d'alerte.
+     */
+    async getSharedWishlist(shareToken) {
+        const wishlist = await wishlistsRepo.findByShareToken(shareToken);
+        if (!wishlist) {
+            throw new AppError(ERRORS.WISHLIST.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+        }
+
+        const items = await this.#listEnrichedItems(wishlist.id);
+
+        return {
+            name: wishlist.name,
+            updatedAt: wishlist.updatedAt,
+            items: items.map(({ notifyPriceDrop: _p, notifyBackInStock: _s, ...item }) => item),
+        };
+    }
+
+    // ─────────────────────────────────────────────────────────────────────
+    // "POUR PLUS TARD"
+    // ─────────────────────────────────────────────────────────────────────
+
+    /**
+     * Liste "pour plus tard" de l'utilisateur, créée au premier besoin.
+     */
+    async getSavedForLaterList(user) {
+        return wishlistsRepo.getOrCreateSavedForLater(user.id, {
+            name: SAVED_FOR_LATER_NAME,
+            notifyEmail: user.email,
+        });
+    }
+
+    async getSavedForLater(user) {
+        const savedList = await this.getSavedForLaterList(user);
+        return this.#toDetail(savedList);
+    }
+
+    // ─────────────────────────────────────────────────────────────────────
+    // ALERTES PRIX / STOCK (cron)
+    // ─────────────────────────────────────────────────────────────────────
+
+    /**
+     * Relève toutes les variantes suivies et envoie un email par titulaire et
+     * par type d'alerte, regroupant les articles concernés.
+     * Une variante injoignable (product-service indisponible) ou supprimée est
+     * ignorée : son relevé précédent est conservé pour le passage suivant.
+     *
+     * @returns {Promise<{ checked: number, priceDrops: number, backInStock: number }>}
+     */
+    async checkWatchedItems() {
+        const variantIds = await wishlistsRepo.listWatchedVariantIds();
+        const alertsByEmail = new Map();
+        let checked = 0;
+
+        for (let i = 0; i < variantIds.length; i += ALERT_BATCH_SIZE) {
+            const batch = variantIds.slice(i, i + ALERT_BATCH_SIZE);
+            const results = await Promise.all(
+                batch.map((variantId) => this.#checkVariant(variantId, alertsByEmail))
+            );
+            checked += results.filter(Boolean).length;
+        }
+
+        let priceDrops = 0;
+        let backInStock = 0;
+
+        for (const [email, alerts] of alertsByEmail) {
+            if (alerts.priceDrops.size > 0) {
+                await notificationClient.notifyWishlistPriceDrop(email, [...alerts.priceDrops.values()]);
+                priceDrops += alerts.priceDrops.size;
+            }
+            if (alerts.backInStock.size > 0) {
+                await notificationClient.notifyWishlistBackInStock(email, [...alerts.backInStock.values()]);
+                backInStock += alerts.backInStock.size;
+            }
+        }
+
+        return { checked, priceDrops, backInStock };
+    }
+
+    /**
+     * Relève une variante et ajoute ses alertes à `alertsByEmail`.
+     * Retourne false si la variante n'a pas pu être relevée.
+     */
+    async #checkVariant(variantId, alertsByEmail) {
+        let pricing;
+        let inventory;
+        try {
+            [pricing, inventory] = await Promise.all([
+                productClient.getEffectivePrice(variantId),
+                productClient.getInventory(variantId),
+            ]);
+        } catch {
+            return false;
+        }
+        if (!pricing) return false;
+
+        const price = Number(pricing.effectivePrice);
+        const inStock = (inventory?.availableStock ?? 0) > 0;
+
+        const watchers = await wishlistsRepo.recordVariantSnapshot(variantId, { price, inStock });
+        let variant;
+
+        for (const watcher of watchers) {
+            if (!watcher.notifyEmail) continue;
+
+            const previousPrice = watcher.previousPrice === null ? null : Number(watcher.previousPrice);
+            const priceDropped = watcher.notifyPriceDrop && previousPrice !== null && price < previousPrice;
+            const backInStock = watcher.notifyBackInStock && watcher.previousInStock === false && inStock;
+            if (!priceDropped && !backInStock) continue;
+
+            // Détails produit (SKU, attributs) lus une seule fois, et seulement si une alerte part
+            if (variant === undefined) {
+                variant = await productClient.findVariantById(variantId).catch(() => null);
+            }
+
+            const alerts = alertsByEmail.get(watcher.notifyEmail) ?? { priceDrops: new Map(), backInStock: new Map() };
+            alertsByEmail.set(watcher.notifyEmail, alerts);
+
+            const alertItem = {
+                variantId,
+                sku: variant?.sku ?? null,
+                attributes: variant?.attributes ?? null,
+                productId: variant?.productId ?? null,
+                price,
+                wishlistName: watcher.wishlistName,
+            };
+
+            // Une variante présente dans plusieurs listes du même titulaire : une seule ligne
+            if (priceDropped && !alerts.priceDrops.has(variantId)) {
+                alerts.priceDrops.set(variantId, { ...alertItem, previousPrice });
+            }
+            if (backInStock && !alerts.backInStock.has(variantId)) {
+                alerts.backInStock.set(variantId, alertItem);
+            }
+        }
+
+        return true;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────
+    // DONNÉES PERSONNELLES (RGPD)
+    // ─────────────────────────────────────────────────────────────────────
+
+    async exportUserWishlists(userId) {
+        return wishlistsRepo.listForExport(userId);
+    }
+
+    async eraseUserWishlists(userId) {
+        return wishlistsRepo.deleteByUser(userId);
+    }
+}
+
+export const wishlistService = new WishlistService();
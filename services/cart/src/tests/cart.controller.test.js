@@ -7,18 +7,23 @@ import { describe, it, expect, vi, beforeEach } from 'vitest';
 
 vi.mock('../services/cart.service.js', () => ({
     cartService: {
-        getCartByUserId: vi.fn(),
+        getCart: vi.fn(),
         addToCart: vi.fn(),
         updateItemQuantity: vi.fn(),
         removeItemFromCart: vi.fn(),
-        clearCartByUserId: vi.fn(),
+        clearCart: vi.fn(),
     },
 }));
 
+vi.mock('../middlewares/cartOwner.middleware.js', () => ({
+    issueGuestCartToken: vi.fn().mockReturnValue('guest-cart-token'),
+}));
+
 import { cartController } from '../controllers/cart.controller.js';
 import { cartService } from '../services/cart.service.js';
 
 const mockUser = { id: 'user-123', email: 'test@test.com', roles: ['USER'] };
+const userOwner = { userId: mockUser.id };
 
 const createMockRes = () => ({
     status: vi.fn().mockReturnThis(),
@@ -31,9 +36,9 @@ beforeEach(() => vi.clearAllMocks());
 describe('CartController', () => {
     it('getCart - devrait retourner le panier avec statut 200', async () => {
         const mockCart = { id: 'cart-1', items: [], summary: { subTotal: 0, itemCount: 0 } };
-        cartService.getCartByUserId.mockResolvedValue(mockCart);
+        cartService.getCart.mockResolvedValue(mockCart);
 
-        const req = { user: mockUser };
+        const req = { user: mockUser, cartOwner: userOwner };
         const res = createMockRes();
 
         await cartController.getCart(req, res, vi.fn());
@@ -42,15 +47,33 @@ describe('CartController', () => {
         expect(res.json).toHaveBeenCalledWith({ status: 'success', data: { cart: mockCart } });
     });
 
-    it('clear - devrait appeler clearCartByUserId avec l\'userId', async () => {
-        cartService.clearCartByUserId.mockResolvedValue(true);
+    it('clear - devrait vider le panier du propriétaire', async () => {
+        cartService.clearCart.mockResolvedValue(true);
 
-        const req = { user: mockUser };
+        const req = { user: mockUser, cartOwner: userOwner };
         const res = createMockRes();
 
         await cartController.clear(req, res, vi.fn());
 
-        expect(cartService.clearCartByUserId).toHaveBeenCalledWith(mockUser.id);
+        expect(cartService.clearCart).toHaveBeenCalledWith(userOwner);
         expect(res.status).toHaveBeenCalledWith(200);
     });
+
+    it('addItem - devrait retourner le token du panier guest créé', async () => {
+        const guestCart = { id: 'guest-cart-1', items: [], summary: { subTotal: 0, itemCount: 1 } };
+        cartService.addToCart.mockResolvedValue({ id: 1, cartId: 'guest-cart-1' });
+        cartService.getCart.mockResolvedValue(guestCart);
+
+        const req = { cartOwner: { guestCartId: null }, body: { variantId: 'variant-1', quantity: 1 } };
+        const res = createMockRes();
+
+        cartController.addItem(req, res, vi.fn());
+
+        // asyncHandler ne retourne pas la promesse du handler : on attend la réponse
+        await vi.waitFor(() => expect(res.json).toHaveBeenCalled());
+        expect(cartService.getCart).toHaveBeenCalledWith({ guestCartId: 'guest-cart-1' });
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+            data: { cart: guestCart, cartToken: 'guest-cart-token' },
+        }));
+    });
 });
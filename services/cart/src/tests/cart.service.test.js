@@ -10,6 +10,12 @@ import { describe, it, expect, vi, beforeEach } from 'vitest';
 vi.mock('../repositories/carts.repo.js', () => ({
     cartsRepo: {
         getOrCreate: vi.fn(),
+        findByUserId: vi.fn(),
+        findGuestCart: vi.fn(),
+        createGuest: vi.fn(),
+        listGuestItems: vi.fn(),
+        moveGuestItems: vi.fn(),
+        closeGuestCart: vi.fn(),
         listRawItems: vi.fn(),
         addItem: vi.fn(),
         updateItemQuantityById: vi.fn(),
@@ -19,6 +25,21 @@ vi.mock('../repositories/carts.repo.js', () => ({
     },
 }));
 
+vi.mock('../repositories/wishlists.repo.js', () => ({
+    wishlistsRepo: {
+        getOrCreateSavedForLater: vi.fn(),
+        findItem: vi.fn(),
+        moveFromCart: vi.fn(),
+        moveToCart: vi.fn(),
+    },
+}));
+
+vi.mock('../repositories/cartRecovery.repo.js', () => ({
+    cartRecoveryRepo: {
+        upsertContact: vi.fn().mockResolvedValue(undefined),
+    },
+}));
+
 vi.mock('../clients/product.client.js', () => ({
     productClient: {
         getVariantWithInventory: vi.fn(),
@@ -37,12 +58,17 @@ vi.mock('../services/cache.service.js', () => ({
 
 import { cartService } from '../services/cart.service.js';
 import { cartsRepo } from '../repositories/carts.repo.js';
+import { wishlistsRepo } from '../repositories/wishlists.repo.js';
+import { cartRecoveryRepo } from '../repositories/cartRecovery.repo.js';
 import { productClient } from '../clients/product.client.js';
+import { cacheService } from '../services/cache.service.js';
 
 const MOCK_USER_ID = '11111111-1111-4111-8111-111111111111';
 const MOCK_CART_ID = '22222222-2222-4222-8222-222222222222';
 const MOCK_VARIANT_ID = '33333333-3333-4333-8333-333333333333';
 const MOCK_ITEM_ID = 1;
+const MOCK_GUEST_CART_ID = '44444444-4444-4444-8444-444444444444';
+const USER = { userId: MOCK_USER_ID };
 
 beforeEach(() => {
     vi.clearAllMocks();
@@ -58,7 +84,7 @@ describe('CartService', () => {
             });
             cartsRepo.addItem.mockResolvedValue({ id: MOCK_ITEM_ID, variantId: MOCK_VARIANT_ID, quantity: 2 });
 
-            const result = await cartService.addToCart(MOCK_USER_ID, MOCK_VARIANT_ID, 2);
+            const result = await cartService.addToCart(USER, MOCK_VARIANT_ID, 2);
 
             expect(cartsRepo.addItem).toHaveBeenCalledWith({
                 cartId: MOCK_CART_ID,
@@ -68,6 +94,19 @@ describe('CartService', () => {
             expect(result).toBeDefined();
         });
 
+        it('devrait mémoriser l\'email de l\'utilisateur pour les relances de panier', async () => {
+            cartsRepo.getOrCreate.mockResolvedValue({ id: MOCK_CART_ID });
+            productClient.getVariantWithInventory.mockResolvedValue({
+                variant: { id: MOCK_VARIANT_ID },
+                inventory: { availableStock: 10 },
+            });
+            cartsRepo.addItem.mockResolvedValue({ id: MOCK_ITEM_ID });
+
+            await cartService.addToCart({ ...USER, email: 'client@example.com' }, MOCK_VARIANT_ID, 1);
+
+            expect(cartRecoveryRepo.upsertContact).toHaveBeenCalledWith(MOCK_USER_ID, 'client@example.com');
+        });
+
         it('devrait lancer une erreur si le stock est insuffisant', async () => {
             cartsRepo.getOrCreate.mockResolvedValue({ id: MOCK_CART_ID });
             productClient.getVariantWithInventory.mockResolvedValue({
@@ -76,7 +115,7 @@ describe('CartService', () => {
             });
 
             await expect(
-                cartService.addToCart(MOCK_USER_ID, MOCK_VARIANT_ID, 5)
+                cartService.addToCart(USER, MOCK_VARIANT_ID, 5)
             ).rejects.toThrow('Stock insuffisant');
         });
 
@@ -88,7 +127,7 @@ describe('CartService', () => {
             });
 
             await expect(
-                cartService.addToCart(MOCK_USER_ID, MOCK_VARIANT_ID, 1)
+                cartService.addToCart(USER, MOCK_VARIANT_ID, 1)
             ).rejects.toThrow('Produit introuvable');
         });
     });
@@ -101,7 +140,7 @@ describe('CartService', () => {
             ]);
             cartsRepo.removeItem.mockResolvedValue(true);
 
-            const result = await cartService.removeItemFromCart(MOCK_USER_ID, MOCK_ITEM_ID);
+            const result = await cartService.removeItemFromCart(USER, MOCK_ITEM_ID);
 
             expect(cartsRepo.removeItem).toHaveBeenCalledWith(MOCK_ITEM_ID);
             expect(result).toBe(true);
@@ -112,7 +151,7 @@ describe('CartService', () => {
             cartsRepo.listRawItems.mockResolvedValue([]);
 
             await expect(
-                cartService.removeItemFromCart(MOCK_USER_ID, 'item-inexistant')
+                cartService.removeItemFromCart(USER, 'item-inexistant')
             ).rejects.toThrow("Cet article n'existe pas dans votre panier");
         });
     });
@@ -146,4 +185,233 @@ describe('CartService', () => {
             expect(cart.summary.itemCount).toBe(2);
         });
     });
+
+    describe('panier guest', () => {
+        it('devrait créer le panier guest au premier ajout', async () => {
+            cartsRepo.createGuest.mockResolvedValue({ id: MOCK_GUEST_CART_ID });
+            productClient.getVariantWithInventory.mockResolvedValue({
+                variant: { id: MOCK_VARIANT_ID },
+                inventory: { availableStock: 10 },
+            });
+            cartsRepo.addItem.mockResolvedValue({ id: MOCK_ITEM_ID, cartId: MOCK_GUEST_CART_ID });
+
+            const item = await cartService.addToCart({ guestCartId: null }, MOCK_VARIANT_ID, 1);
+
+            expect(cartsRepo.findGuestCart).not.toHaveBeenCalled();
+            expect(cartsRepo.getOrCreate).not.toHaveBeenCalled();
+            expect(item.cartId).toBe(MOCK_GUEST_CART_ID);
+            expect(cartRecoveryRepo.upsertContact).not.toHaveBeenCalled();
+        });
+
+        it('ne devrait pas créer de panier si le stock est insuffisant', async () => {
+            productClient.getVariantWithInventory.mockResolvedValue({
+                variant: { id: MOCK_VARIANT_ID },
+                inventory: { availableStock: 0 },
+            });
+
+            await expect(
+                cartService.addToCart({ guestCartId: null }, MOCK_VARIANT_ID, 1)
+            ).rejects.toThrow('Stock insuffisant');
+            expect(cartsRepo.createGuest).not.toHaveBeenCalled();
+        });
+
+        it('devrait retourner un panier vide sans le créer pour un visiteur sans panier', async () => {
+            cartsRepo.findGuestCart.mockResolvedValue(null);
+
+            const cart = await cartService.getCart({ guestCartId: MOCK_GUEST_CART_ID });
+
+            expect(cartsRepo.createGuest).not.toHaveBeenCalled();
+            expect(cart).toEqual({ id: null, items: [], summary: { subTotal: 0, itemCount: 0, currency: 'EUR' } });
+        });
+
+        it('devrait refuser la suppression d\'un article hors du panier guest', async () => {
+            cartsRepo.findGuestCart.mockResolvedValue(null);
+
+            await expect(
+                cartService.removeItemFromCart({ guestCartId: MOCK_GUEST_CART_ID }, MOCK_ITEM_ID)
+            ).rejects.toThrow("Cet article n'existe pas dans votre panier");
+            expect(cartsRepo.removeItem).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('mergeCarts', () => {
+        const OTHER_VARIANT_ID = '55555555-5555-4555-8555-555555555555';
+        const MISSING_VARIANT_ID = '66666666-6666-4666-8666-666666666666';
+
+        beforeEach(() => {
+            cartsRepo.getOrCreate.mockResolvedValue({ id: MOCK_CART_ID });
+            cartsRepo.listRawItems.mockResolvedValue([]);
+            cartsRepo.moveGuestItems.mockResolvedValue([]);
+            cartsRepo.closeGuestCart.mockResolvedValue(false);
+            productClient.enrichCartItems.mockResolvedValue([]);
+        });
+
+        it('devrait reprendre les articles disponibles et rapporter les autres avec leur motif', async () => {
+            cartsRepo.listGuestItems.mockResolvedValue([
+                { variantId: MOCK_VARIANT_ID, quantity: 2 },
+                { variantId: OTHER_VARIANT_ID, quantity: 5 },
+                { variantId: MISSING_VARIANT_ID, quantity: 1 },
+            ]);
+            cartsRepo.moveGuestItems.mockResolvedValue([{ variantId: MOCK_VARIANT_ID, quantity: 2 }]);
+            productClient.getVariantWithInventory.mockImplementation(async (variantId) => ({
+                [MOCK_VARIANT_ID]: { variant: { id: MOCK_VARIANT_ID }, inventory: { availableStock: 10 } },
+                [OTHER_VARIANT_ID]: { variant: { id: OTHER_VARIANT_ID }, inventory: { availableStock: 3 } },
+                [MISSING_VARIANT_ID]: { variant: null, inventory: null },
+            })[variantId]);
+
+            const result = await cartService.mergeCarts(MOCK_GUEST_CART_ID, MOCK_USER_ID);
+
+            expect(cartsRepo.moveGuestItems).toHaveBeenCalledWith(MOCK_GUEST_CART_ID, MOCK_CART_ID, [MOCK_VARIANT_ID]);
+            expect(cartsRepo.closeGuestCart).toHaveBeenCalledWith(MOCK_GUEST_CART_ID, []);
+            expect(result.merged).toEqual([{ variantId: MOCK_VARIANT_ID, quantity: 2 }]);
+            expect(result.skipped).toEqual([
+                expect.objectContaining({ variantId: OTHER_VARIANT_ID, reason: 'INSUFFICIENT_STOCK', availableStock: 3 }),
+                expect.objectContaining({ variantId: MISSING_VARIANT_ID, reason: 'VARIANT_NOT_FOUND' }),
+            ]);
+            expect(result.guestCartKept).toBe(false);
+            expect(cacheService.delete).toHaveBeenCalledWith(`cart:${MOCK_CART_ID}`);
+        });
+
+        it('devrait garder dans le panier guest un article dont le stock n\'a pas pu être vérifié', async () => {
+            cartsRepo.listGuestItems.mockResolvedValue([
+                { variantId: MOCK_VARIANT_ID, quantity: 1 },
+                { variantId: OTHER_VARIANT_ID, quantity: 1 },
+            ]);
+            cartsRepo.moveGuestItems.mockResolvedValue([{ variantId: OTHER_VARIANT_ID, quantity: 1 }]);
+            cartsRepo.closeGuestCart.mockResolvedValue(true);
+            productClient.getVariantWithInventory.mockImplementation(async (variantId) => {
+                if (variantId === MOCK_VARIANT_ID) throw new Error('timeout');
+                return { variant: { id: OTHER_VARIANT_ID }, inventory: { availableStock: 10 } };
+            });
+
+            const result = await cartService.mergeCarts(MOCK_GUEST_CART_ID, MOCK_USER_ID);
+
+            expect(cartsRepo.moveGuestItems).toHaveBeenCalledWith(MOCK_GUEST_CART_ID, MOCK_CART_ID, [OTHER_VARIANT_ID]);
+            expect(cartsRepo.closeGuestCart).toHaveBeenCalledWith(MOCK_GUEST_CART_ID, [MOCK_VARIANT_ID]);
+            expect(result.skipped).toEqual([
+                expect.objectContaining({ variantId: MOCK_VARIANT_ID, reason: 'PRODUCT_SERVICE_UNAVAILABLE' }),
+            ]);
+            expect(result.guestCartKept).toBe(true);
+        });
+
+        it('devrait laisser le panier guest intact si le déplacement échoue', async () => {
+            cartsRepo.listGuestItems.mockResolvedValue([{ variantId: MOCK_VARIANT_ID, quantity: 1 }]);
+            productClient.getVariantWithInventory.mockResolvedValue({
+                variant: { id: MOCK_VARIANT_ID }, inventory: { availableStock: 10 },
+            });
+            cartsRepo.moveGuestItems.mockRejectedValue(new Error('connection reset'));
+
+            await expect(cartService.mergeCarts(MOCK_GUEST_CART_ID, MOCK_USER_ID)).rejects.toThrow('connection reset');
+            expect(cartsRepo.closeGuestCart).not.toHaveBeenCalled();
+        });
+
+        it('devrait être sans effet pour un panier guest déjà fusionné', async () => {
+            cartsRepo.listGuestItems.mockResolvedValue([]);
+
+            const result = await cartService.mergeCarts(MOCK_GUEST_CART_ID, MOCK_USER_ID);
+
+            expect(productClient.getVariantWithInventory).not.toHaveBeenCalled();
+            expect(result).toMatchObject({ cart: { id: MOCK_CART_ID }, merged: [], skipped: [], guestCartKept: false });
+        });
+    });
+
+    describe('pour plus tard', () => {
+        const ACCOUNT = { id: MOCK_USER_ID, email: 'client@example.com' };
+        const SAVED_LIST_ID = '77777777-7777-4777-8777-777777777777';
+
+        beforeEach(() => {
+            cartsRepo.getOrCreate.mockResolvedValue({ id: MOCK_CART_ID });
+            wishlistsRepo.getOrCreateSavedForLater.mockResolvedValue({ id: SAVED_LIST_ID });
+        });
+
+        it('devrait sortir l\'article du panier vers la liste et invalider le cache', async () => {
+            wishlistsRepo.moveFromCart.mockResolvedValue({ id: 9, variantId: MOCK_VARIANT_ID, quantity: 2 });
+
+            await cartService.saveForLater(ACCOUNT, MOCK_ITEM_ID);
+
+            expect(wishlistsRepo.getOrCreateSavedForLater).toHaveBeenCalledWith(
+                MOCK_USER_ID,
+                expect.objectContaining({ notifyEmail: 'client@example.com' })
+            );
+            expect(wishlistsRepo.moveFromCart).toHaveBeenCalledWith(MOCK_ITEM_ID, MOCK_CART_ID, SAVED_LIST_ID);
+            expect(cacheService.delete).toHaveBeenCalledWith(`cart:${MOCK_CART_ID}`);
+        });
+
+        it('devrait lancer une 404 si l\'article n\'est pas dans le panier', async () => {
+            wishlistsRepo.moveFromCart.mockResolvedValue(null);
+
+            await expect(cartService.saveForLater(ACCOUNT, 999)).rejects.toMatchObject({ statusCode: 404 });
+            expect(cacheService.delete).not.toHaveBeenCalled();
+        });
+
+        it('devrait remettre l\'article dans le panier quand le stock le permet', async () => {
+            wishlistsRepo.findItem.mockResolvedValue({ id: 9, variantId: MOCK_VARIANT_ID, quantity: 2 });
+            productClient.getVariantWithInventory.mockResolvedValue({
+                variant: { id: MOCK_VARIANT_ID },
+                inventory: { availableStock: 5 },
+            });
+            wishlistsRepo.moveToCart.mockResolvedValue({ id: MOCK_ITEM_ID, variantId: MOCK_VARIANT_ID, quantity: 2 });
+
+            await cartService.moveSavedToCart(ACCOUNT, 9);
+
+            expect(wishlistsRepo.moveToCart).toHaveBeenCalledWith(9, SAVED_LIST_ID, MOCK_CART_ID);
+            expect(cacheService.delete).toHaveBeenCalledWith(`cart:${MOCK_CART_ID}`);
+        });
+
+        it('devrait laisser l\'article dans la liste si le stock est insuffisant', async () => {
+            wishlistsRepo.findItem.mockResolvedValue({ id: 9, variantId: MOCK_VARIANT_ID, quantity: 3 });
+            productClient.getVariantWithInventory.mockResolvedValue({
+                variant: { id: MOCK_VARIANT_ID },
+                inventory: { availableStock: 1 },
+            });
+
+            await expect(cartService.moveSavedToCart(ACCOUNT, 9)).rejects.toThrow('Stock insuffisant');
+            expect(wishlistsRepo.moveToCart).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('exportUserCart', () => {
+        it('devrait retourner les articles bruts sans créer de panier', async () => {
+            cartsRepo.findByUserId.mockResolvedValue({ id: MOCK_CART_ID, createdAt: 'c', updatedAt: 'u' });
+            cartsRepo.listRawItems.mockResolvedValue([
+                { id: 1, cartId: MOCK_CART_ID, variantId: MOCK_VARIANT_ID, quantity: 2, createdAt: 'c', updatedAt: 'u' },
+            ]);
+
+            const cart = await cartService.exportUserCart(MOCK_USER_ID);
+
+            expect(cartsRepo.getOrCreate).not.toHaveBeenCalled();
+            expect(productClient.enrichCartItems).not.toHaveBeenCalled();
+            expect(cart.items).toEqual([
+                { variantId: MOCK_VARIANT_ID, quantity: 2, createdAt: 'c', updatedAt: 'u' },
+            ]);
+        });
+
+        it('devrait retourner null si l\'utilisateur n\'a pas de panier', async () => {
+            cartsRepo.findByUserId.mockResolvedValue(null);
+
+            expect(await cartService.exportUserCart(MOCK_USER_ID)).toBeNull();
+        });
+    });
+
+    describe('eraseUserCart', () => {
+        it('devrait supprimer le panier et invalider le cache', async () => {
+            cartsRepo.findByUserId.mockResolvedValue({ id: MOCK_CART_ID });
+            cartsRepo.delete.mockResolvedValue(true);
+
+            const result = await cartService.eraseUserCart(MOCK_USER_ID);
+
+            expect(cartsRepo.delete).toHaveBeenCalledWith(MOCK_CART_ID);
+            expect(cacheService.delete).toHaveBeenCalledWith(`cart:${MOCK_CART_ID}`);
+            expect(result).toBe(true);
+        });
+
+        it('devrait être sans effet si l\'utilisateur n\'a pas de panier', async () => {
+            cartsRepo.findByUserId.mockResolvedValue(null);
+
+            const result = await cartService.eraseUserCart(MOCK_USER_ID);
+
+            expect(cartsRepo.delete).not.toHaveBeenCalled();
+            expect(result).toBe(false);
+        });
+    });
 });
@@ -0,0 +1,240 @@
+/**
+ * @module Tests/CartRecoveryService
+ *
+ * Tests unitaires du cartRecovery.service avec mocks complets des dépendances.
+ * Vérifie la séquence de relance, la désinscription et le calcul des
+ * statistiques sans appels réels à la DB, au product-service ni au
+ * notification-service.
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+// Mocks déclarés avant les imports pour que Vitest les hoiste correctement
+vi.mock('../repositories/cartRecovery.repo.js', () => ({
+    cartRecoveryRepo: {
+        findDueCarts: vi.fn(),
+        recordEmail: vi.fn(),
+        releaseEmail: vi.fn(),
+        recordOrder: vi.fn(),
+        unsubscribe: vi.fn(),
+        getTotals: vi.fn(),
+        getStatsByStep: vi.fn(),
+    },
+}));
+
+vi.mock('../repositories/carts.repo.js', () => ({
+    cartsRepo: {
+        listRawItems: vi.fn(),
+    },
+}));
+
+vi.mock('../clients/product.client.js', () => ({
+    productClient: {
+        enrichCartItems: vi.fn(),
+    },
+}));
+
+vi.mock('../clients/notification.client.js', () => ({
+    notificationClient: {
+        notifyCartAbandoned: vi.fn(),
+    },
+}));
+
+import { cartRecoveryService } from '../services/cartRecovery.service.js';
+import { cartRecoveryRepo } from '../repositories/cartRecovery.repo.js';
+import { cartsRepo } from '../repositories/carts.repo.js';
+import { productClient } from '../clients/product.client.js';
+import { notificationClient } from '../clients/notification.client.js';
+import { tokenService } from '../services/token.service.js';
+
+const MOCK_USER_ID = '11111111-1111-4111-8111-111111111111';
+const MOCK_CART_ID = '22222222-2222-4222-8222-222222222222';
+const MOCK_VARIANT_ID = '33333333-3333-4333-8333-333333333333';
+const MOCK_ORDER_ID = '44444444-4444-4444-8444-444444444444';
+const MOCK_REMINDER_ID = '55555555-5555-4555-8555-555555555555';
+
+const DUE_CART = {
+    cartId: MOCK_CART_ID,
+    userId: MOCK_USER_ID,
+    email: 'client@example.com',
+    step: 2,
+    activityAt: new Date('2026-10-01T10:00:00Z'),
+};
+
+const ENRICHED_ITEM = {
+    id: 1,
+    variantId: MOCK_VARIANT_ID,
+    quantity: 2,
+    price: 49.95,
+    sku: 'WATCH-001',
+    attributes: { color: 'noir' },
+    isUnavailable: false,
+};
+
+beforeEach(() => {
+    vi.clearAllMocks();
+});
+
+describe('CartRecoveryService', () => {
+    describe('sendDueReminders', () => {
+        beforeEach(() => {
+            cartRecoveryRepo.findDueCarts.mockResolvedValue([DUE_CART]);
+            cartsRepo.listRawItems.mockResolvedValue([{ id: 1, variantId: MOCK_VARIANT_ID, quantity: 2 }]);
+            notificationClient.notifyCartAbandoned.mockResolvedValue(true);
+        });
+
+        it('devrait réserver l\'étape puis envoyer la relance avec les articles enrichis', async () => {
+            productClient.enrichCartItems.mockResolvedValue([ENRICHED_ITEM]);
+            cartRecoveryRepo.recordEmail.mockResolvedValue({ id: MOCK_REMINDER_ID, step: 2 });
+
+            const result = await cartRecoveryService.sendDueReminders();
+
+            expect(cartRecoveryRepo.recordEmail).toHaveBeenCalledWith({
+                cartId: MOCK_CART_ID,
+                userId: MOCK_USER_ID,
+                step: 2,
+                activityAt: DUE_CART.activityAt,
+                itemCount: 2,
+                cartValue: 99.9,
+            });
+
+            const [to, data] = notificationClient.notifyCartAbandoned.mock.calls[0];
+            expect(to).toBe('client@example.com');
+            expect(data).toMatchObject({
+                step: 2,
+                items: [{ variantId: MOCK_VARIANT_ID, sku: 'WATCH-001', price: 49.95, quantity: 2 }],
+                summary: { subTotal: 99.9, itemCount: 2, currency: 'EUR' },
+            });
+            expect(data.restoreUrl).toMatch(new RegExp(`/cart\\?recovery=${MOCK_REMINDER_ID}$`));
+
+            const token = new URL(data.unsubscribeUrl).searchParams.get('token');
+            expect(tokenService.verifyRecoveryUnsubscribeToken(token)).toBe(MOCK_USER_ID);
+
+            expect(result).toEqual({ due: 1, sent: 1 });
+        });
+
+        it('ne devrait rien envoyer si l\'étape a déjà été réservée par un autre passage', async () => {
+            productClient.enrichCartItems.mockResolvedValue([ENRICHED_ITEM]);
+            cartRecoveryRepo.recordEmail.mockResolvedValue(null);
+
+            const result = await cartRecoveryService.sendDueReminders();
+
+            expect(notificationClient.notifyCartAbandoned).not.toHaveBeenCalled();
+            expect(result).toEqual({ due: 1, sent: 0 });
+        });
+
+        it('devrait libérer l\'étape si la relance n\'a pas pu être mise en file', async () => {
+            productClient.enrichCartItems.mockResolvedValue([ENRICHED_ITEM]);
+            cartRecoveryRepo.recordEmail.mockResolvedValue({ id: MOCK_REMINDER_ID, step: 2 });
+            notificationClient.notifyCartAbandoned.mockResolvedValue(false);
+
+            const result = await cartRecoveryService.sendDueReminders();
+
+            expect(cartRecoveryRepo.releaseEmail).toHaveBeenCalledWith(MOCK_REMINDER_ID);
+            expect(result).toEqual({ due: 1, sent: 0 });
+        });
+
+        it('ne devrait pas relancer un panier dont aucun article n\'est encore disponible', async () => {
+            productClient.enrichCartItems.mockResolvedValue([{ ...ENRICHED_ITEM, price: null, isUnavailable: true }]);
+
+            const result = await cartRecoveryService.sendDueReminders();
+
+            expect(cartRecoveryRepo.recordEmail).not.toHaveBeenCalled();
+            expect(notificationClient.notifyCartAbandoned).not.toHaveBeenCalled();
+            expect(result).toEqual({ due: 1, sent: 0 });
+        });
+
+        it('devrait poursuivre le passage quand un panier échoue', async () => {
+            cartRecoveryRepo.findDueCarts.mockResolvedValue([
+                DUE_CART,
+                { ...DUE_CART, cartId: '66666666-6666-4666-8666-666666666666' },
+            ]);
+            productClient.enrichCartItems
+                .mockRejectedValueOnce(new Error('product-service indisponible'))
+                .mockResolvedValueOnce([ENRICHED_ITEM]);
+            cartRecoveryRepo.recordEmail.mockResolvedValue({ id: MOCK_REMINDER_ID, step: 2 });
+
+            const result = await cartRecoveryService.sendDueReminders();
+
+            expect(notificationClient.notifyCartAbandoned).toHaveBeenCalledTimes(1);
+            expect(result).toEqual({ due: 2, sent: 1 });
+        });
+    });
+
+    describe('unsubscribe', () => {
+        it('devrait désinscrire l\'utilisateur désigné par le token', async () => {
+            const token = tokenService.signRecoveryUnsubscribeToken(MOCK_USER_ID);
+
+            await cartRecoveryService.unsubscribe(token);
+
+            expect(cartRecoveryRepo.unsubscribe).toHaveBeenCalledWith(MOCK_USER_ID);
+        });
+
+        it('devrait refuser un token invalide', async () => {
+            await expect(cartRecoveryService.unsubscribe('falsifié')).rejects.toMatchObject({ statusCode: 400 });
+            expect(cartRecoveryRepo.unsubscribe).not.toHaveBeenCalled();
+        });
+
+        it('devrait refuser un token de panier guest', async () => {
+            const guestToken = tokenService.signGuestCartToken(MOCK_CART_ID);
+
+            await expect(cartRecoveryService.unsubscribe(guestToken)).rejects.toMatchObject({ statusCode: 400 });
+        });
+    });
+
+    describe('recordOrder', () => {
+        it('devrait rapporter la relance à laquelle la commande est attribuée', async () => {
+            cartRecoveryRepo.recordOrder.mockResolvedValue({ id: MOCK_REMINDER_ID, step: 1 });
+
+            const result = await cartRecoveryService.recordOrder(MOCK_USER_ID, { orderId: MOCK_ORDER_ID, totalAmount: 120 });
+
+            expect(cartRecoveryRepo.recordOrder).toHaveBeenCalledWith(MOCK_USER_ID, expect.objectContaining({
+                orderId: MOCK_ORDER_ID,
+                orderAmount: 120,
+            }));
+            expect(result).toEqual({ recovered: true, step: 1 });
+        });
+
+        it('devrait rapporter une commande sans relance associée', async () => {
+            cartRecoveryRepo.recordOrder.mockResolvedValue(null);
+
+            const result = await cartRecoveryService.recordOrder(MOCK_USER_ID, { orderId: MOCK_ORDER_ID });
+
+            expect(result).toEqual({ recovered: false, step: null });
+        });
+    });
+
+    describe('getStats', () => {
+        it('devrait calculer les taux de conversion globaux et par étape', async () => {
+            cartRecoveryRepo.getTotals.mockResolvedValue({
+                cartsReminded: 8, cartsRecovered: 2, remindedValue: 800, recoveredRevenue: 230,
+            });
+            cartRecoveryRepo.getStatsByStep.mockResolvedValue([
+                { step: 1, emailsSent: 8, recovered: 1, recoveredRevenue: 100 },
+                { step: 2, emailsSent: 3, recovered: 1, recoveredRevenue: 130 },
+            ]);
+
+            const stats = await cartRecoveryService.getStats(7);
+
+            expect(cartRecoveryRepo.getTotals).toHaveBeenCalledWith(7);
+            expect(stats).toMatchObject({
+                periodDays: 7,
+                cartsReminded: 8,
+                cartsRecovered: 2,
+                conversionRate: 0.25,
+                recoveredRevenue: 230,
+            });
+            expect(stats.byStep[1]).toMatchObject({ step: 2, conversionRate: 0.3333 });
+        });
+
+        it('devrait retourner un taux nul sans relance envoyée', async () => {
+            cartRecoveryRepo.getTotals.mockResolvedValue({
+                cartsReminded: 0, cartsRecovered: 0, remindedValue: 0, recoveredRevenue: 0,
+            });
+            cartRecoveryRepo.getStatsByStep.mockResolvedValue([]);
+
+            const stats = await cartRecoveryService.getStats();
+
+            expect(stats).toMatchObject({ periodDays: 30, conversionRate: 0, byStep: [] });
+        });
+    });
+});
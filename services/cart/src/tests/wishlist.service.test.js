@@ -0,0 +1,217 @@
+/**
+ * @module Tests/WishlistService
+ *
+ * Tests unitaires du wishlist.service avec mocks complets des dépendances.
+ * Vérifie la logique métier sans appels réels à la DB, au product-service
+ * ni au notification-service.
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+// Mocks déclarés avant les imports pour que Vitest les hoiste correctement
+vi.mock('../repositories/wishlists.repo.js', () => ({
+    wishlistsRepo: {
+        create: vi.fn(),
+        findOwned: vi.fn(),
+        findByShareToken: vi.fn(),
+        setShareToken: vi.fn(),
+        listItems: vi.fn(),
+        addItem: vi.fn(),
+        updateNotifyEmail: vi.fn(),
+        listWatchedVariantIds: vi.fn(),
+        recordVariantSnapshot: vi.fn(),
+    },
+}));
+
+vi.mock('../clients/product.client.js', () => ({
+    productClient: {
+        findVariantById: vi.fn(),
+        getInventory: vi.fn(),
+        getEffectivePrice: vi.fn(),
+        enrichCartItems: vi.fn(),
+    },
+}));
+
+vi.mock('../clients/notification.client.js', () => ({
+    notificationClient: {
+        notifyWishlistPriceDrop: vi.fn(),
+        notifyWishlistBackInStock: vi.fn(),
+    },
+}));
+
+import { wishlistService } from '../services/wishlist.service.js';
+import { wishlistsRepo } from '../repositories/wishlists.repo.js';
+import { productClient } from '../clients/product.client.js';
+import { notificationClient } from '../clients/notification.client.js';
+
+const MOCK_USER = { id: '11111111-1111-4111-8111-111111111111', email: 'client@example.com' };
+const MOCK_WISHLIST_ID = '22222222-2222-4222-8222-222222222222';
+const MOCK_VARIANT_ID = '33333333-3333-4333-8333-333333333333';
+const OTHER_VARIANT_ID = '55555555-5555-4555-8555-555555555555';
+
+const WISHLIST = { id: MOCK_WISHLIST_ID, kind: 'WISHLIST', name: 'Noël', shareToken: null };
+
+beforeEach(() => {
+    vi.clearAllMocks();
+});
+
+describe('WishlistService', () => {
+    describe('createWishlist', () => {
+        it('devrait créer la liste avec le nom normalisé et l\'email du titulaire', async () => {
+            wishlistsRepo.create.mockResolvedValue(WISHLIST);
+
+            const wishlist = await wishlistService.createWishlist(MOCK_USER, '  Noël  ');
+
+            expect(wishlistsRepo.create).toHaveBeenCalledWith({
+                userId: MOCK_USER.id,
+                name: 'Noël',
+                notifyEmail: 'client@example.com',
+            });
+            expect(wishlist).toMatchObject({ id: MOCK_WISHLIST_ID, isShared: false, shareUrl: null });
+        });
+
+        it('devrait refuser un nom vide', async () => {
+            await expect(wishlistService.createWishlist(MOCK_USER, '   ')).rejects.toMatchObject({ statusCode: 400 });
+            expect(wishlistsRepo.create).not.toHaveBeenCalled();
+        });
+
+        it('devrait traduire un nom déjà pris en 409', async () => {
+            wishlistsRepo.create.mockRejectedValue(Object.assign(new Error('duplicate'), { code: '23505' }));
+
+            await expect(wishlistService.createWishlist(MOCK_USER, 'Noël')).rejects.toMatchObject({ statusCode: 409 });
+        });
+    });
+
+    describe('addItem', () => {
+        it('devrait refuser une liste qui n\'appartient pas à l\'utilisateur', async () => {
+            wishlistsRepo.findOwned.mockResolvedValue(null);
+
+            await expect(
+                wishlistService.addItem(MOCK_USER, MOCK_WISHLIST_ID, { variantId: MOCK_VARIANT_ID })
+            ).rejects.toMatchObject({ statusCode: 404 });
+            expect(wishlistsRepo.addItem).not.toHaveBeenCalled();
+        });
+
+        it('devrait suivre une variante épuisée (pas de contrôle de stock)', async () => {
+            wishlistsRepo.findOwned.mockResolvedValue(WISHLIST);
+            productClient.findVariantById.mockResolvedValue({ id: MOCK_VARIANT_ID });
+            wishlistsRepo.addItem.mockResolvedValue({ id: 1, variantId: MOCK_VARIANT_ID });
+
+            await wishlistService.addItem(MOCK_USER, MOCK_WISHLIST_ID, {
+                variantId: MOCK_VARIANT_ID,
+                notifyPriceDrop: false,
+            });
+
+            expect(productClient.getInventory).not.toHaveBeenCalled();
+            expect(wishlistsRepo.addItem).toHaveBeenCalledWith({
+                wishlistId: MOCK_WISHLIST_ID,
+                variantId: MOCK_VARIANT_ID,
+                notifyPriceDrop: false,
+                notifyBackInStock: undefined,
+            });
+            expect(wishlistsRepo.updateNotifyEmail).toHaveBeenCalledWith(MOCK_USER.id, 'client@example.com');
+        });
+    });
+
+    describe('partage', () => {
+        it('devrait générer un nouveau lien de partage', async () => {
+            wishlistsRepo.findOwned.mockResolvedValue(WISHLIST);
+            wishlistsRepo.setShareToken.mockImplementation(async (_id, _userId, shareToken) => ({ ...WISHLIST, shareToken }));
+
+            const { shareToken, shareUrl } = await wishlistService.shareWishlist(MOCK_USER, MOCK_WISHLIST_ID);
+
+            expect(shareToken).toMatch(/^[A-Za-z0-9_-]{32}$/);
+            expect(shareUrl).toContain(`/wishlists/shared/${shareToken}`);
+        });
+
+        it('ne devrait exposer ni le titulaire ni ses préférences d\'alerte', async () => {
+            wishlistsRepo.findByShareToken.mockResolvedValue({ ...WISHLIST, userId: MOCK_USER.id, notifyEmail: MOCK_USER.email });
+            wishlistsRepo.listItems.mockResolvedValue([
+                { id: 1, variantId: MOCK_VARIANT_ID, quantity: 1, notifyPriceDrop: true, notifyBackInStock: true },
+            ]);
+            productClient.enrichCartItems.mockResolvedValue([
+                { id: 1, cartId: undefined, variantId: MOCK_VARIANT_ID, quantity: 1, price: 99 },
+            ]);
+
+            const shared = await wishlistService.getSharedWishlist('token');
+
+            expect(shared).toEqual({
+                name: 'Noël',
+                updatedAt: undefined,
+                items: [{ id: 1, variantId: MOCK_VARIANT_ID, quantity: 1, price: 99 }],
+            });
+        });
+
+        it('devrait lancer une 404 pour un lien révoqué', async () => {
+            wishlistsRepo.findByShareToken.mockResolvedValue(null);
+
+            await expect(wishlistService.getSharedWishlist('revoked')).rejects.toMatchObject({ statusCode: 404 });
+        });
+    });
+
+    describe('checkWatchedItems', () => {
+        const watcher = (overrides = {}) => ({
+            wishlistName: 'Noël',
+            notifyEmail: MOCK_USER.email,
+            notifyPriceDrop: true,
+            notifyBackInStock: true,
+            previousPrice: '100.00',
+            previousInStock: true,
+            ...overrides,
+        });
+
+        beforeEach(() => {
+            productClient.findVariantById.mockResolvedValue({ sku: 'WATCH-001', attributes: { color: 'noir' } });
+        });
+
+        it('devrait regrouper les alertes par titulaire et par type', async () => {
+            wishlistsRepo.listWatchedVariantIds.mockResolvedValue([MOCK_VARIANT_ID, OTHER_VARIANT_ID]);
+            productClient.getEffectivePrice.mockImplementation(async (variantId) => ({
+                effectivePrice: variantId === MOCK_VARIANT_ID ? 80 : 50,
+            }));
+            productClient.getInventory.mockResolvedValue({ availableStock: 4 });
+            wishlistsRepo.recordVariantSnapshot.mockImplementation(async (variantId) => (
+                variantId === MOCK_VARIANT_ID
+                    // Même variante dans deux listes du titulaire : une seule ligne dans l'email
+                    ? [watcher(), watcher({ wishlistName: 'Anniversaire' })]
+                    : [watcher({ previousPrice: '50.00', previousInStock: false })]
+            ));
+
+            const result = await wishlistService.checkWatchedItems();
+
+            expect(result).toEqual({ checked: 2, priceDrops: 1, backInStock: 1 });
+            expect(notificationClient.notifyWishlistPriceDrop).toHaveBeenCalledWith(MOCK_USER.email, [
+                expect.objectContaining({ variantId: MOCK_VARIANT_ID, sku: 'WATCH-001', previousPrice: 100, price: 80 }),
+            ]);
+            expect(notificationClient.notifyWishlistBackInStock).toHaveBeenCalledWith(MOCK_USER.email, [
+                expect.objectContaining({ variantId: OTHER_VARIANT_ID, price: 50 }),
+            ]);
+        });
+
+        it('ne devrait rien envoyer au premier relevé ni pour une alerte désactivée', async () => {
+            wishlistsRepo.listWatchedVariantIds.mockResolvedValue([MOCK_VARIANT_ID]);
+            productClient.getEffectivePrice.mockResolvedValue({ effectivePrice: 80 });
+            productClient.getInventory.mockResolvedValue({ availableStock: 4 });
+            wishlistsRepo.recordVariantSnapshot.mockResolvedValue([
+                watcher({ previousPrice: null, previousInStock: null }),
+                watcher({ notifyPriceDrop: false, previousInStock: true }),
+            ]);
+
+            const result = await wishlistService.checkWatchedItems();
+
+            expect(result).toEqual({ checked: 1, priceDrops: 0, backInStock: 0 });
+            expect(notificationClient.notifyWishlistPriceDrop).not.toHaveBeenCalled();
+            expect(productClient.findVariantById).not.toHaveBeenCalled();
+        });
+
+        it('devrait conserver le relevé précédent si le product-service ne répond pas', async () => {
+            wishlistsRepo.listWatchedVariantIds.mockResolvedValue([MOCK_VARIANT_ID]);
+            productClient.getEffectivePrice.mockRejectedValue(new Error('timeout'));
+            productClient.getInventory.mockResolvedValue({ availableStock: 4 });
+
+            const result = await wishlistService.checkWatchedItems();
+
+            expect(result).toEqual({ checked: 0, priceDrops: 0, backInStock: 0 });
+            expect(wishlistsRepo.recordVariantSnapshot).not.toHaveBeenCalled();
+        });
+    });
+});
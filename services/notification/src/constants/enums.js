@@ -14,10 +14,22 @@ export const NOTIFICATION_TYPES = Object.freeze({
     ORDER_SHIPPED:       'order.shipped',        // Commande expédiée
     ORDER_DELIVERED:     'order.delivered',      // Commande livrée
     ORDER_STATUS_UPDATE: 'order.status_update',  // Changement de statut générique
+    ORDER_RETURN_UPDATE: 'order.return_update',  // Demande de retour : ouverture, décision, réception, remboursement
 
     // ── Authentification ─────────────────────────────────────────────────────
     AUTH_WELCOME:        'auth.welcome',         // Inscription réussie
     AUTH_PASSWORD_RESET: 'auth.password_reset',  // Demande de réinitialisation du mot de passe
+    AUTH_EMAIL_VERIFICATION: 'auth.email_verification', // Lien de vérification de l'adresse email
+    AUTH_ACCOUNT_LOCKED: 'auth.account_locked',         // Verrouillage après échecs de connexion
+    AUTH_NEW_DEVICE_LOGIN: 'auth.new_device_login',     // Connexion depuis un nouvel appareil
+    AUTH_MAGIC_LINK:     'auth.magic_link',             // Lien de connexion sans mot de passe
+
+    // ── Listes d'envies (cart-service) ───────────────────────────────────────
+    WISHLIST_PRICE_DROP:     'wishlist.price_drop',     // Baisse de prix d'articles suivis
+    WISHLIST_BACK_IN_STOCK:  'wishlist.back_in_stock',  // Retour en stock d'articles suivis
+
+    // ── Panier (cart-service) ────────────────────────────────────────────────
+    CART_ABANDONED:      'cart.abandoned',       // Relance d'un panier abandonné
 });
 
 export const QUEUE_NAMES = Object.freeze({
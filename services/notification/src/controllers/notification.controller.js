@@ -8,12 +8,22 @@
  * Aucune logique métier ici — tout est dans queueService et notificationService.
  */
 import { queueService } from '../services/queue.service.js';
+import { notificationsRepo } from '../repositories/index.js';
 import { NOTIFICATION_TYPES } from '../constants/enums.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import { ValidationError } from '../utils/appError.js';
 
 const VALID_TYPES = new Set(Object.values(NOTIFICATION_TYPES));
 
+// Domaine réservé (RFC 2606) : l'adresse de remplacement ne peut jamais être livrée
+const ERASED_RECIPIENT = 'erased@anonymized.invalid';
+
+const requireEmail = (email) => {
+    if (typeof email !== 'string' || !email.includes('@')) {
+        throw new ValidationError("Format d'email invalide");
+    }
+};
+
 /**
  * POST /internal/notifications/enqueue
  *
@@ -65,3 +75,39 @@ export const getQueueMetrics = asyncHandler(async (_req, res) => {
         data: { queue: metrics },
     });
 });
+
+/**
+ * POST /internal/notifications/recipients/export
+ *
+ * Historique des notifications envoyées à une adresse (export RGPD d'un compte).
+ * L'email transite dans le corps pour ne pas apparaître dans les journaux d'accès.
+ */
+export const exportRecipientHistory = asyncHandler(async (req, res) => {
+    const { email } = req.body;
+    requireEmail(email);
+
+    const notifications = await notificationsRepo.findAllByRecipient(email);
+
+    res.status(200).json({
+        status: 'success',
+        results: notifications.length,
+        data: { notifications },
+    });
+});
+
+/**
+ * POST /internal/notifications/recipients/erase
+ *
+ * Anonymise les logs d'une adresse avant la suppression du compte associé.
+ */
+export const eraseRecipient = asyncHandler(async (req, res) => {
+    const { email } = req.body;
+    requireEmail(email);
+
+    const anonymized = await notificationsRepo.anonymizeRecipient(email, ERASED_RECIPIENT);
+
+    res.status(200).json({
+        status: 'success',
+        data: { anonymized },
+    });
+});
@@ -75,6 +75,44 @@ export const notificationsRepo = {
         return mapRows(rows);
     },
 
+    /**
+     * Historique complet d'un destinataire, du plus ancien au plus récent.
+     * Utilisé par l'export RGPD d'un compte (l'email fait office d'identifiant).
+     *
+     * @param {string} email
+     */
+    async findAllByRecipient(email) {
+        const { rows } = await pgPool.query(
+            `SELECT id, type, status, attempts, sent_at, created_at
+             FROM notification_logs
+             WHERE LOWER(recipient_email) = LOWER($1)
+             ORDER BY created_at ASC`,
+            [email]
+        );
+        return mapRows(rows);
+    },
+
+    /**
+     * Remplace l'adresse d'un destinataire par un marqueur neutre, y compris
+     * dans les messages d'erreur du prestataire qui la citent.
+     * Les logs restent comptés dans les statistiques d'envoi.
+     *
+     * @param {string} email
+     * @param {string} placeholder - Adresse de remplacement (non routable)
+     * @returns {Promise<number>} Nombre de logs anonymisés
+     */
+    async anonymizeRecipient(email, placeholder) {
+        const { rowCount } = await pgPool.query(
+            `UPDATE notification_logs
+                SET recipient_email = $2,
+                    error_message   = REPLACE(error_message, recipient_email, $2),
+                    updated_at      = NOW()
+             WHERE LOWER(recipient_email) = LOWER($1)`,
+            [email, placeholder]
+        );
+        return rowCount;
+    },
+
     /**
      * Logs filtrés par statut et/ou type pour le dashboard admin.
      * Retourne les N entrées les plus récentes.
@@ -9,7 +9,12 @@
  */
 import { Router } from 'express';
 import { fromInternalService } from '../middlewares/internal.middleware.js';
-import { enqueueNotification, getQueueMetrics } from '../controllers/notification.controller.js';
+import {
+    enqueueNotification,
+    getQueueMetrics,
+    exportRecipientHistory,
+    eraseRecipient,
+} from '../controllers/notification.controller.js';
 import { enqueueLimiter } from '../config/security.js';
 
 const router = Router();
@@ -28,4 +33,13 @@ router.post('/enqueue', fromInternalService, enqueueLimiter, enqueueNotification
  */
 router.get('/metrics', fromInternalService, getQueueMetrics);
 
+/**
+ * POST /internal/notifications/recipients/export
+ * POST /internal/notifications/recipients/erase
+ * Export et effacement RGPD de l'historique d'une adresse (appelés par l'auth-service).
+ */
+router.post('/recipients/export', fromInternalService, exportRecipientHistory);
+
+router.post('/recipients/erase', fromInternalService, eraseRecipient);
+
 export default router;
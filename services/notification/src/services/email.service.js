@@ -28,16 +28,18 @@ class EmailService {
      * Retourne l'objet Resend en cas de succès, null en cas d'échec.
      * L'appelant (worker) gère la stratégie de retry via BullMQ.
      *
-     * @param {{ to: string, subject: string, html: string }} payload
+     * @param {{ to: string, subject: string, html: string,
+     *   attachments?: Array<{ filename: string, content: string }> }} payload - content en base64
      * @returns {Promise<object|null>}
      */
-    async send({ to, subject, html }) {
+    async send({ to, subject, html, attachments = [] }) {
         try {
             const result = await this.resend.emails.send({
                 from: this.from,
                 to,
                 subject,
                 html,
+                ...(attachments.length > 0 && { attachments }),
             });
 
             logInfo(`Email envoyé — to: ${to} | sujet: ${subject}`);
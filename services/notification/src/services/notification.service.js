@@ -49,12 +49,36 @@ class NotificationService {
             case NOTIFICATION_TYPES.ORDER_STATUS_UPDATE:
                 return this._routeOrderStatusUpdate(to, data);
 
+            case NOTIFICATION_TYPES.ORDER_RETURN_UPDATE:
+                return this._sendOrderReturnUpdate(to, data);
+
             case NOTIFICATION_TYPES.AUTH_WELCOME:
                 return this._sendAuthWelcome(to, data);
 
             case NOTIFICATION_TYPES.AUTH_PASSWORD_RESET:
                 return this._sendAuthPasswordReset(to, data);
 
+            case NOTIFICATION_TYPES.AUTH_EMAIL_VERIFICATION:
+                return this._sendAuthEmailVerification(to, data);
+
+            case NOTIFICATION_TYPES.AUTH_ACCOUNT_LOCKED:
+                return this._sendAuthAccountLocked(to, data);
+
+            case NOTIFICATION_TYPES.AUTH_NEW_DEVICE_LOGIN:
+                return this._sendAuthNewDeviceLogin(to, data);
+
+            case NOTIFICATION_TYPES.AUTH_MAGIC_LINK:
+                return this._sendAuthMagicLink(to, data);
+
+            case NOTIFICATION_TYPES.WISHLIST_PRICE_DROP:
+                return this._sendWishlistPriceDrop(to, data);
+
+            case NOTIFICATION_TYPES.WISHLIST_BACK_IN_STOCK:
+                return this._sendWishlistBackInStock(to, data);
+
+            case NOTIFICATION_TYPES.CART_ABANDONED:
+                return this._sendCartAbandoned(to, data);
+
             default:
                 // Un type inconnu est une erreur de configuration côté appelant,
                 // pas un problème réseau — on ne requeue pas.
@@ -65,9 +89,11 @@ class NotificationService {
 
     // ── Handlers privés ───────────────────────────────────────────────────────
 
-    async _sendOrderConfirmation(to, { orderData }) {
-        const { subject, html } = emailTemplates.orderConfirmation(orderData, ENV.clientUrl);
-        return emailService.send({ to, subject, html });
+    async _sendOrderConfirmation(to, { orderData, invoice = null }) {
+        const { subject, html } = emailTemplates.orderConfirmation(orderData, ENV.clientUrl, invoice?.invoiceNumber);
+        // Facture PDF transmise en base64 par le payment-service
+        const attachments = invoice?.content ? [{ filename: invoice.filename, content: invoice.content }] : [];
+        return emailService.send({ to, subject, html, attachments });
     }
 
     async _sendOrderCancelled(to, { orderData, reason }) {
@@ -85,6 +111,11 @@ class NotificationService {
         return emailService.send({ to, subject, html });
     }
 
+    async _sendOrderReturnUpdate(to, { orderData, returnData }) {
+        const { subject, html } = emailTemplates.orderReturnUpdate(orderData, returnData, ENV.clientUrl);
+        return emailService.send({ to, subject, html });
+    }
+
     /**
      * Route les changements de statut génériques vers le handler spécifique
      * si possible, sinon laisse l'appelant envoyer le type exact directement.
@@ -116,6 +147,41 @@ class NotificationService {
         const { subject, html } = emailTemplates.authPasswordReset(resetUrl);
         return emailService.send({ to, subject, html });
     }
+
+    async _sendAuthEmailVerification(to, { verifyUrl, userData }) {
+        const { subject, html } = emailTemplates.authEmailVerification(verifyUrl, userData ?? {});
+        return emailService.send({ to, subject, html });
+    }
+
+    async _sendAuthAccountLocked(to, { unlockUrl, userData, lockedUntil }) {
+        const { subject, html } = emailTemplates.authAccountLocked(unlockUrl, userData ?? {}, lockedUntil);
+        return emailService.send({ to, subject, html });
+    }
+
+    async _sendAuthNewDeviceLogin(to, { userData, device, occurredAt }) {
+        const { subject, html } = emailTemplates.authNewDeviceLogin(userData ?? {}, device ?? {}, occurredAt);
+        return emailService.send({ to, subject, html });
+    }
+
+    async _sendAuthMagicLink(to, { loginUrl, userData, isNewAccount }) {
+        const { subject, html } = emailTemplates.authMagicLink(loginUrl, userData ?? {}, Boolean(isNewAccount));
+        return emailService.send({ to, subject, html });
+    }
+
+    async _sendWishlistPriceDrop(to, { items }) {
+        const { subject, html } = emailTemplates.wishlistPriceDrop(items ?? [], ENV.clientUrl);
+        return emailService.send({ to, subject, html });
+    }
+
+    async _sendWishlistBackInStock(to, { items }) {
+        const { subject, html } = emailTemplates.wishlistBackInStock(items ?? [], ENV.clientUrl);
+        return emailService.send({ to, subject, html });
+    }
+
+    async _sendCartAbandoned(to, data) {
+        const { subject, html } = emailTemplates.cartAbandoned({ ...data, items: data.items ?? [] });
+        return emailService.send({ to, subject, html });
+    }
 }
 
 export const notificationService = new NotificationService();
@@ -19,6 +19,15 @@ const formatDate = (date) =>
         hour: '2-digit', minute: '2-digit',
     }).format(new Date(date));
 
+// Les textes libres (commentaire admin, nom produit) sont échappés avant injection HTML.
+const escapeHtml = (value) =>
+    String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+
 // ── Template de base ─────────────────────────────────────────────────────────
 
 const getBaseTemplate = (content, title) => `
@@ -46,6 +55,7 @@ const getBaseTemplate = (content, title) => `
         .badge-shipped   { background-color: #cce5ff; color: #004085; }
         .badge-delivered { background-color: #d4edda; color: #155724; }
         .badge-cancelled { background-color: #f8d7da; color: #721c24; }
+        .badge-return    { background-color: #fff3cd; color: #856404; }
         .button { display: inline-block; padding: 14px 32px; background-color: #000000; color: #ffffff !important; text-decoration: none; border-radius: 5px; font-weight: 600; margin: 20px 0; }
         .footer { background-color: #f9f9f9; padding: 30px 20px; text-align: center; color: #999999; font-size: 13px; }
         .footer a { color: #666666; text-decoration: none; }
@@ -86,6 +96,71 @@ const renderShippingAddress = (shippingAddress) => {
     `;
 };
 
+// ── Libellés des étapes de retour ────────────────────────────────────────────
+
+/**
+ * Libellé d'un article suivi (alertes des listes d'envies) ou d'un panier
+ * relancé : SKU et attributs de la variante, la liste d'origine en complément.
+ */
+const renderWishlistItemLabel = (item) => {
+    const attributes = Object.entries(item.attributes ?? {})
+        .filter(([key]) => key !== 'weight')
+        .map(([, value]) => escapeHtml(value))
+        .join(', ');
+    return `<strong>${escapeHtml(item.sku || 'Article')}</strong>`
+        + (attributes ? ` (${attributes})` : '')
+        + (item.wishlistName ? ` — <em>${escapeHtml(item.wishlistName)}</em>` : '');
+};
+
+// ── Relances de panier abandonné ─────────────────────────────────────────────
+
+// Le ton évolue d'une relance à l'autre ; au-delà, la dernière formulation est reprise.
+const CART_REMINDER_STEPS = [
+    {
+        subject: 'Vous avez oublié quelque chose ?',
+        title: '🛒 Votre panier vous attend',
+        message: 'Vous avez laissé des articles dans votre panier. Nous les avons gardés pour vous :',
+    },
+    {
+        subject: 'Votre panier est toujours là',
+        title: '🛒 Toujours intéressé ?',
+        message: 'Les articles de votre panier sont encore disponibles, mais les stocks peuvent partir vite :',
+    },
+    {
+        subject: 'Dernier rappel pour votre panier',
+        title: '⏳ Dernier rappel',
+        message: 'C\'est notre dernier rappel : votre panier est prêt, il ne reste qu\'à valider votre commande.',
+    },
+];
+
+const RETURN_STEPS = {
+    REQUESTED: {
+        title: '↩️ Demande de retour enregistrée',
+        badge: 'EN ATTENTE',
+        message: 'Nous avons bien reçu votre demande de retour. Notre équipe va l\'examiner dans les meilleurs délais.',
+    },
+    APPROVED: {
+        title: '✅ Retour accepté',
+        badge: 'ACCEPTÉ',
+        message: 'Votre demande de retour a été acceptée. Vous pouvez nous renvoyer les articles concernés.',
+    },
+    REJECTED: {
+        title: '❌ Retour refusé',
+        badge: 'REFUSÉ',
+        message: 'Votre demande de retour n\'a pas pu être acceptée.',
+    },
+    RECEIVED: {
+        title: '📦 Articles reçus',
+        badge: 'REÇU',
+        message: 'Nous avons bien reçu les articles retournés. Votre remboursement est en cours de traitement.',
+    },
+    REFUNDED: {
+        title: '💶 Retour remboursé',
+        badge: 'REMBOURSÉ',
+        message: 'Le remboursement des articles retournés a été émis sur votre moyen de paiement. Il apparaîtra sous quelques jours.',
+    },
+};
+
 // ── Templates ────────────────────────────────────────────────────────────────
 
 export const emailTemplates = {
@@ -93,8 +168,9 @@ export const emailTemplates = {
     /**
      * Confirmation de commande après paiement Stripe validé.
      * Déclenché par le webhook `checkout.session.completed`.
+     * `invoiceNumber` renseigné lorsque la facture PDF est jointe.
      */
-    orderConfirmation: (orderData, clientUrl) => {
+    orderConfirmation: (orderData, clientUrl, invoiceNumber = null) => {
         const content = `
             <h2>✅ Commande confirmée !</h2>
             <p>Bonjour,</p>
@@ -118,6 +194,7 @@ export const emailTemplates = {
                 </div>
             </div>
             ${renderShippingAddress(orderData.shippingAddress)}
+            ${invoiceNumber ? `<p>Votre facture <strong>${escapeHtml(invoiceNumber)}</strong> est jointe à cet email.</p>` : ''}
             <p>Vous recevrez un email dès que votre commande sera expédiée.</p>
             <a href="${clientUrl}/orders/${orderData.id}" class="button">Suivre ma commande</a>
         `;
@@ -232,6 +309,40 @@ export const emailTemplates = {
         };
     },
 
+    /**
+     * Suivi d'une demande de retour (RMA).
+     * Un seul template pour toutes les étapes : le libellé dépend de returnData.status.
+     */
+    orderReturnUpdate: (orderData, returnData, clientUrl) => {
+        const step = RETURN_STEPS[returnData?.status] ?? RETURN_STEPS.REQUESTED;
+        const itemsList = (returnData?.items ?? [])
+            .map((item) => `<li>${escapeHtml(item.productName || 'Article')} × ${item.quantity}</li>`)
+            .join('');
+
+        const content = `
+            <h2>${step.title}</h2>
+            <p>Bonjour,</p>
+            <p>${step.message}</p>
+            <div class="order-details">
+                <div class="order-row">
+                    <span class="order-label">Numéro de commande</span>
+                    <span class="order-value">#${orderData.orderNumber || orderData.id}</span>
+                </div>
+                <div class="order-row">
+                    <span class="order-label">Statut du retour</span>
+                    <span class="badge badge-return">${step.badge}</span>
+                </div>
+            </div>
+            ${itemsList ? `<p><strong>Articles concernés :</strong></p><ul>${itemsList}</ul>` : ''}
+            ${returnData?.adminNote ? `<p><strong>Commentaire :</strong> ${escapeHtml(returnData.adminNote)}</p>` : ''}
+            <a href="${clientUrl}/orders/${orderData.id}" class="button">Voir ma commande</a>
+        `;
+        return {
+            subject: `Retour sur la commande #${orderData.orderNumber || orderData.id} — ${step.badge.toLowerCase()}`,
+            html: getBaseTemplate(content, 'Suivi de votre retour'),
+        };
+    },
+
     /**
      * Email de bienvenue envoyé après inscription.
      */
@@ -270,4 +381,188 @@ export const emailTemplates = {
             html: getBaseTemplate(content, 'Réinitialisation du mot de passe'),
         };
     },
+
+    /**
+     * Lien de vérification de l'adresse email, envoyé à l'inscription ou sur demande.
+     * Les commandes passées en invité avec cette adresse ne sont rattachées
+     * au compte qu'après vérification — le dire évite des demandes au support.
+     */
+    authEmailVerification: (verifyUrl, userData) => {
+        const content = `
+            <h2>✉️ Confirmez votre adresse email</h2>
+            <p>Bonjour ${userData.firstName || ''},</p>
+            <p>Merci de confirmer votre adresse email pour finaliser la création de votre compte.</p>
+            <p>Vos commandes passées sans compte avec cette adresse y seront rattachées automatiquement après confirmation.</p>
+            <p><strong>Ce lien est valable 24 heures.</strong> Vous pourrez en demander un nouveau depuis la page de connexion.</p>
+            <a href="${verifyUrl}" class="button">Confirmer mon adresse email</a>
+            <p style="color: #999999; font-size: 13px; margin-top: 30px;">
+                Si vous n'avez pas créé de compte ECOM-WATCH, ignorez cet email.
+            </p>
+        `;
+        return {
+            subject: 'Confirmez votre adresse email ECOM-WATCH',
+            html: getBaseTemplate(content, 'Vérification de l\'email'),
+        };
+    },
+
+    /**
+     * Compte verrouillé après des échecs de connexion répétés.
+     * Le lien lève le verrou immédiatement ; sans action, il expire seul.
+     */
+    authAccountLocked: (unlockUrl, userData, lockedUntil) => {
+        const content = `
+            <h2>🔒 Votre compte a été temporairement verrouillé</h2>
+            <p>Bonjour ${userData.firstName || ''},</p>
+            <p>Plusieurs tentatives de connexion à votre compte ont échoué. Par précaution, les connexions sont bloquées${lockedUntil ? ` jusqu'au <strong>${formatDate(lockedUntil)}</strong>` : ''}.</p>
+            <p>S'il s'agit de vous, vous pouvez déverrouiller votre compte dès maintenant :</p>
+            <a href="${unlockUrl}" class="button">Déverrouiller mon compte</a>
+            <p style="color: #999999; font-size: 13px; margin-top: 30px;">
+                Si vous n'êtes pas à l'origine de ces tentatives, quelqu'un essaie peut-être de deviner votre mot de passe :
+                nous vous recommandons de le modifier et d'activer la double authentification.
+            </p>
+        `;
+        return {
+            subject: 'Votre compte ECOM-WATCH a été verrouillé',
+            html: getBaseTemplate(content, 'Compte verrouillé'),
+        };
+    },
+
+    /**
+     * Connexion depuis un appareil jamais utilisé pour ce compte.
+     * Le User-Agent vient du client : il est échappé.
+     */
+    authNewDeviceLogin: (userData, device, occurredAt) => {
+        const content = `
+            <h2>🔔 Nouvelle connexion à votre compte</h2>
+            <p>Bonjour ${userData.firstName || ''},</p>
+            <p>Une connexion à votre compte vient d'avoir lieu depuis un appareil que nous ne reconnaissons pas.</p>
+            <p><strong>Date :</strong> ${formatDate(occurredAt ?? new Date())}</p>
+            <p><strong>Appareil :</strong> ${escapeHtml(device.userAgent || 'Inconnu')}</p>
+            <p><strong>Adresse IP :</strong> ${escapeHtml(device.ipAddress || 'Inconnue')}</p>
+            <p>S'il s'agit de vous, aucune action n'est nécessaire.</p>
+            <p style="color: #999999; font-size: 13px; margin-top: 30px;">
+                Sinon, changez votre mot de passe sans attendre et déconnectez les autres appareils
+                depuis la page « Sécurité » de votre compte.
+            </p>
+        `;
+        return {
+            subject: 'Nouvelle connexion à votre compte ECOM-WATCH',
+            html: getBaseTemplate(content, 'Nouvelle connexion'),
+        };
+    },
+
+    /**
+     * Lien de connexion sans mot de passe. Pour un acheteur sans compte,
+     * le lien crée le compte et y rattache ses commandes passées en invité.
+     */
+    authMagicLink: (loginUrl, userData, isNewAccount) => {
+        const intro = isNewAccount
+            ? `<p>Cliquez sur le bouton ci-dessous pour accéder à votre espace client, sans mot de passe. Votre compte sera créé à cette occasion et vos commandes passées sans compte avec cette adresse y seront rattachées.</p>`
+            : `<p>Cliquez sur le bouton ci-dessous pour vous connecter à votre compte, sans mot de passe.</p>`;
+        const content = `
+            <h2>🔑 Votre lien de connexion</h2>
+            <p>Bonjour ${userData.firstName || ''},</p>
+            ${intro}
+            <p><strong>Ce lien est valable 15 minutes et ne peut être utilisé qu'une fois.</strong></p>
+            <a href="${loginUrl}" class="button">Me connecter</a>
+            <p style="color: #999999; font-size: 13px; margin-top: 30px;">
+                Si vous n'êtes pas à l'origine de cette demande, ignorez cet email : personne ne pourra se connecter sans ce lien.
+            </p>
+        `;
+        return {
+            subject: 'Votre lien de connexion ECOM-WATCH',
+            html: getBaseTemplate(content, 'Lien de connexion'),
+        };
+    },
+
+    /**
+     * Baisse de prix d'articles suivis dans les listes d'envies.
+     * Un seul email regroupe tous les articles concernés par le même relevé.
+     */
+    wishlistPriceDrop: (items, clientUrl) => {
+        const itemsList = items
+            .map((item) => `<li>${renderWishlistItemLabel(item)} : <s>${formatPrice(item.previousPrice)}</s> → <strong>${formatPrice(item.price)}</strong></li>`)
+            .join('');
+
+        const content = `
+            <h2>📉 Baisse de prix sur votre liste d'envies</h2>
+            <p>Bonjour,</p>
+            <p>${items.length > 1 ? 'Des articles que vous suivez sont' : 'Un article que vous suivez est'} moins cher :</p>
+            <ul>${itemsList}</ul>
+            <a href="${clientUrl}/wishlists" class="button">Voir mes listes</a>
+            <p style="color: #999999; font-size: 13px; margin-top: 30px;">
+                Vous pouvez désactiver ces alertes article par article depuis vos listes d'envies.
+            </p>
+        `;
+        return {
+            subject: items.length > 1
+                ? `${items.length} articles de votre liste d'envies baissent de prix`
+                : 'Un article de votre liste d\'envies baisse de prix',
+            html: getBaseTemplate(content, 'Baisse de prix'),
+        };
+    },
+
+    /**
+     * Retour en stock d'articles suivis dans les listes d'envies.
+     */
+    wishlistBackInStock: (items, clientUrl) => {
+        const itemsList = items
+            .map((item) => `<li>${renderWishlistItemLabel(item)} : ${formatPrice(item.price)}</li>`)
+            .join('');
+
+        const content = `
+            <h2>✅ De retour en stock</h2>
+            <p>Bonjour,</p>
+            <p>${items.length > 1 ? 'Des articles que vous attendiez sont' : 'Un article que vous attendiez est'} de nouveau disponible${items.length > 1 ? 's' : ''} :</p>
+            <ul>${itemsList}</ul>
+            <p>Les stocks peuvent partir vite : ajoutez-les à votre panier sans tarder.</p>
+            <a href="${clientUrl}/wishlists" class="button">Voir mes listes</a>
+            <p style="color: #999999; font-size: 13px; margin-top: 30px;">
+                Vous pouvez désactiver ces alertes article par article depuis vos listes d'envies.
+            </p>
+        `;
+        return {
+            subject: items.length > 1
+                ? `${items.length} articles de votre liste d'envies sont de retour en stock`
+                : 'Un article de votre liste d\'envies est de retour en stock',
+            html: getBaseTemplate(content, 'Retour en stock'),
+        };
+    },
+
+    /**
+     * Relance d'un panier abandonné : articles encore disponibles, lien pour
+     * retrouver le panier et lien de désinscription (fournis par le cart-service).
+     */
+    cartAbandoned: ({ step, totalSteps, items, summary, restoreUrl, unsubscribeUrl }) => {
+        const isLastStep = step >= totalSteps;
+        const wording = isLastStep
+            ? CART_REMINDER_STEPS[CART_REMINDER_STEPS.length - 1]
+            : CART_REMINDER_STEPS[Math.min(step, CART_REMINDER_STEPS.length - 1) - 1];
+
+        const itemsList = items
+            .map((item) => `<li>${renderWishlistItemLabel(item)} × ${item.quantity} : ${formatPrice(item.price * item.quantity)}</li>`)
+            .join('');
+
+        const content = `
+            <h2>${wording.title}</h2>
+            <p>Bonjour,</p>
+            <p>${wording.message}</p>
+            <ul>${itemsList}</ul>
+            <div class="order-details">
+                <div class="order-row">
+                    <span class="order-label">Sous-total (${summary?.itemCount ?? items.length} article${(summary?.itemCount ?? items.length) > 1 ? 's' : ''}) :</span>
+                    <span class="order-value">${formatPrice(summary?.subTotal)}</span>
+                </div>
+            </div>
+            <a href="${escapeHtml(restoreUrl)}" class="button">Retrouver mon panier</a>
+            <p style="color: #999999; font-size: 13px; margin-top: 30px;">
+                Vous ne souhaitez plus recevoir ces rappels ?
+                <a href="${escapeHtml(unsubscribeUrl)}">Se désinscrire</a>
+            </p>
+        `;
+        return {
+            subject: wording.subject,
+            html: getBaseTemplate(content, 'Votre panier'),
+        };
+    },
 };
@@ -0,0 +1,31 @@
+-- ================================================================
+-- Migration 003 — Remboursements (order-service)
+--
+-- Le remboursement est piloté par le payment-service (Stripe) qui
+-- notifie l'order-service via POST /internal/orders/:orderId/refund.
+-- Cette migration ajoute :
+--   - le statut PARTIALLY_REFUNDED (remboursement d'une partie des lignes)
+--   - le suivi des quantités remboursées par ligne de commande
+-- ================================================================
+
+SET search_path TO "order", public;
+
+-- ── Statut de remboursement partiel ──────────────────────────────────────────
+-- ADD VALUE ne peut pas être annulé : la valeur reste dans l'enum même si
+-- la migration est rejouée, d'où IF NOT EXISTS.
+
+ALTER TYPE order_status_enum ADD VALUE IF NOT EXISTS 'PARTIALLY_REFUNDED' BEFORE 'REFUNDED';
+
+-- ── Quantités remboursées par ligne ──────────────────────────────────────────
+
+ALTER TABLE order_items
+    ADD COLUMN IF NOT EXISTS refunded_quantity INT NOT NULL DEFAULT 0;
+
+DO $$ BEGIN
+    ALTER TABLE order_items
+        ADD CONSTRAINT chk_order_items_refunded_quantity
+        CHECK (refunded_quantity >= 0 AND refunded_quantity <= quantity);
+EXCEPTION WHEN duplicate_object THEN NULL; END $$;
+
+COMMENT ON COLUMN order_items.refunded_quantity IS
+    'Quantité déjà remboursée — borne les remboursements partiels successifs';
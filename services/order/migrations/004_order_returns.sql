@@ -0,0 +1,74 @@
+-- ================================================================
+-- Migration 004 — Retours clients (RMA)
+--
+-- Cycle de vie d'une demande de retour :
+--   REQUESTED → APPROVED → RECEIVED → REFUNDED
+--            ↘ REJECTED
+--
+-- Le stock est réintégré à la réception (RECEIVED) via le product-service,
+-- puis le remboursement des lignes retournées est demandé au payment-service.
+-- ================================================================
+
+SET search_path TO "order", public;
+
+-- ── Type ENUM ─────────────────────────────────────────────────────────────────
+
+DO $$ BEGIN
+    CREATE TYPE return_status_enum AS ENUM (
+        'REQUESTED',
+        'APPROVED',
+        'REJECTED',
+        'RECEIVED',
+        'REFUNDED'
+    );
+EXCEPTION WHEN duplicate_object THEN NULL; END $$;
+
+-- ================================================================
+-- TABLE : returns
+-- ================================================================
+
+CREATE TABLE IF NOT EXISTS returns (
+    id           UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id     UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    user_id      UUID,                  -- NULL = retour ouvert par un guest
+
+    status       return_status_enum NOT NULL DEFAULT 'REQUESTED',
+    reason       TEXT NOT NULL,
+    admin_note   TEXT,
+
+    -- Identifiant du remboursement côté payment-service (payment.refunds)
+    refund_id    UUID,
+
+    approved_at  TIMESTAMP WITH TIME ZONE,
+    rejected_at  TIMESTAMP WITH TIME ZONE,
+    received_at  TIMESTAMP WITH TIME ZONE,
+    refunded_at  TIMESTAMP WITH TIME ZONE,
+
+    created_at   TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at   TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON COLUMN returns.user_id    IS 'NULL = retour guest (accès vérifié par email de commande)';
+COMMENT ON COLUMN returns.admin_note IS 'Commentaire admin transmis au client (motif de refus, consignes de renvoi)';
+COMMENT ON COLUMN returns.refund_id  IS 'Référence payment.refunds — pas de FK inter-schéma';
+
+CREATE OR REPLACE TRIGGER update_returns_updated_at
+    BEFORE UPDATE ON returns
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE INDEX IF NOT EXISTS idx_returns_order_id ON returns(order_id);
+CREATE INDEX IF NOT EXISTS idx_returns_status_created ON returns(status, created_at DESC);
+
+-- ================================================================
+-- TABLE : return_items
+-- ================================================================
+
+CREATE TABLE IF NOT EXISTS return_items (
+    id            BIGSERIAL PRIMARY KEY,
+    return_id     UUID   NOT NULL REFERENCES returns(id) ON DELETE CASCADE,
+    order_item_id BIGINT NOT NULL REFERENCES order_items(id) ON DELETE CASCADE,
+    quantity      INT    NOT NULL CHECK (quantity > 0),
+    CONSTRAINT unique_return_item UNIQUE (return_id, order_item_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_return_items_order_item ON return_items(order_item_id);
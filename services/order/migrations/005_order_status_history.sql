@@ -0,0 +1,72 @@
+-- ================================================================
+-- Migration 005 — Historique des transitions de statut de commande
+--
+-- Chaque changement de orders.status est journalisé avec son origine :
+--   ADMIN    → PATCH /orders/:orderId/status, expéditions (actor_id = admin)
+--   CUSTOMER → annulation par le client connecté (actor_id = user)
+--   GUEST    → commande ou annulation sans compte
+--   WEBHOOK  → payment-service (paiement Stripe, expiration, remboursement)
+--   CRON     → nettoyage des commandes PENDING abandonnées
+--   SYSTEM   → traitements internes sans acteur identifiable
+--
+-- Les transitions autorisées sont déclarées côté Node
+-- (src/constants/orderStateMachine.js) : cette table ne fait que les tracer.
+-- ================================================================
+
+SET search_path TO "order", public;
+
+-- ── Type ENUM ─────────────────────────────────────────────────────────────────
+
+DO $$ BEGIN
+    CREATE TYPE status_actor_enum AS ENUM (
+        'ADMIN',
+        'CUSTOMER',
+        'GUEST',
+        'WEBHOOK',
+        'CRON',
+        'SYSTEM'
+    );
+EXCEPTION WHEN duplicate_object THEN NULL; END $$;
+
+-- ================================================================
+-- TABLE : order_status_history
+-- ================================================================
+
+CREATE TABLE IF NOT EXISTS order_status_history (
+    id           BIGSERIAL PRIMARY KEY,
+    order_id     UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+
+    from_status  order_status_enum,    -- NULL = création de la commande
+    to_status    order_status_enum NOT NULL,
+
+    actor_type   status_actor_enum NOT NULL,
+    actor_id     UUID,                 -- NULL pour WEBHOOK, CRON, SYSTEM et GUEST
+    reason       TEXT,
+    metadata     JSONB NOT NULL DEFAULT '{}'::jsonb,
+
+    created_at   TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON TABLE  order_status_history           IS 'Journal append-only des transitions de orders.status';
+COMMENT ON COLUMN order_status_history.actor_id  IS 'auth.users.id de l''admin ou du client — pas de FK inter-schéma';
+COMMENT ON COLUMN order_status_history.metadata  IS 'Contexte technique : refundId, paymentIntentId, shipmentId…';
+
+CREATE INDEX IF NOT EXISTS idx_order_status_history_order
+    ON order_status_history(order_id, created_at);
+
+-- ── Reprise de l'existant ─────────────────────────────────────────────────────
+-- Une ligne d'amorce par commande existante pour que l'historique
+-- ne démarre jamais dans le vide.
+
+INSERT INTO order_status_history (order_id, from_status, to_status, actor_type, reason, created_at)
+SELECT o.id, NULL, o.status, 'SYSTEM', 'Statut repris lors de la migration 005', o.updated_at
+FROM orders o
+WHERE NOT EXISTS (
+    SELECT 1 FROM order_status_history h WHERE h.order_id = o.id
+);
+
+-- ── Fonction de nettoyage (migration 002) ─────────────────────────────────────
+-- Le cron annule désormais via orderService (transition tracée + libération du stock).
+
+COMMENT ON FUNCTION cleanup_abandoned_orders IS
+    'Obsolète depuis la migration 005 : ne trace pas order_status_history. Le cron passe par orderService.cancelOrderAndReleaseStock.';
@@ -0,0 +1,126 @@
+-- ================================================================
+-- Migration 006 — Codes promo (coupons)
+--
+-- Contrairement aux promotions du product-service (réductions automatiques
+-- portées par un produit ou une variante), un coupon est un code saisi par
+-- le client au checkout :
+--   PERCENTAGE    → pourcentage du sous-total éligible (plafonnable)
+--   FIXED_AMOUNT  → montant fixe, borné au sous-total éligible
+--   FREE_SHIPPING → frais de port offerts
+--
+-- Les compteurs d'usage sont incrémentés dans la transaction de création
+-- de commande, sous verrou de la ligne coupon (SELECT … FOR UPDATE) :
+-- la contrainte chk_coupon_usage est le dernier rempart en cas de bug applicatif.
+-- ================================================================
+
+SET search_path TO "order", public;
+
+-- ── Type ENUM ─────────────────────────────────────────────────────────────────
+
+DO $$ BEGIN
+    CREATE TYPE coupon_type_enum AS ENUM (
+        'PERCENTAGE',
+        'FIXED_AMOUNT',
+        'FREE_SHIPPING'
+    );
+EXCEPTION WHEN duplicate_object THEN NULL; END $$;
+
+-- ================================================================
+-- TABLE : coupons
+-- ================================================================
+
+CREATE TABLE IF NOT EXISTS coupons (
+    id                   UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    code                 VARCHAR(50) NOT NULL,
+    description          TEXT,
+
+    type                 coupon_type_enum NOT NULL,
+    value                NUMERIC(10,2) NOT NULL DEFAULT 0,
+    max_discount_amount  NUMERIC(10,2),          -- Plafond d'un PERCENTAGE (NULL = sans plafond)
+    min_subtotal         NUMERIC(10,2) NOT NULL DEFAULT 0,
+
+    usage_limit          INT,                    -- NULL = illimité
+    usage_limit_per_customer INT,                -- NULL = illimité
+    usage_count          INT NOT NULL DEFAULT 0,
+
+    starts_at            TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    expires_at           TIMESTAMP WITH TIME ZONE,
+    is_active            BOOLEAN NOT NULL DEFAULT TRUE,
+
+    created_by           UUID,
+    created_at           TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at           TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT chk_coupon_value CHECK (
+        (type = 'PERCENTAGE'    AND value > 0 AND value <= 100) OR
+        (type = 'FIXED_AMOUNT'  AND value > 0) OR
+        (type = 'FREE_SHIPPING' AND value = 0)
+    ),
+    CONSTRAINT chk_coupon_limits CHECK (
+        (usage_limit IS NULL OR usage_limit > 0) AND
+        (usage_limit_per_customer IS NULL OR usage_limit_per_customer > 0)
+    ),
+    CONSTRAINT chk_coupon_usage CHECK (
+        usage_count >= 0 AND (usage_limit IS NULL OR usage_count <= usage_limit)
+    ),
+    CONSTRAINT chk_coupon_dates CHECK (expires_at IS NULL OR expires_at > starts_at)
+);
+
+COMMENT ON COLUMN coupons.code        IS 'Saisi par le client — unicité insensible à la casse (idx_coupons_code_upper)';
+COMMENT ON COLUMN coupons.usage_count IS 'Commandes non annulées ayant utilisé le code';
+COMMENT ON COLUMN coupons.created_by  IS 'auth.users.id de l''admin — pas de FK inter-schéma';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_coupons_code_upper ON coupons(UPPER(code));
+
+CREATE OR REPLACE TRIGGER update_coupons_updated_at
+    BEFORE UPDATE ON coupons
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- ================================================================
+-- TABLES : périmètre (produits / catégories)
+-- Aucun périmètre = coupon valable sur tout le panier.
+-- ================================================================
+
+CREATE TABLE IF NOT EXISTS coupon_products (
+    coupon_id  UUID NOT NULL REFERENCES coupons(id) ON DELETE CASCADE,
+    product_id UUID NOT NULL,            -- product.products — pas de FK inter-schéma
+    PRIMARY KEY (coupon_id, product_id)
+);
+
+CREATE TABLE IF NOT EXISTS coupon_categories (
+    coupon_id   UUID NOT NULL REFERENCES coupons(id) ON DELETE CASCADE,
+    category_id UUID NOT NULL,           -- product.categories — pas de FK inter-schéma
+    PRIMARY KEY (coupon_id, category_id)
+);
+
+-- ================================================================
+-- TABLE : coupon_redemptions
+-- ================================================================
+
+CREATE TABLE IF NOT EXISTS coupon_redemptions (
+    id              BIGSERIAL PRIMARY KEY,
+    coupon_id       UUID NOT NULL REFERENCES coupons(id) ON DELETE RESTRICT,
+    order_id        UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    user_id         UUID,                -- NULL = commande guest
+    customer_email  VARCHAR(255),        -- Normalisé en minuscules, limite par client des guests
+    discount_amount NUMERIC(10,2) NOT NULL DEFAULT 0,
+    created_at      TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT unique_coupon_redemption_order UNIQUE (order_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_user  ON coupon_redemptions(coupon_id, user_id);
+CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_email ON coupon_redemptions(coupon_id, customer_email);
+
+-- ================================================================
+-- Commandes et lignes : trace du code appliqué
+-- ================================================================
+
+ALTER TABLE orders
+    ADD COLUMN IF NOT EXISTS coupon_code VARCHAR(50);
+
+ALTER TABLE order_items
+    ADD COLUMN IF NOT EXISTS discount_amount NUMERIC(10,2) NOT NULL DEFAULT 0;
+
+COMMENT ON COLUMN orders.discount_amount      IS 'Réduction HT appliquée aux articles (coupon)';
+COMMENT ON COLUMN orders.coupon_code          IS 'Snapshot du code promo saisi au checkout';
+COMMENT ON COLUMN order_items.discount_amount IS 'Part de la réduction coupon imputée à la ligne (base des remboursements)';
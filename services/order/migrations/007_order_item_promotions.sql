@@ -0,0 +1,22 @@
+-- ================================================================
+-- Migration 007 — Promotions produit appliquées aux lignes de commande
+--
+-- promotion_id référence product.promotions (schéma du product-service,
+-- sans clé étrangère) : la promotion qui a produit unit_price au checkout.
+-- Son utilisation est consommée via POST /internal/promotions/redeem et
+-- rendue à l'annulation de la commande.
+-- base_unit_price conserve le prix catalogue avant promotion.
+-- ================================================================
+
+SET search_path TO "order", public;
+
+ALTER TABLE order_items
+    ADD COLUMN IF NOT EXISTS promotion_id    UUID,
+    ADD COLUMN IF NOT EXISTS base_unit_price NUMERIC(10,2);
+
+CREATE INDEX IF NOT EXISTS idx_order_items_promotion
+    ON order_items(promotion_id)
+    WHERE promotion_id IS NOT NULL;
+
+COMMENT ON COLUMN order_items.promotion_id    IS 'Promotion produit (product.promotions) appliquée au prix unitaire, NULL sinon';
+COMMENT ON COLUMN order_items.base_unit_price IS 'Prix catalogue avant promotion produit';
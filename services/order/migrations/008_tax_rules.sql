@@ -0,0 +1,91 @@
+-- ================================================================
+-- Migration 008 — Règles de TVA en base et ventilation par ligne
+--
+-- Les taux étaient figés dans TaxService (#taxRates), indexés par nom
+-- de pays anglais, et une seule catégorie s'appliquait à toute la
+-- commande. Désormais :
+--   tax_rules            → taux par (pays ISO, catégorie), modifiables
+--                          par l'admin via /api/v1/taxes/rules
+--   products.tax_category → catégorie fiscale portée par le produit
+--                          (product-service, migration 004)
+--   order_items.tax_*    → taux et montant de TVA de chaque ligne
+--   orders.tax_breakdown → ventilation par taux (factures, déclarations)
+--
+-- tax_category est un VARCHAR contraint plutôt qu'un ENUM : la même
+-- liste est utilisée dans le schéma "product", sans type partagé.
+-- Les frais de port sont taxés au taux STANDARD du pays de livraison.
+-- ================================================================
+
+SET search_path TO "order", public;
+
+-- ================================================================
+-- TABLE : tax_rules
+-- ================================================================
+
+CREATE TABLE IF NOT EXISTS tax_rules (
+    id           UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    country_code CHAR(2)       NOT NULL,
+    tax_category VARCHAR(20)   NOT NULL,
+    rate         NUMERIC(5,2)  NOT NULL,
+    description  VARCHAR(255),
+    is_active    BOOLEAN       NOT NULL DEFAULT TRUE,
+    created_by   UUID,                 -- Admin auteur (pas de FK inter-service)
+    created_at   TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at   TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT chk_tax_rule_country  CHECK (country_code ~ '^[A-Z]{2}$'),
+    CONSTRAINT chk_tax_rule_category CHECK (
+        tax_category IN ('STANDARD', 'INTERMEDIATE', 'REDUCED', 'SUPER_REDUCED', 'ZERO')
+    ),
+    CONSTRAINT chk_tax_rule_rate     CHECK (rate >= 0 AND rate <= 100),
+    CONSTRAINT unique_tax_rule       UNIQUE (country_code, tax_category)
+);
+
+CREATE OR REPLACE TRIGGER update_tax_rules_updated_at
+    BEFORE UPDATE ON tax_rules
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE tax_rules IS
+    'Taux de TVA par pays (ISO 3166-1 alpha-2) et catégorie fiscale';
+COMMENT ON COLUMN tax_rules.is_active IS
+    'Une règle inactive est ignorée : la catégorie retombe sur le taux STANDARD du pays';
+
+-- Reprise des taux auparavant codés en dur dans TaxService
+INSERT INTO tax_rules (country_code, tax_category, rate, description) VALUES
+    ('FR', 'STANDARD',      20.0, NULL),
+    ('FR', 'INTERMEDIATE',  10.0, 'Restauration, transport'),
+    ('FR', 'REDUCED',        5.5, 'Livres, alimentation de base'),
+    ('BE', 'STANDARD',      21.0, NULL),
+    ('BE', 'INTERMEDIATE',  12.0, NULL),
+    ('BE', 'REDUCED',        6.0, NULL),
+    ('DE', 'STANDARD',      19.0, NULL),
+    ('DE', 'REDUCED',        7.0, NULL),
+    ('ES', 'STANDARD',      21.0, NULL),
+    ('ES', 'REDUCED',       10.0, NULL),
+    ('ES', 'SUPER_REDUCED',  4.0, NULL),
+    ('IT', 'STANDARD',      22.0, NULL),
+    ('IT', 'REDUCED',       10.0, NULL),
+    ('IT', 'SUPER_REDUCED',  5.0, NULL),
+    ('CH', 'STANDARD',       7.7, NULL),
+    ('CH', 'REDUCED',        2.5, NULL)
+ON CONFLICT (country_code, tax_category) DO NOTHING;
+
+-- ================================================================
+-- Commandes et lignes : snapshot fiscal
+-- ================================================================
+
+ALTER TABLE orders
+    ADD COLUMN IF NOT EXISTS tax_country   CHAR(2),
+    ADD COLUMN IF NOT EXISTS tax_breakdown JSONB NOT NULL DEFAULT '[]';
+
+ALTER TABLE order_items
+    ADD COLUMN IF NOT EXISTS tax_category VARCHAR(20),
+    ADD COLUMN IF NOT EXISTS tax_rate     NUMERIC(5,2),
+    ADD COLUMN IF NOT EXISTS tax_amount   NUMERIC(10,2) NOT NULL DEFAULT 0;
+
+COMMENT ON COLUMN orders.tax_rate      IS 'Taux moyen effectif (tax_amount / base taxable, en pourcentage)';
+COMMENT ON COLUMN orders.tax_country   IS 'Pays de taxation (ISO 3166-1 alpha-2), snapshot au checkout';
+COMMENT ON COLUMN orders.tax_breakdown IS
+    'Ventilation [{ taxCategory, rate, taxableAmount, taxAmount }] — frais de port inclus';
+COMMENT ON COLUMN order_items.tax_rate   IS 'Taux de TVA appliqué à la ligne (snapshot)';
+COMMENT ON COLUMN order_items.tax_amount IS 'TVA de la ligne, calculée après remise coupon';
@@ -0,0 +1,42 @@
+-- ================================================================
+-- Migration 009 — Autoliquidation de la TVA (B2B intracommunautaire)
+--
+-- Un client professionnel livré dans un autre État membre que le
+-- vendeur, avec un numéro de TVA valide (format + VIES), est facturé
+-- HT : la TVA est autoliquidée par l'acheteur. La facture doit alors
+-- mentionner les deux numéros et le motif d'exonération.
+--
+--   customer_company_name / customer_vat_number → snapshot du checkout
+--   tax_exemption_reason → NULL si la TVA a été facturée
+--   vat_validated_at / vat_validation_reference → preuve de la
+--                          consultation VIES (identifiant de requête)
+--
+-- Un numéro saisi hors cas d'autoliquidation (livraison dans le pays
+-- du vendeur, validateur indisponible) est conservé pour la facture,
+-- sans motif d'exonération.
+-- ================================================================
+
+SET search_path TO "order", public;
+
+ALTER TABLE orders
+    ADD COLUMN IF NOT EXISTS customer_company_name    VARCHAR(255),
+    ADD COLUMN IF NOT EXISTS customer_vat_number      VARCHAR(20),
+    ADD COLUMN IF NOT EXISTS tax_exemption_reason     VARCHAR(40),
+    ADD COLUMN IF NOT EXISTS vat_validated_at         TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS vat_validation_reference VARCHAR(100);
+
+DO $$ BEGIN
+    ALTER TABLE orders
+        ADD CONSTRAINT chk_order_tax_exemption_reason CHECK (
+            tax_exemption_reason IS NULL
+            OR (tax_exemption_reason = 'REVERSE_CHARGE_INTRA_EU' AND customer_vat_number IS NOT NULL)
+        );
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+COMMENT ON COLUMN orders.customer_vat_number IS
+    'Numéro de TVA intracommunautaire normalisé (préfixe inclus, ex : DE123456789)';
+COMMENT ON COLUMN orders.tax_exemption_reason IS
+    'Motif d''exonération de TVA — REVERSE_CHARGE_INTRA_EU : autoliquidation, TVA à 0';
+COMMENT ON COLUMN orders.vat_validation_reference IS
+    'Identifiant de consultation renvoyé par le validateur (VIES requestIdentifier)';
@@ -0,0 +1,82 @@
+-- ================================================================
+-- Migration 010 — Factures et avoirs
+--
+-- Une facture est émise au passage PAID de la commande, un avoir à
+-- chaque remboursement appliqué (POST /internal/orders/:id/refund).
+--
+-- NUMÉROTATION :
+-- Séquence continue par type et par année civile (FA-2026-000001,
+-- AV-2026-000001). Le compteur invoice_sequences est incrémenté dans
+-- la transaction d'émission (verrou de ligne via ON CONFLICT DO UPDATE) :
+-- un rollback ne consomme pas de numéro, la série reste sans trou.
+--
+-- Une facture émise est immuable : vendeur, client, lignes et
+-- ventilation de TVA sont figés en JSONB à l'émission et le PDF est
+-- régénéré à l'identique à partir de ce snapshot.
+-- ================================================================
+
+SET search_path TO "order", public;
+
+-- ── Type ENUM ─────────────────────────────────────────────────────────────────
+
+DO $$ BEGIN
+    CREATE TYPE invoice_type_enum AS ENUM ('INVOICE', 'CREDIT_NOTE');
+EXCEPTION WHEN duplicate_object THEN NULL; END $$;
+
+-- ================================================================
+-- TABLE : invoice_sequences
+-- ================================================================
+
+CREATE TABLE IF NOT EXISTS invoice_sequences (
+    invoice_type invoice_type_enum NOT NULL,
+    year         INT NOT NULL,
+    last_number  INT NOT NULL DEFAULT 0 CHECK (last_number >= 0),
+    PRIMARY KEY (invoice_type, year)
+);
+
+-- ================================================================
+-- TABLE : invoices
+-- ================================================================
+
+CREATE TABLE IF NOT EXISTS invoices (
+    id                   UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    invoice_number       VARCHAR(30) NOT NULL UNIQUE,
+    invoice_type         invoice_type_enum NOT NULL,
+    order_id             UUID NOT NULL REFERENCES orders(id) ON DELETE RESTRICT,
+    credited_invoice_id  UUID REFERENCES invoices(id) ON DELETE RESTRICT,
+    refund_id            UUID,          -- payment.refunds.id — pas de FK inter-schéma
+
+    currency             CHAR(3) NOT NULL DEFAULT 'EUR',
+    subtotal_amount      NUMERIC(10,2) NOT NULL,   -- HT, remises déduites, port compris
+    tax_amount           NUMERIC(10,2) NOT NULL,
+    total_amount         NUMERIC(10,2) NOT NULL,   -- TTC
+    tax_breakdown        JSONB NOT NULL DEFAULT '[]',
+    tax_exemption_reason VARCHAR(40),
+
+    seller               JSONB NOT NULL,
+    customer             JSONB NOT NULL,
+    lines                JSONB NOT NULL,
+
+    issued_at            TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT chk_invoice_amounts CHECK (
+        subtotal_amount >= 0 AND tax_amount >= 0 AND total_amount >= 0
+    ),
+    CONSTRAINT chk_invoice_credit_note CHECK (
+        (invoice_type = 'INVOICE'     AND credited_invoice_id IS NULL AND refund_id IS NULL) OR
+        (invoice_type = 'CREDIT_NOTE' AND credited_invoice_id IS NOT NULL AND refund_id IS NOT NULL)
+    )
+);
+
+COMMENT ON COLUMN invoices.invoice_number IS 'FA-YYYY-NNNNNN (facture) ou AV-YYYY-NNNNNN (avoir), séquence sans trou';
+COMMENT ON COLUMN invoices.total_amount   IS 'Montant TTC, positif : le type indique le sens (un avoir vient en déduction)';
+COMMENT ON COLUMN invoices.lines          IS
+    'Snapshot [{ description, quantity, unitPrice, netAmount, taxRate, taxAmount, totalAmount }]';
+
+-- Une seule facture par commande, un seul avoir par remboursement
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invoices_order_invoice
+    ON invoices(order_id) WHERE invoice_type = 'INVOICE';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invoices_refund
+    ON invoices(refund_id) WHERE refund_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_invoices_order ON invoices(order_id);
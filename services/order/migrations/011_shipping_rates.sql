@@ -0,0 +1,139 @@
+-- ================================================================
+-- Migration 011 — Grille de frais de port en base
+--
+-- Zones, méthodes, tranches de poids, francos et délais étaient figés
+-- dans ShippingService (#shippingRates, #countryZones,
+-- #getEstimatedDelivery). Ils sont désormais administrables via
+-- /api/v1/shipping/zones et /api/v1/shipping/methods.
+--
+--   shipping_zones            → zone tarifaire ; une seule zone par défaut
+--                               (pays non rattachés)
+--   shipping_zone_countries   → pays ISO → zone (un pays, une zone)
+--   shipping_methods          → méthode par zone : base + prix/kg, franco,
+--                               délai affiché, transporteur
+--   shipping_weight_brackets  → tranches optionnelles : prix fixe jusqu'à
+--                               max_weight_kg ; au-delà de la dernière
+--                               tranche, + per_kg par kg excédentaire
+--
+-- Les valeurs initiales reprennent à l'identique l'ancienne grille.
+-- ================================================================
+
+SET search_path TO "order", public;
+
+-- ================================================================
+-- TABLE : shipping_zones
+-- ================================================================
+
+CREATE TABLE IF NOT EXISTS shipping_zones (
+    id         UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    code       VARCHAR(30)  NOT NULL UNIQUE,
+    name       VARCHAR(100) NOT NULL,
+    is_default BOOLEAN NOT NULL DEFAULT FALSE,
+    is_active  BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT chk_shipping_zone_code CHECK (code ~ '^[A-Z0-9_]+$')
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_shipping_zones_default
+    ON shipping_zones(is_default) WHERE is_default = TRUE;
+
+CREATE OR REPLACE TRIGGER update_shipping_zones_updated_at
+    BEFORE UPDATE ON shipping_zones
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- ================================================================
+-- TABLE : shipping_zone_countries
+-- ================================================================
+
+CREATE TABLE IF NOT EXISTS shipping_zone_countries (
+    country_code CHAR(2) PRIMARY KEY,
+    zone_id      UUID NOT NULL REFERENCES shipping_zones(id) ON DELETE CASCADE,
+
+    CONSTRAINT chk_shipping_country_code CHECK (country_code ~ '^[A-Z]{2}$')
+);
+
+CREATE INDEX IF NOT EXISTS idx_shipping_zone_countries_zone ON shipping_zone_countries(zone_id);
+
+-- ================================================================
+-- TABLE : shipping_methods
+-- ================================================================
+
+CREATE TABLE IF NOT EXISTS shipping_methods (
+    id             UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    zone_id        UUID NOT NULL REFERENCES shipping_zones(id) ON DELETE CASCADE,
+    method         VARCHAR(20)  NOT NULL,
+    label          VARCHAR(100) NOT NULL,
+    carrier        VARCHAR(30),
+    base_price     NUMERIC(10,2) NOT NULL DEFAULT 0,
+    per_kg         NUMERIC(10,2) NOT NULL DEFAULT 0,
+    free_above     NUMERIC(10,2),                -- NULL = jamais offert
+    estimated_days VARCHAR(20)  NOT NULL DEFAULT '7-14',
+    sort_order     INT NOT NULL DEFAULT 0,
+    is_active      BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at     TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at     TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT uq_shipping_method_zone UNIQUE (zone_id, method),
+    CONSTRAINT chk_shipping_method_code CHECK (method ~ '^[A-Z0-9_]+$'),
+    CONSTRAINT chk_shipping_method_prices CHECK (
+        base_price >= 0 AND per_kg >= 0 AND (free_above IS NULL OR free_above >= 0)
+    )
+);
+
+COMMENT ON COLUMN shipping_methods.method         IS 'Code transmis au checkout (shippingMethod) : STANDARD, EXPRESS, RELAY…';
+COMMENT ON COLUMN shipping_methods.free_above     IS 'Franco : port offert à partir de ce sous-total (NULL = jamais)';
+COMMENT ON COLUMN shipping_methods.estimated_days IS 'Délai affiché au client (ex : "2-3", "24h")';
+
+CREATE OR REPLACE TRIGGER update_shipping_methods_updated_at
+    BEFORE UPDATE ON shipping_methods
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- ================================================================
+-- TABLE : shipping_weight_brackets
+-- ================================================================
+
+CREATE TABLE IF NOT EXISTS shipping_weight_brackets (
+    id            BIGSERIAL PRIMARY KEY,
+    method_id     UUID NOT NULL REFERENCES shipping_methods(id) ON DELETE CASCADE,
+    max_weight_kg NUMERIC(8,3)  NOT NULL CHECK (max_weight_kg > 0),
+    price         NUMERIC(10,2) NOT NULL CHECK (price >= 0),
+
+    CONSTRAINT uq_shipping_bracket UNIQUE (method_id, max_weight_kg)
+);
+
+-- ================================================================
+-- DONNÉES INITIALES — ancienne grille codée en dur
+-- ================================================================
+
+INSERT INTO shipping_zones (code, name, is_default) VALUES
+    ('FRANCE',        'France métropolitaine', FALSE),
+    ('EUROPE',        'Europe',                FALSE),
+    ('INTERNATIONAL', 'International',         TRUE)
+ON CONFLICT (code) DO NOTHING;
+
+INSERT INTO shipping_zone_countries (country_code, zone_id)
+SELECT c.country_code, z.id
+FROM (VALUES
+    ('FR', 'FRANCE'),
+    ('BE', 'EUROPE'), ('DE', 'EUROPE'), ('ES', 'EUROPE'), ('IT', 'EUROPE'),
+    ('NL', 'EUROPE'), ('PT', 'EUROPE'), ('CH', 'EUROPE')
+) AS c(country_code, zone_code)
+JOIN shipping_zones z ON z.code = c.zone_code
+ON CONFLICT (country_code) DO NOTHING;
+
+INSERT INTO shipping_methods
+    (zone_id, method, label, carrier, base_price, per_kg, free_above, estimated_days, sort_order)
+SELECT z.id, m.method, m.label, m.carrier, m.base_price, m.per_kg, m.free_above, m.estimated_days, m.sort_order
+FROM (VALUES
+    ('FRANCE',        'STANDARD', 'Livraison Standard', 'COLISSIMO',  5.90, 0.50,  50.00, '2-3',   1),
+    ('FRANCE',        'EXPRESS',  'Livraison Express',  'CHRONOPOST', 9.90, 1.00, 100.00, '24h',   2),
+    ('FRANCE',        'RELAY',    'Point Relais',       'MONDIAL_RELAY', 3.90, 0.30, 40.00, '3-5', 3),
+    ('EUROPE',        'STANDARD', 'Livraison Standard', 'COLISSIMO', 12.50, 1.50,  80.00, '5-7',   1),
+    ('EUROPE',        'EXPRESS',  'Livraison Express',  'DHL',       24.90, 3.00, 150.00, '2-3',   2),
+    ('INTERNATIONAL', 'STANDARD', 'Livraison Standard', 'COLISSIMO', 25.00, 5.00, 200.00, '10-15', 1),
+    ('INTERNATIONAL', 'EXPRESS',  'Livraison Express',  'DHL',       45.00, 8.00,   NULL, '5-7',   2)
+) AS m(zone_code, method, label, carrier, base_price, per_kg, free_above, estimated_days, sort_order)
+JOIN shipping_zones z ON z.code = m.zone_code
+ON CONFLICT (zone_id, method) DO NOTHING;
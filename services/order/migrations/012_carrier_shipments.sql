@@ -0,0 +1,80 @@
+-- ================================================================
+-- Migration 012 — Intégration transporteurs : étiquettes et suivi
+--
+-- Le transporteur et le numéro de suivi étaient saisis à la main par
+-- l'admin. Au passage en SHIPPED, l'adaptateur transporteur
+-- (ENV.carriers.adapter) crée désormais l'envoi et son étiquette ;
+-- les webhooks de suivi alimentent shipment_events et font avancer
+-- l'expédition puis la commande (DELIVERED + email au client).
+--
+--   shipments        + status / current_location (écrits par le code mais
+--                      absents du schéma), étiquette et référence transporteur
+--   shipment_events  → journal des événements transporteur, dédoublonné
+--                      par (shipment_id, carrier_event_id) : un webhook
+--                      rejoué n'a aucun effet
+-- ================================================================
+
+SET search_path TO "order", public;
+
+-- ================================================================
+-- TABLE : shipments — colonnes transporteur
+-- ================================================================
+
+ALTER TABLE shipments
+    ADD COLUMN IF NOT EXISTS status            VARCHAR(30) NOT NULL DEFAULT 'PREPARING',
+    ADD COLUMN IF NOT EXISTS current_location  VARCHAR(255),
+    ADD COLUMN IF NOT EXISTS carrier_reference VARCHAR(100),
+    ADD COLUMN IF NOT EXISTS tracking_url      TEXT,
+    ADD COLUMN IF NOT EXISTS label             BYTEA,
+    ADD COLUMN IF NOT EXISTS label_format      VARCHAR(10),
+    ADD COLUMN IF NOT EXISTS label_created_at  TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS last_event_at     TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS created_at        TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+-- Expéditions existantes : statut déduit des horodatages
+UPDATE shipments
+SET status = CASE
+        WHEN delivered_at IS NOT NULL THEN 'DELIVERED'
+        WHEN shipped_at   IS NOT NULL THEN 'SHIPPED'
+        ELSE status
+    END
+WHERE status = 'PREPARING';
+
+DO $$ BEGIN
+    ALTER TABLE shipments ADD CONSTRAINT chk_shipment_status CHECK (
+        status IN ('PREPARING', 'SHIPPED', 'IN_TRANSIT', 'OUT_FOR_DELIVERY', 'DELIVERED', 'FAILED', 'RETURNED')
+    );
+EXCEPTION WHEN duplicate_object THEN NULL; END $$;
+
+-- Résolution des webhooks : le transporteur n'envoie que le numéro de suivi
+CREATE INDEX IF NOT EXISTS idx_shipments_tracking_number
+    ON shipments(tracking_number) WHERE tracking_number IS NOT NULL;
+
+COMMENT ON COLUMN shipments.carrier_reference IS 'Identifiant de l''envoi chez le transporteur';
+COMMENT ON COLUMN shipments.label             IS 'Étiquette renvoyée par le transporteur (PDF), jamais exposée hors back-office';
+COMMENT ON COLUMN shipments.last_event_at     IS 'Date du dernier événement appliqué : un événement plus ancien reçu en retard ne recule pas le statut';
+
+-- ================================================================
+-- TABLE : shipment_events
+-- ================================================================
+
+CREATE TABLE IF NOT EXISTS shipment_events (
+    id               BIGSERIAL PRIMARY KEY,
+    shipment_id      BIGINT NOT NULL REFERENCES shipments(id) ON DELETE CASCADE,
+    carrier_event_id VARCHAR(100) NOT NULL,
+    status           VARCHAR(30)  NOT NULL,
+    location         VARCHAR(255),
+    description      TEXT,
+    occurred_at      TIMESTAMP WITH TIME ZONE NOT NULL,
+    received_at      TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    payload          JSONB,
+
+    CONSTRAINT uq_shipment_event UNIQUE (shipment_id, carrier_event_id),
+    CONSTRAINT chk_shipment_event_status CHECK (
+        status IN ('PREPARING', 'SHIPPED', 'IN_TRANSIT', 'OUT_FOR_DELIVERY', 'DELIVERED', 'FAILED', 'RETURNED')
+    )
+);
+
+CREATE INDEX IF NOT EXISTS idx_shipment_events_shipment ON shipment_events(shipment_id, occurred_at);
+
+COMMENT ON TABLE shipment_events IS 'Événements de suivi reçus des transporteurs (webhooks)';
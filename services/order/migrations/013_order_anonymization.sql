@@ -0,0 +1,22 @@
+-- ================================================================
+-- Migration 013 — Anonymisation des commandes (RGPD, droit à l'effacement)
+--
+-- À la suppression d'un compte, les commandes sont conservées pour la
+-- comptabilité mais perdent leurs données personnelles : adresses de
+-- livraison et de facturation réduites au pays, étiquettes transporteur
+-- supprimées, email des utilisations de coupons effacé.
+--
+-- Les factures et avoirs ne sont pas modifiés : leur snapshot client
+-- relève de l'obligation légale de conservation des pièces comptables.
+--
+--   anonymized_at → date de l'effacement, NULL tant que la commande
+--                   porte encore des données personnelles
+-- ================================================================
+
+SET search_path TO "order", public;
+
+ALTER TABLE orders
+    ADD COLUMN IF NOT EXISTS anonymized_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN orders.anonymized_at IS
+    'Effacement RGPD : adresses réduites au pays, la commande reste dans le chiffre d''affaires';
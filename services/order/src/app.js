@@ -45,7 +45,14 @@ app.get('/health', async (_req, res) => {
 // BODY PARSING
 // ─────────────────────────────────────────────────────────────────────
 
-app.use(express.json());
+// rawBody est conservé pour vérifier la signature HMAC des webhooks transporteurs
+app.use(
+    express.json({
+        verify: (req, _res, buf) => {
+            req.rawBody = buf;
+        },
+    })
+);
 app.use(express.urlencoded({ extended: true }));
 
 // ─────────────────────────────────────────────────────────────────────
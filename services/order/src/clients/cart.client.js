@@ -0,0 +1,66 @@
+/**
+ * @module Clients/Cart
+ *
+ * Client HTTP vers le cart-service.
+ * Signale les commandes payées : le cart-service arrête les relances de panier
+ * abandonné de l'utilisateur et attribue la commande à la dernière relance reçue
+ * (statistiques de conversion).
+ *
+ * Fire-and-forget par conception : les relances sont un canal marketing,
+ * leur suivi ne doit jamais faire échouer le passage en PAID.
+ *
+ * VARIABLES D'ENVIRONNEMENT REQUISES :
+ *   CART_SERVICE_URL      → URL du cart-service
+ *   INTERNAL_CART_SECRET  → secret partagé validé par internal.middleware.js
+ */
+import { logError } from '../utils/logger.js';
+import { ENV } from '../config/environment.js';
+
+const BASE_URL = `${ENV.services.cartServiceUrl}/internal/cart`;
+const TIMEOUT_MS = ENV.services.httpTimeoutMs ?? 5000;
+
+// ── Utilitaires ────────────────────────────────────────────────────────────────
+
+const buildHeaders = () => ({
+    'Content-Type': 'application/json',
+    'X-Internal-Secret': ENV.internal.cartSecret,
+});
+
+const fetchWithTimeout = async (url, options) => {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), TIMEOUT_MS);
+    try {
+        return await fetch(url, { ...options, signal: controller.signal });
+    } finally {
+        clearTimeout(timeoutId);
+    }
+};
+
+// ── Client ─────────────────────────────────────────────────────────────────────
+
+export const cartClient = {
+
+    /**
+     * Commande payée par un utilisateur connecté.
+     * Ne lève jamais d'exception — une erreur est loggée mais ne bloque pas l'appelant.
+     *
+     * @param {string} userId
+     * @param {{ orderId: string, totalAmount: number }} order
+     */
+    async notifyOrderPaid(userId, { orderId, totalAmount }) {
+        try {
+            const response = await fetchWithTimeout(`${BASE_URL}/${userId}/ordered`, {
+                method: 'POST',
+                headers: buildHeaders(),
+                body: JSON.stringify({ orderId, totalAmount }),
+            });
+
+            if (!response.ok) {
+                const body = await response.json().catch(() => ({}));
+                throw new Error(`[cartClient.notifyOrderPaid] HTTP ${response.status} — ${body?.message}`);
+            }
+        } catch (error) {
+            logError(error, { context: 'cartClient.notifyOrderPaid', userId, orderId });
+        }
+    },
+};
@@ -0,0 +1,98 @@
+/**
+ * @module Clients/FakeCarrier
+ *
+ * Transporteur simulé, entièrement en mémoire : implémente le contrat des
+ * adaptateurs transporteur (cf. Service/Carrier) sans aucun appel réseau.
+ * Utilisé par les tests et le développement hors ligne.
+ *
+ * Envoi : numéro de suivi aléatoire préfixé par le transporteur demandé,
+ * étiquette PDF générée localement.
+ *
+ * Webhook : corps JSON `{ events: [{ id?, trackingNumber, status, occurredAt?,
+ * location?, description? }] }`, signé en HMAC-SHA256 hexadécimal du corps brut
+ * dans l'en-tête X-Carrier-Signature. `sign()` produit cette signature pour
+ * simuler un transporteur.
+ */
+import crypto from 'crypto';
+import { ENV } from '../config/environment.js';
+import { SHIPMENT_STATUS, isValidEnum } from '../constants/enums.js';
+import { PdfDocument } from '../utils/pdf.js';
+
+const SIGNATURE_HEADER = 'x-carrier-signature';
+
+const buildLabel = ({ trackingNumber, carrier, reference, weightKg, recipient }) => {
+    const pdf = new PdfDocument({ title: `Étiquette ${trackingNumber}` });
+
+    pdf.text(carrier, 50, 60, { size: 18, bold: true });
+    pdf.text(trackingNumber, 50, 90, { size: 14, bold: true });
+    pdf.line(50, 105, 300, 105);
+    pdf.text('DESTINATAIRE', 50, 125, { size: 8, bold: true });
+    recipient.lines.forEach((line, index) => pdf.text(line, 50, 140 + index * 14, { size: 11 }));
+    pdf.text(`Réf. ${reference} — ${weightKg.toFixed(2)} kg`, 50, 230, { size: 9 });
+    pdf.text('SPÉCIMEN — transporteur simulé', 50, 250, { size: 8 });
+
+    return pdf.toBuffer();
+};
+
+export const fakeCarrierClient = {
+    name: 'fake',
+
+    /**
+     * @param {{ reference: string, carrier: string, weightKg: number,
+     *   recipient: { name: string, lines: string[], countryCode: string } }} parcel
+     * @returns {Promise<{ trackingNumber: string, carrierReference: string, trackingUrl: string|null,
+     *   label: Buffer, labelFormat: string }>}
+     */
+    async createShipment({ reference, carrier, weightKg, recipient }) {
+        const trackingNumber = `${carrier.substring(0, 3)}${crypto.randomBytes(5).toString('hex').toUpperCase()}`;
+
+        return {
+            trackingNumber,
+            carrierReference: `FAKE-${reference}`,
+            trackingUrl: ENV.carriers.trackingBaseUrl ? `${ENV.carriers.trackingBaseUrl}${trackingNumber}` : null,
+            label: buildLabel({ trackingNumber, carrier, reference, weightKg, recipient }),
+            labelFormat: 'PDF',
+        };
+    },
+
+    sign(rawBody) {
+        return crypto.createHmac('sha256', ENV.carriers.webhookSecret).update(rawBody).digest('hex');
+    },
+
+    /**
+     * @param {Buffer} rawBody
+     * @param {object} headers - En-têtes HTTP (clés en minuscules)
+     */
+    verifyWebhook(rawBody, headers) {
+        const provided = headers[SIGNATURE_HEADER];
+        if (!ENV.carriers.webhookSecret || typeof provided !== 'string') return false;
+
+        const expectedBuf = Buffer.from(this.sign(rawBody));
+        const providedBuf = Buffer.from(provided);
+        return providedBuf.length === expectedBuf.length && crypto.timingSafeEqual(providedBuf, expectedBuf);
+    },
+
+    /**
+     * Événements normalisés. Un événement sans identifiant est identifié par son
+     * statut et sa date, pour que sa relivraison soit dédoublonnée.
+     * @returns {Array<{ eventId: string, trackingNumber: string, status: string,
+     *   occurredAt: Date, location: string|null, description: string|null, payload: object }>}
+     */
+    parseWebhook(body) {
+        const events = Array.isArray(body?.events) ? body.events : [];
+
+        return events
+            .filter((event) => event?.trackingNumber && isValidEnum(event.status, SHIPMENT_STATUS))
+            .map((event) => ({ event, occurredAt: event.occurredAt ? new Date(event.occurredAt) : new Date() }))
+            .filter(({ occurredAt }) => !Number.isNaN(occurredAt.getTime()))
+            .map(({ event, occurredAt }) => ({
+                eventId: String(event.id ?? `${event.status}:${occurredAt.toISOString()}`),
+                trackingNumber: String(event.trackingNumber),
+                status: event.status,
+                occurredAt,
+                location: event.location ?? null,
+                description: event.description ?? null,
+                payload: event,
+            }));
+    },
+};
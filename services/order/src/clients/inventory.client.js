@@ -127,4 +127,24 @@ export const inventoryClient = {
             throw error;
         }
     },
+    /**
+     * Réintègre au stock disponible des articles vendus puis remboursés après expédition.
+     * Appelé lors d'un remboursement, via la route interne déclenchée par le payment-service.
+     *
+     * @throws {Error} Si la variante est introuvable ou si le product-service est inaccessible
+     */
+    async restock(variantId, quantity) {
+        try {
+            const response = await fetchWithTimeout(`${BASE_URL}/restock`, {
+                method: 'POST',
+                headers: buildHeaders(),
+                body: JSON.stringify({ variantId, quantity }),
+            });
+
+            return await parseResponse(response, 'restock');
+        } catch (error) {
+            logError(error, { context: 'inventoryClient.restock', variantId, quantity });
+            throw error;
+        }
+    },
 };
\ No newline at end of file
@@ -102,4 +102,13 @@ export const notificationClient = {
     async notifyOrderCancelled(to, orderData, reason = null) {
         return this.enqueue('order.cancelled', to, { orderData, reason });
     },
+    /**
+     * Étape d'une demande de retour (ouverture, acceptation, refus, réception, remboursement).
+     * @param {string} to         - Email du destinataire
+     * @param {object} orderData  - Données de la commande
+     * @param {object} returnData - Demande de retour (status, items, adminNote)
+     */
+    async notifyReturnUpdate(to, orderData, returnData) {
+        return this.enqueue('order.return_update', to, { orderData, returnData });
+    },
 };
@@ -0,0 +1,103 @@
+/**
+ * @module Clients/Payment
+ *
+ * Client HTTP de l'order-service vers le payment-service.
+ * Utilisé pour déclencher le remboursement Stripe des articles d'un retour client
+ * et pour lire les paiements d'un client lors de son export RGPD.
+ *
+ * Communication sécurisée par le header `X-Internal-Secret` (INTERNAL_ORDER_SECRET),
+ * validé côté payment-service par `fromOrderService` (internal.middleware.js).
+ */
+import { ENV } from '../config/environment.js';
+import { logError } from '../utils/logger.js';
+
+const BASE_URL = `${ENV.services.paymentServiceUrl}/internal/payments`;
+const TIMEOUT_MS = ENV.services.httpTimeoutMs;
+
+// ── Utilitaires ───────────────────────────────────────────────────────────────
+
+const buildHeaders = () => ({
+    'Content-Type': 'application/json',
+    'X-Internal-Secret': ENV.internal.orderSecret,
+});
+
+/**
+ * Fetch avec timeout via AbortController.
+ * L'appel Stripe est fait de manière synchrone côté payment-service : le timeout
+ * borne l'attente de l'admin qui valide la réception du retour.
+ */
+const fetchWithTimeout = async (url, options) => {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), TIMEOUT_MS);
+
+    try {
+        return await fetch(url, { ...options, signal: controller.signal });
+    } finally {
+        clearTimeout(timeoutId);
+    }
+};
+
+const parseResponse = async (response, context) => {
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+        const message = body?.message || `HTTP ${response.status}`;
+        const error = new Error(`[paymentClient.${context}] ${message}`);
+        error.statusCode = response.status;
+        error.body = body;
+        throw error;
+    }
+
+    return body?.data ?? body;
+};
+
+// ── Client ────────────────────────────────────────────────────────────────────
+
+export const paymentClient = {
+
+    /**
+     * Demande le remboursement des lignes d'une commande.
+     * `restock: false` car le stock des articles retournés est réintégré par l'order-service
+     * dès leur réception.
+     *
+     * @param {string} orderId
+     * @param {{ items: Array<{ orderItemId: number, quantity: number }>, reason?: string }} refundData
+     * @returns {Promise<{ refund: object }>}
+     */
+    async refundOrderItems(orderId, { items, reason = null }) {
+        try {
+            const response = await fetchWithTimeout(`${BASE_URL}/refunds/${orderId}`, {
+                method: 'POST',
+                headers: buildHeaders(),
+                body: JSON.stringify({ items, reason, restock: false }),
+            });
+
+            return await parseResponse(response, 'refundOrderItems');
+        } catch (error) {
+            logError(error, { context: 'paymentClient.refundOrderItems', orderId });
+            throw error;
+        }
+    },
+
+    /**
+     * Paiements et remboursements de commandes, pour l'export RGPD d'un client.
+     * Lève une exception en cas d'échec : un export incomplet ne doit pas être livré.
+     *
+     * @param {string[]} orderIds
+     * @returns {Promise<{ payments: object[], refunds: object[] }>}
+     */
+    async exportPayments(orderIds) {
+        try {
+            const response = await fetchWithTimeout(`${BASE_URL}/export`, {
+                method: 'POST',
+                headers: buildHeaders(),
+                body: JSON.stringify({ orderIds }),
+            });
+
+            return await parseResponse(response, 'exportPayments');
+        } catch (error) {
+            logError(error, { context: 'paymentClient.exportPayments', count: orderIds.length });
+            throw error;
+        }
+    },
+};
@@ -6,7 +6,9 @@
  *
  * Données retournées par le product-service :
  * - `getVariant`        → { id, price, weight, sku, productId, attributes }
- * - `getPromotionPrice` → { basePrice, effectivePrice, hasPromotion }
+ * - `getPromotionPrice` → { basePrice, effectivePrice, hasPromotion, promotionId }
+ * - `redeemPromotions`  → { redeemed: string[], exhausted: string[] }
+ * - `releasePromotions` → { released: string[] }
  */
 import { ENV } from '../config/environment.js';
 import { logError } from '../utils/logger.js';
@@ -14,6 +16,7 @@ import { logError } from '../utils/logger.js';
 // product-service expose ses variants sous /internal/variants
 // (chemin distinct de l'ancien /internal/products pour plus de clarté)
 const BASE_URL = `${ENV.services.productServiceUrl}/internal/variants`;
+const PROMOTIONS_URL = `${ENV.services.productServiceUrl}/internal/promotions`;
 const TIMEOUT_MS = ENV.services.httpTimeoutMs;
 
 // ── Utilitaires ───────────────────────────────────────────────────────────────
@@ -64,7 +67,7 @@ export const productClient = {
     async getVariant(variantId) {
         try {
             const response = await fetchWithTimeout(
-                `${BASE_URL}/variant/${variantId}`,
+                `${BASE_URL}/${variantId}`,
                 { method: 'GET', headers: buildHeaders() }
             );
 
@@ -80,13 +83,13 @@ export const productClient = {
      * Retourne le prix de base si aucune promotion n'est active.
      *
      * @param {string} variantId - UUID de la variante
-     * @returns {{ basePrice: number, effectivePrice: number, hasPromotion: boolean }}
+     * @returns {{ basePrice: number, effectivePrice: number, hasPromotion: boolean, promotionId: string|null }}
      * @throws {Error} Si le monolith est inaccessible
      */
     async getPromotionPrice(variantId) {
         try {
             const response = await fetchWithTimeout(
-                `${BASE_URL}/variant/${variantId}/promo`,
+                `${BASE_URL}/${variantId}/promo`,
                 { method: 'GET', headers: buildHeaders() }
             );
 
@@ -96,4 +99,50 @@ export const productClient = {
             throw error;
         }
     },
+
+    /**
+     * Consomme une utilisation de chaque promotion pour la commande (garde max_usage).
+     * Les promotions épuisées entre-temps sont renvoyées dans `exhausted`.
+     *
+     * @param {string}   orderId      - UUID de la commande (généré avant l'INSERT)
+     * @param {string[]} promotionIds - Promotions retenues par getPromotionPrice
+     * @returns {{ redeemed: string[], exhausted: string[] }}
+     * @throws {Error} Si le product-service est inaccessible
+     */
+    async redeemPromotions(orderId, promotionIds) {
+        try {
+            const response = await fetchWithTimeout(`${PROMOTIONS_URL}/redeem`, {
+                method: 'POST',
+                headers: buildHeaders(),
+                body: JSON.stringify({ orderId, promotionIds }),
+            });
+
+            return await parseResponse(response, 'redeemPromotions');
+        } catch (error) {
+            logError(error, { context: 'productClient.redeemPromotions', orderId });
+            throw error;
+        }
+    },
+
+    /**
+     * Rend les utilisations consommées par une commande annulée ou non créée.
+     * Sans effet si la commande n'a consommé aucune promotion.
+     *
+     * @param {string} orderId - UUID de la commande
+     * @throws {Error} Si le product-service est inaccessible
+     */
+    async releasePromotions(orderId) {
+        try {
+            const response = await fetchWithTimeout(`${PROMOTIONS_URL}/release`, {
+                method: 'POST',
+                headers: buildHeaders(),
+                body: JSON.stringify({ orderId }),
+            });
+
+            return await parseResponse(response, 'releasePromotions');
+        } catch (error) {
+            logError(error, { context: 'productClient.releasePromotions', orderId });
+            throw error;
+        }
+    },
 };
\ No newline at end of file
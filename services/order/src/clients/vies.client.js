@@ -0,0 +1,67 @@
+/**
+ * @module Clients/Vies
+ *
+ * Client HTTP vers VIES, le service de la Commission européenne qui confirme
+ * qu'un numéro de TVA intracommunautaire est actif dans son État membre.
+ *
+ * VIES répond 200 même lorsque le registre national est indisponible
+ * (`actionSucceed: false`, erreurs MS_UNAVAILABLE, TIMEOUT…) : seule la présence
+ * d'un booléen `valid` vaut réponse. Tout autre cas lève une erreur, que
+ * vatValidationService traduit en « validation indisponible ».
+ */
+import { ENV } from '../config/environment.js';
+import { logError } from '../utils/logger.js';
+
+const TIMEOUT_MS = ENV.services.httpTimeoutMs;
+
+const fetchWithTimeout = async (url, options) => {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), TIMEOUT_MS);
+
+    try {
+        return await fetch(url, { ...options, signal: controller.signal });
+    } finally {
+        clearTimeout(timeoutId);
+    }
+};
+
+// ── Client ────────────────────────────────────────────────────────────────────
+
+export const viesClient = {
+
+    /**
+     * @param {string} vatPrefix - Préfixe TVA de l'État membre (EL pour la Grèce)
+     * @param {string} number    - Numéro sans préfixe, normalisé
+     * @returns {Promise<{ valid: boolean, name: string|null, reference: string|null }>}
+     * @throws {Error} Si VIES ou le registre national ne répond pas
+     */
+    async checkVatNumber(vatPrefix, number) {
+        try {
+            const response = await fetchWithTimeout(ENV.vat.viesUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+                body: JSON.stringify({ countryCode: vatPrefix, vatNumber: number }),
+            });
+
+            const body = await response.json().catch(() => ({}));
+
+            if (!response.ok || typeof body?.valid !== 'boolean') {
+                const reason = body?.errorWrappers?.[0]?.error || `HTTP ${response.status}`;
+                const error = new Error(`[viesClient.checkVatNumber] ${reason}`);
+                error.statusCode = response.status;
+                error.body = body;
+                throw error;
+            }
+
+            return {
+                valid: body.valid,
+                // VIES renvoie "---" lorsque l'État membre ne divulgue pas le nom
+                name: body.name && body.name !== '---' ? body.name : null,
+                reference: body.requestIdentifier || null,
+            };
+        } catch (error) {
+            logError(error, { context: 'viesClient.checkVatNumber', vatPrefix });
+            throw error;
+        }
+    },
+};
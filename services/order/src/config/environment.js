@@ -13,14 +13,18 @@ import 'dotenv/config';
 
 const requiredEnv = [
     'PORT',
-    'JWT_ACCESS_SECRET',          // Valider les tokens émis par l'auth-service
+    'AUTH_SERVICE_URL',           // JWKS : clés publiques des access tokens émis par l'auth-service
     'REDIS_URL',
     'CLIENT_URL',
     'MONOLITH_URL',               // Appels HTTP vers le monolith (paiement)
     'PRODUCT_SERVICE_URL',        // Appels HTTP vers /internal/inventory et /internal/variants
     'INTERNAL_PRODUCT_SECRET',    // Secret partagé avec le product-service (stock + variants)
     'INTERNAL_ORDER_SECRET',      // Secret partagé avec le monolith (payment webhook)
-    'INTERNAL_AUTH_SECRET',       // Secret partagé avec l'auth-service (autoClaimGuestOrders)
+    'INTERNAL_AUTH_SECRET',       // Secret partagé avec l'auth-service (autoClaimGuestOrders, export et effacement RGPD)
+    'INTERNAL_AUDIT_SECRET',      // Journal des requêtes "voir en tant que client" vers l'auth-service
+    'PAYMENT_SERVICE_URL',        // Appels HTTP vers /internal/payments (remboursement des retours)
+    'CART_SERVICE_URL',           // Commandes payées signalées au cart-service (relances de panier)
+    'INTERNAL_CART_SECRET',       // Secret partagé avec le cart-service
     // Notification-service — emails transactionnels déportés (expédition, livraison, annulation)
     'NOTIFICATION_SERVICE_URL',
     'INTERNAL_NOTIFICATION_SECRET',
@@ -78,10 +82,9 @@ export const ENV = Object.freeze({
     },
 
     jwt: {
-        // Le refresh secret n'est pas nécessaire ici : l'order-service
-        // valide uniquement les access tokens, il n'émet pas de tokens.
-        accessTokenSecret: process.env.JWT_ACCESS_SECRET,
-        accessTokenExpiry: process.env.JWT_ACCESS_EXPIRY || '15m',
+        // Aucun secret ici : l'order-service vérifie les access tokens
+        // avec les clés publiques de l'auth-service, il ne peut pas en émettre.
+        jwksCacheTtlMs: Number(process.env.JWKS_CACHE_TTL_MS) || 10 * 60 * 1000,
     },
 
     rateLimit: {
@@ -98,9 +101,12 @@ export const ENV = Object.freeze({
 
     // Communication inter-services (appels HTTP sortants)
     services: {
+        authServiceUrl: process.env.AUTH_SERVICE_URL,
         monolithUrl: process.env.MONOLITH_URL,
         productServiceUrl: process.env.PRODUCT_SERVICE_URL,
         notificationServiceUrl: process.env.NOTIFICATION_SERVICE_URL,
+        paymentServiceUrl: process.env.PAYMENT_SERVICE_URL,
+        cartServiceUrl: process.env.CART_SERVICE_URL,
         // Timeout en ms pour les appels HTTP vers les services externes.
         // En dessous, on préfère échouer vite et déclencher la saga compensatoire.
         httpTimeoutMs: Number(process.env.INTERNAL_HTTP_TIMEOUT_MS) || 5000,
@@ -109,13 +115,18 @@ export const ENV = Object.freeze({
     // Secrets partagés pour valider les appels inter-services (header X-Internal-Secret)
     internal: {
         // Utilisé pour les appels entrants depuis le monolith (payment)
+        // et pour les appels sortants vers le payment-service (même relation de confiance)
         orderSecret: process.env.INTERNAL_ORDER_SECRET,
         // Utilisé pour les appels entrants depuis l'auth-service
         authSecret: process.env.INTERNAL_AUTH_SECRET,
+        // Utilisé pour le journal d'impersonation envoyé à l'auth-service
+        auditSecret: process.env.INTERNAL_AUDIT_SECRET,
         // Utilisé pour les appels vers le product-service (inventory + variants)
         productSecret: process.env.INTERNAL_PRODUCT_SECRET,
         // Utilisé pour les appels vers le notification-service
         notificationSecret: process.env.INTERNAL_NOTIFICATION_SECRET,
+        // Utilisé pour les appels vers le cart-service
+        cartSecret: process.env.INTERNAL_CART_SECRET,
     },
 
     cors: {
@@ -134,4 +145,38 @@ export const ENV = Object.freeze({
     orders: {
         expirationMinutes: Number(process.env.ORDER_EXPIRATION_MINUTES) || 30,
     },
+
+    // Délai en jours après la livraison pendant lequel un retour peut être demandé
+    returns: {
+        windowDays: Number(process.env.RETURN_WINDOW_DAYS) || 14,
+    },
+
+    // Autoliquidation B2B intra-UE : validation des numéros de TVA
+    vat: {
+        // 'vies' (API de la Commission européenne) ou 'stub' (format seul, sans réseau)
+        validator: process.env.VAT_VALIDATOR || (process.env.NODE_ENV === 'test' ? 'stub' : 'vies'),
+        viesUrl: process.env.VIES_API_URL
+            || 'https://ec.europa.eu/taxation_customs/vies/rest-api/check-vat-number',
+        // Pays d'établissement du vendeur : une vente B2B domestique reste taxée
+        sellerCountry: process.env.VAT_SELLER_COUNTRY || 'FR',
+    },
+
+    // Mentions légales du vendeur reprises sur les factures et avoirs
+    invoices: {
+        sellerName: process.env.INVOICE_SELLER_NAME || 'ECOM-WATCH',
+        // Lignes séparées par « | » (ex : "12 rue de la Paix|75002 Paris|France")
+        sellerAddress: (process.env.INVOICE_SELLER_ADDRESS || '').split('|').map((l) => l.trim()).filter(Boolean),
+        sellerVatNumber: process.env.INVOICE_SELLER_VAT_NUMBER || null,
+        sellerRegistration: process.env.INVOICE_SELLER_REGISTRATION || null,
+    },
+
+    // Intégration transporteurs : création des envois/étiquettes et webhooks de suivi
+    carriers: {
+        // 'fake' : transporteur simulé en mémoire (tests, développement hors ligne)
+        adapter: process.env.CARRIER_ADAPTER || 'fake',
+        // Secret HMAC des webhooks de suivi ; sans secret, tout webhook est refusé
+        webhookSecret: process.env.CARRIER_WEBHOOK_SECRET
+            || (process.env.NODE_ENV === 'test' ? 'test-carrier-webhook-secret' : null),
+        trackingBaseUrl: process.env.CARRIER_TRACKING_BASE_URL || null,
+    },
 });
@@ -0,0 +1,49 @@
+/**
+ * @module Constants/Countries
+ *
+ * Les pays sont manipulés en codes ISO 3166-1 alpha-2 (FR, DE…) dans tout
+ * l'order-service : règles de TVA, zones de livraison, snapshot des commandes.
+ * Les noms anglais historiquement acceptés par l'API (« France », « Germany »…)
+ * sont convertis à l'entrée pour ne pas casser les clients existants.
+ */
+import { ValidationError } from '../utils/appError.js';
+
+/** Pays de référence lorsqu'aucune règle n'existe pour la destination */
+export const DEFAULT_COUNTRY_CODE = 'FR';
+
+/** États membres de l'Union européenne */
+export const EU_COUNTRY_CODES = Object.freeze([
+    'AT', 'BE', 'BG', 'CY', 'CZ', 'DE', 'DK', 'EE', 'ES', 'FI', 'FR', 'GR', 'HR', 'HU',
+    'IE', 'IT', 'LT', 'LU', 'LV', 'MT', 'NL', 'PL', 'PT', 'RO', 'SE', 'SI', 'SK',
+]);
+
+// Noms acceptés avant le passage aux codes ISO
+const LEGACY_COUNTRY_NAMES = Object.freeze({
+    FRANCE: 'FR',
+    BELGIUM: 'BE',
+    GERMANY: 'DE',
+    SPAIN: 'ES',
+    ITALY: 'IT',
+    NETHERLANDS: 'NL',
+    PORTUGAL: 'PT',
+    AUSTRIA: 'AT',
+    SWEDEN: 'SE',
+    SWITZERLAND: 'CH',
+});
+
+const ISO_CODE_REGEX = /^[A-Z]{2}$/;
+
+/**
+ * Normalise un pays saisi (code ISO, casse libre, ou nom historique) en code ISO.
+ * @throws {ValidationError} Si la valeur n'est ni un code ISO ni un nom connu
+ */
+export const normalizeCountryCode = (country, fieldName = 'country') => {
+    const value = String(country ?? '').trim().toUpperCase();
+
+    if (ISO_CODE_REGEX.test(value)) return value;
+    if (LEGACY_COUNTRY_NAMES[value]) return LEGACY_COUNTRY_NAMES[value];
+
+    throw new ValidationError(`${fieldName} doit être un code pays ISO 3166-1 alpha-2 (ex : FR)`);
+};
+
+export const isEuCountry = (countryCode) => EU_COUNTRY_CODES.includes(countryCode);
@@ -20,9 +20,70 @@ export const ORDER_STATUS = Object.freeze({
     SHIPPED: 'SHIPPED',
     DELIVERED: 'DELIVERED',
     CANCELLED: 'CANCELLED',
+    PARTIALLY_REFUNDED: 'PARTIALLY_REFUNDED',
     REFUNDED: 'REFUNDED',
 });
 
+/** Correspond à status_actor_enum en base (order.order_status_history) */
+export const STATUS_ACTOR = Object.freeze({
+    ADMIN: 'ADMIN',
+    CUSTOMER: 'CUSTOMER',
+    GUEST: 'GUEST',
+    WEBHOOK: 'WEBHOOK',
+    CRON: 'CRON',
+    SYSTEM: 'SYSTEM',
+});
+
+/** Correspond à return_status_enum en base (order.returns) */
+export const RETURN_STATUS = Object.freeze({
+    REQUESTED: 'REQUESTED',
+    APPROVED: 'APPROVED',
+    REJECTED: 'REJECTED',
+    RECEIVED: 'RECEIVED',
+    REFUNDED: 'REFUNDED',
+});
+
+/** Correspond à coupon_type_enum en base (order.coupons) */
+export const COUPON_TYPE = Object.freeze({
+    PERCENTAGE: 'PERCENTAGE',
+    FIXED_AMOUNT: 'FIXED_AMOUNT',
+    FREE_SHIPPING: 'FREE_SHIPPING',
+});
+
+/**
+ * Catégories fiscales (order.tax_rules.tax_category, product.products.tax_category).
+ * Le taux de chaque catégorie dépend du pays de livraison.
+ */
+export const TAX_CATEGORY = Object.freeze({
+    STANDARD: 'STANDARD',
+    INTERMEDIATE: 'INTERMEDIATE',
+    REDUCED: 'REDUCED',
+    SUPER_REDUCED: 'SUPER_REDUCED',
+    ZERO: 'ZERO',
+});
+
+/** Motifs d'exonération de TVA (order.orders.tax_exemption_reason), repris sur la facture */
+export const TAX_EXEMPTION_REASON = Object.freeze({
+    REVERSE_CHARGE_INTRA_EU: 'REVERSE_CHARGE_INTRA_EU',
+});
+
+/** Correspond à invoice_type_enum en base (order.invoices) */
+export const INVOICE_TYPE = Object.freeze({
+    INVOICE: 'INVOICE',
+    CREDIT_NOTE: 'CREDIT_NOTE',
+});
+
+/** Statuts d'expédition (order.shipments.status, order.shipment_events.status) */
+export const SHIPMENT_STATUS = Object.freeze({
+    PREPARING: 'PREPARING',
+    SHIPPED: 'SHIPPED',
+    IN_TRANSIT: 'IN_TRANSIT',
+    OUT_FOR_DELIVERY: 'OUT_FOR_DELIVERY',
+    DELIVERED: 'DELIVERED',
+    FAILED: 'FAILED',
+    RETURNED: 'RETURNED',
+});
+
 /** Correspond à payment_status_enum en base */
 export const PAYMENT_STATUS = Object.freeze({
     PENDING: 'PENDING',
@@ -0,0 +1,59 @@
+/**
+ * @module Constants/OrderStateMachine
+ *
+ * Table déclarative des transitions autorisées entre statuts de commande.
+ * Toute écriture de orders.status passe par orderStatusService.transition(),
+ * qui s'appuie sur cette table : ajouter une transition se fait ici, jamais
+ * par un contournement dans un service.
+ *
+ *   PENDING → PAID → PROCESSING → SHIPPED → DELIVERED
+ *      ↘ CANCELLED ↙       (avant expédition uniquement)
+ *   PAID…DELIVERED → PARTIALLY_REFUNDED → REFUNDED
+ *
+ * CANCELLED et REFUNDED sont terminaux.
+ */
+import { ORDER_STATUS } from './enums.js';
+import { BusinessError, ValidationError } from '../utils/appError.js';
+
+const {
+    PENDING, PAID, PROCESSING, SHIPPED, DELIVERED, CANCELLED, PARTIALLY_REFUNDED, REFUNDED,
+} = ORDER_STATUS;
+
+export const ORDER_TRANSITIONS = Object.freeze({
+    [PENDING]: Object.freeze([PAID, CANCELLED]),
+    [PAID]: Object.freeze([PROCESSING, SHIPPED, CANCELLED, PARTIALLY_REFUNDED, REFUNDED]),
+    [PROCESSING]: Object.freeze([SHIPPED, CANCELLED, PARTIALLY_REFUNDED, REFUNDED]),
+    [SHIPPED]: Object.freeze([DELIVERED, PARTIALLY_REFUNDED, REFUNDED]),
+    [DELIVERED]: Object.freeze([PARTIALLY_REFUNDED, REFUNDED]),
+    // Remboursement partiel successif, puis poursuite de la logistique
+    // pour les lignes non remboursées d'une commande pas encore livrée.
+    [PARTIALLY_REFUNDED]: Object.freeze([PARTIALLY_REFUNDED, SHIPPED, DELIVERED, REFUNDED]),
+    [CANCELLED]: Object.freeze([]),
+    [REFUNDED]: Object.freeze([]),
+});
+
+export const canTransition = (from, to) => {
+    return ORDER_TRANSITIONS[from]?.includes(to) ?? false;
+};
+
+/**
+ * Fail-fast avant toute écriture en base.
+ * @throws {ValidationError} statut cible inconnu (400)
+ * @throws {BusinessError}   transition interdite depuis le statut courant (422)
+ */
+export const assertTransition = (from, to) => {
+    if (!Object.hasOwn(ORDER_TRANSITIONS, to)) {
+        throw new ValidationError(
+            `Statut invalide : "${to}". Valeurs autorisées : ${Object.keys(ORDER_TRANSITIONS).join(', ')}`
+        );
+    }
+
+    if (!canTransition(from, to)) {
+        const allowed = ORDER_TRANSITIONS[from] ?? [];
+        throw new BusinessError(
+            allowed.length
+                ? `Transition ${from} → ${to} interdite. Depuis ${from} : ${allowed.join(', ')}`
+                : `Transition ${from} → ${to} interdite : le statut ${from} est terminal`
+        );
+    }
+};
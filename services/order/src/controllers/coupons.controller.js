@@ -0,0 +1,79 @@
+/**
+ * @module Controller/Coupon
+ * @service order-service
+ *
+ * ADMINISTRATION des codes promo.
+ * L'application d'un code côté client passe par POST /api/v1/orders/preview
+ * et POST /api/v1/orders/checkout (champ `couponCode`).
+ */
+import { couponService } from '../services/coupons.service.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { HTTP_STATUS } from '../constants/httpStatus.js';
+
+class CouponController {
+    /**
+     * GET /api/v1/coupons
+     * Liste paginée. Filtres : ?active=true|false, ?search= (code partiel).
+     */
+    getAllCoupons = asyncHandler(async (req, res) => {
+        const { active, search } = req.query;
+
+        const result = await couponService.listCoupons({
+            active: active === undefined ? null : active === 'true',
+            search: search || null,
+            page: parseInt(req.query.page, 10) || 1,
+            limit: parseInt(req.query.limit, 10) || 20,
+        });
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            data: result,
+        });
+    });
+
+    /**
+     * GET /api/v1/coupons/:couponId
+     */
+    getCoupon = asyncHandler(async (req, res) => {
+        const coupon = await couponService.getCoupon(req.params.couponId);
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            data: { coupon },
+        });
+    });
+
+    /**
+     * POST /api/v1/coupons
+     * @body { code, type, value?, description?, minSubtotal?, maxDiscountAmount?,
+     *         usageLimit?, usageLimitPerCustomer?, startsAt?, expiresAt?,
+     *         productIds?, categoryIds?, isActive? }
+     * @example POST /api/v1/coupons
+     * { "code": "BIENVENUE10", "type": "PERCENTAGE", "value": 10, "usageLimitPerCustomer": 1 }
+     */
+    createCoupon = asyncHandler(async (req, res) => {
+        const coupon = await couponService.createCoupon(req.body, req.user.id);
+
+        res.status(HTTP_STATUS.CREATED).json({
+            status: 'success',
+            message: 'Code promo créé',
+            data: { coupon },
+        });
+    });
+
+    /**
+     * PATCH /api/v1/coupons/:couponId
+     * Mise à jour partielle (code et type figés). `isActive: false` désactive le code.
+     */
+    updateCoupon = asyncHandler(async (req, res) => {
+        const coupon = await couponService.updateCoupon(req.params.couponId, req.body);
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            message: 'Code promo mis à jour',
+            data: { coupon },
+        });
+    });
+}
+
+export const couponController = new CouponController();
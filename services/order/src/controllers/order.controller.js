@@ -8,25 +8,37 @@ import { orderService } from '../services/orders.service.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import { HTTP_STATUS } from '../constants/httpStatus.js';
 import { ValidationError } from '../utils/appError.js';
+import { STATUS_ACTOR } from '../constants/enums.js';
 
 class OrderController {
     /**
      * POST /api/v1/orders/preview
      * Prévisualise le montant total avec ventilation détaillée.
+     * `couponCode` optionnel : la réduction est détaillée dans `preview.discount`.
+     * `email` optionnel (guest) : applique la limite d'usage par client du code.
+     * `shippingCountry` en code ISO (FR, DE…) ; la TVA suit la catégorie fiscale de
+     * chaque produit, détaillée dans `preview.tax.breakdown`.
+     * `companyName` + `vatNumber` optionnels (B2B) : autoliquidation intra-UE si éligible.
      */
     previewTotal = asyncHandler(async (req, res) => {
         const {
             items,
             shippingMethod = 'STANDARD',
-            shippingCountry = 'France',
-            taxCategory = 'standard',
+            shippingCountry = 'FR',
+            couponCode = null,
+            email = null,
+            companyName = null,
+            vatNumber = null,
         } = req.body;
 
         const preview = await orderService.previewOrderTotal(req.user?.id ?? null, {
             items,
             shippingMethod,
             shippingCountry,
-            taxCategory,
+            couponCode,
+            email: email ?? req.user?.email ?? null,
+            companyName,
+            vatNumber,
         });
 
         res.status(HTTP_STATUS.OK).json({
@@ -38,14 +50,18 @@ class OrderController {
     /**
      * POST /api/v1/orders/checkout
      * Validation de commande avec calcul automatique des taxes et frais.
+     * `couponCode` optionnel : revalidé et consommé dans la transaction de création.
+     * `companyName` + `vatNumber` optionnels : conservés sur la commande pour la facture.
      */
     checkout = asyncHandler(async (req, res) => {
         const {
             items,
             shippingAddress,
             shippingMethod = 'STANDARD',
-            shippingCountry = 'France',
-            taxCategory = 'standard',
+            shippingCountry = 'FR',
+            couponCode = null,
+            companyName = null,
+            vatNumber = null,
         } = req.body;
 
         if (!items || !Array.isArray(items) || items.length === 0) {
@@ -61,7 +77,9 @@ class OrderController {
             shippingAddress,
             shippingMethod,
             shippingCountry,
-            taxCategory,
+            couponCode,
+            companyName,
+            vatNumber,
         });
 
         res.status(HTTP_STATUS.CREATED).json({
@@ -184,6 +202,60 @@ class OrderController {
         });
     });
 
+    /**
+     * GET /api/v1/orders/:orderId/history
+     * Historique des changements de statut (propriétaire, admin, ou guest avec ?email=).
+     */
+    getStatusHistory = asyncHandler(async (req, res) => {
+        const { orderId } = req.params;
+        const email = req.query.email || null;
+
+        const result = await orderService.getOrderStatusHistory(orderId, req.user ?? null, email);
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            data: result,
+        });
+    });
+
+    /**
+     * GET /api/v1/orders/:orderId/invoices
+     * Factures et avoirs de la commande (propriétaire, admin, ou guest avec ?email=).
+     */
+    getInvoices = asyncHandler(async (req, res) => {
+        const { orderId } = req.params;
+        const email = req.query.email || null;
+
+        const invoices = await orderService.getOrderInvoices(orderId, req.user ?? null, email);
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            results: invoices.length,
+            data: { invoices },
+        });
+    });
+
+    /**
+     * GET /api/v1/orders/:orderId/invoice
+     * GET /api/v1/orders/:orderId/invoices/:invoiceId
+     * Téléchargement PDF de la facture, ou d'un avoir précis.
+     */
+    downloadInvoice = asyncHandler(async (req, res) => {
+        const { orderId, invoiceId = null } = req.params;
+        const email = req.query.email || null;
+
+        const { filename, pdf } = await orderService.getOrderInvoiceDocument(
+            orderId, req.user ?? null, email, invoiceId
+        );
+
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `attachment; filename="${filename}"`,
+            'Cache-Control': 'private, no-store',
+        });
+        res.status(HTTP_STATUS.OK).send(pdf);
+    });
+
     /**
      * GET /api/v1/orders
      * ADMINISTRATION : Liste toutes les commandes avec filtres et recherche.
@@ -211,12 +283,22 @@ class OrderController {
     /**
      * PATCH /api/v1/orders/:orderId/status
      * ADMINISTRATION : Met à jour le statut d'une commande.
+     * La transition est contrôlée par la machine à états et tracée au nom de l'admin.
+     *
+     * @body { status: string, reason?: string }
      */
     updateStatus = asyncHandler(async (req, res) => {
         const { orderId } = req.params;
-        const { status } = req.body;
+        const { status, reason = null } = req.body;
 
-        const updatedOrder = await orderService.updateOrderStatus(orderId, status);
+        if (!status) {
+            throw new ValidationError('Le champ status est requis');
+        }
+
+        const updatedOrder = await orderService.updateOrderStatus(orderId, status, {
+            actor: { type: STATUS_ACTOR.ADMIN, id: req.user.id },
+            reason,
+        });
 
         res.status(HTTP_STATUS.OK).json({
             status: 'success',
@@ -0,0 +1,157 @@
+/**
+ * @module Controller/Return
+ * @service order-service
+ *
+ * Expose le workflow de retour client (RMA) via HTTP.
+ *
+ * SÉPARATION DES ROUTES :
+ *   - Client / guest : /api/v1/orders/:orderId/returns (ouverture + consultation)
+ *   - Admin          : /api/v1/returns/* (décision, réception, remboursement)
+ */
+import { returnService } from '../services/returns.service.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { HTTP_STATUS } from '../constants/httpStatus.js';
+import { RETURN_STATUS, isValidEnum } from '../constants/enums.js';
+import { ValidationError } from '../utils/appError.js';
+
+class ReturnController {
+    /**
+     * POST /api/v1/orders/:orderId/returns
+     * Ouvre une demande de retour. Mode guest : email requis (body ou ?email=).
+     */
+    requestReturn = asyncHandler(async (req, res) => {
+        const { orderId } = req.params;
+        const { items, reason } = req.body;
+        const email = req.query.email || req.body.email || null;
+
+        const returnRequest = await returnService.requestReturn(
+            orderId,
+            { items, reason },
+            req.user ?? null,
+            email
+        );
+
+        res.status(HTTP_STATUS.CREATED).json({
+            status: 'success',
+            message: 'Demande de retour enregistrée',
+            data: { return: returnRequest },
+        });
+    });
+
+    /**
+     * GET /api/v1/orders/:orderId/returns
+     * Demandes de retour d'une commande. Mode guest : ?email= requis.
+     */
+    getOrderReturns = asyncHandler(async (req, res) => {
+        const { orderId } = req.params;
+        const email = req.query.email || null;
+
+        const returns = await returnService.listOrderReturns(orderId, req.user ?? null, email);
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            data: { returns },
+        });
+    });
+
+    /**
+     * GET /api/v1/returns
+     * ADMINISTRATION : liste paginée, filtrable par statut.
+     */
+    getAllReturns = asyncHandler(async (req, res) => {
+        const status = req.query.status || null;
+
+        if (status && status !== 'ALL' && !isValidEnum(status, RETURN_STATUS)) {
+            throw new ValidationError(`Statut de retour invalide : ${status}`);
+        }
+
+        const result = await returnService.listReturns({
+            status,
+            page: parseInt(req.query.page, 10) || 1,
+            limit: parseInt(req.query.limit, 10) || 20,
+        });
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            data: result,
+        });
+    });
+
+    /**
+     * GET /api/v1/returns/:returnId
+     */
+    getReturn = asyncHandler(async (req, res) => {
+        const returnRequest = await returnService.getReturn(req.params.returnId);
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            data: { return: returnRequest },
+        });
+    });
+
+    /**
+     * POST /api/v1/returns/:returnId/approve
+     * Body optionnel : { note } — consignes de renvoi transmises au client.
+     */
+    approveReturn = asyncHandler(async (req, res) => {
+        const returnRequest = await returnService.approveReturn(req.params.returnId, req.body.note ?? null);
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            message: 'Demande de retour acceptée',
+            data: { return: returnRequest },
+        });
+    });
+
+    /**
+     * POST /api/v1/returns/:returnId/reject
+     * Body : { note } — motif du refus, transmis au client.
+     */
+    rejectReturn = asyncHandler(async (req, res) => {
+        const { note } = req.body;
+
+        if (!note || note.trim() === '') {
+            throw new ValidationError('Le motif du refus est requis');
+        }
+
+        const returnRequest = await returnService.rejectReturn(req.params.returnId, note);
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            message: 'Demande de retour refusée',
+            data: { return: returnRequest },
+        });
+    });
+
+    /**
+     * POST /api/v1/returns/:returnId/receive
+     * Réception en entrepôt : réintégration du stock puis remboursement.
+     */
+    receiveReturn = asyncHandler(async (req, res) => {
+        const returnRequest = await returnService.receiveReturn(req.params.returnId);
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            message: returnRequest.status === RETURN_STATUS.REFUNDED
+                ? 'Articles reçus et remboursement émis'
+                : 'Articles reçus — remboursement à relancer',
+            data: { return: returnRequest },
+        });
+    });
+
+    /**
+     * POST /api/v1/returns/:returnId/refund
+     * Relance le remboursement d'un retour reçu (échec du payment-service à la réception).
+     */
+    refundReturn = asyncHandler(async (req, res) => {
+        const returnRequest = await returnService.refundReturn(req.params.returnId);
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            message: 'Remboursement émis',
+            data: { return: returnRequest },
+        });
+    });
+}
+
+export const returnController = new ReturnController();
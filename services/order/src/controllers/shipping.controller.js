@@ -12,8 +12,11 @@
  * SÉPARATION DES ROUTES :
  *   - Publiques (no auth)   : /calculate, /rates, /track/:orderId
  *     Nécessaires pour les guests (preview de frais avant création de compte).
+ *   - Webhook transporteur  : /webhooks/carrier (signature HMAC, sans JWT)
  *   - Admin uniquement      : /shipments/:orderId (POST), /shipments/:shipmentId (PATCH)
  *     Gestion logistique réservée aux opérateurs.
+ *   - Admin uniquement      : /zones, /zones/:zoneId/methods, /methods/:methodId
+ *     Administration de la grille tarifaire (order.shipping_*).
  *
  *   NOTE sur le monolithe : les routes shipping nécessitaient protect sur toutes
  *   les routes. En microservice, /calculate et /track sont rendues publiques car
@@ -22,19 +25,12 @@
 import { shippingService } from '../services/shipping.service.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import { HTTP_STATUS } from '../constants/httpStatus.js';
+import { SHIPMENT_STATUS, STATUS_ACTOR } from '../constants/enums.js';
 import { AppError } from '../utils/appError.js';
+import { shipmentTrackingService } from '../services/shipmentTracking.service.js';
 
 // Statuts valides pour une expédition — utilisés dans updateTracking.
-// Centralisés ici pour éviter la duplication entre controller et service.
-const ALLOWED_SHIPMENT_STATUSES = [
-    'PREPARING',
-    'SHIPPED',
-    'IN_TRANSIT',
-    'OUT_FOR_DELIVERY',
-    'DELIVERED',
-    'FAILED',
-    'RETURNED',
-];
+const ALLOWED_SHIPMENT_STATUSES = Object.values(SHIPMENT_STATUS);
 
 class ShippingController {
     /**
@@ -47,7 +43,7 @@ class ShippingController {
      *
      * @body { country: string, totalWeight: number, cartSubtotal?: number }
      * @example POST /api/v1/shipping/calculate
-     * { "country": "France", "totalWeight": 1.5, "cartSubtotal": 45 }
+     * { "country": "FR", "totalWeight": 1.5, "cartSubtotal": 45 }
      */
     calculateOptions = asyncHandler(async (req, res) => {
         const { country, totalWeight, cartSubtotal = 0 } = req.body;
@@ -100,9 +96,9 @@ class ShippingController {
      * Accessible publiquement : un client peut suivre sa commande sans compte.
      */
     getTracking = asyncHandler(async (req, res) => {
-        const shipment = await shippingService.getShipmentByOrder(req.params.orderId);
+        const tracking = await shippingService.getTracking(req.params.orderId);
 
-        if (!shipment) {
+        if (!tracking) {
             throw new AppError(
                 'Aucune expédition trouvée pour cette commande',
                 HTTP_STATUS.NOT_FOUND
@@ -111,21 +107,44 @@ class ShippingController {
 
         res.status(HTTP_STATUS.OK).json({
             status: 'success',
-            data: { shipment },
+            data: tracking,
         });
     });
 
+    /**
+     * POST /api/v1/shipping/webhooks/carrier
+     * Événements de suivi poussés par le transporteur (prise en charge, transit, livraison…).
+     * Route publique : l'authenticité est garantie par la signature HMAC du transporteur.
+     * Un événement déjà reçu ou de numéro de suivi inconnu est acquitté sans effet.
+     */
+    handleCarrierWebhook = asyncHandler(async (req, res) => {
+        if (!req.rawBody) {
+            throw new AppError(
+                'Configuration serveur incorrecte : rawBody manquant',
+                HTTP_STATUS.INTERNAL_SERVER_ERROR
+            );
+        }
+
+        const summary = await shipmentTrackingService.ingestWebhook(req.rawBody, req.headers, req.body);
+
+        res.status(HTTP_STATUS.OK).json({ received: true, ...summary });
+    });
+
     /**
      * POST /api/v1/shipping/shipments/:orderId
      * ADMINISTRATION — Crée une expédition pour une commande payée.
-     * Génère automatiquement un numéro de suivi.
+     * Le numéro de suivi et l'étiquette sont obtenus du transporteur au passage en SHIPPED.
      * Seules les commandes au statut PAID peuvent être expédiées.
      */
     createShipment = asyncHandler(async (req, res) => {
         const { orderId } = req.params;
-        const { carrier = 'COLISSIMO' } = req.body;
+        // Sans transporteur explicite : celui de la méthode de livraison commandée
+        const { carrier = null } = req.body;
 
-        const shipment = await shippingService.createShipment(orderId, carrier);
+        const shipment = await shippingService.createShipment(orderId, carrier, {
+            type: STATUS_ACTOR.ADMIN,
+            id: req.user.id,
+        });
 
         res.status(HTTP_STATUS.CREATED).json({
             status: 'success',
@@ -134,11 +153,26 @@ class ShippingController {
         });
     });
 
+    /**
+     * GET /api/v1/shipping/shipments/:shipmentId/label
+     * ADMINISTRATION — Télécharge l'étiquette transporteur à imprimer.
+     */
+    downloadLabel = asyncHandler(async (req, res) => {
+        const { filename, contentType, content } = await shippingService.getLabel(req.params.shipmentId);
+
+        res.set({
+            'Content-Type': contentType,
+            'Content-Disposition': `attachment; filename="${filename}"`,
+            'Cache-Control': 'private, no-store',
+        });
+        res.status(HTTP_STATUS.OK).send(content);
+    });
+
     /**
      * PATCH /api/v1/shipping/shipments/:shipmentId
      * ADMINISTRATION — Met à jour le statut et la localisation d'une expédition.
-     * Un statut DELIVERED déclenche automatiquement la mise à jour de la commande
-     * vers le statut DELIVERED côté ordersRepo.
+     * SHIPPED / IN_TRANSIT / OUT_FOR_DELIVERY passent la commande en SHIPPED,
+     * DELIVERED la passe en DELIVERED (transitions tracées au nom de l'admin).
      */
     updateTracking = asyncHandler(async (req, res) => {
         const { shipmentId } = req.params;
@@ -155,7 +189,10 @@ class ShippingController {
             );
         }
 
-        const shipment = await shippingService.updateTracking(shipmentId, status, currentLocation);
+        const shipment = await shippingService.updateTracking(shipmentId, status, currentLocation, {
+            type: STATUS_ACTOR.ADMIN,
+            id: req.user.id,
+        });
 
         res.status(HTTP_STATUS.OK).json({
             status: 'success',
@@ -163,6 +200,103 @@ class ShippingController {
             data: { shipment },
         });
     });
+
+    // ─────────────────────────────────────────────────────────────────────
+    // ADMINISTRATION DE LA GRILLE TARIFAIRE
+    // ─────────────────────────────────────────────────────────────────────
+
+    /**
+     * GET /api/v1/shipping/zones
+     * Grille complète : zones, pays, méthodes et tranches de poids, inactives comprises.
+     */
+    getZones = asyncHandler(async (_req, res) => {
+        const zones = await shippingService.getRateCard();
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            results: zones.length,
+            data: { zones },
+        });
+    });
+
+    /**
+     * POST /api/v1/shipping/zones
+     * @body { code, name, countries?: string[], isDefault?, isActive? }
+     * @example POST /api/v1/shipping/zones
+     * { "code": "DOM_TOM", "name": "Outre-mer", "countries": ["GP", "MQ", "RE"] }
+     */
+    createZone = asyncHandler(async (req, res) => {
+        const zone = await shippingService.createZone(req.body);
+
+        res.status(HTTP_STATUS.CREATED).json({
+            status: 'success',
+            message: 'Zone de livraison créée',
+            data: { zone },
+        });
+    });
+
+    /**
+     * PATCH /api/v1/shipping/zones/:zoneId
+     * `countries`, s'il est fourni, remplace la liste des pays de la zone.
+     */
+    updateZone = asyncHandler(async (req, res) => {
+        const zone = await shippingService.updateZone(req.params.zoneId, req.body);
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            message: 'Zone de livraison mise à jour',
+            data: { zone },
+        });
+    });
+
+    /**
+     * DELETE /api/v1/shipping/zones/:zoneId
+     */
+    deleteZone = asyncHandler(async (req, res) => {
+        await shippingService.deleteZone(req.params.zoneId);
+        res.status(HTTP_STATUS.NO_CONTENT).send();
+    });
+
+    /**
+     * POST /api/v1/shipping/zones/:zoneId/methods
+     * @body { method, label, carrier?, basePrice?, perKg?, freeAbove?, estimatedDays?,
+     *         sortOrder?, isActive?, brackets?: [{ maxWeightKg, price }] }
+     * @example POST /api/v1/shipping/zones/:zoneId/methods
+     * { "method": "RELAY", "label": "Point Relais", "basePrice": 6.9, "perKg": 0.8, "freeAbove": 60,
+     *   "estimatedDays": "4-6", "brackets": [{ "maxWeightKg": 1, "price": 6.9 }, { "maxWeightKg": 5, "price": 9.9 }] }
+     */
+    createMethod = asyncHandler(async (req, res) => {
+        const method = await shippingService.createMethod(req.params.zoneId, req.body);
+
+        res.status(HTTP_STATUS.CREATED).json({
+            status: 'success',
+            message: 'Méthode de livraison créée',
+            data: { method },
+        });
+    });
+
+    /**
+     * PATCH /api/v1/shipping/methods/:methodId
+     * `brackets`, s'il est fourni, remplace toutes les tranches de poids.
+     * Les commandes existantes conservent les frais de port calculés au checkout.
+     */
+    updateMethod = asyncHandler(async (req, res) => {
+        const method = await shippingService.updateMethod(req.params.methodId, req.body);
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            message: 'Méthode de livraison mise à jour',
+            data: { method },
+        });
+    });
+
+    /**
+     * DELETE /api/v1/shipping/methods/:methodId
+     */
+    deleteMethod = asyncHandler(async (req, res) => {
+        await shippingService.deleteMethod(req.params.methodId);
+        res.status(HTTP_STATUS.NO_CONTENT).send();
+    });
 }
 
 export const shippingController = new ShippingController();
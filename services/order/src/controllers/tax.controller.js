@@ -6,7 +6,7 @@
  *
  * APPARTENANCE — Pourquoi dans l'order-service :
  *   Le calcul de la TVA fait partie intégrante du calcul d'un total de commande.
- *   taxService est déjà utilisé en interne par ordersService#_calculateTotals.
+ *   taxService est déjà utilisé en interne par ordersService#calculateTotals.
  *   Exposer ses méthodes ici évite la duplication de logique et garde la
  *   séparation des responsabilités : l'order-service est le garant des calculs
  *   financiers liés aux commandes (prix, taxes, frais de port).
@@ -16,6 +16,10 @@
  *   de chaque pays donne le même résultat). Aucune donnée sensible n'est
  *   exposée. L'authentification n'est donc pas requise sur ces endpoints.
  *   Le rate limiter général (generalLimiter) s'applique via index.routes.js.
+ *   Seule l'administration des règles (/rules) est réservée aux admins.
+ *
+ * Les pays sont des codes ISO 3166-1 alpha-2 ; les noms historiques
+ * (« France »…) restent acceptés en entrée.
  */
 import { taxService } from '../services/tax.service.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
@@ -29,35 +33,33 @@ class TaxController {
      * Utilisé par le frontend au chargement de la page checkout
      * pour afficher le détail des taxes.
      *
-     * @example GET /api/v1/taxes/rates/France
-     * → { country: "France", rates: { standard: 20, reduced: 5.5, intermediate: 10 } }
+     * @example GET /api/v1/taxes/rates/FR
+     * → { country: "FR", appliedCountry: "FR", rates: { STANDARD: 20, INTERMEDIATE: 10, REDUCED: 5.5 } }
      */
     getCountryRates = asyncHandler(async (req, res) => {
-        const { country } = req.params;
-
-        // Le service retourne le taux DEFAULT si le pays est inconnu —
-        // pas d'erreur levée, le frontend affiche simplement le taux standard.
-        const rates = taxService.getCountryRates(country);
+        // Un pays sans règle retombe sur les taux du pays par défaut (appliedCountry) —
+        // pas d'erreur levée, le frontend affiche simplement ces taux.
+        const result = await taxService.getCountryRates(req.params.country);
 
         res.status(HTTP_STATUS.OK).json({
             status: 'success',
-            data: { country, rates },
+            data: result,
         });
     });
 
     /**
-     * GET /api/v1/taxes/calculate?amount=100&country=France&category=standard
+     * GET /api/v1/taxes/calculate?amount=100&country=FR&category=REDUCED
      * Calcule la TVA pour un montant HT donné.
      * Utile pour les previews dynamiques dans le panier.
      */
     calculate = asyncHandler(async (req, res) => {
-        const { amount, country = 'France', category = 'standard' } = req.query;
+        const { amount, country = 'FR', category = 'STANDARD' } = req.query;
 
         if (!amount || isNaN(Number(amount)) || Number(amount) <= 0) {
             throw new AppError('Le paramètre amount doit être un nombre positif', HTTP_STATUS.BAD_REQUEST);
         }
 
-        const result = taxService.calculateTax(parseFloat(amount), country, category);
+        const result = await taxService.calculateTax(parseFloat(amount), country, category);
 
         res.status(HTTP_STATUS.OK).json({
             status: 'success',
@@ -71,7 +73,7 @@ class TaxController {
      * Utilisé par les sélecteurs de pays dans le checkout.
      */
     getAllCountries = asyncHandler(async (_req, res) => {
-        const countries = taxService.getAllSupportedCountries();
+        const countries = await taxService.getAllSupportedCountries();
 
         res.status(HTTP_STATUS.OK).json({
             status: 'success',
@@ -92,18 +94,76 @@ class TaxController {
             throw new AppError('Le champ country est requis', HTTP_STATUS.BAD_REQUEST);
         }
 
-        const isExempt = taxService.isEligibleForExemption(country, vatNumber);
+        const exemption = await taxService.resolveVatExemption({ country, vatNumber });
 
         res.status(HTTP_STATUS.OK).json({
             status: 'success',
             data: {
-                isExempt,
+                isExempt: Boolean(exemption.exemptionReason),
+                exemptionReason: exemption.exemptionReason,
                 country,
                 // Masquage partiel pour éviter l'exposition du numéro complet dans les logs
-                vatNumber: vatNumber ? '***' + vatNumber.slice(-4) : null,
+                vatNumber: exemption.vatNumber ? '***' + exemption.vatNumber.slice(-4) : null,
             },
         });
     });
+
+    // ─────────────────────────────────────────────────────────────────────
+    // ADMINISTRATION DES RÈGLES
+    // ─────────────────────────────────────────────────────────────────────
+
+    /**
+     * GET /api/v1/taxes/rules?country=FR
+     * Toutes les règles, actives ou non, filtrables par pays.
+     */
+    getAllRules = asyncHandler(async (req, res) => {
+        const rules = await taxService.listRules({ country: req.query.country || null });
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            results: rules.length,
+            data: { rules },
+        });
+    });
+
+    /**
+     * POST /api/v1/taxes/rules
+     * @body { countryCode, taxCategory, rate, description?, isActive? }
+     * @example POST /api/v1/taxes/rules
+     * { "countryCode": "NL", "taxCategory": "STANDARD", "rate": 21 }
+     */
+    createRule = asyncHandler(async (req, res) => {
+        const rule = await taxService.createRule(req.body, req.user.id);
+
+        res.status(HTTP_STATUS.CREATED).json({
+            status: 'success',
+            message: 'Règle de TVA créée',
+            data: { rule },
+        });
+    });
+
+    /**
+     * PATCH /api/v1/taxes/rules/:ruleId
+     * Mise à jour du taux, de la description ou de l'état (pays et catégorie figés).
+     * Les commandes existantes conservent le taux snapshoté au checkout.
+     */
+    updateRule = asyncHandler(async (req, res) => {
+        const rule = await taxService.updateRule(req.params.ruleId, req.body);
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            message: 'Règle de TVA mise à jour',
+            data: { rule },
+        });
+    });
+
+    /**
+     * DELETE /api/v1/taxes/rules/:ruleId
+     */
+    deleteRule = asyncHandler(async (req, res) => {
+        await taxService.deleteRule(req.params.ruleId);
+        res.status(HTTP_STATUS.NO_CONTENT).send();
+    });
 }
 
 export const taxController = new TaxController();
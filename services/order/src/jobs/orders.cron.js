@@ -3,18 +3,42 @@
  *
  * Annule les commandes PENDING > 24h et libère le stock associé.
  * Fréquence : tous les jours à 3h30.
+ *
+ * Chaque commande passe par orderService.cancelOrderAndReleaseStock :
+ * la transition est validée par la machine à états, tracée (acteur CRON)
+ * et le stock réservé est rendu — ce que la fonction SQL
+ * cleanup_abandoned_orders() ne faisait pas.
  */
-import { pgPool } from '../config/database.js';
+import { ordersRepo } from '../repositories/index.js';
+import { orderService } from '../services/orders.service.js';
+import { STATUS_ACTOR } from '../constants/enums.js';
 import { logInfo, logError } from '../utils/logger.js';
 
+const ABANDONED_AFTER_HOURS = 24;
+const CRON_ACTOR = Object.freeze({ type: STATUS_ACTOR.CRON, id: null });
+
 export const ordersCleanupJob = {
     name: 'orders-cleanup',
     schedule: '30 3 * * *',
 
     async execute() {
         try {
-            const { rows } = await pgPool.query('SELECT cleanup_abandoned_orders()');
-            const count = rows[0]?.cleanup_abandoned_orders || 0;
+            const orderIds = await ordersRepo.findExpiredPendingIds(ABANDONED_AFTER_HOURS);
+            let count = 0;
+
+            // Séquentiel : une erreur sur une commande n'interrompt pas les suivantes
+            for (const orderId of orderIds) {
+                try {
+                    await orderService.cancelOrderAndReleaseStock(
+                        orderId,
+                        `Paiement non finalisé après ${ABANDONED_AFTER_HOURS}h`,
+                        CRON_ACTOR
+                    );
+                    count++;
+                } catch (error) {
+                    logError(error, { job: 'orders-cleanup', orderId });
+                }
+            }
 
             logInfo(`[CRON:ORDERS] ${count} commande(s) annulée(s)`);
             return { success: true, cancelledCount: count };
@@ -7,8 +7,9 @@
  */
 import { tokenService } from '../services/token.service.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
+import { readImpersonation, guardImpersonatedRequest } from './impersonation.middleware.js';
 
-export const optionalAuth = asyncHandler(async (req, _res, next) => {
+export const optionalAuth = asyncHandler(async (req, res, next) => {
     let token;
     if (req.headers.authorization?.startsWith('Bearer')) {
         token = req.headers.authorization.split(' ')[1];
@@ -20,7 +21,7 @@ export const optionalAuth = asyncHandler(async (req, _res, next) => {
     }
 
     try {
-        const decoded = tokenService.verifyAccessToken(token);
+        const decoded = await tokenService.verifyAccessToken(token);
 
         if (!decoded) {
             req.user = undefined;
@@ -33,12 +34,20 @@ export const optionalAuth = asyncHandler(async (req, _res, next) => {
             id: decoded.sub || decoded.id,
             email: decoded.email,
             roles: decoded.roles || [],
+            permissions: decoded.permissions || [],
+            impersonation: readImpersonation(decoded),
         };
-
-        next();
     } catch {
         // Token malformé, expiré ou erreur de signature — on continue en guest
         req.user = undefined;
-        next();
+        return next();
     }
+
+    // Hors du try : un refus (session en lecture seule) ne doit pas
+    // dégrader la requête en guest
+    if (req.user.impersonation) {
+        guardImpersonatedRequest(req, res, req.user.impersonation);
+    }
+
+    next();
 });
\ No newline at end of file
@@ -1,9 +1,12 @@
 /**
  * @module Middleware/Role
  *
- * Contrôle d'accès par rôle (RBAC).
+ * Contrôle d'accès par rôle (RBAC) et par permission.
  * Doit obligatoirement être placé après le middleware `protect`,
- * qui est responsable de l'hydratation de req.user.roles.
+ * qui est responsable de l'hydratation de req.user.roles et req.user.permissions.
+ *
+ * Préférer requirePermission() : restrictTo() n'autorise que des rôles entiers
+ * et ignore les rôles équipe (WAREHOUSE, CATALOG_EDITOR…) créés en base.
  */
 import { AppError } from '../utils/appError.js';
 import { HTTP_STATUS } from '../constants/httpStatus.js';
@@ -30,4 +33,26 @@ export const restrictTo = (...allowedRoles) => {
 
         next();
     };
-};
\ No newline at end of file
+};
+
+/**
+ * Exige TOUTES les permissions listées (cf. PERMISSIONS dans constants/roles.js).
+ * Les permissions sont signées dans l'access token par l'auth-service.
+ *
+ * @param {...string} requiredPermissions - Codes "ressource:action"
+ */
+export const requirePermission = (...requiredPermissions) => {
+    return (req, _res, next) => {
+        if (!req.user?.permissions) {
+            return next(new AppError('Utilisateur non authentifié', HTTP_STATUS.UNAUTHORIZED));
+        }
+
+        const isGranted = requiredPermissions.every((permission) => req.user.permissions.includes(permission));
+
+        if (!isGranted) {
+            return next(new AppError("Vous n'avez pas les permissions pour effectuer cette action", HTTP_STATUS.FORBIDDEN));
+        }
+
+        next();
+    };
+};
@@ -0,0 +1,296 @@
+/**
+ * @module Repository/Coupons
+ *
+ * Codes promo saisis au checkout, leur périmètre (produits / catégories)
+ * et leurs utilisations.
+ *
+ * CONCURRENCE :
+ * L'utilisation d'un code se fait sous verrou de la ligne coupon
+ * (findByCode … { forUpdate: true }) dans la transaction de création de commande,
+ * puis l'incrément de usage_count est gardé en SQL : deux checkouts simultanés
+ * ne peuvent pas dépasser usage_limit.
+ *
+ * CROSS-SCHEMA :
+ * findVariantScopes lit product.product_variants et product.product_categories
+ * avec le nom de schéma complet (search_path = "order").
+ */
+import { pgPool } from '../config/database.js';
+import { mapRow, mapRows } from './_mappers.js';
+import { validateUUID } from '../utils/validation.js';
+
+// Périmètre agrégé du coupon — tableaux vides = coupon valable sur tout le panier
+const SCOPE_COLUMNS = `
+    COALESCE(
+        (SELECT array_agg(cp.product_id) FROM coupon_products cp WHERE cp.coupon_id = c.id),
+        '{}'
+    ) AS product_ids,
+    COALESCE(
+        (SELECT array_agg(cc.category_id) FROM coupon_categories cc WHERE cc.coupon_id = c.id),
+        '{}'
+    ) AS category_ids
+`;
+
+// Colonnes modifiables via update() — clés camelCase → colonnes figées
+const UPDATABLE_COLUMNS = Object.freeze({
+  description: 'description',
+  value: 'value',
+  maxDiscountAmount: 'max_discount_amount',
+  minSubtotal: 'min_subtotal',
+  usageLimit: 'usage_limit',
+  usageLimitPerCustomer: 'usage_limit_per_customer',
+  startsAt: 'starts_at',
+  expiresAt: 'expires_at',
+  isActive: 'is_active',
+});
+
+export const couponsRepo = {
+
+  // ─────────────────────────────────────────────────────────────────────
+  // ÉCRITURE — ADMINISTRATION
+  // ─────────────────────────────────────────────────────────────────────
+
+  async create({
+    code,
+    description = null,
+    type,
+    value = 0,
+    maxDiscountAmount = null,
+    minSubtotal = 0,
+    usageLimit = null,
+    usageLimitPerCustomer = null,
+    startsAt = null,
+    expiresAt = null,
+    isActive = true,
+    createdBy = null,
+  }, client = pgPool) {
+    const { rows } = await client.query(
+      `INSERT INTO coupons
+               (code, description, type, value, max_discount_amount, min_subtotal,
+                usage_limit, usage_limit_per_customer, starts_at, expires_at, is_active, created_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, COALESCE($9, NOW()), $10, $11, $12)
+             RETURNING *`,
+      [
+        code, description, type, value, maxDiscountAmount, minSubtotal,
+        usageLimit, usageLimitPerCustomer, startsAt, expiresAt, isActive, createdBy,
+      ]
+    );
+    return mapRow(rows[0]);
+  },
+
+  async update(id, fields, client = pgPool) {
+    validateUUID(id, 'couponId');
+
+    const values = [id];
+    const assignments = Object.entries(UPDATABLE_COLUMNS)
+      .filter(([key]) => fields[key] !== undefined)
+      .map(([key, column]) => {
+        values.push(fields[key]);
+        return `${column} = $${values.length}`;
+      });
+
+    if (assignments.length === 0) return this.findById(id, client);
+
+    const { rows } = await client.query(
+      `UPDATE coupons SET ${assignments.join(', ')}, updated_at = NOW()
+             WHERE id = $1
+             RETURNING *`,
+      values
+    );
+    return mapRow(rows[0] ?? null);
+  },
+
+  /**
+   * Remplace le périmètre du coupon. Un tableau non fourni (undefined) laisse
+   * la dimension correspondante intacte ; un tableau vide la supprime.
+   */
+  async replaceScope(couponId, { productIds, categoryIds }, client = pgPool) {
+    validateUUID(couponId, 'couponId');
+
+    if (productIds !== undefined) {
+      await client.query(`DELETE FROM coupon_products WHERE coupon_id = $1`, [couponId]);
+      if (productIds.length) {
+        await client.query(
+          `INSERT INTO coupon_products (coupon_id, product_id)
+                 SELECT $1, UNNEST($2::uuid[])
+                 ON CONFLICT DO NOTHING`,
+          [couponId, productIds]
+        );
+      }
+    }
+
+    if (categoryIds !== undefined) {
+      await client.query(`DELETE FROM coupon_categories WHERE coupon_id = $1`, [couponId]);
+      if (categoryIds.length) {
+        await client.query(
+          `INSERT INTO coupon_categories (coupon_id, category_id)
+                 SELECT $1, UNNEST($2::uuid[])
+                 ON CONFLICT DO NOTHING`,
+          [couponId, categoryIds]
+        );
+      }
+    }
+  },
+
+  // ─────────────────────────────────────────────────────────────────────
+  // ÉCRITURE — UTILISATION AU CHECKOUT
+  // ─────────────────────────────────────────────────────────────────────
+
+  /**
+   * Incrémente usage_count si la limite globale n'est pas atteinte.
+   * Retourne null si la garde échoue.
+   */
+  async incrementUsage(id, client = pgPool) {
+    const { rows } = await client.query(
+      `UPDATE coupons
+             SET usage_count = usage_count + 1, updated_at = NOW()
+             WHERE id = $1
+               AND (usage_limit IS NULL OR usage_count < usage_limit)
+             RETURNING *`,
+      [id]
+    );
+    return mapRow(rows[0] ?? null);
+  },
+
+  async addRedemption({ couponId, orderId, userId = null, customerEmail = null, discountAmount }, client = pgPool) {
+    validateUUID(orderId, 'orderId');
+
+    const { rows } = await client.query(
+      `INSERT INTO coupon_redemptions (coupon_id, order_id, user_id, customer_email, discount_amount)
+             VALUES ($1, $2, $3, $4, $5)
+             RETURNING *`,
+      [couponId, orderId, userId, customerEmail, discountAmount]
+    );
+    return mapRow(rows[0]);
+  },
+
+  /**
+   * Supprime l'utilisation liée à une commande annulée et rend une unité au compteur.
+   * Retourne la ligne supprimée, ou null si la commande n'avait pas de code.
+   */
+  async releaseByOrderId(orderId, client = pgPool) {
+    validateUUID(orderId, 'orderId');
+
+    const { rows } = await client.query(
+      `DELETE FROM coupon_redemptions WHERE order_id = $1 RETURNING *`,
+      [orderId]
+    );
+    const redemption = mapRow(rows[0] ?? null);
+    if (!redemption) return null;
+
+    await client.query(
+      `UPDATE coupons
+             SET usage_count = usage_count - 1, updated_at = NOW()
+             WHERE id = $1 AND usage_count > 0`,
+      [redemption.couponId]
+    );
+    return redemption;
+  },
+
+  // ─────────────────────────────────────────────────────────────────────
+  // LECTURE
+  // ─────────────────────────────────────────────────────────────────────
+
+  async findById(id, client = pgPool) {
+    validateUUID(id, 'couponId');
+
+    const { rows } = await client.query(
+      `SELECT c.*, ${SCOPE_COLUMNS} FROM coupons c WHERE c.id = $1`,
+      [id]
+    );
+    return mapRow(rows[0] ?? null);
+  },
+
+  /**
+   * Recherche insensible à la casse. `forUpdate` verrouille la ligne coupon
+   * jusqu'à la fin de la transaction du client fourni.
+   */
+  async findByCode(code, client = pgPool, { forUpdate = false } = {}) {
+    const { rows } = await client.query(
+      `SELECT c.*, ${SCOPE_COLUMNS}
+             FROM coupons c
+             WHERE UPPER(c.code) = UPPER($1)
+             ${forUpdate ? 'FOR UPDATE OF c' : ''}`,
+      [code]
+    );
+    return mapRow(rows[0] ?? null);
+  },
+
+  /**
+   * Nombre d'utilisations d'un coupon par un client, identifié par son compte
+   * ou par son email (un guest ne contourne pas la limite en changeant de mode).
+   */
+  async countCustomerRedemptions(couponId, { userId = null, email = null }, client = pgPool) {
+    const { rows } = await client.query(
+      `SELECT COUNT(*)::int AS count
+             FROM coupon_redemptions
+             WHERE coupon_id = $1
+               AND (
+                 ($2::uuid IS NOT NULL AND user_id = $2::uuid) OR
+                 ($3::text IS NOT NULL AND customer_email = $3::text)
+               )`,
+      [couponId, userId, email]
+    );
+    return rows[0].count;
+  },
+
+  /**
+   * Produit et catégories de chaque variante, sous la forme
+   * { [variantId]: { productId, categoryIds } }.
+   */
+  async findVariantScopes(variantIds) {
+    const { rows } = await pgPool.query(
+      `SELECT pv.id AS variant_id,
+                    pv.product_id,
+                    COALESCE(array_agg(pc.category_id) FILTER (WHERE pc.category_id IS NOT NULL), '{}') AS category_ids
+             FROM product.product_variants pv
+             LEFT JOIN product.product_categories pc ON pc.product_id = pv.product_id
+             WHERE pv.id = ANY($1::uuid[])
+             GROUP BY pv.id, pv.product_id`,
+      [variantIds]
+    );
+    return Object.fromEntries(
+      rows.map((row) => [row.variant_id, { productId: row.product_id, categoryIds: row.category_ids }])
+    );
+  },
+
+  /**
+   * Liste paginée pour le back-office, filtrable par état et par code.
+   */
+  async findAll({ active = null, search = null, page = 1, limit = 20 } = {}) {
+    const offset = (page - 1) * limit;
+    const values = [];
+    let whereClause = 'WHERE 1=1';
+
+    if (active !== null) {
+      values.push(active);
+      whereClause += ` AND c.is_active = $${values.length}`;
+    }
+
+    if (search) {
+      values.push(`%${search}%`);
+      whereClause += ` AND c.code ILIKE $${values.length}`;
+    }
+
+    const countValues = [...values];
+
+    const query = `
+            SELECT c.*, ${SCOPE_COLUMNS}
+            FROM coupons c
+            ${whereClause}
+            ORDER BY c.created_at DESC
+            LIMIT $${values.push(limit)} OFFSET $${values.push(offset)}
+        `;
+
+    const [dataResult, countResult] = await Promise.all([
+      pgPool.query(query, values),
+      pgPool.query(`SELECT COUNT(*) FROM coupons c ${whereClause}`, countValues),
+    ]);
+
+    const total = parseInt(countResult.rows[0].count, 10);
+
+    return {
+      coupons: mapRows(dataResult.rows),
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+    };
+  },
+};
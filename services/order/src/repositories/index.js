@@ -4,8 +4,17 @@
  * Point d'entrée unique de la couche repository de l'order-service.
  *
  * L'order-service possède uniquement les tables `order.orders`,
- * `order.order_items` et `order.shipments`. Les autres données
- * (inventory, products, users) sont accessibles via les clients HTTP.
+ * `order.order_items`, `order.shipments`, `order.returns`,
+ * `order.return_items`, `order.order_status_history`, `order.coupon*`,
+ * `order.tax_rules`, `order.invoice*` et `order.shipping_*`.
+ * Les autres données (inventory, products, users) sont accessibles via
+ * les clients HTTP.
  */
 export { ordersRepo } from './orders.repo.js';
-export { shipmentsRepo } from './shipments.repo.js';
\ No newline at end of file
+export { shipmentsRepo } from './shipments.repo.js';
+export { returnsRepo } from './returns.repo.js';
+export { orderStatusHistoryRepo } from './orderStatusHistory.repo.js';
+export { couponsRepo } from './coupons.repo.js';
+export { taxRulesRepo } from './taxRules.repo.js';
+export { invoicesRepo } from './invoices.repo.js';
+export { shippingRatesRepo } from './shippingRates.repo.js';
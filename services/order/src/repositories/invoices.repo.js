@@ -0,0 +1,142 @@
+/**
+ * @module Repository/Invoices
+ *
+ * Factures et avoirs émis pour les commandes, et leur numérotation.
+ *
+ * NUMÉROTATION :
+ * nextNumber() doit être appelé dans la transaction qui insère le document :
+ * la ligne invoice_sequences reste verrouillée jusqu'au COMMIT, ce qui
+ * sérialise les émissions concurrentes et garantit une série sans trou.
+ */
+import { pgPool } from '../config/database.js';
+import { mapRow, mapRows } from './_mappers.js';
+import { validateUUID } from '../utils/validation.js';
+
+export const invoicesRepo = {
+
+  // ─────────────────────────────────────────────────────────────────────
+  // ÉCRITURE
+  // ─────────────────────────────────────────────────────────────────────
+
+  /**
+   * Réserve le prochain numéro de la série (type, année).
+   * @returns {Promise<number>}
+   */
+  async nextNumber(invoiceType, year, client) {
+    const { rows } = await client.query(
+      `INSERT INTO invoice_sequences (invoice_type, year, last_number)
+             VALUES ($1, $2, 1)
+             ON CONFLICT (invoice_type, year)
+             DO UPDATE SET last_number = invoice_sequences.last_number + 1
+             RETURNING last_number`,
+      [invoiceType, year]
+    );
+    return rows[0].last_number;
+  },
+
+  async create({
+    invoiceNumber,
+    invoiceType,
+    orderId,
+    creditedInvoiceId = null,
+    refundId = null,
+    currency = 'EUR',
+    subtotalAmount,
+    taxAmount,
+    totalAmount,
+    taxBreakdown = [],
+    taxExemptionReason = null,
+    seller,
+    customer,
+    lines,
+    issuedAt,
+  }, client = pgPool) {
+    const { rows } = await client.query(
+      `INSERT INTO invoices
+               (invoice_number, invoice_type, order_id, credited_invoice_id, refund_id, currency,
+                subtotal_amount, tax_amount, total_amount, tax_breakdown, tax_exemption_reason,
+                seller, customer, lines, issued_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+             RETURNING *`,
+      [
+        invoiceNumber,
+        invoiceType,
+        orderId,
+        creditedInvoiceId,
+        refundId,
+        currency,
+        subtotalAmount,
+        taxAmount,
+        totalAmount,
+        JSON.stringify(taxBreakdown),
+        taxExemptionReason,
+        JSON.stringify(seller),
+        JSON.stringify(customer),
+        JSON.stringify(lines),
+        issuedAt,
+      ]
+    );
+    return mapRow(rows[0]);
+  },
+
+  // ─────────────────────────────────────────────────────────────────────
+  // LECTURE
+  // ─────────────────────────────────────────────────────────────────────
+
+  async findById(id, client = pgPool) {
+    validateUUID(id, 'invoiceId');
+
+    const { rows } = await client.query(`SELECT * FROM invoices WHERE id = $1`, [id]);
+    return mapRow(rows[0] ?? null);
+  },
+
+  /**
+   * Facture (hors avoirs) d'une commande — null si elle n'a pas encore été émise.
+   */
+  async findInvoiceByOrderId(orderId, client = pgPool) {
+    validateUUID(orderId, 'orderId');
+
+    const { rows } = await client.query(
+      `SELECT * FROM invoices WHERE order_id = $1 AND invoice_type = 'INVOICE'`,
+      [orderId]
+    );
+    return mapRow(rows[0] ?? null);
+  },
+
+  async findByRefundId(refundId, client = pgPool) {
+    const { rows } = await client.query(`SELECT * FROM invoices WHERE refund_id = $1`, [refundId]);
+    return mapRow(rows[0] ?? null);
+  },
+
+  /**
+   * Facture puis avoirs d'une commande, dans l'ordre d'émission.
+   */
+  async listByOrderId(orderId) {
+    validateUUID(orderId, 'orderId');
+
+    const { rows } = await pgPool.query(
+      `SELECT * FROM invoices WHERE order_id = $1 ORDER BY issued_at, invoice_number`,
+      [orderId]
+    );
+    return mapRows(rows);
+  },
+
+  /**
+   * Montants déjà crédités sur une facture (somme des avoirs).
+   */
+  async sumCreditedByInvoiceId(invoiceId, client = pgPool) {
+    const { rows } = await client.query(
+      `SELECT COALESCE(SUM(subtotal_amount), 0)::numeric AS subtotal,
+              COALESCE(SUM(tax_amount), 0)::numeric      AS tax,
+              COALESCE(SUM(total_amount), 0)::numeric    AS total
+             FROM invoices
+             WHERE credited_invoice_id = $1`,
+      [invoiceId]
+    );
+    return {
+      subtotal: Number(rows[0].subtotal),
+      tax: Number(rows[0].tax),
+      total: Number(rows[0].total),
+    };
+  },
+};
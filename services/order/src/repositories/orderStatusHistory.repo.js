@@ -0,0 +1,47 @@
+/**
+ * @module Repository/OrderStatusHistory
+ *
+ * Journal append-only des transitions de statut de commande.
+ * Les insertions se font dans la même transaction que l'UPDATE de orders.status
+ * (client transmis par orderStatusService) : pas de statut sans trace, ni l'inverse.
+ */
+import { pgPool } from '../config/database.js';
+import { mapRow, mapRows } from './_mappers.js';
+import { validateUUID } from '../utils/validation.js';
+
+export const orderStatusHistoryRepo = {
+
+  async create({
+    orderId,
+    fromStatus = null,
+    toStatus,
+    actorType,
+    actorId = null,
+    reason = null,
+    metadata = {},
+  }, client = pgPool) {
+    validateUUID(orderId, 'orderId');
+
+    const { rows } = await client.query(
+      `INSERT INTO order_status_history
+               (order_id, from_status, to_status, actor_type, actor_id, reason, metadata)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)
+             RETURNING *`,
+      [orderId, fromStatus, toStatus, actorType, actorId, reason, JSON.stringify(metadata ?? {})]
+    );
+    return mapRow(rows[0]);
+  },
+
+  /** Historique chronologique (le plus ancien en premier) d'une commande. */
+  async listByOrderId(orderId) {
+    validateUUID(orderId, 'orderId');
+
+    const { rows } = await pgPool.query(
+      `SELECT * FROM order_status_history
+             WHERE order_id = $1
+             ORDER BY created_at ASC, id ASC`,
+      [orderId]
+    );
+    return mapRows(rows);
+  },
+};
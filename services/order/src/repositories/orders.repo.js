@@ -40,6 +40,13 @@ const ITEM_JSON_OBJECT = `
         'variantAttributes', oi.variant_attributes,
         'unitPrice',         oi.unit_price,
         'quantity',          oi.quantity,
+        'refundedQuantity',  oi.refunded_quantity,
+        'discountAmount',    oi.discount_amount,
+        'promotionId',       oi.promotion_id,
+        'baseUnitPrice',     oi.base_unit_price,
+        'taxCategory',       oi.tax_category,
+        'taxRate',           oi.tax_rate,
+        'taxAmount',         oi.tax_amount,
         'image',             pv.attributes->>'image'
     )
 `;
@@ -50,24 +57,40 @@ export const ordersRepo = {
   // ÉCRITURE
   // ─────────────────────────────────────────────────────────────────────
 
+  /**
+   * `id` peut être fourni par l'appelant lorsqu'il doit être connu avant l'INSERT
+   * (consommation des promotions produit) ; sinon généré par la base.
+   */
   async createOrder(client, {
+    id = null,
     userId,
     subtotalAmount,
     shippingCost,
     shippingMethod,
     taxAmount,
     taxRate,
+    taxCountry = null,
+    taxBreakdown = [],
+    customerCompanyName = null,
+    customerVatNumber = null,
+    taxExemptionReason = null,
+    vatValidatedAt = null,
+    vatValidationReference = null,
     discountAmount,
+    couponCode = null,
     totalAmount,
     shippingAddress,
     billingAddress,
   }) {
     const { rows } = await client.query(
       `INSERT INTO orders
-             (user_id, subtotal_amount, shipping_cost, shipping_method,
+             (id, user_id, subtotal_amount, shipping_cost, shipping_method,
               tax_amount, tax_rate, discount_amount, total_amount,
-              shipping_address, billing_address, status)
-             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'PENDING')
+              shipping_address, billing_address, coupon_code, tax_country, tax_breakdown,
+              customer_company_name, customer_vat_number, tax_exemption_reason,
+              vat_validated_at, vat_validation_reference, status)
+             VALUES (COALESCE($12::uuid, uuid_generate_v4()), $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11,
+                     $13, $14, $15, $16, $17, $18, $19, 'PENDING')
              RETURNING *`,
       [
         userId,
@@ -80,6 +103,15 @@ export const ordersRepo = {
         totalAmount,
         shippingAddress,
         billingAddress,
+        couponCode,
+        id,
+        taxCountry,
+        JSON.stringify(taxBreakdown),
+        customerCompanyName,
+        customerVatNumber,
+        taxExemptionReason,
+        vatValidatedAt,
+        vatValidationReference,
       ]
     );
     return mapRow(rows[0]);
@@ -92,13 +124,23 @@ export const ordersRepo = {
     variantAttributes,
     unitPrice,
     quantity,
+    discountAmount = 0,
+    promotionId = null,
+    baseUnitPrice = null,
+    taxCategory = null,
+    taxRate = null,
+    taxAmount = 0,
   }) {
     const { rows } = await client.query(
       `INSERT INTO order_items
-             (order_id, variant_id, product_name, variant_attributes, unit_price, quantity)
-             VALUES ($1, $2, $3, $4, $5, $6)
+             (order_id, variant_id, product_name, variant_attributes, unit_price, quantity,
+              discount_amount, promotion_id, base_unit_price, tax_category, tax_rate, tax_amount)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
              RETURNING *`,
-      [orderId, variantId, productName, JSON.stringify(variantAttributes), unitPrice, quantity]
+      [
+        orderId, variantId, productName, JSON.stringify(variantAttributes), unitPrice, quantity,
+        discountAmount, promotionId, baseUnitPrice, taxCategory, taxRate, taxAmount,
+      ]
     );
     return mapRow(rows[0]);
   },
@@ -328,13 +370,22 @@ export const ordersRepo = {
     return mapRows(rows);
   },
 
-  async updateStatus(orderId, status, paymentData = null, client = pgPool) {
+  /**
+   * Change le statut si la commande est encore dans l'état attendu.
+   * Retourne null si la garde échoue (transition concurrente déjà appliquée).
+   * La validité de la transition est vérifiée en amont par orderStatusService.
+   */
+  async transitionStatus(orderId, { from, to, paymentData = null }, client = pgPool) {
     validateUUID(orderId, 'orderId');
 
     const { rows } = await client.query(
-      `UPDATE orders SET status = $2, updated_at = NOW() WHERE id = $1 RETURNING *`,
-      [orderId, status]
+      `UPDATE orders SET status = $2, updated_at = NOW()
+             WHERE id = $1 AND status = $3
+             RETURNING *`,
+      [orderId, to, from]
     );
+    if (!rows[0]) return null;
+
     const updatedOrder = mapRow(rows[0]);
 
     if (paymentData) {
@@ -354,6 +405,41 @@ export const ordersRepo = {
     return updatedOrder;
   },
 
+  /**
+   * Incrémente la quantité remboursée d'une ligne de commande.
+   * La garde SQL empêche de rembourser plus que la quantité commandée,
+   * y compris en cas d'appels concurrents. Retourne null si la garde échoue.
+   */
+  async addRefundedQuantity(orderId, orderItemId, quantity, client = pgPool) {
+    validateUUID(orderId, 'orderId');
+
+    const { rows } = await client.query(
+      `UPDATE order_items
+             SET refunded_quantity = refunded_quantity + $3
+             WHERE id = $2 AND order_id = $1
+               AND refunded_quantity + $3 <= quantity
+             RETURNING *`,
+      [orderId, orderItemId, quantity]
+    );
+
+    return mapRow(rows[0] ?? null);
+  },
+
+  /**
+   * Commandes PENDING dont le paiement n'a jamais abouti.
+   * Le cron les annule une par une via orderService pour tracer et libérer le stock.
+   */
+  async findExpiredPendingIds(olderThanHours = 24) {
+    const { rows } = await pgPool.query(
+      `SELECT id FROM orders
+             WHERE status = 'PENDING'
+               AND created_at < NOW() - make_interval(hours => $1)
+             ORDER BY created_at ASC`,
+      [olderThanHours]
+    );
+    return rows.map((row) => row.id);
+  },
+
   async getUserStats(userId) {
     validateUUID(userId, 'userId');
     const { rows } = await pgPool.query(
@@ -373,6 +459,119 @@ export const ordersRepo = {
     };
   },
 
+  // ─────────────────────────────────────────────────────────────────────
+  // DONNÉES PERSONNELLES (RGPD)
+  // Périmètre d'un client : les commandes de son compte, et les commandes
+  // guest passées avec son email (uniquement si l'email est vérifié,
+  // même règle que l'auto-claim).
+  // ─────────────────────────────────────────────────────────────────────
+
+  /**
+   * Commandes du client avec leurs lignes, de la plus ancienne à la plus récente.
+   *
+   * @param {string}      userId
+   * @param {string|null} verifiedEmail - null : commandes du compte uniquement
+   */
+  async listForDataExport(userId, verifiedEmail = null) {
+    validateUUID(userId, 'userId');
+
+    const { rows } = await pgPool.query(
+      `SELECT
+               o.*,
+               COALESCE(
+                 json_agg(
+                   ${ITEM_JSON_OBJECT}
+                 ) FILTER (WHERE oi.id IS NOT NULL),
+                 '[]'
+               ) AS items
+             FROM orders o
+             LEFT JOIN order_items oi ON oi.order_id = o.id
+             LEFT JOIN product.product_variants pv ON pv.id = oi.variant_id
+             WHERE o.user_id = $1
+                OR ($2::text IS NOT NULL AND o.user_id IS NULL AND LOWER(o.shipping_address->>'email') = $2)
+             GROUP BY o.id
+             ORDER BY o.created_at ASC`,
+      [userId, verifiedEmail?.trim().toLowerCase() ?? null]
+    );
+    return mapRows(rows);
+  },
+
+  /**
+   * Numéros des commandes encore en cours (paiement, préparation, livraison ou retour ouvert) :
+   * leurs adresses restent nécessaires tant qu'elles ne sont pas closes.
+   */
+  async findOpenOrderNumbersForCustomer(userId, verifiedEmail = null) {
+    validateUUID(userId, 'userId');
+
+    const { rows } = await pgPool.query(
+      `SELECT o.order_number
+             FROM orders o
+             WHERE (o.user_id = $1
+                    OR ($2::text IS NOT NULL AND o.user_id IS NULL AND LOWER(o.shipping_address->>'email') = $2))
+               AND (o.status IN ('PENDING', 'PAID', 'PROCESSING', 'SHIPPED')
+                    OR EXISTS (
+                      SELECT 1 FROM returns r
+                      WHERE r.order_id = o.id
+                        AND r.status IN ('REQUESTED', 'APPROVED', 'RECEIVED')
+                    ))
+             ORDER BY o.created_at ASC`,
+      [userId, verifiedEmail?.trim().toLowerCase() ?? null]
+    );
+    return rows.map((row) => row.order_number);
+  },
+
+  /**
+   * Efface les données personnelles des commandes du client : adresses réduites au pays,
+   * étiquettes transporteur et email des utilisations de coupons supprimés.
+   * Montants, lignes et factures sont conservés. Les commandes déjà anonymisées sont ignorées.
+   *
+   * @returns {Promise<string[]>} Identifiants des commandes anonymisées par cet appel
+   */
+  async anonymizeCustomerOrders(userId, verifiedEmail = null) {
+    validateUUID(userId, 'userId');
+
+    const client = await pgPool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const { rows } = await client.query(
+        `UPDATE orders
+                 SET shipping_address = jsonb_build_object('country', shipping_address->'country'),
+                     billing_address  = CASE
+                                          WHEN billing_address IS NULL THEN NULL
+                                          ELSE jsonb_build_object('country', billing_address->'country')
+                                        END,
+                     anonymized_at    = NOW(),
+                     updated_at       = NOW()
+                 WHERE (user_id = $1
+                        OR ($2::text IS NOT NULL AND user_id IS NULL AND LOWER(shipping_address->>'email') = $2))
+                   AND anonymized_at IS NULL
+                 RETURNING id`,
+        [userId, verifiedEmail?.trim().toLowerCase() ?? null]
+      );
+      const orderIds = rows.map((row) => row.id);
+
+      if (orderIds.length > 0) {
+        await client.query(
+          `UPDATE shipments SET label = NULL, label_format = NULL WHERE order_id = ANY($1::uuid[])`,
+          [orderIds]
+        );
+        await client.query(
+          `UPDATE coupon_redemptions SET customer_email = NULL WHERE order_id = ANY($1::uuid[])`,
+          [orderIds]
+        );
+      }
+
+      await client.query('COMMIT');
+      return orderIds;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
   // ─────────────────────────────────────────────────────────────────────
   // ADMINISTRATION
   // ─────────────────────────────────────────────────────────────────────
@@ -0,0 +1,176 @@
+/**
+ * @module Repository/Returns
+ *
+ * Gère les demandes de retour client (RMA) et leurs lignes.
+ *
+ * Les transitions de statut sont gardées en SQL (WHERE status = <attendu>) :
+ * deux admins qui traitent la même demande en parallèle ne peuvent pas
+ * appliquer deux fois la même étape (double réintégration de stock, double remboursement).
+ */
+import { pgPool } from '../config/database.js';
+import { mapRow, mapRows } from './_mappers.js';
+import { validateUUID } from '../utils/validation.js';
+
+// Horodatage renseigné à chaque transition — colonnes figées, jamais issues de l'entrée utilisateur
+const STATUS_TIMESTAMP_COLUMNS = Object.freeze({
+  APPROVED: 'approved_at',
+  REJECTED: 'rejected_at',
+  RECEIVED: 'received_at',
+  REFUNDED: 'refunded_at',
+});
+
+// Lignes du retour enrichies avec le snapshot de la ligne de commande
+const RETURN_ITEMS_JSON = `
+    COALESCE(
+        (SELECT json_agg(json_build_object(
+            'id',           ri.id,
+            'orderItemId',  ri.order_item_id,
+            'quantity',     ri.quantity,
+            'variantId',    oi.variant_id,
+            'productName',  oi.product_name,
+            'unitPrice',    oi.unit_price
+        ) ORDER BY ri.id)
+         FROM return_items ri
+         JOIN order_items oi ON oi.id = ri.order_item_id
+         WHERE ri.return_id = r.id),
+        '[]'::json
+    ) AS items
+`;
+
+export const returnsRepo = {
+
+  // ─────────────────────────────────────────────────────────────────────
+  // ÉCRITURE
+  // ─────────────────────────────────────────────────────────────────────
+
+  async create({ orderId, userId = null, reason }, client = pgPool) {
+    validateUUID(orderId, 'orderId');
+
+    const { rows } = await client.query(
+      `INSERT INTO returns (order_id, user_id, reason)
+             VALUES ($1, $2, $3)
+             RETURNING *`,
+      [orderId, userId, reason]
+    );
+    return mapRow(rows[0]);
+  },
+
+  async addItem({ returnId, orderItemId, quantity }, client = pgPool) {
+    const { rows } = await client.query(
+      `INSERT INTO return_items (return_id, order_item_id, quantity)
+             VALUES ($1, $2, $3)
+             RETURNING *`,
+      [returnId, orderItemId, quantity]
+    );
+    return mapRow(rows[0]);
+  },
+
+  /**
+   * Applique une transition de statut si la demande est encore dans l'état attendu.
+   * Retourne null si la garde échoue (demande déjà traitée ou statut incompatible).
+   */
+  async transition(id, { from, to, adminNote = null, refundId = null }, client = pgPool) {
+    validateUUID(id, 'returnId');
+
+    const timestampColumn = STATUS_TIMESTAMP_COLUMNS[to];
+    const timestampSet = timestampColumn ? `, ${timestampColumn} = NOW()` : '';
+
+    const { rows } = await client.query(
+      `UPDATE returns
+             SET status     = $2,
+                 admin_note = COALESCE($4, admin_note),
+                 refund_id  = COALESCE($5, refund_id),
+                 updated_at = NOW()
+                 ${timestampSet}
+             WHERE id = $1 AND status = $3
+             RETURNING *`,
+      [id, to, from, adminNote, refundId]
+    );
+    return mapRow(rows[0] ?? null);
+  },
+
+  // ─────────────────────────────────────────────────────────────────────
+  // LECTURE
+  // ─────────────────────────────────────────────────────────────────────
+
+  async findById(id, client = pgPool) {
+    validateUUID(id, 'returnId');
+
+    const { rows } = await client.query(
+      `SELECT r.*, ${RETURN_ITEMS_JSON}
+             FROM returns r
+             WHERE r.id = $1`,
+      [id]
+    );
+    return mapRow(rows[0] ?? null);
+  },
+
+  async listByOrderId(orderId) {
+    validateUUID(orderId, 'orderId');
+
+    const { rows } = await pgPool.query(
+      `SELECT r.*, ${RETURN_ITEMS_JSON}
+             FROM returns r
+             WHERE r.order_id = $1
+             ORDER BY r.created_at DESC`,
+      [orderId]
+    );
+    return mapRows(rows);
+  },
+
+  /**
+   * Quantités engagées dans des retours encore ouverts, sous la forme { [orderItemId]: quantity }.
+   * Les retours REFUNDED sont exclus : leurs quantités sont déjà dans order_items.refunded_quantity.
+   */
+  async sumOpenQuantitiesByOrderId(orderId, client = pgPool) {
+    validateUUID(orderId, 'orderId');
+
+    const { rows } = await client.query(
+      `SELECT ri.order_item_id, SUM(ri.quantity)::int AS quantity
+             FROM return_items ri
+             JOIN returns r ON r.id = ri.return_id
+             WHERE r.order_id = $1
+               AND r.status IN ('REQUESTED', 'APPROVED', 'RECEIVED')
+             GROUP BY ri.order_item_id`,
+      [orderId]
+    );
+    return Object.fromEntries(rows.map((row) => [String(row.order_item_id), row.quantity]));
+  },
+
+  /**
+   * Liste paginée pour le back-office, filtrable par statut.
+   */
+  async findAll({ status, page = 1, limit = 20 } = {}) {
+    const offset = (page - 1) * limit;
+    const values = [];
+    let whereClause = 'WHERE 1=1';
+
+    if (status && status !== 'ALL') {
+      values.push(status);
+      whereClause += ` AND r.status = $${values.length}`;
+    }
+
+    const countValues = [...values];
+
+    const query = `
+            SELECT r.*, o.order_number, ${RETURN_ITEMS_JSON}
+            FROM returns r
+            JOIN orders o ON o.id = r.order_id
+            ${whereClause}
+            ORDER BY r.created_at DESC
+            LIMIT $${values.push(limit)} OFFSET $${values.push(offset)}
+        `;
+
+    const [dataResult, countResult] = await Promise.all([
+      pgPool.query(query, values),
+      pgPool.query(`SELECT COUNT(*) FROM returns r ${whereClause}`, countValues),
+    ]);
+
+    const total = parseInt(countResult.rows[0].count, 10);
+
+    return {
+      returns: mapRows(dataResult.rows),
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+    };
+  },
+};
@@ -1,13 +1,27 @@
 /**
  * @module Repository/Shipments
  *
- * Gère le suivi logistique des commandes (transporteur, numéro de suivi, horodatages).
+ * Gère le suivi logistique des commandes (transporteur, numéro de suivi, horodatages),
+ * les étiquettes transporteur et le journal des événements de suivi.
+ *
+ * L'étiquette (BYTEA) n'est jamais renvoyée par les lectures courantes, exposées
+ * jusqu'au suivi public : elle se lit uniquement via findLabel().
+ *
+ * CROSS-SCHEMA :
+ * sumParcelWeight lit product.product_variants avec le nom de schéma complet.
  */
 import { pgPool } from '../config/database.js';
-import { mapRow } from './_mappers.js';
+import { mapRow, mapRows } from './_mappers.js';
 import { validateUUID } from '../utils/validation.js';
 import { assertExists } from '../utils/appError.js';
 
+// Toutes les colonnes sauf l'étiquette
+const SHIPMENT_COLUMNS = `
+    id, order_id, carrier, tracking_number, status, current_location, carrier_reference,
+    tracking_url, label_format, label_created_at, last_event_at, shipped_at, delivered_at,
+    created_at, updated_at
+`;
+
 export const shipmentsRepo = {
   /**
    * Crée une expédition ou met à jour le transporteur/tracking si une expédition
@@ -24,7 +38,7 @@ export const shipmentsRepo = {
                carrier         = EXCLUDED.carrier,
                tracking_number = EXCLUDED.tracking_number,
                updated_at      = NOW()
-             RETURNING *`,
+             RETURNING ${SHIPMENT_COLUMNS}`,
       [orderId, carrier ?? null, trackingNumber ?? null]
     );
     return mapRow(rows[0]);
@@ -65,7 +79,7 @@ export const shipmentsRepo = {
       `UPDATE shipments
              SET ${updates.join(', ')}
              WHERE id = $1
-             RETURNING *`,
+             RETURNING ${SHIPMENT_COLUMNS}`,
       params
     );
 
@@ -79,7 +93,7 @@ export const shipmentsRepo = {
                  tracking_number = $3,
                  updated_at      = NOW()
              WHERE id = $1
-             RETURNING *`,
+             RETURNING ${SHIPMENT_COLUMNS}`,
       [id, carrier ?? null, trackingNumber ?? null]
     );
     return assertExists(mapRow(rows[0]), 'Shipment', id);
@@ -96,7 +110,7 @@ export const shipmentsRepo = {
              SET shipped_at = COALESCE($2, NOW()),
                  updated_at = NOW()
              WHERE id = $1
-             RETURNING *`,
+             RETURNING ${SHIPMENT_COLUMNS}`,
       [id, shippedAt]
     );
     return assertExists(mapRow(rows[0]), 'Shipment', id);
@@ -111,7 +125,7 @@ export const shipmentsRepo = {
              SET delivered_at = COALESCE($2, NOW()),
                  updated_at   = NOW()
              WHERE id = $1
-             RETURNING *`,
+             RETURNING ${SHIPMENT_COLUMNS}`,
       [id, deliveredAt]
     );
     return assertExists(mapRow(rows[0]), 'Shipment', id);
@@ -120,7 +134,7 @@ export const shipmentsRepo = {
   async findByOrderId(orderId) {
     validateUUID(orderId, 'orderId');
     const { rows } = await pgPool.query(
-      `SELECT * FROM shipments WHERE order_id = $1`,
+      `SELECT ${SHIPMENT_COLUMNS} FROM shipments WHERE order_id = $1`,
       [orderId]
     );
     return mapRow(rows[0]);
@@ -128,9 +142,119 @@ export const shipmentsRepo = {
 
   async findById(id) {
     const { rows } = await pgPool.query(
-      `SELECT * FROM shipments WHERE id = $1`,
+      `SELECT ${SHIPMENT_COLUMNS} FROM shipments WHERE id = $1`,
       [id]
     );
     return mapRow(rows[0]);
   },
+
+  async findByTrackingNumber(trackingNumber, client = pgPool) {
+    const { rows } = await client.query(
+      `SELECT ${SHIPMENT_COLUMNS} FROM shipments WHERE tracking_number = $1`,
+      [trackingNumber]
+    );
+    return mapRow(rows[0] ?? null);
+  },
+
+  // ─────────────────────────────────────────────────────────────────────
+  // TRANSPORTEUR — ÉTIQUETTES ET ÉVÉNEMENTS
+  // ─────────────────────────────────────────────────────────────────────
+
+  /**
+   * Enregistre l'envoi créé chez le transporteur et son étiquette.
+   */
+  async attachLabel(id, { trackingNumber, carrierReference = null, trackingUrl = null, label, labelFormat }, client = pgPool) {
+    const { rows } = await client.query(
+      `UPDATE shipments
+             SET tracking_number   = $2,
+                 carrier_reference = $3,
+                 tracking_url      = $4,
+                 label             = $5,
+                 label_format      = $6,
+                 label_created_at  = NOW(),
+                 updated_at        = NOW()
+             WHERE id = $1
+             RETURNING ${SHIPMENT_COLUMNS}`,
+      [id, trackingNumber, carrierReference, trackingUrl, label, labelFormat]
+    );
+    return assertExists(mapRow(rows[0]), 'Shipment', id);
+  },
+
+  /**
+   * Étiquette brute — null si aucune étiquette n'a été générée.
+   * @returns {Promise<{ label: Buffer, labelFormat: string, trackingNumber: string }|null>}
+   */
+  async findLabel(id) {
+    const { rows } = await pgPool.query(
+      `SELECT label, label_format, tracking_number FROM shipments WHERE id = $1 AND label IS NOT NULL`,
+      [id]
+    );
+    return mapRow(rows[0] ?? null);
+  },
+
+  /**
+   * Journalise un événement transporteur.
+   * Retourne null si l'événement a déjà été reçu (webhook rejoué).
+   */
+  async addEvent({ shipmentId, carrierEventId, status, location = null, description = null, occurredAt, payload = null }, client = pgPool) {
+    const { rows } = await client.query(
+      `INSERT INTO shipment_events
+               (shipment_id, carrier_event_id, status, location, description, occurred_at, payload)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)
+             ON CONFLICT (shipment_id, carrier_event_id) DO NOTHING
+             RETURNING *`,
+      [shipmentId, carrierEventId, status, location, description, occurredAt, payload ? JSON.stringify(payload) : null]
+    );
+    return mapRow(rows[0] ?? null);
+  },
+
+  /**
+   * Applique un événement au statut de l'expédition, sauf s'il est antérieur
+   * au dernier événement appliqué (livraison hors ordre des webhooks).
+   * Les horodatages d'expédition et de livraison ne sont posés qu'une fois.
+   * @returns {Promise<object|null>} null si l'événement est périmé
+   */
+  async applyEvent(id, { status, location = null, occurredAt }, client = pgPool) {
+    const { rows } = await client.query(
+      `UPDATE shipments
+             SET status           = $2,
+                 current_location = COALESCE($3, current_location),
+                 last_event_at    = $4,
+                 shipped_at       = CASE WHEN $2 IN ('SHIPPED', 'IN_TRANSIT', 'OUT_FOR_DELIVERY', 'DELIVERED')
+                                         THEN COALESCE(shipped_at, $4) ELSE shipped_at END,
+                 delivered_at     = CASE WHEN $2 = 'DELIVERED' THEN COALESCE(delivered_at, $4) ELSE delivered_at END,
+                 updated_at       = NOW()
+             WHERE id = $1 AND (last_event_at IS NULL OR last_event_at <= $4)
+             RETURNING ${SHIPMENT_COLUMNS}`,
+      [id, status, location, occurredAt]
+    );
+    return mapRow(rows[0] ?? null);
+  },
+
+  async listEvents(shipmentId) {
+    const { rows } = await pgPool.query(
+      `SELECT id, status, location, description, occurred_at
+             FROM shipment_events
+             WHERE shipment_id = $1
+             ORDER BY occurred_at, id`,
+      [shipmentId]
+    );
+    return mapRows(rows);
+  },
+
+  /**
+   * Poids du colis : somme des poids de variante × quantités (0,5 kg par défaut,
+   * comme au calcul des frais de port).
+   */
+  async sumParcelWeight(orderId) {
+    validateUUID(orderId, 'orderId');
+    const { rows } = await pgPool.query(
+      `SELECT COALESCE(SUM(COALESCE(NULLIF(pv.weight, 0), 0.5) * oi.quantity), 0)::numeric AS weight
+             FROM order_items oi
+             LEFT JOIN product.product_variants pv ON pv.id = oi.variant_id
+             WHERE oi.order_id = $1`,
+      [orderId]
+    );
+    return Number(rows[0].weight);
+  },
 };
\ No newline at end of file
@@ -0,0 +1,266 @@
+/**
+ * @module Repository/ShippingRates
+ *
+ * Grille de frais de port : zones, pays rattachés, méthodes de livraison
+ * par zone et tranches de poids.
+ *
+ * Les remplacements de listes (pays d'une zone, tranches d'une méthode) se font
+ * en DELETE + INSERT : à appeler dans une transaction pour qu'un calcul
+ * concurrent ne voie jamais une grille à moitié écrite.
+ */
+import { pgPool } from '../config/database.js';
+import { mapRow, mapRows } from './_mappers.js';
+import { validateUUID } from '../utils/validation.js';
+
+// Colonnes modifiables via updateZone() / updateMethod() — clés camelCase → colonnes figées
+const ZONE_UPDATABLE_COLUMNS = Object.freeze({
+  name: 'name',
+  isDefault: 'is_default',
+  isActive: 'is_active',
+});
+
+const METHOD_UPDATABLE_COLUMNS = Object.freeze({
+  label: 'label',
+  carrier: 'carrier',
+  basePrice: 'base_price',
+  perKg: 'per_kg',
+  freeAbove: 'free_above',
+  estimatedDays: 'estimated_days',
+  sortOrder: 'sort_order',
+  isActive: 'is_active',
+});
+
+const buildAssignments = (columns, fields, values) =>
+  Object.entries(columns)
+    .filter(([key]) => fields[key] !== undefined)
+    .map(([key, column]) => {
+      values.push(fields[key]);
+      return `${column} = $${values.length}`;
+    });
+
+const groupBy = (items, keyOf) => {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    groups.set(key, [...(groups.get(key) ?? []), item]);
+  }
+  return groups;
+};
+
+export const shippingRatesRepo = {
+
+  // ─────────────────────────────────────────────────────────────────────
+  // ZONES
+  // ─────────────────────────────────────────────────────────────────────
+
+  async createZone({ code, name, isDefault = false, isActive = true }, client = pgPool) {
+    const { rows } = await client.query(
+      `INSERT INTO shipping_zones (code, name, is_default, is_active)
+             VALUES ($1, $2, $3, $4)
+             RETURNING *`,
+      [code, name, isDefault, isActive]
+    );
+    return mapRow(rows[0]);
+  },
+
+  async updateZone(id, fields, client = pgPool) {
+    validateUUID(id, 'zoneId');
+
+    const values = [id];
+    const assignments = buildAssignments(ZONE_UPDATABLE_COLUMNS, fields, values);
+
+    if (assignments.length === 0) return this.findZoneById(id, client);
+
+    const { rows } = await client.query(
+      `UPDATE shipping_zones SET ${assignments.join(', ')}, updated_at = NOW()
+             WHERE id = $1
+             RETURNING *`,
+      values
+    );
+    return mapRow(rows[0] ?? null);
+  },
+
+  /**
+   * Retire le statut de zone par défaut à toutes les zones sauf `exceptId`.
+   * Préalable à la désignation d'une nouvelle zone par défaut (index unique partiel).
+   */
+  async clearDefaultZone(exceptId = null, client = pgPool) {
+    await client.query(
+      `UPDATE shipping_zones SET is_default = FALSE, updated_at = NOW()
+             WHERE is_default = TRUE AND ($1::uuid IS NULL OR id <> $1::uuid)`,
+      [exceptId]
+    );
+  },
+
+  /**
+   * Supprime la zone, ses pays et ses méthodes (ON DELETE CASCADE).
+   */
+  async deleteZone(id, client = pgPool) {
+    validateUUID(id, 'zoneId');
+
+    const { rows } = await client.query(
+      `DELETE FROM shipping_zones WHERE id = $1 RETURNING *`,
+      [id]
+    );
+    return mapRow(rows[0] ?? null);
+  },
+
+  /**
+   * Remplace les pays d'une zone. Un pays déjà rattaché à une autre zone
+   * y est retiré : un pays n'appartient qu'à une seule zone.
+   */
+  async setZoneCountries(zoneId, countryCodes, client = pgPool) {
+    validateUUID(zoneId, 'zoneId');
+
+    await client.query(`DELETE FROM shipping_zone_countries WHERE zone_id = $1`, [zoneId]);
+
+    if (countryCodes.length > 0) {
+      await client.query(
+        `INSERT INTO shipping_zone_countries (country_code, zone_id)
+               SELECT UNNEST($2::char(2)[]), $1
+               ON CONFLICT (country_code) DO UPDATE SET zone_id = EXCLUDED.zone_id`,
+        [zoneId, countryCodes]
+      );
+    }
+  },
+
+  async findZoneById(id, client = pgPool) {
+    validateUUID(id, 'zoneId');
+
+    const { rows } = await client.query(`SELECT * FROM shipping_zones WHERE id = $1`, [id]);
+    return mapRow(rows[0] ?? null);
+  },
+
+  // ─────────────────────────────────────────────────────────────────────
+  // MÉTHODES
+  // ─────────────────────────────────────────────────────────────────────
+
+  async createMethod({
+    zoneId,
+    method,
+    label,
+    carrier = null,
+    basePrice = 0,
+    perKg = 0,
+    freeAbove = null,
+    estimatedDays,
+    sortOrder = 0,
+    isActive = true,
+  }, client = pgPool) {
+    validateUUID(zoneId, 'zoneId');
+
+    const { rows } = await client.query(
+      `INSERT INTO shipping_methods
+               (zone_id, method, label, carrier, base_price, per_kg, free_above,
+                estimated_days, sort_order, is_active)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+             RETURNING *`,
+      [zoneId, method, label, carrier, basePrice, perKg, freeAbove, estimatedDays, sortOrder, isActive]
+    );
+    return mapRow(rows[0]);
+  },
+
+  async updateMethod(id, fields, client = pgPool) {
+    validateUUID(id, 'methodId');
+
+    const values = [id];
+    const assignments = buildAssignments(METHOD_UPDATABLE_COLUMNS, fields, values);
+
+    if (assignments.length === 0) return this.findMethodById(id, client);
+
+    const { rows } = await client.query(
+      `UPDATE shipping_methods SET ${assignments.join(', ')}, updated_at = NOW()
+             WHERE id = $1
+             RETURNING *`,
+      values
+    );
+    return mapRow(rows[0] ?? null);
+  },
+
+  async deleteMethod(id, client = pgPool) {
+    validateUUID(id, 'methodId');
+
+    const { rows } = await client.query(
+      `DELETE FROM shipping_methods WHERE id = $1 RETURNING *`,
+      [id]
+    );
+    return mapRow(rows[0] ?? null);
+  },
+
+  /**
+   * Remplace les tranches de poids d'une méthode.
+   * @param {Array<{ maxWeightKg: number, price: number }>} brackets
+   */
+  async setBrackets(methodId, brackets, client = pgPool) {
+    validateUUID(methodId, 'methodId');
+
+    await client.query(`DELETE FROM shipping_weight_brackets WHERE method_id = $1`, [methodId]);
+
+    if (brackets.length > 0) {
+      await client.query(
+        `INSERT INTO shipping_weight_brackets (method_id, max_weight_kg, price)
+               SELECT $1, UNNEST($2::numeric[]), UNNEST($3::numeric[])`,
+        [methodId, brackets.map((b) => b.maxWeightKg), brackets.map((b) => b.price)]
+      );
+    }
+  },
+
+  async findMethodById(id, client = pgPool) {
+    validateUUID(id, 'methodId');
+
+    const { rows } = await client.query(`SELECT * FROM shipping_methods WHERE id = $1`, [id]);
+    return mapRow(rows[0] ?? null);
+  },
+
+  // ─────────────────────────────────────────────────────────────────────
+  // GRILLE COMPLÈTE
+  // ─────────────────────────────────────────────────────────────────────
+
+  /**
+   * Grille complète : zones avec leurs pays, leurs méthodes et les tranches
+   * de chaque méthode (triées par poids croissant).
+   * Montants convertis en nombres (NUMERIC → string côté pg).
+   *
+   * @param {{ includeInactive?: boolean }} [options] - true pour le back-office
+   */
+  async findRateCard({ includeInactive = false } = {}) {
+    const [zones, countries, methods, brackets] = await Promise.all([
+      pgPool.query(
+        `SELECT * FROM shipping_zones
+               WHERE ($1::boolean OR is_active = TRUE)
+               ORDER BY is_default, code`,
+        [includeInactive]
+      ),
+      pgPool.query(`SELECT * FROM shipping_zone_countries ORDER BY country_code`),
+      pgPool.query(
+        `SELECT * FROM shipping_methods
+               WHERE ($1::boolean OR is_active = TRUE)
+               ORDER BY sort_order, method`,
+        [includeInactive]
+      ),
+      pgPool.query(`SELECT * FROM shipping_weight_brackets ORDER BY max_weight_kg`),
+    ]);
+
+    const bracketsByMethod = groupBy(mapRows(brackets.rows), (b) => b.methodId);
+    const countriesByZone = groupBy(mapRows(countries.rows), (c) => c.zoneId);
+    const methodsByZone = groupBy(
+      mapRows(methods.rows).map((method) => ({
+        ...method,
+        basePrice: Number(method.basePrice),
+        perKg: Number(method.perKg),
+        freeAbove: method.freeAbove === null ? null : Number(method.freeAbove),
+        brackets: (bracketsByMethod.get(method.id) ?? []).map(({ maxWeightKg, price }) => ({
+          maxWeightKg: Number(maxWeightKg),
+          price: Number(price),
+        })),
+      })),
+      (method) => method.zoneId
+    );
+
+    return mapRows(zones.rows).map((zone) => ({
+      ...zone,
+      countries: (countriesByZone.get(zone.id) ?? []).map((c) => c.countryCode),
+      methods: methodsByZone.get(zone.id) ?? [],
+    }));
+  },
+};
@@ -0,0 +1,120 @@
+/**
+ * @module Repository/TaxRules
+ *
+ * Taux de TVA par pays (ISO 3166-1 alpha-2) et catégorie fiscale.
+ *
+ * CROSS-SCHEMA :
+ * findVariantTaxCategories lit product.product_variants et product.products
+ * avec le nom de schéma complet (search_path = "order").
+ */
+import { pgPool } from '../config/database.js';
+import { mapRow, mapRows } from './_mappers.js';
+import { validateUUID } from '../utils/validation.js';
+
+// Colonnes modifiables via update() — clés camelCase → colonnes figées
+const UPDATABLE_COLUMNS = Object.freeze({
+  rate: 'rate',
+  description: 'description',
+  isActive: 'is_active',
+});
+
+export const taxRulesRepo = {
+
+  // ─────────────────────────────────────────────────────────────────────
+  // ÉCRITURE — ADMINISTRATION
+  // ─────────────────────────────────────────────────────────────────────
+
+  async create({ countryCode, taxCategory, rate, description = null, isActive = true, createdBy = null }, client = pgPool) {
+    const { rows } = await client.query(
+      `INSERT INTO tax_rules (country_code, tax_category, rate, description, is_active, created_by)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             RETURNING *`,
+      [countryCode, taxCategory, rate, description, isActive, createdBy]
+    );
+    return mapRow(rows[0]);
+  },
+
+  async update(id, fields, client = pgPool) {
+    validateUUID(id, 'ruleId');
+
+    const values = [id];
+    const assignments = Object.entries(UPDATABLE_COLUMNS)
+      .filter(([key]) => fields[key] !== undefined)
+      .map(([key, column]) => {
+        values.push(fields[key]);
+        return `${column} = $${values.length}`;
+      });
+
+    if (assignments.length === 0) return this.findById(id, client);
+
+    const { rows } = await client.query(
+      `UPDATE tax_rules SET ${assignments.join(', ')}, updated_at = NOW()
+             WHERE id = $1
+             RETURNING *`,
+      values
+    );
+    return mapRow(rows[0] ?? null);
+  },
+
+  async delete(id, client = pgPool) {
+    validateUUID(id, 'ruleId');
+
+    const { rows } = await client.query(
+      `DELETE FROM tax_rules WHERE id = $1 RETURNING *`,
+      [id]
+    );
+    return mapRow(rows[0] ?? null);
+  },
+
+  // ─────────────────────────────────────────────────────────────────────
+  // LECTURE
+  // ─────────────────────────────────────────────────────────────────────
+
+  async findById(id, client = pgPool) {
+    validateUUID(id, 'ruleId');
+
+    const { rows } = await client.query(`SELECT * FROM tax_rules WHERE id = $1`, [id]);
+    return mapRow(rows[0] ?? null);
+  },
+
+  /**
+   * Règles actives d'un pays — tableau vide si le pays n'a aucune règle.
+   */
+  async findActiveByCountry(countryCode, client = pgPool) {
+    const { rows } = await client.query(
+      `SELECT * FROM tax_rules
+             WHERE country_code = $1 AND is_active = TRUE
+             ORDER BY rate DESC`,
+      [countryCode]
+    );
+    return mapRows(rows);
+  },
+
+  /**
+   * Liste pour le back-office, filtrable par pays. Inclut les règles inactives.
+   */
+  async findAll({ countryCode = null } = {}) {
+    const { rows } = await pgPool.query(
+      `SELECT * FROM tax_rules
+             WHERE ($1::char(2) IS NULL OR country_code = $1::char(2))
+             ORDER BY country_code, rate DESC`,
+      [countryCode]
+    );
+    return mapRows(rows);
+  },
+
+  /**
+   * Catégorie fiscale du produit de chaque variante, sous la forme
+   * { [variantId]: taxCategory }. Une variante inconnue est absente du résultat.
+   */
+  async findVariantTaxCategories(variantIds) {
+    const { rows } = await pgPool.query(
+      `SELECT pv.id AS variant_id, p.tax_category
+             FROM product.product_variants pv
+             JOIN product.products p ON p.id = pv.product_id
+             WHERE pv.id = ANY($1::uuid[])`,
+      [variantIds]
+    );
+    return Object.fromEntries(rows.map((row) => [row.variant_id, row.tax_category]));
+  },
+};
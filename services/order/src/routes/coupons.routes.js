@@ -0,0 +1,38 @@
+/**
+ * @module Routes/Coupons
+ * @service order-service
+ *
+ * ADMINISTRATION des codes promo.
+ * Pas de suppression : un code déjà utilisé reste référencé par ses commandes,
+ * on le désactive (PATCH { isActive: false }).
+ *
+ *   GET   /             → liste paginée (?active=, ?search=)
+ *   GET   /:couponId    → détail avec périmètre (productIds, categoryIds)
+ *   POST  /             → création
+ *   PATCH /:couponId    → mise à jour partielle
+ */
+import { Router } from 'express';
+import { couponController } from '../controllers/coupons.controller.js';
+import { protect } from '../middlewares/auth.middleware.js';
+import { requirePermission } from '../middlewares/role.middleware.js';
+import { PERMISSIONS } from '../constants/roles.js';
+import { validateUUID } from '../utils/validation.js';
+
+const router = Router();
+
+router.use(protect, requirePermission(PERMISSIONS.COUPONS_MANAGE));
+
+router.param('couponId', (req, _res, next, couponId) => {
+    validateUUID(couponId, 'couponId');
+    next();
+});
+
+router.get('/', couponController.getAllCoupons);
+
+router.get('/:couponId', couponController.getCoupon);
+
+router.post('/', couponController.createCoupon);
+
+router.patch('/:couponId', couponController.updateCoupon);
+
+export default router;
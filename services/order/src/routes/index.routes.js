@@ -6,6 +6,8 @@
  *
  * PÉRIMÈTRES :
  *   /api/v1/orders    → cycle de vie des commandes (authentifié + guest)
+ *   /api/v1/returns   → administration des retours clients (RMA)
+ *   /api/v1/coupons   → administration des codes promo
  *   /api/v1/shipping  → frais de port et gestion des expéditions
  *   /api/v1/taxes     → taux de TVA et calculs fiscaux
  *   /internal         → routes inter-services (X-Internal-Secret uniquement)
@@ -24,6 +26,8 @@
 import { Router } from 'express';
 import { generalLimiter } from '../config/security.js';
 import orderRoutes   from './order.routes.js';
+import returnRoutes  from './returns.routes.js';
+import couponRoutes  from './coupons.routes.js';
 import shippingRoutes from './shipping.routes.js';
 import taxRoutes     from './tax.routes.js';
 import internalRoutes from './internal.routes.js';
@@ -33,6 +37,12 @@ const router = Router();
 // Routes commandes — authentifiées et guest
 router.use('/api/v1/orders',   generalLimiter, orderRoutes);
 
+// Routes retours — administration (l'ouverture client passe par /orders/:orderId/returns)
+router.use('/api/v1/returns',  generalLimiter, returnRoutes);
+
+// Routes codes promo — administration (l'application passe par /orders/preview et /orders/checkout)
+router.use('/api/v1/coupons',  generalLimiter, couponRoutes);
+
 // Routes frais de port — publiques + admin
 router.use('/api/v1/shipping', generalLimiter, shippingRoutes);
 
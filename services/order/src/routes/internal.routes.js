@@ -5,16 +5,20 @@
  * Ces routes ne sont jamais exposées via le Gateway Nginx.
  *
  * Deux périmètres de confiance distincts :
- * - `fromMonolith`     → payment.service.js (marquer PAID, annuler via webhook Stripe)
- * - `fromAuthService`  → auth.service.js (auto-claim, historique, stats)
+ * - `fromMonolith`     → payment.service.js (marquer PAID, annuler, rembourser via Stripe)
+ * - `fromAuthService`  → auth-service (auto-claim des emails vérifiés, historique, stats,
+ *                         export et effacement RGPD)
  */
 import { Router } from 'express';
 import { orderService } from '../services/orders.service.js';
+import { invoiceService } from '../services/invoice.service.js';
+import { privacyService } from '../services/privacy.service.js';
 import { ordersRepo } from '../repositories/index.js';
 import { fromMonolith, fromAuthService } from '../middlewares/internal.middleware.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import { HTTP_STATUS } from '../constants/httpStatus.js';
-import { ValidationError } from '../utils/appError.js';
+import { ValidationError, BusinessError } from '../utils/appError.js';
+import { STATUS_ACTOR } from '../constants/enums.js';
 import { validateUUID } from '../utils/validation.js';
 
 const router = Router();
@@ -51,10 +55,40 @@ router.get(
     })
 );
 
+/**
+ * GET /internal/orders/:orderId/invoice
+ * Facture de la commande (PDF en base64) jointe à l'email de confirmation de paiement.
+ * L'émet si le passage en PAID ne l'a pas déjà fait.
+ */
+router.get(
+    '/orders/:orderId/invoice',
+    fromMonolith,
+    asyncHandler(async (req, res) => {
+        validateUUID(req.params.orderId, 'orderId');
+
+        const invoice = await invoiceService.issueInvoice(req.params.orderId);
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            data: {
+                invoice: {
+                    id: invoice.id,
+                    invoiceNumber: invoice.invoiceNumber,
+                    totalAmount: invoice.totalAmount,
+                    issuedAt: invoice.issuedAt,
+                },
+                filename: `${invoice.invoiceNumber}.pdf`,
+                content: invoiceService.render(invoice).toString('base64'),
+            },
+        });
+    })
+);
+
 /**
  * POST /internal/orders/:orderId/status
  * Mise à jour du statut après confirmation de paiement Stripe.
  * Déclenche également la saga de confirmation de stock (confirmSale via inventoryClient).
+ * La transition est tracée avec l'acteur WEBHOOK.
  */
 router.post(
     '/orders/:orderId/status',
@@ -62,17 +96,17 @@ router.post(
     asyncHandler(async (req, res) => {
         validateUUID(req.params.orderId, 'orderId');
 
-        const { status, paymentData } = req.body;
+        const { status, paymentData, reason } = req.body;
 
         if (!status) {
             throw new ValidationError('Le champ status est requis');
         }
 
-        const updatedOrder = await orderService.updateOrderStatus(
-            req.params.orderId,
-            status,
-            paymentData ?? null
-        );
+        const updatedOrder = await orderService.updateOrderStatus(req.params.orderId, status, {
+            actor: { type: STATUS_ACTOR.WEBHOOK, id: null },
+            reason: reason ?? null,
+            paymentData: paymentData ?? null,
+        });
 
         res.status(HTTP_STATUS.OK).json({
             status: 'success',
@@ -93,7 +127,10 @@ router.post(
         validateUUID(req.params.orderId, 'orderId');
 
         const reason = req.body.reason || 'webhook_cancel';
-        await orderService.cancelOrderAndReleaseStock(req.params.orderId, reason);
+        await orderService.cancelOrderAndReleaseStock(req.params.orderId, reason, {
+            type: STATUS_ACTOR.WEBHOOK,
+            id: null,
+        });
 
         res.status(HTTP_STATUS.OK).json({
             status: 'success',
@@ -102,6 +139,51 @@ router.post(
     })
 );
 
+/**
+ * POST /internal/orders/:orderId/refund
+ * Application d'un remboursement Stripe confirmé par le payment-service.
+ * Met à jour les quantités remboursées, le statut, et rend le stock des lignes concernées.
+ * Un avoir est émis pour le remboursement (`amount` TTC, optionnel).
+ */
+router.post(
+    '/orders/:orderId/refund',
+    fromMonolith,
+    asyncHandler(async (req, res) => {
+        validateUUID(req.params.orderId, 'orderId');
+
+        const { status, items, restock, refundId, reason, adminId, amount } = req.body;
+
+        if (!status) {
+            throw new ValidationError('Le champ status est requis');
+        }
+
+        if (items !== undefined && !Array.isArray(items)) {
+            throw new ValidationError('Le champ items doit être un tableau');
+        }
+
+        if (adminId) validateUUID(adminId, 'adminId');
+
+        if (amount !== undefined && amount !== null && !(Number(amount) > 0)) {
+            throw new ValidationError('Le champ amount doit être un montant positif');
+        }
+
+        const updatedOrder = await orderService.applyRefund(req.params.orderId, {
+            status,
+            items: items ?? [],
+            restock: restock !== false,
+            refundId: refundId ?? null,
+            reason: reason ?? null,
+            adminId: adminId ?? null,
+            amount: amount ?? null,
+        });
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            data: { order: updatedOrder },
+        });
+    })
+);
+
 // ─────────────────────────────────────────────────────────────────────────────
 // ENDPOINTS APPELÉS PAR L'AUTH-SERVICE
 // ─────────────────────────────────────────────────────────────────────────────
@@ -109,13 +191,16 @@ router.post(
 /**
  * POST /internal/orders/claim
  * Rattache toutes les commandes guest d'un email à un compte utilisateur.
- * Appelé lors du login et du register par l'auth-service.
+ * Appelé par l'auth-service après vérification de l'email, puis à chaque login.
+ *
+ * Refusé tant que l'email n'est pas vérifié : sinon s'inscrire avec l'adresse
+ * d'un tiers suffirait pour récupérer ses commandes et adresses de livraison.
  */
 router.post(
     '/orders/claim',
     fromAuthService,
     asyncHandler(async (req, res) => {
-        const { userId, email } = req.body;
+        const { userId, email, emailVerified } = req.body;
 
         if (!userId || !email) {
             throw new ValidationError('Les champs userId et email sont requis');
@@ -123,6 +208,10 @@ router.post(
 
         validateUUID(userId, 'userId');
 
+        if (emailVerified !== true) {
+            throw new BusinessError('Rattachement automatique réservé aux adresses email vérifiées');
+        }
+
         const result = await orderService.autoClaimGuestOrders(userId, email);
 
         res.status(HTTP_STATUS.OK).json({
@@ -179,4 +268,63 @@ router.get(
     })
 );
 
+// ─────────────────────────────────────────────────────────────────────────────
+// DONNÉES PERSONNELLES (RGPD) — APPELÉS PAR L'AUTH-SERVICE
+// POST plutôt que GET : l'email transite dans le corps, jamais dans l'URL
+// (journaux d'accès). `emailVerified` conditionne l'inclusion des commandes guest.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const resolveVerifiedEmail = ({ email, emailVerified }) => {
+    if (emailVerified !== true) return null;
+    if (typeof email !== 'string' || !email.includes('@')) {
+        throw new ValidationError('Le champ email est requis lorsque emailVerified est vrai');
+    }
+    return email;
+};
+
+/**
+ * POST /internal/orders/user/:userId/export
+ * Commandes, factures, retours et paiements du client pour son archive d'export.
+ */
+router.post(
+    '/orders/user/:userId/export',
+    fromAuthService,
+    asyncHandler(async (req, res) => {
+        validateUUID(req.params.userId, 'userId');
+
+        const data = await privacyService.exportCustomerData(
+            req.params.userId,
+            resolveVerifiedEmail(req.body)
+        );
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            data,
+        });
+    })
+);
+
+/**
+ * POST /internal/orders/user/:userId/erase
+ * Anonymise les commandes du client avant la suppression de son compte.
+ * 409 si une commande est encore en cours.
+ */
+router.post(
+    '/orders/user/:userId/erase',
+    fromAuthService,
+    asyncHandler(async (req, res) => {
+        validateUUID(req.params.userId, 'userId');
+
+        const result = await privacyService.eraseCustomerData(
+            req.params.userId,
+            resolveVerifiedEmail(req.body)
+        );
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            data: result,
+        });
+    })
+);
+
 export default router;
\ No newline at end of file
@@ -9,9 +9,11 @@
  */
 import { Router } from 'express';
 import { orderController } from '../controllers/order.controller.js';
+import { returnController } from '../controllers/returns.controller.js';
 import { protect } from '../middlewares/auth.middleware.js';
 import { optionalAuth } from '../middlewares/optionalAuth.middleware.js';
-import { restrictTo } from '../middlewares/role.middleware.js';
+import { requirePermission } from '../middlewares/role.middleware.js';
+import { PERMISSIONS } from '../constants/roles.js';
 import { trackingGuestLimiter } from '../config/security.js';
 import { validateRequired, validateEmail, validateUUID } from '../utils/validation.js';
 import { ValidationError } from '../utils/appError.js';
@@ -63,7 +65,7 @@ router.get('/my-orders', protect, orderController.getMyOrders);
 // 3. ADMINISTRATION
 // ─────────────────────────────────────────────────────────────────────
 
-router.get('/', protect, restrictTo('ADMIN'), orderController.getAllOrders);
+router.get('/', protect, requirePermission(PERMISSIONS.ORDERS_READ), orderController.getAllOrders);
 
 // ─────────────────────────────────────────────────────────────────────
 // 4. ROUTES PARAMÉTRIQUES /:orderId — en dernier
@@ -90,6 +92,7 @@ router.get(
  * POST /api/v1/orders/:orderId/cancel
  * Annule une commande PENDING et libère le stock réservé.
  * Accessible en mode guest (avec ?email= ou body.email) et authentifié.
+ * trackingGuestLimiter protège le mode guest contre l'énumération des couples commande/email.
  */
 router.post(
     '/:orderId/cancel',
@@ -118,10 +121,110 @@ router.post(
     orderController.claimOrder
 );
 
+/**
+ * POST /api/v1/orders/:orderId/returns
+ * Ouvre une demande de retour sur une commande livrée.
+ * Accessible en mode guest (avec ?email= ou body.email) et authentifié.
+ * trackingGuestLimiter protège le mode guest contre l'énumération des couples commande/email.
+ */
+router.post(
+    '/:orderId/returns',
+    trackingGuestLimiter,
+    optionalAuth,
+    (req, _res, next) => {
+        validateUUID(req.params.orderId, 'orderId');
+        validateRequired(req.body, ['items', 'reason']);
+        next();
+    },
+    returnController.requestReturn
+);
+
+/**
+ * GET /api/v1/orders/:orderId/returns
+ * Demandes de retour d'une commande (mode guest : ?email= requis).
+ */
+router.get(
+    '/:orderId/returns',
+    trackingGuestLimiter,
+    optionalAuth,
+    (req, _res, next) => {
+        validateUUID(req.params.orderId, 'orderId');
+        next();
+    },
+    returnController.getOrderReturns
+);
+
+/**
+ * GET /api/v1/orders/:orderId/history
+ * Historique des transitions de statut (qui, quand, pourquoi).
+ * Propriétaire ou admin ; mode guest : ?email= requis.
+ */
+router.get(
+    '/:orderId/history',
+    trackingGuestLimiter,
+    optionalAuth,
+    (req, _res, next) => {
+        validateUUID(req.params.orderId, 'orderId');
+        next();
+    },
+    orderController.getStatusHistory
+);
+
+/**
+ * GET /api/v1/orders/:orderId/invoice
+ * Facture PDF (émise au paiement). Propriétaire ou admin ; mode guest : ?email= requis.
+ */
+router.get(
+    '/:orderId/invoice',
+    trackingGuestLimiter,
+    optionalAuth,
+    (req, _res, next) => {
+        validateUUID(req.params.orderId, 'orderId');
+        next();
+    },
+    orderController.downloadInvoice
+);
+
+/**
+ * GET /api/v1/orders/:orderId/invoices
+ * Liste des factures et avoirs ; GET /:orderId/invoices/:invoiceId renvoie le PDF d'un document.
+ */
+router.get(
+    '/:orderId/invoices',
+    trackingGuestLimiter,
+    optionalAuth,
+    (req, _res, next) => {
+        validateUUID(req.params.orderId, 'orderId');
+        next();
+    },
+    orderController.getInvoices
+);
+
+router.get(
+    '/:orderId/invoices/:invoiceId',
+    trackingGuestLimiter,
+    optionalAuth,
+    (req, _res, next) => {
+        validateUUID(req.params.orderId, 'orderId');
+        validateUUID(req.params.invoiceId, 'invoiceId');
+        next();
+    },
+    orderController.downloadInvoice
+);
+
 /**
  * PATCH /api/v1/orders/:orderId/status
  * ADMINISTRATION : mise à jour du statut d'une commande.
  */
-router.patch('/:orderId/status', protect, restrictTo('ADMIN'), orderController.updateStatus);
+router.patch(
+    '/:orderId/status',
+    protect,
+    requirePermission(PERMISSIONS.ORDERS_UPDATE_STATUS),
+    (req, _res, next) => {
+        validateUUID(req.params.orderId, 'orderId');
+        next();
+    },
+    orderController.updateStatus
+);
 
 export default router;
\ No newline at end of file
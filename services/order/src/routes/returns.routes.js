@@ -0,0 +1,43 @@
+/**
+ * @module Routes/Returns
+ * @service order-service
+ *
+ * ADMINISTRATION des retours clients (RMA).
+ * L'ouverture et la consultation côté client sont exposées sous /api/v1/orders/:orderId/returns.
+ *
+ *   GET  /                      → liste paginée (?status=)
+ *   GET  /:returnId             → détail avec lignes
+ *   POST /:returnId/approve     → REQUESTED → APPROVED
+ *   POST /:returnId/reject      → REQUESTED → REJECTED
+ *   POST /:returnId/receive     → APPROVED  → RECEIVED (restock) → REFUNDED
+ *   POST /:returnId/refund      → RECEIVED  → REFUNDED (relance)
+ */
+import { Router } from 'express';
+import { returnController } from '../controllers/returns.controller.js';
+import { protect } from '../middlewares/auth.middleware.js';
+import { requirePermission } from '../middlewares/role.middleware.js';
+import { PERMISSIONS } from '../constants/roles.js';
+import { validateUUID } from '../utils/validation.js';
+
+const router = Router();
+
+router.use(protect, requirePermission(PERMISSIONS.RETURNS_MANAGE));
+
+router.param('returnId', (req, _res, next, returnId) => {
+    validateUUID(returnId, 'returnId');
+    next();
+});
+
+router.get('/', returnController.getAllReturns);
+
+router.get('/:returnId', returnController.getReturn);
+
+router.post('/:returnId/approve', returnController.approveReturn);
+
+router.post('/:returnId/reject', returnController.rejectReturn);
+
+router.post('/:returnId/receive', returnController.receiveReturn);
+
+router.post('/:returnId/refund', returnController.refundReturn);
+
+export default router;
@@ -7,11 +7,24 @@
  *   Publiques (sans auth) :
  *     POST /calculate        → options de livraison pour le checkout guest
  *     POST /rates            → estimation legacy (compatibilité)
- *     GET  /track/:orderId   → suivi de commande (clients sans compte)
+ *     GET  /track/:orderId   → suivi de commande et événements transporteur (clients sans compte)
+ *
+ *   Webhook transporteur (signature HMAC, sans JWT) :
+ *     POST /webhooks/carrier  → événements de suivi ; DELIVERED clôt la commande et notifie le client
  *
  *   Admin uniquement :
  *     POST   /shipments/:orderId      → créer une expédition
  *     PATCH  /shipments/:shipmentId   → mettre à jour le suivi
+ *     GET    /shipments/:shipmentId/label → télécharger l'étiquette transporteur
+ *     GET    /zones                   → grille tarifaire complète
+ *     POST   /zones                   → créer une zone (et ses pays)
+ *     PATCH  /zones/:zoneId           → modifier une zone / remplacer ses pays
+ *     DELETE /zones/:zoneId           → supprimer une zone et ses méthodes
+ *     POST   /zones/:zoneId/methods   → ajouter une méthode (et ses tranches de poids)
+ *     PATCH  /methods/:methodId       → modifier une méthode / remplacer ses tranches
+ *     DELETE /methods/:methodId       → supprimer une méthode
+ *
+ *   Toute modification de la grille invalide les options en cache (shipping:options:*).
  *
  * DIFFÉRENCE AVEC LE MONOLITH :
  *   Le monolith appliquait protect sur TOUTES les routes shipping (router.use(protect)).
@@ -21,10 +34,22 @@
 import { Router } from 'express';
 import { shippingController } from '../controllers/shipping.controller.js';
 import { protect } from '../middlewares/auth.middleware.js';
-import { restrictTo } from '../middlewares/role.middleware.js';
+import { requirePermission } from '../middlewares/role.middleware.js';
+import { PERMISSIONS } from '../constants/roles.js';
+import { validateUUID } from '../utils/validation.js';
 
 const router = Router();
 
+router.param('zoneId', (req, _res, next, zoneId) => {
+    validateUUID(zoneId, 'zoneId');
+    next();
+});
+
+router.param('methodId', (req, _res, next, methodId) => {
+    validateUUID(methodId, 'methodId');
+    next();
+});
+
 // ─────────────────────────────────────────────────────────────────────────────
 // PUBLIQUES — Accessibles sans authentification
 // ─────────────────────────────────────────────────────────────────────────────
@@ -51,8 +76,15 @@ router.post('/rates', shippingController.getRates);
  */
 router.get('/track/:orderId', shippingController.getTracking);
 
+/**
+ * POST /api/v1/shipping/webhooks/carrier
+ * Événements de suivi du transporteur. Authentifiés par signature HMAC
+ * (rawBody capturé dans app.js via express.json({ verify })).
+ */
+router.post('/webhooks/carrier', shippingController.handleCarrierWebhook);
+
 // ─────────────────────────────────────────────────────────────────────────────
-// ADMINISTRATION — Réservées aux ADMIN
+// ADMINISTRATION — expéditions (shipments:manage), configuration (shipping:configure)
 // ─────────────────────────────────────────────────────────────────────────────
 
 /**
@@ -60,13 +92,35 @@ router.get('/track/:orderId', shippingController.getTracking);
  * Crée une expédition avec numéro de suivi automatique.
  * Requiert une commande au statut PAID.
  */
-router.post('/shipments/:orderId', protect, restrictTo('ADMIN'), shippingController.createShipment);
+router.post('/shipments/:orderId', protect, requirePermission(PERMISSIONS.SHIPMENTS_MANAGE), shippingController.createShipment);
 
 /**
  * PATCH /api/v1/shipping/shipments/:shipmentId
  * Met à jour le statut et la localisation d'une expédition.
  * Un statut DELIVERED propage automatiquement DELIVERED à la commande.
  */
-router.patch('/shipments/:shipmentId', protect, restrictTo('ADMIN'), shippingController.updateTracking);
+router.patch('/shipments/:shipmentId', protect, requirePermission(PERMISSIONS.SHIPMENTS_MANAGE), shippingController.updateTracking);
+
+/**
+ * GET /api/v1/shipping/shipments/:shipmentId/label
+ * Étiquette générée par le transporteur au passage de la commande en SHIPPED.
+ */
+router.get('/shipments/:shipmentId/label', protect, requirePermission(PERMISSIONS.SHIPMENTS_MANAGE), shippingController.downloadLabel);
+
+// ── Grille tarifaire : zones, méthodes, tranches de poids ────────────────────
+
+router.get('/zones', protect, requirePermission(PERMISSIONS.SHIPPING_CONFIGURE), shippingController.getZones);
+
+router.post('/zones', protect, requirePermission(PERMISSIONS.SHIPPING_CONFIGURE), shippingController.createZone);
+
+router.patch('/zones/:zoneId', protect, requirePermission(PERMISSIONS.SHIPPING_CONFIGURE), shippingController.updateZone);
+
+router.delete('/zones/:zoneId', protect, requirePermission(PERMISSIONS.SHIPPING_CONFIGURE), shippingController.deleteZone);
+
+router.post('/zones/:zoneId/methods', protect, requirePermission(PERMISSIONS.SHIPPING_CONFIGURE), shippingController.createMethod);
+
+router.patch('/methods/:methodId', protect, requirePermission(PERMISSIONS.SHIPPING_CONFIGURE), shippingController.updateMethod);
+
+router.delete('/methods/:methodId', protect, requirePermission(PERMISSIONS.SHIPPING_CONFIGURE), shippingController.deleteMethod);
 
 export default router;
@@ -4,17 +4,28 @@
  *
  * Endpoints de consultation des taux de TVA et calculs fiscaux.
  *
- * Toutes ces routes sont PUBLIQUES :
+ * Les routes de consultation sont PUBLIQUES :
  *   - Les taux de TVA sont des données réglementaires accessibles publiquement.
  *   - Les guests ont besoin de voir les taxes avant de créer un compte.
  *   - Le rate limiter général (appliqué dans index.routes.js) protège contre
  *     les abus sans bloquer les usages légitimes.
+ *
+ * L'administration des règles (/rules) exige la permission taxes:manage.
  */
 import { Router } from 'express';
 import { taxController } from '../controllers/tax.controller.js';
+import { protect } from '../middlewares/auth.middleware.js';
+import { requirePermission } from '../middlewares/role.middleware.js';
+import { PERMISSIONS } from '../constants/roles.js';
+import { validateUUID } from '../utils/validation.js';
 
 const router = Router();
 
+router.param('ruleId', (req, _res, next, ruleId) => {
+    validateUUID(ruleId, 'ruleId');
+    next();
+});
+
 // Taux de TVA pour un pays donné (appel principal du frontend au checkout)
 router.get('/rates/:country', taxController.getCountryRates);
 
@@ -27,4 +38,14 @@ router.get('/countries', taxController.getAllCountries);
 // Vérification d'exonération TVA B2B intracommunautaire
 router.post('/check-exemption', taxController.checkExemption);
 
+// ── Administration des règles de TVA ─────────────────────────────────────────
+
+router.get('/rules', protect, requirePermission(PERMISSIONS.TAXES_MANAGE), taxController.getAllRules);
+
+router.post('/rules', protect, requirePermission(PERMISSIONS.TAXES_MANAGE), taxController.createRule);
+
+router.patch('/rules/:ruleId', protect, requirePermission(PERMISSIONS.TAXES_MANAGE), taxController.updateRule);
+
+router.delete('/rules/:ruleId', protect, requirePermission(PERMISSIONS.TAXES_MANAGE), taxController.deleteRule);
+
 export default router;
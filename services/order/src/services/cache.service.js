@@ -44,12 +44,24 @@ class CacheService {
     }
 
     /**
-     * Supprime plusieurs clés en une seule opération.
-     * Utilisé pour invalider le cache d'un produit et toutes ses entrées de catalogue liées.
+     * Supprime plusieurs clés, avec support des patterns glob (* = wildcard).
+     * Les clés avec wildcard sont résolues via SCAN (non-bloquant, contrairement à KEYS).
      */
     async deleteMany(keys) {
         if (!keys || keys.length === 0) return;
-        await Promise.all(keys.map((key) => this.delete(key)));
+        await Promise.all(keys.map((key) => (key.includes('*') ? this.#deleteMatching(key) : this.delete(key))));
+    }
+
+    async #deleteMatching(pattern) {
+        // redis v5 renvoie le curseur sous forme de chaîne
+        let cursor = '0';
+        do {
+            const reply = await this.client.scan(cursor, { MATCH: pattern, COUNT: 100 });
+            cursor = String(reply.cursor);
+            if (reply.keys.length > 0) {
+                await this.client.del(reply.keys);
+            }
+        } while (cursor !== '0');
     }
 }
 
@@ -0,0 +1,106 @@
+/**
+ * @module Service/Carrier
+ *
+ * Couche d'intégration transporteurs : création des envois et de leurs
+ * étiquettes, lecture des webhooks de suivi.
+ *
+ * L'appel réel est délégué à un adaptateur interchangeable choisi par
+ * ENV.carriers.adapter :
+ *      fake → fakeCarrierClient (transporteur simulé, tests et développement)
+ *
+ * Un adaptateur implémente :
+ *   createShipment({ reference, carrier, weightKg, recipient })
+ *       → { trackingNumber, carrierReference, trackingUrl, label: Buffer, labelFormat }
+ *   verifyWebhook(rawBody, headers) → boolean
+ *   parseWebhook(body) → [{ eventId, trackingNumber, status (SHIPMENT_STATUS),
+ *                           occurredAt, location, description, payload }]
+ * En ajouter un se fait dans #adapters.
+ */
+import { fakeCarrierClient } from '../clients/fakeCarrier.client.js';
+import { ENV } from '../config/environment.js';
+import { AppError } from '../utils/appError.js';
+import { HTTP_STATUS } from '../constants/httpStatus.js';
+import { logError } from '../utils/logger.js';
+
+class CarrierService {
+    #adapters = Object.freeze({
+        fake: fakeCarrierClient,
+    });
+
+    constructor() {
+        if (CarrierService.instance) return CarrierService.instance;
+        CarrierService.instance = this;
+        Object.freeze(this);
+    }
+
+    #getAdapter() {
+        const adapter = this.#adapters[ENV.carriers.adapter];
+        if (!adapter) {
+            throw new AppError(
+                `Adaptateur transporteur inconnu : ${ENV.carriers.adapter}`,
+                HTTP_STATUS.INTERNAL_SERVER_ERROR
+            );
+        }
+        return adapter;
+    }
+
+    #recipient(order) {
+        const address = order.shippingAddress ?? {};
+        const name = [address.firstName, address.lastName].filter(Boolean).join(' ');
+
+        return {
+            name,
+            countryCode: order.taxCountry ?? address.country ?? null,
+            lines: [
+                name,
+                address.street || address.address,
+                [address.postalCode || address.zipCode, address.city].filter(Boolean).join(' '),
+                address.country,
+            ].filter(Boolean),
+        };
+    }
+
+    /**
+     * Crée l'envoi chez le transporteur et récupère son étiquette.
+     * @param {object} order    - Commande (id, orderNumber, shippingAddress)
+     * @param {string} carrier  - Code transporteur (COLISSIMO, DHL…)
+     * @param {number} weightKg - Poids du colis
+     * @throws {AppError} 502 si le transporteur refuse ou ne répond pas
+     */
+    async createShipment(order, carrier, weightKg) {
+        const adapter = this.#getAdapter();
+
+        try {
+            return await adapter.createShipment({
+                reference: order.orderNumber ?? order.id,
+                carrier,
+                weightKg,
+                recipient: this.#recipient(order),
+            });
+        } catch (error) {
+            logError(error, { context: 'CarrierService.createShipment', orderId: order.id, carrier });
+            throw new AppError(
+                `Le transporteur ${carrier} n'a pas pu créer l'envoi`,
+                HTTP_STATUS.BAD_GATEWAY
+            );
+        }
+    }
+
+    /**
+     * Vérifie la signature d'un webhook de suivi et en extrait les événements.
+     * @param {Buffer} rawBody
+     * @param {object} headers
+     * @param {object} body - Corps JSON déjà parsé
+     * @throws {AppError} 401 si la signature est absente ou invalide
+     */
+    parseWebhook(rawBody, headers, body) {
+        const adapter = this.#getAdapter();
+
+        if (!adapter.verifyWebhook(rawBody, headers)) {
+            throw new AppError('Signature du webhook transporteur invalide', HTTP_STATUS.UNAUTHORIZED);
+        }
+        return adapter.parseWebhook(body);
+    }
+}
+
+export const carrierService = new CarrierService();
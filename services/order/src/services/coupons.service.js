@@ -0,0 +1,411 @@
+/**
+ * @module Service/Coupon
+ *
+ * Moteur de codes promo : validation, calcul de la réduction et utilisation.
+ *
+ * CYCLE D'UN CODE AU CHECKOUT :
+ * 1. POST /orders/preview  → evaluate() sans verrou : le client voit la réduction
+ *    ou le motif du refus (expiré, minimum d'achat, limite atteinte…)
+ * 2. createOrderFromCart() → evaluate({ lock: true }) puis redeem() dans la
+ *    transaction de la commande : la ligne coupon est verrouillée jusqu'au COMMIT,
+ *    les limites globale et par client ne peuvent pas être dépassées en concurrence
+ * 3. Annulation de la commande → release() rend l'utilisation
+ *
+ * Les réductions s'appliquent au sous-total HT des articles éligibles, avant TVA.
+ */
+import { couponsRepo } from '../repositories/index.js';
+import { COUPON_TYPE, isValidEnum } from '../constants/enums.js';
+import { AppError, BusinessError, ConflictError, ValidationError } from '../utils/appError.js';
+import { HTTP_STATUS } from '../constants/httpStatus.js';
+import { validateUUID } from '../utils/validation.js';
+import { pgPool } from '../config/database.js';
+import { logInfo } from '../utils/logger.js';
+
+// Lettres, chiffres, tiret et underscore — stocké et comparé en majuscules
+const COUPON_CODE_REGEX = /^[A-Z0-9_-]{3,50}$/;
+
+const INVALID_CODE_MESSAGE = 'Code promo invalide ou expiré';
+
+class CouponService {
+    constructor() {
+        if (CouponService.instance) return CouponService.instance;
+        CouponService.instance = this;
+        Object.freeze(this);
+    }
+
+    // ─────────────────────────────────────────────────────────────────────
+    // HELPERS PRIVÉS
+    // ─────────────────────────────────────────────────────────────────────
+
+    #round(amount) {
+        return Math.round(amount * 100) / 100;
+    }
+
+    #normalizeCode(code) {
+        return typeof code === 'string' ? code.trim().toUpperCase() : '';
+    }
+
+    #normalizeEmail(email) {
+        return email?.trim().toLowerCase() || null;
+    }
+
+    /**
+     * Un code inconnu, désactivé, pas encore ouvert ou expiré renvoie le même
+     * message : on ne révèle pas l'existence d'un code à qui tente de les deviner.
+     */
+    #assertUsable(coupon, now = new Date()) {
+        if (
+            !coupon ||
+            !coupon.isActive ||
+            new Date(coupon.startsAt) > now ||
+            (coupon.expiresAt && new Date(coupon.expiresAt) <= now)
+        ) {
+            throw new BusinessError(INVALID_CODE_MESSAGE);
+        }
+
+        if (coupon.usageLimit !== null && coupon.usageCount >= coupon.usageLimit) {
+            throw new BusinessError("Ce code promo a atteint sa limite d'utilisation");
+        }
+    }
+
+    /**
+     * Marque les lignes du panier couvertes par le périmètre du coupon.
+     * Un coupon sans produit ni catégorie couvre tout le panier.
+     */
+    async #resolveEligibility(coupon, items) {
+        const productIds = coupon.productIds ?? [];
+        const categoryIds = coupon.categoryIds ?? [];
+
+        if (productIds.length === 0 && categoryIds.length === 0) {
+            return items.map(() => true);
+        }
+
+        const scopes = await couponsRepo.findVariantScopes(items.map((item) => item.variantId));
+
+        return items.map((item) => {
+            const scope = scopes[item.variantId];
+            if (!scope) return false;
+
+            return productIds.includes(scope.productId) ||
+                scope.categoryIds.some((categoryId) => categoryIds.includes(categoryId));
+        });
+    }
+
+    /**
+     * Répartit la réduction au prorata des lignes éligibles.
+     * Le reliquat d'arrondi est imputé à la dernière ligne : la somme est exacte.
+     */
+    #allocate(amount, lineTotals, eligibility) {
+        const eligibleIndexes = lineTotals
+            .map((_, index) => index)
+            .filter((index) => eligibility[index] && lineTotals[index] > 0);
+        const eligibleSubtotal = eligibleIndexes.reduce((sum, index) => sum + lineTotals[index], 0);
+
+        const allocation = lineTotals.map(() => 0);
+        let remaining = amount;
+
+        eligibleIndexes.forEach((index, position) => {
+            const share = position === eligibleIndexes.length - 1
+                ? remaining
+                : this.#round((amount * lineTotals[index]) / eligibleSubtotal);
+            allocation[index] = share;
+            remaining = this.#round(remaining - share);
+        });
+
+        return allocation;
+    }
+
+    #validateCouponPayload(data, { partial = false } = {}) {
+        if (!partial || data.code !== undefined) {
+            if (!COUPON_CODE_REGEX.test(this.#normalizeCode(data.code))) {
+                throw new ValidationError(
+                    'Le code doit contenir 3 à 50 caractères : lettres, chiffres, tiret ou underscore'
+                );
+            }
+        }
+
+        if (!partial || data.type !== undefined) {
+            if (!isValidEnum(data.type, COUPON_TYPE)) {
+                throw new ValidationError(
+                    `Type de coupon invalide. Valeurs autorisées : ${Object.values(COUPON_TYPE).join(', ')}`
+                );
+            }
+        }
+
+        if (data.value !== undefined && (typeof data.value !== 'number' || data.value < 0)) {
+            throw new ValidationError('La valeur doit être un nombre positif');
+        }
+
+        const checkValue = !partial || data.value !== undefined;
+
+        if (checkValue && data.type === COUPON_TYPE.PERCENTAGE && (!(data.value > 0) || data.value > 100)) {
+            throw new ValidationError('Un pourcentage doit être compris entre 0 et 100');
+        }
+
+        if (checkValue && data.type === COUPON_TYPE.FIXED_AMOUNT && !(data.value > 0)) {
+            throw new ValidationError('Le montant de la réduction doit être positif');
+        }
+
+        if (data.isActive !== undefined && typeof data.isActive !== 'boolean') {
+            throw new ValidationError('isActive doit être un booléen');
+        }
+
+        for (const field of ['minSubtotal', 'maxDiscountAmount']) {
+            const value = data[field];
+            if (value !== undefined && value !== null && (typeof value !== 'number' || value < 0)) {
+                throw new ValidationError(`${field} doit être un nombre positif`);
+            }
+        }
+
+        for (const field of ['usageLimit', 'usageLimitPerCustomer']) {
+            const value = data[field];
+            if (value !== undefined && value !== null && (!Number.isInteger(value) || value <= 0)) {
+                throw new ValidationError(`${field} doit être un entier strictement positif`);
+            }
+        }
+
+        for (const field of ['startsAt', 'expiresAt']) {
+            const value = data[field];
+            if (value !== undefined && value !== null && Number.isNaN(new Date(value).getTime())) {
+                throw new ValidationError(`${field} doit être une date ISO 8601 valide`);
+            }
+        }
+
+        if (data.startsAt && data.expiresAt && new Date(data.expiresAt) <= new Date(data.startsAt)) {
+            throw new ValidationError("La date d'expiration doit être postérieure à la date de début");
+        }
+
+        for (const field of ['productIds', 'categoryIds']) {
+            const value = data[field];
+            if (value === undefined) continue;
+            if (!Array.isArray(value)) {
+                throw new ValidationError(`${field} doit être un tableau d'UUID`);
+            }
+            value.forEach((id) => validateUUID(id, field));
+        }
+    }
+
+    // ─────────────────────────────────────────────────────────────────────
+    // CHECKOUT
+    // ─────────────────────────────────────────────────────────────────────
+
+    /**
+     * Valide un code pour un panier et calcule la réduction correspondante.
+     *
+     * @param {string} code
+     * @param {object} context
+     * @param {Array<{ variantId: string, price: number, quantity: number }>} context.items - Prix effectifs serveur
+     * @param {string|null} context.userId
+     * @param {string|null} context.email   - Email client (limite par client des guests)
+     * @param {object} [options]
+     * @param {import('pg').PoolClient} [options.client] - Transaction de création de commande
+     * @param {boolean} [options.lock]      - Verrouille la ligne coupon jusqu'au COMMIT
+     * @returns {Promise<{ couponId: string, code: string, type: string, amount: number,
+     *                     freeShipping: boolean, lineDiscounts: number[] }>}
+     * @throws {BusinessError} code inutilisable pour ce panier ou ce client
+     */
+    async evaluate(code, { items, userId = null, email = null }, { client = pgPool, lock = false } = {}) {
+        const normalizedCode = this.#normalizeCode(code);
+        if (!normalizedCode) throw new BusinessError(INVALID_CODE_MESSAGE);
+
+        const coupon = await couponsRepo.findByCode(normalizedCode, client, { forUpdate: lock });
+        this.#assertUsable(coupon);
+
+        const lineTotals = items.map((item) => Number(item.price) * item.quantity);
+        const subtotal = this.#round(lineTotals.reduce((sum, total) => sum + total, 0));
+
+        if (subtotal < Number(coupon.minSubtotal)) {
+            throw new BusinessError(
+                `Ce code promo nécessite un minimum d'achat de ${Number(coupon.minSubtotal).toFixed(2)} €`
+            );
+        }
+
+        const customerEmail = this.#normalizeEmail(email);
+        if (coupon.usageLimitPerCustomer !== null && (userId || customerEmail)) {
+            const used = await couponsRepo.countCustomerRedemptions(
+                coupon.id, { userId, email: customerEmail }, client
+            );
+            if (used >= coupon.usageLimitPerCustomer) {
+                throw new BusinessError('Vous avez déjà utilisé ce code promo le nombre de fois autorisé');
+            }
+        }
+
+        const eligibility = await this.#resolveEligibility(coupon, items);
+        const eligibleSubtotal = this.#round(
+            lineTotals.reduce((sum, total, index) => (eligibility[index] ? sum + total : sum), 0)
+        );
+
+        if (eligibleSubtotal <= 0) {
+            throw new BusinessError("Ce code promo ne s'applique à aucun article de votre panier");
+        }
+
+        let amount = 0;
+        if (coupon.type === COUPON_TYPE.PERCENTAGE) {
+            amount = this.#round((eligibleSubtotal * Number(coupon.value)) / 100);
+            if (coupon.maxDiscountAmount !== null) {
+                amount = Math.min(amount, Number(coupon.maxDiscountAmount));
+            }
+        } else if (coupon.type === COUPON_TYPE.FIXED_AMOUNT) {
+            amount = this.#round(Math.min(Number(coupon.value), eligibleSubtotal));
+        }
+
+        return {
+            couponId: coupon.id,
+            code: coupon.code,
+            type: coupon.type,
+            amount,
+            freeShipping: coupon.type === COUPON_TYPE.FREE_SHIPPING,
+            lineDiscounts: this.#allocate(amount, lineTotals, eligibility),
+        };
+    }
+
+    /**
+     * Enregistre l'utilisation d'un code évalué avec `lock: true`, dans la même transaction.
+     * La garde SQL de incrementUsage reste le dernier rempart contre un dépassement.
+     *
+     * @param {object} evaluation           - Résultat de evaluate()
+     * @param {object} redemption
+     * @param {string} redemption.orderId
+     * @param {string|null} redemption.userId
+     * @param {string|null} redemption.email
+     * @param {number} redemption.discountAmount - Réduction totale (articles + port offert)
+     * @param {import('pg').PoolClient} client
+     */
+    async redeem(evaluation, { orderId, userId = null, email = null, discountAmount }, client) {
+        const updated = await couponsRepo.incrementUsage(evaluation.couponId, client);
+        if (!updated) {
+            throw new BusinessError("Ce code promo a atteint sa limite d'utilisation");
+        }
+
+        await couponsRepo.addRedemption({
+            couponId: evaluation.couponId,
+            orderId,
+            userId,
+            customerEmail: this.#normalizeEmail(email),
+            discountAmount,
+        }, client);
+    }
+
+    /**
+     * Rend l'utilisation d'un code lorsqu'une commande est annulée.
+     * Sans effet si la commande n'avait pas de code.
+     */
+    async release(orderId, client) {
+        const released = await couponsRepo.releaseByOrderId(orderId, client);
+        if (released) {
+            logInfo(`[Coupon] Utilisation libérée — orderId: ${orderId}, couponId: ${released.couponId}`);
+        }
+        return released;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────
+    // ADMINISTRATION
+    // ─────────────────────────────────────────────────────────────────────
+
+    async createCoupon(data, adminId = null) {
+        this.#validateCouponPayload(data);
+
+        const code = this.#normalizeCode(data.code);
+        if (await couponsRepo.findByCode(code)) {
+            throw new ConflictError(`Le code promo ${code} existe déjà`);
+        }
+
+        const client = await pgPool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const coupon = await couponsRepo.create({
+                code,
+                description: data.description ?? null,
+                type: data.type,
+                value: data.type === COUPON_TYPE.FREE_SHIPPING ? 0 : data.value,
+                maxDiscountAmount: data.maxDiscountAmount ?? null,
+                minSubtotal: data.minSubtotal ?? 0,
+                usageLimit: data.usageLimit ?? null,
+                usageLimitPerCustomer: data.usageLimitPerCustomer ?? null,
+                startsAt: data.startsAt ?? null,
+                expiresAt: data.expiresAt ?? null,
+                isActive: data.isActive ?? true,
+                createdBy: adminId,
+            }, client);
+
+            await couponsRepo.replaceScope(coupon.id, {
+                productIds: data.productIds ?? [],
+                categoryIds: data.categoryIds ?? [],
+            }, client);
+
+            await client.query('COMMIT');
+            return couponsRepo.findById(coupon.id);
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Le code et le type sont figés après création : ils sont recopiés
+     * sur les commandes et leur sens ne doit pas changer a posteriori.
+     */
+    async updateCoupon(couponId, data) {
+        if (data.code !== undefined || data.type !== undefined) {
+            throw new ValidationError("Le code et le type d'un coupon ne sont pas modifiables");
+        }
+
+        const existing = await this.getCoupon(couponId);
+        this.#validateCouponPayload({ ...data, type: existing.type }, { partial: true });
+
+        if (existing.type === COUPON_TYPE.FREE_SHIPPING && data.value !== undefined) {
+            throw new ValidationError('Un coupon FREE_SHIPPING ne porte pas de valeur');
+        }
+
+        const startsAt = data.startsAt ?? existing.startsAt;
+        const expiresAt = data.expiresAt !== undefined ? data.expiresAt : existing.expiresAt;
+        if (expiresAt && new Date(expiresAt) <= new Date(startsAt)) {
+            throw new ValidationError("La date d'expiration doit être postérieure à la date de début");
+        }
+
+        if (
+            data.usageLimit !== undefined &&
+            data.usageLimit !== null &&
+            data.usageLimit < existing.usageCount
+        ) {
+            throw new BusinessError(
+                `La limite ne peut pas être inférieure au nombre d'utilisations (${existing.usageCount})`
+            );
+        }
+
+        const client = await pgPool.connect();
+        try {
+            await client.query('BEGIN');
+
+            await couponsRepo.update(couponId, data, client);
+            await couponsRepo.replaceScope(couponId, {
+                productIds: data.productIds,
+                categoryIds: data.categoryIds,
+            }, client);
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        return couponsRepo.findById(couponId);
+    }
+
+    async getCoupon(couponId) {
+        const coupon = await couponsRepo.findById(couponId);
+        if (!coupon) throw new AppError('Code promo introuvable', HTTP_STATUS.NOT_FOUND);
+        return coupon;
+    }
+
+    async listCoupons(params) {
+        return couponsRepo.findAll(params);
+    }
+}
+
+export const couponService = new CouponService();
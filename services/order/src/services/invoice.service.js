@@ -0,0 +1,495 @@
+/**
+ * @module Service/Invoice
+ *
+ * Émission et rendu PDF des factures et avoirs.
+ *
+ * CYCLE :
+ * - Facture : émise au passage PAID (orderService.updateOrderStatus), avant la
+ *   réponse au payment-service afin d'être jointe à l'email de confirmation.
+ *   Une commande payée sans facture (échec ponctuel) la reçoit au premier
+ *   téléchargement.
+ * - Avoir : émis à chaque remboursement appliqué (orderService.applyRefund),
+ *   sur les lignes et quantités remboursées ; l'écart avec le montant remboursé
+ *   (frais de port d'un remboursement total) fait l'objet d'une ligne dédiée.
+ *
+ * Les émissions sont idempotentes (une facture par commande, un avoir par
+ * remboursement) et le PDF est régénéré à partir du snapshot stocké.
+ */
+import { ordersRepo, invoicesRepo } from '../repositories/index.js';
+import { usersRepo } from '../repositories/users.repo.js';
+import { pgPool } from '../config/database.js';
+import { ENV } from '../config/environment.js';
+import { PdfDocument, PAGE_WIDTH } from '../utils/pdf.js';
+import { AppError, BusinessError } from '../utils/appError.js';
+import { HTTP_STATUS } from '../constants/httpStatus.js';
+import { INVOICE_TYPE, ORDER_STATUS, TAX_CATEGORY, TAX_EXEMPTION_REASON } from '../constants/enums.js';
+import { logInfo, logError } from '../utils/logger.js';
+
+const NUMBER_PREFIX = Object.freeze({
+    [INVOICE_TYPE.INVOICE]: 'FA',
+    [INVOICE_TYPE.CREDIT_NOTE]: 'AV',
+});
+
+// Statuts pour lesquels le paiement a été encaissé : la facture est due
+const INVOICEABLE_STATUSES = Object.freeze([
+    ORDER_STATUS.PAID,
+    ORDER_STATUS.PROCESSING,
+    ORDER_STATUS.SHIPPED,
+    ORDER_STATUS.DELIVERED,
+    ORDER_STATUS.PARTIALLY_REFUNDED,
+    ORDER_STATUS.REFUNDED,
+]);
+
+const EXEMPTION_MENTIONS = Object.freeze({
+    [TAX_EXEMPTION_REASON.REVERSE_CHARGE_INTRA_EU]:
+        'Autoliquidation - TVA due par le preneur (art. 196 de la directive 2006/112/CE)',
+});
+
+// Écart d'arrondi toléré entre le montant remboursé (calculé par le payment-service)
+// et la somme des lignes de l'avoir
+const ROUNDING_TOLERANCE = 0.02;
+
+// Mise en page (points, A4)
+const MARGIN = 50;
+const RIGHT = PAGE_WIDTH - MARGIN;
+const PAGE_BOTTOM = 770;
+const COLUMNS = Object.freeze({ quantity: 330, unitPrice: 395, netAmount: 455, taxRate: 495, totalAmount: RIGHT });
+
+const formatPrice = (amount) =>
+    new Intl.NumberFormat('fr-FR', { style: 'currency', currency: 'EUR' }).format(amount ?? 0);
+
+const formatDate = (date) =>
+    new Intl.DateTimeFormat('fr-FR', { year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date(date));
+
+const formatRate = (rate) => `${Number(rate).toLocaleString('fr-FR')} %`;
+
+const truncate = (text, maxLength) =>
+    text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+
+class InvoiceService {
+    constructor() {
+        if (InvoiceService.instance) return InvoiceService.instance;
+        InvoiceService.instance = this;
+        Object.freeze(this);
+    }
+
+    // ─────────────────────────────────────────────────────────────────────
+    // HELPERS PRIVÉS
+    // ─────────────────────────────────────────────────────────────────────
+
+    #round(amount) {
+        return Math.round(amount * 100) / 100;
+    }
+
+    #formatNumber(invoiceType, year, sequence) {
+        return `${NUMBER_PREFIX[invoiceType]}-${year}-${String(sequence).padStart(6, '0')}`;
+    }
+
+    #seller() {
+        const { sellerName, sellerAddress, sellerVatNumber, sellerRegistration } = ENV.invoices;
+        return {
+            name: sellerName,
+            address: sellerAddress,
+            vatNumber: sellerVatNumber,
+            registration: sellerRegistration,
+        };
+    }
+
+    async #customer(order) {
+        const address = order.billingAddress ?? order.shippingAddress ?? {};
+        let email = order.shippingAddress?.email ?? null;
+
+        if (!email && order.userId) {
+            const user = await usersRepo.findById(order.userId).catch(() => null);
+            email = user?.email ?? null;
+        }
+
+        const fullName = [address.firstName, address.lastName].filter(Boolean).join(' ');
+
+        return {
+            name: order.customerCompanyName || fullName || email,
+            contact: order.customerCompanyName && fullName ? fullName : null,
+            vatNumber: order.customerVatNumber ?? null,
+            email,
+            address: [
+                address.street || address.address,
+                [address.postalCode || address.zipCode, address.city].filter(Boolean).join(' '),
+                address.country,
+            ].filter(Boolean),
+        };
+    }
+
+    #describe(item) {
+        const attributes = Object.entries(item.variantAttributes ?? {})
+            .filter(([key, value]) => key !== 'image' && ['string', 'number'].includes(typeof value))
+            .map(([, value]) => value);
+
+        return attributes.length > 0 ? `${item.productName} (${attributes.join(', ')})` : item.productName;
+    }
+
+    /**
+     * Lignes figées de la facture : articles (remise coupon déduite) puis frais de port.
+     * Les lignes antérieures à la ventilation par catégorie suivent le taux de la commande.
+     */
+    #buildInvoiceLines(order, items) {
+        const lines = items.map((item) => {
+            const quantity = item.quantity;
+            const netAmount = this.#round(Number(item.unitPrice) * quantity - Number(item.discountAmount ?? 0));
+            const taxRate = Number(item.taxRate ?? order.taxRate ?? 0);
+            const taxAmount = item.taxAmount !== null && item.taxAmount !== undefined
+                ? Number(item.taxAmount)
+                : this.#round((netAmount * taxRate) / 100);
+
+            return {
+                orderItemId: item.id,
+                description: this.#describe(item),
+                quantity,
+                unitPrice: Number(item.unitPrice),
+                discountAmount: Number(item.discountAmount ?? 0),
+                netAmount,
+                taxRate,
+                taxAmount,
+                totalAmount: this.#round(netAmount + taxAmount),
+            };
+        });
+
+        const shippingCost = Number(order.shippingCost ?? 0);
+        if (shippingCost > 0) {
+            // Le port est taxé au taux STANDARD ; sa TVA est le solde de la TVA de la commande
+            const itemsTax = lines.reduce((sum, line) => sum + line.taxAmount, 0);
+            const taxAmount = Math.max(0, this.#round(Number(order.taxAmount) - itemsTax));
+            const standardEntry = (order.taxBreakdown ?? [])
+                .find((entry) => entry.taxCategory === TAX_CATEGORY.STANDARD);
+            const taxRate = order.taxExemptionReason
+                ? 0
+                : Number(standardEntry?.rate ?? order.taxRate ?? 0);
+
+            lines.push({
+                orderItemId: null,
+                description: `Frais de port (${order.shippingMethod ?? 'STANDARD'})`,
+                quantity: 1,
+                unitPrice: shippingCost,
+                discountAmount: 0,
+                netAmount: shippingCost,
+                taxRate,
+                taxAmount,
+                totalAmount: this.#round(shippingCost + taxAmount),
+            });
+        }
+
+        return lines;
+    }
+
+    #buildBreakdown(lines) {
+        const breakdown = new Map();
+        for (const line of lines) {
+            const entry = breakdown.get(line.taxRate) ?? { rate: line.taxRate, taxableAmount: 0, taxAmount: 0 };
+            entry.taxableAmount = this.#round(entry.taxableAmount + line.netAmount);
+            entry.taxAmount = this.#round(entry.taxAmount + line.taxAmount);
+            breakdown.set(line.taxRate, entry);
+        }
+        return [...breakdown.values()].sort((a, b) => b.rate - a.rate);
+    }
+
+    #sum(lines, key) {
+        return this.#round(lines.reduce((sum, line) => sum + line[key], 0));
+    }
+
+    /**
+     * Numérote et insère le document dans une transaction dédiée.
+     * Une violation d'unicité (émission concurrente du même document) renvoie
+     * le document déjà émis : le numéro réservé est libéré par le ROLLBACK.
+     */
+    async #persist(invoiceType, data, findExisting) {
+        const issuedAt = new Date();
+        const client = await pgPool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const sequence = await invoicesRepo.nextNumber(invoiceType, issuedAt.getFullYear(), client);
+            const invoice = await invoicesRepo.create({
+                ...data,
+                invoiceType,
+                invoiceNumber: this.#formatNumber(invoiceType, issuedAt.getFullYear(), sequence),
+                issuedAt,
+            }, client);
+
+            await client.query('COMMIT');
+            logInfo(`[Invoice] ${invoice.invoiceNumber} émis — orderId: ${invoice.orderId}`);
+            return invoice;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            if (error.code === '23505') {
+                const existing = await findExisting();
+                if (existing) return existing;
+            }
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // ─────────────────────────────────────────────────────────────────────
+    // ÉMISSION
+    // ─────────────────────────────────────────────────────────────────────
+
+    /**
+     * Émet la facture d'une commande payée. Idempotent : renvoie la facture
+     * existante si elle a déjà été émise.
+     */
+    async issueInvoice(orderId) {
+        const existing = await invoicesRepo.findInvoiceByOrderId(orderId);
+        if (existing) return existing;
+
+        const order = await ordersRepo.findById(orderId);
+        if (!order) throw new AppError('Commande introuvable', HTTP_STATUS.NOT_FOUND);
+
+        if (!INVOICEABLE_STATUSES.includes(order.status)) {
+            throw new BusinessError(`Aucune facture pour une commande au statut ${order.status}`);
+        }
+
+        const items = await ordersRepo.listItems(orderId);
+        const lines = this.#buildInvoiceLines(order, items);
+
+        return this.#persist(INVOICE_TYPE.INVOICE, {
+            orderId,
+            subtotalAmount: this.#round(Number(order.totalAmount) - Number(order.taxAmount)),
+            taxAmount: Number(order.taxAmount),
+            totalAmount: Number(order.totalAmount),
+            taxBreakdown: this.#buildBreakdown(lines),
+            taxExemptionReason: order.taxExemptionReason ?? null,
+            seller: this.#seller(),
+            customer: { ...(await this.#customer(order)), orderNumber: order.orderNumber },
+            lines,
+        }, () => invoicesRepo.findInvoiceByOrderId(orderId));
+    }
+
+    /**
+     * Émet l'avoir d'un remboursement. Idempotent par refundId.
+     *
+     * @param {string} orderId
+     * @param {object} refund
+     * @param {string} refund.refundId - payment.refunds.id
+     * @param {Array<{ orderItemId: number, quantity: number }>} refund.items - Lignes remboursées
+     * @param {number|null} [refund.amount] - Montant TTC remboursé ; l'excédent sur les lignes
+     *   (frais de port d'un remboursement total) est porté sur une ligne dédiée
+     */
+    async issueCreditNote(orderId, { refundId, items = [], amount = null }) {
+        const existing = await invoicesRepo.findByRefundId(refundId);
+        if (existing) return existing;
+
+        const invoice = await this.issueInvoice(orderId);
+        const invoiceLines = new Map(
+            invoice.lines.filter((line) => line.orderItemId !== null).map((line) => [String(line.orderItemId), line])
+        );
+
+        const lines = items.map(({ orderItemId, quantity }) => {
+            const line = invoiceLines.get(String(orderItemId));
+            if (!line) throw new BusinessError(`Ligne ${orderItemId} absente de la facture ${invoice.invoiceNumber}`);
+
+            const ratio = quantity / line.quantity;
+            const netAmount = this.#round(line.netAmount * ratio);
+            const taxAmount = this.#round(line.taxAmount * ratio);
+
+            return {
+                ...line,
+                quantity,
+                discountAmount: this.#round(line.discountAmount * ratio),
+                netAmount,
+                taxAmount,
+                totalAmount: this.#round(netAmount + taxAmount),
+            };
+        });
+
+        const linesTotal = this.#sum(lines, 'totalAmount');
+        const remainder = amount === null ? 0 : this.#round(Number(amount) - linesTotal);
+
+        if (remainder > ROUNDING_TOLERANCE) {
+            const shippingLine = invoice.lines.find((line) => line.orderItemId === null);
+            const taxRate = shippingLine?.taxRate ?? 0;
+            const netAmount = this.#round(remainder / (1 + taxRate / 100));
+
+            lines.push({
+                orderItemId: null,
+                description: shippingLine ? shippingLine.description : 'Ajustement',
+                quantity: 1,
+                unitPrice: netAmount,
+                discountAmount: 0,
+                netAmount,
+                taxRate,
+                taxAmount: this.#round(remainder - netAmount),
+                totalAmount: remainder,
+            });
+        }
+
+        const totalAmount = this.#sum(lines, 'totalAmount');
+        const credited = await invoicesRepo.sumCreditedByInvoiceId(invoice.id);
+        const creditable = this.#round(Number(invoice.totalAmount) - credited.total);
+        if (totalAmount <= 0 || totalAmount > creditable + ROUNDING_TOLERANCE) {
+            throw new BusinessError(
+                `Avoir de ${totalAmount} € incompatible avec la facture ${invoice.invoiceNumber} ` +
+                `(reste à créditer : ${creditable} €)`
+            );
+        }
+
+        return this.#persist(INVOICE_TYPE.CREDIT_NOTE, {
+            orderId,
+            creditedInvoiceId: invoice.id,
+            refundId,
+            subtotalAmount: this.#sum(lines, 'netAmount'),
+            taxAmount: this.#sum(lines, 'taxAmount'),
+            totalAmount,
+            taxBreakdown: this.#buildBreakdown(lines),
+            taxExemptionReason: invoice.taxExemptionReason,
+            seller: invoice.seller,
+            customer: { ...invoice.customer, creditedInvoiceNumber: invoice.invoiceNumber },
+            lines,
+        }, () => invoicesRepo.findByRefundId(refundId));
+    }
+
+    // ─────────────────────────────────────────────────────────────────────
+    // CONSULTATION
+    // ─────────────────────────────────────────────────────────────────────
+
+    /**
+     * Documents d'une commande (facture puis avoirs). L'accès est vérifié
+     * par l'appelant (orderService).
+     */
+    async listForOrder(order) {
+        const documents = await invoicesRepo.listByOrderId(order.id);
+
+        if (!documents.some((doc) => doc.invoiceType === INVOICE_TYPE.INVOICE)
+            && INVOICEABLE_STATUSES.includes(order.status)) {
+            // Rattrapage d'une facture dont l'émission au paiement a échoué
+            try {
+                return [await this.issueInvoice(order.id), ...documents];
+            } catch (error) {
+                logError(error, { context: 'InvoiceService.listForOrder', orderId: order.id });
+            }
+        }
+
+        return documents;
+    }
+
+    /**
+     * Facture de la commande (invoiceId absent) ou document précis, avec son PDF.
+     * @returns {Promise<{ invoice: object, filename: string, pdf: Buffer }>}
+     */
+    async getDocument(order, invoiceId = null) {
+        const documents = await this.listForOrder(order);
+        const invoice = invoiceId
+            ? documents.find((doc) => doc.id === invoiceId)
+            : documents.find((doc) => doc.invoiceType === INVOICE_TYPE.INVOICE);
+
+        if (!invoice) {
+            throw new AppError(
+                invoiceId ? 'Document introuvable' : 'Aucune facture disponible pour cette commande',
+                HTTP_STATUS.NOT_FOUND
+            );
+        }
+
+        return { invoice, filename: `${invoice.invoiceNumber}.pdf`, pdf: this.render(invoice) };
+    }
+
+    // ─────────────────────────────────────────────────────────────────────
+    // RENDU PDF
+    // ─────────────────────────────────────────────────────────────────────
+
+    #drawTableHeader(doc, y) {
+        doc.text('Désignation', MARGIN, y, { size: 9, bold: true })
+            .text('Qté', COLUMNS.quantity, y, { size: 9, bold: true, align: 'right' })
+            .text('PU HT', COLUMNS.unitPrice, y, { size: 9, bold: true, align: 'right' })
+            .text('Total HT', COLUMNS.netAmount, y, { size: 9, bold: true, align: 'right' })
+            .text('TVA', COLUMNS.taxRate, y, { size: 9, bold: true, align: 'right' })
+            .text('Total TTC', COLUMNS.totalAmount, y, { size: 9, bold: true, align: 'right' })
+            .line(MARGIN, y + 6, RIGHT, y + 6);
+        return y + 20;
+    }
+
+    /**
+     * @param {object} invoice - Document tel que stocké (snapshot)
+     * @returns {Buffer}
+     */
+    render(invoice) {
+        const isCreditNote = invoice.invoiceType === INVOICE_TYPE.CREDIT_NOTE;
+        const title = isCreditNote ? 'AVOIR' : 'FACTURE';
+        const { seller, customer } = invoice;
+        const doc = new PdfDocument({ title: `${title} ${invoice.invoiceNumber}` });
+
+        // ── En-tête : vendeur à gauche, références à droite ──────────────
+        let y = 60;
+        doc.text(seller.name, MARGIN, y, { size: 16, bold: true });
+        for (const line of seller.address) doc.text(line, MARGIN, (y += 14), { size: 9 });
+        if (seller.vatNumber) doc.text(`N° TVA : ${seller.vatNumber}`, MARGIN, (y += 14), { size: 9 });
+        if (seller.registration) doc.text(seller.registration, MARGIN, (y += 14), { size: 9 });
+
+        let refY = 60;
+        doc.text(title, RIGHT, refY, { size: 18, bold: true, align: 'right' })
+            .text(`N° ${invoice.invoiceNumber}`, RIGHT, (refY += 18), { size: 10, align: 'right' })
+            .text(`Date : ${formatDate(invoice.issuedAt)}`, RIGHT, (refY += 14), { size: 10, align: 'right' });
+        if (customer.orderNumber) {
+            doc.text(`Commande : ${customer.orderNumber}`, RIGHT, (refY += 14), { size: 10, align: 'right' });
+        }
+        if (customer.creditedInvoiceNumber) {
+            doc.text(`Sur facture : ${customer.creditedInvoiceNumber}`, RIGHT, (refY += 14), { size: 10, align: 'right' });
+        }
+
+        // ── Client ───────────────────────────────────────────────────────
+        y = Math.max(y, refY) + 40;
+        doc.text(isCreditNote ? 'Avoir établi pour' : 'Facturé à', MARGIN, y, { size: 10, bold: true });
+        for (const line of [customer.name, customer.contact, ...customer.address].filter(Boolean)) {
+            doc.text(line, MARGIN, (y += 14), { size: 10 });
+        }
+        if (customer.vatNumber) doc.text(`N° TVA : ${customer.vatNumber}`, MARGIN, (y += 14), { size: 10 });
+
+        // ── Lignes ───────────────────────────────────────────────────────
+        y = this.#drawTableHeader(doc, y + 40);
+        for (const line of invoice.lines) {
+            if (y > PAGE_BOTTOM) {
+                doc.addPage();
+                y = this.#drawTableHeader(doc, 60);
+            }
+            doc.text(truncate(line.description, 48), MARGIN, y, { size: 9 })
+                .text(String(line.quantity), COLUMNS.quantity, y, { size: 9, align: 'right' })
+                .text(formatPrice(line.unitPrice), COLUMNS.unitPrice, y, { size: 9, align: 'right' })
+                .text(formatPrice(line.netAmount), COLUMNS.netAmount, y, { size: 9, align: 'right' })
+                .text(formatRate(line.taxRate), COLUMNS.taxRate, y, { size: 9, align: 'right' })
+                .text(formatPrice(line.totalAmount), COLUMNS.totalAmount, y, { size: 9, align: 'right' });
+            if (line.discountAmount > 0) {
+                doc.text(`Remise : -${formatPrice(line.discountAmount)}`, MARGIN + 10, (y += 11), { size: 8 });
+            }
+            y += 16;
+        }
+
+        // ── Totaux et ventilation ────────────────────────────────────────
+        if (y + 40 + invoice.taxBreakdown.length * 14 > PAGE_BOTTOM) {
+            doc.addPage();
+            y = 60;
+        }
+        doc.line(MARGIN, y - 6, RIGHT, y - 6);
+        const labelX = COLUMNS.taxRate;
+        doc.text('Total HT', labelX, (y += 10), { size: 10, align: 'right' })
+            .text(formatPrice(invoice.subtotalAmount), RIGHT, y, { size: 10, align: 'right' });
+        for (const entry of invoice.taxBreakdown) {
+            doc.text(`TVA ${formatRate(entry.rate)} sur ${formatPrice(entry.taxableAmount)}`, labelX, (y += 14), {
+                size: 9, align: 'right',
+            }).text(formatPrice(entry.taxAmount), RIGHT, y, { size: 9, align: 'right' });
+        }
+        doc.text(isCreditNote ? 'Total TTC à rembourser' : 'Total TTC', labelX, (y += 18), {
+            size: 11, bold: true, align: 'right',
+        }).text(formatPrice(invoice.totalAmount), RIGHT, y, { size: 11, bold: true, align: 'right' });
+
+        // ── Mentions ─────────────────────────────────────────────────────
+        y += 40;
+        const mentions = [
+            EXEMPTION_MENTIONS[invoice.taxExemptionReason],
+            isCreditNote ? `Avoir venant en déduction de la facture ${customer.creditedInvoiceNumber}.` : 'Facture acquittée.',
+        ].filter(Boolean);
+        for (const mention of mentions) doc.text(mention, MARGIN, (y += 12), { size: 8 });
+
+        return doc.toBuffer();
+    }
+}
+
+export const invoiceService = new InvoiceService();
@@ -0,0 +1,130 @@
+/**
+ * @module Service/OrderStatus
+ *
+ * Point de passage unique de toute écriture de orders.status.
+ *
+ * Chaque transition est :
+ * 1. Validée contre la table déclarative ORDER_TRANSITIONS (fail-fast, avant la DB)
+ * 2. Appliquée avec une garde SQL sur le statut lu (pas de double transition concurrente)
+ * 3. Journalisée dans order_status_history dans la même transaction (qui, quand, pourquoi)
+ *
+ * Les effets de bord métier (stock, expédition, notifications) restent
+ * dans les services appelants : ce service ne fait que garantir la cohérence du statut.
+ */
+import { ordersRepo, orderStatusHistoryRepo } from '../repositories/index.js';
+import { assertTransition } from '../constants/orderStateMachine.js';
+import { STATUS_ACTOR, isValidEnum } from '../constants/enums.js';
+import { ConflictError, ValidationError } from '../utils/appError.js';
+import { pgPool } from '../config/database.js';
+import { cacheService } from './cache.service.js';
+import { logInfo, logError } from '../utils/logger.js';
+
+/** Acteur par défaut pour les traitements internes non attribuables. */
+export const SYSTEM_ACTOR = Object.freeze({ type: STATUS_ACTOR.SYSTEM, id: null });
+
+class OrderStatusService {
+    constructor() {
+        if (OrderStatusService.instance) return OrderStatusService.instance;
+        OrderStatusService.instance = this;
+        Object.freeze(this);
+    }
+
+    /**
+     * Applique une transition de statut et la journalise.
+     *
+     * Accepte un client de transaction externe (ex: remboursement qui met aussi
+     * à jour les quantités) ; sinon ouvre sa propre transaction.
+     *
+     * @param {object} order            - Commande telle que lue en base (id, status)
+     * @param {string} toStatus         - Statut cible (ORDER_STATUS)
+     * @param {object} [options]
+     * @param {{ type: string, id?: string|null }} [options.actor] - Origine (STATUS_ACTOR)
+     * @param {string|null} [options.reason]      - Motif lisible (affiché dans l'historique)
+     * @param {object} [options.metadata]         - Contexte technique (refundId, shipmentId…)
+     * @param {object|null} [options.paymentData] - Paiement à enregistrer avec le passage en PAID
+     * @param {import('pg').PoolClient|null} [client]
+     * @throws {ValidationError|BusinessError} transition invalide
+     * @throws {ConflictError} statut modifié entre la lecture et l'écriture
+     */
+    async transition(order, toStatus, {
+        actor = SYSTEM_ACTOR,
+        reason = null,
+        metadata = {},
+        paymentData = null,
+    } = {}, client = null) {
+        assertTransition(order.status, toStatus);
+
+        if (!isValidEnum(actor?.type, STATUS_ACTOR)) {
+            throw new ValidationError(`Acteur de transition invalide : ${actor?.type}`);
+        }
+
+        const ownTransaction = !client;
+        const db = client ?? await pgPool.connect();
+
+        try {
+            if (ownTransaction) await db.query('BEGIN');
+
+            const updatedOrder = await ordersRepo.transitionStatus(
+                order.id,
+                { from: order.status, to: toStatus, paymentData },
+                db
+            );
+
+            if (!updatedOrder) {
+                throw new ConflictError(
+                    `Le statut de la commande a changé pendant l'opération (${order.status} attendu)`
+                );
+            }
+
+            await orderStatusHistoryRepo.create({
+                orderId: order.id,
+                fromStatus: order.status,
+                toStatus,
+                actorType: actor.type,
+                actorId: actor.id ?? null,
+                reason,
+                metadata,
+            }, db);
+
+            if (ownTransaction) await db.query('COMMIT');
+
+            logInfo(
+                `[OrderStatus] ${order.id} : ${order.status} → ${toStatus} (${actor.type}${actor.id ? `:${actor.id}` : ''})`
+            );
+
+            if (ownTransaction) {
+                await cacheService.delete(`order:${order.id}`).catch(() => { });
+            }
+
+            return updatedOrder;
+        } catch (error) {
+            if (ownTransaction) {
+                await db.query('ROLLBACK');
+                logError(error, { context: 'OrderStatusService.transition', orderId: order.id, toStatus });
+            }
+            throw error;
+        } finally {
+            if (ownTransaction) db.release();
+        }
+    }
+
+    /**
+     * Trace le statut initial d'une commande, dans la transaction de création.
+     */
+    async recordCreation(order, actor, client) {
+        return orderStatusHistoryRepo.create({
+            orderId: order.id,
+            fromStatus: null,
+            toStatus: order.status,
+            actorType: actor.type,
+            actorId: actor.id ?? null,
+            reason: 'Commande créée',
+        }, client);
+    }
+
+    async getHistory(orderId) {
+        return orderStatusHistoryRepo.listByOrderId(orderId);
+    }
+}
+
+export const orderStatusService = new OrderStatusService();
@@ -10,21 +10,29 @@
  * annule les réservations déjà effectuées pour garantir la cohérence.
  *
  * PÉRIMÈTRE DE CE SERVICE :
- * - Tables : orders, order_items, shipments (schéma "order")
- * - Appels HTTP : inventoryClient (stock), productClient (prix, poids), notificationClient (emails)
- * - Calculs purs : shippingService, taxService (aucune DB)
+ * - Tables : orders, order_items, shipments, order_status_history, coupons (schéma "order")
+ * - Documents : invoiceService (factures au paiement, avoirs au remboursement)
+ * - Appels HTTP : inventoryClient (stock), productClient (prix, poids, promotions), notificationClient (emails)
+ * - Calculs : shippingService (grille order.shipping_*), taxService (règles order.tax_rules)
  */
-import { ordersRepo, shipmentsRepo } from '../repositories/index.js';
+import { ordersRepo, shipmentsRepo, taxRulesRepo } from '../repositories/index.js';
 import { usersRepo } from '../repositories/users.repo.js';
 import { inventoryClient } from '../clients/inventory.client.js';
 import { productClient } from '../clients/product.client.js';
 import { notificationClient } from '../clients/notification.client.js';
+import { cartClient } from '../clients/cart.client.js';
 import { shippingService } from './shipping.service.js';
 import { taxService } from './tax.service.js';
 import { cacheService } from './cache.service.js';
+import { orderStatusService, SYSTEM_ACTOR } from './orderStatus.service.js';
+import { couponService } from './coupons.service.js';
+import { invoiceService } from './invoice.service.js';
 import { AppError, ValidationError, BusinessError } from '../utils/appError.js';
 import { HTTP_STATUS } from '../constants/httpStatus.js';
-import { ORDER_STATUS } from '../constants/enums.js';
+import { PERMISSIONS, hasPermission } from '../constants/roles.js';
+import { ORDER_STATUS, SHIPMENT_STATUS, STATUS_ACTOR, TAX_CATEGORY } from '../constants/enums.js';
+import { DEFAULT_COUNTRY_CODE, normalizeCountryCode } from '../constants/countries.js';
+import { canTransition } from '../constants/orderStateMachine.js';
 import { pgPool } from '../config/database.js';
 import { logInfo, logError } from '../utils/logger.js';
 import crypto from 'crypto';
@@ -40,7 +48,55 @@ class OrderService {
     // HELPERS PRIVÉS
     // ─────────────────────────────────────────────────────────────────────
 
-    #calculateTotals(itemsWithRealPrices, shippingCountry, shippingMethod, taxCategory) {
+    /**
+     * Commande dont l'appelant peut consulter les documents comptables :
+     * équipe (orders:read), propriétaire connecté, ou guest avec l'email de la commande.
+     */
+    async #getOrderForDocuments(orderId, user, email) {
+        const order = await ordersRepo.findById(orderId);
+        if (!order) throw new AppError('Commande introuvable', HTTP_STATUS.NOT_FOUND);
+
+        const isAdmin = hasPermission(user, PERMISSIONS.ORDERS_READ);
+        const isOwner = Boolean(user && order.userId === user.id);
+
+        if (!isAdmin && !isOwner) {
+            if (order.userId) {
+                throw new AppError('Accès non autorisé', HTTP_STATUS.FORBIDDEN);
+            }
+            await this._assertOrderAccess(order, null, email);
+        }
+
+        return order;
+    }
+
+    /**
+     * Client professionnel : la raison sociale est obligatoire dès qu'un numéro
+     * de TVA est saisi (mentions légales de la facture). Le numéro est contrôlé
+     * et l'autoliquidation résolue par taxService.resolveVatExemption().
+     */
+    async #resolveVat(countryCode, companyName, vatNumber) {
+        const company = companyName?.trim() || null;
+        if (!vatNumber) return { companyName: company, vatNumber: null, exemptionReason: null, validation: null };
+
+        if (!company) {
+            throw new ValidationError('companyName est requis avec un numéro de TVA');
+        }
+
+        const exemption = await taxService.resolveVatExemption({ country: countryCode, vatNumber });
+        return { companyName: company, ...exemption };
+    }
+
+    /**
+     * Totaux d'une commande : sous-total, remise coupon, frais de port et TVA.
+     *
+     * La TVA est calculée ligne par ligne selon la catégorie fiscale du produit
+     * (`item.taxCategory`) et le pays de livraison, sur le montant après remise ;
+     * `tax.lines` suit l'ordre de `itemsWithRealPrices`.
+     *
+     * @param {object|null} coupon - Résultat de couponService.evaluate() (null sans code promo)
+     * @param {object|null} vat    - Résultat de #resolveVat() (null sans numéro de TVA)
+     */
+    async #calculateTotals(itemsWithRealPrices, shippingCountry, shippingMethod, coupon = null, vat = null) {
         const subtotal = itemsWithRealPrices.reduce(
             (sum, item) => sum + Number(item.price) * item.quantity,
             0
@@ -49,14 +105,35 @@ class OrderService {
             (sum, item) => sum + Number(item.weight || 0.5) * item.quantity,
             0
         );
-        const shippingCost = shippingService.calculateShippingCost(
+        const baseShippingCost = await shippingService.calculateShippingCost(
             shippingCountry, totalWeight, shippingMethod, subtotal
         );
-        const taxableAmount = subtotal + shippingCost.cost;
-        const taxCalculation = taxService.calculateTax(taxableAmount, shippingCountry, taxCategory);
+        const shippingCost = coupon?.freeShipping
+            ? { ...baseShippingCost, cost: 0, isFree: true }
+            : baseShippingCost;
+
+        // La réduction porte sur les articles HT : la TVA est calculée après remise
+        const discountAmount = coupon?.amount ?? 0;
+        const tax = await taxService.computeOrderTax({
+            country: shippingCountry,
+            lines: itemsWithRealPrices.map((item, index) => ({
+                taxableAmount: Number(item.price) * item.quantity - (coupon?.lineDiscounts[index] ?? 0),
+                taxCategory: item.taxCategory,
+            })),
+            shippingAmount: shippingCost.cost,
+            exemptionReason: vat?.exemptionReason ?? null,
+        });
 
         return {
             subtotal: Math.round(subtotal * 100) / 100,
+            discount: coupon
+                ? {
+                    code: coupon.code,
+                    type: coupon.type,
+                    amount: discountAmount,
+                    shippingDiscount: coupon.freeShipping ? baseShippingCost.cost : 0,
+                }
+                : null,
             shipping: {
                 cost: shippingCost.cost,
                 method: shippingMethod,
@@ -64,14 +141,32 @@ class OrderService {
                 estimatedDays: shippingCost.estimatedDays,
             },
             tax: {
-                amount: taxCalculation.taxAmount,
-                rate: taxCalculation.taxRate,
-                category: taxCategory,
+                amount: tax.taxAmount,
+                rate: tax.effectiveRate,
+                country: tax.country,
+                breakdown: tax.breakdown,
+                lines: tax.lines,
+                exemptionReason: tax.exemptionReason,
+                vatNumber: vat?.vatNumber ?? null,
             },
-            totalAmount: Math.round((taxableAmount + taxCalculation.taxAmount) * 100) / 100,
+            totalAmount: Math.round((subtotal - discountAmount + shippingCost.cost + tax.taxAmount) * 100) / 100,
         };
     }
 
+    /**
+     * Ajoute à chaque article la catégorie fiscale de son produit.
+     * Une variante introuvable est taxée au taux STANDARD.
+     */
+    async #attachTaxCategories(items) {
+        const categories = await taxRulesRepo.findVariantTaxCategories(
+            items.map((item) => item.variantId)
+        );
+        return items.map((item) => ({
+            ...item,
+            taxCategory: categories[item.variantId] ?? TAX_CATEGORY.STANDARD,
+        }));
+    }
+
     async #artificialDelay() {
         const delayMs = 200 + Math.random() * 300;
         return new Promise((resolve) => setTimeout(resolve, delayMs));
@@ -98,23 +193,76 @@ class OrderService {
 
     /**
      * Résout le prix effectif en tenant compte des promotions actives.
-     * Délègue au monolith via HTTP — retourne le prix de base en cas d'erreur
+     * Délègue au product-service via HTTP — retourne le prix de base en cas d'erreur
      * pour ne pas bloquer la création de commande.
+     *
+     * @returns {Promise<{ price: number, promotionId: string|null }>}
      */
     async #resolveEffectivePrice(variantId, basePrice) {
         try {
             const promotionData = await productClient.getPromotionPrice(variantId);
 
             if (!promotionData?.hasPromotion) {
-                return basePrice;
+                return { price: basePrice, promotionId: null };
             }
 
-            return promotionData.effectivePrice;
+            return { price: promotionData.effectivePrice, promotionId: promotionData.promotionId ?? null };
         } catch (error) {
             // En cas d'indisponibilité du service produit, on utilise le prix de base
             // pour ne pas bloquer le checkout. L'erreur est loggée pour monitoring.
             logError(error, { context: 'OrderService.resolveEffectivePrice', variantId });
-            return basePrice;
+            return { price: basePrice, promotionId: null };
+        }
+    }
+
+    /**
+     * Consomme les promotions produit retenues pour la commande (garde max_usage
+     * côté product-service). Une promotion épuisée depuis la résolution du prix
+     * ne bloque pas le checkout : les lignes concernées repassent au prix de base.
+     * Si la consommation ne peut pas être confirmée (product-service inaccessible),
+     * on applique la même règle à toutes les lignes promotionnelles plutôt que
+     * d'accorder une réduction non comptabilisée.
+     *
+     * @param {string} orderId - UUID pré-généré de la commande
+     * @param {Array<{ variantId: string, price: number, basePrice: number, promotionId: string|null }>} items
+     * @returns {Promise<{ items: Array, exhaustedVariantIds: string[] }>}
+     */
+    async #redeemPromotions(orderId, items) {
+        const promotionIds = [...new Set(items.map((item) => item.promotionId).filter(Boolean))];
+        if (promotionIds.length === 0) return { items, exhaustedVariantIds: [] };
+
+        let exhausted;
+        try {
+            ({ exhausted } = await productClient.redeemPromotions(orderId, promotionIds));
+        } catch (error) {
+            logError(error, { context: 'OrderService.redeemPromotions', orderId });
+            // Un timeout peut masquer une consommation effective : on la rend.
+            await this.#releasePromotions(orderId);
+            exhausted = promotionIds;
+        }
+
+        const exhaustedIds = new Set(exhausted);
+        const exhaustedVariantIds = [];
+
+        const adjustedItems = items.map((item) => {
+            if (!item.promotionId || !exhaustedIds.has(item.promotionId)) return item;
+
+            exhaustedVariantIds.push(item.variantId);
+            return { ...item, price: item.basePrice, promotionId: null };
+        });
+
+        return { items: adjustedItems, exhaustedVariantIds };
+    }
+
+    /**
+     * Rend au product-service les utilisations de promotions d'une commande.
+     * Best-effort : une erreur est loggée sans être propagée.
+     */
+    async #releasePromotions(orderId) {
+        try {
+            await productClient.releasePromotions(orderId);
+        } catch (error) {
+            logError(error, { context: 'OrderService.releasePromotions', orderId });
         }
     }
 
@@ -191,14 +339,23 @@ class OrderService {
      * - Le webhook Stripe (checkout.session.expired)
      * - Le cron de nettoyage (commandes PENDING expirées)
      *
-     * Le statut CANCELLED est mis à jour en base dans une transaction atomique.
+     * Le passage en CANCELLED est validé par la machine à états puis journalisé
+     * dans order_status_history, dans une transaction atomique.
      * Les libérations de stock (HTTP) sont best-effort : une erreur est loggée
      * sans faire échouer l'annulation en base.
      *
      * @param {string} orderId  - UUID de la commande à annuler
-     * @param {string} reason   - Motif pour les logs (traçabilité)
+     * @param {string} reason   - Motif (logs et historique de statut)
+     * @param {{ type: string, id?: string|null }} actor - Origine de l'annulation (STATUS_ACTOR)
      */
-    async cancelOrderAndReleaseStock(orderId, reason = 'manual_cancel') {
+    async cancelOrderAndReleaseStock(orderId, reason = 'manual_cancel', actor = SYSTEM_ACTOR) {
+        const order = await ordersRepo.findById(orderId);
+        if (!order) throw new AppError('Commande introuvable', HTTP_STATUS.NOT_FOUND);
+
+        // Idempotence : webhook rejoué ou cron passé après une annulation manuelle.
+        // Sans ce retour anticipé, le stock serait libéré une seconde fois.
+        if (order.status === ORDER_STATUS.CANCELLED) return;
+
         const client = await pgPool.connect();
 
         try {
@@ -208,15 +365,21 @@ class OrderService {
 
             // On marque d'abord CANCELLED en base pour garantir l'idempotence.
             // Les libérations HTTP qui échouent seront rattrapées par le cron.
-            await client.query(
-                `UPDATE orders SET status = $1, updated_at = NOW() WHERE id = $2`,
-                [ORDER_STATUS.CANCELLED, orderId]
-            );
+            await orderStatusService.transition(order, ORDER_STATUS.CANCELLED, { actor, reason }, client);
+
+            // Un code promo utilisé par une commande jamais payée redevient disponible
+            await couponService.release(orderId, client);
 
             await client.query('COMMIT');
+            await cacheService.delete(`order:${orderId}`).catch(() => { });
 
             logInfo(`[Stock] Commande annulée — orderId: ${orderId}, reason: ${reason}`);
 
+            // Les promotions produit consommées par la commande redeviennent disponibles
+            if (items.some((item) => item.promotionId)) {
+                this.#releasePromotions(orderId);
+            }
+
             // Libérations HTTP hors transaction — best-effort.
             for (const item of items) {
                 inventoryClient
@@ -267,7 +430,11 @@ class OrderService {
 
         await this._assertOrderAccess(order, user, email);
 
-        await this.cancelOrderAndReleaseStock(orderId, 'user_cancel');
+        const actor = user
+            ? { type: STATUS_ACTOR.CUSTOMER, id: user.id }
+            : { type: STATUS_ACTOR.GUEST, id: null };
+
+        await this.cancelOrderAndReleaseStock(orderId, 'user_cancel', actor);
 
         return { message: 'Commande annulée avec succès' };
     }
@@ -314,23 +481,42 @@ class OrderService {
      *
      * Si la transaction DB échoue après toutes les réservations,
      * la saga compensatoire libère également tout le stock.
+     *
+     * PROMOTIONS PRODUIT :
+     * L'id de commande est généré avant l'INSERT pour consommer les promotions
+     * (max_usage) sous cet id. Les lignes dont la promotion est épuisée repassent
+     * au prix de base et sont signalées dans `exhaustedPromotions` (variantIds).
+     * Un échec de la transaction rend les utilisations consommées.
+     *
+     * CLIENT PROFESSIONNEL :
+     * `companyName` + `vatNumber` sont contrôlés avant toute réservation. Une vente
+     * intracommunautaire à un numéro valide est facturée HT (autoliquidation) ;
+     * numéro et motif d'exonération sont conservés sur la commande.
      */
     async createOrderFromCart(userId = null, checkoutData) {
         const {
             items,
             shippingAddress,
             shippingMethod = 'STANDARD',
-            shippingCountry = 'France',
-            taxCategory = 'standard',
+            shippingCountry = DEFAULT_COUNTRY_CODE,
+            couponCode = null,
+            companyName = null,
+            vatNumber = null,
         } = checkoutData;
 
         if (!items || !Array.isArray(items) || items.length === 0) {
             throw new ValidationError('Le panier est vide');
         }
 
+        // Validés avant toute réservation de stock
+        const countryCode = normalizeCountryCode(shippingCountry, 'shippingCountry');
+        const vat = await this.#resolveVat(countryCode, companyName, vatNumber);
+
+        const orderId = crypto.randomUUID();
+
         // Réservations de stock — hors transaction DB (HTTP inter-service)
         const reservedItems = [];
-        const itemsWithRealPrices = [];
+        const pricedItems = [];
 
         try {
             for (const item of items) {
@@ -338,14 +524,15 @@ class OrderService {
                 const inventoryData = await inventoryClient.reserve(item.variantId, item.quantity);
                 reservedItems.push({ variantId: item.variantId, quantity: item.quantity });
 
-                const effectivePrice = await this.#resolveEffectivePrice(
+                const { price, promotionId } = await this.#resolveEffectivePrice(
                     item.variantId,
                     inventoryData.price
                 );
 
-                itemsWithRealPrices.push({
+                pricedItems.push({
                     ...item,
-                    price: effectivePrice,
+                    price,
+                    promotionId,
                     basePrice: inventoryData.price,
                     weight: inventoryData.weight || 0.5,
                 });
@@ -356,28 +543,59 @@ class OrderService {
             throw error;
         }
 
+        const { items: redeemedItems, exhaustedVariantIds } =
+            await this.#redeemPromotions(orderId, pricedItems);
+
         // Transaction DB — persistance de la commande
         const client = await pgPool.connect();
         try {
             await client.query('BEGIN');
 
-            const totals = this.#calculateTotals(
-                itemsWithRealPrices, shippingCountry, shippingMethod, taxCategory
+            const itemsWithRealPrices = await this.#attachTaxCategories(redeemedItems);
+
+            // Verrou sur la ligne coupon jusqu'au COMMIT : les limites d'usage
+            // sont vérifiées et incrémentées sans fenêtre de concurrence.
+            const coupon = couponCode
+                ? await couponService.evaluate(
+                    couponCode,
+                    { items: itemsWithRealPrices, userId, email: shippingAddress?.email ?? null },
+                    { client, lock: true }
+                )
+                : null;
+
+            const totals = await this.#calculateTotals(
+                itemsWithRealPrices, countryCode, shippingMethod, coupon, vat
             );
 
             const order = await ordersRepo.createOrder(client, {
+                id: orderId,
                 userId: userId || null,
                 subtotalAmount: totals.subtotal,
                 shippingCost: totals.shipping.cost,
                 shippingMethod: totals.shipping.method,
                 taxAmount: totals.tax.amount,
                 taxRate: totals.tax.rate,
+                taxCountry: totals.tax.country,
+                taxBreakdown: totals.tax.breakdown,
+                customerCompanyName: vat.companyName,
+                customerVatNumber: vat.vatNumber,
+                taxExemptionReason: totals.tax.exemptionReason,
+                vatValidatedAt: vat.validation?.checkedAt ?? null,
+                vatValidationReference: vat.validation?.reference ?? null,
+                discountAmount: totals.discount?.amount ?? 0,
+                couponCode: coupon?.code ?? null,
                 totalAmount: totals.totalAmount,
                 shippingAddress,
                 status: ORDER_STATUS.PENDING,
             });
 
-            for (const item of itemsWithRealPrices) {
+            await orderStatusService.recordCreation(
+                order,
+                userId ? { type: STATUS_ACTOR.CUSTOMER, id: userId } : { type: STATUS_ACTOR.GUEST, id: null },
+                client
+            );
+
+            for (const [index, item] of itemsWithRealPrices.entries()) {
                 await ordersRepo.addItem(client, {
                     orderId: order.id,
                     variantId: item.variantId,
@@ -385,21 +603,40 @@ class OrderService {
                     variantAttributes: item.variantAttributes,
                     unitPrice: item.price,
                     quantity: item.quantity,
+                    discountAmount: coupon?.lineDiscounts[index] ?? 0,
+                    promotionId: item.promotionId,
+                    baseUnitPrice: item.basePrice,
+                    taxCategory: totals.tax.lines[index].taxCategory,
+                    taxRate: totals.tax.lines[index].taxRate,
+                    taxAmount: totals.tax.lines[index].taxAmount,
                 });
             }
 
+            if (coupon) {
+                await couponService.redeem(coupon, {
+                    orderId: order.id,
+                    userId,
+                    email: shippingAddress?.email ?? null,
+                    discountAmount: totals.discount.amount + totals.discount.shippingDiscount,
+                }, client);
+            }
+
             await client.query('COMMIT');
 
             for (const item of itemsWithRealPrices) {
                 this.#invalidateVariantCache(item.variantId).catch(() => { });
             }
 
-            return { ...order, pricing: totals };
+            return { ...order, pricing: totals, exhaustedPromotions: exhaustedVariantIds };
 
         } catch (error) {
             await client.query('ROLLBACK');
-            // La DB a échoué après les réservations HTTP : on libère tout le stock.
+            // La DB a échoué après les réservations HTTP : on libère tout le stock
+            // et les promotions consommées sous l'id de la commande.
             await this.#compensateReservations(reservedItems);
+            if (redeemedItems.some((item) => item.promotionId)) {
+                await this.#releasePromotions(orderId);
+            }
             throw error;
         } finally {
             client.release();
@@ -409,36 +646,49 @@ class OrderService {
     /**
      * Prévisualise le total d'une commande sans réserver de stock.
      * Les items doivent être passés explicitement (le panier appartient au monolith).
+     * Un code promo invalide pour ce panier lève une BusinessError (422) avec son motif.
      */
     async previewOrderTotal(userId = null, checkoutData) {
         const {
             items,
             shippingMethod = 'STANDARD',
-            shippingCountry = 'France',
-            taxCategory = 'standard',
+            shippingCountry = DEFAULT_COUNTRY_CODE,
+            couponCode = null,
+            email = null,
+            companyName = null,
+            vatNumber = null,
         } = checkoutData;
 
         if (!items || items.length === 0) {
             throw new ValidationError('Le panier est vide');
         }
 
-        const itemsWithRealPrices = await Promise.all(
+        const countryCode = normalizeCountryCode(shippingCountry, 'shippingCountry');
+        const vat = await this.#resolveVat(countryCode, companyName, vatNumber);
+
+        const pricedItems = await Promise.all(
             items.map(async (item) => {
                 // getVariant() retourne { price, weight } sans toucher au stock
                 const variant = await productClient.getVariant(item.variantId);
                 if (!variant) throw new AppError('Produit introuvable', HTTP_STATUS.NOT_FOUND);
 
-                const effectivePrice = await this.#resolveEffectivePrice(
+                const { price } = await this.#resolveEffectivePrice(
                     item.variantId,
                     variant.price
                 );
 
-                return { ...item, price: effectivePrice, weight: variant.weight || 0.5 };
+                return { ...item, price, weight: variant.weight || 0.5 };
             })
         );
+        const itemsWithRealPrices = await this.#attachTaxCategories(pricedItems);
+
+        // Sans verrou : la validation définitive a lieu dans la transaction du checkout
+        const coupon = couponCode
+            ? await couponService.evaluate(couponCode, { items: itemsWithRealPrices, userId, email })
+            : null;
 
         return {
-            ...this.#calculateTotals(itemsWithRealPrices, shippingCountry, shippingMethod, taxCategory),
+            ...(await this.#calculateTotals(itemsWithRealPrices, countryCode, shippingMethod, coupon, vat)),
             currency: 'EUR',
         };
     }
@@ -461,7 +711,7 @@ class OrderService {
         const order = await ordersRepo.findById(orderId);
         if (!order) throw new AppError('Commande introuvable', HTTP_STATUS.NOT_FOUND);
 
-        const isAdmin = user.roles?.some((r) => r.toUpperCase() === 'ADMIN');
+        const isAdmin = hasPermission(user, PERMISSIONS.ORDERS_READ);
         if (order.userId !== user.id && !isAdmin) {
             throw new AppError('Accès non autorisé', HTTP_STATUS.FORBIDDEN);
         }
@@ -470,6 +720,60 @@ class OrderService {
         return { ...order, items };
     }
 
+    /**
+     * Historique des transitions de statut d'une commande.
+     *
+     * Accès : équipe (orders:read), propriétaire connecté, ou guest (email de commande) pour
+     * une commande sans compte. Hors admin, l'identifiant de l'acteur et les
+     * métadonnées techniques (refundId, paymentIntentId…) ne sont pas exposés.
+     */
+    async getOrderStatusHistory(orderId, user = null, email = null) {
+        const order = await ordersRepo.findById(orderId);
+        if (!order) throw new AppError('Commande introuvable', HTTP_STATUS.NOT_FOUND);
+
+        const isAdmin = hasPermission(user, PERMISSIONS.ORDERS_READ);
+        const isOwner = Boolean(user && order.userId === user.id);
+
+        if (!isAdmin && !isOwner) {
+            if (order.userId) {
+                throw new AppError('Accès non autorisé', HTTP_STATUS.FORBIDDEN);
+            }
+            await this._assertOrderAccess(order, null, email);
+        }
+
+        const entries = await orderStatusService.getHistory(orderId);
+
+        const history = isAdmin
+            ? entries
+            : entries.map(({ fromStatus, toStatus, actorType, reason, createdAt }) => ({
+                fromStatus, toStatus, actorType, reason, createdAt,
+            }));
+
+        return { orderId, status: order.status, history };
+    }
+
+    /**
+     * Factures et avoirs d'une commande, sans le PDF.
+     * Accès : admin, propriétaire connecté, ou guest (email de commande).
+     */
+    async getOrderInvoices(orderId, user = null, email = null) {
+        const order = await this.#getOrderForDocuments(orderId, user, email);
+        const documents = await invoiceService.listForOrder(order);
+
+        return documents.map(({ id, invoiceNumber, invoiceType, totalAmount, issuedAt }) => ({
+            id, invoiceNumber, invoiceType, totalAmount, issuedAt,
+        }));
+    }
+
+    /**
+     * PDF de la facture (invoiceId absent) ou d'un avoir de la commande.
+     * @returns {Promise<{ invoice: object, filename: string, pdf: Buffer }>}
+     */
+    async getOrderInvoiceDocument(orderId, user = null, email = null, invoiceId = null) {
+        const order = await this.#getOrderForDocuments(orderId, user, email);
+        return invoiceService.getDocument(order, invoiceId);
+    }
+
     async getOrderHistory(userId, options = {}) {
         // La pagination et le filtrage sont désormais faits en SQL dans ordersRepo.listByUserId
         // pour éviter de charger toutes les commandes en mémoire (N+1 et DeprecationWarning pg).
@@ -559,22 +863,78 @@ class OrderService {
         }
     }
 
-    async updateOrderStatus(orderId, newStatus) {
+    // ─────────────────────────────────────────────────────────────────────
+    // CYCLE DE VIE — TRANSITIONS DE STATUT
+    // ─────────────────────────────────────────────────────────────────────
+
+    /**
+     * Change le statut d'une commande (admin ou confirmation de paiement).
+     *
+     * La transition est contrôlée par ORDER_TRANSITIONS (constants/orderStateMachine.js)
+     * et journalisée avec son acteur. Redemander le statut courant est un no-op :
+     * un webhook rejoué ne crée ni doublon de paiement ni ligne d'historique.
+     *
+     * Les statuts de remboursement sont exclus : ils ne sont posés que par
+     * applyRefund(), avec les quantités remboursées correspondantes.
+     *
+     * @param {string} orderId
+     * @param {string} newStatus
+     * @param {object} [context]
+     * @param {{ type: string, id?: string|null }} [context.actor] - Origine (STATUS_ACTOR)
+     * @param {string|null} [context.reason]       - Motif affiché dans l'historique
+     * @param {object|null} [context.paymentData]  - Paiement Stripe confirmé (passage en PAID)
+     */
+    async updateOrderStatus(orderId, newStatus, { actor = SYSTEM_ACTOR, reason = null, paymentData = null } = {}) {
         const order = await ordersRepo.findById(orderId);
         if (!order) throw new AppError('Commande introuvable', HTTP_STATUS.NOT_FOUND);
 
-        const previousStatus = order.status;
-
-        if (order.status === ORDER_STATUS.SHIPPED && newStatus === ORDER_STATUS.CANCELLED) {
-            throw new BusinessError("Impossible d'annuler une commande déjà expédiée");
+        if ([ORDER_STATUS.PARTIALLY_REFUNDED, ORDER_STATUS.REFUNDED].includes(newStatus)) {
+            throw new BusinessError('Les remboursements passent par le payment-service (POST /payments/refunds/:orderId)');
         }
 
-        const updatedOrder = await ordersRepo.updateStatus(orderId, newStatus);
+        if (order.status === newStatus) return order;
+
+        const previousStatus = order.status;
+
+        // L'envoi est créé chez le transporteur AVANT la transition : un refus
+        // laisse la commande dans son statut, l'opération peut être relancée.
+        const dispatchedShipment = newStatus === ORDER_STATUS.SHIPPED
+            ? await shippingService.dispatchShipment(order)
+            : null;
+
+        const updatedOrder = await orderStatusService.transition(order, newStatus, {
+            actor,
+            reason,
+            paymentData,
+            metadata: paymentData?.paymentIntentId ? { paymentIntentId: paymentData.paymentIntentId } : {},
+        });
         let shipmentData = null;
 
+        if (newStatus === ORDER_STATUS.PAID) {
+            // Émise avant de répondre au payment-service, qui la joint à l'email de
+            // confirmation. Un échec ne bloque pas le paiement : la facture sera
+            // émise au premier téléchargement.
+            await invoiceService.issueInvoice(orderId).catch((err) =>
+                logError(err, { context: 'updateOrderStatus.issueInvoice', orderId })
+            );
+
+            // Arrête les relances de panier abandonné et mesure leur conversion (fire-and-forget)
+            if (updatedOrder.userId) {
+                cartClient.notifyOrderPaid(updatedOrder.userId, {
+                    orderId,
+                    totalAmount: updatedOrder.totalAmount,
+                });
+            }
+        }
+
         if (newStatus === ORDER_STATUS.SHIPPED) {
-            const shipment = await shipmentsRepo.create({ orderId });
-            shipmentData = shipment;
+            // Prise en charge : les webhooks transporteur ont pu faire avancer l'expédition entre-temps
+            shipmentData = dispatchedShipment.status === SHIPMENT_STATUS.PREPARING
+                ? await shipmentsRepo.update(dispatchedShipment.id, {
+                    status: SHIPMENT_STATUS.SHIPPED,
+                    shippedAt: dispatchedShipment.shippedAt ?? new Date(),
+                })
+                : dispatchedShipment;
         }
 
         if (newStatus === ORDER_STATUS.CANCELLED) {
@@ -588,6 +948,12 @@ class OrderService {
                     );
                 this.#invalidateVariantCache(item.variantId).catch(() => { });
             }
+
+            // Codes promo et promotions produit consommés redeviennent disponibles
+            await couponService.release(orderId);
+            if (items.some((item) => item.promotionId)) {
+                this.#releasePromotions(orderId);
+            }
         }
 
         // Fire-and-forget — ne bloque pas la réponse HTTP
@@ -598,6 +964,109 @@ class OrderService {
         return updatedOrder;
     }
 
+    // ─────────────────────────────────────────────────────────────────────
+    // REMBOURSEMENTS
+    // ─────────────────────────────────────────────────────────────────────
+
+    /**
+     * Applique un remboursement validé par le payment-service (Stripe).
+     *
+     * Les quantités remboursées et le nouveau statut sont écrits dans une
+     * transaction unique. Le stock est ensuite rendu en best-effort :
+     * - Commande non expédiée → release (le stock était encore réservé)
+     * - Commande expédiée     → restock (la vente avait été confirmée)
+     *
+     * @param {string} orderId
+     * @param {object} refundData
+     * @param {string} refundData.status  - PARTIALLY_REFUNDED ou REFUNDED
+     * @param {Array<{ orderItemId: number, quantity: number }>} refundData.items - Lignes remboursées
+     * @param {boolean} refundData.restock - false si le stock a déjà été réintégré (retour reçu)
+     * @param {string|null} refundData.refundId - Identifiant du remboursement côté payment-service (logs)
+     * @param {string|null} refundData.reason   - Motif saisi à la création du remboursement
+     * @param {string|null} refundData.adminId  - Admin à l'origine du remboursement (null si Stripe Dashboard)
+     * @param {number|null} refundData.amount   - Montant TTC remboursé, repris sur l'avoir
+     */
+    async applyRefund(orderId, {
+        status, items = [], restock = true, refundId = null, reason = null, adminId = null, amount = null,
+    }) {
+        if (![ORDER_STATUS.PARTIALLY_REFUNDED, ORDER_STATUS.REFUNDED].includes(status)) {
+            throw new ValidationError(`Statut de remboursement invalide : ${status}`);
+        }
+
+        const order = await ordersRepo.findById(orderId);
+        if (!order) throw new AppError('Commande introuvable', HTTP_STATUS.NOT_FOUND);
+
+        if (!canTransition(order.status, status)) {
+            throw new BusinessError(`Une commande au statut ${order.status} ne peut pas être remboursée`);
+        }
+
+        const client = await pgPool.connect();
+        const refundedLines = [];
+        let updatedOrder;
+
+        try {
+            await client.query('BEGIN');
+
+            for (const { orderItemId, quantity } of items) {
+                if (!Number.isInteger(quantity) || quantity <= 0) {
+                    throw new ValidationError(`Quantité invalide pour la ligne ${orderItemId}`);
+                }
+
+                const line = await ordersRepo.addRefundedQuantity(orderId, orderItemId, quantity, client);
+                if (!line) {
+                    throw new BusinessError(
+                        `Quantité remboursée supérieure à la quantité restante pour la ligne ${orderItemId}`
+                    );
+                }
+                refundedLines.push({ variantId: line.variantId, quantity });
+            }
+
+            updatedOrder = await orderStatusService.transition(order, status, {
+                actor: adminId
+                    ? { type: STATUS_ACTOR.ADMIN, id: adminId }
+                    : { type: STATUS_ACTOR.WEBHOOK, id: null },
+                reason,
+                metadata: { refundId, items },
+            }, client);
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            logError(error, { context: 'OrderService.applyRefund', orderId, refundId });
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        logInfo(`[Refund] Remboursement appliqué — orderId: ${orderId}, refundId: ${refundId}, status: ${status}`);
+
+        // L'avoir est best-effort : le remboursement est acquis côté Stripe et en base
+        if (refundId) {
+            await invoiceService.issueCreditNote(orderId, { refundId, items, amount }).catch((err) =>
+                logError(err, { context: 'applyRefund.issueCreditNote', orderId, refundId })
+            );
+        }
+
+        if (!restock) return updatedOrder;
+
+        // Une ligne shipments n'existe qu'à partir du passage en SHIPPED
+        const shipment = await shipmentsRepo.findByOrderId(orderId).catch(() => null);
+        const restoreStock = shipment
+            ? (variantId, quantity) => inventoryClient.restock(variantId, quantity)
+            : (variantId, quantity) => inventoryClient.release(variantId, quantity);
+
+        for (const line of refundedLines) {
+            if (!line.variantId) continue;
+
+            restoreStock(line.variantId, line.quantity).catch((err) =>
+                logError(err, { context: 'applyRefund.restoreStock', orderId, variantId: line.variantId })
+            );
+            this.#invalidateVariantCache(line.variantId).catch(() => { });
+        }
+
+        return updatedOrder;
+    }
+
     async listAllOrders(params) {
         return await ordersRepo.findAll(params);
     }
@@ -0,0 +1,95 @@
+/**
+ * @module Service/Privacy
+ *
+ * Volet order-service de l'export et de l'effacement RGPD d'un client,
+ * orchestrés par l'auth-service (GET /users/me/export, suppression de compte).
+ *
+ * - Export : commandes et lignes, factures émises, retours, et paiements
+ *   lus auprès du payment-service (qui ne connaît que les orderId).
+ * - Effacement : les commandes restent dans la comptabilité mais perdent leurs
+ *   données personnelles. Refusé tant qu'une commande est en cours : ses
+ *   adresses servent encore à la livraison, au retour ou à la facture.
+ *
+ * Les commandes guest passées avec l'email du client ne sont incluses que si
+ * l'auth-service atteste que cet email est vérifié (même règle que l'auto-claim).
+ */
+import { ordersRepo, invoicesRepo, returnsRepo } from '../repositories/index.js';
+import { paymentClient } from '../clients/payment.client.js';
+import { cacheService } from './cache.service.js';
+import { ConflictError } from '../utils/appError.js';
+import { logInfo } from '../utils/logger.js';
+
+class PrivacyService {
+    constructor() {
+        if (PrivacyService.instance) return PrivacyService.instance;
+        PrivacyService.instance = this;
+        Object.freeze(this);
+    }
+
+    /**
+     * Données de commande d'un client, prêtes à être sérialisées dans l'archive d'export.
+     * Les factures sont listées sans leur PDF, téléchargeable depuis la commande.
+     *
+     * @param {string}      userId
+     * @param {string|null} verifiedEmail
+     * @returns {Promise<{ orders: object[], payments: object[], refunds: object[] }>}
+     */
+    async exportCustomerData(userId, verifiedEmail = null) {
+        const orders = await ordersRepo.listForDataExport(userId, verifiedEmail);
+
+        const detailedOrders = await Promise.all(
+            orders.map(async (order) => {
+                const [invoices, returns] = await Promise.all([
+                    invoicesRepo.listByOrderId(order.id),
+                    returnsRepo.listByOrderId(order.id),
+                ]);
+
+                return {
+                    ...order,
+                    invoices: invoices.map((invoice) => ({
+                        invoiceNumber: invoice.invoiceNumber,
+                        invoiceType: invoice.invoiceType,
+                        totalAmount: invoice.totalAmount,
+                        currency: invoice.currency,
+                        issuedAt: invoice.issuedAt,
+                    })),
+                    returns,
+                };
+            })
+        );
+
+        const { payments, refunds } = orders.length > 0
+            ? await paymentClient.exportPayments(orders.map((order) => order.id))
+            : { payments: [], refunds: [] };
+
+        return { orders: detailedOrders, payments, refunds };
+    }
+
+    /**
+     * Anonymise les commandes d'un client. Idempotent : un nouvel appel après
+     * un effacement partiel (service pair indisponible) ne traite que le reste.
+     *
+     * @throws {ConflictError} Si une commande est encore en cours
+     * @returns {Promise<{ anonymized: number }>}
+     */
+    async eraseCustomerData(userId, verifiedEmail = null) {
+        const openOrderNumbers = await ordersRepo.findOpenOrderNumbersForCustomer(userId, verifiedEmail);
+        if (openOrderNumbers.length > 0) {
+            throw new ConflictError(
+                `Effacement impossible : commandes en cours (${openOrderNumbers.join(', ')}). ` +
+                'Réessayez une fois livrées, annulées ou remboursées.'
+            );
+        }
+
+        const orderIds = await ordersRepo.anonymizeCustomerOrders(userId, verifiedEmail);
+
+        await Promise.all(
+            orderIds.map((orderId) => cacheService.delete(`order:${orderId}`).catch(() => { }))
+        );
+
+        logInfo(`Commandes anonymisées — userId: ${userId}, count: ${orderIds.length}`);
+        return { anonymized: orderIds.length };
+    }
+}
+
+export const privacyService = new PrivacyService();
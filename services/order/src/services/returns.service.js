@@ -0,0 +1,330 @@
+/**
+ * @module Service/Return
+ *
+ * Orchestre les retours clients (RMA) sur les commandes livrées.
+ *
+ * CYCLE DE VIE :
+ *   REQUESTED → APPROVED → RECEIVED → REFUNDED
+ *            ↘ REJECTED
+ *
+ * - Ouverture : client authentifié ou guest (vérifié par _assertOrderAccess),
+ *   dans la fenêtre de retour (ENV.returns.windowDays) après la livraison.
+ * - Réception : les articles retournés sont réintégrés au stock via le product-service,
+ *   puis le remboursement des lignes est demandé au payment-service.
+ * - Chaque étape déclenche une notification fire-and-forget.
+ *
+ * PÉRIMÈTRE :
+ * - Tables : returns, return_items (schéma "order")
+ * - Appels HTTP : inventoryClient (restock), paymentClient (remboursement), notificationClient (emails)
+ */
+import { ordersRepo, shipmentsRepo, returnsRepo } from '../repositories/index.js';
+import { usersRepo } from '../repositories/users.repo.js';
+import { inventoryClient } from '../clients/inventory.client.js';
+import { paymentClient } from '../clients/payment.client.js';
+import { notificationClient } from '../clients/notification.client.js';
+import { orderService } from './orders.service.js';
+import { cacheService } from './cache.service.js';
+import { AppError, ValidationError, BusinessError } from '../utils/appError.js';
+import { HTTP_STATUS } from '../constants/httpStatus.js';
+import { ORDER_STATUS, RETURN_STATUS } from '../constants/enums.js';
+import { ENV } from '../config/environment.js';
+import { pgPool } from '../config/database.js';
+import { logInfo, logError } from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ReturnService {
+    constructor() {
+        if (ReturnService.instance) return ReturnService.instance;
+        ReturnService.instance = this;
+        Object.freeze(this);
+    }
+
+    // ─────────────────────────────────────────────────────────────────────
+    // HELPERS PRIVÉS
+    // ─────────────────────────────────────────────────────────────────────
+
+    /**
+     * Date de livraison de référence pour la fenêtre de retour.
+     * shipments.delivered_at fait foi ; à défaut, la dernière mise à jour
+     * d'une commande DELIVERED (passage manuel par un admin).
+     */
+    async #resolveDeliveryDate(order) {
+        const shipment = await shipmentsRepo.findByOrderId(order.id);
+        if (shipment?.deliveredAt) return new Date(shipment.deliveredAt);
+        if (order.status === ORDER_STATUS.DELIVERED) return new Date(order.updatedAt);
+        return null;
+    }
+
+    async #getReturnOrFail(returnId) {
+        const returnRequest = await returnsRepo.findById(returnId);
+        if (!returnRequest) throw new AppError('Demande de retour introuvable', HTTP_STATUS.NOT_FOUND);
+        return returnRequest;
+    }
+
+    /**
+     * Applique une transition et relit la demande avec ses lignes.
+     * Un échec de la garde SQL signifie que la demande n'est plus dans l'état attendu.
+     */
+    async #transition(returnRequest, to, extra = {}) {
+        const updated = await returnsRepo.transition(returnRequest.id, {
+            from: returnRequest.status,
+            to,
+            ...extra,
+        });
+
+        if (!updated) {
+            throw new BusinessError('Cette demande de retour a déjà été traitée');
+        }
+
+        return returnsRepo.findById(returnRequest.id);
+    }
+
+    #assertStatus(returnRequest, expected) {
+        if (returnRequest.status !== expected) {
+            throw new BusinessError(
+                `Action impossible sur une demande de retour au statut ${returnRequest.status}`
+            );
+        }
+    }
+
+    /**
+     * Notifie le client d'une étape du retour.
+     * Fire-and-forget : ne propage jamais d'erreur pour ne pas bloquer le flux métier.
+     */
+    #notify(returnRequest) {
+        ordersRepo.findById(returnRequest.orderId)
+            .then(async (order) => {
+                const email = order?.shippingAddress?.email
+                    ?? (order?.userId ? (await usersRepo.findById(order.userId))?.email : null);
+
+                if (!email) {
+                    logInfo(`[Return] Email introuvable — notification ignorée, returnId: ${returnRequest.id}`);
+                    return;
+                }
+
+                notificationClient.notifyReturnUpdate(email, order, returnRequest);
+            })
+            .catch((error) =>
+                logError(error, { context: 'ReturnService.notify', returnId: returnRequest.id })
+            );
+    }
+
+    // ─────────────────────────────────────────────────────────────────────
+    // CLIENT / GUEST
+    // ─────────────────────────────────────────────────────────────────────
+
+    /**
+     * Ouvre une demande de retour sur des lignes d'une commande livrée.
+     *
+     * Les quantités demandées sont bornées par ce qui n'a été ni remboursé,
+     * ni déjà engagé dans un retour ouvert. Le verrou FOR UPDATE sur la commande
+     * sérialise deux demandes concurrentes sur les mêmes lignes.
+     *
+     * @param {string} orderId
+     * @param {{ items: Array<{ orderItemId: number, quantity: number }>, reason: string }} returnData
+     * @param {Object|null} user  - Utilisateur connecté (null si guest)
+     * @param {string|null} email - Email de vérification (requis si guest)
+     */
+    async requestReturn(orderId, { items, reason }, user = null, email = null) {
+        if (!reason || typeof reason !== 'string' || reason.trim() === '') {
+            throw new ValidationError('Le motif du retour est requis');
+        }
+
+        if (!Array.isArray(items) || items.length === 0) {
+            throw new ValidationError('Au moins un article doit être retourné');
+        }
+
+        const order = await ordersRepo.findById(orderId);
+        if (!order) throw new AppError('Commande introuvable', HTTP_STATUS.NOT_FOUND);
+
+        await orderService._assertOrderAccess(order, user, email);
+
+        if (![ORDER_STATUS.DELIVERED, ORDER_STATUS.PARTIALLY_REFUNDED].includes(order.status)) {
+            throw new BusinessError('Seule une commande livrée peut faire l\'objet d\'un retour');
+        }
+
+        const deliveredAt = await this.#resolveDeliveryDate(order);
+        if (!deliveredAt) {
+            throw new BusinessError('Cette commande n\'a pas encore été livrée');
+        }
+
+        if (Date.now() - deliveredAt.getTime() > ENV.returns.windowDays * DAY_MS) {
+            throw new BusinessError(
+                `Le délai de retour de ${ENV.returns.windowDays} jours après livraison est dépassé`
+            );
+        }
+
+        const client = await pgPool.connect();
+        let created;
+
+        try {
+            await client.query('BEGIN');
+
+            await client.query(`SELECT id FROM orders WHERE id = $1 FOR UPDATE`, [orderId]);
+
+            const orderItems = await ordersRepo.listItems(orderId, client);
+            const openQuantities = await returnsRepo.sumOpenQuantitiesByOrderId(orderId, client);
+            const itemsById = new Map(orderItems.map((item) => [String(item.id), item]));
+            const seen = new Set();
+
+            for (const { orderItemId, quantity } of items) {
+                const key = String(orderItemId);
+                const item = itemsById.get(key);
+
+                if (!item) {
+                    throw new ValidationError(`Ligne de commande introuvable : ${orderItemId}`);
+                }
+
+                if (seen.has(key)) {
+                    throw new ValidationError(`Ligne de commande en double : ${orderItemId}`);
+                }
+                seen.add(key);
+
+                if (!Number.isInteger(quantity) || quantity <= 0) {
+                    throw new ValidationError(`Quantité invalide pour la ligne ${orderItemId}`);
+                }
+
+                const returnable = item.quantity - (item.refundedQuantity ?? 0) - (openQuantities[key] ?? 0);
+                if (quantity > returnable) {
+                    throw new BusinessError(
+                        `Quantité retournable dépassée pour la ligne ${orderItemId} (restant : ${returnable})`
+                    );
+                }
+            }
+
+            created = await returnsRepo.create(
+                { orderId, userId: order.userId ?? null, reason: reason.trim() },
+                client
+            );
+
+            for (const { orderItemId, quantity } of items) {
+                await returnsRepo.addItem({ returnId: created.id, orderItemId, quantity }, client);
+            }
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            logError(error, { context: 'ReturnService.requestReturn', orderId });
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        const returnRequest = await returnsRepo.findById(created.id);
+
+        logInfo(`[Return] Demande ouverte — orderId: ${orderId}, returnId: ${created.id}`);
+        this.#notify(returnRequest);
+
+        return returnRequest;
+    }
+
+    /**
+     * Liste les demandes de retour d'une commande pour son propriétaire (ou le guest vérifié).
+     */
+    async listOrderReturns(orderId, user = null, email = null) {
+        const order = await ordersRepo.findById(orderId);
+        if (!order) throw new AppError('Commande introuvable', HTTP_STATUS.NOT_FOUND);
+
+        await orderService._assertOrderAccess(order, user, email);
+
+        return returnsRepo.listByOrderId(orderId);
+    }
+
+    // ─────────────────────────────────────────────────────────────────────
+    // ADMINISTRATION
+    // ─────────────────────────────────────────────────────────────────────
+
+    async listReturns(params) {
+        return returnsRepo.findAll(params);
+    }
+
+    async getReturn(returnId) {
+        return this.#getReturnOrFail(returnId);
+    }
+
+    async approveReturn(returnId, adminNote = null) {
+        const returnRequest = await this.#getReturnOrFail(returnId);
+        this.#assertStatus(returnRequest, RETURN_STATUS.REQUESTED);
+
+        const approved = await this.#transition(returnRequest, RETURN_STATUS.APPROVED, { adminNote });
+
+        logInfo(`[Return] Demande acceptée — returnId: ${returnId}`);
+        this.#notify(approved);
+
+        return approved;
+    }
+
+    async rejectReturn(returnId, adminNote = null) {
+        const returnRequest = await this.#getReturnOrFail(returnId);
+        this.#assertStatus(returnRequest, RETURN_STATUS.REQUESTED);
+
+        const rejected = await this.#transition(returnRequest, RETURN_STATUS.REJECTED, { adminNote });
+
+        logInfo(`[Return] Demande refusée — returnId: ${returnId}`);
+        this.#notify(rejected);
+
+        return rejected;
+    }
+
+    /**
+     * Enregistre la réception des articles en entrepôt.
+     *
+     * Le stock est réintégré (best-effort, rattrapable par inventaire) puis le
+     * remboursement est demandé. Si le payment-service échoue, la demande reste
+     * RECEIVED et l'admin peut relancer le remboursement via refundReturn.
+     */
+    async receiveReturn(returnId) {
+        const returnRequest = await this.#getReturnOrFail(returnId);
+        this.#assertStatus(returnRequest, RETURN_STATUS.APPROVED);
+
+        const received = await this.#transition(returnRequest, RETURN_STATUS.RECEIVED);
+
+        for (const item of received.items) {
+            if (!item.variantId) continue;
+
+            inventoryClient
+                .restock(item.variantId, item.quantity)
+                .catch((err) =>
+                    logError(err, { context: 'ReturnService.receiveReturn.restock', returnId, variantId: item.variantId })
+                );
+
+            cacheService.delete(`stock:variant:${item.variantId}`).catch(() => { });
+        }
+
+        logInfo(`[Return] Articles reçus — returnId: ${returnId}`);
+        this.#notify(received);
+
+        try {
+            return await this.refundReturn(returnId);
+        } catch (error) {
+            logError(error, { context: 'ReturnService.receiveReturn.refund', returnId });
+            return received;
+        }
+    }
+
+    /**
+     * Déclenche le remboursement des lignes d'un retour reçu.
+     * Appelé automatiquement à la réception, ou manuellement par un admin en cas d'échec.
+     */
+    async refundReturn(returnId) {
+        const returnRequest = await this.#getReturnOrFail(returnId);
+        this.#assertStatus(returnRequest, RETURN_STATUS.RECEIVED);
+
+        const { refund } = await paymentClient.refundOrderItems(returnRequest.orderId, {
+            items: returnRequest.items.map(({ orderItemId, quantity }) => ({ orderItemId, quantity })),
+            reason: `Retour ${returnRequest.id} : ${returnRequest.reason}`,
+        });
+
+        const refunded = await this.#transition(returnRequest, RETURN_STATUS.REFUNDED, {
+            refundId: refund?.id ?? null,
+        });
+
+        logInfo(`[Return] Remboursement demandé — returnId: ${returnId}, refundId: ${refund?.id}`);
+        this.#notify(refunded);
+
+        return refunded;
+    }
+}
+
+export const returnService = new ReturnService();
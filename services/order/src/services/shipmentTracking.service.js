@@ -0,0 +1,121 @@
+/**
+ * @module Service/ShipmentTracking
+ *
+ * Ingestion des webhooks de suivi transporteur.
+ *
+ * Pour chaque événement :
+ * 1. Journalisation dans shipment_events (un événement rejoué est ignoré)
+ * 2. Mise à jour du statut de l'expédition, sauf événement plus ancien que le dernier appliqué
+ * 3. Alignement de la commande via orderService.updateOrderStatus, qui envoie
+ *    les emails d'expédition et de livraison (notifyOrderShipped / notifyOrderDelivered)
+ *
+ * L'étape 3 part du statut courant de l'expédition et non de l'événement reçu :
+ * un webhook relivré après un échec de propagation rattrape la commande.
+ *
+ * Séparé de shippingService, dont orderService dépend (frais de port, étiquettes),
+ * pour éviter un import circulaire.
+ */
+import { shipmentsRepo, ordersRepo } from '../repositories/index.js';
+import { carrierService } from './carrier.service.js';
+import { orderService } from './orders.service.js';
+import { ORDER_STATUS_BY_SHIPMENT_STATUS } from './shipping.service.js';
+import { ORDER_STATUS, STATUS_ACTOR } from '../constants/enums.js';
+import { canTransition } from '../constants/orderStateMachine.js';
+import { pgPool } from '../config/database.js';
+import { logInfo } from '../utils/logger.js';
+
+const CARRIER_ACTOR = Object.freeze({ type: STATUS_ACTOR.WEBHOOK, id: null });
+
+class ShipmentTrackingService {
+    constructor() {
+        if (ShipmentTrackingService.instance) return ShipmentTrackingService.instance;
+        ShipmentTrackingService.instance = this;
+        Object.freeze(this);
+    }
+
+    /**
+     * @param {Buffer} rawBody - Corps brut, pour la vérification de signature
+     * @param {object} headers
+     * @param {object} body    - Corps JSON parsé
+     * @returns {Promise<{ received: number, applied: number, ignored: number }>}
+     * @throws {AppError} 401 si la signature est invalide
+     */
+    async ingestWebhook(rawBody, headers, body) {
+        const events = carrierService.parseWebhook(rawBody, headers, body);
+        const summary = { received: events.length, applied: 0, ignored: 0 };
+
+        // Séquentiel : les événements d'un même colis arrivent souvent groupés et ordonnés
+        for (const event of events) {
+            const applied = await this.#ingestEvent(event);
+            summary[applied ? 'applied' : 'ignored'] += 1;
+        }
+
+        return summary;
+    }
+
+    async #ingestEvent(event) {
+        const shipment = await shipmentsRepo.findByTrackingNumber(event.trackingNumber);
+        if (!shipment) {
+            // Acquitté sans erreur : un numéro inconnu ne deviendra pas connu en réessayant
+            logInfo(`[Carrier] Événement ignoré — numéro de suivi inconnu : ${event.trackingNumber}`);
+            return false;
+        }
+
+        const client = await pgPool.connect();
+        let applied = null;
+        try {
+            await client.query('BEGIN');
+
+            const recorded = await shipmentsRepo.addEvent({
+                shipmentId: shipment.id,
+                carrierEventId: event.eventId,
+                status: event.status,
+                location: event.location,
+                description: event.description,
+                occurredAt: event.occurredAt,
+                payload: event.payload,
+            }, client);
+
+            if (recorded) {
+                applied = await shipmentsRepo.applyEvent(shipment.id, event, client);
+            }
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        await this.#syncOrderStatus(applied ?? (await shipmentsRepo.findById(shipment.id)));
+        return Boolean(applied);
+    }
+
+    /**
+     * Aligne la commande sur l'expédition. Un statut déjà atteint ou dépassé
+     * (ex : commande remboursée) est laissé tel quel.
+     */
+    async #syncOrderStatus(shipment) {
+        const targetStatus = ORDER_STATUS_BY_SHIPMENT_STATUS[shipment.status];
+        if (!targetStatus) return;
+
+        let order = await ordersRepo.findById(shipment.orderId);
+        const context = { actor: CARRIER_ACTOR, reason: `Suivi transporteur : ${shipment.status}` };
+
+        // Livraison signalée sans scan de prise en charge : l'étape SHIPPED est tracée
+        // (et notifiée) pour conserver un historique complet.
+        if (
+            targetStatus === ORDER_STATUS.DELIVERED &&
+            [ORDER_STATUS.PAID, ORDER_STATUS.PROCESSING].includes(order.status)
+        ) {
+            order = await orderService.updateOrderStatus(order.id, ORDER_STATUS.SHIPPED, context);
+        }
+
+        if (order.status !== targetStatus && canTransition(order.status, targetStatus)) {
+            await orderService.updateOrderStatus(order.id, targetStatus, context);
+        }
+    }
+}
+
+export const shipmentTrackingService = new ShipmentTrackingService();
@@ -2,151 +2,435 @@
  * @module Service/Shipping
  *
  * Gère les frais de port avec calcul basé sur le poids, la zone et le type de service.
- * Intègre les adresses de livraison et le suivi des expéditions.
+ * Intègre les adresses de livraison et le suivi des expéditions ; les envois et
+ * étiquettes sont créés chez le transporteur via carrierService.
+ *
+ * La grille (zones, pays, méthodes, tranches de poids, francos, délais) vit dans
+ * les tables order.shipping_* et s'administre via /api/v1/shipping/zones et
+ * /api/v1/shipping/methods. Elle est mise en cache Redis (1h) ; toute modification
+ * invalide ce cache ainsi que les options déjà calculées (shipping:options:*).
+ *
+ * Tarif d'une méthode pour un poids donné :
+ *   - sans tranche : base + perKg × poids ;
+ *   - avec tranches : prix de la première tranche couvrant le poids, et au-delà
+ *     de la dernière, son prix + perKg par kg excédentaire ;
+ *   - port offert dès que le sous-total atteint le franco (freeAbove).
  */
-import { shipmentsRepo, ordersRepo } from '../repositories/index.js';
+import { shipmentsRepo, ordersRepo, shippingRatesRepo } from '../repositories/index.js';
 import { cacheService } from './cache.service.js';
-import { AppError, ValidationError, BusinessError } from '../utils/appError.js';
+import { AppError, ValidationError, BusinessError, ConflictError } from '../utils/appError.js';
 import { HTTP_STATUS } from '../constants/httpStatus.js';
 import { ORDER_STATUS } from '../constants/enums.js';
+import { canTransition } from '../constants/orderStateMachine.js';
+import { normalizeCountryCode } from '../constants/countries.js';
+import { orderStatusService, SYSTEM_ACTOR } from './orderStatus.service.js';
+import { carrierService } from './carrier.service.js';
+import { pgPool } from '../config/database.js';
+import { logError } from '../utils/logger.js';
+
+// Statut de commande induit par l'avancement de l'expédition.
+// PREPARING, FAILED et RETURNED n'ont pas d'effet automatique sur la commande.
+export const ORDER_STATUS_BY_SHIPMENT_STATUS = Object.freeze({
+    SHIPPED: ORDER_STATUS.SHIPPED,
+    IN_TRANSIT: ORDER_STATUS.SHIPPED,
+    OUT_FOR_DELIVERY: ORDER_STATUS.SHIPPED,
+    DELIVERED: ORDER_STATUS.DELIVERED,
+});
+
+const RATE_CARD_CACHE_KEY = 'shipping:rate-card';
+const RATE_CARD_CACHE_TTL = 3600;
+const OPTIONS_CACHE_PATTERN = 'shipping:options:*';
+
+const CODE_REGEX = /^[A-Z0-9_]+$/;
+const DEFAULT_ESTIMATED_DAYS = '7-14';
+const DEFAULT_CARRIER = 'COLISSIMO';
 
 class ShippingService {
-    // Grille tarifaire centralisée par zone géographique.
-    // Permet d'ajuster les tarifs sans modifier la logique de calcul.
-    #shippingRates = {
-        FRANCE: {
-            STANDARD: { base: 5.90, perKg: 0.50, freeAbove: 50 },
-            EXPRESS: { base: 9.90, perKg: 1.00, freeAbove: 100 },
-            RELAY: { base: 3.90, perKg: 0.30, freeAbove: 40 },
-        },
-        EUROPE: {
-            STANDARD: { base: 12.50, perKg: 1.50, freeAbove: 80 },
-            EXPRESS: { base: 24.90, perKg: 3.00, freeAbove: 150 },
-        },
-        INTERNATIONAL: {
-            STANDARD: { base: 25.00, perKg: 5.00, freeAbove: 200 },
-            EXPRESS: { base: 45.00, perKg: 8.00, freeAbove: null },
-        },
-    };
-
-    // Mapping pays → zone pour simplifier les lookups.
-    #countryZones = {
-        France: 'FRANCE',
-        Belgium: 'EUROPE',
-        Germany: 'EUROPE',
-        Spain: 'EUROPE',
-        Italy: 'EUROPE',
-        Netherlands: 'EUROPE',
-        Portugal: 'EUROPE',
-        Switzerland: 'EUROPE',
-        DEFAULT: 'INTERNATIONAL',
-    };
-
     constructor() {
         if (ShippingService.instance) return ShippingService.instance;
         ShippingService.instance = this;
         Object.freeze(this);
     }
 
-    #getZone(country) {
-        return this.#countryZones[country] || this.#countryZones.DEFAULT;
+    // ─────────────────────────────────────────────────────────────────────
+    // GRILLE TARIFAIRE
+    // ─────────────────────────────────────────────────────────────────────
+
+    #round(amount) {
+        return Math.round(amount * 100) / 100;
     }
 
     /**
-     * Calcule les frais de port selon le poids total, la zone et le mode de livraison.
-     * Applique automatiquement le franco si le seuil de commande est atteint.
+     * Grille active (zones, pays, méthodes, tranches).
+     * Le cache est best-effort : une indisponibilité Redis ne bloque pas le checkout.
      */
-    calculateShippingCost(country, totalWeight, shippingMethod = 'STANDARD', cartSubtotal = 0) {
-        const zone = this.#getZone(country);
-        const rates = this.#shippingRates[zone];
-
-        if (!rates || !rates[shippingMethod]) {
-            throw new ValidationError(
-                `Méthode de livraison "${shippingMethod}" non disponible pour ${country}`
-            );
+    async #loadRateCard() {
+        try {
+            const cached = await cacheService.get(RATE_CARD_CACHE_KEY);
+            if (cached) return cached;
+        } catch (error) {
+            logError(error, { context: 'ShippingService.loadRateCard' });
         }
 
-        const { base, perKg, freeAbove } = rates[shippingMethod];
+        const rateCard = await shippingRatesRepo.findRateCard();
 
-        if (freeAbove !== null && cartSubtotal >= freeAbove) {
-            return {
-                cost: 0,
-                isFree: true,
-                zone,
-                method: shippingMethod,
-                estimatedDays: this.#getEstimatedDelivery(zone, shippingMethod),
-            };
+        cacheService.set(RATE_CARD_CACHE_KEY, rateCard, RATE_CARD_CACHE_TTL).catch(() => { });
+        return rateCard;
+    }
+
+    /**
+     * Zone du pays, ou zone par défaut pour un pays non rattaché.
+     */
+    async #getZone(countryCode) {
+        const rateCard = await this.#loadRateCard();
+        const zone = rateCard.find((z) => z.countries.includes(countryCode))
+            ?? rateCard.find((z) => z.isDefault);
+
+        if (!zone) {
+            throw new ValidationError(`Aucune zone de livraison ne dessert ${countryCode}`);
         }
+        return zone;
+    }
+
+    #priceFor({ basePrice, perKg, brackets }, totalWeight) {
+        if (brackets.length === 0) return this.#round(basePrice + perKg * totalWeight);
+
+        const bracket = brackets.find((b) => totalWeight <= b.maxWeightKg);
+        if (bracket) return bracket.price;
+
+        const last = brackets[brackets.length - 1];
+        return this.#round(last.price + perKg * (totalWeight - last.maxWeightKg));
+    }
+
+    #quote(zone, rate, totalWeight, cartSubtotal) {
+        const isFree = rate.freeAbove !== null && cartSubtotal >= rate.freeAbove;
 
         return {
-            cost: Math.round((base + perKg * totalWeight) * 100) / 100,
-            isFree: false,
-            zone,
-            method: shippingMethod,
-            estimatedDays: this.#getEstimatedDelivery(zone, shippingMethod),
+            cost: isFree ? 0 : this.#priceFor(rate, totalWeight),
+            isFree,
+            zone: zone.code,
+            method: rate.method,
+            carrier: rate.carrier,
+            estimatedDays: rate.estimatedDays || DEFAULT_ESTIMATED_DAYS,
         };
     }
 
-    #getEstimatedDelivery(zone, method) {
-        const estimates = {
-            FRANCE: { STANDARD: '2-3', EXPRESS: '24h', RELAY: '3-5' },
-            EUROPE: { STANDARD: '5-7', EXPRESS: '2-3' },
-            INTERNATIONAL: { STANDARD: '10-15', EXPRESS: '5-7' },
-        };
-        return estimates[zone]?.[method] || '7-14';
+    /**
+     * Calcule les frais de port selon le poids total, la zone et le mode de livraison.
+     * Applique automatiquement le franco si le seuil de commande est atteint.
+     */
+    async calculateShippingCost(country, totalWeight, shippingMethod = 'STANDARD', cartSubtotal = 0) {
+        const zone = await this.#getZone(normalizeCountryCode(country));
+        const rate = zone.methods.find((m) => m.method === shippingMethod);
+
+        if (!rate) {
+            throw new ValidationError(
+                `Méthode de livraison "${shippingMethod}" non disponible pour ${country}`
+            );
+        }
+
+        return this.#quote(zone, rate, totalWeight, cartSubtotal);
     }
 
     /**
      * Retourne toutes les options de livraison disponibles pour un pays donné.
-     * Mis en cache car les tarifs ne changent pas à chaque requête.
+     * Mis en cache jusqu'à la prochaine modification de la grille.
      */
     async getAvailableOptions(country, totalWeight, cartSubtotal = 0) {
-        const cacheKey = `shipping:options:${country}:${totalWeight}:${cartSubtotal}`;
+        const countryCode = normalizeCountryCode(country);
+        const cacheKey = `shipping:options:${countryCode}:${totalWeight}:${cartSubtotal}`;
         const cached = await cacheService.get(cacheKey);
         if (cached) return cached;
 
-        const zone = this.#getZone(country);
-        const methods = Object.keys(this.#shippingRates[zone] || {});
+        const zone = await this.#getZone(countryCode);
 
-        const options = methods.map((method) => {
-            const { cost, isFree, estimatedDays } = this.calculateShippingCost(
-                country, totalWeight, method, cartSubtotal
-            );
-            return { method, cost, isFree, estimatedDays, label: this.#getMethodLabel(method) };
+        const options = zone.methods.map((rate) => {
+            const { cost, isFree, estimatedDays } = this.#quote(zone, rate, totalWeight, cartSubtotal);
+            return { method: rate.method, cost, isFree, estimatedDays, label: rate.label };
         });
 
         await cacheService.set(cacheKey, options, 3600);
         return options;
     }
 
-    #getMethodLabel(method) {
-        const labels = {
-            STANDARD: 'Livraison Standard',
-            EXPRESS: 'Livraison Express',
-            RELAY: 'Point Relais',
-        };
-        return labels[method] || method;
-    }
-
     /**
      * @deprecated Utiliser calculateShippingCost à la place.
-     * Conservé pour compatibilité avec l'ancien code.
+     * Conservé pour compatibilité avec l'ancien code (tarif STANDARD pour 1 kg).
      */
     async calculateRates(cartId, { country }) {
-        const zone = this.#getZone(country);
-        const rate = this.#shippingRates[zone]?.STANDARD;
+        const zone = await this.#getZone(normalizeCountryCode(country));
+        const rate = zone.methods.find((m) => m.method === 'STANDARD');
 
         if (!rate) {
             throw new ValidationError('Zone de livraison non supportée');
         }
 
         return {
-            carrier: 'COLISSIMO',
-            price: rate.base + rate.perKg,
-            estimatedDays: this.#getEstimatedDelivery(zone, 'STANDARD'),
+            carrier: rate.carrier ?? 'COLISSIMO',
+            price: this.#priceFor(rate, 1),
+            estimatedDays: rate.estimatedDays,
         };
     }
 
+    // ─────────────────────────────────────────────────────────────────────
+    // ADMINISTRATION DE LA GRILLE
+    // ─────────────────────────────────────────────────────────────────────
+
+    async #invalidateRates() {
+        await cacheService.deleteMany([RATE_CARD_CACHE_KEY, OPTIONS_CACHE_PATTERN]).catch((error) =>
+            logError(error, { context: 'ShippingService.invalidateRates' })
+        );
+    }
+
+    /**
+     * Exécute `work(client)` dans une transaction et invalide la grille en cache après COMMIT.
+     * Une violation d'unicité (code de zone, méthode déjà présente dans la zone)
+     * est remontée en 409.
+     */
+    async #writeRates(work) {
+        const client = await pgPool.connect();
+        try {
+            await client.query('BEGIN');
+            const result = await work(client);
+            await client.query('COMMIT');
+            await this.#invalidateRates();
+            return result;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            if (error.code === '23505') {
+                throw new ConflictError('Cette zone ou cette méthode de livraison existe déjà');
+            }
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    #normalizeCode(value, fieldName) {
+        const code = String(value ?? '').trim().toUpperCase();
+        if (!CODE_REGEX.test(code)) {
+            throw new ValidationError(`${fieldName} doit être composé de lettres majuscules, chiffres ou _`);
+        }
+        return code;
+    }
+
+    #validateAmount(value, fieldName, { nullable = false } = {}) {
+        if (value === undefined) return undefined;
+        if (value === null && nullable) return null;
+
+        const amount = Number(value);
+        if (value === null || value === '' || !Number.isFinite(amount) || amount < 0) {
+            throw new ValidationError(`${fieldName} doit être un nombre positif ou nul`);
+        }
+        return amount;
+    }
+
+    #requireText(value, fieldName) {
+        if (value === undefined) return undefined;
+        if (typeof value !== 'string' || value.trim() === '') {
+            throw new ValidationError(`${fieldName} doit être une chaîne non vide`);
+        }
+        return value.trim();
+    }
+
+    #normalizeCountries(countries) {
+        if (!Array.isArray(countries)) {
+            throw new ValidationError('countries doit être un tableau de codes pays');
+        }
+        return [...new Set(countries.map((country) => normalizeCountryCode(country, 'countries')))];
+    }
+
+    /**
+     * Tranches triées par poids croissant ; deux tranches ne peuvent pas
+     * partager le même poids maximal.
+     */
+    #normalizeBrackets(brackets) {
+        if (!Array.isArray(brackets)) {
+            throw new ValidationError('brackets doit être un tableau de { maxWeightKg, price }');
+        }
+
+        const normalized = brackets
+            .map(({ maxWeightKg, price } = {}) => {
+                const weight = Number(maxWeightKg);
+                if (!Number.isFinite(weight) || weight <= 0) {
+                    throw new ValidationError('maxWeightKg doit être un nombre strictement positif');
+                }
+                return { maxWeightKg: weight, price: this.#validateAmount(price ?? null, 'price') };
+            })
+            .sort((a, b) => a.maxWeightKg - b.maxWeightKg);
+
+        if (new Set(normalized.map((b) => b.maxWeightKg)).size !== normalized.length) {
+            throw new ValidationError('Deux tranches ne peuvent pas avoir le même maxWeightKg');
+        }
+        return normalized;
+    }
+
+    #methodFields(data) {
+        return {
+            label: this.#requireText(data.label, 'label'),
+            carrier: data.carrier === undefined || data.carrier === null
+                ? data.carrier
+                : this.#normalizeCode(data.carrier, 'carrier'),
+            basePrice: this.#validateAmount(data.basePrice, 'basePrice'),
+            perKg: this.#validateAmount(data.perKg, 'perKg'),
+            freeAbove: this.#validateAmount(data.freeAbove, 'freeAbove', { nullable: true }),
+            estimatedDays: this.#requireText(data.estimatedDays, 'estimatedDays'),
+            sortOrder: data.sortOrder !== undefined ? Number.parseInt(data.sortOrder, 10) || 0 : undefined,
+            isActive: data.isActive !== undefined ? Boolean(data.isActive) : undefined,
+        };
+    }
+
+    async #getZoneOrFail(zoneId, client) {
+        const zone = await shippingRatesRepo.findZoneById(zoneId, client);
+        if (!zone) throw new AppError('Zone de livraison introuvable', HTTP_STATUS.NOT_FOUND);
+        return zone;
+    }
+
+    async #findZoneInCard(zoneId) {
+        const rateCard = await shippingRatesRepo.findRateCard({ includeInactive: true });
+        return rateCard.find((zone) => zone.id === zoneId) ?? null;
+    }
+
+    /**
+     * Grille complète pour le back-office, zones et méthodes inactives comprises.
+     */
+    async getRateCard() {
+        return shippingRatesRepo.findRateCard({ includeInactive: true });
+    }
+
+    /**
+     * @param {{ code: string, name: string, isDefault?: boolean, isActive?: boolean, countries?: string[] }} data
+     */
+    async createZone(data) {
+        const code = this.#normalizeCode(data.code, 'code');
+        const name = this.#requireText(data.name ?? null, 'name');
+        const countries = this.#normalizeCountries(data.countries ?? []);
+        const isDefault = Boolean(data.isDefault);
+        if (isDefault && data.isActive === false) {
+            throw new ValidationError('La zone par défaut doit rester active');
+        }
+
+        const zone = await this.#writeRates(async (client) => {
+            if (isDefault) await shippingRatesRepo.clearDefaultZone(null, client);
+
+            const created = await shippingRatesRepo.createZone({
+                code,
+                name,
+                isDefault,
+                isActive: data.isActive ?? true,
+            }, client);
+            await shippingRatesRepo.setZoneCountries(created.id, countries, client);
+            return created;
+        });
+
+        return this.#findZoneInCard(zone.id);
+    }
+
+    /**
+     * Le code est figé : il est recopié sur les devis de livraison.
+     * Désigner une zone par défaut retire ce statut à la précédente ; la zone
+     * par défaut reste active et ne perd son statut qu'au profit d'une autre.
+     */
+    async updateZone(zoneId, data) {
+        if (data.code !== undefined) {
+            throw new ValidationError("Le code d'une zone n'est pas modifiable");
+        }
+
+        const fields = {
+            name: this.#requireText(data.name, 'name'),
+            isDefault: data.isDefault !== undefined ? Boolean(data.isDefault) : undefined,
+            isActive: data.isActive !== undefined ? Boolean(data.isActive) : undefined,
+        };
+        const countries = data.countries !== undefined ? this.#normalizeCountries(data.countries) : null;
+
+        await this.#writeRates(async (client) => {
+            const existing = await this.#getZoneOrFail(zoneId, client);
+
+            if (existing.isDefault && fields.isDefault === false) {
+                throw new BusinessError('Désigner une autre zone par défaut avant de retirer ce statut');
+            }
+            if ((fields.isDefault ?? existing.isDefault) && !(fields.isActive ?? existing.isActive)) {
+                throw new BusinessError('La zone par défaut doit rester active');
+            }
+            if (fields.isDefault) await shippingRatesRepo.clearDefaultZone(zoneId, client);
+
+            await shippingRatesRepo.updateZone(zoneId, fields, client);
+            if (countries) await shippingRatesRepo.setZoneCountries(zoneId, countries, client);
+        });
+
+        return this.#findZoneInCard(zoneId);
+    }
+
+    /**
+     * Supprime la zone avec ses pays et méthodes. Les pays retombent sur la zone par défaut.
+     */
+    async deleteZone(zoneId) {
+        return this.#writeRates(async (client) => {
+            const zone = await this.#getZoneOrFail(zoneId, client);
+            if (zone.isDefault) {
+                throw new BusinessError('La zone par défaut ne peut pas être supprimée');
+            }
+            return shippingRatesRepo.deleteZone(zoneId, client);
+        });
+    }
+
+    async createMethod(zoneId, data) {
+        const method = this.#normalizeCode(data.method, 'method');
+        const fields = this.#methodFields({
+            ...data,
+            label: data.label ?? null,
+            estimatedDays: data.estimatedDays ?? DEFAULT_ESTIMATED_DAYS,
+        });
+        const brackets = this.#normalizeBrackets(data.brackets ?? []);
+
+        const created = await this.#writeRates(async (client) => {
+            await this.#getZoneOrFail(zoneId, client);
+
+            const row = await shippingRatesRepo.createMethod({
+                zoneId,
+                method,
+                ...Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined)),
+            }, client);
+            await shippingRatesRepo.setBrackets(row.id, brackets, client);
+            return row;
+        });
+
+        const zone = await this.#findZoneInCard(zoneId);
+        return zone.methods.find((m) => m.id === created.id);
+    }
+
+    /**
+     * La zone et le code de méthode sont figés ; `brackets`, s'il est fourni,
+     * remplace toutes les tranches (tableau vide = tarif base + perKg).
+     */
+    async updateMethod(methodId, data) {
+        if (data.method !== undefined || data.zoneId !== undefined) {
+            throw new ValidationError("La zone et le code d'une méthode ne sont pas modifiables");
+        }
+
+        const fields = this.#methodFields(data);
+        const brackets = data.brackets !== undefined ? this.#normalizeBrackets(data.brackets) : null;
+
+        const updated = await this.#writeRates(async (client) => {
+            const row = await shippingRatesRepo.updateMethod(methodId, fields, client);
+            if (!row) throw new AppError('Méthode de livraison introuvable', HTTP_STATUS.NOT_FOUND);
+
+            if (brackets) await shippingRatesRepo.setBrackets(methodId, brackets, client);
+            return row;
+        });
+
+        const zone = await this.#findZoneInCard(updated.zoneId);
+        return zone.methods.find((m) => m.id === methodId);
+    }
+
+    async deleteMethod(methodId) {
+        return this.#writeRates(async (client) => {
+            const method = await shippingRatesRepo.deleteMethod(methodId, client);
+            if (!method) throw new AppError('Méthode de livraison introuvable', HTTP_STATUS.NOT_FOUND);
+            return method;
+        });
+    }
+
     // === GESTION DES ADRESSES ===
 
     // async getUserAddresses(userId) {
@@ -173,10 +457,28 @@ class ShippingService {
     // === GESTION DES EXPÉDITIONS ===
 
     /**
-     * Crée une expédition avec numéro de suivi.
+     * Transporteur de la méthode choisie au checkout, d'après la grille tarifaire.
+     * Une grille indisponible ou modifiée depuis la commande retombe sur DEFAULT_CARRIER.
+     */
+    async #carrierFor(order) {
+        try {
+            const countryCode = normalizeCountryCode(order.taxCountry ?? order.shippingAddress?.country);
+            const zone = await this.#getZone(countryCode);
+            return zone.methods.find((m) => m.method === order.shippingMethod)?.carrier ?? DEFAULT_CARRIER;
+        } catch (error) {
+            logError(error, { context: 'ShippingService.carrierFor', orderId: order.id });
+            return DEFAULT_CARRIER;
+        }
+    }
+
+    /**
+     * Prépare l'expédition et passe la commande en PROCESSING.
      * Seules les commandes PAID peuvent être expédiées pour éviter les erreurs logistiques.
+     * Le numéro de suivi et l'étiquette sont obtenus du transporteur au passage en SHIPPED.
+     * L'expédition et la transition sont écrites dans une même transaction : une
+     * transition refusée (statut modifié entre-temps) ne laisse pas d'expédition orpheline.
      */
-    async createShipment(orderId, carrier = 'COLISSIMO') {
+    async createShipment(orderId, carrier = null, actor = SYSTEM_ACTOR) {
         const order = await ordersRepo.findById(orderId);
         if (!order) throw new AppError('Commande introuvable', HTTP_STATUS.NOT_FOUND);
 
@@ -184,46 +486,128 @@ class ShippingService {
             throw new BusinessError('La commande doit être payée avant expédition');
         }
 
-        const trackingNumber = `${carrier.substring(0, 3)}-${Math.random()
-            .toString(36)
-            .toUpperCase()
-            .substring(2, 10)}`;
+        const carrierCode = carrier ?? await this.#carrierFor(order);
+        const client = await pgPool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const shipment = await shipmentsRepo.create({ orderId, carrier: carrierCode }, client);
+            await orderStatusService.transition(order, ORDER_STATUS.PROCESSING, {
+                actor,
+                reason: `Expédition préparée (${carrierCode})`,
+                metadata: { shipmentId: shipment.id },
+            }, client);
+
+            await client.query('COMMIT');
+            // Transaction externe : l'invalidation du cache revient à l'appelant
+            await cacheService.delete(`order:${orderId}`).catch(() => { });
+            return shipment;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
 
-        const shipment = await shipmentsRepo.create({
-            orderId,
-            carrier,
-            trackingNumber,
-            status: 'PREPARING',
-        });
+    /**
+     * Crée l'envoi et son étiquette chez le transporteur (appelé avant le passage
+     * en SHIPPED). Idempotent : une expédition qui a déjà un numéro de suivi
+     * (étiquette générée, ou saisie manuelle antérieure) est renvoyée telle quelle.
+     * @throws {AppError} 502 si le transporteur refuse l'envoi
+     */
+    async dispatchShipment(order) {
+        const existing = await shipmentsRepo.findByOrderId(order.id);
+        if (existing?.trackingNumber) return existing;
+
+        const carrier = existing?.carrier ?? await this.#carrierFor(order);
+        const weightKg = await shipmentsRepo.sumParcelWeight(order.id);
+        const parcel = await carrierService.createShipment(order, carrier, weightKg);
+
+        const shipment = existing ?? await shipmentsRepo.create({ orderId: order.id, carrier });
+        return shipmentsRepo.attachLabel(shipment.id, parcel);
+    }
+
+    /**
+     * Étiquette transporteur d'une expédition, pour impression par le back-office.
+     */
+    async getLabel(shipmentId) {
+        const label = await shipmentsRepo.findLabel(shipmentId);
+        if (!label) {
+            throw new AppError('Aucune étiquette pour cette expédition', HTTP_STATUS.NOT_FOUND);
+        }
 
-        await ordersRepo.updateStatus(orderId, 'SHIPPING_IN_PROGRESS');
-        return shipment;
+        return {
+            filename: `etiquette-${label.trackingNumber}.${label.labelFormat.toLowerCase()}`,
+            contentType: label.labelFormat === 'PDF' ? 'application/pdf' : 'application/octet-stream',
+            content: label.label,
+        };
     }
 
     /**
      * Met à jour le statut de l'expédition et propage le changement à la commande.
-     * La livraison confirmée déclenche automatiquement la clôture de la commande.
+     * La prise en charge transporteur passe la commande en SHIPPED,
+     * la livraison confirmée la passe en DELIVERED.
      */
-    async updateTracking(shipmentId, status, currentLocation = '') {
+    async updateTracking(shipmentId, status, currentLocation = '', actor = SYSTEM_ACTOR) {
         const updated = await shipmentsRepo.update(shipmentId, {
             status,
             currentLocation,
             updatedAt: new Date(),
         });
 
-        if (status === 'DELIVERED') {
+        const targetStatus = ORDER_STATUS_BY_SHIPMENT_STATUS[status];
+        if (targetStatus) {
             const shipment = await shipmentsRepo.findById(shipmentId);
-            await ordersRepo.updateStatus(shipment.orderId, 'COMPLETED');
+            await this.#syncOrderStatus(shipment, targetStatus, actor);
             await cacheService.delete(`order:${shipment.orderId}`);
         }
 
         return updated;
     }
 
+    /**
+     * Aligne le statut de la commande sur celui de l'expédition, via la machine à états.
+     * Un statut déjà atteint ou dépassé (ex: commande remboursée) est laissé tel quel.
+     */
+    async #syncOrderStatus(shipment, targetStatus, actor) {
+        let order = await ordersRepo.findById(shipment.orderId);
+        const context = {
+            actor,
+            reason: `Suivi transporteur : ${targetStatus}`,
+            metadata: { shipmentId: shipment.id, trackingNumber: shipment.trackingNumber },
+        };
+
+        // Le transporteur peut signaler la livraison sans scan d'expédition préalable :
+        // l'étape SHIPPED est tracée pour conserver un historique complet.
+        if (
+            targetStatus === ORDER_STATUS.DELIVERED &&
+            [ORDER_STATUS.PAID, ORDER_STATUS.PROCESSING].includes(order.status)
+        ) {
+            order = await orderStatusService.transition(order, ORDER_STATUS.SHIPPED, context);
+        }
+
+        if (order.status !== targetStatus && canTransition(order.status, targetStatus)) {
+            await orderStatusService.transition(order, targetStatus, context);
+        }
+    }
+
     async getShipmentByOrder(orderId) {
         return await shipmentsRepo.findByOrderId(orderId);
     }
 
+    /**
+     * Expédition d'une commande et son historique transporteur — null sans expédition.
+     */
+    async getTracking(orderId) {
+        const shipment = await shipmentsRepo.findByOrderId(orderId);
+        if (!shipment) return null;
+
+        const events = await shipmentsRepo.listEvents(shipment.id);
+        return { shipment, events };
+    }
+
     async getShipmentForUser(orderId, userId) {
         const order = await ordersRepo.findById(orderId);
 
@@ -1,77 +1,227 @@
 /**
  * @module Service/Tax
  *
- * Gère le calcul des taxes selon les règles fiscales par pays/région.
- * Centralisé pour faciliter les mises à jour réglementaires sans toucher à la logique métier.
+ * Gère le calcul des taxes selon les règles fiscales par pays.
+ *
+ * Les taux vivent dans order.tax_rules (pays ISO 3166-1 alpha-2 × catégorie fiscale)
+ * et sont modifiables par l'admin sans redéploiement. Chaque produit porte sa
+ * catégorie (product.products.tax_category) : une commande mêlant un livre et une
+ * montre est taxée ligne par ligne, puis ventilée par taux.
+ *
+ * Les règles d'un pays sont mises en cache Redis (1h) et invalidées à chaque
+ * modification admin. Un pays sans règle retombe sur DEFAULT_COUNTRY_CODE.
+ *
+ * Autoliquidation : une vente B2B livrée dans un autre État membre que celui du
+ * vendeur (ENV.vat.sellerCountry), avec un numéro de TVA valide, est facturée HT.
  */
-import { ValidationError } from '../utils/appError.js';
+import { taxRulesRepo } from '../repositories/index.js';
+import { cacheService } from './cache.service.js';
+import { vatValidationService } from './vatValidation.service.js';
+import { ENV } from '../config/environment.js';
+import { TAX_CATEGORY, TAX_EXEMPTION_REASON, isValidEnum } from '../constants/enums.js';
+import { DEFAULT_COUNTRY_CODE, normalizeCountryCode, isEuCountry } from '../constants/countries.js';
+import { AppError, ValidationError, ConflictError, BusinessError } from '../utils/appError.js';
+import { HTTP_STATUS } from '../constants/httpStatus.js';
+import { logError } from '../utils/logger.js';
 
-class TaxService {
-    // Taux de TVA par pays — centralisés ici pour faciliter les ajustements législatifs.
-    #taxRates = {
-        France: {
-            standard: 20.0,
-            reduced: 5.5,       // Livres, alimentation de base
-            intermediate: 10.0, // Restauration, transport
-        },
-        Belgium: {
-            standard: 21.0,
-            reduced: 6.0,
-            intermediate: 12.0,
-        },
-        Germany: {
-            standard: 19.0,
-            reduced: 7.0,
-        },
-        Spain: {
-            standard: 21.0,
-            reduced: 10.0,
-            superReduced: 4.0,
-        },
-        Italy: {
-            standard: 22.0,
-            reduced: 10.0,
-            superReduced: 5.0,
-        },
-        Switzerland: {
-            standard: 7.7,
-            reduced: 2.5,
-        },
-        DEFAULT: {
-            standard: 20.0,
-        },
-    };
+const RATES_CACHE_TTL = 3600;
 
+class TaxService {
     constructor() {
         if (TaxService.instance) return TaxService.instance;
         TaxService.instance = this;
         Object.freeze(this);
     }
 
+    // ─────────────────────────────────────────────────────────────────────
+    // HELPERS PRIVÉS
+    // ─────────────────────────────────────────────────────────────────────
+
+    #round(amount) {
+        return Math.round(amount * 100) / 100;
+    }
+
+    #cacheKey(countryCode) {
+        return `tax:rates:${countryCode}`;
+    }
+
+    /**
+     * Accepte la casse libre et l'ancienne notation camelCase (« superReduced »).
+     */
+    #normalizeCategory(taxCategory) {
+        if (taxCategory === undefined || taxCategory === null) return TAX_CATEGORY.STANDARD;
+
+        const category = String(taxCategory)
+            .trim()
+            .replace(/([a-z])([A-Z])/g, '$1_$2')
+            .toUpperCase();
+
+        if (!isValidEnum(category, TAX_CATEGORY)) {
+            throw new ValidationError(
+                `taxCategory invalide. Valeurs acceptées : ${Object.values(TAX_CATEGORY).join(', ')}`
+            );
+        }
+        return category;
+    }
+
+    /**
+     * Taux actifs d'un pays sous la forme { STANDARD: 20, REDUCED: 5.5, … }.
+     * Le cache est best-effort : une indisponibilité Redis ne bloque pas le checkout.
+     */
+    async #loadCountryRates(countryCode) {
+        const cacheKey = this.#cacheKey(countryCode);
+
+        try {
+            const cached = await cacheService.get(cacheKey);
+            if (cached) return cached;
+        } catch (error) {
+            logError(error, { context: 'TaxService.loadCountryRates', countryCode });
+        }
+
+        const rules = await taxRulesRepo.findActiveByCountry(countryCode);
+        const rates = Object.fromEntries(rules.map((rule) => [rule.taxCategory, Number(rule.rate)]));
+
+        cacheService.set(cacheKey, rates, RATES_CACHE_TTL).catch(() => { });
+        return rates;
+    }
+
+    /**
+     * Résout le pays effectivement appliqué : la destination si elle a un taux
+     * STANDARD actif, sinon le pays par défaut.
+     */
+    async #resolveCountryRates(country) {
+        const countryCode = normalizeCountryCode(country);
+        const rates = await this.#loadCountryRates(countryCode);
+
+        if (rates[TAX_CATEGORY.STANDARD] !== undefined) {
+            return { countryCode, appliedCountryCode: countryCode, rates };
+        }
+
+        const defaultRates = await this.#loadCountryRates(DEFAULT_COUNTRY_CODE);
+        if (defaultRates[TAX_CATEGORY.STANDARD] === undefined) {
+            throw new AppError(
+                `Aucun taux STANDARD configuré pour le pays par défaut (${DEFAULT_COUNTRY_CODE})`,
+                HTTP_STATUS.INTERNAL_SERVER_ERROR
+            );
+        }
+        return { countryCode, appliedCountryCode: DEFAULT_COUNTRY_CODE, rates: defaultRates };
+    }
+
+    #rateFor(rates, taxCategory) {
+        // ZERO n'a pas besoin de règle explicite ; une catégorie non configurée
+        // dans le pays retombe sur le taux STANDARD.
+        if (rates[taxCategory] !== undefined) return rates[taxCategory];
+        if (taxCategory === TAX_CATEGORY.ZERO) return 0;
+        return rates[TAX_CATEGORY.STANDARD];
+    }
+
+    async #invalidateCountry(countryCode) {
+        await cacheService.delete(this.#cacheKey(countryCode)).catch((error) =>
+            logError(error, { context: 'TaxService.invalidateCountry', countryCode })
+        );
+    }
+
+    #validateRate(rate) {
+        const value = Number(rate);
+        if (rate === null || rate === '' || !Number.isFinite(value) || value < 0 || value > 100) {
+            throw new ValidationError('rate doit être un pourcentage entre 0 et 100');
+        }
+        return value;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────
+    // CONSULTATION & CALCULS
+    // ─────────────────────────────────────────────────────────────────────
+
     /**
      * Retourne tous les taux disponibles pour un pays.
-     * Utilisé par le frontend pour afficher les options de taxation et pour les calculs internes.
+     * Utilisé par le frontend pour afficher les options de taxation.
      */
-    getCountryRates(country) {
-        return this.#taxRates[country] || this.#taxRates.DEFAULT;
+    async getCountryRates(country) {
+        const { countryCode, appliedCountryCode, rates } = await this.#resolveCountryRates(country);
+        return { country: countryCode, appliedCountry: appliedCountryCode, rates };
     }
 
     /**
-     * Calcule la TVA applicable selon le pays de livraison.
-     * Pour l'UE : applique le taux du pays de destination (règle post-Brexit).
+     * Calcule la TVA d'un montant HT selon le pays de livraison et la catégorie.
+     * Pour l'UE : applique le taux du pays de destination.
      */
-    calculateTax(subtotal, country, taxCategory = 'standard') {
-        if (subtotal <= 0) throw new ValidationError('Montant invalide');
+    async calculateTax(amount, country, taxCategory = TAX_CATEGORY.STANDARD) {
+        if (amount <= 0) throw new ValidationError('Montant invalide');
 
-        const countryRates = this.getCountryRates(country);
-        const rate = countryRates[taxCategory] || countryRates.standard;
-        const taxAmount = (subtotal * rate) / 100;
+        const category = this.#normalizeCategory(taxCategory);
+        const { countryCode, rates } = await this.#resolveCountryRates(country);
+        const rate = this.#rateFor(rates, category);
 
         return {
-            taxAmount: Math.round(taxAmount * 100) / 100,
+            taxAmount: this.#round((amount * rate) / 100),
             taxRate: rate,
-            taxCategory,
-            country,
+            taxCategory: category,
+            country: countryCode,
+        };
+    }
+
+    /**
+     * Calcule la TVA d'une commande ligne par ligne.
+     *
+     * Chaque ligne est taxée au taux de sa catégorie (arrondi au centime par ligne),
+     * les frais de port au taux STANDARD. La ventilation regroupe les montants par
+     * (catégorie, taux) pour les factures et déclarations.
+     *
+     * En autoliquidation (`exemptionReason` fourni, cf. resolveVatExemption), toutes
+     * les lignes et le port sont à 0 % ; la ventilation garde les bases HT.
+     *
+     * @param {object}  params
+     * @param {string}  params.country - Pays de livraison (ISO ou nom historique)
+     * @param {Array<{ taxableAmount: number, taxCategory?: string }>} params.lines - Montants HT après remise
+     * @param {number}  [params.shippingAmount=0] - Frais de port HT
+     * @param {string|null} [params.exemptionReason=null] - TAX_EXEMPTION_REASON
+     * @returns {Promise<{ country: string, lines: Array<{ taxCategory: string, taxRate: number, taxAmount: number }>,
+     *   shipping: { taxRate: number, taxAmount: number }, breakdown: Array, taxAmount: number,
+     *   effectiveRate: number, exemptionReason: string|null }>}
+     */
+    async computeOrderTax({ country, lines, shippingAmount = 0, exemptionReason = null }) {
+        const { countryCode, rates } = await this.#resolveCountryRates(country);
+        const rateFor = (taxCategory) => (exemptionReason ? 0 : this.#rateFor(rates, taxCategory));
+        const breakdown = new Map();
+
+        const addToBreakdown = (taxCategory, rate, taxableAmount, taxAmount) => {
+            const key = `${taxCategory}:${rate}`;
+            const entry = breakdown.get(key) ?? { taxCategory, rate, taxableAmount: 0, taxAmount: 0 };
+            entry.taxableAmount = this.#round(entry.taxableAmount + taxableAmount);
+            entry.taxAmount = this.#round(entry.taxAmount + taxAmount);
+            breakdown.set(key, entry);
+        };
+
+        const taxedLines = lines.map((line) => {
+            const taxCategory = this.#normalizeCategory(line.taxCategory);
+            const taxRate = rateFor(taxCategory);
+            const taxableAmount = Math.max(0, Number(line.taxableAmount));
+            const taxAmount = this.#round((taxableAmount * taxRate) / 100);
+
+            addToBreakdown(taxCategory, taxRate, taxableAmount, taxAmount);
+            return { taxCategory, taxRate, taxAmount };
+        });
+
+        const shippingRate = rateFor(TAX_CATEGORY.STANDARD);
+        const shippingTax = this.#round((Math.max(0, shippingAmount) * shippingRate) / 100);
+        if (shippingAmount > 0) {
+            addToBreakdown(TAX_CATEGORY.STANDARD, shippingRate, shippingAmount, shippingTax);
+        }
+
+        const taxAmount = this.#round(
+            taxedLines.reduce((sum, line) => sum + line.taxAmount, 0) + shippingTax
+        );
+        const taxableTotal = [...breakdown.values()].reduce((sum, entry) => sum + entry.taxableAmount, 0);
+
+        return {
+            country: countryCode,
+            lines: taxedLines,
+            shipping: { taxRate: shippingRate, taxAmount: shippingTax },
+            breakdown: [...breakdown.values()].sort((a, b) => b.rate - a.rate),
+            taxAmount,
+            effectiveRate: taxableTotal > 0 ? this.#round((taxAmount / taxableTotal) * 100) : 0,
+            exemptionReason,
         };
     }
 
@@ -79,51 +229,145 @@ class TaxService {
      * Décompose un montant TTC en HT + TVA.
      * Utile pour les rapports comptables et déclarations fiscales.
      */
-    extractTaxFromTotal(totalIncludingTax, country, taxCategory = 'standard') {
-        const countryRates = this.#taxRates[country] || this.#taxRates.DEFAULT;
-        const rate = countryRates[taxCategory] || countryRates.standard;
+    async extractTaxFromTotal(totalIncludingTax, country, taxCategory = TAX_CATEGORY.STANDARD) {
+        const category = this.#normalizeCategory(taxCategory);
+        const { rates } = await this.#resolveCountryRates(country);
+        const rate = this.#rateFor(rates, category);
 
         const subtotal = totalIncludingTax / (1 + rate / 100);
         const taxAmount = totalIncludingTax - subtotal;
 
         return {
-            subtotal: Math.round(subtotal * 100) / 100,
-            taxAmount: Math.round(taxAmount * 100) / 100,
+            subtotal: this.#round(subtotal),
+            taxAmount: this.#round(taxAmount),
             taxRate: rate,
         };
     }
 
     /**
-     * Détermine si un pays est éligible à l'exonération de TVA.
-     * Ex : ventes B2B intracommunautaires avec numéro de TVA valide.
+     * Détermine si une vente B2B relève de l'autoliquidation intracommunautaire :
+     * destination dans l'UE hors pays du vendeur, numéro immatriculé dans le pays
+     * de livraison et confirmé par le validateur.
+     *
+     * Un numéro mal formé (400) ou déclaré invalide (422) bloque le checkout.
+     * Hors cas d'autoliquidation, ou si le validateur est indisponible, la TVA est
+     * facturée normalement et le numéro conservé pour la facture ; hors UE, il
+     * n'est ni contrôlé au format intracommunautaire ni soumis au validateur.
+     *
+     * @returns {Promise<{ vatNumber: string|null, exemptionReason: string|null,
+     *   validation: { name: string|null, reference: string|null, checkedAt: string }|null }>}
+     * @throws {ValidationError} Format invalide
+     * @throws {BusinessError}   Numéro d'un autre pays ou inconnu du validateur
      */
-    isEligibleForExemption(country, vatNumber = null) {
-        const euCountries = [
-            'France', 'Germany', 'Spain', 'Italy', 'Belgium',
-            'Netherlands', 'Portugal', 'Austria', 'Sweden',
-        ];
-
-        // Exemption si vente B2B intra-UE avec numéro de TVA valide.
-        // TODO: Intégrer validation API VIES (EU VAT validation).
-        if (euCountries.includes(country) && vatNumber) {
-            return true;
+    async resolveVatExemption({ country, vatNumber = null }) {
+        if (!vatNumber) return { vatNumber: null, exemptionReason: null, validation: null };
+
+        const countryCode = normalizeCountryCode(country);
+
+        // Aucune autoliquidation possible (hors UE ou pays du vendeur) : le numéro n'a
+        // pas à suivre un format intracommunautaire (TVA suisse, britannique…)
+        if (!isEuCountry(countryCode) || countryCode === ENV.vat.sellerCountry) {
+            return { vatNumber: vatValidationService.sanitize(vatNumber), exemptionReason: null, validation: null };
+        }
+
+        const normalized = vatValidationService.normalize(vatNumber, countryCode);
+        const noExemption = { vatNumber: normalized.vatNumber, exemptionReason: null, validation: null };
+
+        if (normalized.countryCode !== countryCode) {
+            throw new BusinessError(
+                `Le numéro de TVA doit être immatriculé dans le pays de livraison (${countryCode})`
+            );
+        }
+
+        const { valid, name, reference, checkedAt } = await vatValidationService.check(normalized);
+        if (valid === false) {
+            throw new BusinessError(`Numéro de TVA ${normalized.vatNumber} invalide ou inactif`);
         }
+        if (valid === null) return noExemption;
 
-        return false;
+        return {
+            vatNumber: normalized.vatNumber,
+            exemptionReason: TAX_EXEMPTION_REASON.REVERSE_CHARGE_INTRA_EU,
+            validation: { name, reference, checkedAt },
+        };
     }
 
     /**
-     * Liste tous les pays supportés avec leurs taux.
-     * Utile pour les dashboards admin.
+     * Liste tous les pays configurés avec leurs taux actifs.
+     * Utile pour les sélecteurs de pays et les dashboards admin.
      */
-    getAllSupportedCountries() {
-        return Object.keys(this.#taxRates)
-            .filter((key) => key !== 'DEFAULT')
-            .map((country) => ({
-                country,
-                rates: this.#taxRates[country],
-            }));
+    async getAllSupportedCountries() {
+        const rules = await taxRulesRepo.findAll();
+        const countries = new Map();
+
+        for (const rule of rules.filter((r) => r.isActive)) {
+            const rates = countries.get(rule.countryCode) ?? {};
+            rates[rule.taxCategory] = Number(rule.rate);
+            countries.set(rule.countryCode, rates);
+        }
+
+        return [...countries.entries()].map(([country, rates]) => ({ country, rates }));
+    }
+
+    // ─────────────────────────────────────────────────────────────────────
+    // ADMINISTRATION DES RÈGLES
+    // ─────────────────────────────────────────────────────────────────────
+
+    async listRules({ country = null } = {}) {
+        return taxRulesRepo.findAll({ countryCode: country ? normalizeCountryCode(country) : null });
+    }
+
+    async createRule(data, adminId = null) {
+        const countryCode = normalizeCountryCode(data.countryCode ?? data.country, 'countryCode');
+        const taxCategory = this.#normalizeCategory(data.taxCategory);
+        const rate = this.#validateRate(data.rate);
+
+        const existing = await taxRulesRepo.findAll({ countryCode });
+        if (existing.some((rule) => rule.taxCategory === taxCategory)) {
+            throw new ConflictError(`Une règle ${taxCategory} existe déjà pour ${countryCode}`);
+        }
+
+        const rule = await taxRulesRepo.create({
+            countryCode,
+            taxCategory,
+            rate,
+            description: data.description ?? null,
+            isActive: data.isActive ?? true,
+            createdBy: adminId,
+        });
+
+        await this.#invalidateCountry(countryCode);
+        return rule;
+    }
+
+    /**
+     * Pays et catégorie sont figés : pour les changer, créer une nouvelle règle.
+     */
+    async updateRule(ruleId, data) {
+        if (data.countryCode !== undefined || data.taxCategory !== undefined) {
+            throw new ValidationError('Le pays et la catégorie d\'une règle ne sont pas modifiables');
+        }
+
+        const fields = {
+            rate: data.rate !== undefined ? this.#validateRate(data.rate) : undefined,
+            description: data.description,
+            isActive: data.isActive !== undefined ? Boolean(data.isActive) : undefined,
+        };
+
+        const rule = await taxRulesRepo.update(ruleId, fields);
+        if (!rule) throw new AppError('Règle de TVA introuvable', HTTP_STATUS.NOT_FOUND);
+
+        await this.#invalidateCountry(rule.countryCode);
+        return rule;
+    }
+
+    async deleteRule(ruleId) {
+        const rule = await taxRulesRepo.delete(ruleId);
+        if (!rule) throw new AppError('Règle de TVA introuvable', HTTP_STATUS.NOT_FOUND);
+
+        await this.#invalidateCountry(rule.countryCode);
+        return rule;
     }
 }
 
-export const taxService = new TaxService();
\ No newline at end of file
+export const taxService = new TaxService();
@@ -1,16 +1,16 @@
 /**
  * @module Service/Token
  *
- * Gère la génération et la vérification des JWT (access et refresh tokens).
+ * Vérification des JWT Access Tokens émis par l'auth-service.
+ * L'order-service ne génère pas de tokens : il ne détient que les clés
+ * publiques de l'auth-service (JWKS), qui ne permettent pas d'en signer.
  */
 import jwt from 'jsonwebtoken';
-import { ENV } from '../config/environment.js';
+import { jwksClient } from '../clients/jwks.client.js';
 
 class TokenService {
-    #accessSecret = ENV.jwt.accessTokenSecret;
-    #refreshSecret = ENV.jwt.refreshTokenSecret;
-    #accessExpiry = ENV.jwt.accessTokenExpiry || '15m';
-    #refreshExpiry = ENV.jwt.refreshTokenExpiry || '7d';
+    #issuer = 'mon-ecommerce-api';
+    #audience = 'mon-ecommerce-client';
 
     constructor() {
         if (TokenService.instance) return TokenService.instance;
@@ -19,57 +19,26 @@ class TokenService {
     }
 
     /**
-     * L'access token a une courte durée de vie (15 min par défaut) pour limiter
-     * la fenêtre d'exploitation en cas de fuite. Le refresh token compense
-     * en permettant de renouveler sans redemander les credentials.
+     * Vérifie la signature (clé désignée par le `kid` de l'en-tête), l'expiration,
+     * l'émetteur et l'audience. L'algorithme est imposé par la clé publiée.
+     * Retourne null plutôt que de lever une exception pour permettre
+     * un traitement gracieux dans les middlewares.
      */
-    generateAccessToken(user) {
-        return jwt.sign(
-            {
-                sub: user.id,
-                email: user.email,
-                roles: user.roles || [],
-            },
-            this.#accessSecret,
-            {
-                expiresIn: this.#accessExpiry,
-                issuer: 'mon-ecommerce-api',
-                audience: 'mon-ecommerce-client',
-            }
-        );
-    }
-
-    generateRefreshToken(user) {
-        return jwt.sign(
-            { sub: user.id },
-            this.#refreshSecret,
-            { expiresIn: this.#refreshExpiry }
-        );
-    }
-
-    verifyAccessToken(token) {
-        try {
-            return jwt.verify(token, this.#accessSecret);
-        } catch {
-            return null;
-        }
-    }
-
-    verifyRefreshToken(token) {
+    async verifyAccessToken(token) {
         try {
-            return jwt.verify(token, this.#refreshSecret);
+            const kid = jwt.decode(token, { complete: true })?.header?.kid;
+            const signingKey = kid ? await jwksClient.getSigningKey(kid) : null;
+            if (!signingKey) return null;
+
+            return jwt.verify(token, signingKey.publicKey, {
+                algorithms: [signingKey.alg],
+                issuer: this.#issuer,
+                audience: this.#audience,
+            });
         } catch {
             return null;
         }
     }
-
-    /**
-     * Utilisé pour extraire l'ID utilisateur d'un token expiré
-     * (ex : débogage, rotation de clé) sans lever d'erreur de signature.
-     */
-    decodeToken(token) {
-        return jwt.decode(token);
-    }
 }
 
-export const tokenService = new TokenService();
\ No newline at end of file
+export const tokenService = new TokenService();
@@ -0,0 +1,160 @@
+/**
+ * @module Service/VatValidation
+ *
+ * Contrôle des numéros de TVA intracommunautaires saisis au checkout B2B.
+ *
+ * Deux étapes :
+ * 1. Format — préfixe de l'État membre + structure nationale (sans réseau).
+ * 2. Existence — délégué à un validateur interchangeable choisi par ENV.vat.validator :
+ *      vies → viesClient (API de la Commission européenne)
+ *      stub → accepte tout numéro bien formé (tests, développement hors ligne)
+ *
+ * Un validateur se résume à `checkVatNumber(vatPrefix, number)` →
+ * { valid, name, reference } ; en ajouter un se fait dans #validators.
+ */
+import { viesClient } from '../clients/vies.client.js';
+import { ENV } from '../config/environment.js';
+import { AppError, ValidationError } from '../utils/appError.js';
+import { HTTP_STATUS } from '../constants/httpStatus.js';
+import { logError } from '../utils/logger.js';
+
+// Structure nationale du numéro, hors préfixe — clés = préfixes TVA (EL pour la Grèce)
+const VAT_FORMATS = Object.freeze({
+    AT: /^U\d{8}$/,
+    BE: /^[01]\d{9}$/,
+    BG: /^\d{9,10}$/,
+    CY: /^\d{8}[A-Z]$/,
+    CZ: /^\d{8,10}$/,
+    DE: /^\d{9}$/,
+    DK: /^\d{8}$/,
+    EE: /^\d{9}$/,
+    EL: /^\d{9}$/,
+    ES: /^[A-Z0-9]\d{7}[A-Z0-9]$/,
+    FI: /^\d{8}$/,
+    FR: /^[A-HJ-NP-Z0-9]{2}\d{9}$/,
+    HR: /^\d{11}$/,
+    HU: /^\d{8}$/,
+    IE: /^(\d{7}[A-W][A-I]?|\d[A-Z+*]\d{5}[A-W])$/,
+    IT: /^\d{11}$/,
+    LT: /^(\d{9}|\d{12})$/,
+    LU: /^\d{8}$/,
+    LV: /^\d{11}$/,
+    MT: /^\d{8}$/,
+    NL: /^\d{9}B\d{2}$/,
+    PL: /^\d{10}$/,
+    PT: /^\d{9}$/,
+    RO: /^\d{2,10}$/,
+    SE: /^\d{12}$/,
+    SI: /^\d{8}$/,
+    SK: /^\d{10}$/,
+});
+
+// Seule exception entre code ISO et préfixe TVA
+const VAT_PREFIX_BY_COUNTRY = Object.freeze({ GR: 'EL' });
+const COUNTRY_BY_VAT_PREFIX = Object.freeze({ EL: 'GR' });
+
+// Saisie libre : espaces, points et tirets tolérés
+const cleanVatNumber = (vatNumber) => String(vatNumber ?? '').replace(/[\s.\-]/g, '').toUpperCase();
+
+// Numéro hors UE conservé tel quel sur la commande (order.orders.customer_vat_number VARCHAR(20))
+const FOREIGN_VAT_FORMAT = /^[A-Z0-9]{4,20}$/;
+
+// Validateur hors ligne : le format a déjà été contrôlé, le numéro est réputé actif
+const stubValidator = {
+    async checkVatNumber(vatPrefix, number) {
+        return { valid: true, name: null, reference: `STUB-${vatPrefix}${number}` };
+    },
+};
+
+class VatValidationService {
+    #validators = {
+        vies: viesClient,
+        stub: stubValidator,
+    };
+
+    constructor() {
+        if (VatValidationService.instance) return VatValidationService.instance;
+        VatValidationService.instance = this;
+        Object.freeze(this);
+    }
+
+    #getValidator() {
+        const validator = this.#validators[ENV.vat.validator];
+        if (!validator) {
+            throw new AppError(
+                `Validateur de TVA inconnu : "${ENV.vat.validator}"`,
+                HTTP_STATUS.INTERNAL_SERVER_ERROR
+            );
+        }
+        return validator;
+    }
+
+    /**
+     * Nettoie et contrôle le format d'un numéro. Le préfixe est optionnel :
+     * sans préfixe, celui du pays de livraison est supposé.
+     *
+     * @param {string} vatNumber   - Saisie libre (espaces, points et tirets tolérés)
+     * @param {string} countryCode - Pays de livraison (ISO) utilisé à défaut de préfixe
+     * @returns {{ vatNumber: string, vatPrefix: string, number: string, countryCode: string }}
+     * @throws {ValidationError} Si le format ne correspond à aucun État membre
+     */
+    normalize(vatNumber, countryCode) {
+        const cleaned = cleanVatNumber(vatNumber);
+        const typedPrefix = cleaned.slice(0, 2);
+
+        const [vatPrefix, number] = VAT_FORMATS[typedPrefix]
+            ? [typedPrefix, cleaned.slice(2)]
+            : [VAT_PREFIX_BY_COUNTRY[countryCode] ?? countryCode, cleaned];
+
+        const format = VAT_FORMATS[vatPrefix];
+        if (!format) {
+            throw new ValidationError('Numéro de TVA intracommunautaire attendu (ex : FR12345678901)');
+        }
+        if (!format.test(number)) {
+            throw new ValidationError(`Format de numéro de TVA invalide pour ${vatPrefix}`);
+        }
+
+        return {
+            vatNumber: `${vatPrefix}${number}`,
+            vatPrefix,
+            number,
+            countryCode: COUNTRY_BY_VAT_PREFIX[vatPrefix] ?? vatPrefix,
+        };
+    }
+
+    /**
+     * Nettoie un numéro qui n'ouvre droit à aucune exonération (TVA suisse,
+     * britannique…) : conservé pour la facture, sans contrôle de format national.
+     *
+     * @throws {ValidationError} Si le numéro est vide ou trop long pour être conservé
+     */
+    sanitize(vatNumber) {
+        const cleaned = cleanVatNumber(vatNumber);
+        if (!FOREIGN_VAT_FORMAT.test(cleaned)) {
+            throw new ValidationError('Numéro de TVA invalide (4 à 20 caractères alphanumériques)');
+        }
+        return cleaned;
+    }
+
+    /**
+     * Vérifie l'existence d'un numéro déjà normalisé.
+     * Une indisponibilité du validateur n'est pas une erreur : `valid` vaut null
+     * et l'appelant décide (le checkout applique alors la TVA).
+     *
+     * @returns {Promise<{ valid: boolean|null, name: string|null, reference: string|null, checkedAt: string }>}
+     */
+    async check({ vatPrefix, number }) {
+        const checkedAt = new Date().toISOString();
+
+        try {
+            const result = await this.#getValidator().checkVatNumber(vatPrefix, number);
+            return { ...result, checkedAt };
+        } catch (error) {
+            if (error instanceof AppError) throw error;
+            logError(error, { context: 'VatValidationService.check', vatPrefix });
+            return { valid: null, name: null, reference: null, checkedAt };
+        }
+    }
+}
+
+export const vatValidationService = new VatValidationService();
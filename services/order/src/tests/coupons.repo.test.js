@@ -0,0 +1,84 @@
+/**
+ * @module Tests/CouponsRepo
+ *
+ * Tests des requêtes d'utilisation des codes promo sur un client pg simulé :
+ * restitution d'une utilisation (releaseByOrderId) et comptage par client.
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../config/database.js', () => ({
+    pgPool: { query: vi.fn() },
+}));
+
+import { couponsRepo } from '../repositories/coupons.repo.js';
+
+const COUPON_ID = '99999999-9999-4999-8999-999999999999';
+const ORDER_ID = '88888888-8888-4888-8888-888888888888';
+const USER_ID = '66666666-6666-4666-8666-666666666666';
+
+const client = { query: vi.fn() };
+
+describe('couponsRepo', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+    });
+
+    describe('releaseByOrderId', () => {
+        it('devrait supprimer l\'utilisation et rendre une unité au compteur du coupon', async () => {
+            client.query
+                .mockResolvedValueOnce({ rows: [{ coupon_id: COUPON_ID, order_id: ORDER_ID, customer_email: null }] })
+                .mockResolvedValueOnce({ rows: [] });
+
+            const released = await couponsRepo.releaseByOrderId(ORDER_ID, client);
+
+            expect(released).toMatchObject({ couponId: COUPON_ID, orderId: ORDER_ID });
+            expect(client.query).toHaveBeenCalledTimes(2);
+
+            const [deleteSql, deleteParams] = client.query.mock.calls[0];
+            expect(deleteSql).toMatch(/DELETE FROM coupon_redemptions WHERE order_id = \$1/);
+            expect(deleteParams).toEqual([ORDER_ID]);
+
+            const [updateSql, updateParams] = client.query.mock.calls[1];
+            expect(updateSql).toMatch(/usage_count = usage_count - 1/);
+            expect(updateSql).toMatch(/usage_count > 0/);
+            expect(updateParams).toEqual([COUPON_ID]);
+        });
+
+        it('devrait renvoyer null sans toucher au compteur pour une commande sans code', async () => {
+            client.query.mockResolvedValueOnce({ rows: [] });
+
+            await expect(couponsRepo.releaseByOrderId(ORDER_ID, client)).resolves.toBeNull();
+            expect(client.query).toHaveBeenCalledTimes(1);
+        });
+
+        it('devrait refuser un orderId invalide avant toute requête', async () => {
+            await expect(couponsRepo.releaseByOrderId('pas-un-uuid', client)).rejects.toMatchObject({ statusCode: 400 });
+            expect(client.query).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('countCustomerRedemptions', () => {
+        it('devrait compter par compte ou par email, pour qu\'un guest ne contourne pas la limite', async () => {
+            client.query.mockResolvedValueOnce({ rows: [{ count: 1 }] });
+
+            const count = await couponsRepo.countCustomerRedemptions(
+                COUPON_ID, { userId: USER_ID, email: 'client@example.com' }, client
+            );
+
+            expect(count).toBe(1);
+            const [sql, params] = client.query.mock.calls[0];
+            expect(sql).toMatch(/user_id = \$2::uuid\) OR/);
+            expect(sql).toMatch(/customer_email = \$3::text/);
+            expect(params).toEqual([COUPON_ID, USER_ID, 'client@example.com']);
+        });
+    });
+
+    describe('incrementUsage', () => {
+        it('devrait renvoyer null quand la garde de limite globale ne laisse passer aucune ligne', async () => {
+            client.query.mockResolvedValueOnce({ rows: [] });
+
+            await expect(couponsRepo.incrementUsage(COUPON_ID, client)).resolves.toBeNull();
+            expect(client.query.mock.calls[0][0]).toMatch(/usage_limit IS NULL OR usage_count < usage_limit/);
+        });
+    });
+});
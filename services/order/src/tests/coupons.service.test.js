@@ -0,0 +1,200 @@
+/**
+ * @module Tests/CouponService
+ *
+ * Tests unitaires du cycle d'utilisation d'un code promo : limites globale et
+ * par client (compte ou email guest), et restitution à l'annulation. Le
+ * repository est remplacé par un store en mémoire qui reproduit ses gardes SQL.
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../utils/logger.js', () => ({
+    logInfo: vi.fn(),
+    logError: vi.fn(),
+}));
+
+vi.mock('../config/database.js', () => ({
+    pgPool: { connect: vi.fn(), query: vi.fn() },
+}));
+
+vi.mock('../repositories/index.js', () => ({
+    couponsRepo: {
+        findByCode: vi.fn(),
+        countCustomerRedemptions: vi.fn(),
+        findVariantScopes: vi.fn(),
+        incrementUsage: vi.fn(),
+        addRedemption: vi.fn(),
+        releaseByOrderId: vi.fn(),
+    },
+}));
+
+import { couponService } from '../services/coupons.service.js';
+import { couponsRepo } from '../repositories/index.js';
+import { COUPON_TYPE } from '../constants/enums.js';
+
+const USER_ID = '66666666-6666-4666-8666-666666666666';
+const ITEMS = [{ variantId: '77777777-7777-4777-8777-777777777777', price: 40, quantity: 2 }];
+const client = { query: vi.fn() };
+
+let orderSequence = 0;
+const nextOrderId = () => `88888888-8888-4888-8888-${String(++orderSequence).padStart(12, '0')}`;
+
+/**
+ * Store en mémoire de order.coupons / order.coupon_redemptions.
+ * incrementUsage et countCustomerRedemptions reprennent les conditions WHERE du repository.
+ */
+const createStore = (overrides = {}) => {
+    const coupon = {
+        id: '99999999-9999-4999-8999-999999999999',
+        code: 'BIENVENUE10',
+        type: COUPON_TYPE.PERCENTAGE,
+        value: '10',
+        maxDiscountAmount: null,
+        minSubtotal: '0',
+        usageLimit: null,
+        usageLimitPerCustomer: null,
+        usageCount: 0,
+        startsAt: new Date('2026-01-01T00:00:00Z'),
+        expiresAt: null,
+        isActive: true,
+        productIds: [],
+        categoryIds: [],
+        ...overrides,
+    };
+    const redemptions = [];
+
+    couponsRepo.findByCode.mockImplementation(async () => ({ ...coupon }));
+    couponsRepo.incrementUsage.mockImplementation(async () => {
+        if (coupon.usageLimit !== null && coupon.usageCount >= coupon.usageLimit) return null;
+        coupon.usageCount += 1;
+        return { ...coupon };
+    });
+    couponsRepo.addRedemption.mockImplementation(async (redemption) => {
+        redemptions.push(redemption);
+        return redemption;
+    });
+    couponsRepo.countCustomerRedemptions.mockImplementation(async (couponId, { userId, email }) =>
+        redemptions.filter((redemption) =>
+            redemption.couponId === couponId &&
+            ((userId && redemption.userId === userId) || (email && redemption.customerEmail === email))
+        ).length);
+    couponsRepo.releaseByOrderId.mockImplementation(async (orderId) => {
+        const index = redemptions.findIndex((redemption) => redemption.orderId === orderId);
+        if (index === -1) return null;
+        const [redemption] = redemptions.splice(index, 1);
+        if (coupon.usageCount > 0) coupon.usageCount -= 1;
+        return redemption;
+    });
+
+    return { coupon, redemptions };
+};
+
+/** Checkout complet : évaluation sous verrou puis utilisation, comme createOrderFromCart. */
+const checkout = async ({ userId = null, email = null } = {}) => {
+    const evaluation = await couponService.evaluate('bienvenue10', { items: ITEMS, userId, email }, { client, lock: true });
+    const orderId = nextOrderId();
+    await couponService.redeem(evaluation, { orderId, userId, email, discountAmount: evaluation.amount }, client);
+    return orderId;
+};
+
+describe('CouponService', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+    });
+
+    describe('limite globale', () => {
+        it('devrait refuser le code à l\'évaluation une fois la limite atteinte', async () => {
+            const { coupon } = createStore({ usageLimit: 2 });
+
+            await checkout({ email: 'a@example.com' });
+            await checkout({ email: 'b@example.com' });
+
+            await expect(checkout({ email: 'c@example.com' })).rejects.toMatchObject({
+                statusCode: 422,
+                message: "Ce code promo a atteint sa limite d'utilisation",
+            });
+            expect(coupon.usageCount).toBe(2);
+        });
+
+        it('devrait refuser l\'utilisation si la garde SQL échoue après l\'évaluation', async () => {
+            createStore({ usageLimit: 1 });
+            const evaluation = await couponService.evaluate('BIENVENUE10', { items: ITEMS }, { client, lock: true });
+            await checkout({ email: 'a@example.com' });
+
+            await expect(
+                couponService.redeem(evaluation, { orderId: nextOrderId(), discountAmount: 8 }, client)
+            ).rejects.toMatchObject({ statusCode: 422 });
+            expect(couponsRepo.addRedemption).toHaveBeenCalledTimes(1);
+        });
+
+        it('devrait verrouiller la ligne coupon dans la transaction de la commande', async () => {
+            createStore();
+
+            await checkout({ userId: USER_ID });
+
+            expect(couponsRepo.findByCode).toHaveBeenCalledWith('BIENVENUE10', client, { forUpdate: true });
+            expect(couponsRepo.incrementUsage).toHaveBeenCalledWith(expect.any(String), client);
+        });
+    });
+
+    describe('limite par client', () => {
+        it('devrait compter les commandes guest passées avec le même email', async () => {
+            createStore({ usageLimitPerCustomer: 1 });
+
+            await checkout({ email: 'client@example.com' });
+
+            await expect(checkout({ email: '  Client@Example.COM ' })).rejects.toMatchObject({
+                statusCode: 422,
+                message: 'Vous avez déjà utilisé ce code promo le nombre de fois autorisé',
+            });
+        });
+
+        it('devrait compter une commande guest contre le compte qui utilise ensuite le même email', async () => {
+            createStore({ usageLimitPerCustomer: 1 });
+
+            await checkout({ email: 'client@example.com' });
+
+            await expect(
+                checkout({ userId: USER_ID, email: 'client@example.com' })
+            ).rejects.toMatchObject({ statusCode: 422 });
+            expect(couponsRepo.countCustomerRedemptions).toHaveBeenLastCalledWith(
+                expect.any(String), { userId: USER_ID, email: 'client@example.com' }, client
+            );
+        });
+
+        it('devrait enregistrer l\'email normalisé sur l\'utilisation d\'un guest', async () => {
+            const { redemptions } = createStore({ usageLimitPerCustomer: 3 });
+
+            await checkout({ email: ' Client@Example.com' });
+
+            expect(redemptions[0]).toMatchObject({ userId: null, customerEmail: 'client@example.com' });
+        });
+
+        it('devrait laisser un autre client utiliser le code', async () => {
+            createStore({ usageLimitPerCustomer: 1 });
+
+            await checkout({ email: 'client@example.com' });
+
+            await expect(checkout({ email: 'autre@example.com' })).resolves.toEqual(expect.any(String));
+        });
+    });
+
+    describe('release', () => {
+        it('devrait rendre l\'utilisation d\'une commande annulée', async () => {
+            const { coupon } = createStore({ usageLimit: 1, usageLimitPerCustomer: 1 });
+            const orderId = await checkout({ email: 'client@example.com' });
+
+            await expect(couponService.release(orderId, client)).resolves.toMatchObject({ orderId });
+
+            expect(coupon.usageCount).toBe(0);
+            await expect(checkout({ email: 'client@example.com' })).resolves.toEqual(expect.any(String));
+        });
+
+        it('devrait être sans effet pour une commande sans code', async () => {
+            const { coupon } = createStore({ usageCount: 1 });
+
+            await expect(couponService.release(nextOrderId(), client)).resolves.toBeNull();
+
+            expect(coupon.usageCount).toBe(1);
+        });
+    });
+});
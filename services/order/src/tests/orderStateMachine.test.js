@@ -0,0 +1,88 @@
+/**
+ * @module Tests/OrderStateMachine
+ *
+ * Tests de la table des transitions de statut : chaque couple (from, to) est
+ * vérifié contre le schéma attendu, pour qu'une transition ajoutée ou retirée
+ * par mégarde fasse échouer la suite.
+ */
+import { describe, it, expect } from 'vitest';
+import { ORDER_TRANSITIONS, canTransition, assertTransition } from '../constants/orderStateMachine.js';
+import { ORDER_STATUS } from '../constants/enums.js';
+import { BusinessError, ValidationError } from '../utils/appError.js';
+
+const {
+    PENDING, PAID, PROCESSING, SHIPPED, DELIVERED, CANCELLED, PARTIALLY_REFUNDED, REFUNDED,
+} = ORDER_STATUS;
+
+const ALL_STATUSES = Object.values(ORDER_STATUS);
+
+// Schéma de référence, écrit indépendamment de ORDER_TRANSITIONS
+const EXPECTED = {
+    [PENDING]: [PAID, CANCELLED],
+    [PAID]: [PROCESSING, SHIPPED, CANCELLED, PARTIALLY_REFUNDED, REFUNDED],
+    [PROCESSING]: [SHIPPED, CANCELLED, PARTIALLY_REFUNDED, REFUNDED],
+    [SHIPPED]: [DELIVERED, PARTIALLY_REFUNDED, REFUNDED],
+    [DELIVERED]: [PARTIALLY_REFUNDED, REFUNDED],
+    [PARTIALLY_REFUNDED]: [PARTIALLY_REFUNDED, SHIPPED, DELIVERED, REFUNDED],
+    [CANCELLED]: [],
+    [REFUNDED]: [],
+};
+
+const ALL_PAIRS = ALL_STATUSES.flatMap((from) => ALL_STATUSES.map((to) => ({
+    from,
+    to,
+    allowed: EXPECTED[from].includes(to),
+})));
+
+describe('OrderStateMachine', () => {
+    it('devrait définir une entrée pour chaque statut de commande', () => {
+        expect(Object.keys(ORDER_TRANSITIONS).sort()).toEqual([...ALL_STATUSES].sort());
+    });
+
+    describe('canTransition', () => {
+        it.each(ALL_PAIRS)('$from → $to : $allowed', ({ from, to, allowed }) => {
+            expect(canTransition(from, to)).toBe(allowed);
+        });
+
+        it('devrait refuser toute transition depuis un statut inconnu', () => {
+            expect(canTransition('ARCHIVED', PAID)).toBe(false);
+            expect(canTransition(undefined, PAID)).toBe(false);
+        });
+    });
+
+    describe('assertTransition', () => {
+        it.each(ALL_PAIRS.filter(({ allowed }) => allowed))('devrait accepter $from → $to', ({ from, to }) => {
+            expect(() => assertTransition(from, to)).not.toThrow();
+        });
+
+        it.each(ALL_PAIRS.filter(({ allowed }) => !allowed))(
+            'devrait refuser $from → $to par une erreur 422',
+            ({ from, to }) => {
+                expect(() => assertTransition(from, to)).toThrow(BusinessError);
+                expect(() => assertTransition(from, to)).toThrow(expect.objectContaining({ statusCode: 422 }));
+            }
+        );
+
+        it.each([CANCELLED, REFUNDED])('devrait signaler que %s est terminal', (from) => {
+            expect(() => assertTransition(from, PAID)).toThrow(`le statut ${from} est terminal`);
+        });
+
+        it('devrait lister les transitions possibles dans le message d\'une transition interdite', () => {
+            expect(() => assertTransition(DELIVERED, CANCELLED)).toThrow(
+                `Transition ${DELIVERED} → ${CANCELLED} interdite. Depuis ${DELIVERED} : ${PARTIALLY_REFUNDED}, ${REFUNDED}`
+            );
+        });
+
+        it.each(['ARCHIVED', 'paid', '', undefined, 'constructor', '__proto__'])(
+            'devrait refuser le statut cible inconnu %j par une erreur 400',
+            (to) => {
+                expect(() => assertTransition(PENDING, to)).toThrow(ValidationError);
+                expect(() => assertTransition(PENDING, to)).toThrow(expect.objectContaining({ statusCode: 400 }));
+            }
+        );
+
+        it('devrait vérifier le statut cible avant la transition, même depuis un statut terminal', () => {
+            expect(() => assertTransition(REFUNDED, 'ARCHIVED')).toThrow(ValidationError);
+        });
+    });
+});
@@ -0,0 +1,161 @@
+/**
+ * @module Tests/OrderStatusService
+ *
+ * Tests unitaires de orderStatusService.transition() : garde SQL sur le statut
+ * lu (ConflictError si la ligne a changé), historique écrit dans la même
+ * transaction, et respect d'une transaction fournie par l'appelant.
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../utils/logger.js', () => ({
+    logInfo: vi.fn(),
+    logError: vi.fn(),
+}));
+
+vi.mock('../services/cache.service.js', () => ({
+    cacheService: { delete: vi.fn().mockResolvedValue(undefined) },
+}));
+
+const mockClient = { query: vi.fn(), release: vi.fn() };
+
+vi.mock('../config/database.js', () => ({
+    pgPool: { connect: vi.fn(async () => mockClient) },
+}));
+
+vi.mock('../repositories/index.js', () => ({
+    ordersRepo: { transitionStatus: vi.fn() },
+    orderStatusHistoryRepo: { create: vi.fn(), listByOrderId: vi.fn() },
+}));
+
+import { orderStatusService, SYSTEM_ACTOR } from '../services/orderStatus.service.js';
+import { ordersRepo, orderStatusHistoryRepo } from '../repositories/index.js';
+import { pgPool } from '../config/database.js';
+import { cacheService } from '../services/cache.service.js';
+import { ORDER_STATUS, STATUS_ACTOR } from '../constants/enums.js';
+import { ConflictError } from '../utils/appError.js';
+
+const ORDER = Object.freeze({ id: '44444444-4444-4444-8444-444444444444', status: ORDER_STATUS.PAID });
+const ADMIN = Object.freeze({ type: STATUS_ACTOR.ADMIN, id: '55555555-5555-4555-8555-555555555555' });
+
+/** Ordre des requêtes SQL et des écritures repository, sur la connexion de transaction. */
+const executionLog = () => {
+    const steps = (mock, label) => mock.mock.calls.map((args, index) => ({
+        step: label ?? args[0],
+        order: mock.mock.invocationCallOrder[index],
+    }));
+
+    return [
+        ...steps(mockClient.query),
+        ...steps(ordersRepo.transitionStatus, 'transitionStatus'),
+        ...steps(orderStatusHistoryRepo.create, 'history'),
+    ].sort((a, b) => a.order - b.order).map(({ step }) => step);
+};
+
+describe('OrderStatusService.transition', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+        ordersRepo.transitionStatus.mockResolvedValue({ ...ORDER, status: ORDER_STATUS.PROCESSING });
+        orderStatusHistoryRepo.create.mockResolvedValue({ id: 1 });
+    });
+
+    it('devrait appliquer la transition et écrire l\'historique dans la même transaction', async () => {
+        const updated = await orderStatusService.transition(ORDER, ORDER_STATUS.PROCESSING, {
+            actor: ADMIN,
+            reason: 'Préparation lancée',
+            metadata: { batch: 7 },
+        });
+
+        expect(updated.status).toBe(ORDER_STATUS.PROCESSING);
+        expect(ordersRepo.transitionStatus).toHaveBeenCalledWith(
+            ORDER.id,
+            { from: ORDER_STATUS.PAID, to: ORDER_STATUS.PROCESSING, paymentData: null },
+            mockClient
+        );
+        expect(orderStatusHistoryRepo.create).toHaveBeenCalledWith({
+            orderId: ORDER.id,
+            fromStatus: ORDER_STATUS.PAID,
+            toStatus: ORDER_STATUS.PROCESSING,
+            actorType: STATUS_ACTOR.ADMIN,
+            actorId: ADMIN.id,
+            reason: 'Préparation lancée',
+            metadata: { batch: 7 },
+        }, mockClient);
+        expect(executionLog()).toEqual(['BEGIN', 'transitionStatus', 'history', 'COMMIT']);
+        expect(mockClient.release).toHaveBeenCalledTimes(1);
+        expect(cacheService.delete).toHaveBeenCalledWith(`order:${ORDER.id}`);
+    });
+
+    it('devrait lever une ConflictError et annuler la transaction quand la garde SQL ne renvoie aucune ligne', async () => {
+        ordersRepo.transitionStatus.mockResolvedValue(null);
+
+        await expect(
+            orderStatusService.transition(ORDER, ORDER_STATUS.PROCESSING)
+        ).rejects.toBeInstanceOf(ConflictError);
+
+        expect(orderStatusHistoryRepo.create).not.toHaveBeenCalled();
+        expect(executionLog()).toEqual(['BEGIN', 'transitionStatus', 'ROLLBACK']);
+        expect(mockClient.release).toHaveBeenCalledTimes(1);
+        expect(cacheService.delete).not.toHaveBeenCalled();
+    });
+
+    it('devrait annuler la transition si l\'écriture de l\'historique échoue', async () => {
+        orderStatusHistoryRepo.create.mockRejectedValue(new Error('connection reset'));
+
+        await expect(
+            orderStatusService.transition(ORDER, ORDER_STATUS.PROCESSING)
+        ).rejects.toThrow('connection reset');
+
+        expect(executionLog()).toEqual(['BEGIN', 'transitionStatus', 'history', 'ROLLBACK']);
+        expect(mockClient.release).toHaveBeenCalledTimes(1);
+    });
+
+    it('devrait refuser une transition interdite sans ouvrir de connexion', async () => {
+        await expect(
+            orderStatusService.transition(ORDER, ORDER_STATUS.PENDING)
+        ).rejects.toMatchObject({ statusCode: 422 });
+
+        await expect(
+            orderStatusService.transition(ORDER, 'ARCHIVED')
+        ).rejects.toMatchObject({ statusCode: 400 });
+
+        expect(pgPool.connect).not.toHaveBeenCalled();
+    });
+
+    it('devrait refuser un acteur inconnu sans ouvrir de connexion', async () => {
+        await expect(
+            orderStatusService.transition(ORDER, ORDER_STATUS.PROCESSING, { actor: { type: 'ROBOT' } })
+        ).rejects.toMatchObject({ statusCode: 400 });
+
+        expect(pgPool.connect).not.toHaveBeenCalled();
+    });
+
+    it('devrait utiliser la transaction de l\'appelant sans la valider ni la libérer', async () => {
+        const callerClient = { query: vi.fn(), release: vi.fn() };
+
+        await orderStatusService.transition(ORDER, ORDER_STATUS.PARTIALLY_REFUNDED, {
+            metadata: { refundId: 'refund-1' },
+        }, callerClient);
+
+        expect(pgPool.connect).not.toHaveBeenCalled();
+        expect(ordersRepo.transitionStatus).toHaveBeenCalledWith(ORDER.id, expect.any(Object), callerClient);
+        expect(orderStatusHistoryRepo.create).toHaveBeenCalledWith(
+            expect.objectContaining({ actorType: SYSTEM_ACTOR.type, actorId: null }),
+            callerClient
+        );
+        expect(callerClient.query).not.toHaveBeenCalled();
+        expect(callerClient.release).not.toHaveBeenCalled();
+        expect(cacheService.delete).not.toHaveBeenCalled();
+    });
+
+    it('devrait propager la ConflictError à l\'appelant qui gère sa propre transaction', async () => {
+        const callerClient = { query: vi.fn(), release: vi.fn() };
+        ordersRepo.transitionStatus.mockResolvedValue(null);
+
+        await expect(
+            orderStatusService.transition(ORDER, ORDER_STATUS.REFUNDED, {}, callerClient)
+        ).rejects.toMatchObject({ statusCode: 409 });
+
+        expect(orderStatusHistoryRepo.create).not.toHaveBeenCalled();
+        expect(callerClient.query).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,87 @@
+/**
+ * @module Tests/TaxService
+ *
+ * Tests unitaires de l'autoliquidation (taxService.resolveVatExemption)
+ * avec mocks complets des dépendances : ni DB, ni Redis, ni appel VIES.
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+// Mocks déclarés avant les imports pour que Vitest les hoiste correctement
+vi.mock('../config/environment.js', () => ({
+    ENV: {
+        vat: { validator: 'vies', sellerCountry: 'FR' },
+    },
+}));
+
+vi.mock('../utils/logger.js', () => ({
+    logInfo: vi.fn(),
+    logError: vi.fn(),
+}));
+
+vi.mock('../repositories/index.js', () => ({
+    taxRulesRepo: {},
+}));
+
+vi.mock('../services/cache.service.js', () => ({
+    cacheService: {
+        get: vi.fn().mockResolvedValue(null),
+        set: vi.fn().mockResolvedValue(undefined),
+        delete: vi.fn().mockResolvedValue(undefined),
+    },
+}));
+
+vi.mock('../clients/vies.client.js', () => ({
+    viesClient: { checkVatNumber: vi.fn() },
+}));
+
+import { taxService } from '../services/tax.service.js';
+import { viesClient } from '../clients/vies.client.js';
+import { TAX_EXEMPTION_REASON } from '../constants/enums.js';
+
+beforeEach(() => {
+    vi.clearAllMocks();
+});
+
+describe('TaxService.resolveVatExemption', () => {
+    it('devrait ignorer une commande sans numéro de TVA', async () => {
+        const result = await taxService.resolveVatExemption({ country: 'DE' });
+
+        expect(result).toEqual({ vatNumber: null, exemptionReason: null, validation: null });
+    });
+
+    it('devrait autoliquider une vente B2B validée vers un autre État membre', async () => {
+        viesClient.checkVatNumber.mockResolvedValue({ valid: true, name: 'ACME GmbH', reference: 'REF-1' });
+
+        const result = await taxService.resolveVatExemption({ country: 'DE', vatNumber: 'DE 123 456 789' });
+
+        expect(result).toMatchObject({
+            vatNumber: 'DE123456789',
+            exemptionReason: TAX_EXEMPTION_REASON.REVERSE_CHARGE_INTRA_EU,
+        });
+    });
+
+    it('devrait conserver un numéro de TVA suisse sans contrôle de format ni validation', async () => {
+        const result = await taxService.resolveVatExemption({ country: 'CH', vatNumber: 'CHE-123.456.789 MWST' });
+
+        expect(result).toEqual({ vatNumber: 'CHE123456789MWST', exemptionReason: null, validation: null });
+        expect(viesClient.checkVatNumber).not.toHaveBeenCalled();
+    });
+
+    it('devrait conserver un numéro de TVA britannique sans exonération', async () => {
+        const result = await taxService.resolveVatExemption({ country: 'GB', vatNumber: 'GB 123 4567 89' });
+
+        expect(result).toEqual({ vatNumber: 'GB123456789', exemptionReason: null, validation: null });
+    });
+
+    it('devrait refuser un numéro hors UE trop long pour être conservé', async () => {
+        await expect(
+            taxService.resolveVatExemption({ country: 'CH', vatNumber: 'X'.repeat(25) })
+        ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('devrait refuser un numéro mal formé vers un État membre', async () => {
+        await expect(
+            taxService.resolveVatExemption({ country: 'DE', vatNumber: 'DE12' })
+        ).rejects.toMatchObject({ statusCode: 400 });
+    });
+});
@@ -0,0 +1,130 @@
+/**
+ * @module Utils/Pdf
+ *
+ * Générateur PDF minimal pour les documents comptables (factures, avoirs) :
+ * texte et filets sur pages A4, sans dépendance externe.
+ *
+ * Seules les polices standard Helvetica / Helvetica-Bold sont utilisées
+ * (aucune police embarquée), en encodage WinAnsi : les accents français
+ * et le symbole € sont couverts, les autres caractères sont remplacés par « ? ».
+ *
+ * Les coordonnées sont exprimées en points, y mesuré depuis le HAUT de la page.
+ */
+
+export const PAGE_WIDTH = 595.28;
+export const PAGE_HEIGHT = 841.89;
+
+// Chasses Helvetica (1/1000 em) utiles à l'alignement à droite des montants ;
+// les autres caractères sont estimés à la chasse d'un chiffre.
+const CHAR_WIDTHS = Object.freeze({
+    ' ': 278, ',': 278, '.': 278, '-': 333, '%': 889, '/': 278, ':': 278,
+    i: 222, l: 222, j: 222, f: 278, t: 278, r: 333, I: 278, m: 833, w: 722, M: 833, W: 944,
+});
+const DEFAULT_CHAR_WIDTH = 556;
+
+// Caractères hors Latin-1 ayant un code WinAnsi (Intl.NumberFormat produit des espaces insécables fines)
+const WIN_ANSI_EXTRA = Object.freeze({
+    '€': 0x80, '’': 0x92, '“': 0x93, '”': 0x94, '–': 0x96, '—': 0x97, '…': 0x85, '\u202f': 0x20,
+});
+
+const formatNumber = (value) => Number(value.toFixed(2)).toString();
+
+const encodeText = (text) => {
+    let encoded = '';
+    for (const char of String(text ?? '')) {
+        const code = char.codePointAt(0);
+        const byte = WIN_ANSI_EXTRA[char] ?? (code < 0x100 ? code : 0x3f);
+        const latin1 = String.fromCharCode(byte);
+        encoded += ['(', ')', '\\'].includes(latin1) ? `\\${latin1}` : latin1;
+    }
+    return encoded;
+};
+
+export const textWidth = (text, size) =>
+    [...String(text ?? '')].reduce((sum, char) => sum + (CHAR_WIDTHS[char] ?? DEFAULT_CHAR_WIDTH), 0)
+    * size / 1000;
+
+export class PdfDocument {
+    #pages = [];
+    #title;
+
+    constructor({ title = null } = {}) {
+        this.#title = title;
+        this.addPage();
+    }
+
+    get #operations() {
+        return this.#pages[this.#pages.length - 1];
+    }
+
+    addPage() {
+        this.#pages.push([]);
+        return this;
+    }
+
+    /**
+     * @param {string} value
+     * @param {number} x - Abscisse du point d'ancrage (bord droit si align = 'right')
+     * @param {number} y - Ligne de base, depuis le haut de la page
+     * @param {{ size?: number, bold?: boolean, align?: 'left'|'right' }} [options]
+     */
+    text(value, x, y, { size = 10, bold = false, align = 'left' } = {}) {
+        const left = align === 'right' ? x - textWidth(value, size) : x;
+        this.#operations.push(
+            `BT /${bold ? 'F2' : 'F1'} ${size} Tf ${formatNumber(left)} ${formatNumber(PAGE_HEIGHT - y)} Td ` +
+            `(${encodeText(value)}) Tj ET`
+        );
+        return this;
+    }
+
+    line(x1, y1, x2, y2, { width = 0.5 } = {}) {
+        this.#operations.push(
+            `${width} w ${formatNumber(x1)} ${formatNumber(PAGE_HEIGHT - y1)} m ` +
+            `${formatNumber(x2)} ${formatNumber(PAGE_HEIGHT - y2)} l S`
+        );
+        return this;
+    }
+
+    /**
+     * Sérialise le document : objets, table xref et trailer.
+     * Tout le contenu est en Latin-1, un caractère = un octet pour le calcul des offsets.
+     * @returns {Buffer}
+     */
+    toBuffer() {
+        const firstPageId = 5;
+        const pageIds = this.#pages.map((_, index) => firstPageId + index * 2);
+
+        const objects = [
+            '<< /Type /Catalog /Pages 2 0 R >>',
+            `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`,
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+        ];
+
+        for (const [index, operations] of this.#pages.entries()) {
+            const stream = operations.join('\n');
+            objects.push(
+                `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+                `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`,
+                `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`
+            );
+        }
+
+        const infoId = this.#title ? objects.push(`<< /Title (${encodeText(this.#title)}) >>`) : null;
+
+        let output = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+        const offsets = objects.map((body, index) => {
+            const offset = output.length;
+            output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+            return offset;
+        });
+
+        const xrefOffset = output.length;
+        output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        output += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+        output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R${infoId ? ` /Info ${infoId} 0 R` : ''} >>\n`;
+        output += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+        return Buffer.from(output, 'latin1');
+    }
+}
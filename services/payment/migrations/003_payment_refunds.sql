@@ -0,0 +1,69 @@
+-- ================================================================
+-- Migration 003 — Remboursements (payment-service)
+--
+-- Chaque remboursement Stripe (total ou partiel) est tracé dans
+-- `payment.refunds`, rattaché au paiement d'origine.
+--
+-- Un remboursement émis depuis l'API admin porte les lignes de
+-- commande concernées (items) pour la réintégration du stock.
+-- Un remboursement émis depuis le dashboard Stripe est enregistré
+-- à la réception du webhook charge.refunded, sans lignes.
+-- ================================================================
+
+SET search_path TO payment, public;
+
+-- ── Statuts de paiement après remboursement ──────────────────────────────────
+
+ALTER TYPE payment_status_enum ADD VALUE IF NOT EXISTS 'PARTIALLY_REFUNDED';
+ALTER TYPE payment_status_enum ADD VALUE IF NOT EXISTS 'REFUNDED';
+
+-- ── Type ENUM ─────────────────────────────────────────────────────────────────
+
+DO $$ BEGIN
+    CREATE TYPE refund_status_enum AS ENUM ('PENDING', 'SUCCEEDED', 'FAILED');
+EXCEPTION WHEN duplicate_object THEN NULL; END $$;
+
+-- ================================================================
+-- TABLE : refunds
+-- ================================================================
+
+CREATE TABLE IF NOT EXISTS refunds (
+    id               UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    payment_id       UUID NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+
+    -- Référence vers la commande dans order.orders — pas de FK inter-schéma
+    order_id         UUID NOT NULL,
+
+    stripe_refund_id VARCHAR(255),           -- Identifiant Stripe (re_...)
+
+    status           refund_status_enum NOT NULL DEFAULT 'PENDING',
+
+    amount           NUMERIC(10,2) NOT NULL CHECK (amount > 0),
+    currency         VARCHAR(3)    NOT NULL DEFAULT 'EUR',
+    reason           TEXT,
+
+    -- Lignes remboursées : [{ orderItemId, quantity, amount }] — vide = remboursement libre
+    items            JSONB NOT NULL DEFAULT '[]'::jsonb,
+
+    -- Administrateur à l'origine du remboursement (NULL si émis depuis Stripe)
+    created_by       UUID,
+
+    created_at       TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at       TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON COLUMN refunds.order_id         IS 'Référence order.orders — pas de FK inter-schéma';
+COMMENT ON COLUMN refunds.stripe_refund_id IS 'ID Stripe du refund (re_...) — clé de réconciliation';
+COMMENT ON COLUMN refunds.items            IS 'Lignes de commande remboursées, utilisées pour la réintégration du stock';
+COMMENT ON COLUMN refunds.created_by       IS 'Admin (auth.users) — NULL si le remboursement vient du dashboard Stripe';
+
+CREATE OR REPLACE TRIGGER update_refunds_updated_at
+    BEFORE UPDATE ON refunds
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_refunds_stripe_id
+    ON refunds(stripe_refund_id)
+    WHERE stripe_refund_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_refunds_order_id
+    ON refunds(order_id);
@@ -0,0 +1,16 @@
+-- ================================================================
+-- Migration 004 — Réintégration du stock pilotée par l'appelant
+--
+-- Un remboursement déclenché par un retour client (RMA) ne doit pas
+-- réintégrer le stock : l'order-service l'a déjà fait à la réception
+-- des articles. Le flag est transmis à l'order-service lors de la
+-- finalisation du remboursement.
+-- ================================================================
+
+SET search_path TO payment, public;
+
+ALTER TABLE refunds
+    ADD COLUMN IF NOT EXISTS restock BOOLEAN NOT NULL DEFAULT TRUE;
+
+COMMENT ON COLUMN refunds.restock IS
+    'FALSE si le stock a déjà été réintégré en amont (retour client reçu)';
@@ -77,11 +77,17 @@ export const notificationClient = {
 
     /**
      * Confirmation de commande après paiement validé (checkout.session.completed).
-     * @param {string} to        - Email du destinataire
-     * @param {object} orderData - Données de la commande
+     * @param {string}      to        - Email du destinataire
+     * @param {object}      orderData - Données de la commande
+     * @param {object|null} invoice   - { invoice: { invoiceNumber }, filename, content (base64) } à joindre
      */
-    async notifyOrderConfirmation(to, orderData) {
-        return this.enqueue('order.confirmation', to, { orderData });
+    async notifyOrderConfirmation(to, orderData, invoice = null) {
+        return this.enqueue('order.confirmation', to, {
+            orderData,
+            invoice: invoice
+                ? { invoiceNumber: invoice.invoice.invoiceNumber, filename: invoice.filename, content: invoice.content }
+                : null,
+        });
     },
 
     /**
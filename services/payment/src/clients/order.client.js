@@ -73,6 +73,25 @@ export const orderClient = {
         }
     },
 
+    /**
+     * Facture PDF de la commande, encodée en base64, pour la joindre à l'email de confirmation.
+     *
+     * @param {string} orderId
+     * @returns {Promise<{ invoice: { invoiceNumber: string }, filename: string, content: string }>}
+     */
+    async getInvoice(orderId) {
+        try {
+            const response = await fetchWithTimeout(
+                `${BASE_URL}/orders/${orderId}/invoice`,
+                { method: 'GET', headers: buildHeaders() }
+            );
+            return await parseResponse(response, 'getInvoice');
+        } catch (error) {
+            logError(error, { context: 'orderClient.getInvoice', orderId });
+            throw error;
+        }
+    },
+
     /**
      * Marque une commande comme PAID et déclenche la confirmation de stock.
      * Appelé depuis le webhook `checkout.session.completed`.
@@ -120,4 +139,29 @@ export const orderClient = {
             throw error;
         }
     },
+    /**
+     * Applique un remboursement confirmé par Stripe côté order-service :
+     * statut REFUNDED / PARTIALLY_REFUNDED et réintégration du stock des lignes remboursées.
+     *
+     * @param {string} orderId
+     * @param {{ status: string, items: Array<{ orderItemId: number, quantity: number }>, restock: boolean, refundId: string, reason: string|null, adminId: string|null, amount: number }} refundData
+     *        adminId alimente l'historique de statut de la commande (null = remboursement Stripe Dashboard)
+     *        amount (TTC) est repris sur l'avoir émis par l'order-service
+     */
+    async applyRefund(orderId, refundData) {
+        try {
+            const response = await fetchWithTimeout(
+                `${BASE_URL}/orders/${orderId}/refund`,
+                {
+                    method: 'POST',
+                    headers: buildHeaders(),
+                    body: JSON.stringify(refundData),
+                }
+            );
+            return await parseResponse(response, 'applyRefund');
+        } catch (error) {
+            logError(error, { context: 'orderClient.applyRefund', orderId });
+            throw error;
+        }
+    },
 };
\ No newline at end of file
@@ -10,7 +10,7 @@ import 'dotenv/config';
 
 const requiredEnv = [
     'PORT',
-    'JWT_ACCESS_SECRET',         // Valider les access tokens émis par l'auth-service
+    'AUTH_SERVICE_URL',          // JWKS : clés publiques des access tokens émis par l'auth-service
     'DATABASE_URL',              // Connexion Neon (schéma payment)
     'REDIS_URL',                 // Upstash — idempotence des webhooks Stripe
     'STRIPE_SECRET_KEY',
@@ -23,6 +23,7 @@ const requiredEnv = [
     // Notification-service — emails transactionnels déportés (confirmation, annulation)
     'NOTIFICATION_SERVICE_URL',
     'INTERNAL_NOTIFICATION_SECRET',
+    'INTERNAL_AUDIT_SECRET',     // Journal des requêtes "voir en tant que client" vers l'auth-service
 ];
 
 // SENTRY_DSN optionnel en développement, obligatoire en production
@@ -58,9 +59,8 @@ export const ENV = Object.freeze({
     },
 
     jwt: {
-        // Le payment-service valide les access tokens, il n'en émet pas.
-        accessTokenSecret: process.env.JWT_ACCESS_SECRET,
-        accessTokenExpiry: process.env.JWT_ACCESS_EXPIRY || '15m',
+        // Le payment-service valide les access tokens (clés publiques JWKS), il n'en émet pas.
+        jwksCacheTtlMs: Number(process.env.JWKS_CACHE_TTL_MS) || 10 * 60 * 1000,
     },
 
     stripe: {
@@ -70,6 +70,7 @@ export const ENV = Object.freeze({
 
     // Communication inter-services (appels HTTP sortants)
     services: {
+        authServiceUrl: process.env.AUTH_SERVICE_URL,
         orderServiceUrl: process.env.ORDER_SERVICE_URL,
         // URL publique du payment-service lui-même, utilisée pour construire
         // les success_url et cancel_url transmises à Stripe lors de la création de session.
@@ -85,6 +86,8 @@ export const ENV = Object.freeze({
         orderSecret: process.env.INTERNAL_ORDER_SECRET,
         // Secret partagé avec le notification-service pour les appels /internal/notifications/*
         notificationSecret: process.env.INTERNAL_NOTIFICATION_SECRET,
+        // Secret du journal d'impersonation de l'auth-service (/internal/impersonation/*)
+        auditSecret: process.env.INTERNAL_AUDIT_SECRET,
     },
 
     rateLimit: {
@@ -10,11 +10,20 @@ export const PAYMENT_STATUS = Object.freeze({
     PENDING: 'PENDING',
     SUCCESS: 'SUCCESS',
     FAILED: 'FAILED',
+    PARTIALLY_REFUNDED: 'PARTIALLY_REFUNDED',
+    REFUNDED: 'REFUNDED',
+});
+
+/** Correspond à refund_status_enum dans payment.refunds */
+export const REFUND_STATUS = Object.freeze({
+    PENDING: 'PENDING',
+    SUCCEEDED: 'SUCCEEDED',
+    FAILED: 'FAILED',
 });
 
 /**
  * Statuts de commande utilisés pour valider l'état d'une commande
- * avant de créer une session Stripe.
+ * avant de créer une session Stripe ou d'émettre un remboursement.
  * Correspond à order_status_enum dans order.orders.
  */
 export const ORDER_STATUS = Object.freeze({
@@ -24,5 +33,6 @@ export const ORDER_STATUS = Object.freeze({
     SHIPPED: 'SHIPPED',
     DELIVERED: 'DELIVERED',
     CANCELLED: 'CANCELLED',
+    PARTIALLY_REFUNDED: 'PARTIALLY_REFUNDED',
     REFUNDED: 'REFUNDED',
 });
\ No newline at end of file
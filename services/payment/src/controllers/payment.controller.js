@@ -98,6 +98,38 @@ class PaymentController {
         });
     });
 
+    /**
+     * Émet un remboursement total ou partiel (admin uniquement).
+     * Sans `items`, le solde restant de la commande est intégralement remboursé.
+     */
+    refundOrder = asyncHandler(async (req, res) => {
+        const { orderId } = req.params;
+        const { items, reason } = req.body;
+
+        if (items !== undefined && !Array.isArray(items)) {
+            throw new AppError('Le champ items doit être un tableau', HTTP_STATUS.BAD_REQUEST);
+        }
+
+        const refund = await paymentService.refundOrder(orderId, { items, reason }, req.user);
+
+        res.status(HTTP_STATUS.CREATED).json({
+            status: 'success',
+            data: { refund },
+        });
+    });
+
+    /**
+     * Liste les remboursements d'une commande (admin uniquement).
+     */
+    listRefunds = asyncHandler(async (req, res) => {
+        const refunds = await paymentService.listRefunds(req.params.orderId);
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            data: { refunds },
+        });
+    });
+
     /**
      * Page de succès après paiement (retour Stripe).
      *
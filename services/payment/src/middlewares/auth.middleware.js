@@ -8,18 +8,19 @@
  *
  * Pourquoi stateless dans un microservice :
  *   - Le payment-service ne possède pas le schéma auth → pas d'accès à auth.users
- *   - Les données utilisateur (id, email, roles) sont signées dans le JWT par l'auth-service
+ *   - Les données utilisateur (id, email, roles, permissions) sont signées dans le JWT par l'auth-service
  *   - La durée de vie courte du token (15 min) limite l'impact d'un token compromis
  *   - Chaque requête en base pour valider un token ajouterait ~5-20ms inutilement
  *
- * Hydrate req.user avec : { id, email, roles }
+ * Hydrate req.user avec : { id, email, roles, permissions, impersonation }
  */
 import { tokenService } from '../services/token.service.js';
 import { AppError } from '../utils/appError.js';
 import { HTTP_STATUS } from '../constants/httpStatus.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
+import { readImpersonation, guardImpersonatedRequest } from './impersonation.middleware.js';
 
-export const protect = asyncHandler(async (req, _res, next) => {
+export const protect = asyncHandler(async (req, res, next) => {
     let token;
 
     if (req.headers.authorization?.startsWith('Bearer')) {
@@ -30,18 +31,25 @@ export const protect = asyncHandler(async (req, _res, next) => {
         throw new AppError('Accès refusé. Veuillez vous connecter.', HTTP_STATUS.UNAUTHORIZED);
     }
 
-    const decoded = tokenService.verifyAccessToken(token);
+    const decoded = await tokenService.verifyAccessToken(token);
 
     if (!decoded) {
         throw new AppError('Token invalide ou expiré.', HTTP_STATUS.UNAUTHORIZED);
     }
 
+    const impersonation = readImpersonation(decoded);
+    if (impersonation) {
+        guardImpersonatedRequest(req, res, impersonation);
+    }
+
     // Hydratation de req.user depuis le payload signé — pas de requête DB.
     // decoded.sub est le standard JWT pour l'identifiant sujet (userId).
     req.user = {
         id: decoded.sub || decoded.id,
         email: decoded.email,
         roles: decoded.roles ?? [],
+        permissions: decoded.permissions ?? [],
+        impersonation,
     };
 
     next();
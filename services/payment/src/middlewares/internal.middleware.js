@@ -0,0 +1,68 @@
+/**
+ * @module Middleware/Internal
+ *
+ * Protège les routes `/internal/*` du payment-service en vérifiant le header `X-Internal-Secret`.
+ *
+ * Ces routes ne sont jamais exposées via le Gateway Nginx — elles sont exclusivement
+ * appelées par l'order-service (remboursement d'un retour client, export RGPD).
+ * Le secret est celui déjà partagé avec l'order-service (`INTERNAL_ORDER_SECRET`) :
+ * la relation de confiance entre les deux services est la même dans les deux sens.
+ */
+import crypto from 'crypto';
+import { ENV } from '../config/environment.js';
+import { HTTP_STATUS } from '../constants/httpStatus.js';
+import { logError } from '../utils/logger.js';
+
+const HEADER_NAME = 'x-internal-secret';
+
+/**
+ * Comparaison timing-safe de deux secrets.
+ * Retourne false si les buffers ne peuvent pas être comparés.
+ */
+const timingSafeEqual = (provided, expected) => {
+    try {
+        const providedBuf = Buffer.from(provided, 'utf8');
+        const expectedBuf = Buffer.from(expected, 'utf8');
+
+        // Longueurs différentes → accès refusé, mais on exécute quand même
+        // la comparaison sur un buffer factice pour masquer l'information
+        if (providedBuf.length !== expectedBuf.length) {
+            crypto.timingSafeEqual(expectedBuf, expectedBuf);
+            return false;
+        }
+
+        return crypto.timingSafeEqual(providedBuf, expectedBuf);
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Valide les appels entrants depuis l'order-service.
+ * Utilise `INTERNAL_ORDER_SECRET`.
+ */
+export const fromOrderService = (req, res, next) => {
+    const provided = req.headers[HEADER_NAME];
+
+    if (!provided) {
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+            status: 'fail',
+            message: 'Accès refusé : header interne manquant',
+        });
+    }
+
+    if (!timingSafeEqual(provided, ENV.internal.orderSecret)) {
+        logError(new Error('Tentative accès interne avec secret invalide'), {
+            context: 'internal.middleware',
+            ip: req.ip,
+            path: req.originalUrl,
+        });
+
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+            status: 'fail',
+            message: 'Accès refusé : secret invalide',
+        });
+    }
+
+    next();
+};
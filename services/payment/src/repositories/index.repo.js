@@ -2,7 +2,8 @@
  * @module Repository/Index
  *
  * Point d'entrée unique de la couche repository du payment-service.
- * Le payment-service possède uniquement la table `payment.payments`.
+ * Le payment-service possède les tables `payment.payments` et `payment.refunds`.
  * Les autres données (orders, users) sont accessibles via les clients HTTP.
  */
-export { paymentsRepo } from './payments.repo.js';
\ No newline at end of file
+export { paymentsRepo } from './payments.repo.js';
+export { refundsRepo } from './refunds.repo.js';
\ No newline at end of file
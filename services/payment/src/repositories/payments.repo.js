@@ -78,6 +78,21 @@ export const paymentsRepo = {
     return mapRows(rows);
   },
 
+  /**
+   * Paiements de plusieurs commandes, du plus ancien au plus récent.
+   * Utilisé par l'export RGPD d'un client (orderId transmis par l'order-service).
+   */
+  async findByOrderIds(orderIds) {
+    const { rows } = await pgPool.query(
+      `SELECT * FROM payments
+             WHERE order_id = ANY($1::uuid[])
+             ORDER BY created_at ASC`,
+      [orderIds]
+    );
+
+    return mapRows(rows);
+  },
+
   /**
    * Retourne un paiement par son payment_intent_id Stripe.
    * Utilisé pour vérifier l'idempotence avant traitement d'un webhook.
@@ -0,0 +1,140 @@
+/**
+ * @module Repository/Refunds
+ *
+ * Gère la persistance des remboursements dans le schéma "payment".
+ * Chaque remboursement est rattaché au paiement d'origine (payment.payments).
+ *
+ * Les montants en statut FAILED sont exclus des cumuls : seul un remboursement
+ * PENDING ou SUCCEEDED engage des fonds côté Stripe.
+ */
+import { pgPool } from '../config/database.js';
+import { mapRow, mapRows } from './_mappers.js';
+
+export const refundsRepo = {
+
+  /**
+   * Enregistre un remboursement avant l'appel Stripe.
+   * L'id généré sert de clé d'idempotence pour la requête Stripe.
+   */
+  async create({ paymentId, orderId, stripeRefundId = null, status = 'PENDING', amount, currency = 'EUR', reason = null, items = [], restock = true, createdBy = null }) {
+    const { rows } = await pgPool.query(
+      `INSERT INTO refunds
+             (payment_id, order_id, stripe_refund_id, status, amount, currency, reason, items, restock, created_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+             RETURNING *`,
+      [paymentId, orderId, stripeRefundId, status, amount, currency, reason, JSON.stringify(items), restock, createdBy]
+    );
+
+    return mapRow(rows[0]);
+  },
+
+  /**
+   * Rattache l'identifiant Stripe retourné par l'API Refunds.
+   * Le statut n'est pas modifié ici : il peut déjà avoir été finalisé par le webhook.
+   */
+  async linkStripeRefund(id, stripeRefundId) {
+    const { rows } = await pgPool.query(
+      `UPDATE refunds
+             SET stripe_refund_id = $2, updated_at = NOW()
+             WHERE id = $1
+             RETURNING *`,
+      [id, stripeRefundId]
+    );
+
+    return mapRow(rows[0] ?? null);
+  },
+
+  /**
+   * Met à jour le statut d'un remboursement.
+   * Le filtre sur le statut courant rend la transition idempotente :
+   * retourne null si le remboursement n'était plus dans l'état attendu.
+   */
+  async updateStatus(id, status, expectedStatus = 'PENDING') {
+    const { rows } = await pgPool.query(
+      `UPDATE refunds
+             SET status = $2, updated_at = NOW()
+             WHERE id = $1 AND status = $3
+             RETURNING *`,
+      [id, status, expectedStatus]
+    );
+
+    return mapRow(rows[0] ?? null);
+  },
+
+  async findById(id) {
+    const { rows } = await pgPool.query(
+      `SELECT * FROM refunds WHERE id = $1`,
+      [id]
+    );
+
+    return mapRow(rows[0] ?? null);
+  },
+
+  async findByStripeRefundId(stripeRefundId) {
+    const { rows } = await pgPool.query(
+      `SELECT * FROM refunds WHERE stripe_refund_id = $1`,
+      [stripeRefundId]
+    );
+
+    return mapRow(rows[0] ?? null);
+  },
+
+  /**
+   * Historique des remboursements d'une commande, du plus récent au plus ancien.
+   */
+  async findByOrderId(orderId) {
+    const { rows } = await pgPool.query(
+      `SELECT * FROM refunds
+             WHERE order_id = $1
+             ORDER BY created_at DESC`,
+      [orderId]
+    );
+
+    return mapRows(rows);
+  },
+
+  /**
+   * Remboursements de plusieurs commandes, du plus ancien au plus récent (export RGPD).
+   */
+  async findByOrderIds(orderIds) {
+    const { rows } = await pgPool.query(
+      `SELECT * FROM refunds
+             WHERE order_id = ANY($1::uuid[])
+             ORDER BY created_at ASC`,
+      [orderIds]
+    );
+
+    return mapRows(rows);
+  },
+
+  /**
+   * Montant déjà engagé (PENDING + SUCCEEDED) sur un paiement.
+   * Sert de plafond pour le calcul du montant encore remboursable.
+   */
+  async sumCommittedByPaymentId(paymentId) {
+    const { rows } = await pgPool.query(
+      `SELECT COALESCE(SUM(amount), 0)::numeric AS total
+             FROM refunds
+             WHERE payment_id = $1 AND status <> 'FAILED'`,
+      [paymentId]
+    );
+
+    return parseFloat(rows[0].total);
+  },
+
+  /**
+   * Quantités déjà engagées par ligne de commande, sous la forme { [orderItemId]: quantity }.
+   */
+  async sumCommittedQuantitiesByOrderId(orderId) {
+    const { rows } = await pgPool.query(
+      `SELECT (item->>'orderItemId') AS order_item_id,
+                    SUM((item->>'quantity')::int)::int AS quantity
+             FROM refunds, jsonb_array_elements(items) AS item
+             WHERE order_id = $1 AND status <> 'FAILED'
+             GROUP BY item->>'orderItemId'`,
+      [orderId]
+    );
+
+    return Object.fromEntries(rows.map((row) => [row.order_item_id, row.quantity]));
+  },
+};
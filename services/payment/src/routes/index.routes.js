@@ -6,13 +6,13 @@
  * Un seul périmètre public exposé via le Gateway Nginx :
  *   /api/v1/payments → routes de paiement (Stripe sessions, webhooks, statut)
  *
- * Il n'y a pas de routes /internal sortantes dans ce service :
- * le payment-service appelle l'order-service (orderClient), il ne reçoit pas
- * d'appels inter-services entrants — toute la communication est initiée par lui.
+ * Un périmètre interne, jamais exposé par le Gateway :
+ *   /internal/payments → remboursement d'un retour client (appelé par l'order-service)
  */
 import { Router } from 'express';
 import { generalLimiter } from '../config/security.js';
 import paymentRoutes from './payment.routes.js';
+import internalRoutes from './internal.routes.js';
 
 const router = Router();
 
@@ -20,4 +20,7 @@ const router = Router();
 // Les routes webhook disposent en plus de leur propre protection par signature HMAC.
 router.use('/api/v1/payments', generalLimiter, paymentRoutes);
 
+// Les routes internes ne passent pas par le Gateway — le rate limiter est superflu
+router.use('/internal/payments', internalRoutes);
+
 export default router;
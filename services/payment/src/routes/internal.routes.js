@@ -0,0 +1,81 @@
+/**
+ * @module Routes/Internal
+ *
+ * Endpoints du payment-service réservés aux services pairs.
+ * Non exposés via le Gateway Nginx (bloqué en amont par location /internal/*).
+ *
+ * Protégés par X-Internal-Secret → fromOrderService.
+ *
+ * Périmètre :
+ * ┌───────────────────────────────────────────────────────────────────────┐
+ * │ POST /internal/payments/refunds/:orderId → order-service (retour RMA) │
+ * │ POST /internal/payments/export           → order-service (RGPD)       │
+ * └───────────────────────────────────────────────────────────────────────┘
+ */
+import { Router } from 'express';
+import { paymentService } from '../services/payment.service.js';
+import { fromOrderService } from '../middlewares/internal.middleware.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { HTTP_STATUS } from '../constants/httpStatus.js';
+import { ValidationError } from '../utils/appError.js';
+import { validateUUID } from '../utils/validation.js';
+
+const router = Router();
+
+router.use(fromOrderService);
+
+/**
+ * POST /internal/payments/refunds/:orderId
+ * Rembourse les lignes d'un retour client reçu en entrepôt.
+ * Body : { items: [{ orderItemId, quantity }], reason?: string, restock?: boolean }
+ */
+router.post(
+    '/refunds/:orderId',
+    asyncHandler(async (req, res) => {
+        validateUUID(req.params.orderId, 'orderId');
+
+        const { items, reason, restock } = req.body;
+
+        if (!Array.isArray(items) || items.length === 0) {
+            throw new ValidationError('Le champ items doit être un tableau non vide');
+        }
+
+        const refund = await paymentService.refundOrder(req.params.orderId, {
+            items,
+            reason: reason ?? null,
+            restock: restock !== false,
+        });
+
+        res.status(HTTP_STATUS.CREATED).json({
+            status: 'success',
+            data: { refund },
+        });
+    })
+);
+
+/**
+ * POST /internal/payments/export
+ * Paiements et remboursements des commandes d'un client (export RGPD).
+ * Body : { orderIds: string[] } — le payment-service ne connaît pas les utilisateurs.
+ */
+router.post(
+    '/export',
+    asyncHandler(async (req, res) => {
+        const { orderIds } = req.body;
+
+        if (!Array.isArray(orderIds) || orderIds.length === 0) {
+            throw new ValidationError('Le champ orderIds doit être un tableau non vide');
+        }
+
+        orderIds.forEach((orderId) => validateUUID(orderId, 'orderId'));
+
+        const data = await paymentService.exportPayments(orderIds);
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            data,
+        });
+    })
+);
+
+export default router;
@@ -23,6 +23,9 @@
 import { Router } from 'express';
 import { paymentController } from '../controllers/payment.controller.js';
 import { optionalAuth } from '../middlewares/optionalAuth.middleware.js';
+import { protect } from '../middlewares/auth.middleware.js';
+import { requirePermission } from '../middlewares/role.middleware.js';
+import { PERMISSIONS } from '../constants/roles.js';
 import { checkoutLimiter, statusLimiter } from '../config/security.js';
 import { validateUUID } from '../utils/validation.js';
 
@@ -53,7 +56,7 @@ router.get('/cancel', paymentController.handleCancel);
 
 /**
  * POST /api/v1/payments/webhook/stripe
- * Reçoit les events Stripe (checkout.session.completed, expired, payment_intent.failed).
+ * Reçoit les events Stripe (checkout.session.completed, expired, payment_intent.failed, charge.refunded).
  * La signature HMAC garantit l'authenticité — aucun JWT n'est nécessaire.
  */
 router.post('/webhook/stripe', paymentController.handleStripeWebhook);
@@ -95,4 +98,39 @@ router.get(
     paymentController.checkStatus
 );
 
+// ─────────────────────────────────────────────────────────────────────────────
+// 4. REMBOURSEMENTS (payments:refund, payments:read)
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * POST /api/v1/payments/refunds/:orderId
+ * Émet un remboursement Stripe : total (sans body.items) ou partiel par ligne.
+ * Body : { items?: [{ orderItemId, quantity }], reason?: string }
+ */
+router.post(
+    '/refunds/:orderId',
+    protect,
+    requirePermission(PERMISSIONS.PAYMENTS_REFUND),
+    (req, _res, next) => {
+        validateUUID(req.params.orderId, 'orderId');
+        next();
+    },
+    paymentController.refundOrder
+);
+
+/**
+ * GET /api/v1/payments/refunds/:orderId
+ * Historique des remboursements d'une commande.
+ */
+router.get(
+    '/refunds/:orderId',
+    protect,
+    requirePermission(PERMISSIONS.PAYMENTS_READ),
+    (req, _res, next) => {
+        validateUUID(req.params.orderId, 'orderId');
+        next();
+    },
+    paymentController.listRefunds
+);
+
 export default router;
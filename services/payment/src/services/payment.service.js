@@ -6,9 +6,11 @@
  *
  * Responsabilités de ce service :
  *   - Créer les sessions Stripe Checkout
- *   - Traiter les webhooks Stripe (paiement réussi, expiré, échec)
+ *   - Traiter les webhooks Stripe (paiement réussi, expiré, échec, remboursement)
  *   - Vérifier le statut de paiement d'une commande
+ *   - Émettre les remboursements admin (total ou partiel par ligne)
  *   - Persister les tentatives de paiement dans payment.payments
+ *   - Persister les remboursements dans payment.refunds
  *   - Garantir l'idempotence des webhooks via Redis
  *
  * Hors-scope (délégué à d'autres services) :
@@ -25,17 +27,34 @@ import Stripe from 'stripe';
 import { ENV } from '../config/environment.js';
 import { orderClient } from '../clients/order.client.js';
 import { notificationClient } from '../clients/notification.client.js';
-import { paymentsRepo } from '../repositories/index.repo.js';
+import { paymentsRepo, refundsRepo } from '../repositories/index.repo.js';
 import { cacheService } from './cache.service.js';
-import { AppError, ValidationError } from '../utils/appError.js';
+import { AppError, ValidationError, BusinessError } from '../utils/appError.js';
 import { HTTP_STATUS } from '../constants/httpStatus.js';
-import { ORDER_STATUS, PAYMENT_STATUS } from '../constants/enums.js';
+import { ORDER_STATUS, PAYMENT_STATUS, REFUND_STATUS } from '../constants/enums.js';
 import { logInfo, logError } from '../utils/logger.js';
 
 // Durée de rétention d'un event webhook dans Redis pour l'idempotence.
 // 24h est suffisant : Stripe ne retente pas au-delà de quelques heures.
 const WEBHOOK_IDEMPOTENCY_TTL_SECONDS = 86400;
 
+// Une commande ne peut être remboursée qu'une fois le paiement capturé.
+const REFUNDABLE_ORDER_STATUSES = [
+    ORDER_STATUS.PAID,
+    ORDER_STATUS.PROCESSING,
+    ORDER_STATUS.SHIPPED,
+    ORDER_STATUS.DELIVERED,
+    ORDER_STATUS.PARTIALLY_REFUNDED,
+];
+
+// Correspondance statut Stripe (refund.status) → refund_status_enum.
+// requires_action et pending restent PENDING jusqu'au webhook charge.refunded.
+const STRIPE_REFUND_STATUS_MAP = Object.freeze({
+    succeeded: REFUND_STATUS.SUCCEEDED,
+    failed: REFUND_STATUS.FAILED,
+    canceled: REFUND_STATUS.FAILED,
+});
+
 class PaymentService {
     constructor() {
         if (PaymentService.instance) return PaymentService.instance;
@@ -166,6 +185,10 @@ class PaymentService {
                 await this._handlePaymentFailed(event.data.object);
                 break;
 
+            case 'charge.refunded':
+                await this._handleChargeRefunded(event.data.object);
+                break;
+
             default:
                 // On acquitte silencieusement les events non gérés pour éviter
                 // que Stripe retente indéfiniment et pollue les logs.
@@ -220,6 +243,146 @@ class PaymentService {
         return order.status || ORDER_STATUS.PENDING;
     }
 
+    // =========================================================================
+    // REMBOURSEMENTS (ADMIN)
+    // =========================================================================
+
+    /**
+     * Émet un remboursement Stripe pour une commande payée.
+     *
+     * Deux modes :
+     *   - Sans `items` → remboursement total du solde restant (frais de port inclus)
+     *   - Avec `items` → remboursement partiel des lignes indiquées, TVA de la commande incluse
+     *
+     * Le remboursement est persisté en PENDING avant l'appel Stripe : son id sert
+     * de clé d'idempotence, ce qui empêche un double remboursement sur un retry réseau.
+     * Si Stripe confirme immédiatement, la commande est mise à jour dans la foulée ;
+     * sinon, le webhook charge.refunded prend le relais.
+     *
+     * @param {string} orderId
+     * @param {{ items?: Array<{ orderItemId: number, quantity: number }>, reason?: string, restock?: boolean }} refundRequest
+     *   `restock: false` quand le stock a déjà été réintégré en amont (retour client reçu)
+     * @param {object|null} admin - Payload JWT de l'administrateur, null si appel inter-services
+     */
+    async refundOrder(orderId, { items = null, reason = null, restock = true } = {}, admin = null) {
+        const order = await orderClient.findById(orderId);
+
+        if (!order) {
+            throw new AppError('Commande introuvable', HTTP_STATUS.NOT_FOUND);
+        }
+
+        if (!REFUNDABLE_ORDER_STATUSES.includes(order.status)) {
+            throw new BusinessError(`Une commande au statut ${order.status} ne peut pas être remboursée`);
+        }
+
+        const payments = await paymentsRepo.findByOrderId(orderId);
+        const payment = payments.find(
+            (p) =>
+                p.paymentIntentId &&
+                [PAYMENT_STATUS.SUCCESS, PAYMENT_STATUS.PARTIALLY_REFUNDED].includes(p.status)
+        );
+
+        if (!payment) {
+            throw new BusinessError('Aucun paiement capturé à rembourser pour cette commande');
+        }
+
+        const alreadyRefunded = await refundsRepo.sumCommittedByPaymentId(payment.id);
+        const remaining = this._roundAmount(Number(payment.amount) - alreadyRefunded);
+
+        if (remaining <= 0) {
+            throw new BusinessError('Cette commande a déjà été intégralement remboursée');
+        }
+
+        const refundedQuantities = await refundsRepo.sumCommittedQuantitiesByOrderId(orderId);
+        const lines = this._buildRefundLines(order, items, refundedQuantities);
+
+        // Un remboursement total solde le paiement, frais de port compris.
+        const isFullRefund = !items?.length;
+        const linesTotal = this._roundAmount(lines.reduce((sum, line) => sum + line.amount, 0));
+        const amount = isFullRefund ? remaining : Math.min(linesTotal, remaining);
+
+        if (!isFullRefund && amount <= 0) {
+            throw new ValidationError('Aucun montant à rembourser pour les lignes demandées');
+        }
+
+        const refund = await refundsRepo.create({
+            paymentId: payment.id,
+            orderId,
+            amount,
+            currency: payment.currency,
+            reason,
+            items: lines,
+            restock,
+            createdBy: admin?.id ?? null,
+        });
+
+        let stripeRefund;
+        try {
+            stripeRefund = await this.stripe.refunds.create(
+                {
+                    payment_intent: payment.paymentIntentId,
+                    // Stripe travaille en centimes — conversion depuis euros
+                    amount: Math.round(amount * 100),
+                    reason: 'requested_by_customer',
+                    metadata: { orderId, refundId: refund.id },
+                },
+                { idempotencyKey: `refund_${refund.id}` }
+            );
+        } catch (error) {
+            await refundsRepo.updateStatus(refund.id, REFUND_STATUS.FAILED);
+            logError(error, { context: 'PaymentService.refundOrder', orderId, refundId: refund.id });
+            throw new AppError('Le remboursement a été refusé par Stripe', HTTP_STATUS.BAD_GATEWAY);
+        }
+
+        const status = STRIPE_REFUND_STATUS_MAP[stripeRefund.status] ?? REFUND_STATUS.PENDING;
+        let savedRefund = await refundsRepo.linkStripeRefund(refund.id, stripeRefund.id);
+
+        if (status === REFUND_STATUS.SUCCEEDED) {
+            try {
+                savedRefund = (await this._finalizeRefund(savedRefund, payment)) ?? savedRefund;
+            } catch {
+                // Les fonds sont déjà rendus côté Stripe : le remboursement reste PENDING
+                // et le webhook charge.refunded retentera la mise à jour de la commande.
+                savedRefund = await refundsRepo.findById(refund.id);
+            }
+        } else if (status === REFUND_STATUS.FAILED) {
+            savedRefund = (await refundsRepo.updateStatus(refund.id, REFUND_STATUS.FAILED)) ?? savedRefund;
+        }
+
+        logInfo(
+            `Remboursement émis — orderId: ${orderId}, refundId: ${refund.id}, ` +
+            `montant: ${amount}, statut Stripe: ${stripeRefund.status}`
+        );
+
+        return savedRefund;
+    }
+
+    /**
+     * Historique des remboursements d'une commande (support et back-office).
+     */
+    async listRefunds(orderId) {
+        return refundsRepo.findByOrderId(orderId);
+    }
+
+    /**
+     * Paiements et remboursements des commandes d'un client, pour son export RGPD.
+     * Les données techniques internes (metadata Stripe brute, administrateur
+     * à l'origine d'un remboursement) ne font pas partie de l'export.
+     *
+     * @param {string[]} orderIds - Commandes du client, résolues par l'order-service
+     */
+    async exportPayments(orderIds) {
+        const [payments, refunds] = await Promise.all([
+            paymentsRepo.findByOrderIds(orderIds),
+            refundsRepo.findByOrderIds(orderIds),
+        ]);
+
+        return {
+            payments: payments.map(({ metadata, ...payment }) => payment),
+            refunds: refunds.map(({ createdBy, ...refund }) => refund),
+        };
+    }
+
     // =========================================================================
     // HANDLERS PRIVÉS — WEBHOOKS
     // =========================================================================
@@ -332,6 +495,60 @@ class PaymentService {
         logInfo(`Paiement échoué — orderId: ${orderId || 'inconnu'}`);
     }
 
+    /**
+     * Réconcilie les remboursements d'un paiement à la réception de charge.refunded.
+     *
+     * Couvre deux cas :
+     *   - Remboursement émis par l'API admin resté PENDING (carte nécessitant un délai)
+     *   - Remboursement émis depuis le dashboard Stripe, inconnu en base : il est
+     *     enregistré sans lignes (aucune réintégration de stock possible)
+     *
+     * Les erreurs sont propagées pour que Stripe relance l'event.
+     */
+    async _handleChargeRefunded(charge) {
+        const paymentIntentId = charge.payment_intent;
+        const payment = paymentIntentId ? await paymentsRepo.findByIntentId(paymentIntentId) : null;
+
+        if (!payment) {
+            logInfo(`Webhook charge.refunded sans paiement connu — chargeId: ${charge.id}`);
+            return;
+        }
+
+        const { data: stripeRefunds } = await this.stripe.refunds.list({
+            payment_intent: paymentIntentId,
+            limit: 100,
+        });
+
+        for (const stripeRefund of stripeRefunds) {
+            const status = STRIPE_REFUND_STATUS_MAP[stripeRefund.status];
+            if (!status) continue;
+
+            let refund = await this._findLocalRefund(stripeRefund);
+
+            if (!refund) {
+                if (status !== REFUND_STATUS.SUCCEEDED) continue;
+
+                refund = await refundsRepo.create({
+                    paymentId: payment.id,
+                    orderId: payment.orderId,
+                    stripeRefundId: stripeRefund.id,
+                    amount: stripeRefund.amount / 100,
+                    currency: stripeRefund.currency?.toUpperCase() ?? payment.currency,
+                    reason: stripeRefund.reason ?? 'stripe_dashboard',
+                });
+            }
+
+            if (refund.status !== REFUND_STATUS.PENDING) continue;
+
+            if (status === REFUND_STATUS.SUCCEEDED) {
+                await this._finalizeRefund(refund, payment);
+            } else {
+                await refundsRepo.updateStatus(refund.id, REFUND_STATUS.FAILED);
+                logInfo(`Remboursement échoué côté Stripe — refundId: ${refund.id}`);
+            }
+        }
+    }
+
     // =========================================================================
     // NOTIFICATIONS PRIVÉES — Délégation vers le notification-service
     // =========================================================================
@@ -358,6 +575,8 @@ class PaymentService {
     /**
      * Déclenche la confirmation de commande après paiement validé.
      * Fire-and-forget : ne bloque pas le traitement du webhook Stripe.
+     * La facture PDF est jointe si l'order-service la fournit ; à défaut,
+     * l'email part sans pièce jointe (facture téléchargeable depuis la commande).
      */
     async _dispatchPostPaymentNotifications(session, orderId) {
         const order = await orderClient.findById(orderId);
@@ -372,7 +591,9 @@ class PaymentService {
             return;
         }
 
-        notificationClient.notifyOrderConfirmation(email, order);
+        const invoice = await orderClient.getInvoice(orderId).catch(() => null);
+
+        notificationClient.notifyOrderConfirmation(email, order, invoice);
 
         logInfo(`Notification paiement confirmé envoyée — orderId: ${orderId}`);
     }
@@ -492,6 +713,136 @@ class PaymentService {
         }
     }
 
+    /**
+     * Construit les lignes à rembourser à partir des items de la commande.
+     *
+     * Sans `requestedItems`, toutes les quantités non encore remboursées sont reprises
+     * (remboursement total). Le montant de chaque ligne inclut sa TVA (order_items.tax_amount),
+     * puisque le client a été débité TTC, et déduit la part de code promo imputée
+     * à la ligne (order_items.discount_amount) : on rembourse le prix réellement payé.
+     *
+     * @param {object} order              - Commande avec ses items (orderClient.findById)
+     * @param {Array|null} requestedItems - [{ orderItemId, quantity }] ou null
+     * @param {Object<string, number>} refundedQuantities - Quantités déjà engagées par ligne
+     */
+    _buildRefundLines(order, requestedItems, refundedQuantities) {
+        const itemsById = new Map((order.items ?? []).map((item) => [String(item.id), item]));
+
+        const remainingQuantity = (item) =>
+            item.quantity - (refundedQuantities[String(item.id)] ?? 0);
+
+        // TVA propre à chaque ligne (catégorie fiscale du produit) ; les lignes
+        // antérieures à la ventilation n'ont pas de tax_rate et suivent le taux de la commande.
+        const unitTax = (item, unitNet) =>
+            item.taxRate === null || item.taxRate === undefined
+                ? unitNet * Number(order.taxRate ?? 0) / 100
+                : Number(item.taxAmount ?? 0) / item.quantity;
+
+        const toLine = (item, quantity) => {
+            const unitDiscount = Number(item.discountAmount ?? 0) / item.quantity;
+            const unitNet = Number(item.unitPrice) - unitDiscount;
+
+            return {
+                orderItemId: item.id,
+                quantity,
+                amount: this._roundAmount((unitNet + unitTax(item, unitNet)) * quantity),
+            };
+        };
+
+        if (!requestedItems?.length) {
+            return [...itemsById.values()]
+                .filter((item) => remainingQuantity(item) > 0)
+                .map((item) => toLine(item, remainingQuantity(item)));
+        }
+
+        return requestedItems.map(({ orderItemId, quantity }) => {
+            const item = itemsById.get(String(orderItemId));
+
+            if (!item) {
+                throw new ValidationError(`Ligne de commande introuvable : ${orderItemId}`);
+            }
+
+            if (!Number.isInteger(quantity) || quantity <= 0) {
+                throw new ValidationError(`Quantité invalide pour la ligne ${orderItemId}`);
+            }
+
+            if (quantity > remainingQuantity(item)) {
+                throw new BusinessError(
+                    `Quantité remboursable dépassée pour la ligne ${orderItemId} ` +
+                    `(restant : ${remainingQuantity(item)})`
+                );
+            }
+
+            return toLine(item, quantity);
+        });
+    }
+
+    /**
+     * Passe un remboursement à SUCCEEDED et répercute l'effet sur le paiement et la commande.
+     *
+     * La transition PENDING → SUCCEEDED est atomique (filtre SQL sur le statut) :
+     * l'appel synchrone et le webhook ne peuvent pas appliquer deux fois le même
+     * remboursement. Si l'order-service échoue, le remboursement repasse PENDING
+     * et l'erreur est propagée pour que le webhook soit relancé par Stripe.
+     *
+     * @returns {Promise<object|null>} Remboursement finalisé, ou null s'il l'était déjà
+     */
+    async _finalizeRefund(refund, payment) {
+        const claimed = await refundsRepo.updateStatus(refund.id, REFUND_STATUS.SUCCEEDED);
+        if (!claimed) return null;
+
+        try {
+            const totalRefunded = await refundsRepo.sumCommittedByPaymentId(payment.id);
+            const isFullyRefunded = totalRefunded >= Number(payment.amount);
+
+            await orderClient.applyRefund(refund.orderId, {
+                status: isFullyRefunded ? ORDER_STATUS.REFUNDED : ORDER_STATUS.PARTIALLY_REFUNDED,
+                items: (claimed.items ?? []).map(({ orderItemId, quantity }) => ({ orderItemId, quantity })),
+                restock: claimed.restock !== false,
+                refundId: refund.id,
+                reason: claimed.reason ?? null,
+                adminId: claimed.createdBy ?? null,
+                amount: Number(claimed.amount),
+            });
+
+            await paymentsRepo.updateStatusByIntentId(
+                payment.paymentIntentId,
+                isFullyRefunded ? PAYMENT_STATUS.REFUNDED : PAYMENT_STATUS.PARTIALLY_REFUNDED
+            );
+        } catch (error) {
+            await refundsRepo.updateStatus(refund.id, REFUND_STATUS.PENDING, REFUND_STATUS.SUCCEEDED);
+            logError(error, { context: 'PaymentService._finalizeRefund', refundId: refund.id });
+            throw error;
+        }
+
+        logInfo(`Remboursement appliqué — orderId: ${refund.orderId}, refundId: ${refund.id}`);
+
+        return claimed;
+    }
+
+    /**
+     * Retrouve le remboursement local correspondant à un refund Stripe.
+     * La metadata refundId couvre le cas où le webhook arrive avant que
+     * l'identifiant Stripe n'ait été rattaché par refundOrder.
+     */
+    async _findLocalRefund(stripeRefund) {
+        const byStripeId = await refundsRepo.findByStripeRefundId(stripeRefund.id);
+        if (byStripeId) return byStripeId;
+
+        const localId = stripeRefund.metadata?.refundId;
+        if (!localId) return null;
+
+        const refund = await refundsRepo.findById(localId);
+        if (!refund) return null;
+
+        return (await refundsRepo.linkStripeRefund(refund.id, stripeRefund.id)) ?? refund;
+    }
+
+    /** Arrondi monétaire au centime. */
+    _roundAmount(value) {
+        return Math.round(value * 100) / 100;
+    }
+
     /**
      * Vérifie si un event Stripe a déjà été traité (idempotence Redis).
      * Stripe garantit at-least-once delivery — les doublons sont fréquents.
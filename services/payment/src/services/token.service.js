@@ -2,13 +2,15 @@
  * @module Service/Token
  *
  * Vérification des JWT Access Tokens émis par l'auth-service.
- * Le payment-service ne génère pas de tokens — il les valide uniquement.
+ * Le payment-service ne génère pas de tokens : il ne détient que les clés
+ * publiques de l'auth-service (JWKS), qui ne permettent pas d'en signer.
  */
 import jwt from 'jsonwebtoken';
-import { ENV } from '../config/environment.js';
+import { jwksClient } from '../clients/jwks.client.js';
 
 class TokenService {
-    #accessSecret = ENV.jwt.accessTokenSecret;
+    #issuer = 'mon-ecommerce-api';
+    #audience = 'mon-ecommerce-client';
 
     constructor() {
         if (TokenService.instance) return TokenService.instance;
@@ -17,17 +19,26 @@ class TokenService {
     }
 
     /**
-     * Vérifie la signature et l'expiration du token.
-     * Retourne null plutôt que de lancer une exception pour permettre
+     * Vérifie la signature (clé désignée par le `kid` de l'en-tête), l'expiration,
+     * l'émetteur et l'audience. L'algorithme est imposé par la clé publiée.
+     * Retourne null plutôt que de lever une exception pour permettre
      * un traitement gracieux dans les middlewares.
      */
-    verifyAccessToken(token) {
+    async verifyAccessToken(token) {
         try {
-            return jwt.verify(token, this.#accessSecret);
+            const kid = jwt.decode(token, { complete: true })?.header?.kid;
+            const signingKey = kid ? await jwksClient.getSigningKey(kid) : null;
+            if (!signingKey) return null;
+
+            return jwt.verify(token, signingKey.publicKey, {
+                algorithms: [signingKey.alg],
+                issuer: this.#issuer,
+                audience: this.#audience,
+            });
         } catch {
             return null;
         }
     }
 }
 
-export const tokenService = new TokenService();
\ No newline at end of file
+export const tokenService = new TokenService();
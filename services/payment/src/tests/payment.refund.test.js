@@ -0,0 +1,320 @@
+/**
+ * @module Tests/PaymentRefund
+ *
+ * Tests unitaires des remboursements : refundOrder, réconciliation par le
+ * webhook charge.refunded et finalisation unique (_finalizeRefund). La table
+ * refunds est remplacée par un store en mémoire qui reproduit le filtre SQL
+ * sur le statut de updateStatus ; Stripe et l'order-service sont simulés.
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const mockStripe = vi.hoisted(() => ({
+    refunds: { create: vi.fn(), list: vi.fn() },
+    webhooks: { constructEvent: vi.fn() },
+}));
+
+vi.mock('stripe', () => ({
+    default: vi.fn(function Stripe() { return mockStripe; }),
+}));
+
+vi.mock('../config/environment.js', () => ({
+    ENV: { stripe: { secretKey: 'sk_test_refunds', webhookSecret: 'whsec_test' } },
+}));
+
+vi.mock('../utils/logger.js', () => ({
+    logInfo: vi.fn(),
+    logError: vi.fn(),
+}));
+
+vi.mock('../services/cache.service.js', () => ({
+    cacheService: { get: vi.fn(), set: vi.fn() },
+}));
+
+vi.mock('../clients/notification.client.js', () => ({
+    notificationClient: {},
+}));
+
+vi.mock('../clients/order.client.js', () => ({
+    orderClient: { findById: vi.fn(), applyRefund: vi.fn() },
+}));
+
+vi.mock('../repositories/index.repo.js', () => ({
+    paymentsRepo: { findByOrderId: vi.fn(), findByIntentId: vi.fn(), updateStatusByIntentId: vi.fn() },
+    refundsRepo: {
+        create: vi.fn(),
+        linkStripeRefund: vi.fn(),
+        updateStatus: vi.fn(),
+        findById: vi.fn(),
+        findByStripeRefundId: vi.fn(),
+        sumCommittedByPaymentId: vi.fn(),
+        sumCommittedQuantitiesByOrderId: vi.fn(),
+    },
+}));
+
+import { paymentService } from '../services/payment.service.js';
+import { orderClient } from '../clients/order.client.js';
+import { paymentsRepo, refundsRepo } from '../repositories/index.repo.js';
+import { cacheService } from '../services/cache.service.js';
+import { ORDER_STATUS, PAYMENT_STATUS, REFUND_STATUS } from '../constants/enums.js';
+
+const ORDER_ID = '33333333-3333-4333-8333-333333333333';
+const PAYMENT_INTENT_ID = 'pi_refunds';
+
+// 2 × 50 € + 1 × 30 € HT, TVA 20 % de la commande, 4 € de port : 160 € débités
+const buildOrder = () => ({
+    id: ORDER_ID,
+    status: ORDER_STATUS.DELIVERED,
+    taxRate: 20,
+    items: [
+        { id: 1, quantity: 2, unitPrice: '50.00', taxRate: null, discountAmount: 0 },
+        { id: 2, quantity: 1, unitPrice: '30.00', taxRate: null, discountAmount: 0 },
+    ],
+});
+
+/**
+ * Store en mémoire de payment.refunds et payment.payments.
+ * updateStatus ne modifie la ligne que si elle est dans l'état attendu (WHERE status = $3).
+ */
+const createStore = () => {
+    const order = buildOrder();
+    const payment = {
+        id: 'payment-1',
+        orderId: ORDER_ID,
+        paymentIntentId: PAYMENT_INTENT_ID,
+        amount: '160.00',
+        currency: 'EUR',
+        status: PAYMENT_STATUS.SUCCESS,
+    };
+    const refunds = [];
+
+    const committed = () => refunds.filter((refund) => refund.status !== REFUND_STATUS.FAILED);
+    const copy = (refund) => (refund ? { ...refund } : null);
+
+    orderClient.findById.mockImplementation(async () => ({ ...order }));
+    orderClient.applyRefund.mockImplementation(async (orderId, { status }) => {
+        order.status = status;
+        return { ...order };
+    });
+
+    paymentsRepo.findByOrderId.mockImplementation(async () => [{ ...payment }]);
+    paymentsRepo.findByIntentId.mockImplementation(async (intentId) =>
+        (intentId === PAYMENT_INTENT_ID ? { ...payment } : null));
+    paymentsRepo.updateStatusByIntentId.mockImplementation(async (intentId, status) => {
+        payment.status = status;
+        return { ...payment };
+    });
+
+    refundsRepo.create.mockImplementation(async (data) => {
+        const refund = {
+            id: `refund-${refunds.length + 1}`,
+            stripeRefundId: null,
+            status: REFUND_STATUS.PENDING,
+            items: [],
+            restock: true,
+            createdBy: null,
+            ...data,
+        };
+        refunds.push(refund);
+        return copy(refund);
+    });
+    refundsRepo.linkStripeRefund.mockImplementation(async (id, stripeRefundId) => {
+        const refund = refunds.find((candidate) => candidate.id === id);
+        if (refund) refund.stripeRefundId = stripeRefundId;
+        return copy(refund);
+    });
+    refundsRepo.updateStatus.mockImplementation(async (id, status, expectedStatus = REFUND_STATUS.PENDING) => {
+        const refund = refunds.find((candidate) => candidate.id === id && candidate.status === expectedStatus);
+        if (!refund) return null;
+        refund.status = status;
+        return copy(refund);
+    });
+    refundsRepo.findById.mockImplementation(async (id) => copy(refunds.find((refund) => refund.id === id)));
+    refundsRepo.findByStripeRefundId.mockImplementation(async (stripeRefundId) =>
+        copy(refunds.find((refund) => refund.stripeRefundId === stripeRefundId)));
+    refundsRepo.sumCommittedByPaymentId.mockImplementation(async () =>
+        committed().reduce((sum, refund) => sum + Number(refund.amount), 0));
+    refundsRepo.sumCommittedQuantitiesByOrderId.mockImplementation(async () => {
+        const quantities = {};
+        for (const { orderItemId, quantity } of committed().flatMap((refund) => refund.items)) {
+            quantities[String(orderItemId)] = (quantities[String(orderItemId)] ?? 0) + quantity;
+        }
+        return quantities;
+    });
+
+    return { order, payment, refunds };
+};
+
+/** Refund Stripe tel que renvoyé par l'API, pour un remboursement local. */
+const stripeRefundFor = (params, options, status = 'succeeded') => ({
+    id: `re_${options.idempotencyKey}`,
+    status,
+    amount: params.amount,
+    currency: 'eur',
+    metadata: params.metadata,
+});
+
+const chargeRefunded = { id: 'ch_refunds', payment_intent: PAYMENT_INTENT_ID };
+
+describe('PaymentService — remboursements', () => {
+    let store;
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        store = createStore();
+        mockStripe.refunds.create.mockImplementation(async (params, options) => stripeRefundFor(params, options));
+    });
+
+    describe('refundOrder', () => {
+        it('devrait rembourser partiellement puis solder le reste, frais de port compris', async () => {
+            const partial = await paymentService.refundOrder(ORDER_ID, { items: [{ orderItemId: 1, quantity: 1 }] });
+
+            expect(partial).toMatchObject({ amount: 60, status: REFUND_STATUS.SUCCEEDED });
+            expect(orderClient.applyRefund).toHaveBeenLastCalledWith(ORDER_ID, expect.objectContaining({
+                status: ORDER_STATUS.PARTIALLY_REFUNDED,
+                items: [{ orderItemId: 1, quantity: 1 }],
+                amount: 60,
+            }));
+            expect(store.payment.status).toBe(PAYMENT_STATUS.PARTIALLY_REFUNDED);
+
+            const rest = await paymentService.refundOrder(ORDER_ID);
+
+            expect(rest).toMatchObject({ amount: 100, status: REFUND_STATUS.SUCCEEDED });
+            expect(rest.items).toEqual([
+                { orderItemId: 1, quantity: 1, amount: 60 },
+                { orderItemId: 2, quantity: 1, amount: 36 },
+            ]);
+            expect(orderClient.applyRefund).toHaveBeenLastCalledWith(ORDER_ID, expect.objectContaining({
+                status: ORDER_STATUS.REFUNDED,
+            }));
+            expect(store.payment.status).toBe(PAYMENT_STATUS.REFUNDED);
+            expect(mockStripe.refunds.create.mock.calls.map(([params]) => params.amount)).toEqual([6000, 10000]);
+        });
+
+        it('devrait refuser une quantité supérieure au restant remboursable de la ligne', async () => {
+            await paymentService.refundOrder(ORDER_ID, { items: [{ orderItemId: 1, quantity: 1 }] });
+
+            await expect(
+                paymentService.refundOrder(ORDER_ID, { items: [{ orderItemId: 1, quantity: 2 }] })
+            ).rejects.toMatchObject({ statusCode: 422 });
+
+            expect(mockStripe.refunds.create).toHaveBeenCalledTimes(1);
+            expect(store.refunds).toHaveLength(1);
+        });
+
+        it('devrait compter les remboursements encore en attente dans les quantités engagées', async () => {
+            mockStripe.refunds.create.mockImplementationOnce(async (params, options) =>
+                stripeRefundFor(params, options, 'pending'));
+
+            await paymentService.refundOrder(ORDER_ID, { items: [{ orderItemId: 2, quantity: 1 }] });
+
+            await expect(
+                paymentService.refundOrder(ORDER_ID, { items: [{ orderItemId: 2, quantity: 1 }] })
+            ).rejects.toMatchObject({ statusCode: 422 });
+        });
+
+        it('devrait refuser une quantité non entière sans appeler Stripe', async () => {
+            await expect(
+                paymentService.refundOrder(ORDER_ID, { items: [{ orderItemId: 1, quantity: 1.5 }] })
+            ).rejects.toMatchObject({ statusCode: 400 });
+
+            expect(mockStripe.refunds.create).not.toHaveBeenCalled();
+        });
+
+        it('devrait utiliser l\'id du remboursement persisté comme clé d\'idempotence Stripe', async () => {
+            await paymentService.refundOrder(ORDER_ID, { items: [{ orderItemId: 1, quantity: 1 }] });
+            await paymentService.refundOrder(ORDER_ID, { items: [{ orderItemId: 2, quantity: 1 }] });
+
+            const [[firstParams, firstOptions], [, secondOptions]] = mockStripe.refunds.create.mock.calls;
+
+            expect(firstOptions).toEqual({ idempotencyKey: `refund_${store.refunds[0].id}` });
+            expect(firstParams.metadata).toEqual({ orderId: ORDER_ID, refundId: store.refunds[0].id });
+            expect(secondOptions).toEqual({ idempotencyKey: `refund_${store.refunds[1].id}` });
+        });
+
+        it('devrait libérer le montant engagé quand Stripe refuse le remboursement', async () => {
+            mockStripe.refunds.create.mockRejectedValueOnce(new Error('card_declined'));
+
+            await expect(paymentService.refundOrder(ORDER_ID)).rejects.toMatchObject({ statusCode: 502 });
+            expect(store.refunds[0].status).toBe(REFUND_STATUS.FAILED);
+
+            await expect(paymentService.refundOrder(ORDER_ID)).resolves.toMatchObject({ amount: 160 });
+        });
+    });
+
+    describe('webhook charge.refunded', () => {
+        it('devrait finaliser un remboursement resté en attente', async () => {
+            mockStripe.refunds.create.mockImplementationOnce(async (params, options) =>
+                stripeRefundFor(params, options, 'pending'));
+            const pending = await paymentService.refundOrder(ORDER_ID, { items: [{ orderItemId: 1, quantity: 1 }] });
+            expect(orderClient.applyRefund).not.toHaveBeenCalled();
+
+            mockStripe.refunds.list.mockResolvedValue({
+                data: [{ id: pending.stripeRefundId, status: 'succeeded', metadata: { refundId: pending.id } }],
+            });
+
+            await paymentService._handleChargeRefunded(chargeRefunded);
+
+            expect(store.refunds[0].status).toBe(REFUND_STATUS.SUCCEEDED);
+            expect(orderClient.applyRefund).toHaveBeenCalledTimes(1);
+        });
+
+        it('devrait ignorer un charge.refunded rejoué pour un remboursement déjà appliqué', async () => {
+            const refund = await paymentService.refundOrder(ORDER_ID, { items: [{ orderItemId: 1, quantity: 1 }] });
+            mockStripe.refunds.list.mockResolvedValue({
+                data: [{ id: refund.stripeRefundId, status: 'succeeded', metadata: { refundId: refund.id } }],
+            });
+
+            // Hors garde Redis (Redis indisponible, event relivré) : seul le filtre sur le statut protège
+            await paymentService._handleChargeRefunded(chargeRefunded);
+            await paymentService._handleChargeRefunded(chargeRefunded);
+
+            expect(orderClient.applyRefund).toHaveBeenCalledTimes(1);
+            expect(paymentsRepo.updateStatusByIntentId).toHaveBeenCalledTimes(1);
+            expect(refundsRepo.create).toHaveBeenCalledTimes(1);
+        });
+
+        it('devrait ignorer un event déjà traité sans interroger Stripe', async () => {
+            mockStripe.webhooks.constructEvent.mockReturnValue({
+                id: 'evt_refunded',
+                type: 'charge.refunded',
+                data: { object: chargeRefunded },
+            });
+            cacheService.get.mockResolvedValue({ processedAt: '2026-10-18T10:00:00.000Z' });
+
+            await expect(paymentService.processStripeWebhook('{}', 'sig')).resolves.toEqual({ received: true });
+
+            expect(mockStripe.refunds.list).not.toHaveBeenCalled();
+            expect(orderClient.applyRefund).not.toHaveBeenCalled();
+        });
+
+        it('devrait enregistrer une seule fois un remboursement émis depuis le dashboard Stripe', async () => {
+            mockStripe.refunds.list.mockResolvedValue({
+                data: [{ id: 're_dashboard', status: 'succeeded', amount: 3600, currency: 'eur', reason: null, metadata: {} }],
+            });
+
+            await paymentService._handleChargeRefunded(chargeRefunded);
+            await paymentService._handleChargeRefunded(chargeRefunded);
+
+            expect(store.refunds).toHaveLength(1);
+            expect(store.refunds[0]).toMatchObject({ amount: 36, currency: 'EUR', status: REFUND_STATUS.SUCCEEDED });
+            expect(orderClient.applyRefund).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('_finalizeRefund', () => {
+        it('devrait remettre le remboursement en attente si l\'order-service échoue, pour que le webhook retente', async () => {
+            orderClient.applyRefund.mockRejectedValueOnce(new Error('order-service indisponible'));
+
+            const refund = await paymentService.refundOrder(ORDER_ID, { items: [{ orderItemId: 1, quantity: 1 }] });
+
+            expect(refund.status).toBe(REFUND_STATUS.PENDING);
+            expect(store.payment.status).toBe(PAYMENT_STATUS.SUCCESS);
+
+            await expect(paymentService._finalizeRefund(refund, store.payment)).resolves.toMatchObject({
+                status: REFUND_STATUS.SUCCEEDED,
+            });
+            await expect(paymentService._finalizeRefund(refund, store.payment)).resolves.toBeNull();
+            expect(orderClient.applyRefund).toHaveBeenCalledTimes(2);
+        });
+    });
+});
@@ -0,0 +1,42 @@
+-- ================================================================
+-- Migration 003 — Consommation des promotions (max_usage)
+--
+-- usage_count n'existait que dans le script monolithe : on l'ajoute
+-- ici et on le borne par max_usage au niveau DB, en dernier rempart
+-- derrière la garde SQL de promotionsRepo.incrementUsage.
+--
+-- promotion_redemptions trace chaque utilisation par commande :
+-- une ligne = une promotion appliquée à une commande, quel que soit
+-- le nombre d'articles concernés. L'annulation de la commande supprime
+-- les lignes et décrémente usage_count d'autant.
+-- order_id référence order.orders sans clé étrangère (schéma d'un
+-- autre service).
+-- ================================================================
+
+SET search_path TO product, public;
+
+ALTER TABLE promotions
+    ADD COLUMN IF NOT EXISTS usage_count INT NOT NULL DEFAULT 0;
+
+DO $$ BEGIN
+    ALTER TABLE promotions
+        ADD CONSTRAINT chk_promotion_usage
+        CHECK (usage_count >= 0 AND (max_usage IS NULL OR usage_count <= max_usage));
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+CREATE TABLE IF NOT EXISTS promotion_redemptions (
+    id           BIGSERIAL PRIMARY KEY,
+    promotion_id UUID NOT NULL REFERENCES promotions(id) ON DELETE CASCADE,
+    order_id     UUID NOT NULL,
+    created_at   TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT uq_promotion_redemption UNIQUE (promotion_id, order_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_promotion_redemptions_order
+    ON promotion_redemptions(order_id);
+
+COMMENT ON COLUMN promotions.usage_count IS
+    'Nombre de commandes ayant consommé la promotion (décrémenté à l''annulation)';
+COMMENT ON TABLE promotion_redemptions IS
+    'Utilisations d''une promotion, une ligne par commande';
@@ -0,0 +1,26 @@
+-- ================================================================
+-- Migration 004 — Catégorie fiscale des produits
+--
+-- Le taux de TVA dépend du pays de livraison et de la catégorie du
+-- produit (un livre et une montre d'une même commande ne sont pas
+-- taxés pareil). Les taux eux-mêmes vivent dans order.tax_rules ;
+-- l'order-service lit cette colonne au checkout.
+--
+-- Même liste de valeurs que order.tax_rules.tax_category.
+-- ================================================================
+
+SET search_path TO product, public;
+
+ALTER TABLE products
+    ADD COLUMN IF NOT EXISTS tax_category VARCHAR(20) NOT NULL DEFAULT 'STANDARD';
+
+DO $$ BEGIN
+    ALTER TABLE products
+        ADD CONSTRAINT chk_product_tax_category CHECK (
+            tax_category IN ('STANDARD', 'INTERMEDIATE', 'REDUCED', 'SUPER_REDUCED', 'ZERO')
+        );
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+COMMENT ON COLUMN products.tax_category IS
+    'Catégorie fiscale (taux résolu par pays dans order.tax_rules)';
@@ -0,0 +1,147 @@
+-- ================================================================
+-- Migration 005 — Recherche plein texte du catalogue
+--
+-- Remplace le ILIKE '%terme%' de productsRepo.list() :
+--   - tsvector pondéré (nom > catégories et attributs > SKU > description)
+--     pour le classement par pertinence
+--   - trigrammes (pg_trgm) pour la tolérance aux fautes de frappe
+--   - configuration française sans accents : "ete" trouve "Été"
+--
+-- L'index vit dans sa propre table (product_search_index) pour que sa
+-- mise à jour ne modifie pas products.updated_at. Il est maintenu par
+-- des triggers sur products, product_variants, product_categories et
+-- categories : aucun code applicatif n'a à s'en soucier.
+-- ================================================================
+
+CREATE EXTENSION IF NOT EXISTS unaccent WITH SCHEMA public;
+CREATE EXTENSION IF NOT EXISTS pg_trgm WITH SCHEMA public;
+
+SET search_path TO product, public;
+
+-- ── Configuration plein texte ─────────────────────────────────────────────────
+
+DO $$ BEGIN
+    CREATE TEXT SEARCH CONFIGURATION product.french_unaccent (COPY = pg_catalog.french);
+EXCEPTION WHEN unique_violation OR duplicate_object THEN NULL;
+END $$;
+
+ALTER TEXT SEARCH CONFIGURATION product.french_unaccent
+    ALTER MAPPING FOR hword, hword_part, word WITH public.unaccent, french_stem;
+
+COMMENT ON TEXT SEARCH CONFIGURATION product.french_unaccent IS
+    'Français (racinisation) insensible aux accents — recherche catalogue';
+
+-- ================================================================
+-- TABLE : product_search_index
+-- ================================================================
+
+CREATE TABLE IF NOT EXISTS product_search_index (
+    product_id  UUID PRIMARY KEY REFERENCES products(id) ON DELETE CASCADE,
+    document    TSVECTOR NOT NULL,
+    search_text TEXT     NOT NULL,
+    updated_at  TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON TABLE product_search_index IS
+    'Index de recherche du catalogue, maintenu par triggers (voir refresh_product_search_index)';
+COMMENT ON COLUMN product_search_index.document IS
+    'tsvector pondéré : A nom, B catégories et attributs, C SKU, D description';
+COMMENT ON COLUMN product_search_index.search_text IS
+    'Nom, attributs, catégories et SKU en minuscules sans accents — similarité trigramme (fautes de frappe)';
+
+CREATE INDEX IF NOT EXISTS idx_product_search_document
+    ON product_search_index USING gin(document);
+
+CREATE INDEX IF NOT EXISTS idx_product_search_trgm
+    ON product_search_index USING gin(search_text gin_trgm_ops);
+
+-- Remplacé par idx_product_search_document
+DROP INDEX IF EXISTS idx_products_search;
+
+-- ================================================================
+-- MAINTENANCE DE L'INDEX
+-- ================================================================
+
+CREATE OR REPLACE FUNCTION refresh_product_search_index(p_product_id UUID)
+RETURNS VOID AS $$
+BEGIN
+    INSERT INTO product_search_index (product_id, document, search_text, updated_at)
+    SELECT
+        p.id,
+        setweight(to_tsvector('product.french_unaccent', coalesce(p.name, '')), 'A') ||
+        setweight(to_tsvector('product.french_unaccent', concat_ws(' ', cat.names, var.attribute_values)), 'B') ||
+        setweight(to_tsvector('simple', coalesce(var.skus, '')), 'C') ||
+        setweight(to_tsvector('product.french_unaccent', coalesce(p.description, '')), 'D'),
+        lower(unaccent(concat_ws(' ', p.name, var.attribute_values, cat.names, var.skus))),
+        NOW()
+    FROM products p
+    LEFT JOIN LATERAL (
+        SELECT string_agg(c.name, ' ') AS names
+        FROM product_categories pc
+        JOIN categories c ON c.id = pc.category_id
+        WHERE pc.product_id = p.id
+    ) cat ON TRUE
+    LEFT JOIN LATERAL (
+        SELECT
+            (SELECT string_agg(v.sku, ' ') FROM product_variants v WHERE v.product_id = p.id) AS skus,
+            (SELECT string_agg(DISTINCT a.value, ' ')
+               FROM product_variants v
+               CROSS JOIN LATERAL jsonb_each_text(COALESCE(v.attributes, '{}'::jsonb)) AS a(key, value)
+              WHERE v.product_id = p.id
+                AND a.key IN ('size', 'color', 'material', 'brand')) AS attribute_values
+    ) var ON TRUE
+    WHERE p.id = p_product_id
+    ON CONFLICT (product_id) DO UPDATE
+        SET document    = EXCLUDED.document,
+            search_text = EXCLUDED.search_text,
+            updated_at  = EXCLUDED.updated_at;
+END;
+$$ LANGUAGE plpgsql
+SET search_path = product, public;
+
+COMMENT ON FUNCTION refresh_product_search_index(UUID) IS
+    'Recalcule l''entrée d''index de recherche d''un produit (sans effet si le produit n''existe plus)';
+
+-- Un produit supprimé emporte son entrée (CASCADE) ; la suppression en
+-- cascade de ses variantes ne trouve plus le produit et ne recrée rien.
+CREATE OR REPLACE FUNCTION trg_refresh_product_search_index()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_TABLE_NAME = 'products' THEN
+        PERFORM refresh_product_search_index(NEW.id);
+    ELSIF TG_TABLE_NAME = 'categories' THEN
+        PERFORM refresh_product_search_index(pc.product_id)
+        FROM product_categories pc
+        WHERE pc.category_id = NEW.id;
+    ELSE
+        IF TG_OP IN ('UPDATE', 'DELETE') THEN
+            PERFORM refresh_product_search_index(OLD.product_id);
+        END IF;
+        IF TG_OP IN ('INSERT', 'UPDATE') AND (TG_OP = 'INSERT' OR NEW.product_id IS DISTINCT FROM OLD.product_id) THEN
+            PERFORM refresh_product_search_index(NEW.product_id);
+        END IF;
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql
+SET search_path = product, public;
+
+CREATE OR REPLACE TRIGGER product_search_on_product
+    AFTER INSERT OR UPDATE OF name, description ON products
+    FOR EACH ROW EXECUTE FUNCTION trg_refresh_product_search_index();
+
+CREATE OR REPLACE TRIGGER product_search_on_variant
+    AFTER INSERT OR DELETE OR UPDATE OF sku, attributes, product_id ON product_variants
+    FOR EACH ROW EXECUTE FUNCTION trg_refresh_product_search_index();
+
+CREATE OR REPLACE TRIGGER product_search_on_product_category
+    AFTER INSERT OR DELETE ON product_categories
+    FOR EACH ROW EXECUTE FUNCTION trg_refresh_product_search_index();
+
+CREATE OR REPLACE TRIGGER product_search_on_category
+    AFTER UPDATE OF name ON categories
+    FOR EACH ROW EXECUTE FUNCTION trg_refresh_product_search_index();
+
+-- ── Amorçage ──────────────────────────────────────────────────────────────────
+
+SELECT refresh_product_search_index(id) FROM products;
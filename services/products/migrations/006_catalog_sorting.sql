@@ -0,0 +1,24 @@
+-- ================================================================
+-- Migration 006 — Tri du catalogue par popularité
+--
+-- product_sales cumule les unités vendues par produit. Elle est
+-- alimentée par inventoryRepo.confirmSale (paiement validé), dans la
+-- même requête que la sortie de stock : le compteur ne peut pas
+-- diverger de l'inventaire. Un remboursement ne le décrémente pas
+-- (la popularité mesure la demande, pas le chiffre d'affaires).
+--
+-- Table séparée pour que la mise à jour du compteur ne touche ni
+-- products.updated_at ni les triggers de l'index de recherche.
+-- ================================================================
+
+SET search_path TO product, public;
+
+CREATE TABLE IF NOT EXISTS product_sales (
+    product_id UUID PRIMARY KEY REFERENCES products(id) ON DELETE CASCADE,
+    units_sold INT  NOT NULL DEFAULT 0 CHECK (units_sold >= 0),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON TABLE product_sales IS
+    'Unités vendues par produit (ventes confirmées) — tri catalogue "popularity"';
+
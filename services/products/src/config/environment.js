@@ -8,10 +8,11 @@ import 'dotenv/config';
 
 const requiredEnv = [
     'PORT',
-    'JWT_ACCESS_SECRET',
+    'AUTH_SERVICE_URL', // JWKS : clés publiques des access tokens émis par l'auth-service
     'DATABASE_URL',
     'REDIS_URL',
     'INTERNAL_PRODUCT_SECRET',
+    'INTERNAL_AUDIT_SECRET', // Journal des requêtes "voir en tant que client" vers l'auth-service
     'CLOUDINARY_CLOUD_NAME',
     'CLOUDINARY_API_KEY',
     'CLOUDINARY_API_SECRET',
@@ -41,10 +42,15 @@ export const ENV = Object.freeze({
         },
     },
     jwt: {
-        accessSecret: process.env.JWT_ACCESS_SECRET,
-        accessExpiry: process.env.JWT_ACCESS_EXPIRY || '15m',
+        // Pas de secret : le product-service vérifie les tokens, il ne peut pas en émettre
+        jwksCacheTtlMs: Number(process.env.JWKS_CACHE_TTL_MS) || 10 * 60 * 1000,
+    },
+    services: {
+        authServiceUrl: process.env.AUTH_SERVICE_URL,
+        httpTimeoutMs: Number(process.env.INTERNAL_HTTP_TIMEOUT_MS) || 5000,
     },
     internalSecret: process.env.INTERNAL_PRODUCT_SECRET,
+    auditSecret: process.env.INTERNAL_AUDIT_SECRET,
     cloudinary: {
         cloudName: process.env.CLOUDINARY_CLOUD_NAME,
         apiKey: process.env.CLOUDINARY_API_KEY,
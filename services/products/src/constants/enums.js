@@ -37,6 +37,30 @@ export const PRODUCT_STATUS = Object.freeze({
     ARCHIVED: 'ARCHIVED',
 });
 
+/**
+ * Catégorie fiscale d'un produit (products.tax_category).
+ * Le taux correspondant est résolu par pays dans order.tax_rules.
+ */
+export const TAX_CATEGORY = Object.freeze({
+    STANDARD: 'STANDARD',
+    INTERMEDIATE: 'INTERMEDIATE',
+    REDUCED: 'REDUCED',
+    SUPER_REDUCED: 'SUPER_REDUCED',
+    ZERO: 'ZERO',
+});
+
+/**
+ * Tris du catalogue (GET /products?sort=). Sans équivalent en base :
+ * résolus en SQL par productsRepo.list().
+ */
+export const CATALOG_SORT = Object.freeze({
+    RELEVANCE: 'relevance',
+    NEWEST: 'newest',
+    PRICE_ASC: 'price_asc',
+    PRICE_DESC: 'price_desc',
+    POPULARITY: 'popularity',
+});
+
 export const USER_STATUS = {
     ACTIVE: 'ACTIVE',
     BLOCKED: 'BLOCKED'
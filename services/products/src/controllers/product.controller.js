@@ -18,6 +18,7 @@ class ProductController {
             data: {
                 products: result.data,
                 pagination: result.pagination,
+                facets: result.facets,
             },
         });
     });
@@ -91,8 +92,8 @@ class ProductController {
         });
     });
 
-    getFilters = asyncHandler(async (_req, res) => {
-        const filters = await productService.getProductFilters();
+    getFilters = asyncHandler(async (req, res) => {
+        const filters = await productService.getProductFilters(req.query);
 
         res.status(HTTP_STATUS.OK).json({
             status: 'success',
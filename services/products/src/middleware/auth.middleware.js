@@ -4,15 +4,17 @@
  * Vérification stateless du JWT pour le product-service.
  * Pas de requête DB — le payload signé est la source de vérité.
  *
- * Le JWT est émis par l'auth-service. Le product-service le vérifie
- * uniquement avec `JWT_ACCESS_SECRET` partagé entre les services.
+ * Le JWT est émis par l'auth-service (RS256/ES256). Le product-service le vérifie
+ * avec la clé publique désignée par son `kid`, lue dans le JWKS de l'auth-service :
+ * il ne détient aucun secret permettant d'en émettre.
  *
- * Hydrate `req.user` avec : { id, email, roles }
+ * Hydrate `req.user` avec : { id, email, roles, permissions, impersonation }
  */
 import jwt from 'jsonwebtoken';
 import { AppError } from '../utils/appError.js';
-import { ENV } from '../config/environment.js';
+import { jwksClient } from '../clients/jwks.client.js';
 import { HTTP_STATUS } from '../constants/httpStatus.js';
+import { readImpersonation, guardImpersonatedRequest } from './impersonation.middleware.js';
 
 const extractToken = (req) => {
     // Priorité au header Authorization (API clients, SPA)
@@ -24,49 +26,81 @@ const extractToken = (req) => {
     return req.cookies?.accessToken || null;
 };
 
+/**
+ * L'algorithme est imposé par la clé publiée : un token HS256 ou "none" est refusé.
+ * @throws {jwt.JsonWebTokenError|jwt.TokenExpiredError}
+ */
+const verifyAccessToken = async (token) => {
+    const kid = jwt.decode(token, { complete: true })?.header?.kid;
+    const signingKey = kid ? await jwksClient.getSigningKey(kid) : null;
+    if (!signingKey) {
+        throw new jwt.JsonWebTokenError('Clé de signature inconnue');
+    }
+
+    return jwt.verify(token, signingKey.publicKey, {
+        algorithms: [signingKey.alg],
+        issuer: 'mon-ecommerce-api',
+        audience: 'mon-ecommerce-client',
+    });
+};
+
 /**
  * Middleware de protection — requiert un JWT valide.
  * Utiliser sur les routes ADMIN.
  */
-export const protect = (req, res, next) => {
+export const protect = async (req, res, next) => {
     const token = extractToken(req);
 
     if (!token) {
         return next(new AppError('Non authentifié. Veuillez vous connecter.', HTTP_STATUS.UNAUTHORIZED));
     }
 
+    let decoded;
     try {
-        const decoded = jwt.verify(token, ENV.jwt.accessSecret);
-
-        req.user = {
-            id: decoded.sub,
-            email: decoded.email,
-            roles: decoded.roles || [],
-        };
-
-        next();
+        decoded = await verifyAccessToken(token);
     } catch (error) {
         if (error.name === 'TokenExpiredError') {
             return next(new AppError('Session expirée. Veuillez vous reconnecter.', HTTP_STATUS.UNAUTHORIZED));
         }
         return next(new AppError('Token invalide.', HTTP_STATUS.UNAUTHORIZED));
     }
+
+    const impersonation = readImpersonation(decoded);
+
+    req.user = {
+        id: decoded.sub,
+        email: decoded.email,
+        roles: decoded.roles || [],
+        permissions: decoded.permissions || [],
+        impersonation,
+    };
+
+    if (impersonation) {
+        try {
+            guardImpersonatedRequest(req, res, impersonation);
+        } catch (error) {
+            return next(error);
+        }
+    }
+
+    next();
 };
 
 /**
  * Middleware optionnel — hydrate req.user si un token valide est présent.
  * Pas d'erreur si absent — pour les routes publiques avec contexte utilisateur optionnel.
  */
-export const optionalAuth = (req, _res, next) => {
+export const optionalAuth = async (req, _res, next) => {
     const token = extractToken(req);
     if (!token) return next();
 
     try {
-        const decoded = jwt.verify(token, ENV.jwt.accessSecret);
+        const decoded = await verifyAccessToken(token);
         req.user = {
             id: decoded.sub,
             email: decoded.email,
             roles: decoded.roles || [],
+            permissions: decoded.permissions || [],
         };
     } catch {
         // Token invalide ignoré — route accessible sans auth
@@ -0,0 +1,53 @@
+/**
+ * @module Middleware/Impersonation
+ *
+ * Tokens "voir en tant que client", émis par l'auth-service au support.
+ *
+ * Un tel token porte le client en `sub` (les contrôles d'accès habituels
+ * s'appliquent donc à lui), l'administrateur en `act.sub` et la session en `imp`.
+ * Chaque requête est journalisée dans l'auth-service ; une session en lecture
+ * seule ne peut rien modifier dans ce service.
+ */
+import { impersonationAuditClient } from '../clients/impersonationAudit.client.js';
+import { AppError } from '../utils/appError.js';
+import { HTTP_STATUS } from '../constants/httpStatus.js';
+
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+/**
+ * Contexte d'impersonation d'un payload vérifié, null pour un token ordinaire.
+ * @returns {{ sessionId: string, actorId: string, readOnly: boolean }|null}
+ */
+export const readImpersonation = (decoded) => {
+    if (!decoded?.act?.sub || !decoded.imp?.id) return null;
+
+    return {
+        sessionId: decoded.imp.id,
+        actorId: decoded.act.sub,
+        readOnly: decoded.imp.readOnly !== false,
+    };
+};
+
+/**
+ * Journalise la requête une fois la réponse envoyée (statut compris, refus inclus),
+ * puis refuse toute écriture si la session est en lecture seule.
+ *
+ * @throws {AppError} 403
+ */
+export const guardImpersonatedRequest = (req, res, impersonation) => {
+    res.on('finish', () => {
+        impersonationAuditClient.record({
+            sessionId: impersonation.sessionId,
+            method: req.method,
+            path: req.originalUrl,
+            statusCode: res.statusCode,
+        });
+    });
+
+    if (impersonation.readOnly && !SAFE_METHODS.has(req.method)) {
+        throw new AppError(
+            "Session d'impersonation en lecture seule : aucune modification n'est possible.",
+            HTTP_STATUS.FORBIDDEN
+        );
+    }
+};
@@ -98,17 +98,27 @@ export const inventoryRepo = {
   /**
    * Confirme la sortie définitive du stock après paiement.
    * Contrairement à release, le stock disponible n'est pas restauré : la marchandise est vendue.
+   * Les unités vendues alimentent product_sales (tri catalogue par popularité) dans la même requête.
    */
   async confirmSale(variantId, quantity, client = pgPool) {
     validateUUID(variantId, 'variantId');
     validateQuantity(quantity, 'quantity');
 
     const { rows } = await client.query(
-      `UPDATE inventory
+      `WITH sold AS (
+           UPDATE inventory
              SET reserved_stock = reserved_stock - $2,
                  updated_at     = NOW()
              WHERE variant_id = $1 AND reserved_stock >= $2
-             RETURNING *`,
+             RETURNING *
+       ), counted AS (
+           INSERT INTO product_sales (product_id, units_sold)
+           SELECT v.product_id, $2 FROM sold JOIN product_variants v ON v.id = sold.variant_id
+           ON CONFLICT (product_id) DO UPDATE
+             SET units_sold = product_sales.units_sold + EXCLUDED.units_sold,
+                 updated_at = NOW()
+       )
+       SELECT * FROM sold`,
       [variantId, quantity]
     );
 
@@ -4,22 +4,240 @@
  * Gère le catalogue produits, les variantes et l'intégration des promotions actives.
  * Les requêtes de lecture embarquent les promotions directement en SQL pour éviter
  * les requêtes N+1 côté service.
+ *
+ * Recherche : product_search_index (migration 005), maintenu par triggers —
+ * plein texte français sans accents pour la pertinence, trigrammes pour les fautes de frappe.
  */
 import { pgPool } from '../config/database.js';
 import { mapRow, mapRows } from './_mappers.js';
-import { PRODUCT_STATUS, isValidEnum } from '../constants/enums.js';
+import { PRODUCT_STATUS, TAX_CATEGORY, CATALOG_SORT, isValidEnum } from '../constants/enums.js';
 import { validateRequired, validateSlug } from '../utils/validation.js';
-import { NotFoundError } from '../utils/appError.js';
+import { NotFoundError, ValidationError } from '../utils/appError.js';
+
+const assertTaxCategory = (taxCategory) => {
+  if (!isValidEnum(taxCategory, TAX_CATEGORY)) {
+    throw new ValidationError(
+      `taxCategory invalide. Valeurs acceptées : ${Object.values(TAX_CATEGORY).join(', ')}`
+    );
+  }
+};
+
+// Attributs de variante filtrables et proposés en facettes (hors `image`)
+const FACET_ATTRIBUTES = Object.freeze(['size', 'color', 'material', 'brand']);
+
+// Bornes des tranches de prix : [0-25[, [25-50[, [50-100[, [100-200[, 200+
+const PRICE_BUCKET_BOUNDS = [25, 50, 100, 200];
+
+const SEARCH_CONFIG = 'product.french_unaccent';
+const MAX_SEARCH_LENGTH = 100;
+
+/**
+ * Promotion retenue pour la variante `v` (alias `promo`) : celle de la variante
+ * prime sur celle du produit, puis le prix le plus bas. Partagée par le checkout
+ * (findActivePromotionPrice) et le prix effectif du catalogue (tri, filtres) :
+ * un produit trié "à 20 €" est payé 20 €.
+ */
+const BEST_PROMOTION_JOIN = `LEFT JOIN LATERAL (
+            SELECT candidates.id,
+                   CASE
+                       WHEN candidates.discount_type = 'PERCENTAGE'
+                           THEN ROUND(v.price * (1 - candidates.discount_value / 100.0), 2)
+                       WHEN candidates.discount_type = 'FIXED'
+                           THEN GREATEST(0, v.price - candidates.discount_value)
+                       ELSE v.price
+                   END AS effective_price,
+                   candidates.is_variant_level
+            FROM (
+                SELECT promo_v.*, TRUE AS is_variant_level
+                FROM variant_promotions vp
+                JOIN promotions promo_v ON vp.promotion_id = promo_v.id
+                WHERE vp.variant_id = v.id
+                UNION ALL
+                SELECT promo_p.*, FALSE AS is_variant_level
+                FROM product_promotions pp
+                JOIN promotions promo_p ON pp.promotion_id = promo_p.id
+                WHERE pp.product_id = v.product_id
+            ) candidates
+            WHERE candidates.status      = 'ACTIVE'
+              AND candidates.start_date <= NOW()
+              AND candidates.end_date   >= NOW()
+              AND (candidates.max_usage IS NULL OR candidates.usage_count < candidates.max_usage)
+            ORDER BY candidates.is_variant_level DESC, effective_price ASC
+            LIMIT 1
+        ) promo ON TRUE`;
+
+/**
+ * Tris du catalogue (voir CATALOG_SORT). Chaque tri est complété par `f.id`
+ * pour départager les égalités ; toutes ses colonnes vont dans le même sens,
+ * ce qui permet la pagination par curseur en une comparaison de lignes :
+ * (clés, id) < (valeurs du dernier produit reçu).
+ *
+ * `type` sert au cast des valeurs du curseur. Les produits sans variante
+ * (prix NULL) sont rejetés en fin de liste par les deux tris de prix.
+ */
+const CATALOG_SORTS = Object.freeze({
+  [CATALOG_SORT.RELEVANCE]: {
+    direction: 'DESC',
+    keys: [{ expr: 'f.rank', type: 'float8' }, { expr: 'f.created_at', type: 'timestamptz' }],
+  },
+  [CATALOG_SORT.NEWEST]: {
+    direction: 'DESC',
+    keys: [{ expr: 'f.created_at', type: 'timestamptz' }],
+  },
+  [CATALOG_SORT.PRICE_ASC]: {
+    direction: 'ASC',
+    keys: [{ expr: `COALESCE(f.price, 'NaN')`, type: 'numeric' }],
+  },
+  [CATALOG_SORT.PRICE_DESC]: {
+    direction: 'DESC',
+    keys: [{ expr: 'COALESCE(f.price, -1)', type: 'numeric' }],
+  },
+  [CATALOG_SORT.POPULARITY]: {
+    direction: 'DESC',
+    keys: [{ expr: 'f.units_sold', type: 'int' }, { expr: 'f.created_at', type: 'timestamptz' }],
+  },
+});
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Contrôle des valeurs du curseur avant cast SQL (un curseur forgé donne une 400, pas une 500)
+const CURSOR_VALUE_CHECKS = Object.freeze({
+  float8: Number.isFinite,
+  int: Number.isInteger,
+  numeric: (value) => Number.isFinite(value) || value === 'NaN',
+  timestamptz: (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value)),
+  uuid: (value) => typeof value === 'string' && UUID_PATTERN.test(value),
+});
+
+/**
+ * Curseur opaque (base64url) : le tri et les clés du dernier produit de la page.
+ */
+const encodeCursor = (sort, values) =>
+  Buffer.from(JSON.stringify({ sort, values })).toString('base64url');
+
+const decodeCursor = (cursor, sort) => {
+  let decoded = null;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    // traité ci-dessous comme un curseur invalide
+  }
+
+  const types = [...CATALOG_SORTS[sort].keys.map(({ type }) => type), 'uuid'];
+  const values = decoded?.sort === sort && Array.isArray(decoded.values) ? decoded.values : null;
+
+  if (!values || values.length !== types.length || !values.every((value, i) => CURSOR_VALUE_CHECKS[types[i]](value))) {
+    throw new ValidationError('cursor invalide ou incompatible avec le tri demandé');
+  }
+  return values;
+};
+
+/**
+ * CTE `filtered` partagée par la liste et les facettes : produits retenus
+ * par les filtres, avec leur score de pertinence (`rank`, 0 sans recherche),
+ * leur prix effectif (`price` : variante la moins chère, promotion appliquée),
+ * leur disponibilité (`in_stock`) et leurs ventes (`units_sold`).
+ *
+ * Un produit correspond à la recherche si son tsvector la contient (racines
+ * françaises, accents ignorés) ou si le terme est proche d'un mot de son nom,
+ * de ses attributs ou SKU (trigrammes : "chausure" trouve "chaussure").
+ * Les filtres d'attributs portent sur une même variante (taille ET couleur).
+ */
+const buildFilteredCte = ({
+  status, categorySlug, search, minPrice, maxPrice, inStock, ...attributeFilters
+} = {}) => {
+  const params = [];
+  const conditions = [];
+  let rankExpr = '0::float8';
+
+  if (status && status !== 'ALL') {
+    params.push(status);
+    conditions.push(`p.status = $${params.length}`);
+  }
+
+  if (categorySlug) {
+    params.push(categorySlug);
+    conditions.push(`EXISTS (
+            SELECT 1 FROM product_categories pc
+            JOIN categories c ON c.id = pc.category_id
+            WHERE pc.product_id = p.id AND c.slug = $${params.length}
+        )`);
+  }
+
+  const attributes = Object.fromEntries(
+    FACET_ATTRIBUTES
+      .filter((key) => typeof attributeFilters[key] === 'string' && attributeFilters[key] !== '')
+      .map((key) => [key, attributeFilters[key]])
+  );
+  if (Object.keys(attributes).length > 0) {
+    params.push(JSON.stringify(attributes));
+    conditions.push(`EXISTS (
+            SELECT 1 FROM product_variants v
+            WHERE v.product_id = p.id AND v.attributes @> $${params.length}
+        )`);
+  }
+
+  const term = typeof search === 'string' ? search.trim().slice(0, MAX_SEARCH_LENGTH) : '';
+  if (term) {
+    params.push(term);
+    const query = `websearch_to_tsquery('${SEARCH_CONFIG}', $${params.length})`;
+    const normalizedTerm = `lower(unaccent($${params.length}))`;
+
+    conditions.push(`(ps.document @@ ${query} OR ${normalizedTerm} <% ps.search_text)`);
+    // ts_rank_cd normalisé (32 : rang / (rang + 1)) + proximité trigramme, chacun dans [0, 1]
+    rankExpr = `(ts_rank_cd(ps.document, ${query}, 32) + word_similarity(${normalizedTerm}, ps.search_text) * 0.5)::float8`;
+  }
+
+  if (minPrice != null) {
+    params.push(minPrice);
+    conditions.push(`pricing.price >= $${params.length}`);
+  }
+
+  if (maxPrice != null) {
+    params.push(maxPrice);
+    conditions.push(`pricing.price <= $${params.length}`);
+  }
+
+  if (inStock) {
+    conditions.push('pricing.in_stock');
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  return {
+    sql: `filtered AS (
+            SELECT p.id, p.created_at, ${rankExpr} AS rank,
+                   pricing.price, pricing.in_stock, COALESCE(sales.units_sold, 0) AS units_sold
+            FROM products p
+            LEFT JOIN product_search_index ps ON ps.product_id = p.id
+            LEFT JOIN product_sales sales ON sales.product_id = p.id
+            LEFT JOIN LATERAL (
+                SELECT MIN(COALESCE(promo.effective_price, v.price)) AS price,
+                       COALESCE(BOOL_OR(i.available_stock > 0), FALSE) AS in_stock
+                FROM product_variants v
+                LEFT JOIN inventory i ON i.variant_id = v.id
+                ${BEST_PROMOTION_JOIN}
+                WHERE v.product_id = p.id
+            ) pricing ON TRUE
+            ${whereClause}
+        )`,
+    params,
+  };
+};
 
 export const productsRepo = {
-  async create({ name, slug, description, status = PRODUCT_STATUS.DRAFT }, client = pgPool) {
+  async create({
+    name, slug, description, status = PRODUCT_STATUS.DRAFT, taxCategory = TAX_CATEGORY.STANDARD,
+  }, client = pgPool) {
     validateRequired({ name, slug }, ['name', 'slug']);
     validateSlug(slug);
     isValidEnum(status, PRODUCT_STATUS, 'status');
+    assertTaxCategory(taxCategory);
 
     const { rows } = await client.query(
-      `INSERT INTO products (name, slug, description, status) VALUES ($1, $2, $3, $4) RETURNING *`,
-      [name, slug, description ?? null, status]
+      `INSERT INTO products (name, slug, description, status, tax_category)
+       VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+      [name, slug, description ?? null, status, taxCategory]
     );
     return mapRow(rows[0]);
   },
@@ -38,60 +256,64 @@ export const productsRepo = {
    * Liste les produits avec filtres dynamiques, pagination et promotions actives embarquées.
    * Les promotions (variante ou produit) sont calculées en SQL pour retourner
    * directement le prix réduit sans requête supplémentaire côté service.
+   *
+   * Tri (`sort`, voir CATALOG_SORTS) : pertinence par défaut — sans `search`,
+   * du plus récent au plus ancien. Prix et filtres minPrice/maxPrice portent
+   * sur le prix effectif (`effectivePrice`), promotions appliquées.
+   *
+   * Pagination : `cursor` (valeur `nextCursor` de la page précédente) reprend
+   * après le dernier produit reçu, sans OFFSET ; à défaut, `page`. La page est
+   * découpée avant les jointures d'agrégation (CTE `paged`).
+   *
+   * @param {{ status?, categorySlug?, search?, size?, color?, material?, brand?,
+   *           minPrice?, maxPrice?, inStock?, sort?, cursor?, page?, limit? }} filters
    */
-  async list({ status, categorySlug, size, search, page = 1, limit = 20 } = {}, client = pgPool) {
-    const offset = (page - 1) * limit;
-    const params = [];
-    let queryIndex = 1;
-    const conditions = [];
-
-    if (status && status !== 'ALL') {
-      conditions.push(`p.status = $${queryIndex++}`);
-      params.push(status);
-    }
-
-    if (categorySlug) {
-      conditions.push(`c.slug = $${queryIndex++}`);
-      params.push(categorySlug);
-    }
-    if (size) {
-      conditions.push(`v.attributes @> $${queryIndex++}`);
-      params.push(JSON.stringify({ size }));
-    }
-
-    if (search) {
-      conditions.push(`(
-            p.name ILIKE $${queryIndex} OR
-            p.description ILIKE $${queryIndex} OR
-            v.sku ILIKE $${queryIndex}
-        )`);
-      params.push(`%${search}%`);
-      queryIndex++;
-    }
-
-    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
-
-    const joinClause = categorySlug
-      ? `LEFT JOIN product_variants v ON p.id = v.product_id
-           JOIN product_categories pc ON p.id = pc.product_id
-           JOIN categories c ON c.id = pc.category_id`
-      : `LEFT JOIN product_variants v ON p.id = v.product_id
-           LEFT JOIN product_categories pc ON p.id = pc.product_id
-           LEFT JOIN categories c ON c.id = pc.category_id`;
+  async list(filters = {}, client = pgPool) {
+    const { page = 1, limit = 20, cursor } = filters;
+    const sort = CATALOG_SORTS[filters.sort] ? filters.sort : CATALOG_SORT.RELEVANCE;
+    const { direction, keys } = CATALOG_SORTS[sort];
+    const { sql: filteredCte, params } = buildFilteredCte(filters);
 
     const { rows: countRows } = await client.query(
-      `SELECT COUNT(DISTINCT p.id) FROM products p ${joinClause} ${whereClause}`,
+      `WITH ${filteredCte} SELECT COUNT(*) FROM filtered`,
       params
     );
     const total = parseInt(countRows[0].count, 10);
 
-    const limitIdx = queryIndex++;
-    const offsetIdx = queryIndex++;
-    const dataParams = [...params, limit, offset];
+    const sortColumns = [...keys.map(({ expr }) => expr), 'f.id'];
+    const orderBy = sortColumns.map((column) => `${column} ${direction}`).join(', ');
+    const dataParams = [...params];
+    let seekClause = '';
+
+    if (cursor) {
+      const types = [...keys.map(({ type }) => type), 'uuid'];
+      const placeholders = decodeCursor(cursor, sort).map((value, i) => {
+        dataParams.push(value);
+        return `$${dataParams.length}::${types[i]}`;
+      });
+      seekClause = `WHERE (${sortColumns.join(', ')}) ${direction === 'DESC' ? '<' : '>'} (${placeholders.join(', ')})`;
+    }
+
+    // Un produit de plus que demandé : sa présence indique une page suivante
+    dataParams.push(limit + 1, cursor ? 0 : (page - 1) * limit);
+    const limitIdx = dataParams.length - 1;
+    const offsetIdx = dataParams.length;
 
     const { rows } = await client.query(
-      `SELECT
+      `WITH ${filteredCte},
+            paged AS (
+                SELECT f.id, f.price,
+                       ROW_NUMBER() OVER (ORDER BY ${orderBy}) AS position,
+                       jsonb_build_array(${sortColumns.join(', ')}) AS sort_key
+                FROM filtered f
+                ${seekClause}
+                ORDER BY ${orderBy}
+                LIMIT $${limitIdx} OFFSET $${offsetIdx}
+            )
+            SELECT
                 p.*,
+                paged.price as effective_price,
+                paged.sort_key,
                 MIN(v.price) as starting_price,
                 COUNT(DISTINCT v.id) as variant_count,
                 MIN(c.name) as category_name,
@@ -140,7 +362,8 @@ export const productsRepo = {
                         )
                     ) FILTER (WHERE v.id IS NOT NULL), '[]'
                 ) as variants_preview
-            FROM products p
+            FROM paged
+            JOIN products p ON p.id = paged.id
             LEFT JOIN product_variants v ON p.id = v.product_id
             LEFT JOIN inventory i ON v.id = i.variant_id
             LEFT JOIN variant_promotions vp ON v.id = vp.variant_id
@@ -148,31 +371,40 @@ export const productsRepo = {
                 AND promo_v.status = 'ACTIVE'
                 AND promo_v.start_date <= NOW()
                 AND promo_v.end_date >= NOW()
+                AND (promo_v.max_usage IS NULL OR promo_v.usage_count < promo_v.max_usage)
             LEFT JOIN product_promotions pp ON p.id = pp.product_id
             LEFT JOIN promotions promo_p ON pp.promotion_id = promo_p.id
                 AND promo_p.status = 'ACTIVE'
                 AND promo_p.start_date <= NOW()
                 AND promo_p.end_date >= NOW()
-            ${categorySlug
-        ? 'JOIN product_categories pc ON p.id = pc.product_id JOIN categories c ON c.id = pc.category_id'
-        : 'LEFT JOIN product_categories pc ON p.id = pc.product_id LEFT JOIN categories c ON c.id = pc.category_id'
-      }
-            ${whereClause}
-            GROUP BY p.id
-            ORDER BY p.created_at DESC
-            LIMIT $${limitIdx} OFFSET $${offsetIdx}`,
+                AND (promo_p.max_usage IS NULL OR promo_p.usage_count < promo_p.max_usage)
+            LEFT JOIN product_categories pc ON p.id = pc.product_id
+            LEFT JOIN categories c ON c.id = pc.category_id
+            GROUP BY p.id, paged.position, paged.price, paged.sort_key
+            ORDER BY paged.position`,
       dataParams
     );
 
+    const hasMore = rows.length > limit;
+    const pageRows = rows.slice(0, limit);
+    const nextCursor = hasMore ? encodeCursor(sort, pageRows.at(-1).sort_key) : null;
+
     return {
-      data: mapRows(rows),
-      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+      data: mapRows(pageRows.map(({ sort_key: _sortKey, ...row }) => row)),
+      pagination: {
+        page: cursor ? null : page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        nextCursor,
+      },
     };
   },
 
-  async update(id, { name, slug, description, status }, client = pgPool) {
+  async update(id, { name, slug, description, status, taxCategory }, client = pgPool) {
     if (slug) validateSlug(slug);
     if (status) isValidEnum(status, PRODUCT_STATUS, 'status');
+    if (taxCategory !== undefined) assertTaxCategory(taxCategory);
 
     const updates = [];
     const params = [id];
@@ -182,6 +414,7 @@ export const productsRepo = {
     if (slug !== undefined) { updates.push(`slug = $${paramIdx++}`); params.push(slug); }
     if (description !== undefined) { updates.push(`description = $${paramIdx++}`); params.push(description); }
     if (status !== undefined) { updates.push(`status = $${paramIdx++}`); params.push(status); }
+    if (taxCategory !== undefined) { updates.push(`tax_category = $${paramIdx++}`); params.push(taxCategory); }
 
     if (updates.length === 0) return this.findById(id, client);
 
@@ -193,14 +426,66 @@ export const productsRepo = {
     return assertExists(mapRow(rows[0]), 'Product', id);
   },
 
-  async getUniqueSizes(client = pgPool) {
-    const { rows } = await client.query(`
-            SELECT DISTINCT v.attributes->>'size' as size
-            FROM product_variants v
-            WHERE v.attributes->>'size' IS NOT NULL
-            ORDER BY size ASC
-        `);
-    return rows.map((r) => r.size);
+  /**
+   * Facettes du catalogue filtré (mêmes filtres que list(), sans pagination) :
+   * catégories, tranches de prix (prix effectif), valeurs d'attributs et
+   * nombre de produits en stock. Calculées sur le résultat filtré : une
+   * facette déjà sélectionnée ne propose plus que sa valeur.
+   */
+  async listFacets(filters = {}, client = pgPool) {
+    const { sql: filteredCte, params } = buildFilteredCte(filters);
+    const attributesIdx = params.length + 1;
+    const boundsIdx = params.length + 2;
+
+    const { rows } = await client.query(
+      `WITH ${filteredCte}
+            SELECT
+                (SELECT COALESCE(json_agg(cat ORDER BY cat.count DESC, cat.name), '[]')
+                   FROM (SELECT c.id, c.name, c.slug, COUNT(*)::int AS count
+                           FROM filtered f
+                           JOIN product_categories pc ON pc.product_id = f.id
+                           JOIN categories c ON c.id = pc.category_id
+                          GROUP BY c.id) cat
+                ) AS categories,
+                (SELECT COALESCE(json_agg(attr ORDER BY attr.key, attr.count DESC, attr.value), '[]')
+                   FROM (SELECT a.key, a.value, COUNT(DISTINCT v.product_id)::int AS count
+                           FROM filtered f
+                           JOIN product_variants v ON v.product_id = f.id
+                           CROSS JOIN LATERAL jsonb_each_text(COALESCE(v.attributes, '{}'::jsonb)) AS a(key, value)
+                          WHERE a.key = ANY($${attributesIdx}::text[])
+                          GROUP BY a.key, a.value) attr
+                ) AS attributes,
+                (SELECT COALESCE(json_agg(b ORDER BY b.bucket), '[]')
+                   FROM (SELECT width_bucket(f.price, $${boundsIdx}::numeric[]) AS bucket, COUNT(*)::int AS count
+                           FROM filtered f
+                          WHERE f.price IS NOT NULL
+                          GROUP BY 1) b
+                ) AS price_buckets,
+                (SELECT COUNT(*)::int FROM filtered f WHERE f.in_stock) AS in_stock`,
+      [...params, FACET_ATTRIBUTES, PRICE_BUCKET_BOUNDS]
+    );
+
+    const { categories, attributes, priceBuckets, inStock } = mapRow(rows[0]);
+
+    const attributeFacets = Object.fromEntries(FACET_ATTRIBUTES.map((key) => [key, []]));
+    for (const { key, value, count } of attributes) {
+      attributeFacets[key].push({ value, count });
+    }
+
+    // Toutes les tranches sont retournées, y compris vides, pour un affichage stable
+    const countByBucket = new Map(priceBuckets.map(({ bucket, count }) => [bucket, count]));
+    const priceFacets = [0, ...PRICE_BUCKET_BOUNDS].map((min, index) => ({
+      min,
+      max: PRICE_BUCKET_BOUNDS[index] ?? null,
+      count: countByBucket.get(index) ?? 0,
+    }));
+
+    return {
+      categories,
+      priceBuckets: priceFacets,
+      attributes: attributeFacets,
+      inStock,
+    };
   },
 
   // --- Variantes ---
@@ -302,11 +587,13 @@ export const productsRepo = {
                AND promo_v.status = 'ACTIVE'
                AND promo_v.start_date <= NOW()
                AND promo_v.end_date >= NOW()
+               AND (promo_v.max_usage IS NULL OR promo_v.usage_count < promo_v.max_usage)
              LEFT JOIN product_promotions pp ON p.id = pp.product_id
              LEFT JOIN promotions promo_p ON pp.promotion_id = promo_p.id
                AND promo_p.status = 'ACTIVE'
                AND promo_p.start_date <= NOW()
                AND promo_p.end_date >= NOW()
+               AND (promo_p.max_usage IS NULL OR promo_p.usage_count < promo_p.max_usage)
              LEFT JOIN product_categories pc ON p.id = pc.product_id
              LEFT JOIN categories c ON c.id = pc.category_id
              WHERE p.${column} = $1
@@ -392,49 +679,23 @@ export const productsRepo = {
    * Cette méthode accepte un `client` pour s'exécuter dans la même transaction
    * que la réservation de stock, garantissant une vue cohérente de la DB.
    *
+   * Une seule promotion est retenue : celle de la variante prime sur celle du produit,
+   * puis le prix le plus bas. Les promotions épuisées (usage_count >= max_usage)
+   * sont ignorées — le checkout retombe sur la suivante ou sur le prix de base.
+   *
    * @param {string} variantId - UUID de la variante
    * @param {import('pg').PoolClient} client - Client de transaction
-   * @returns {Promise<{ basePrice: number, effectivePrice: number, hasPromotion: boolean }>}
+   * @returns {Promise<{ basePrice: number, effectivePrice: number, hasPromotion: boolean, promotionId: string|null }>}
    */
   async findActivePromotionPrice(variantId, client = pgPool) {
     const { rows } = await client.query(
       `SELECT
             v.price                                                      AS base_price,
-            CASE
-                WHEN promo_v.id IS NOT NULL THEN
-                    CASE
-                        WHEN promo_v.discount_type = 'PERCENTAGE'
-                            THEN ROUND(v.price * (1 - promo_v.discount_value / 100.0), 2)
-                        WHEN promo_v.discount_type = 'FIXED'
-                            THEN GREATEST(0, v.price - promo_v.discount_value)
-                        ELSE v.price
-                    END
-                WHEN promo_p.id IS NOT NULL THEN
-                    CASE
-                        WHEN promo_p.discount_type = 'PERCENTAGE'
-                            THEN ROUND(v.price * (1 - promo_p.discount_value / 100.0), 2)
-                        WHEN promo_p.discount_type = 'FIXED'
-                            THEN GREATEST(0, v.price - promo_p.discount_value)
-                        ELSE v.price
-                    END
-                ELSE v.price
-            END                                                          AS effective_price,
-            (promo_v.id IS NOT NULL OR promo_p.id IS NOT NULL)          AS has_promotion
+            COALESCE(promo.effective_price, v.price)                     AS effective_price,
+            (promo.id IS NOT NULL)                                       AS has_promotion,
+            promo.id                                                     AS promotion_id
         FROM product_variants v
-        LEFT JOIN variant_promotions vp
-            ON v.id = vp.variant_id
-        LEFT JOIN promotions promo_v
-            ON vp.promotion_id = promo_v.id
-            AND promo_v.status      = 'ACTIVE'
-            AND promo_v.start_date <= NOW()
-            AND promo_v.end_date   >= NOW()
-        LEFT JOIN product_promotions pp
-            ON v.product_id = pp.product_id
-        LEFT JOIN promotions promo_p
-            ON pp.promotion_id = promo_p.id
-            AND promo_p.status      = 'ACTIVE'
-            AND promo_p.start_date <= NOW()
-            AND promo_p.end_date   >= NOW()
+        ${BEST_PROMOTION_JOIN}
         WHERE v.id = $1`,
       [variantId]
     );
@@ -445,6 +706,7 @@ export const productsRepo = {
       basePrice: parseFloat(rows[0].base_price),
       effectivePrice: parseFloat(rows[0].effective_price),
       hasPromotion: rows[0].has_promotion,
+      promotionId: rows[0].promotion_id,
     };
   },
 };
\ No newline at end of file
@@ -200,15 +200,65 @@ export const promotionsRepo = {
         return mapRow(rows[0]);
     },
 
+    /**
+     * Incrémente usage_count si max_usage n'est pas atteint.
+     * Retourne null si la garde échoue (promotion épuisée ou inexistante).
+     */
     async incrementUsage(id, client = pgPool) {
         const { rows } = await client.query(
             `UPDATE promotions
              SET usage_count = usage_count + 1
              WHERE id = $1
+               AND (max_usage IS NULL OR usage_count < max_usage)
              RETURNING *`,
             [id]
         );
-        return mapRow(rows[0]);
+        return mapRow(rows[0] ?? null);
+    },
+
+    /**
+     * Trace l'utilisation d'une promotion par une commande.
+     * Retourne null si la commande l'a déjà consommée (rejeu idempotent).
+     */
+    async addRedemption(promotionId, orderId, client = pgPool) {
+        const { rows } = await client.query(
+            `INSERT INTO promotion_redemptions (promotion_id, order_id)
+             VALUES ($1, $2)
+             ON CONFLICT (promotion_id, order_id) DO NOTHING
+             RETURNING *`,
+            [promotionId, orderId]
+        );
+        return mapRow(rows[0] ?? null);
+    },
+
+    async findRedemptionsByOrderId(orderId, client = pgPool) {
+        const { rows } = await client.query(
+            `SELECT * FROM promotion_redemptions WHERE order_id = $1`,
+            [orderId]
+        );
+        return mapRows(rows);
+    },
+
+    /**
+     * Supprime les utilisations d'une commande annulée et rend une unité
+     * au compteur de chaque promotion concernée.
+     * Retourne les ids des promotions libérées.
+     */
+    async releaseByOrderId(orderId, client = pgPool) {
+        const { rows } = await client.query(
+            `DELETE FROM promotion_redemptions WHERE order_id = $1 RETURNING promotion_id`,
+            [orderId]
+        );
+        const promotionIds = rows.map((row) => row.promotion_id);
+        if (promotionIds.length === 0) return [];
+
+        await client.query(
+            `UPDATE promotions
+             SET usage_count = usage_count - 1
+             WHERE id = ANY($1::uuid[]) AND usage_count > 0`,
+            [promotionIds]
+        );
+        return promotionIds;
     },
 
     async getLinkedProducts(promotionId, client = pgPool) {
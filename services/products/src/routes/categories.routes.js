@@ -5,23 +5,24 @@
 import { Router } from 'express';
 import { categoryController } from '../controllers/categories.controller.js';
 import { protect } from '../middleware/auth.middleware.js';
-import { restrictTo } from '../middleware/role.middleware.js';
+import { requirePermission } from '../middleware/role.middleware.js';
+import { PERMISSIONS } from '../constants/roles.js';
 
 const router = Router();
 
 // Lecture publique : Tout le monde doit pouvoir voir les catégories
 router.get('/', categoryController.getAllCategories);
 
-// Écriture protégée : Seuls les admins peuvent modifier la taxonomie du site
+// Écriture protégée : seuls les comptes categories:write modifient la taxonomie du site
 router.post(
     '/',
     protect,              // 1. Vérifie le token JWT
-    restrictTo('ADMIN'),  // 2. Vérifie le rôle
+    requirePermission(PERMISSIONS.CATEGORIES_WRITE),  // 2. Vérifie la permission
     categoryController.createCategory
 );
 
 
-router.patch('/:id', protect, restrictTo('ADMIN'), categoryController.updateCategory);
-router.delete('/:id', protect, restrictTo('ADMIN'), categoryController.deleteCategory);
+router.patch('/:id', protect, requirePermission(PERMISSIONS.CATEGORIES_WRITE), categoryController.updateCategory);
+router.delete('/:id', protect, requirePermission(PERMISSIONS.CATEGORIES_WRITE), categoryController.deleteCategory);
 
 export default router;
\ No newline at end of file
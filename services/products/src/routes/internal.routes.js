@@ -9,11 +9,14 @@
  * Périmètre :
  * ┌─────────────────────────────────────────────────────────────────┐
  * │ GET  /internal/variants/:variantId        → order + cart        │
- * │ GET  /internal/variants/:variantId/promo  → order-service       │
+ * │ GET  /internal/variants/:variantId/promo  → order + cart        │
  * │ GET  /internal/inventory/:variantId       → cart-service        │
  * │ POST /internal/inventory/reserve          → order-service       │
  * │ POST /internal/inventory/release          → order-service       │
  * │ POST /internal/inventory/confirm          → order-service       │
+ * │ POST /internal/inventory/restock          → order-service       │
+ * │ POST /internal/promotions/redeem          → order-service       │
+ * │ POST /internal/promotions/release         → order-service       │
  * │ GET  /internal/stats                      → admin-service       │
  * └─────────────────────────────────────────────────────────────────┘
  */
@@ -23,6 +26,9 @@ import { fromInternalService } from '../middleware/internal.middleware.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import { HTTP_STATUS } from '../constants/httpStatus.js';
 import { ValidationError } from '../utils/appError.js';
+import { validateUUID } from '../utils/validation.js';
+import { promotionService } from '../services/promotions.service.js';
+import { inventoryService } from '../services/inventory.service.js';
 
 const router = Router();
 
@@ -71,6 +77,8 @@ router.get(
  * GET /internal/variants/:variantId/promo
  * Retourne le prix effectif en tenant compte des promotions actives.
  * Utilisé par l'order-service pour snapshot le prix promotionnel au checkout.
+ * Le cart-service le relève pour les alertes de baisse de prix des listes d'envies.
+ * `promotionId` identifie la promotion retenue, à consommer via /internal/promotions/redeem.
  */
 router.get(
     '/variants/:variantId/promo',
@@ -92,6 +100,7 @@ router.get(
                 basePrice: promotionData.basePrice,
                 effectivePrice: promotionData.effectivePrice,
                 hasPromotion: promotionData.hasPromotion,
+                promotionId: promotionData.promotionId,
             },
         });
     })
@@ -205,6 +214,89 @@ router.post(
     })
 );
 
+/**
+ * POST /internal/inventory/restock
+ * Réintègre au stock disponible des articles déjà vendus (remboursement après expédition).
+ * Contrairement à release, le stock réservé n'est pas touché : la vente avait été confirmée.
+ */
+router.post(
+    '/inventory/restock',
+    asyncHandler(async (req, res) => {
+        const { variantId, quantity } = req.body;
+
+        if (!variantId || !quantity) {
+            throw new ValidationError('Les champs variantId et quantity sont requis');
+        }
+
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+            throw new ValidationError('Le champ quantity doit être un entier positif');
+        }
+
+        // Le service invalide le cache de disponibilité, comme le restock admin
+        await inventoryService.restockVariant(variantId, quantity);
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            message: 'Stock réintégré',
+        });
+    })
+);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PROMOTIONS — consommation de max_usage par les commandes
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * POST /internal/promotions/redeem
+ * Consomme une utilisation de chaque promotion pour la commande.
+ * Les promotions épuisées ne bloquent pas l'appel : elles sont renvoyées dans
+ * `exhausted` et l'order-service applique le prix de base aux lignes concernées.
+ * @body { orderId, promotionIds: string[] }
+ */
+router.post(
+    '/promotions/redeem',
+    asyncHandler(async (req, res) => {
+        const { orderId, promotionIds } = req.body;
+
+        if (!orderId || !Array.isArray(promotionIds)) {
+            throw new ValidationError('Les champs orderId et promotionIds sont requis');
+        }
+        validateUUID(orderId, 'orderId');
+        promotionIds.forEach((id) => validateUUID(id, 'promotionId'));
+
+        const result = await promotionService.redeemForOrder(orderId, promotionIds);
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            data: result,
+        });
+    })
+);
+
+/**
+ * POST /internal/promotions/release
+ * Rend les utilisations consommées par une commande annulée (ou dont la création a échoué).
+ * @body { orderId }
+ */
+router.post(
+    '/promotions/release',
+    asyncHandler(async (req, res) => {
+        const { orderId } = req.body;
+
+        if (!orderId) {
+            throw new ValidationError('Le champ orderId est requis');
+        }
+        validateUUID(orderId, 'orderId');
+
+        const released = await promotionService.releaseForOrder(orderId);
+
+        res.status(HTTP_STATUS.OK).json({
+            status: 'success',
+            data: { released },
+        });
+    })
+);
+
 // ─────────────────────────────────────────────────────────────────────────────
 // STATS — agrégats pour l'admin-service
 // ─────────────────────────────────────────────────────────────────────────────
@@ -2,7 +2,7 @@
  * @module Routes/Inventory
  *
  * Lecture de stock : publique.
- * Ajustements et alertes : réservés aux administrateurs.
+ * Ajustements et alertes : permissions inventory:adjust et inventory:read.
  *
  * ORDRE DES ROUTES (critique) :
  * GET /alerts doit être déclaré AVANT GET /:variantId.
@@ -13,21 +13,22 @@
 import { Router } from 'express';
 import { inventoryController } from '../controllers/inventory.controller.js';
 import { protect } from '../middleware/auth.middleware.js';
-import { restrictTo } from '../middleware/role.middleware.js';
+import { requirePermission } from '../middleware/role.middleware.js';
+import { PERMISSIONS } from '../constants/roles.js';
 
 const router = Router();
 
 // Route statique déclarée en premier
-router.get('/', protect, restrictTo('ADMIN'), inventoryController.getAllInventory);
+router.get('/', protect, requirePermission(PERMISSIONS.INVENTORY_READ), inventoryController.getAllInventory);
 
 // Route statique déclarée en premier — sinon capturée par /:variantId
-router.get('/alerts', protect, restrictTo('ADMIN'), inventoryController.getLowStockAlerts);
+router.get('/alerts', protect, requirePermission(PERMISSIONS.INVENTORY_READ), inventoryController.getLowStockAlerts);
 
 // Route publique — lecture du stock d'une variante
 router.get('/:variantId', inventoryController.getStock);
 
 // Routes d'administration — mutation du stock
-router.patch('/:variantId/adjust', protect, restrictTo('ADMIN'), inventoryController.adjustStock);
-router.patch('/restock/:variantId', protect, restrictTo('ADMIN'), inventoryController.addStock);
+router.patch('/:variantId/adjust', protect, requirePermission(PERMISSIONS.INVENTORY_ADJUST), inventoryController.adjustStock);
+router.patch('/restock/:variantId', protect, requirePermission(PERMISSIONS.INVENTORY_ADJUST), inventoryController.addStock);
 
 export default router;
\ No newline at end of file
@@ -2,7 +2,7 @@
  * @module Routes/Products
  *
  * Catalogue produits et gestion des variantes.
- * Lecture : publique. Création, modification, suppression : ADMIN uniquement.
+ * Lecture : publique. Création, modification, suppression : permission products:write.
  *
  * ORDRE DES ROUTES (critique) :
  * /filters et /validate-variants doivent précéder /:idOrSlug
@@ -11,7 +11,8 @@
 import { Router } from 'express';
 import { productController } from '../controllers/product.controller.js';
 import { protect } from '../middleware/auth.middleware.js';
-import { restrictTo } from '../middleware/role.middleware.js';
+import { requirePermission } from '../middleware/role.middleware.js';
+import { PERMISSIONS } from '../constants/roles.js';
 import { validateUUID, validateRequired } from '../utils/validation.js';
 import { ValidationError } from '../utils/appError.js';
 import { uploadCloud } from '../config/cloudinary.js';
@@ -26,6 +27,11 @@ const router = Router();
 // ROUTES PUBLIQUES — statiques en premier, paramétriques en dernier
 // ─────────────────────────────────────────────────────────────────────
 
+/**
+ * GET /api/v1/products/filters
+ * Facettes (catégories, tranches de prix, tailles/couleurs/matières/marques, stock)
+ * du catalogue actif, restreintes par les mêmes filtres que GET /.
+ */
 router.get('/filters', productController.getFilters);
 
 /**
@@ -53,6 +59,17 @@ router.post(
     })
 );
 
+/**
+ * GET /api/v1/products
+ * Filtres : status, categorySlug, size, color, material, brand, search,
+ * minPrice, maxPrice (prix effectif, promotions appliquées), inStock=true.
+ * `search` : plein texte français sans accents, tolérant aux fautes de frappe.
+ * Tri `sort` : relevance (défaut avec search), newest (défaut), price_asc,
+ * price_desc, popularity.
+ * Pagination : `limit` (max 100) et `page` (max 50), ou `cursor` =
+ * pagination.nextCursor de la page précédente, sans limite de profondeur.
+ * La réponse inclut les facettes du résultat.
+ */
 router.get('/', productController.getAll);
 router.get('/:idOrSlug', productController.getOne);
 
@@ -60,7 +77,7 @@ router.get('/:idOrSlug', productController.getOne);
 // ROUTES ADMINISTRATION
 // ─────────────────────────────────────────────────────────────────────
 
-router.use(protect, restrictTo('ADMIN'));
+router.use(protect, requirePermission(PERMISSIONS.PRODUCTS_WRITE));
 
 router.post(
     '/',
@@ -2,12 +2,13 @@
  * @module Routes/Promotions
  *
  * Lecture publique (liste).
- * Création, modification, suppression et toggle : réservés aux administrateurs.
+ * Création, modification, suppression et toggle : permission promotions:write.
  */
 import { Router } from 'express';
 import { promotionController } from '../controllers/promotions.controller.js';
 import { protect } from '../middleware/auth.middleware.js';
-import { restrictTo } from '../middleware/role.middleware.js';
+import { requirePermission } from '../middleware/role.middleware.js';
+import { PERMISSIONS } from '../constants/roles.js';
 import { validateUUID, validateRequired } from '../utils/validation.js';
 
 const router = Router();
@@ -24,7 +25,7 @@ router.get('/', promotionController.getAll);
 
 router.get('/:id',
     protect,
-    restrictTo('ADMIN'),
+    requirePermission(PERMISSIONS.PROMOTIONS_WRITE),
     (req, _res, next) => {
         validateUUID(req.params.id);
         next();
@@ -34,7 +35,7 @@ router.get('/:id',
 
 router.post('/',
     protect,
-    restrictTo('ADMIN'),
+    requirePermission(PERMISSIONS.PROMOTIONS_WRITE),
     (req, _res, next) => {
         validateRequired(req.body.promotion, [
             'name',
@@ -50,7 +51,7 @@ router.post('/',
 
 router.patch('/:id',
     protect,
-    restrictTo('ADMIN'),
+    requirePermission(PERMISSIONS.PROMOTIONS_WRITE),
     (req, _res, next) => {
         validateUUID(req.params.id);
         next();
@@ -60,7 +61,7 @@ router.patch('/:id',
 
 router.patch('/:id/toggle',
     protect,
-    restrictTo('ADMIN'),
+    requirePermission(PERMISSIONS.PROMOTIONS_WRITE),
     (req, _res, next) => {
         validateUUID(req.params.id);
         next();
@@ -70,7 +71,7 @@ router.patch('/:id/toggle',
 
 router.delete('/:id',
     protect,
-    restrictTo('ADMIN'),
+    requirePermission(PERMISSIONS.PROMOTIONS_WRITE),
     (req, _res, next) => {
         validateUUID(req.params.id);
         next();
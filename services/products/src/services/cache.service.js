@@ -5,10 +5,12 @@
  * Compatible Upstash (rediss:// TLS) et Redis local (redis://).
  *
  * Préfixes utilisés dans ce service :
- *   product:details:<id|slug>  → détails d'un produit (TTL 1h)
- *   catalog:list:<base64>      → liste catalogue avec filtres (TTL 15min)
- *   categories:all             → liste des catégories (TTL 24h)
- *   stock:variant:<variantId>  → niveau de stock d'une variante (TTL 1h)
+ *   product:details:<id|slug>    → détails d'un produit (TTL 1h)
+ *   catalog:list:page:<sha256>   → page du catalogue avec facettes (TTL 15min)
+ *   catalog:list:facets:<sha256> → facettes seules, GET /products/filters (TTL 15min)
+ *     (empreinte des filtres normalisés : longueur de clé fixe)
+ *   categories:all               → liste des catégories (TTL 24h)
+ *   stock:variant:<variantId>    → niveau de stock d'une variante (TTL 1h)
  */
 import { createClient } from 'redis';
 import { ENV } from '../config/environment.js';
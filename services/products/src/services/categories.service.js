@@ -69,7 +69,8 @@ class CategoryService {
         const updated = await categoriesRepo.update(id, data);
         if (!updated) throw new AppError('Catégorie introuvable', HTTP_STATUS.NOT_FOUND);
 
-        await cacheService.delete(this.#getCacheKey('all'));
+        // Le nom figure dans les listes et leurs facettes (l'index de recherche suit par trigger)
+        await cacheService.deleteMany([this.#getCacheKey('all'), 'catalog:list:*']);
         return updated;
     }
 
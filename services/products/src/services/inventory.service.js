@@ -153,8 +153,8 @@ class InventoryService {
     }
 
     async restockVariant(variantId, quantity) {
-        if (quantity <= 0) {
-            throw new ValidationError('La quantité à ajouter doit être supérieure à 0');
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+            throw new ValidationError('La quantité à ajouter doit être un entier supérieur à 0');
         }
 
         const updatedStock = await inventoryRepo.addStock(variantId, quantity);
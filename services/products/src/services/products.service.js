@@ -4,14 +4,24 @@
  * Gère le catalogue, les variantes et l'intégration avec l'inventaire.
  * Optimisé avec Redis pour les performances de lecture (cache-aside).
  */
+import { createHash } from 'crypto';
 import { productsRepo, inventoryRepo, categoriesRepo } from '../repositories/index.js';
-import { AppError, ConflictError, BusinessError } from '../utils/appError.js';
+import { AppError, ConflictError, BusinessError, ValidationError } from '../utils/appError.js';
 import { HTTP_STATUS } from '../constants/httpStatus.js';
-import { PRODUCT_STATUS } from '../constants/enums.js';
+import { PRODUCT_STATUS, CATALOG_SORT, isValidEnum } from '../constants/enums.js';
 import { pgPool } from '../config/database.js';
 import { cacheService } from './cache.service.js';
 import { logInfo } from '../utils/logger.js';
 
+// Filtres du catalogue acceptés en query string (tout autre paramètre est ignoré)
+const CATALOG_ATTRIBUTES = ['size', 'color', 'material', 'brand'];
+const MAX_FILTER_LENGTH = 100;
+const MAX_CURSOR_LENGTH = 512;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+// Au-delà, l'OFFSET devient coûteux : le client suit `nextCursor`
+const MAX_OFFSET_PAGE = 50;
+
 class ProductService {
     constructor() {
         if (ProductService.instance) return ProductService.instance;
@@ -59,7 +69,7 @@ class ProductService {
             throw new AppError('Format des attributs invalide (JSON requis)', HTTP_STATUS.BAD_REQUEST);
         }
 
-        const allowedKeys = ['color', 'size', 'material', 'image'];
+        const allowedKeys = ['color', 'size', 'material', 'brand', 'image'];
         const cleanAttributes = {};
 
         Object.keys(attributes).forEach((key) => {
@@ -71,6 +81,92 @@ class ProductService {
         return cleanAttributes;
     }
 
+    // ─── UTILS : FILTRES DU CATALOGUE ──────────────────────────────────────────
+
+    /**
+     * Valide et normalise les filtres de GET /products (query string).
+     * Seuls les paramètres connus sont retenus, dans un ordre fixe : deux
+     * requêtes équivalentes produisent la même clé de cache.
+     *
+     * @returns {{ filters: object, pagination: { sort, limit, page?, cursor? } }}
+     */
+    #normalizeCatalogQuery(query = {}) {
+        const filters = {};
+        const text = (value) => (typeof value === 'string' ? value.trim().replace(/\s+/g, ' ') : '');
+
+        const status = text(query.status);
+        if (!status) {
+            filters.status = PRODUCT_STATUS.ACTIVE;
+        } else if (status !== 'ALL') {
+            if (!isValidEnum(status, PRODUCT_STATUS)) {
+                throw new ValidationError(
+                    `status invalide. Valeurs acceptées : ${[...Object.values(PRODUCT_STATUS), 'ALL'].join(', ')}`
+                );
+            }
+            filters.status = status;
+        }
+
+        const categorySlug = text(query.categorySlug);
+        if (categorySlug) filters.categorySlug = categorySlug.slice(0, MAX_FILTER_LENGTH);
+
+        const search = text(query.search);
+        if (search) filters.search = search.slice(0, MAX_FILTER_LENGTH);
+
+        for (const key of CATALOG_ATTRIBUTES) {
+            const value = text(query[key]);
+            if (value) filters[key] = value.slice(0, MAX_FILTER_LENGTH);
+        }
+
+        for (const key of ['minPrice', 'maxPrice']) {
+            if (query[key] === undefined || query[key] === '') continue;
+            const price = Number(query[key]);
+            if (!Number.isFinite(price) || price < 0) {
+                throw new ValidationError(`${key} doit être un nombre positif`);
+            }
+            filters[key] = Math.round(price * 100) / 100;
+        }
+        if (filters.minPrice !== undefined && filters.maxPrice !== undefined && filters.minPrice > filters.maxPrice) {
+            throw new ValidationError('minPrice ne peut pas dépasser maxPrice');
+        }
+
+        if (query.inStock === 'true' || query.inStock === '1') filters.inStock = true;
+
+        const sort = text(query.sort) || (filters.search ? CATALOG_SORT.RELEVANCE : CATALOG_SORT.NEWEST);
+        if (!isValidEnum(sort, CATALOG_SORT)) {
+            throw new ValidationError(
+                `sort invalide. Valeurs acceptées : ${Object.values(CATALOG_SORT).join(', ')}`
+            );
+        }
+
+        const limit = query.limit === undefined || query.limit === '' ? DEFAULT_PAGE_SIZE : Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+            throw new ValidationError(`limit doit être un entier entre 1 et ${MAX_PAGE_SIZE}`);
+        }
+
+        const cursor = text(query.cursor);
+        if (cursor) {
+            if (cursor.length > MAX_CURSOR_LENGTH) throw new ValidationError('cursor invalide');
+            return { filters, pagination: { sort, limit, cursor } };
+        }
+
+        const page = query.page === undefined || query.page === '' ? 1 : Number(query.page);
+        if (!Number.isInteger(page) || page < 1 || page > MAX_OFFSET_PAGE) {
+            throw new ValidationError(
+                `page doit être un entier entre 1 et ${MAX_OFFSET_PAGE} ; au-delà, utilisez cursor (pagination.nextCursor)`
+            );
+        }
+
+        return { filters, pagination: { sort, limit, page } };
+    }
+
+    /**
+     * Clé de cache de longueur fixe, quels que soient les filtres reçus.
+     */
+    #getCatalogCacheKey(type, payload) {
+        const digest = createHash('sha256').update(JSON.stringify(payload)).digest('base64url');
+        return `catalog:list:${type}:${digest}`;
+    }
+
     // ─── UTILS : ENRICHISSEMENT ─────────────────────────────────────────────────
 
     /**
@@ -119,21 +215,25 @@ class ProductService {
         return enrichedProduct;
     }
 
-    async listCatalog(filters) {
-        const cacheKey = `catalog:list:${Buffer.from(JSON.stringify(filters)).toString('base64')}`;
+    /**
+     * Catalogue filtré, trié et paginé, avec les facettes du résultat.
+     * Les filtres sont normalisés avant de former la clé de cache : les
+     * paramètres inconnus n'en créent pas de nouvelles.
+     *
+     * @param {object} query - Query string de GET /products
+     * @throws {ValidationError} filtre, tri, page ou curseur invalide
+     */
+    async listCatalog(query = {}) {
+        const { filters, pagination: paging } = this.#normalizeCatalogQuery(query);
+        const cacheKey = this.#getCatalogCacheKey('page', { ...filters, ...paging });
 
         const cachedList = await cacheService.get(cacheKey);
         if (cachedList) return cachedList;
 
-        const queryFilters = { ...filters };
-
-        if (!queryFilters.status) {
-            queryFilters.status = PRODUCT_STATUS.ACTIVE;
-        } else if (queryFilters.status === 'ALL') {
-            delete queryFilters.status;
-        }
-
-        const { data, pagination } = await productsRepo.list(queryFilters);
+        const [{ data, pagination }, facets] = await Promise.all([
+            productsRepo.list({ ...filters, ...paging }),
+            productsRepo.listFacets(filters),
+        ]);
 
         const enrichedData = data.map((product) => {
             const startingPrice = parseFloat(product.startingPrice);
@@ -141,12 +241,13 @@ class ProductService {
             return {
                 ...product,
                 startingPrice,
+                effectivePrice: product.effectivePrice === null ? null : parseFloat(product.effectivePrice),
                 // Résolution correcte : parcourt TOUTES les variantes, pas seulement [0]
                 discountedPrice: this.#resolveDisplayPrice(product.variants_preview, startingPrice),
             };
         });
 
-        const result = { data: enrichedData, pagination };
+        const result = { data: enrichedData, pagination, facets };
         await cacheService.set(cacheKey, result, 900);
         return result;
     }
@@ -298,8 +399,25 @@ class ProductService {
         return true;
     }
 
-    async getProductFilters() {
-        return { sizes: await productsRepo.getUniqueSizes() };
+    /**
+     * Facettes du catalogue actif, restreintes par les mêmes filtres que listCatalog
+     * (recherche, catégorie, attributs, prix, stock). `sizes` est conservé pour les clients existants.
+     * Préfixe catalog:list: : invalidé avec les listes à chaque mutation du catalogue.
+     */
+    async getProductFilters(query = {}) {
+        // Tri et pagination sans effet sur les facettes : exclus de la clé de cache
+        const { sort: _sort, cursor: _cursor, page: _page, limit: _limit, ...facetQuery } = query;
+        const { filters } = this.#normalizeCatalogQuery(facetQuery);
+        const cacheKey = this.#getCatalogCacheKey('facets', filters);
+
+        const cached = await cacheService.get(cacheKey);
+        if (cached) return cached;
+
+        const facets = await productsRepo.listFacets(filters);
+
+        const result = { sizes: facets.attributes.size.map(({ value }) => value), facets };
+        await cacheService.set(cacheKey, result, 900);
+        return result;
     }
 }
 
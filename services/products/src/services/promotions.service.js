@@ -60,6 +60,23 @@ class PromotionService {
         }
     }
 
+    /**
+     * Invalide le cache des produits liés aux promotions dont la disponibilité
+     * a changé (épuisement ou libération d'une utilisation).
+     */
+    async #invalidatePromotionsCache(promotionIds) {
+        if (!promotionIds?.length) return;
+
+        try {
+            const linked = await Promise.all(
+                promotionIds.map((id) => promotionsRepo.getLinkedProducts(id))
+            );
+            await this.#invalidateProductsCache([...new Set(linked.flat().map((p) => p.id))]);
+        } catch (error) {
+            logError(error, { context: 'PromotionService.invalidatePromotionsCache', promotionIds });
+        }
+    }
+
     #validateDates(startDate, endDate) {
         if (new Date(endDate) <= new Date(startDate)) {
             throw new ValidationError('La date de fin doit être après la date de début');
@@ -208,6 +225,96 @@ class PromotionService {
         return result;
     }
 
+    // ─── CONSOMMATION AU CHECKOUT (order-service) ──────────────────────────────
+
+    /**
+     * Consomme les promotions appliquées à une commande, dans une seule transaction.
+     * Chaque incrément est gardé par max_usage : une promotion épuisée entre la
+     * résolution du prix et la création de la commande est renvoyée dans `exhausted`
+     * et l'order-service retombe sur le prix de base pour les lignes concernées.
+     * Idempotent : une promotion déjà consommée par la commande est comptée dans `redeemed`.
+     *
+     * @param {string} orderId
+     * @param {string[]} promotionIds
+     * @returns {Promise<{ redeemed: string[], exhausted: string[] }>}
+     */
+    async redeemForOrder(orderId, promotionIds) {
+        const uniqueIds = [...new Set(promotionIds)];
+        const redeemed = [];
+        const exhausted = [];
+        const depleted = [];
+
+        const client = await pgPool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const existing = await promotionsRepo.findRedemptionsByOrderId(orderId, client);
+            const alreadyRedeemed = new Set(existing.map((r) => r.promotionId));
+
+            for (const promotionId of uniqueIds) {
+                if (alreadyRedeemed.has(promotionId)) {
+                    redeemed.push(promotionId);
+                    continue;
+                }
+
+                const promotion = await promotionsRepo.incrementUsage(promotionId, client);
+                if (!promotion) {
+                    exhausted.push(promotionId);
+                    continue;
+                }
+
+                await promotionsRepo.addRedemption(promotionId, orderId, client);
+                redeemed.push(promotionId);
+
+                if (promotion.maxUsage !== null && promotion.usageCount >= promotion.maxUsage) {
+                    depleted.push(promotionId);
+                }
+            }
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        // Une promotion qui vient d'atteindre max_usage disparaît du catalogue
+        await this.#invalidatePromotionsCache(depleted);
+
+        if (exhausted.length > 0) {
+            logInfo(`Promotions épuisées pour la commande ${orderId} : ${exhausted.join(', ')}`);
+        }
+
+        return { redeemed, exhausted };
+    }
+
+    /**
+     * Rend les utilisations d'une commande annulée. Sans effet si la commande
+     * n'avait consommé aucune promotion.
+     *
+     * @returns {Promise<string[]>} ids des promotions libérées
+     */
+    async releaseForOrder(orderId) {
+        const client = await pgPool.connect();
+        let released;
+        try {
+            await client.query('BEGIN');
+            released = await promotionsRepo.releaseByOrderId(orderId, client);
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        // Une promotion épuisée redevient peut-être applicable
+        await this.#invalidatePromotionsCache(released);
+
+        return released;
+    }
+
     calculateDiscountedPrice(originalPrice, promotion) {
         if (!promotion) return originalPrice;
 
@@ -0,0 +1,87 @@
+/**
+ * @module Tests/AuthMiddleware
+ *
+ * Vérification des access tokens de l'auth-service par `protect` : seuls les
+ * tokens RS256/ES256 portant le `kid` d'une clé publiée sont acceptés.
+ */
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../clients/jwks.client.js', () => ({
+    jwksClient: { getSigningKey: vi.fn() },
+}));
+
+vi.mock('../clients/impersonationAudit.client.js', () => ({
+    impersonationAuditClient: { record: vi.fn() },
+}));
+
+import { protect } from '../middleware/auth.middleware.js';
+import { jwksClient } from '../clients/jwks.client.js';
+
+const USER_ID = '11111111-1111-4111-8111-111111111111';
+const ISSUER = 'mon-ecommerce-api';
+const AUDIENCE = 'mon-ecommerce-client';
+
+const ecKeys = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+const rsaKeys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const PUBLISHED_KEYS = {
+    'ec-1': { alg: 'ES256', publicKey: ecKeys.publicKey },
+    'rsa-1': { alg: 'RS256', publicKey: rsaKeys.publicKey },
+};
+
+const signToken = (key, algorithm, options = {}) => jwt.sign(
+    { sub: USER_ID, email: 'admin@example.com', roles: ['ADMIN'] },
+    key,
+    { algorithm, issuer: ISSUER, audience: AUDIENCE, expiresIn: '15m', ...options }
+);
+
+const runProtect = async (token) => {
+    const req = { headers: { authorization: `Bearer ${token}` }, method: 'GET' };
+    const next = vi.fn();
+    await protect(req, { on: vi.fn() }, next);
+    return { req, error: next.mock.calls[0][0] };
+};
+
+describe('protect', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+        jwksClient.getSigningKey.mockImplementation(async (kid) => PUBLISHED_KEYS[kid] ?? null);
+    });
+
+    it('devrait accepter un token ES256 signé par une clé publiée', async () => {
+        const { req, error } = await runProtect(signToken(ecKeys.privateKey, 'ES256', { keyid: 'ec-1' }));
+
+        expect(error).toBeUndefined();
+        expect(req.user).toMatchObject({ id: USER_ID, roles: ['ADMIN'], impersonation: null });
+    });
+
+    it('devrait accepter un token RS256 signé par une clé publiée', async () => {
+        const { req, error } = await runProtect(signToken(rsaKeys.privateKey, 'RS256', { keyid: 'rsa-1' }));
+
+        expect(error).toBeUndefined();
+        expect(req.user.id).toBe(USER_ID);
+    });
+
+    it('devrait refuser un token HS256 signé avec la clé publique (confusion d\'algorithme)', async () => {
+        const publicPem = ecKeys.publicKey.export({ type: 'spki', format: 'pem' });
+
+        const { req, error } = await runProtect(signToken(publicPem, 'HS256', { keyid: 'ec-1' }));
+
+        expect(error).toMatchObject({ statusCode: 401 });
+        expect(req.user).toBeUndefined();
+    });
+
+    it('devrait refuser un token sans kid sans interroger le JWKS', async () => {
+        const { error } = await runProtect(signToken(ecKeys.privateKey, 'ES256'));
+
+        expect(error).toMatchObject({ statusCode: 401 });
+        expect(jwksClient.getSigningKey).not.toHaveBeenCalled();
+    });
+
+    it('devrait refuser un token dont le kid n\'est pas publié', async () => {
+        const { error } = await runProtect(signToken(ecKeys.privateKey, 'ES256', { keyid: 'inconnu' }));
+
+        expect(error).toMatchObject({ statusCode: 401 });
+    });
+});
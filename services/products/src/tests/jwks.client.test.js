@@ -0,0 +1,133 @@
+/**
+ * @module Tests/JwksClient
+ *
+ * Tests unitaires du cache JWKS : seules les clés RS256/ES256 de signature
+ * sont retenues, un `kid` inconnu recharge le jeu de clés (rotation) au plus
+ * une fois toutes les 30 s, et une panne de l'auth-service laisse le cache en place.
+ */
+import crypto from 'crypto';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+vi.mock('../config/environment.js', () => ({
+    ENV: {
+        services: { authServiceUrl: 'http://auth-service.test', httpTimeoutMs: 1000 },
+        jwt: { jwksCacheTtlMs: 10 * 60 * 1000 },
+    },
+}));
+
+vi.mock('../utils/logger.js', () => ({
+    logError: vi.fn(),
+}));
+
+import { logError } from '../utils/logger.js';
+
+const publicJwk = (kid, alg) => {
+    const { publicKey } = alg === 'RS256'
+        ? crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+        : crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+    return { ...publicKey.export({ format: 'jwk' }), kid, alg, use: 'sig' };
+};
+
+const EC_KEY = publicJwk('ec-1', 'ES256');
+const RSA_KEY = publicJwk('rsa-1', 'RS256');
+const ROTATED_KEY = publicJwk('ec-2', 'ES256');
+
+const jwksResponse = (keys) => ({ ok: true, status: 200, json: async () => ({ keys }) });
+
+describe('jwksClient', () => {
+    let jwksClient;
+    let fetchMock;
+
+    beforeEach(async () => {
+        vi.clearAllMocks();
+        // Le cache est un état de module : chaque test repart d'un module neuf
+        vi.resetModules();
+        vi.useFakeTimers({ toFake: ['Date'] });
+        vi.setSystemTime(new Date('2026-10-18T10:00:00Z'));
+
+        fetchMock = vi.fn().mockResolvedValue(jwksResponse([EC_KEY, RSA_KEY]));
+        vi.stubGlobal('fetch', fetchMock);
+
+        ({ jwksClient } = await import('../clients/jwks.client.js'));
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        vi.unstubAllGlobals();
+    });
+
+    it('devrait retourner la clé publique ES256 ou RS256 désignée par son kid', async () => {
+        const ecKey = await jwksClient.getSigningKey('ec-1');
+        const rsaKey = await jwksClient.getSigningKey('rsa-1');
+
+        expect(ecKey.alg).toBe('ES256');
+        expect(ecKey.publicKey).toBeInstanceOf(crypto.KeyObject);
+        expect(rsaKey.alg).toBe('RS256');
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+        expect(fetchMock.mock.calls[0][0]).toBe('http://auth-service.test/.well-known/jwks.json');
+    });
+
+    it('devrait ignorer les clés HS256, sans kid ou non destinées à la signature', async () => {
+        const { kid: _kid, ...keyWithoutKid } = publicJwk('ignored', 'ES256');
+        fetchMock.mockResolvedValue(jwksResponse([
+            { kty: 'oct', kid: 'hs-1', alg: 'HS256', k: 'c2VjcmV0LXBhcnRhZ2U' },
+            { ...publicJwk('none-1', 'ES256'), alg: 'none' },
+            { ...publicJwk('enc-1', 'ES256'), use: 'enc' },
+            keyWithoutKid,
+            EC_KEY,
+        ]));
+
+        expect(await jwksClient.getSigningKey('hs-1')).toBeNull();
+        expect(await jwksClient.getSigningKey('none-1')).toBeNull();
+        expect(await jwksClient.getSigningKey('enc-1')).toBeNull();
+        expect(await jwksClient.getSigningKey('ec-1')).toMatchObject({ alg: 'ES256' });
+    });
+
+    it('devrait recharger le JWKS quand un kid inconnu se présente (rotation de clé)', async () => {
+        await jwksClient.getSigningKey('ec-1');
+        fetchMock.mockResolvedValue(jwksResponse([EC_KEY, ROTATED_KEY]));
+        vi.advanceTimersByTime(31 * 1000);
+
+        const rotatedKey = await jwksClient.getSigningKey('ec-2');
+
+        expect(rotatedKey).toMatchObject({ alg: 'ES256' });
+        expect(fetchMock).toHaveBeenCalledTimes(2);
+    });
+
+    it('devrait limiter à un rechargement toutes les 30 s pour un kid inconnu', async () => {
+        await jwksClient.getSigningKey('ec-1');
+
+        expect(await jwksClient.getSigningKey('forge-1')).toBeNull();
+        expect(await jwksClient.getSigningKey('forge-2')).toBeNull();
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+
+        vi.advanceTimersByTime(31 * 1000);
+        await jwksClient.getSigningKey('forge-3');
+
+        expect(fetchMock).toHaveBeenCalledTimes(2);
+    });
+
+    it('devrait partager un seul appel HTTP entre requêtes concurrentes', async () => {
+        const [ecKey, rsaKey] = await Promise.all([
+            jwksClient.getSigningKey('ec-1'),
+            jwksClient.getSigningKey('rsa-1'),
+        ]);
+
+        expect(ecKey).not.toBeNull();
+        expect(rsaKey).not.toBeNull();
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+    });
+
+    it('devrait conserver les clés en cache si l\'auth-service est injoignable', async () => {
+        await jwksClient.getSigningKey('ec-1');
+        fetchMock.mockRejectedValue(new Error('connect ECONNREFUSED'));
+        vi.advanceTimersByTime(11 * 60 * 1000);
+
+        const cachedKey = await jwksClient.getSigningKey('ec-1');
+
+        expect(fetchMock).toHaveBeenCalledTimes(2);
+        expect(cachedKey).toMatchObject({ alg: 'ES256' });
+        expect(logError).toHaveBeenCalledWith(expect.any(Error), expect.objectContaining({ kid: 'ec-1' }));
+    });
+});
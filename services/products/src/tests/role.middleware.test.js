@@ -0,0 +1,52 @@
+/**
+ * @module Tests/RoleMiddleware
+ *
+ * Contrôle d'accès par permission (requirePermission) et par rôle (restrictTo),
+ * à partir de req.user tel qu'hydraté par `protect`.
+ */
+import { describe, it, expect, vi } from 'vitest';
+import { requirePermission, restrictTo } from '../middleware/role.middleware.js';
+
+const run = (middleware, user) => {
+    const next = vi.fn();
+    middleware({ user }, {}, next);
+    return next.mock.calls[0][0];
+};
+
+const WAREHOUSE = { roles: ['WAREHOUSE'], permissions: ['orders:read', 'orders:update_status', 'shipments:manage'] };
+
+describe('requirePermission', () => {
+    it('devrait laisser passer un utilisateur qui détient la permission', () => {
+        expect(run(requirePermission('orders:read'), WAREHOUSE)).toBeUndefined();
+    });
+
+    it('devrait exiger toutes les permissions listées', () => {
+        expect(run(requirePermission('orders:read', 'shipments:manage'), WAREHOUSE)).toBeUndefined();
+        expect(run(requirePermission('orders:read', 'coupons:manage'), WAREHOUSE)).toMatchObject({ statusCode: 403 });
+    });
+
+    it('devrait refuser par une erreur 403 une permission non accordée, quel que soit le rôle', () => {
+        expect(run(requirePermission('roles:manage'), WAREHOUSE)).toMatchObject({ statusCode: 403 });
+        expect(run(requirePermission('roles:manage'), { roles: ['ADMIN'], permissions: [] })).toMatchObject({ statusCode: 403 });
+    });
+
+    it('devrait comparer les codes exactement, sans préfixe ni casse', () => {
+        expect(run(requirePermission('orders:read'), { roles: [], permissions: ['orders:readonly'] })).toMatchObject({ statusCode: 403 });
+        expect(run(requirePermission('orders:read'), { roles: [], permissions: ['ORDERS:READ'] })).toMatchObject({ statusCode: 403 });
+    });
+
+    it('devrait refuser par une erreur 401 une requête sans permissions hydratées', () => {
+        expect(run(requirePermission('orders:read'), undefined)).toMatchObject({ statusCode: 401 });
+        expect(run(requirePermission('orders:read'), { roles: ['ADMIN'] })).toMatchObject({ statusCode: 401 });
+    });
+});
+
+describe('restrictTo', () => {
+    it('devrait laisser passer un utilisateur qui détient un des rôles autorisés', () => {
+        expect(run(restrictTo('ADMIN', 'WAREHOUSE'), WAREHOUSE)).toBeUndefined();
+    });
+
+    it('devrait refuser par une erreur 403 un rôle non autorisé', () => {
+        expect(run(restrictTo('ADMIN'), WAREHOUSE)).toMatchObject({ statusCode: 403 });
+    });
+});
@@ -0,0 +1,64 @@
+/**
+ * @module Clients/Cart
+ *
+ * Client HTTP du monolith vers le cart-service.
+ * Fournit au dashboard admin la conversion des relances de paniers abandonnés.
+ *
+ * Un cart-service indisponible ne doit pas priver l'admin du reste du
+ * dashboard : les erreurs sont loggées et le client retourne null.
+ */
+import { ENV } from '../config/environment.js';
+import { logError } from '../utils/logger.js';
+
+const CART_SERVICE_URL = ENV.services.cartServiceUrl;
+const TIMEOUT_MS = ENV.services.httpTimeoutMs;
+
+// ── Utilitaires ───────────────────────────────────────────────────────────────
+
+const buildHeaders = () => ({
+    'Content-Type': 'application/json',
+    // Secret partagé validé par internal.middleware.js côté cart-service
+    'X-Internal-Secret': ENV.services.cartSecret,
+});
+
+const fetchWithTimeout = async (url, options) => {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), TIMEOUT_MS);
+
+    try {
+        return await fetch(url, { ...options, signal: controller.signal });
+    } finally {
+        clearTimeout(timeoutId);
+    }
+};
+
+// ── Client ────────────────────────────────────────────────────────────────────
+
+export const cartClient = {
+
+    /**
+     * Relances de paniers abandonnés sur les N derniers jours :
+     * paniers relancés, récupérés, taux de conversion et détail par étape.
+     *
+     * @param {number} days
+     * @returns {Promise<object|null>} null si le cart-service est injoignable
+     */
+    async getRecoveryStats(days = 30) {
+        try {
+            const response = await fetchWithTimeout(
+                `${CART_SERVICE_URL}/internal/cart/stats?days=${days}`,
+                { method: 'GET', headers: buildHeaders() }
+            );
+            const body = await response.json().catch(() => ({}));
+
+            if (!response.ok) {
+                throw new Error(`[cartClient.getRecoveryStats] ${body?.message || `HTTP ${response.status}`}`);
+            }
+
+            return body?.data?.recovery ?? null;
+        } catch (error) {
+            logError(error, { context: 'cartClient.getRecoveryStats' });
+            return null;
+        }
+    },
+};
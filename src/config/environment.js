@@ -9,7 +9,8 @@ import 'dotenv/config';
 
 const requiredEnv = [
     'PORT',
-    'JWT_ACCESS_SECRET',
+    'AUTH_SERVICE_URL', // JWKS : clés publiques des access tokens émis par l'auth-service
+    'INTERNAL_AUDIT_SECRET', // Journal des requêtes "voir en tant que client" vers l'auth-service
     'JWT_REFRESH_SECRET',
     'SENTRY_DSN',
     'REDIS_HOST',
@@ -17,6 +18,9 @@ const requiredEnv = [
     'CLIENT_URL',
     'STRIPE_SECRET_KEY',
     'STRIPE_WEBHOOK_SECRET',
+    // Cart-service — conversion des relances de paniers du dashboard admin
+    'CART_SERVICE_URL',
+    'INTERNAL_CART_SECRET',
 ];
 
 // On vérifie soit la DATABASE_URL (Cloud), soit l'ensemble des paramètres Host/User/Pass (Local)
@@ -61,11 +65,20 @@ export const ENV = Object.freeze({
         },
     },
     jwt: {
-        accessTokenSecret: process.env.JWT_ACCESS_SECRET,
-        accessTokenExpiry: process.env.JWT_ACCESS_EXPIRY || '60m',
+        // Aucun secret d'access token : le monolith vérifie les tokens de l'auth-service
+        // avec ses clés publiques (JWKS), il ne peut pas en émettre.
+        jwksCacheTtlMs: Number(process.env.JWKS_CACHE_TTL_MS) || 10 * 60 * 1000,
         refreshTokenSecret: process.env.JWT_REFRESH_SECRET,
         refreshTokenExpiry: process.env.JWT_REFRESH_EXPIRY || '7d',
     },
+    // Communication inter-services (appels HTTP sortants)
+    services: {
+        authServiceUrl: process.env.AUTH_SERVICE_URL,
+        auditSecret: process.env.INTERNAL_AUDIT_SECRET, // X-Internal-Secret du journal d'impersonation
+        cartServiceUrl: process.env.CART_SERVICE_URL,
+        cartSecret: process.env.INTERNAL_CART_SECRET, // X-Internal-Secret vers cart-service
+        httpTimeoutMs: Number(process.env.INTERNAL_HTTP_TIMEOUT_MS) || 5000,
+    },
     bcrypt: {
         iterations: Number(process.env.BCRYPT_ITERATIONS) || 100000,
     },
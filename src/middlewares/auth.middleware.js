@@ -3,12 +3,14 @@
  *
  * Protège les routes en vérifiant le JWT Access Token présent dans le header Authorization.
  * Hydrate req.user avec les données de l'utilisateur et ses rôles pour les middlewares suivants.
+ * Un token d'impersonation est journalisé et, en lecture seule, limité aux lectures.
  */
 import { tokenService } from '../services/token.service.js';
 import { usersRepo, rolesRepo } from '../repositories/index.js';
 import { AppError } from '../utils/appError.js';
 import { HTTP_STATUS } from '../constants/httpStatus.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
+import { readImpersonation, guardImpersonatedRequest } from './impersonation.middleware.js';
 
 export const protect = asyncHandler(async (req, res, next) => {
     let token;
@@ -20,11 +22,16 @@ export const protect = asyncHandler(async (req, res, next) => {
         throw new AppError('Accès refusé. Veuillez vous connecter.', HTTP_STATUS.UNAUTHORIZED);
     }
 
-    const decoded = tokenService.verifyAccessToken(token);
+    const decoded = await tokenService.verifyAccessToken(token);
     if (!decoded) {
         throw new AppError('Token invalide ou expiré.', HTTP_STATUS.UNAUTHORIZED);
     }
 
+    const impersonation = readImpersonation(decoded);
+    if (impersonation) {
+        guardImpersonatedRequest(req, res, impersonation);
+    }
+
     const user = await usersRepo.findById(decoded.id || decoded.sub);
     if (!user) {
         throw new AppError("L'utilisateur associé à ce token n'existe plus.", HTTP_STATUS.UNAUTHORIZED);
@@ -39,6 +46,7 @@ export const protect = asyncHandler(async (req, res, next) => {
     req.user = {
         ...user,
         roles: roles.map((r) => r.name),
+        impersonation,
     };
 
     next();
@@ -7,12 +7,14 @@
  *
  * Token valide  → req.user est hydraté avec les données utilisateur et ses rôles.
  * Token absent ou invalide → req.user reste undefined, la requête continue normalement.
+ * Token d'impersonation → même journalisation et même lecture seule que `protect`.
  */
 import { tokenService } from '../services/token.service.js';
 import { usersRepo, rolesRepo } from '../repositories/index.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
+import { readImpersonation, guardImpersonatedRequest } from './impersonation.middleware.js';
 
-export const optionalAuth = asyncHandler(async (req, _res, next) => {
+export const optionalAuth = asyncHandler(async (req, res, next) => {
     let token;
     if (req.headers.authorization?.startsWith('Bearer')) {
         token = req.headers.authorization.split(' ')[1];
@@ -24,7 +26,7 @@ export const optionalAuth = asyncHandler(async (req, _res, next) => {
     }
 
     try {
-        const decoded = tokenService.verifyAccessToken(token);
+        const decoded = await tokenService.verifyAccessToken(token);
 
         if (!decoded) {
             req.user = undefined;
@@ -43,12 +45,19 @@ export const optionalAuth = asyncHandler(async (req, _res, next) => {
         req.user = {
             ...user,
             roles: roles.map((role) => role.name),
+            impersonation: readImpersonation(decoded),
         };
-
-        next();
     } catch {
         // Token malformé ou erreur DB — on continue sans authentification
         req.user = undefined;
-        next();
+        return next();
     }
+
+    // Hors du try : un refus (session en lecture seule) ne doit pas
+    // dégrader la requête en guest
+    if (req.user.impersonation) {
+        guardImpersonatedRequest(req, res, req.user.impersonation);
+    }
+
+    next();
 });
\ No newline at end of file
@@ -4,6 +4,7 @@
  * Orchestre les données transversales pour le tableau de bord et la gestion globale.
  */
 import { usersRepo, productsRepo, ordersRepo } from '../repositories/index.js';
+import { cartClient } from '../clients/cart.client.js';
 import { AppError } from '../utils/appError.js';
 import { HTTP_STATUS } from '../constants/httpStatus.js';
 
@@ -15,15 +16,17 @@ class AdminService {
     }
 
     /**
-     * Les trois requêtes sont indépendantes : Promise.all les exécute en parallèle
+     * Les requêtes sont indépendantes : Promise.all les exécute en parallèle
      * pour éviter d'attendre chaque résultat séquentiellement.
+     * La relance des paniers (cart-service, 30 derniers jours) vaut null si le service est injoignable.
      */
     async getDashboardStats() {
-        const [userCount, orderStats, lowStockCount, productCount] = await Promise.all([
+        const [userCount, orderStats, lowStockCount, productCount, cartRecovery] = await Promise.all([
             usersRepo.count(),
             ordersRepo.getGlobalStats(),
             productsRepo.countLowStock(5),
             productsRepo.count(),
+            cartClient.getRecoveryStats(30),
         ]);
 
         return {
@@ -43,6 +46,7 @@ class AdminService {
             products: {
                 total: productCount,
             },
+            cartRecovery,
             timestamp: new Date(),
         };
     }
@@ -1,15 +1,19 @@
 /**
  * @module Service/Token
  *
- * Gère la génération et la vérification des JWT (access et refresh tokens).
+ * Vérification des JWT Access Tokens émis par l'auth-service (clés publiques JWKS,
+ * RS256/ES256) et gestion des refresh tokens des anciennes sessions du monolith.
+ * Le monolith ne détient aucune clé de signature des access tokens : il peut
+ * en vérifier, pas en émettre.
  */
 import jwt from 'jsonwebtoken';
 import { ENV } from '../config/environment.js';
+import { jwksClient } from '../clients/jwks.client.js';
 
 class TokenService {
-    #accessSecret = ENV.jwt.accessTokenSecret;
+    #issuer = 'mon-ecommerce-api';
+    #audience = 'mon-ecommerce-client';
     #refreshSecret = ENV.jwt.refreshTokenSecret;
-    #accessExpiry = ENV.jwt.accessTokenExpiry || '15m';
     #refreshExpiry = ENV.jwt.refreshTokenExpiry || '7d';
 
     constructor() {
@@ -18,27 +22,6 @@ class TokenService {
         Object.freeze(this);
     }
 
-    /**
-     * L'access token a une courte durée de vie (15 min par défaut) pour limiter
-     * la fenêtre d'exploitation en cas de fuite. Le refresh token compense
-     * en permettant de renouveler sans redemander les credentials.
-     */
-    generateAccessToken(user) {
-        return jwt.sign(
-            {
-                sub: user.id,
-                email: user.email,
-                roles: user.roles || [],
-            },
-            this.#accessSecret,
-            {
-                expiresIn: this.#accessExpiry,
-                issuer: 'mon-ecommerce-api',
-                audience: 'mon-ecommerce-client',
-            }
-        );
-    }
-
     generateRefreshToken(user) {
         return jwt.sign(
             { sub: user.id },
@@ -47,9 +30,23 @@ class TokenService {
         );
     }
 
-    verifyAccessToken(token) {
+    /**
+     * Vérifie la signature (clé désignée par le `kid` de l'en-tête), l'expiration,
+     * l'émetteur et l'audience. L'algorithme est imposé par la clé publiée.
+     * Retourne null plutôt que de lever une exception pour permettre
+     * un traitement gracieux dans les middlewares.
+     */
+    async verifyAccessToken(token) {
         try {
-            return jwt.verify(token, this.#accessSecret);
+            const kid = jwt.decode(token, { complete: true })?.header?.kid;
+            const signingKey = kid ? await jwksClient.getSigningKey(kid) : null;
+            if (!signingKey) return null;
+
+            return jwt.verify(token, signingKey.publicKey, {
+                algorithms: [signingKey.alg],
+                issuer: this.#issuer,
+                audience: this.#audience,
+            });
         } catch {
             return null;
         }
@@ -0,0 +1,82 @@
+/**
+ * @module Tests/TokenService
+ *
+ * Vérification des access tokens de l'auth-service : seuls les tokens
+ * RS256/ES256 portant le `kid` d'une clé publiée sont acceptés.
+ */
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../clients/jwks.client.js', () => ({
+    jwksClient: { getSigningKey: vi.fn() },
+}));
+
+vi.mock('../config/environment.js', () => ({
+    ENV: { jwt: { refreshTokenSecret: 'test-refresh-secret', refreshTokenExpiry: '7d' } },
+}));
+
+import { tokenService } from '../services/token.service.js';
+import { jwksClient } from '../clients/jwks.client.js';
+
+const USER_ID = '11111111-1111-4111-8111-111111111111';
+const ISSUER = 'mon-ecommerce-api';
+const AUDIENCE = 'mon-ecommerce-client';
+
+const ecKeys = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+const rsaKeys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const PUBLISHED_KEYS = {
+    'ec-1': { alg: 'ES256', publicKey: ecKeys.publicKey },
+    'rsa-1': { alg: 'RS256', publicKey: rsaKeys.publicKey },
+};
+
+const signToken = (key, algorithm, options = {}) => jwt.sign(
+    { sub: USER_ID, email: 'client@example.com', roles: ['USER'] },
+    key,
+    { algorithm, issuer: ISSUER, audience: AUDIENCE, expiresIn: '15m', ...options }
+);
+
+describe('TokenService.verifyAccessToken', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+        jwksClient.getSigningKey.mockImplementation(async (kid) => PUBLISHED_KEYS[kid] ?? null);
+    });
+
+    it('devrait accepter un token ES256 signé par une clé publiée', async () => {
+        const decoded = await tokenService.verifyAccessToken(signToken(ecKeys.privateKey, 'ES256', { keyid: 'ec-1' }));
+
+        expect(decoded).toMatchObject({ sub: USER_ID, email: 'client@example.com' });
+        expect(jwksClient.getSigningKey).toHaveBeenCalledWith('ec-1');
+    });
+
+    it('devrait accepter un token RS256 signé par une clé publiée', async () => {
+        const decoded = await tokenService.verifyAccessToken(signToken(rsaKeys.privateKey, 'RS256', { keyid: 'rsa-1' }));
+
+        expect(decoded).toMatchObject({ sub: USER_ID });
+    });
+
+    it('devrait refuser un token HS256 signé avec la clé publique (confusion d\'algorithme)', async () => {
+        const publicPem = ecKeys.publicKey.export({ type: 'spki', format: 'pem' });
+
+        expect(await tokenService.verifyAccessToken(signToken(publicPem, 'HS256', { keyid: 'ec-1' }))).toBeNull();
+    });
+
+    it('devrait refuser un token sans kid sans interroger le JWKS', async () => {
+        expect(await tokenService.verifyAccessToken(signToken(ecKeys.privateKey, 'ES256'))).toBeNull();
+        expect(jwksClient.getSigningKey).not.toHaveBeenCalled();
+    });
+
+    it('devrait refuser un token dont le kid n\'est pas publié', async () => {
+        expect(await tokenService.verifyAccessToken(signToken(ecKeys.privateKey, 'ES256', { keyid: 'inconnu' }))).toBeNull();
+    });
+
+    it('devrait refuser un token signé par une autre clé sous un kid publié', async () => {
+        const forgedKeys = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+        expect(await tokenService.verifyAccessToken(signToken(forgedKeys.privateKey, 'ES256', { keyid: 'ec-1' }))).toBeNull();
+    });
+
+    it('devrait refuser un token destiné à une autre audience', async () => {
+        expect(await tokenService.verifyAccessToken(signToken(ecKeys.privateKey, 'ES256', { keyid: 'ec-1', audience: 'autre-client' }))).toBeNull();
+    });
+});